@@ -0,0 +1,51 @@
+import nodemailer from 'nodemailer';
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+dotenv.config();
+
+export const MAIL_TRANSPORTS = ['smtp', 'file'];
+
+// SMTP when a server is configured; otherwise messages are captured as .eml files for development
+const transportName = MAIL_TRANSPORTS.includes(process.env.MAIL_TRANSPORT)
+  ? process.env.MAIL_TRANSPORT
+  : (process.env.SMTP_HOST ? 'smtp' : 'file');
+
+const captureDir = path.resolve(process.env.MAIL_CAPTURE_DIR || 'captured-mail');
+
+const transporter = transportName === 'smtp'
+  ? nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  })
+  : nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+/**
+ * Get the name of the active mail transport
+ * @returns {string} 'smtp' or 'file'
+ */
+export const getMailTransportName = () => transportName;
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - Nodemailer message (to, subject, text, html, attachments)
+ * @returns {Promise<Object>} { messageId, transport }
+ */
+export const sendMail = async (message) => {
+  const info = await transporter.sendMail({
+    from: process.env.MAIL_FROM || 'BLCM Sales and Inventory <no-reply@blcm.local>',
+    ...message
+  });
+
+  if (transportName === 'file') {
+    fs.mkdirSync(captureDir, { recursive: true });
+    const fileName = `${Date.now()}-${info.messageId.replace(/[^A-Za-z0-9.-]/g, '')}.eml`;
+    fs.writeFileSync(path.join(captureDir, fileName), info.message);
+  }
+
+  return { messageId: info.messageId, transport: transportName };
+};
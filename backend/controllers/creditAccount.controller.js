@@ -0,0 +1,520 @@
+import CreditAccount from '../models/CreditAccount.model.js';
+import ReceivableEntry from '../models/ReceivableEntry.model.js';
+import Settings from '../models/Settings.model.js';
+import Shift from '../models/Shift.model.js';
+import { generateAccountNumber, generatePaymentNumber } from '../utils/generateAccountNumber.js';
+import { postPayment, ageReceivables, AGING_BUCKETS } from '../utils/receivables.js';
+import { validateTenders, formatPaymentMethod, roundCurrency } from '../utils/tenders.js';
+import { runInTransaction } from '../utils/transaction.js';
+import { jsPDF } from 'jspdf';
+import { format, startOfMonth, startOfDay, endOfDay } from 'date-fns';
+
+/**
+ * Format currency for PDF
+ */
+const formatCurrency = (value) => {
+  const numValue = parseFloat(value) || 0;
+  return `PHP ${numValue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+/**
+ * Parse a YYYY-MM-DD date string as local midnight
+ */
+const parseLocalDate = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * Describe a ledger entry for the ledger view and statement
+ */
+const describeEntry = (entry) => {
+  if (entry.type === 'charge') {
+    return {
+      reference: entry.sale?.saleNumber || '-',
+      description: `Charge sale${entry.voided ? ' (voided)' : ''}, due ${format(entry.dueDate, 'MMM d, yyyy')}`
+    };
+  }
+  if (entry.type === 'void') {
+    return { reference: entry.sale?.saleNumber || '-', description: 'Sale voided' };
+  }
+  if (entry.type === 'return') {
+    return { reference: entry.returnNumber, description: `Goods returned from ${entry.sale?.saleNumber || 'sale'}` };
+  }
+  return {
+    reference: entry.paymentNumber,
+    description: `Payment - ${formatPaymentMethod(entry.method)}${entry.referenceNumber ? ` (${entry.referenceNumber})` : ''}`
+  };
+};
+
+/**
+ * @desc    Get credit accounts
+ * @route   GET /api/credit-accounts
+ * @access  Private/Supplier/Staff
+ */
+export const getCreditAccounts = async (req, res, next) => {
+  try {
+    const { search, isActive } = req.query;
+
+    const query = {};
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+    if (search) {
+      const escaped = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.$or = [
+        { accountNumber: { $regex: escaped, $options: 'i' } },
+        { name: { $regex: escaped, $options: 'i' } },
+        { contactPerson: { $regex: escaped, $options: 'i' } }
+      ];
+    }
+
+    const accounts = await CreditAccount.find(query).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: accounts.length,
+      data: accounts
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get accounts receivable aging across all accounts
+ * @route   GET /api/credit-accounts/aging
+ * @access  Private/Admin
+ */
+export const getAgingReport = async (req, res, next) => {
+  try {
+    const accounts = await CreditAccount.find({ balance: { $ne: 0 } }).sort({ name: 1 });
+    const entries = await ReceivableEntry.find({ account: { $in: accounts.map(account => account._id) } }).lean();
+
+    const entriesByAccount = new Map();
+    for (const entry of entries) {
+      const key = entry.account.toString();
+      if (!entriesByAccount.has(key)) entriesByAccount.set(key, []);
+      entriesByAccount.get(key).push(entry);
+    }
+
+    const rows = accounts.map((account) => {
+      const { openCharges, ...aging } = ageReceivables(entriesByAccount.get(account._id.toString()) || []);
+      return {
+        account: {
+          _id: account._id,
+          accountNumber: account.accountNumber,
+          name: account.name,
+          creditLimit: account.creditLimit,
+          termsDays: account.termsDays,
+          isActive: account.isActive
+        },
+        balance: roundCurrency(account.balance),
+        ...aging
+      };
+    });
+
+    const totals = Object.fromEntries(
+      [...AGING_BUCKETS.map(bucket => bucket.key), 'total', 'unappliedCredit', 'balance'].map(key => [
+        key,
+        roundCurrency(rows.reduce((sum, row) => sum + row[key], 0))
+      ])
+    );
+
+    res.json({
+      success: true,
+      data: {
+        asOf: new Date(),
+        buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+        rows,
+        totals
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single credit account with its aging
+ * @route   GET /api/credit-accounts/:id
+ * @access  Private/Supplier/Staff
+ */
+export const getCreditAccount = async (req, res, next) => {
+  try {
+    const account = await CreditAccount.findById(req.params.id).populate('createdBy', 'username');
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit account not found'
+      });
+    }
+
+    const entries = await ReceivableEntry.find({ account: account._id })
+      .populate('sale', 'saleNumber')
+      .lean();
+    const { openCharges, ...aging } = ageReceivables(entries);
+
+    res.json({
+      success: true,
+      data: {
+        ...account.toJSON(),
+        aging,
+        openCharges: openCharges.map(({ entry, open, daysPastDue, bucket }) => ({
+          _id: entry._id,
+          saleNumber: entry.sale?.saleNumber,
+          chargedAt: entry.createdAt,
+          dueDate: entry.dueDate,
+          amount: entry.amount,
+          open,
+          daysPastDue,
+          bucket
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the receivable ledger of a credit account
+ * @route   GET /api/credit-accounts/:id/ledger
+ * @access  Private/Supplier/Staff
+ */
+export const getLedger = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 50;
+
+    const account = await CreditAccount.exists({ _id: req.params.id });
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit account not found'
+      });
+    }
+
+    const [entries, total] = await Promise.all([
+      ReceivableEntry.find({ account: req.params.id })
+        .populate('sale', 'saleNumber')
+        .populate('recordedBy', 'username')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ReceivableEntry.countDocuments({ account: req.params.id })
+    ]);
+
+    res.json({
+      success: true,
+      count: entries.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: entries.map(entry => ({ ...entry, ...describeEntry(entry) }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Open a credit account
+ * @route   POST /api/credit-accounts
+ * @access  Private/Admin
+ */
+export const createCreditAccount = async (req, res, next) => {
+  try {
+    const { name, contactPerson, phone, email, address, tinNumber, creditLimit, termsDays, notes } = req.body;
+
+    const account = await CreditAccount.create({
+      accountNumber: await generateAccountNumber(),
+      name,
+      contactPerson,
+      phone,
+      email,
+      address,
+      tinNumber,
+      creditLimit,
+      termsDays,
+      notes,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Credit account ${account.accountNumber} opened for ${account.name}`,
+      data: account
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a credit account's details, limit, terms or status
+ * @route   PUT /api/credit-accounts/:id
+ * @access  Private/Admin
+ */
+export const updateCreditAccount = async (req, res, next) => {
+  try {
+    const { name, contactPerson, phone, email, address, tinNumber, creditLimit, termsDays, isActive, notes } = req.body;
+
+    const account = await CreditAccount.findById(req.params.id);
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit account not found'
+      });
+    }
+
+    // Terms apply to charges made from now on; existing charges keep their due dates
+    Object.assign(account, { name, contactPerson, phone, email, address, tinNumber, creditLimit, termsDays, notes });
+    if (isActive !== undefined) account.isActive = isActive;
+    await account.save();
+
+    res.json({
+      success: true,
+      message: `Credit account ${account.accountNumber} updated`,
+      data: account
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Record a payment against a credit account
+ * @route   POST /api/credit-accounts/:id/payments
+ * @access  Private/Supplier/Staff
+ */
+export const recordPayment = async (req, res, next) => {
+  try {
+    const { amount, method, referenceNumber, notes } = req.body;
+
+    const tenderError = validateTenders([{ method, amount: roundCurrency(amount), referenceNumber: referenceNumber?.trim() }]);
+    if (tenderError) {
+      return res.status(400).json({
+        success: false,
+        message: tenderError
+      });
+    }
+
+    // Cash collections go into the collector's drawer, so they are recorded against the open shift
+    const shift = await Shift.findOne({ cashier: req.user._id, status: 'open' }).select('_id');
+    if (method === 'cash' && !shift) {
+      return res.status(400).json({
+        success: false,
+        message: 'Open a shift before collecting cash payments'
+      });
+    }
+
+    const payment = await runInTransaction(async (session) => postPayment({
+      accountId: req.params.id,
+      amount,
+      paymentNumber: await generatePaymentNumber(session),
+      method,
+      referenceNumber: method !== 'cash' ? referenceNumber?.trim() : undefined,
+      notes,
+      shift: shift?._id,
+      user: req.user._id,
+      session
+    }));
+
+    const account = await CreditAccount.findById(req.params.id);
+
+    res.status(201).json({
+      success: true,
+      message: `Payment ${payment.paymentNumber} of ${formatCurrency(-payment.amount)} recorded. Balance: ${formatCurrency(account.balance)}`,
+      data: { payment, account }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Export a statement of account as PDF
+ * @route   GET /api/credit-accounts/:id/statement
+ * @access  Private/Supplier/Staff
+ */
+export const exportStatement = async (req, res, next) => {
+  try {
+    const account = await CreditAccount.findById(req.params.id);
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit account not found'
+      });
+    }
+
+    // Defaults to the current month to date
+    const start = req.query.startDate ? startOfDay(parseLocalDate(req.query.startDate)) : startOfMonth(new Date());
+    const end = req.query.endDate ? endOfDay(parseLocalDate(req.query.endDate)) : endOfDay(new Date());
+
+    const [previousEntry, periodEntries, entriesToDate] = await Promise.all([
+      ReceivableEntry.findOne({ account: account._id, createdAt: { $lt: start } }).sort({ createdAt: -1 }).lean(),
+      ReceivableEntry.find({ account: account._id, createdAt: { $gte: start, $lte: end } })
+        .populate('sale', 'saleNumber')
+        .sort({ createdAt: 1 })
+        .lean(),
+      ReceivableEntry.find({ account: account._id, createdAt: { $lte: end } }).lean()
+    ]);
+
+    const openingBalance = previousEntry ? previousEntry.balanceAfter : 0;
+    const closingBalance = periodEntries.length > 0 ? periodEntries[periodEntries.length - 1].balanceAfter : openingBalance;
+    const aging = ageReceivables(entriesToDate, end);
+
+    // Brand the statement with the store's registered details when they are set
+    const settings = await Settings.getSettings();
+    const store = settings.receipting || {};
+
+    const doc = new jsPDF();
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const margin = 14;
+    let yPosition = margin;
+
+    // Header
+    doc.setFontSize(16);
+    doc.setFont(undefined, 'bold');
+    doc.text(store.tradeName || store.registeredName || 'BLCM Sales and Inventory System', pageWidth / 2, yPosition, { align: 'center' });
+    yPosition += 6;
+
+    doc.setFontSize(9);
+    doc.setFont(undefined, 'normal');
+    doc.setTextColor(100, 100, 100);
+    [store.tradeName && store.registeredName, store.address, store.tin && `TIN: ${store.tin}`]
+      .filter(Boolean)
+      .forEach((line) => {
+        doc.text(line, pageWidth / 2, yPosition, { align: 'center' });
+        yPosition += 5;
+      });
+
+    doc.setFontSize(12);
+    doc.setFont(undefined, 'bold');
+    doc.setTextColor(0, 0, 0);
+    yPosition += 2;
+    doc.text('STATEMENT OF ACCOUNT', pageWidth / 2, yPosition, { align: 'center' });
+    yPosition += 8;
+
+    doc.setLineWidth(0.2);
+    doc.line(margin, yPosition, pageWidth - margin, yPosition);
+    yPosition += 8;
+
+    // Account details
+    doc.setFontSize(9);
+    doc.setFont(undefined, 'normal');
+    const details = [
+      ['Account:', `${account.accountNumber} - ${account.name}`],
+      ['Contact Person:', account.contactPerson],
+      ['Address:', account.address],
+      ['TIN Number:', account.tinNumber],
+      ['Credit Limit / Terms:', `${formatCurrency(account.creditLimit)} / ${account.termsDays ? `${account.termsDays} days` : 'Due on receipt'}`],
+      ['Period:', `${format(start, 'MMMM d, yyyy')} to ${format(end, 'MMMM d, yyyy')}`]
+    ].filter(([, value]) => value);
+    details.forEach(([label, value]) => {
+      doc.text(label, margin, yPosition);
+      doc.text(String(value), pageWidth - margin, yPosition, { align: 'right' });
+      yPosition += 6;
+    });
+    yPosition += 2;
+
+    // Ledger
+    const col1 = margin;
+    const col2 = margin + 24;
+    const col3 = margin + 62;
+    const col4 = margin + 132;
+    const col5 = margin + 157;
+    const col6 = pageWidth - margin;
+
+    const drawLedgerHeader = () => {
+      doc.line(margin, yPosition, pageWidth - margin, yPosition);
+      yPosition += 6;
+      doc.setFont(undefined, 'bold');
+      doc.setFontSize(8);
+      doc.text('Date', col1, yPosition);
+      doc.text('Reference', col2, yPosition);
+      doc.text('Description', col3, yPosition);
+      doc.text('Charges', col4, yPosition, { align: 'right' });
+      doc.text('Payments', col5, yPosition, { align: 'right' });
+      doc.text('Balance', col6, yPosition, { align: 'right' });
+      yPosition += 3;
+      doc.line(margin, yPosition, pageWidth - margin, yPosition);
+      yPosition += 5;
+      doc.setFont(undefined, 'normal');
+    };
+
+    drawLedgerHeader();
+    doc.text(format(start, 'MM/dd/yyyy'), col1, yPosition);
+    doc.text('Balance forward', col3, yPosition);
+    doc.text(formatCurrency(openingBalance), col6, yPosition, { align: 'right' });
+    yPosition += 6;
+
+    periodEntries.forEach((entry) => {
+      if (yPosition > 270) {
+        doc.addPage();
+        yPosition = margin;
+        drawLedgerHeader();
+      }
+      const { reference, description } = describeEntry(entry);
+      doc.text(format(entry.createdAt, 'MM/dd/yyyy'), col1, yPosition);
+      doc.text(reference, col2, yPosition);
+      doc.text(description, col3, yPosition, { maxWidth: 50 });
+      if (entry.amount > 0) {
+        doc.text(formatCurrency(entry.amount), col4, yPosition, { align: 'right' });
+      } else {
+        doc.text(formatCurrency(-entry.amount), col5, yPosition, { align: 'right' });
+      }
+      doc.text(formatCurrency(entry.balanceAfter), col6, yPosition, { align: 'right' });
+      yPosition += 6;
+    });
+
+    if (yPosition > 220) {
+      doc.addPage();
+      yPosition = margin;
+    }
+
+    doc.line(margin, yPosition, pageWidth - margin, yPosition);
+    yPosition += 8;
+    doc.setFont(undefined, 'bold');
+    doc.setFontSize(11);
+    doc.text(closingBalance < 0 ? 'Credit Balance:' : 'Amount Due:', margin, yPosition);
+    doc.text(formatCurrency(Math.abs(closingBalance)), pageWidth - margin, yPosition, { align: 'right' });
+    yPosition += 10;
+
+    // Aging summary
+    const bucketWidth = (pageWidth - margin * 2) / (AGING_BUCKETS.length + 1);
+    doc.setFontSize(8);
+    [...AGING_BUCKETS.map(bucket => bucket.label), 'Total'].forEach((label, index) => {
+      doc.text(label, margin + bucketWidth * (index + 1), yPosition, { align: 'right' });
+    });
+    yPosition += 5;
+    doc.setFont(undefined, 'normal');
+    [...AGING_BUCKETS.map(bucket => aging[bucket.key]), aging.total].forEach((value, index) => {
+      doc.text(formatCurrency(value), margin + bucketWidth * (index + 1), yPosition, { align: 'right' });
+    });
+    yPosition += 10;
+
+    doc.setFontSize(8);
+    doc.setTextColor(100, 100, 100);
+    doc.text(
+      'Please settle overdue amounts on or before their due dates. Disregard this statement if payment has already been made.',
+      margin,
+      yPosition,
+      { maxWidth: pageWidth - margin * 2 }
+    );
+    doc.text(`Generated on ${format(new Date(), 'MMMM d, yyyy h:mm a')}`, margin, yPosition + 8);
+    doc.setTextColor(0, 0, 0);
+
+    const pdfBuffer = Buffer.from(doc.output('arraybuffer'));
+
+    const fileName = `Statement_${account.accountNumber}_${format(end, 'yyyy-MM-dd')}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+
+    res.send(pdfBuffer);
+  } catch (error) {
+    next(error);
+  }
+};
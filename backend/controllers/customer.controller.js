@@ -0,0 +1,329 @@
+import mongoose from 'mongoose';
+import Customer from '../models/Customer.model.js';
+import PriceList from '../models/PriceList.model.js';
+import Sale from '../models/Sale.model.js';
+import LoyaltyEntry from '../models/LoyaltyEntry.model.js';
+import { generateCustomerNumber } from '../utils/generateCustomerNumber.js';
+import { roundCurrency } from '../utils/tenders.js';
+
+// Results returned to the checkout lookup
+const LOOKUP_LIMIT = 10;
+
+/**
+ * Turn a duplicate phone number into a readable message
+ */
+const duplicatePhoneResponse = (res) => res.status(400).json({
+  success: false,
+  message: 'Another customer is already registered with this phone number'
+});
+
+/**
+ * Turn a missing price list into a readable message
+ */
+const priceListNotFoundResponse = (res) => res.status(404).json({
+  success: false,
+  message: 'Price list not found'
+});
+
+/**
+ * @desc    Get customers, or look them up by name, phone or TIN at checkout
+ * @route   GET /api/customers
+ * @access  Private/Supplier/Staff
+ */
+export const getCustomers = async (req, res, next) => {
+  try {
+    const { search, isActive, lookup } = req.query;
+
+    const query = {};
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+    if (search) {
+      const escaped = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.$or = [
+        { customerNumber: { $regex: escaped, $options: 'i' } },
+        { name: { $regex: escaped, $options: 'i' } },
+        { phone: { $regex: `^${escaped}` } },
+        { tinNumber: { $regex: `^${escaped}`, $options: 'i' } }
+      ];
+    }
+
+    // The price list comes with its rules so the checkout can show the customer's prices
+    let customersQuery = Customer.find(query).populate('priceList').sort({ name: 1 });
+    // The checkout lookup only needs the closest few matches
+    if (lookup === 'true') customersQuery = customersQuery.limit(LOOKUP_LIMIT);
+    const customers = await customersQuery;
+
+    res.json({
+      success: true,
+      count: customers.length,
+      data: customers
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single customer with purchase totals, last visit and most bought products
+ * @route   GET /api/customers/:id
+ * @access  Private/Supplier/Staff
+ */
+export const getCustomer = async (req, res, next) => {
+  try {
+    const customer = await Customer.findById(req.params.id)
+      .populate('createdBy', 'username')
+      .populate('priceList');
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    // Voided sales stay in the history but do not count towards the totals
+    const match = { customer: new mongoose.Types.ObjectId(customer._id), isVoid: false };
+    const [[totals], topProducts] = await Promise.all([
+      Sale.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: null,
+            salesCount: { $sum: 1 },
+            totalSpent: { $sum: '$total' },
+            totalDiscounts: { $sum: '$discount' },
+            firstVisit: { $min: '$createdAt' },
+            lastVisit: { $max: '$createdAt' }
+          }
+        }
+      ]),
+      Sale.aggregate([
+        { $match: match },
+        { $unwind: '$items' },
+        {
+          $group: {
+            _id: '$items.product',
+            quantity: { $sum: '$items.quantity' },
+            amount: { $sum: '$items.subtotal' }
+          }
+        },
+        { $sort: { quantity: -1 } },
+        { $limit: 5 },
+        { $lookup: { from: 'products', localField: '_id', foreignField: '_id', as: 'product' } },
+        { $unwind: { path: '$product', preserveNullAndEmptyArrays: true } },
+        { $project: { _id: 0, product: '$_id', name: '$product.name', quantity: 1, amount: 1 } }
+      ])
+    ]);
+
+    const salesCount = totals?.salesCount || 0;
+    const totalSpent = roundCurrency(totals?.totalSpent || 0);
+
+    res.json({
+      success: true,
+      data: {
+        ...customer.toJSON(),
+        stats: {
+          salesCount,
+          totalSpent,
+          totalDiscounts: roundCurrency(totals?.totalDiscounts || 0),
+          averageSale: salesCount > 0 ? roundCurrency(totalSpent / salesCount) : 0,
+          firstVisit: totals?.firstVisit || null,
+          lastVisit: totals?.lastVisit || null
+        },
+        topProducts: topProducts.map(product => ({ ...product, amount: roundCurrency(product.amount) }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a customer's loyalty points history
+ * @route   GET /api/customers/:id/loyalty
+ * @access  Private/Supplier/Staff
+ */
+export const getLoyaltyHistory = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const customer = await Customer.exists({ _id: req.params.id });
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const [entries, total] = await Promise.all([
+      LoyaltyEntry.find({ customer: req.params.id })
+        .populate('sale', 'saleNumber')
+        .populate('recordedBy', 'username')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      LoyaltyEntry.countDocuments({ customer: req.params.id })
+    ]);
+
+    res.json({
+      success: true,
+      count: entries.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: entries
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create customer
+ * @route   POST /api/customers
+ * @access  Private/Supplier/Staff
+ */
+export const createCustomer = async (req, res, next) => {
+  try {
+    const { name, phone, email, address, tinNumber, customerType, priceList, notes } = req.body;
+
+    // The customer type decides which price tiers apply, so only an admin can grant one
+    if (customerType && customerType !== 'retail' && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only administrators can set a wholesale or contractor customer type'
+      });
+    }
+
+    if (priceList && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only administrators can assign a price list'
+      });
+    }
+    if (priceList && !await PriceList.exists({ _id: priceList })) {
+      return priceListNotFoundResponse(res);
+    }
+
+    if (phone && await Customer.exists({ phone })) {
+      return duplicatePhoneResponse(res);
+    }
+
+    const customer = await Customer.create({
+      customerNumber: await generateCustomerNumber(),
+      name,
+      phone,
+      email,
+      address,
+      tinNumber,
+      customerType,
+      priceList: priceList || null,
+      notes,
+      createdBy: req.user._id
+    });
+    await customer.populate('priceList');
+
+    res.status(201).json({
+      success: true,
+      message: `Customer ${customer.customerNumber} added for ${customer.name}`,
+      data: customer
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return duplicatePhoneResponse(res);
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update customer
+ * @route   PUT /api/customers/:id
+ * @access  Private/Supplier/Staff
+ */
+export const updateCustomer = async (req, res, next) => {
+  try {
+    const { name, phone, email, address, tinNumber, customerType, priceList, notes, isActive } = req.body;
+
+    const customer = await Customer.findById(req.params.id);
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    if (customerType !== undefined && customerType !== customer.customerType && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only administrators can change a customer type'
+      });
+    }
+
+    // An empty price list takes the customer off negotiated prices
+    const priceListId = priceList === undefined ? undefined : (priceList || null);
+    const priceListChanged = priceListId !== undefined && String(priceListId) !== String(customer.priceList);
+    if (priceListChanged && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only administrators can change a customer price list'
+      });
+    }
+    if (priceListChanged && priceListId && !await PriceList.exists({ _id: priceListId })) {
+      return priceListNotFoundResponse(res);
+    }
+
+    // Past sales keep the details printed on their receipts
+    Object.assign(customer, { name, phone, email, address, tinNumber, notes });
+    if (customerType !== undefined) customer.customerType = customerType;
+    if (priceListChanged) customer.priceList = priceListId;
+    if (isActive !== undefined) customer.isActive = isActive;
+    await customer.save();
+    await customer.populate('priceList');
+
+    res.json({
+      success: true,
+      message: `Customer ${customer.customerNumber} updated`,
+      data: customer
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return duplicatePhoneResponse(res);
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete customer
+ * @route   DELETE /api/customers/:id
+ * @access  Private/Admin
+ */
+export const deleteCustomer = async (req, res, next) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    // Customers with sales are deactivated instead so their history stays linked
+    if (await Sale.exists({ customer: customer._id })) {
+      return res.status(400).json({
+        success: false,
+        message: `${customer.name} has sales on record. Deactivate the customer instead.`
+      });
+    }
+
+    await customer.deleteOne();
+
+    res.json({
+      success: true,
+      message: `Customer ${customer.customerNumber} deleted`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,435 @@
+import Delivery, { DELIVERY_STATUSES, OPEN_DELIVERY_STATUSES } from '../models/Delivery.model.js';
+import Settings from '../models/Settings.model.js';
+import { jsPDF } from 'jspdf';
+import { format, startOfDay, endOfDay } from 'date-fns';
+
+// Statuses a delivery may move to, and the statuses it may move from
+const STATUS_TRANSITIONS = {
+  out_for_delivery: ['scheduled'],
+  delivered: ['out_for_delivery'],
+  failed: ['scheduled', 'out_for_delivery'],
+  // Rescheduling a failed delivery
+  scheduled: ['failed']
+};
+
+const TIME_SLOT_LABELS = {
+  morning: 'Morning',
+  afternoon: 'Afternoon',
+  whole_day: 'Whole Day'
+};
+
+/**
+ * Parse a YYYY-MM-DD date as local midnight
+ */
+const parseLocalDate = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * Format a delivery status for messages
+ */
+const formatStatus = (status) => status.replace(/_/g, ' ');
+
+/**
+ * @desc    Get deliveries, by scheduled date for the dispatch board
+ * @route   GET /api/deliveries
+ * @access  Private/Staff/Admin
+ */
+export const getDeliveries = async (req, res, next) => {
+  try {
+    const { date, status, search } = req.query;
+
+    const query = {};
+    if (date) {
+      const day = parseLocalDate(date);
+      query.scheduledDate = { $gte: startOfDay(day), $lte: endOfDay(day) };
+    }
+    if (search) {
+      const escaped = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.$or = [
+        { deliveryNumber: { $regex: escaped, $options: 'i' } },
+        { saleNumber: { $regex: escaped, $options: 'i' } },
+        { contactName: { $regex: escaped, $options: 'i' } },
+        { address: { $regex: escaped, $options: 'i' } }
+      ];
+    }
+
+    // Counts cover every status of the day so the board can show them while filtered
+    const [deliveries, statusCounts] = await Promise.all([
+      Delivery.find(status ? { ...query, status } : query)
+        .populate('createdBy', 'username')
+        .populate({ path: 'sale', select: 'saleNumber total items', populate: { path: 'items.product', select: 'name unit' } })
+        .sort({ scheduledDate: 1, createdAt: 1 })
+        .limit(500),
+      Delivery.aggregate([
+        { $match: query },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const counts = Object.fromEntries(DELIVERY_STATUSES.map(value => [value, 0]));
+    for (const entry of statusCounts) {
+      counts[entry._id] = entry.count;
+    }
+
+    res.json({
+      success: true,
+      count: deliveries.length,
+      counts,
+      data: deliveries
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single delivery
+ * @route   GET /api/deliveries/:id
+ * @access  Private/Staff/Admin
+ */
+export const getDelivery = async (req, res, next) => {
+  try {
+    const delivery = await Delivery.findById(req.params.id)
+      .populate('createdBy', 'username')
+      .populate('statusHistory.user', 'username')
+      .populate({ path: 'sale', select: 'saleNumber total items customerName', populate: { path: 'items.product', select: 'name unit' } });
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: delivery
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update the address, schedule or vehicle/driver assignment of a delivery
+ * @route   PATCH /api/deliveries/:id
+ * @access  Private/Staff/Admin
+ */
+export const updateDelivery = async (req, res, next) => {
+  try {
+    const fields = ['contactName', 'contactPhone', 'address', 'timeSlot', 'vehicle', 'driver', 'notes'];
+    const updates = {};
+    for (const field of fields) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+    if (req.body.scheduledDate) {
+      updates.scheduledDate = parseLocalDate(req.body.scheduledDate);
+      if (updates.scheduledDate < startOfDay(new Date())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Delivery date cannot be in the past'
+        });
+      }
+    }
+
+    // Delivered and cancelled deliveries are kept as they were
+    const delivery = await Delivery.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: OPEN_DELIVERY_STATUSES } },
+      { $set: updates },
+      { new: true, runValidators: true }
+    ).populate({ path: 'sale', select: 'saleNumber total items', populate: { path: 'items.product', select: 'name unit' } });
+
+    if (!delivery) {
+      const existing = await Delivery.findById(req.params.id).select('status');
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Delivery not found'
+        });
+      }
+      return res.status(400).json({
+        success: false,
+        message: `A delivery that is ${formatStatus(existing.status)} cannot be changed`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Delivery ${delivery.deliveryNumber} updated`,
+      data: delivery
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Move a delivery along: dispatch it, mark it delivered or failed, or reschedule a failed one
+ * @route   PATCH /api/deliveries/:id/status
+ * @access  Private/Staff/Admin
+ */
+export const updateDeliveryStatus = async (req, res, next) => {
+  try {
+    const { status, note, receivedBy, scheduledDate } = req.body;
+
+    const delivery = await Delivery.findById(req.params.id);
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found'
+      });
+    }
+
+    const fromStatuses = STATUS_TRANSITIONS[status];
+    if (!fromStatuses.includes(delivery.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A delivery that is ${formatStatus(delivery.status)} cannot be marked as ${formatStatus(status)}`
+      });
+    }
+
+    const now = new Date();
+    const updates = { status };
+    if (status === 'out_for_delivery') {
+      if (!delivery.vehicle || !delivery.driver) {
+        return res.status(400).json({
+          success: false,
+          message: 'Assign a vehicle and driver before dispatching the delivery'
+        });
+      }
+      updates.dispatchedAt = now;
+    } else if (status === 'delivered') {
+      if (!receivedBy) {
+        return res.status(400).json({
+          success: false,
+          message: 'Enter the name of the person who received the delivery'
+        });
+      }
+      updates.deliveredAt = now;
+      updates.receivedBy = receivedBy;
+    } else if (status === 'failed') {
+      if (!note) {
+        return res.status(400).json({
+          success: false,
+          message: 'Enter why the delivery failed'
+        });
+      }
+      updates.failureReason = note;
+    } else if (status === 'scheduled') {
+      if (!scheduledDate) {
+        return res.status(400).json({
+          success: false,
+          message: 'Choose the new delivery date'
+        });
+      }
+      updates.scheduledDate = parseLocalDate(scheduledDate);
+      if (updates.scheduledDate < startOfDay(now)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Delivery date cannot be in the past'
+        });
+      }
+      updates.dispatchedAt = null;
+    }
+
+    // Conditional update: two dispatchers moving the same delivery cannot both succeed
+    const updated = await Delivery.findOneAndUpdate(
+      { _id: delivery._id, status: delivery.status },
+      {
+        $set: updates,
+        $push: { statusHistory: { status, note: note || undefined, user: req.user._id, at: now } }
+      },
+      { new: true, runValidators: true }
+    ).populate({ path: 'sale', select: 'saleNumber total items', populate: { path: 'items.product', select: 'name unit' } });
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Delivery was updated by another user while this request was being processed'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Delivery ${updated.deliveryNumber} marked as ${formatStatus(status)}`,
+      data: updated
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Export the delivery receipt the customer signs on delivery
+ * @route   GET /api/deliveries/:id/pdf
+ * @access  Private/Staff/Admin
+ */
+export const exportDeliveryReceiptPDF = async (req, res, next) => {
+  try {
+    const delivery = await Delivery.findById(req.params.id)
+      .populate({ path: 'sale', select: 'saleNumber receiptNumber createdAt items', populate: { path: 'items.product', select: 'name unit' } });
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found'
+      });
+    }
+
+    const settings = await Settings.getSettings();
+    const store = settings.receipting || {};
+
+    const doc = new jsPDF();
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const margin = 14;
+    let yPosition = margin;
+
+    // Header
+    doc.setFontSize(16);
+    doc.setFont(undefined, 'bold');
+    doc.text(store.tradeName || store.registeredName || 'BLCM Sales and Inventory System', pageWidth / 2, yPosition, { align: 'center' });
+    yPosition += 6;
+
+    doc.setFontSize(9);
+    doc.setFont(undefined, 'normal');
+    doc.setTextColor(100, 100, 100);
+    const storeLines = [
+      store.tradeName && store.registeredName,
+      store.address,
+      store.tin && `TIN: ${store.tin}`
+    ].filter(Boolean);
+    storeLines.forEach((line) => {
+      doc.text(line, pageWidth / 2, yPosition, { align: 'center' });
+      yPosition += 5;
+    });
+
+    doc.setFontSize(12);
+    doc.setFont(undefined, 'bold');
+    doc.setTextColor(0, 0, 0);
+    yPosition += 2;
+    doc.text('DELIVERY RECEIPT', pageWidth / 2, yPosition, { align: 'center' });
+    yPosition += 8;
+
+    doc.setLineWidth(0.2);
+    doc.line(margin, yPosition, pageWidth - margin, yPosition);
+    yPosition += 8;
+
+    // Delivery details
+    doc.setFontSize(9);
+    doc.setFont(undefined, 'normal');
+    const details = [
+      ['DR Number:', delivery.deliveryNumber],
+      ['Sale Number:', delivery.saleNumber],
+      ['Delivery Date:', `${format(delivery.scheduledDate, 'MMMM d, yyyy')} (${TIME_SLOT_LABELS[delivery.timeSlot] || delivery.timeSlot})`],
+      ['Vehicle:', delivery.vehicle || '____________________'],
+      ['Driver:', delivery.driver || '____________________']
+    ];
+    details.forEach(([label, value]) => {
+      doc.text(label, margin, yPosition);
+      doc.text(String(value), pageWidth - margin, yPosition, { align: 'right' });
+      yPosition += 6;
+    });
+    yPosition += 2;
+
+    // Deliver to
+    doc.line(margin, yPosition, pageWidth - margin, yPosition);
+    yPosition += 8;
+    doc.setFont(undefined, 'bold');
+    doc.setFontSize(10);
+    doc.text('Deliver To', margin, yPosition);
+    yPosition += 7;
+    doc.setFont(undefined, 'normal');
+    doc.setFontSize(9);
+    const recipient = [
+      ['Name:', delivery.contactName],
+      ['Contact Number:', delivery.contactPhone]
+    ].filter(([, value]) => value);
+    recipient.forEach(([label, value]) => {
+      doc.setTextColor(100, 100, 100);
+      doc.text(label, margin, yPosition);
+      doc.setTextColor(0, 0, 0);
+      doc.text(value, pageWidth - margin, yPosition, { align: 'right' });
+      yPosition += 6;
+    });
+    doc.setTextColor(100, 100, 100);
+    doc.text('Address:', margin, yPosition);
+    doc.setTextColor(0, 0, 0);
+    const addressLines = doc.splitTextToSize(delivery.address, pageWidth - margin * 2 - 40);
+    doc.text(addressLines, pageWidth - margin, yPosition, { align: 'right' });
+    yPosition += addressLines.length * 5 + 1;
+    if (delivery.notes) {
+      doc.setTextColor(100, 100, 100);
+      doc.text(`Notes: ${delivery.notes}`, margin, yPosition, { maxWidth: pageWidth - margin * 2 });
+      doc.setTextColor(0, 0, 0);
+      yPosition += 6;
+    }
+    yPosition += 4;
+
+    // Items; quantities only, the sale receipt carries the prices
+    const col1 = margin;
+    const col2 = pageWidth - margin - 40;
+    const col3 = pageWidth - margin;
+
+    doc.line(margin, yPosition, pageWidth - margin, yPosition);
+    yPosition += 8;
+    doc.setFont(undefined, 'bold');
+    doc.setFontSize(8);
+    doc.text('Item', col1, yPosition);
+    doc.text('Qty', col2, yPosition, { align: 'right' });
+    doc.text('Unit', col3, yPosition, { align: 'right' });
+    yPosition += 4;
+    doc.line(margin, yPosition, pageWidth - margin, yPosition);
+    yPosition += 6;
+
+    doc.setFont(undefined, 'normal');
+    (delivery.sale?.items || []).forEach((item) => {
+      if (yPosition > 240) {
+        doc.addPage();
+        yPosition = margin;
+      }
+      doc.text(item.product?.name || 'Unknown Product', col1, yPosition, { maxWidth: col2 - col1 - 20 });
+      doc.text(item.quantity.toString(), col2, yPosition, { align: 'right' });
+      doc.text(item.product?.unit || '-', col3, yPosition, { align: 'right' });
+      yPosition += 6;
+    });
+    yPosition += 4;
+    doc.line(margin, yPosition, pageWidth - margin, yPosition);
+    yPosition += 10;
+
+    // Acknowledgement and signatures
+    if (yPosition > 240) {
+      doc.addPage();
+      yPosition = margin;
+    }
+    doc.setFontSize(9);
+    doc.text('Received the above items in good order and condition.', margin, yPosition);
+    yPosition += 20;
+
+    const signatureWidth = (pageWidth - margin * 3) / 2;
+    const rightColumn = margin * 2 + signatureWidth;
+    doc.line(margin, yPosition, margin + signatureWidth, yPosition);
+    doc.line(rightColumn, yPosition, rightColumn + signatureWidth, yPosition);
+    yPosition += 5;
+    doc.setFontSize(8);
+    doc.text('Received by (Signature over Printed Name)', margin, yPosition);
+    doc.text('Delivered by', rightColumn, yPosition);
+    yPosition += 12;
+    doc.line(margin, yPosition, margin + signatureWidth, yPosition);
+    yPosition += 5;
+    doc.text('Date Received', margin, yPosition);
+
+    const pdfBuffer = Buffer.from(doc.output('arraybuffer'));
+
+    const fileName = `DR_${delivery.deliveryNumber}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+
+    res.send(pdfBuffer);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,194 @@
+import HeldCart, { HELD_CART_EXPIRY_HOURS } from '../models/HeldCart.model.js';
+import Product from '../models/Product.model.js';
+
+/**
+ * @desc    Get active held carts from all terminals
+ * @route   GET /api/held-carts
+ * @access  Private/Supplier/Staff
+ */
+export const getHeldCarts = async (req, res, next) => {
+  try {
+    const heldCarts = await HeldCart.find({ expiresAt: { $gt: new Date() } })
+      .populate('heldBy', 'firstName lastName username')
+      .populate('items.product', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: heldCarts.length,
+      data: heldCarts
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get quantities soft-reserved by held carts, per product
+ * @route   GET /api/held-carts/reservations
+ * @access  Private/Supplier/Staff
+ */
+export const getReservations = async (req, res, next) => {
+  try {
+    const reservations = await HeldCart.aggregate([
+      { $match: { reserveStock: true, expiresAt: { $gt: new Date() } } },
+      { $unwind: '$items' },
+      {
+        $group: {
+          _id: '$items.product',
+          quantity: { $sum: '$items.quantity' }
+        }
+      },
+      { $project: { _id: 0, product: '$_id', quantity: 1 } }
+    ]);
+
+    res.json({
+      success: true,
+      data: reservations
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Hold (park) the current cart
+ * @route   POST /api/held-carts
+ * @access  Private/Supplier/Staff
+ */
+export const createHeldCart = async (req, res, next) => {
+  try {
+    const {
+      label,
+      items,
+      saleDiscount,
+      statutoryDiscount,
+      customer,
+      customerName,
+      customerPhone,
+      tinNumber,
+      reserveStock,
+      registerId
+    } = req.body;
+
+    const productIds = items.map(item => item.product);
+    if (new Set(productIds).size !== productIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each product can only appear once in a held cart'
+      });
+    }
+
+    const products = await Product.find({ _id: { $in: productIds } }).select('name isActive');
+    for (const item of items) {
+      const product = products.find(p => p._id.toString() === item.product);
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: `Product ${item.product} not found`
+        });
+      }
+      if (!product.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: `Product ${product.name} is not active`
+        });
+      }
+    }
+
+    const heldCart = await HeldCart.create({
+      label,
+      items: items.map(item => ({
+        product: item.product,
+        quantity: item.quantity,
+        discount: parseFloat(item.discount?.value) > 0 ? item.discount : undefined
+      })),
+      saleDiscount: parseFloat(saleDiscount?.value) > 0 ? saleDiscount : undefined,
+      statutoryDiscount: statutoryDiscount?.type ? statutoryDiscount : undefined,
+      customer,
+      customerName,
+      customerPhone,
+      tinNumber,
+      reserveStock: !!reserveStock,
+      registerId: registerId || undefined,
+      heldBy: req.user._id,
+      expiresAt: new Date(Date.now() + HELD_CART_EXPIRY_HOURS * 60 * 60 * 1000)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Cart "${heldCart.label}" has been put on hold`,
+      data: heldCart
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Resume a held cart
+ * @route   POST /api/held-carts/:id/resume
+ * @access  Private/Supplier/Staff
+ * @note    The held cart is removed when it is resumed, which releases its reservation and
+ *          keeps two terminals from resuming the same cart
+ */
+export const resumeHeldCart = async (req, res, next) => {
+  try {
+    const heldCart = await HeldCart.findOneAndDelete({
+      _id: req.params.id,
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (!heldCart) {
+      return res.status(404).json({
+        success: false,
+        message: 'Held cart not found. It may have expired or been resumed on another terminal.'
+      });
+    }
+
+    await heldCart.populate('items.product');
+    // The customer's price list is needed to reprice the cart
+    await heldCart.populate({ path: 'customer', populate: { path: 'priceList' } });
+
+    res.json({
+      success: true,
+      data: heldCart
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Discard a held cart
+ * @route   DELETE /api/held-carts/:id
+ * @access  Private/Supplier/Staff (own carts), Admin (any cart)
+ */
+export const deleteHeldCart = async (req, res, next) => {
+  try {
+    const heldCart = await HeldCart.findById(req.params.id);
+
+    if (!heldCart) {
+      return res.status(404).json({
+        success: false,
+        message: 'Held cart not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && heldCart.heldBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the cashier who held this cart or an admin can discard it'
+      });
+    }
+
+    await heldCart.deleteOne();
+
+    res.json({
+      success: true,
+      message: `Held cart "${heldCart.label}" has been discarded`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,86 @@
+import JournalEntry from '../models/JournalEntry.model.js';
+import { format } from 'date-fns';
+
+/**
+ * Build the createdAt filter for a journal date range
+ * @param {Object} query - Request query with optional startDate and endDate
+ * @returns {Object} Mongo query
+ */
+const buildJournalQuery = ({ startDate, endDate, event }) => {
+  const query = {};
+  if (event) query.event = event;
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = new Date(startDate);
+    if (endDate) {
+      const end = new Date(endDate);
+      end.setHours(23, 59, 59, 999);
+      query.createdAt.$lte = end;
+    }
+  }
+  return query;
+};
+
+/**
+ * @desc    Get electronic journal entries
+ * @route   GET /api/journal
+ * @access  Private/Admin
+ */
+export const getJournalEntries = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 50;
+    const query = buildJournalQuery(req.query);
+
+    const [entries, total] = await Promise.all([
+      JournalEntry.find(query)
+        .select('-content')
+        .populate('user', 'username')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      JournalEntry.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      count: entries.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: entries
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Export the electronic journal as a text file, oldest entry first
+ * @route   GET /api/journal/export
+ * @access  Private/Admin
+ */
+export const exportJournal = async (req, res, next) => {
+  try {
+    const query = buildJournalQuery(req.query);
+
+    const entries = await JournalEntry.find(query)
+      .populate('user', 'username')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const text = entries.map(entry => [
+      `[${format(entry.createdAt, 'yyyy-MM-dd HH:mm:ss')}] ${entry.event.toUpperCase()} ${entry.receiptNumber || entry.saleNumber} by ${entry.user?.username || 'unknown'}`
+        + (entry.grandTotal !== null ? ` | Grand Total: ${entry.grandTotal.toFixed(2)}` : ''),
+      entry.content
+    ].join('\n')).join(`\n${'='.repeat(40)}\n`);
+
+    const fileName = `EJournal_${format(new Date(), 'yyyy-MM-dd')}.txt`;
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    res.send(text || 'No journal entries for the selected period.');
+  } catch (error) {
+    next(error);
+  }
+};
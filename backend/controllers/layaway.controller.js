@@ -0,0 +1,744 @@
+import Layaway from '../models/Layaway.model.js';
+import Sale, { LAYAWAY_TENDER } from '../models/Sale.model.js';
+import Product from '../models/Product.model.js';
+import Settings from '../models/Settings.model.js';
+import StockHistory from '../models/StockHistory.model.js';
+import Shift from '../models/Shift.model.js';
+import Customer from '../models/Customer.model.js';
+import { generateLayawayNumber } from '../utils/generateLayawayNumber.js';
+import { generateSaleNumber } from '../utils/generateSaleNumber.js';
+import { validateTenders, roundCurrency } from '../utils/tenders.js';
+import { applyDiscounts } from '../utils/discounts.js';
+import { getCustomerPriceList, resolveLinePrice } from '../utils/pricing.js';
+import { resolveAdminApproval } from '../utils/approvals.js';
+import { getTaxConfig, calculateTaxes } from '../utils/taxes.js';
+import { runInTransaction } from '../utils/transaction.js';
+import { HttpError } from '../utils/httpError.js';
+import { issueReceiptNumber, addToGrandTotal } from '../utils/receipting.js';
+import { recordJournalEntry } from '../utils/journal.js';
+import { getLoyaltyConfig, calculatePointsEarned, postLoyalty } from '../utils/loyalty.js';
+import { addDays, endOfDay } from 'date-fns';
+
+/**
+ * Format currency for messages
+ */
+const formatCurrency = (value) => {
+  const numValue = parseFloat(value) || 0;
+  return `PHP ${numValue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+/**
+ * Parse a YYYY-MM-DD string as a local date
+ */
+const parseLocalDate = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * Get the layaway terms from settings, with defaults for settings saved before layaways existed
+ * @param {Object} settings - Settings document
+ * @returns {Object} { minDepositPercent, termDays, forfeitPercent, forfeitFee }
+ */
+const getLayawayConfig = (settings) => ({
+  minDepositPercent: settings.layaway?.minDepositPercent ?? 20,
+  termDays: settings.layaway?.termDays ?? 60,
+  forfeitPercent: settings.layaway?.forfeitPercent ?? 10,
+  forfeitFee: settings.layaway?.forfeitFee ?? 0
+});
+
+/**
+ * Work out what is kept and what is refunded when a layaway is cancelled
+ * The forfeited share of the payments plus the flat fee, never more than was paid
+ * @param {number} amountPaid - Payments made on the layaway
+ * @param {Object} config - Layaway config from getLayawayConfig
+ * @returns {Object} { forfeitedAmount, refundAmount }
+ */
+const calculateForfeiture = (amountPaid, config) => {
+  const forfeitedAmount = Math.min(
+    roundCurrency(amountPaid),
+    roundCurrency(amountPaid * (config.forfeitPercent / 100) + config.forfeitFee)
+  );
+  return {
+    forfeitedAmount,
+    refundAmount: roundCurrency(amountPaid - forfeitedAmount)
+  };
+};
+
+/**
+ * Price layaway lines at current selling, tier and price list prices with the same discount and VAT rules as a sale
+ * @param {Array} items - [{ product, quantity, discount }]
+ * @param {Object} [saleDiscount] - Layaway-level discount { type, value }
+ * @param {Object} settings - Settings document
+ * @param {Object} [customer] - Linked customer with its priceList populated, for tier and price list prices
+ * @returns {Promise<Object>} { fields, discretionaryDiscount, discretionaryPercent }, or { error, status }
+ */
+const priceLayaway = async (items, saleDiscount, settings, customer) => {
+  const productIds = items.map(item => item.product);
+  if (new Set(productIds.map(String)).size !== productIds.length) {
+    return { error: 'Each product can only appear once in a layaway', status: 400 };
+  }
+
+  const products = await Product.find({ _id: { $in: productIds } });
+  const productMap = new Map(products.map(p => [p._id.toString(), p]));
+  const priceList = getCustomerPriceList(customer);
+
+  const pricedItems = [];
+  for (const item of items) {
+    const product = productMap.get(item.product.toString());
+    if (!product || !product.isActive) {
+      return { error: `Product with ID ${item.product} not found`, status: 404 };
+    }
+
+    // Early check against the current stock; the conditional decrement when reserving is what prevents overselling
+    if (product.stockQuantity < item.quantity) {
+      return {
+        error: `Insufficient stock for ${product.name}. Available: ${product.stockQuantity}, Requested: ${item.quantity}`,
+        status: 400
+      };
+    }
+
+    const { price, priceTier, priceList: appliedPriceList } = resolveLinePrice(product, item.quantity, customer?.customerType, priceList);
+
+    pricedItems.push({
+      product: product._id,
+      quantity: item.quantity,
+      price,
+      priceTier,
+      priceList: appliedPriceList,
+      discount: item.discount
+    });
+  }
+
+  const pricing = applyDiscounts({ items: pricedItems, saleDiscount });
+  if (pricing.error) {
+    return { error: pricing.error, status: 400 };
+  }
+
+  const taxConfig = getTaxConfig(settings);
+  const layawayItems = pricing.items.map(item => ({
+    ...item,
+    taxClass: productMap.get(item.product.toString()).taxClass || 'vatable'
+  }));
+  const taxes = calculateTaxes(
+    layawayItems.map(item => ({ amount: item.subtotal - item.discountAmount, taxClass: item.taxClass })),
+    taxConfig
+  );
+
+  return {
+    discretionaryDiscount: pricing.discretionaryDiscount,
+    discretionaryPercent: pricing.discretionaryPercent,
+    fields: {
+      items: layawayItems,
+      subtotal: pricing.subtotal,
+      discount: pricing.discount,
+      saleDiscount: pricing.saleDiscount,
+      vatableSales: taxes.vatableSales,
+      vatExemptSales: taxes.vatExemptSales,
+      zeroRatedSales: taxes.zeroRatedSales,
+      tax: taxes.tax,
+      total: taxes.total,
+      vatRate: settings.vatRate ?? 12,
+      pricesIncludeVat: taxConfig.pricesIncludeVat,
+      vatRegistered: taxConfig.vatRegistered
+    }
+  };
+};
+
+/**
+ * Post the sale for a layaway that has been paid in full
+ * The stock was taken when the layaway was opened, so only the sale, its receipt number, the grand total,
+ * loyalty and the journal are written; the payments already collected settle it as one layaway tender
+ * @param {Object} params
+ * @param {Object} params.layaway - Paid-up layaway
+ * @param {Object} params.shift - Shift releasing the goods
+ * @param {Object} params.settings - Settings document
+ * @param {Object} params.user - User releasing the goods
+ * @param {ClientSession} params.session - Transaction session
+ * @returns {Promise<Object>} Created sale
+ */
+const postLayawaySale = async ({ layaway, shift, settings, user, session }) => {
+  const registerId = shift.registerId || layaway.registerId;
+  const saleNumber = await generateSaleNumber(session, { registerId, settings });
+  const receiptNumber = settings.receipting?.birMode
+    ? await issueReceiptNumber(settings.receipting, session)
+    : undefined;
+  const accumulatedGrandTotal = await addToGrandTotal(layaway.total, session);
+
+  const [sale] = await Sale.create([{
+    saleNumber,
+    receiptNumber,
+    registerId: registerId || undefined,
+    shift: shift._id,
+    customer: layaway.customer,
+    customerName: layaway.customerName,
+    customerEmail: layaway.customerEmail,
+    customerPhone: layaway.customerPhone,
+    tinNumber: layaway.tinNumber,
+    layaway: layaway._id,
+    items: layaway.items.map(item => item.toObject()),
+    subtotal: layaway.subtotal,
+    discount: layaway.discount,
+    saleDiscount: layaway.saleDiscount?.toObject(),
+    discountApprovedBy: layaway.discountApprovedBy,
+    discountApprovalMethod: layaway.discountApprovalMethod,
+    vatableSales: layaway.vatableSales,
+    vatExemptSales: layaway.vatExemptSales,
+    zeroRatedSales: layaway.zeroRatedSales,
+    tax: layaway.tax,
+    vatRate: layaway.vatRate,
+    pricesIncludeVat: layaway.pricesIncludeVat,
+    vatRegistered: layaway.vatRegistered,
+    total: layaway.total,
+    payments: [{ method: LAYAWAY_TENDER, amount: layaway.total, referenceNumber: layaway.layawayNumber }],
+    paymentMethod: LAYAWAY_TENDER,
+    cashier: user._id,
+    receiptGenerated: true,
+    accumulatedGrandTotal
+  }], { session });
+
+  // Points are earned when the goods are released, like any other sale
+  const loyaltyConfig = getLoyaltyConfig(settings);
+  if (layaway.customer && loyaltyConfig.enabled) {
+    const customer = await Customer.findById(layaway.customer).session(session);
+    if (customer) {
+      const products = await Product.find({ _id: { $in: sale.items.map(item => item.product) } })
+        .select('category')
+        .session(session);
+      const categories = new Map(products.map(product => [product._id.toString(), product.category]));
+      const pointsEarned = calculatePointsEarned({
+        items: sale.items.map(item => ({ ...item.toObject(), category: categories.get(item.product.toString()) })),
+        total: sale.total,
+        redeemedAmount: 0,
+        config: loyaltyConfig
+      });
+      sale.loyalty = await postLoyalty({
+        customer,
+        sale,
+        pointsEarned,
+        pointsRedeemed: 0,
+        redeemedAmount: 0,
+        user: user._id,
+        session
+      });
+      await sale.save({ session });
+    }
+  }
+
+  await sale.populate('cashier', 'username');
+  await sale.populate('items.product', 'name');
+  await recordJournalEntry({
+    event: 'issued',
+    sale,
+    settings,
+    user: user._id,
+    grandTotal: accumulatedGrandTotal,
+    session
+  });
+
+  return sale;
+};
+
+/**
+ * Populate a layaway for display
+ */
+const populateLayaway = (query) => query
+  .populate('createdBy', 'username')
+  .populate('items.product', 'name unit')
+  .populate('payments.receivedBy', 'username')
+  .populate('cancellation.cancelledBy', 'username')
+  .populate('sale', 'saleNumber receiptNumber');
+
+/**
+ * @desc    Get layaways
+ * @route   GET /api/layaways
+ * @access  Private/Supplier/Staff
+ */
+export const getLayaways = async (req, res, next) => {
+  try {
+    const { status, search, overdue } = req.query;
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const query = {};
+    if (status) query.status = status;
+    // Overdue: still unpaid after the end of the deadline day
+    if (overdue === 'true') {
+      query.status = 'active';
+      query.deadline = { $lt: new Date() };
+    }
+    if (search) {
+      const escaped = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.$or = [
+        { layawayNumber: { $regex: escaped, $options: 'i' } },
+        { customerName: { $regex: escaped, $options: 'i' } },
+        { customerPhone: { $regex: escaped, $options: 'i' } }
+      ];
+    }
+
+    const [layaways, total, overdueCount] = await Promise.all([
+      populateLayaway(Layaway.find(query))
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Layaway.countDocuments(query),
+      Layaway.countDocuments({ status: 'active', deadline: { $lt: new Date() } })
+    ]);
+
+    res.json({
+      success: true,
+      count: layaways.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      overdueCount,
+      data: layaways
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single layaway, with what cancelling it now would forfeit and refund
+ * @route   GET /api/layaways/:id
+ * @access  Private/Supplier/Staff
+ */
+export const getLayaway = async (req, res, next) => {
+  try {
+    const layaway = await populateLayaway(Layaway.findById(req.params.id));
+
+    if (!layaway) {
+      return res.status(404).json({
+        success: false,
+        message: 'Layaway not found'
+      });
+    }
+
+    const settings = await Settings.getSettings();
+    const data = layaway.toObject();
+    if (layaway.status === 'active') {
+      data.cancellationTerms = calculateForfeiture(layaway.amountPaid, getLayawayConfig(settings));
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Open a layaway: price the goods, take the deposit and reserve the stock
+ * @route   POST /api/layaways
+ * @access  Private/Supplier/Staff
+ */
+export const createLayaway = async (req, res, next) => {
+  try {
+    const {
+      items,
+      saleDiscount,
+      customer: customerId,
+      customerName,
+      customerPhone,
+      customerEmail,
+      tinNumber,
+      payments = [],
+      deadline,
+      notes,
+      registerId,
+      discountApprovalCode,
+      approver
+    } = req.body;
+
+    // Deposits go into the cashier's drawer, so layaways are opened against the open shift
+    const shift = await Shift.findOne({ cashier: req.user._id, status: 'open' });
+    if (!shift) {
+      return res.status(400).json({
+        success: false,
+        message: 'Open a shift before taking layaway deposits'
+      });
+    }
+
+    const tenders = payments.map(payment => ({
+      method: payment.method,
+      amount: roundCurrency(payment.amount),
+      referenceNumber: payment.method !== 'cash' ? payment.referenceNumber?.toString().trim() || undefined : undefined
+    }));
+    if (tenders.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A deposit is required to open a layaway'
+      });
+    }
+    const tenderError = validateTenders(tenders);
+    if (tenderError) {
+      return res.status(400).json({
+        success: false,
+        message: tenderError
+      });
+    }
+
+    let customer = null;
+    if (customerId) {
+      customer = await Customer.findById(customerId).populate('priceList');
+      if (!customer) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer not found'
+        });
+      }
+      if (!customer.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: `Customer ${customer.customerNumber} is inactive`
+        });
+      }
+    }
+    const layawayCustomerName = customerName || customer?.name;
+    if (!layawayCustomerName) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enter the customer name for the layaway'
+      });
+    }
+
+    const settings = await Settings.getSettings();
+    const config = getLayawayConfig(settings);
+    const pricing = await priceLayaway(items, saleDiscount, settings, customer);
+    if (pricing.error) {
+      return res.status(pricing.status).json({
+        success: false,
+        message: pricing.error
+      });
+    }
+    const { total } = pricing.fields;
+
+    // The deposit must meet the minimum and leave a balance; paying in full is a regular sale
+    const deposit = roundCurrency(tenders.reduce((sum, tender) => sum + tender.amount, 0));
+    const minDeposit = roundCurrency(total * (config.minDepositPercent / 100));
+    if (deposit >= total) {
+      return res.status(400).json({
+        success: false,
+        message: 'The deposit covers the whole amount. Ring it up as a regular sale instead.'
+      });
+    }
+    if (deposit < minDeposit) {
+      return res.status(400).json({
+        success: false,
+        message: `The deposit must be at least ${config.minDepositPercent}% of the total (${formatCurrency(minDeposit)})`
+      });
+    }
+
+    const deadlineDate = deadline
+      ? endOfDay(parseLocalDate(deadline))
+      : endOfDay(addDays(new Date(), config.termDays));
+    if (deadlineDate < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'The payment deadline cannot be in the past'
+      });
+    }
+
+    // Discretionary discounts above the configured threshold need admin approval, as at checkout
+    let discountApprovedBy;
+    let discountApprovalMethod;
+    const threshold = settings.discountApprovalThreshold ?? 10;
+    if (pricing.discretionaryDiscount > 0 && pricing.discretionaryPercent > threshold) {
+      const approval = await resolveAdminApproval({
+        user: req.user,
+        code: discountApprovalCode,
+        credentials: approver,
+        settings,
+        missingMessage: `Discount of ${pricing.discretionaryPercent.toFixed(2)}% exceeds the ${threshold}% approval threshold. Admin approval is required`
+      });
+      if (approval.status) {
+        return res.status(approval.status).json({
+          success: false,
+          message: approval.message
+        });
+      }
+      discountApprovedBy = approval.approvedBy;
+      discountApprovalMethod = approval.method;
+    }
+
+    // The layaway number, the reserved stock and its history commit or roll back together
+    const layaway = await runInTransaction(async (session) => {
+      const layawayNumber = await generateLayawayNumber(session);
+      const stockMovements = [];
+
+      for (const item of pricing.fields.items) {
+        // Conditional decrement: fails instead of overselling when another checkout took the stock first
+        const updated = await Product.findOneAndUpdate(
+          { _id: item.product, stockQuantity: { $gte: item.quantity } },
+          { $inc: { stockQuantity: -item.quantity } },
+          { new: true, session }
+        );
+
+        if (!updated) {
+          const current = await Product.findById(item.product).select('name stockQuantity').session(session);
+          throw new HttpError(
+            409,
+            `Insufficient stock for ${current?.name || item.product}. Available: ${current?.stockQuantity ?? 0}, Requested: ${item.quantity}. Stock changed while this layaway was being processed.`
+          );
+        }
+
+        stockMovements.push({
+          product: updated._id,
+          type: 'LAYAWAY',
+          quantity: -item.quantity,
+          previousQuantity: updated.stockQuantity + item.quantity,
+          newQuantity: updated.stockQuantity,
+          referenceId: layawayNumber,
+          addedBy: req.user._id,
+          remarks: 'Reserved for layaway'
+        });
+      }
+
+      await StockHistory.insertMany(stockMovements, { session });
+
+      const [created] = await Layaway.create([{
+        layawayNumber,
+        customer: customer?._id,
+        customerName: layawayCustomerName,
+        customerPhone: customerPhone || customer?.phone,
+        customerEmail: customerEmail || customer?.email,
+        tinNumber: tinNumber || customer?.tinNumber,
+        registerId: registerId || shift.registerId || undefined,
+        ...pricing.fields,
+        discountApprovedBy,
+        discountApprovalMethod,
+        payments: tenders.map(tender => ({ ...tender, shift: shift._id, receivedBy: req.user._id })),
+        amountPaid: deposit,
+        balance: roundCurrency(total - deposit),
+        deadline: deadlineDate,
+        notes,
+        createdBy: req.user._id
+      }], { session });
+
+      return created;
+    });
+
+    const populated = await populateLayaway(Layaway.findById(layaway._id));
+
+    res.status(201).json({
+      success: true,
+      message: `Layaway ${populated.layawayNumber} opened. Balance: ${formatCurrency(populated.balance)}`,
+      data: populated
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Record a layaway payment; the payment that clears the balance completes the layaway and posts the sale
+ * @route   POST /api/layaways/:id/payments
+ * @access  Private/Supplier/Staff
+ */
+export const recordLayawayPayment = async (req, res, next) => {
+  try {
+    const { method, referenceNumber } = req.body;
+    const amount = roundCurrency(req.body.amount);
+
+    const tenderError = validateTenders([{ method, amount, referenceNumber: referenceNumber?.trim() }]);
+    if (tenderError) {
+      return res.status(400).json({
+        success: false,
+        message: tenderError
+      });
+    }
+
+    // Payments are counted in the drawer of the shift they are taken in, and the final one posts a sale
+    const shift = await Shift.findOne({ cashier: req.user._id, status: 'open' });
+    if (!shift) {
+      return res.status(400).json({
+        success: false,
+        message: 'Open a shift before taking layaway payments'
+      });
+    }
+
+    const layaway = await Layaway.findById(req.params.id);
+    if (!layaway) {
+      return res.status(404).json({
+        success: false,
+        message: 'Layaway not found'
+      });
+    }
+
+    if (layaway.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: `Layaway ${layaway.layawayNumber} is ${layaway.status}`
+      });
+    }
+
+    if (amount > layaway.balance) {
+      return res.status(400).json({
+        success: false,
+        message: `Payment exceeds the balance of ${formatCurrency(layaway.balance)}`
+      });
+    }
+
+    const settings = await Settings.getSettings();
+    const balance = roundCurrency(layaway.balance - amount);
+
+    // The payment, and when it clears the balance the sale that releases the goods, commit together
+    const result = await runInTransaction(async (session) => {
+      // Conditional update on the balance: two payments taken at once cannot both apply to the same balance
+      const updated = await Layaway.findOneAndUpdate(
+        { _id: layaway._id, status: 'active', balance: layaway.balance },
+        {
+          $push: {
+            payments: {
+              method,
+              amount,
+              referenceNumber: method !== 'cash' ? referenceNumber?.trim() : undefined,
+              shift: shift._id,
+              receivedBy: req.user._id
+            }
+          },
+          $set: {
+            amountPaid: roundCurrency(layaway.amountPaid + amount),
+            balance
+          }
+        },
+        { new: true, session }
+      );
+      if (!updated) {
+        throw new HttpError(409, `Layaway ${layaway.layawayNumber} was updated by another user while this payment was being processed`);
+      }
+
+      if (balance > 0) {
+        return { layaway: updated, sale: null };
+      }
+
+      const sale = await postLayawaySale({ layaway: updated, shift, settings, user: req.user, session });
+      updated.status = 'completed';
+      updated.sale = sale._id;
+      updated.completedAt = new Date();
+      await updated.save({ session });
+      return { layaway: updated, sale };
+    });
+
+    const populated = await populateLayaway(Layaway.findById(result.layaway._id));
+
+    res.status(201).json({
+      success: true,
+      message: result.sale
+        ? `Layaway ${populated.layawayNumber} is paid in full. Sale ${result.sale.saleNumber} posted; release the goods to the customer.`
+        : `Payment of ${formatCurrency(amount)} recorded. Balance: ${formatCurrency(populated.balance)}`,
+      data: populated,
+      sale: result.sale
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Cancel a layaway: the stock goes back on the shelf and the payments less the forfeiture are refunded in cash
+ * @route   POST /api/layaways/:id/cancel
+ * @access  Private/Staff/Admin (before the deadline: Admin only)
+ */
+export const cancelLayaway = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+
+    const layaway = await Layaway.findById(req.params.id);
+    if (!layaway) {
+      return res.status(404).json({
+        success: false,
+        message: 'Layaway not found'
+      });
+    }
+
+    if (layaway.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: `Layaway ${layaway.layawayNumber} is ${layaway.status}`
+      });
+    }
+
+    // Unpaid layaways are cancelled once their deadline has passed; earlier, only at the customer's request through an admin
+    if (layaway.deadline >= new Date() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only administrators can cancel a layaway before its deadline'
+      });
+    }
+
+    // The refund comes out of the cancelling cashier's drawer
+    const shift = await Shift.findOne({ cashier: req.user._id, status: 'open' }).select('_id');
+    if (!shift) {
+      return res.status(400).json({
+        success: false,
+        message: 'Open a shift before cancelling layaways'
+      });
+    }
+
+    const settings = await Settings.getSettings();
+    const { forfeitedAmount, refundAmount } = calculateForfeiture(layaway.amountPaid, getLayawayConfig(settings));
+
+    // The cancellation and the returned stock commit together; the status condition stops a double cancel
+    await runInTransaction(async (session) => {
+      const cancelled = await Layaway.findOneAndUpdate(
+        { _id: layaway._id, status: 'active', balance: layaway.balance },
+        {
+          $set: {
+            status: 'cancelled',
+            cancellation: {
+              reason,
+              forfeitedAmount,
+              refundAmount,
+              shift: shift._id,
+              cancelledBy: req.user._id,
+              at: new Date()
+            }
+          }
+        },
+        { session }
+      );
+      if (!cancelled) {
+        throw new HttpError(409, `Layaway ${layaway.layawayNumber} was updated by another user while it was being cancelled`);
+      }
+
+      const stockMovements = [];
+      for (const item of layaway.items) {
+        const updated = await Product.findByIdAndUpdate(
+          item.product,
+          { $inc: { stockQuantity: item.quantity } },
+          { new: true, session }
+        );
+        if (!updated) continue;
+
+        stockMovements.push({
+          product: updated._id,
+          type: 'LAYAWAY',
+          quantity: item.quantity,
+          previousQuantity: updated.stockQuantity - item.quantity,
+          newQuantity: updated.stockQuantity,
+          referenceId: layaway.layawayNumber,
+          addedBy: req.user._id,
+          remarks: 'Layaway cancelled'
+        });
+      }
+
+      await StockHistory.insertMany(stockMovements, { session });
+    });
+
+    const populated = await populateLayaway(Layaway.findById(layaway._id));
+
+    res.json({
+      success: true,
+      message: refundAmount > 0
+        ? `Layaway ${populated.layawayNumber} cancelled. Refund ${formatCurrency(refundAmount)} in cash; ${formatCurrency(forfeitedAmount)} is forfeited.`
+        : `Layaway ${populated.layawayNumber} cancelled. ${formatCurrency(forfeitedAmount)} is forfeited.`,
+      data: populated
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,85 @@
+import Notification from '../models/Notification.model.js';
+
+/**
+ * @desc    Get the signed-in user's notifications
+ * @route   GET /api/notifications
+ * @access  Private
+ */
+export const getNotifications = async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const query = { recipient: req.user._id };
+    if (req.query.unread === 'true') {
+      query.readAt = null;
+    }
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .populate('sale', 'saleNumber')
+        .populate('createdBy', 'username')
+        .sort({ createdAt: -1 })
+        .limit(limit),
+      Notification.countDocuments({ recipient: req.user._id, readAt: null })
+    ]);
+
+    res.json({
+      success: true,
+      count: notifications.length,
+      unreadCount,
+      data: notifications
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark a notification as read
+ * @route   PATCH /api/notifications/:id/read
+ * @access  Private
+ */
+export const markNotificationRead = async (req, res, next) => {
+  try {
+    // Only the recipient's own notifications can be marked
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, recipient: req.user._id },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: notification
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark all of the signed-in user's notifications as read
+ * @route   PATCH /api/notifications/read-all
+ * @access  Private
+ */
+export const markAllNotificationsRead = async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} notification(s) marked as read`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,286 @@
+import PriceList from '../models/PriceList.model.js';
+import Customer from '../models/Customer.model.js';
+import Product from '../models/Product.model.js';
+import { roundCurrency } from '../utils/tenders.js';
+import { startOfDay, endOfDay } from 'date-fns';
+
+/**
+ * Parse a YYYY-MM-DD string as a local date
+ */
+const parseLocalDate = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * Turn a duplicate price list name into a readable message
+ */
+const duplicateNameResponse = (res) => res.status(400).json({
+  success: false,
+  message: 'A price list with this name already exists'
+});
+
+/**
+ * Check price list rules and keep only the target field each rule's scope uses
+ * Each product, brand or category can appear once; a fixed product price cannot be below the product's cost
+ * @param {Array} rules - Rules from the request body
+ * @returns {Promise<Object>} { rules }, or { error }
+ */
+const prepareRules = async (rules = []) => {
+  const productIds = rules.filter(rule => rule.scope === 'product').map(rule => rule.product);
+  const products = await Product.find({ _id: { $in: productIds } }).select('name price');
+  const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+  const seen = new Set();
+  const prepared = [];
+  for (const rule of rules) {
+    const target = rule.scope === 'product' ? rule.product : rule[rule.scope]?.trim();
+    if (!target) {
+      return { error: `Choose the ${rule.scope} each ${rule.scope} rule applies to` };
+    }
+
+    const product = rule.scope === 'product' ? productMap.get(target.toString()) : null;
+    if (rule.scope === 'product' && !product) {
+      return { error: `Product with ID ${target} not found` };
+    }
+    const label = product ? product.name : target;
+
+    const key = `${rule.scope}:${target.toString().toLowerCase()}`;
+    if (seen.has(key)) {
+      return { error: `${label} has more than one rule` };
+    }
+    seen.add(key);
+
+    const value = roundCurrency(rule.value);
+    if (rule.adjustment === 'percent_off' && value > 100) {
+      return { error: `The discount for ${label} cannot exceed 100%` };
+    }
+    if (product && rule.adjustment === 'fixed' && value < roundCurrency(product.price)) {
+      return { error: `The price for ${label} cannot be below cost (${roundCurrency(product.price).toFixed(2)})` };
+    }
+
+    prepared.push({
+      scope: rule.scope,
+      [rule.scope]: rule.scope === 'product' ? product._id : target,
+      adjustment: rule.adjustment,
+      value
+    });
+  }
+
+  return { rules: prepared };
+};
+
+/**
+ * @desc    Get price lists with the number of customers on each
+ * @route   GET /api/price-lists
+ * @access  Private
+ */
+export const getPriceLists = async (req, res, next) => {
+  try {
+    const { isActive } = req.query;
+    const filter = {};
+
+    if (isActive !== undefined) {
+      filter.isActive = isActive === 'true';
+    }
+
+    const [priceLists, customerCounts] = await Promise.all([
+      PriceList.find(filter).populate('rules.product', 'name').sort({ name: 1 }),
+      Customer.aggregate([
+        { $match: { priceList: { $ne: null } } },
+        { $group: { _id: '$priceList', count: { $sum: 1 } } }
+      ])
+    ]);
+    const countMap = new Map(customerCounts.map(entry => [entry._id.toString(), entry.count]));
+
+    res.json({
+      success: true,
+      count: priceLists.length,
+      data: priceLists.map(priceList => ({
+        ...priceList.toJSON(),
+        customerCount: countMap.get(priceList._id.toString()) || 0
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single price list with the customers assigned to it
+ * @route   GET /api/price-lists/:id
+ * @access  Private
+ */
+export const getPriceList = async (req, res, next) => {
+  try {
+    const priceList = await PriceList.findById(req.params.id)
+      .populate('rules.product', 'name price markupPercentage')
+      .populate('createdBy', 'username');
+
+    if (!priceList) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price list not found'
+      });
+    }
+
+    const customers = await Customer.find({ priceList: priceList._id })
+      .select('customerNumber name customerType isActive')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        ...priceList.toJSON(),
+        customers
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create price list
+ * @route   POST /api/price-lists
+ * @access  Private/Admin
+ */
+export const createPriceList = async (req, res, next) => {
+  try {
+    const { name, description, rules, validFrom, validUntil, isActive } = req.body;
+
+    const prepared = await prepareRules(rules);
+    if (prepared.error) {
+      return res.status(400).json({
+        success: false,
+        message: prepared.error
+      });
+    }
+
+    const fromDate = validFrom ? startOfDay(parseLocalDate(validFrom)) : undefined;
+    const untilDate = validUntil ? endOfDay(parseLocalDate(validUntil)) : undefined;
+    if (fromDate && untilDate && fromDate > untilDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'The price list cannot end before it starts'
+      });
+    }
+
+    const priceList = await PriceList.create({
+      name,
+      description,
+      rules: prepared.rules,
+      validFrom: fromDate,
+      validUntil: untilDate,
+      isActive,
+      createdBy: req.user._id
+    });
+
+    await priceList.populate('rules.product', 'name');
+
+    res.status(201).json({
+      success: true,
+      message: `Price list ${priceList.name} created`,
+      data: priceList
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return duplicateNameResponse(res);
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update price list; sales already rung up keep the prices they were sold at
+ * @route   PUT /api/price-lists/:id
+ * @access  Private/Admin
+ */
+export const updatePriceList = async (req, res, next) => {
+  try {
+    const { name, description, rules, validFrom, validUntil, isActive } = req.body;
+
+    const priceList = await PriceList.findById(req.params.id);
+    if (!priceList) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price list not found'
+      });
+    }
+
+    if (rules !== undefined) {
+      const prepared = await prepareRules(rules);
+      if (prepared.error) {
+        return res.status(400).json({
+          success: false,
+          message: prepared.error
+        });
+      }
+      priceList.rules = prepared.rules;
+    }
+
+    // An empty date opens that end of the validity period
+    if (validFrom !== undefined) priceList.validFrom = validFrom ? startOfDay(parseLocalDate(validFrom)) : undefined;
+    if (validUntil !== undefined) priceList.validUntil = validUntil ? endOfDay(parseLocalDate(validUntil)) : undefined;
+    if (priceList.validFrom && priceList.validUntil && priceList.validFrom > priceList.validUntil) {
+      return res.status(400).json({
+        success: false,
+        message: 'The price list cannot end before it starts'
+      });
+    }
+
+    if (name !== undefined) priceList.name = name;
+    if (description !== undefined) priceList.description = description;
+    if (isActive !== undefined) priceList.isActive = isActive;
+    await priceList.save();
+
+    await priceList.populate('rules.product', 'name');
+
+    res.json({
+      success: true,
+      message: `Price list ${priceList.name} updated`,
+      data: priceList
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return duplicateNameResponse(res);
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete price list
+ * @route   DELETE /api/price-lists/:id
+ * @access  Private/Admin
+ */
+export const deletePriceList = async (req, res, next) => {
+  try {
+    const priceList = await PriceList.findById(req.params.id);
+
+    if (!priceList) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price list not found'
+      });
+    }
+
+    // Sales keep the price list name on their lines, but customers must be moved off it first
+    const assignedCustomers = await Customer.countDocuments({ priceList: priceList._id });
+    if (assignedCustomers > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete price list. It is assigned to ${assignedCustomers} customer(s). Please assign them another price list or deactivate it instead.`
+      });
+    }
+
+    await PriceList.findByIdAndDelete(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Price list deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,6 +1,15 @@
 import Product from '../models/Product.model.js';
 import Supplier from '../models/Supplier.model.js';
 import { uploadImage, deleteImage, uploadToCloudinary } from '../config/cloudinary.js';
+import { generateInternalBarcode } from '../utils/barcodes.js';
+
+/**
+ * Turn a barcode taken by a concurrent save into a readable message
+ */
+const duplicateBarcodeResponse = (res) => res.status(400).json({
+  success: false,
+  message: 'A barcode on this product is already assigned to another product'
+});
 
 /**
  * @desc    Get all products
@@ -61,6 +70,87 @@ export const getProduct = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Find the product a scanned barcode or SKU belongs to
+ * @route   GET /api/products/barcode/:code
+ * @access  Private
+ */
+export const getProductByBarcode = async (req, res, next) => {
+  try {
+    const code = req.params.code.trim();
+
+    // Barcodes win over SKUs so a SKU that looks like a barcode never shadows it
+    const product = await Product.findOne({ 'barcodes.code': code, isActive: true })
+      .populate('supplier', 'companyName')
+      || await Product.findOne({ sku: code, isActive: true }).populate('supplier', 'companyName');
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: `No product found for barcode ${code}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: product
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Generate an unused internal barcode
+ * @route   POST /api/products/barcodes/generate
+ * @access  Private/Admin/Supplier
+ */
+export const generateBarcode = async (req, res, next) => {
+  try {
+    const code = await generateInternalBarcode();
+
+    res.status(201).json({
+      success: true,
+      data: { code, type: 'internal' }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Give every active product without a barcode an internal one
+ * @route   POST /api/products/barcodes/generate-missing
+ * @access  Private/Admin
+ */
+export const generateMissingBarcodes = async (req, res, next) => {
+  try {
+    const products = await Product.find({
+      isActive: true,
+      $or: [{ barcodes: { $exists: false } }, { barcodes: { $size: 0 } }]
+    }).select('_id');
+
+    let count = 0;
+    for (const product of products) {
+      const code = await generateInternalBarcode();
+      // Skip products someone labelled while the batch was running
+      const result = await Product.updateOne(
+        { _id: product._id, 'barcodes.0': { $exists: false } },
+        { $push: { barcodes: { code, type: 'internal' } } }
+      );
+      count += result.modifiedCount;
+    }
+
+    res.json({
+      success: true,
+      message: `Generated internal barcodes for ${count} product(s)`,
+      count
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Create new product
  * @route   POST /api/products
@@ -120,6 +210,9 @@ export const createProduct = async (req, res, next) => {
       data: product
     });
   } catch (error) {
+    if (error.code === 11000 && error.keyPattern?.['barcodes.code']) {
+      return duplicateBarcodeResponse(res);
+    }
     next(error);
   }
 };
@@ -167,13 +260,19 @@ export const updateProduct = async (req, res, next) => {
         public_id: uploaded.public_id,
       };
     }
-    // If price or markup percentage is being updated, add to history
-    if (req.body.price !== undefined || req.body.markupPercentage !== undefined) {
+    // If price or markup percentage actually changed, add to history (use Number comparison since
+    // form submissions send them as strings)
+    const newPrice = req.body.price !== undefined ? req.body.price : product.price;
+    const newMarkupPercentage = req.body.markupPercentage !== undefined
+      ? req.body.markupPercentage
+      : product.markupPercentage;
+    const priceChanged = Number(newPrice) !== Number(product.price)
+      || Number(newMarkupPercentage) !== Number(product.markupPercentage);
+
+    if (priceChanged) {
       const historyUpdate = {
-        basePrice: req.body.price !== undefined ? req.body.price : product.price,
-        markupPercentage: req.body.markupPercentage !== undefined
-          ? req.body.markupPercentage
-          : product.markupPercentage,
+        basePrice: newPrice,
+        markupPercentage: newMarkupPercentage,
         updatedAt: new Date()
       };
 
@@ -193,7 +292,9 @@ export const updateProduct = async (req, res, next) => {
       data: updatedProduct
     });
   } catch (error) {
-   
+    if (error.code === 11000 && error.keyPattern?.['barcodes.code']) {
+      return duplicateBarcodeResponse(res);
+    }
     next(error);
   }
 };
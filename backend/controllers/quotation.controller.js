@@ -0,0 +1,632 @@
+import Quotation, {
+  OPEN_QUOTATION_STATUSES,
+  DEFAULT_QUOTATION_VALIDITY_DAYS
+} from '../models/Quotation.model.js';
+import Product from '../models/Product.model.js';
+import Customer from '../models/Customer.model.js';
+import Settings from '../models/Settings.model.js';
+import { generateQuotationNumber } from '../utils/generateQuotationNumber.js';
+import { applyDiscounts } from '../utils/discounts.js';
+import { getCustomerPriceList, resolveLinePrice } from '../utils/pricing.js';
+import { getTaxConfig, calculateTaxes } from '../utils/taxes.js';
+import { jsPDF } from 'jspdf';
+import { format, addDays, endOfDay } from 'date-fns';
+
+/**
+ * Format currency for PDF
+ */
+const formatCurrency = (value) => {
+  const numValue = parseFloat(value) || 0;
+  return `PHP ${numValue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+/**
+ * Mark open quotations past their validity date as expired
+ */
+const expireQuotations = () => Quotation.updateMany(
+  { status: { $in: OPEN_QUOTATION_STATUSES }, validUntil: { $lt: new Date() } },
+  { $set: { status: 'expired' } }
+);
+
+/**
+ * Load the customer a quote is prepared for, with the price list that sets its prices
+ * @param {string} [customerId] - Customer ID from the request body
+ * @returns {Promise<Object>} { customer }, or { error, status }
+ */
+const loadQuotationCustomer = async (customerId) => {
+  if (!customerId) return { customer: null };
+
+  const customer = await Customer.findById(customerId).populate('priceList');
+  if (!customer) {
+    return { error: 'Customer not found', status: 404 };
+  }
+  if (!customer.isActive) {
+    return { error: `Customer ${customer.customerNumber} is inactive`, status: 400 };
+  }
+  return { customer };
+};
+
+/**
+ * Price quotation lines at current selling, tier and price list prices with the same discount and VAT rules as a sale
+ * @param {Array} items - [{ product, quantity, discount }]
+ * @param {Object} [saleDiscount] - Quote-level discount { type, value }
+ * @param {Object} settings - Settings document
+ * @param {Object} [customer] - Customer the quote is for, with its priceList populated
+ * @returns {Promise<Object>} Priced quotation fields, or { error, status }
+ */
+const priceQuotation = async (items, saleDiscount, settings, customer) => {
+  const productIds = items.map(item => item.product);
+  if (new Set(productIds.map(String)).size !== productIds.length) {
+    return { error: 'Each product can only appear once in a quotation', status: 400 };
+  }
+
+  const products = await Product.find({ _id: { $in: productIds } });
+  const productMap = new Map(products.map(p => [p._id.toString(), p]));
+  const priceList = getCustomerPriceList(customer);
+
+  const pricedItems = [];
+  for (const item of items) {
+    const product = productMap.get(item.product.toString());
+    if (!product || !product.isActive) {
+      return { error: `Product with ID ${item.product} not found`, status: 404 };
+    }
+
+    // Quotes without a customer record get retail quantity breaks only
+    const { price, priceTier, priceList: appliedPriceList } = resolveLinePrice(product, item.quantity, customer?.customerType, priceList);
+
+    pricedItems.push({
+      product: product._id,
+      quantity: item.quantity,
+      price,
+      priceTier,
+      priceList: appliedPriceList,
+      discount: item.discount
+    });
+  }
+
+  const pricing = applyDiscounts({ items: pricedItems, saleDiscount });
+  if (pricing.error) {
+    return { error: pricing.error, status: 400 };
+  }
+
+  const taxConfig = getTaxConfig(settings);
+  const quotationItems = pricing.items.map(item => ({
+    ...item,
+    taxClass: productMap.get(item.product.toString()).taxClass || 'vatable'
+  }));
+  const taxes = calculateTaxes(
+    quotationItems.map(item => ({ amount: item.subtotal - item.discountAmount, taxClass: item.taxClass })),
+    taxConfig
+  );
+
+  return {
+    items: quotationItems,
+    subtotal: pricing.subtotal,
+    discount: pricing.discount,
+    saleDiscount: pricing.saleDiscount,
+    vatableSales: taxes.vatableSales,
+    vatExemptSales: taxes.vatExemptSales,
+    zeroRatedSales: taxes.zeroRatedSales,
+    tax: taxes.tax,
+    total: taxes.total,
+    vatRate: settings.vatRate ?? 12,
+    pricesIncludeVat: taxConfig.pricesIncludeVat,
+    vatRegistered: taxConfig.vatRegistered
+  };
+};
+
+/**
+ * @desc    Get quotations
+ * @route   GET /api/quotations
+ * @access  Private/Supplier/Staff
+ */
+export const getQuotations = async (req, res, next) => {
+  try {
+    const { status, search } = req.query;
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    await expireQuotations();
+
+    const query = {};
+    if (status) query.status = status;
+    if (search) {
+      const escaped = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.$or = [
+        { quotationNumber: { $regex: escaped, $options: 'i' } },
+        { customerName: { $regex: escaped, $options: 'i' } }
+      ];
+    }
+
+    const [quotations, total] = await Promise.all([
+      Quotation.find(query)
+        .populate('createdBy', 'username')
+        .populate('sale', 'saleNumber')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Quotation.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      count: quotations.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: quotations
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single quotation
+ * @route   GET /api/quotations/:id
+ * @access  Private/Supplier/Staff
+ */
+export const getQuotation = async (req, res, next) => {
+  try {
+    await expireQuotations();
+
+    const quotation = await Quotation.findById(req.params.id)
+      .populate('createdBy', 'username')
+      .populate({ path: 'customer', populate: { path: 'priceList' } })
+      .populate('items.product')
+      .populate('sale', 'saleNumber');
+
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: quotation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a quotation at current selling prices
+ * @route   POST /api/quotations
+ * @access  Private/Supplier/Staff
+ */
+export const createQuotation = async (req, res, next) => {
+  try {
+    const {
+      items,
+      saleDiscount,
+      customer: customerId,
+      customerName,
+      customerEmail,
+      customerPhone,
+      tinNumber,
+      validityDays = DEFAULT_QUOTATION_VALIDITY_DAYS,
+      notes
+    } = req.body;
+
+    const lookup = await loadQuotationCustomer(customerId);
+    if (lookup.error) {
+      return res.status(lookup.status).json({
+        success: false,
+        message: lookup.error
+      });
+    }
+    const { customer } = lookup;
+
+    const settings = await Settings.getSettings();
+    const pricing = await priceQuotation(items, saleDiscount, settings, customer);
+    if (pricing.error) {
+      return res.status(pricing.status).json({
+        success: false,
+        message: pricing.error
+      });
+    }
+
+    const quotation = await Quotation.create({
+      quotationNumber: await generateQuotationNumber(),
+      customer: customer?._id ?? null,
+      customerName,
+      customerEmail,
+      customerPhone,
+      tinNumber,
+      ...pricing,
+      validUntil: endOfDay(addDays(new Date(), parseInt(validityDays, 10))),
+      notes,
+      createdBy: req.user._id
+    });
+
+    await quotation.populate('createdBy', 'username');
+    await quotation.populate('items.product', 'name');
+
+    res.status(201).json({
+      success: true,
+      message: `Quotation ${quotation.quotationNumber} created`,
+      data: quotation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a draft or sent quotation; it is repriced and its validity restarts
+ * @route   PUT /api/quotations/:id
+ * @access  Private/Supplier/Staff
+ */
+export const updateQuotation = async (req, res, next) => {
+  try {
+    const {
+      items,
+      saleDiscount,
+      customer: customerId,
+      customerName,
+      customerEmail,
+      customerPhone,
+      tinNumber,
+      validityDays = DEFAULT_QUOTATION_VALIDITY_DAYS,
+      notes
+    } = req.body;
+
+    await expireQuotations();
+
+    const quotation = await Quotation.findById(req.params.id);
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    if (!['draft', 'sent'].includes(quotation.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A quotation that is ${quotation.status} cannot be edited`
+      });
+    }
+
+    const lookup = await loadQuotationCustomer(customerId);
+    if (lookup.error) {
+      return res.status(lookup.status).json({
+        success: false,
+        message: lookup.error
+      });
+    }
+    const { customer } = lookup;
+
+    const settings = await Settings.getSettings();
+    const pricing = await priceQuotation(items, saleDiscount, settings, customer);
+    if (pricing.error) {
+      return res.status(pricing.status).json({
+        success: false,
+        message: pricing.error
+      });
+    }
+
+    // A changed quote has to be sent to the customer again
+    Object.assign(quotation, {
+      customer: customer?._id ?? null,
+      customerName,
+      customerEmail,
+      customerPhone,
+      tinNumber,
+      ...pricing,
+      validUntil: endOfDay(addDays(new Date(), parseInt(validityDays, 10))),
+      notes,
+      status: 'draft',
+      sentAt: undefined
+    });
+    await quotation.save();
+
+    await quotation.populate('createdBy', 'username');
+    await quotation.populate('items.product', 'name');
+
+    res.json({
+      success: true,
+      message: `Quotation ${quotation.quotationNumber} updated`,
+      data: quotation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark a quotation as sent to the customer or accepted by the customer
+ * @route   POST /api/quotations/:id/status
+ * @access  Private/Supplier/Staff
+ */
+export const updateQuotationStatus = async (req, res, next) => {
+  try {
+    const { status } = req.body;
+
+    await expireQuotations();
+
+    // Allowed transitions: draft -> sent, draft/sent -> accepted
+    const fromStatuses = status === 'sent' ? ['draft'] : ['draft', 'sent'];
+    const timestamp = status === 'sent' ? 'sentAt' : 'acceptedAt';
+
+    const quotation = await Quotation.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: fromStatuses } },
+      { $set: { status, [timestamp]: new Date() } },
+      { new: true }
+    )
+      .populate('createdBy', 'username')
+      .populate('items.product', 'name');
+
+    if (!quotation) {
+      const existing = await Quotation.findById(req.params.id).select('status');
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quotation not found'
+        });
+      }
+      return res.status(400).json({
+        success: false,
+        message: `A quotation that is ${existing.status} cannot be marked as ${status}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Quotation ${quotation.quotationNumber} marked as ${status}`,
+      data: quotation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a quotation that has not been converted into a sale
+ * @route   DELETE /api/quotations/:id
+ * @access  Private/Supplier/Staff
+ */
+export const deleteQuotation = async (req, res, next) => {
+  try {
+    const quotation = await Quotation.findById(req.params.id);
+
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && quotation.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the user who created the quotation or an admin can delete it'
+      });
+    }
+
+    if (quotation.status === 'converted') {
+      return res.status(400).json({
+        success: false,
+        message: 'A quotation that was converted into a sale cannot be deleted'
+      });
+    }
+
+    await quotation.deleteOne();
+
+    res.json({
+      success: true,
+      message: `Quotation ${quotation.quotationNumber} deleted`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Export quotation as PDF
+ * @route   GET /api/quotations/:id/pdf
+ * @access  Private/Supplier/Staff
+ */
+export const exportQuotationPDF = async (req, res, next) => {
+  try {
+    await expireQuotations();
+
+    const quotation = await Quotation.findById(req.params.id)
+      .populate('createdBy', 'username firstName lastName')
+      .populate('items.product', 'name');
+
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    // Brand the quote with the store's registered details when they are set
+    const settings = await Settings.getSettings();
+    const store = settings.receipting || {};
+
+    const doc = new jsPDF();
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const margin = 14;
+    let yPosition = margin;
+
+    // Header
+    doc.setFontSize(16);
+    doc.setFont(undefined, 'bold');
+    doc.text(store.tradeName || store.registeredName || 'BLCM Sales and Inventory System', pageWidth / 2, yPosition, { align: 'center' });
+    yPosition += 6;
+
+    doc.setFontSize(9);
+    doc.setFont(undefined, 'normal');
+    doc.setTextColor(100, 100, 100);
+    const storeLines = [
+      store.tradeName && store.registeredName,
+      store.address,
+      store.tin && `TIN: ${store.tin}`
+    ].filter(Boolean);
+    storeLines.forEach((line) => {
+      doc.text(line, pageWidth / 2, yPosition, { align: 'center' });
+      yPosition += 5;
+    });
+
+    doc.setFontSize(12);
+    doc.setFont(undefined, 'bold');
+    doc.setTextColor(0, 0, 0);
+    yPosition += 2;
+    doc.text('QUOTATION', pageWidth / 2, yPosition, { align: 'center' });
+    yPosition += 8;
+
+    doc.setLineWidth(0.2);
+    doc.line(margin, yPosition, pageWidth - margin, yPosition);
+    yPosition += 8;
+
+    // Quotation details
+    doc.setFontSize(9);
+    doc.setFont(undefined, 'normal');
+    const preparedBy = quotation.createdBy
+      ? `${quotation.createdBy.firstName || ''} ${quotation.createdBy.lastName || ''}`.trim() || quotation.createdBy.username
+      : '-';
+    const details = [
+      ['Quotation Number:', quotation.quotationNumber],
+      ['Date:', format(quotation.createdAt, 'MMMM d, yyyy')],
+      ['Valid Until:', format(quotation.validUntil, 'MMMM d, yyyy')],
+      ['Prepared By:', preparedBy]
+    ];
+    details.forEach(([label, value]) => {
+      doc.text(label, margin, yPosition);
+      doc.text(String(value), pageWidth - margin, yPosition, { align: 'right' });
+      yPosition += 6;
+    });
+    yPosition += 2;
+
+    // Customer
+    doc.line(margin, yPosition, pageWidth - margin, yPosition);
+    yPosition += 8;
+    doc.setFont(undefined, 'bold');
+    doc.setFontSize(10);
+    doc.text('Prepared For', margin, yPosition);
+    yPosition += 7;
+    doc.setFont(undefined, 'normal');
+    doc.setFontSize(9);
+    const customer = [
+      ['Name:', quotation.customerName],
+      ['Contact Number:', quotation.customerPhone],
+      ['Email:', quotation.customerEmail],
+      ['TIN Number:', quotation.tinNumber]
+    ].filter(([, value]) => value);
+    customer.forEach(([label, value]) => {
+      doc.setTextColor(100, 100, 100);
+      doc.text(label, margin, yPosition);
+      doc.setTextColor(0, 0, 0);
+      doc.text(value, pageWidth - margin, yPosition, { align: 'right' });
+      yPosition += 6;
+    });
+    yPosition += 4;
+
+    // Items
+    const col1 = margin;
+    const col2 = margin + 90;
+    const col3 = margin + 125;
+    const col4 = margin + 150;
+    const col5 = pageWidth - margin;
+
+    doc.line(margin, yPosition, pageWidth - margin, yPosition);
+    yPosition += 8;
+    doc.setFont(undefined, 'bold');
+    doc.setFontSize(8);
+    doc.text('Item', col1, yPosition);
+    doc.text('Qty', col2, yPosition, { align: 'center' });
+    doc.text('Unit Price', col3, yPosition, { align: 'right' });
+    doc.text('Discount', col4, yPosition, { align: 'right' });
+    doc.text('Amount', col5, yPosition, { align: 'right' });
+    yPosition += 4;
+    doc.line(margin, yPosition, pageWidth - margin, yPosition);
+    yPosition += 6;
+
+    doc.setFont(undefined, 'normal');
+    quotation.items.forEach((item) => {
+      if (yPosition > 250) {
+        doc.addPage();
+        yPosition = margin;
+      }
+      // Quote-level discount shares are shown in the totals, not per line
+      const lineDiscount = item.discountType
+        ? (item.discountType === 'percent' ? item.subtotal * (item.discountValue / 100) : item.discountValue)
+        : 0;
+      doc.text(item.product?.name || 'Unknown Product', col1, yPosition, { maxWidth: 80 });
+      doc.text(item.quantity.toString(), col2, yPosition, { align: 'center' });
+      doc.text(formatCurrency(item.price), col3, yPosition, { align: 'right' });
+      doc.text(lineDiscount > 0 ? `-${formatCurrency(lineDiscount)}` : '-', col4, yPosition, { align: 'right' });
+      doc.text(formatCurrency(item.subtotal - lineDiscount), col5, yPosition, { align: 'right' });
+      yPosition += 6;
+    });
+    yPosition += 4;
+
+    // Totals
+    doc.line(margin, yPosition, pageWidth - margin, yPosition);
+    yPosition += 8;
+    doc.setFontSize(9);
+    const totals = [['Subtotal:', formatCurrency(quotation.subtotal)]];
+    if (quotation.discount > 0) totals.push(['Less Discounts:', `-${formatCurrency(quotation.discount)}`]);
+    if (quotation.vatRegistered === false) {
+      totals.push(['VAT:', 'Non-VAT Registered']);
+    } else {
+      totals.push(['VATable Sales:', formatCurrency(quotation.vatableSales)]);
+      if (quotation.vatExemptSales > 0) totals.push(['VAT-Exempt Sales:', formatCurrency(quotation.vatExemptSales)]);
+      if (quotation.zeroRatedSales > 0) totals.push(['Zero-Rated Sales:', formatCurrency(quotation.zeroRatedSales)]);
+      totals.push([`VAT (${quotation.vatRate}%)${quotation.pricesIncludeVat ? ' incl.' : ''}:`, formatCurrency(quotation.tax)]);
+    }
+    totals.forEach(([label, value]) => {
+      doc.text(label, margin, yPosition);
+      doc.text(value, pageWidth - margin, yPosition, { align: 'right' });
+      yPosition += 6;
+    });
+
+    doc.line(margin, yPosition, pageWidth - margin, yPosition);
+    yPosition += 8;
+    doc.setFont(undefined, 'bold');
+    doc.setFontSize(12);
+    doc.text('Total:', margin, yPosition);
+    doc.text(formatCurrency(quotation.total), pageWidth - margin, yPosition, { align: 'right' });
+    yPosition += 10;
+
+    // Terms
+    doc.setFont(undefined, 'normal');
+    doc.setFontSize(8);
+    doc.setTextColor(100, 100, 100);
+    if (quotation.notes) {
+      doc.text(`Notes: ${quotation.notes}`, margin, yPosition, { maxWidth: pageWidth - margin * 2 });
+      yPosition += 10;
+    }
+    doc.text(
+      `Prices are valid until ${format(quotation.validUntil, 'MMMM d, yyyy')} and subject to stock availability at the time of purchase.`,
+      margin,
+      yPosition,
+      { maxWidth: pageWidth - margin * 2 }
+    );
+    doc.setTextColor(0, 0, 0);
+
+    // Conforme
+    yPosition += 20;
+    doc.line(margin, yPosition, margin + 70, yPosition);
+    doc.line(pageWidth - margin - 70, yPosition, pageWidth - margin, yPosition);
+    yPosition += 5;
+    doc.text('Prepared By', margin + 35, yPosition, { align: 'center' });
+    doc.text('Conforme (Customer)', pageWidth - margin - 35, yPosition, { align: 'center' });
+
+    const pdfBuffer = Buffer.from(doc.output('arraybuffer'));
+
+    const fileName = `Quotation_${quotation.quotationNumber}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+
+    res.send(pdfBuffer);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -36,7 +36,7 @@ export const getSalesReport = async (req, res, next) => {
       baseMatch.cashier = new mongoose.Types.ObjectId(cashierId);
     }
 
-    const [summaryResult, salesByDateResult, sales, bestStaffResult] =
+    const [summaryResult, salesByDateResult, sales, bestStaffResult, tenderResult, lineVoidRefundResult, returnRefundResult] =
       await Promise.all([
         // SUMMARY
         Sale.aggregate([
@@ -46,7 +46,31 @@ export const getSalesReport = async (req, res, next) => {
               _id: null,
               totalSales: { $sum: 1 },
               totalRevenue: { $sum: '$total' },
-              totalVAT: { $sum: '$tax' }
+              grossSales: { $sum: '$subtotal' },
+              totalDiscount: { $sum: { $ifNull: ['$discount', 0] } },
+              statutoryDiscount: { $sum: { $ifNull: ['$statutoryDiscount.amount', 0] } },
+              // Older sales have no VAT breakdown: everything was VATable unless Senior Citizen/PWD
+              vatableSales: {
+                $sum: {
+                  $ifNull: ['$vatableSales', { $cond: [{ $eq: ['$vatExempt', true] }, 0, { $subtract: ['$total', '$tax'] }] }]
+                }
+              },
+              vatExemptSales: {
+                $sum: {
+                  $ifNull: ['$vatExemptSales', { $cond: [{ $eq: ['$vatExempt', true] }, '$total', 0] }]
+                }
+              },
+              zeroRatedSales: { $sum: { $ifNull: ['$zeroRatedSales', 0] } },
+              totalVAT: { $sum: '$tax' },
+              // Older sales have no change field: change = cash rendered - total
+              totalChange: {
+                $sum: {
+                  $ifNull: ['$change', { $subtract: [{ $ifNull: ['$cashRendered', 0] }, '$total'] }]
+                }
+              },
+              // Totals above are already net of voided lines; their refunds come off the tenders they went back to
+              lineVoidCount: { $sum: { $size: { $ifNull: ['$adjustments', []] } } },
+              lineVoidRefunds: { $sum: { $sum: '$adjustments.refundAmount' } }
             }
           }
         ]),
@@ -100,10 +124,7 @@ export const getSalesReport = async (req, res, next) => {
               totalRevenue: { $sum: '$total' },
               totalProfit: {
                 $sum: {
-                  $subtract: [
-                    '$total',
-                    { $multiply: ['$total', 0.12] }
-                  ]
+                  $subtract: ['$total', '$tax']
                 }
               }
             }
@@ -128,11 +149,126 @@ export const getSalesReport = async (req, res, next) => {
               totalProfit: 1
             }
           }
+        ]),
+
+        // TENDER BREAKDOWN
+        Sale.aggregate([
+          { $match: baseMatch },
+          {
+            // Sales recorded before split tenders only carry cashRendered
+            $project: {
+              tenders: {
+                $cond: [
+                  { $gt: [{ $size: { $ifNull: ['$payments', []] } }, 0] },
+                  '$payments',
+                  [{ method: 'cash', amount: { $ifNull: ['$cashRendered', 0] } }]
+                ]
+              }
+            }
+          },
+          { $unwind: '$tenders' },
+          {
+            $group: {
+              _id: '$tenders.method',
+              count: { $sum: 1 },
+              amount: { $sum: '$tenders.amount' }
+            }
+          },
+          { $sort: { amount: -1 } }
+        ]),
+
+        // LINE VOID REFUNDS BY TENDER
+        Sale.aggregate([
+          { $match: { ...baseMatch, 'adjustments.0': { $exists: true } } },
+          { $unwind: '$adjustments' },
+          {
+            // Line voids recorded before refunds were split across tenders were refunded in cash
+            $project: {
+              refunds: {
+                $cond: [
+                  { $gt: [{ $size: { $ifNull: ['$adjustments.refunds', []] } }, 0] },
+                  '$adjustments.refunds',
+                  [{ method: 'cash', amount: '$adjustments.refundAmount' }]
+                ]
+              }
+            }
+          },
+          { $unwind: '$refunds' },
+          {
+            $group: {
+              _id: '$refunds.method',
+              amount: { $sum: '$refunds.amount' }
+            }
+          }
+        ]),
+
+        // RETURN REFUNDS BY TENDER
+        Sale.aggregate([
+          { $match: baseMatch },
+          {
+            $lookup: {
+              from: 'salereturns',
+              localField: '_id',
+              foreignField: 'sale',
+              as: 'returns'
+            }
+          },
+          { $unwind: '$returns' },
+          {
+            // Returns recorded before refunds were split across tenders were refunded in cash
+            $project: {
+              refunds: {
+                $cond: [
+                  { $gt: [{ $size: { $ifNull: ['$returns.refunds', []] } }, 0] },
+                  '$returns.refunds',
+                  [{ method: 'cash', amount: '$returns.refundAmount' }]
+                ]
+              }
+            }
+          },
+          { $unwind: '$refunds' },
+          {
+            $group: {
+              _id: '$refunds.method',
+              amount: { $sum: '$refunds.amount' }
+            }
+          }
         ])
       ]);
 
 
-    const summary = summaryResult[0] || { totalSales: 0, totalRevenue: 0, totalVAT: 0 };
+    const summary = summaryResult[0] || {
+      totalSales: 0,
+      totalRevenue: 0,
+      grossSales: 0,
+      totalDiscount: 0,
+      statutoryDiscount: 0,
+      vatableSales: 0,
+      vatExemptSales: 0,
+      zeroRatedSales: 0,
+      totalVAT: 0,
+      totalChange: 0,
+      lineVoidCount: 0,
+      lineVoidRefunds: 0
+    };
+
+    // Change is paid out of cash and line void and return refunds go back through the tenders they were split
+    // across, so net collected = tendered - change (cash only) - refunds
+    const refundMap = new Map();
+    for (const refund of [...lineVoidRefundResult, ...returnRefundResult]) {
+      refundMap.set(refund._id, (refundMap.get(refund._id) || 0) + refund.amount);
+    }
+    const tenderBreakdown = tenderResult.map(tender => {
+      const netAmount = tender.amount
+        - (tender._id === 'cash' ? (summary.totalChange || 0) : 0)
+        - (refundMap.get(tender._id) || 0);
+      return {
+        method: tender._id,
+        count: tender.count,
+        tendered: tender.amount,
+        amount: netAmount
+      };
+    });
 
     const bestStaff = bestStaffResult.length > 0 ? bestStaffResult[0] : null;
 
@@ -185,11 +321,20 @@ export const getSalesReport = async (req, res, next) => {
       summary: {
         totalSales: summary.totalSales,
         totalRevenue: summary.totalRevenue,
+        grossSales: summary.grossSales,
+        totalDiscount: summary.totalDiscount,
+        statutoryDiscount: summary.statutoryDiscount,
+        vatableSales: summary.vatableSales,
+        vatExemptSales: summary.vatExemptSales,
+        zeroRatedSales: summary.zeroRatedSales,
         totalVAT: summary.totalVAT,
+        lineVoidCount: summary.lineVoidCount,
+        lineVoidRefunds: summary.lineVoidRefunds,
         totalCOGS: totalCOGS,
         profit: profit
       },
       salesByDate: formattedSalesByDate,
+      tenderBreakdown,
       data: sales,
       bestStaff
     });
@@ -559,3 +704,203 @@ export const getInventoryMovementReport = async (req, res, next) => {
   }
 };
 
+
+/**
+ * @desc    Get price override report
+ * @route   GET /api/reports/price-overrides
+ * @access  Private/Admin
+ */
+export const getPriceOverrideReport = async (req, res, next) => {
+  try {
+    const { startDate, endDate, reason } = req.query;
+
+    const matchFilter = { isVoid: false, 'items.priceOverride': { $exists: true } };
+    if (startDate && endDate) {
+      const start = new Date(startDate);
+      const end = new Date(endDate);
+      end.setHours(23, 59, 59, 999); // Include full end date
+
+      matchFilter.createdAt = {
+        $gte: start,
+        $lte: end
+      };
+    }
+
+    const lineMatch = { 'items.priceOverride': { $exists: true } };
+    if (reason) {
+      lineMatch['items.priceOverride.reason'] = reason;
+    }
+
+    const overrides = await Sale.aggregate([
+      { $match: matchFilter },
+      { $unwind: '$items' },
+      { $match: lineMatch },
+      {
+        $lookup: {
+          from: 'products',
+          localField: 'items.product',
+          foreignField: '_id',
+          as: 'product'
+        }
+      },
+      {
+        $lookup: {
+          from: 'users',
+          localField: 'cashier',
+          foreignField: '_id',
+          as: 'cashierInfo'
+        }
+      },
+      {
+        $lookup: {
+          from: 'users',
+          localField: 'items.priceOverride.approvedBy',
+          foreignField: '_id',
+          as: 'approverInfo'
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          saleId: '$_id',
+          saleNumber: 1,
+          receiptNumber: 1,
+          createdAt: 1,
+          productId: '$items.product',
+          productName: { $ifNull: [{ $first: '$product.name' }, 'Deleted product'] },
+          quantity: '$items.quantity',
+          originalPrice: '$items.priceOverride.originalPrice',
+          price: '$items.price',
+          reason: '$items.priceOverride.reason',
+          note: '$items.priceOverride.note',
+          approvalMethod: '$items.priceOverride.approvalMethod',
+          approvedBy: { $first: '$approverInfo.username' },
+          cashier: { $first: '$cashierInfo.username' },
+          // Revenue given up against the price the line would have sold at
+          amountOverridden: {
+            $round: [
+              { $multiply: [{ $subtract: ['$items.priceOverride.originalPrice', '$items.price'] }, '$items.quantity'] },
+              2
+            ]
+          }
+        }
+      },
+      { $sort: { createdAt: -1 } }
+    ]);
+
+    const summaryByReason = Object.values(overrides.reduce((summary, line) => {
+      const entry = summary[line.reason] || { reason: line.reason, count: 0, amountOverridden: 0 };
+      entry.count += 1;
+      entry.amountOverridden = Math.round((entry.amountOverridden + line.amountOverridden) * 100) / 100;
+      summary[line.reason] = entry;
+      return summary;
+    }, {})).sort((a, b) => b.amountOverridden - a.amountOverridden);
+
+    res.json({
+      success: true,
+      count: overrides.length,
+      data: {
+        overrides,
+        summaryByReason,
+        totalAmountOverridden: Math.round(overrides.reduce((sum, line) => sum + line.amountOverridden, 0) * 100) / 100
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get price list report: the discount each customer price list gave away against regular prices
+ * @route   GET /api/reports/price-lists
+ * @access  Private/Admin
+ */
+export const getPriceListReport = async (req, res, next) => {
+  try {
+    const { startDate, endDate, priceList } = req.query;
+
+    if (priceList && !mongoose.isValidObjectId(priceList)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid price list ID'
+      });
+    }
+
+    const matchFilter = { isVoid: false, 'items.priceList': { $exists: true } };
+    if (startDate && endDate) {
+      const start = new Date(startDate);
+      const end = new Date(endDate);
+      end.setHours(23, 59, 59, 999); // Include full end date
+
+      matchFilter.createdAt = {
+        $gte: start,
+        $lte: end
+      };
+    }
+
+    const lineMatch = { 'items.priceList': { $exists: true } };
+    if (priceList) {
+      lineMatch['items.priceList.priceList'] = new mongoose.Types.ObjectId(priceList);
+    }
+
+    // Returned quantities were refunded at the price list price, so they gave nothing away
+    const soldQuantity = { $subtract: ['$items.quantity', { $ifNull: ['$items.returnedQuantity', 0] }] };
+
+    const summary = await Sale.aggregate([
+      { $match: matchFilter },
+      { $unwind: '$items' },
+      { $match: lineMatch },
+      {
+        $group: {
+          _id: '$items.priceList.priceList',
+          name: { $last: '$items.priceList.name' },
+          sales: { $addToSet: '$_id' },
+          customers: { $addToSet: '$customer' },
+          lines: { $sum: 1 },
+          quantity: { $sum: soldQuantity },
+          listValue: { $sum: { $multiply: ['$items.priceList.listPrice', soldQuantity] } },
+          soldValue: { $sum: { $multiply: ['$items.price', soldQuantity] } }
+        }
+      },
+      {
+        $lookup: {
+          from: 'pricelists',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'priceListInfo'
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          priceList: '$_id',
+          // Current name when the list still exists, otherwise the name the sales were made under
+          name: { $ifNull: [{ $first: '$priceListInfo.name' }, '$name'] },
+          isDeleted: { $eq: [{ $size: '$priceListInfo' }, 0] },
+          salesCount: { $size: '$sales' },
+          customerCount: { $size: { $setDifference: ['$customers', [null]] } },
+          lines: 1,
+          quantity: 1,
+          listValue: { $round: ['$listValue', 2] },
+          soldValue: { $round: ['$soldValue', 2] },
+          // Revenue given up against the regular selling price
+          discountGiven: { $round: [{ $subtract: ['$listValue', '$soldValue'] }, 2] }
+        }
+      },
+      { $sort: { discountGiven: -1 } }
+    ]);
+
+    res.json({
+      success: true,
+      count: summary.length,
+      data: {
+        priceLists: summary,
+        totalListValue: Math.round(summary.reduce((sum, entry) => sum + entry.listValue, 0) * 100) / 100,
+        totalSoldValue: Math.round(summary.reduce((sum, entry) => sum + entry.soldValue, 0) * 100) / 100,
+        totalDiscountGiven: Math.round(summary.reduce((sum, entry) => sum + entry.discountGiven, 0) * 100) / 100
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
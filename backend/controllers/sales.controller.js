@@ -1,10 +1,36 @@
-import Sale from '../models/Sale.model.js';
+import mongoose from 'mongoose';
+import Sale, { LAYAWAY_TENDER } from '../models/Sale.model.js';
 import Product from '../models/Product.model.js';
 import Settings from '../models/Settings.model.js';
 import StockHistory from '../models/StockHistory.model.js';
+import SaleReturn from '../models/SaleReturn.model.js';
+import Shift from '../models/Shift.model.js';
+import Quotation from '../models/Quotation.model.js';
+import CreditAccount from '../models/CreditAccount.model.js';
+import Customer from '../models/Customer.model.js';
+import Delivery from '../models/Delivery.model.js';
 import { generateSaleNumber } from '../utils/generateSaleNumber.js';
+import { generateReturnNumber } from '../utils/generateReturnNumber.js';
+import { generateDeliveryNumber } from '../utils/generateDeliveryNumber.js';
+import { normalizeTenders, validateTenders, settleTenders, splitRefundByTender, getRefundsByTender, formatPaymentMethod, roundCurrency } from '../utils/tenders.js';
+import { applyDiscounts, formatStatutoryDiscount } from '../utils/discounts.js';
+import { getCustomerPriceList, resolveLinePrice } from '../utils/pricing.js';
+import { resolveAdminApproval } from '../utils/approvals.js';
+import { notify, notifyAdmins } from '../utils/notifications.js';
+import { getTaxConfig, removeVat, calculateTaxes } from '../utils/taxes.js';
+import { runInTransaction } from '../utils/transaction.js';
+import { HttpError } from '../utils/httpError.js';
+import { issueReceiptNumber, addToGrandTotal, addToVoidTotal, getDocumentLabels, RECEIPT_NUMBER_PADDING } from '../utils/receipting.js';
+import { recordJournalEntry, recordExchangeJournalEntry, recordReceiptPrint } from '../utils/journal.js';
+import { postCharge, reverseCharge, postReturnCredit } from '../utils/receivables.js';
+import { getLoyaltyConfig, pointsForAmount, calculatePointsEarned, postLoyalty, reverseLoyalty, adjustLoyalty, returnRedeemedPoints } from '../utils/loyalty.js';
+import { buildReceiptLines, getReceiptColumns, renderReceiptText } from '../utils/receiptText.js';
+import { renderThermalPdf } from '../utils/thermalReceipt.js';
+import { encodeEscPos } from '../utils/escpos.js';
+import { sendToPrinter } from '../utils/printer.js';
+import { sendMail } from '../config/mail.js';
 import { jsPDF } from 'jspdf';
-import { format } from 'date-fns';
+import { format, startOfDay } from 'date-fns';
 
 /**
  * @desc    Get all sales
@@ -13,7 +39,7 @@ import { format } from 'date-fns';
  */
 export const getSales = async (req, res, next) => {
   try {
-    const { startDate, endDate, cashier, isVoid, voidRequestStatus, page = 1, limit = 50 } = req.query;
+    const { startDate, endDate, cashier, customer, isVoid, voidRequestStatus, page = 1, limit = 50 } = req.query;
     const filter = {};
 
     if (startDate || endDate) {
@@ -33,6 +59,7 @@ export const getSales = async (req, res, next) => {
     }
 
     if (cashier) filter.cashier = cashier;
+    if (customer) filter.customer = customer;
 
     // Filter by void status if provided
     if (isVoid !== undefined) {
@@ -57,6 +84,8 @@ export const getSales = async (req, res, next) => {
       Sale.find(filter)
         .populate('cashier', 'username')
         .populate('voidRequestedBy', 'username')
+        .populate('adjustments.user', 'username')
+        .populate('adjustments.approvedBy', 'username')
         .populate('items.product', 'name price')
         .sort({ createdAt: -1 })
         .skip(skip)
@@ -86,7 +115,15 @@ export const getSale = async (req, res, next) => {
   try {
     const sale = await Sale.findById(req.params.id)
       .populate('cashier', 'username firstName lastName')
-      .populate('items.product');
+      .populate('items.product')
+      .populate('customer', 'customerNumber name')
+      .populate('receiptEmails.sentBy', 'username')
+      .populate('voidRequestedBy', 'username')
+      .populate('voidReviewedBy', 'username')
+      .populate('voidRequestHistory.user', 'username')
+      .populate('adjustments.user', 'username')
+      .populate('adjustments.approvedBy', 'username')
+      .populate('delivery', 'deliveryNumber status scheduledDate timeSlot address');
 
     if (!sale) {
       return res.status(404).json({
@@ -104,6 +141,21 @@ export const getSale = async (req, res, next) => {
   }
 };
 
+/**
+ * Parse a YYYY-MM-DD date as local midnight
+ */
+const parseLocalDate = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * Find the sale already posted for a register's checkout reference
+ */
+const findPostedSale = (clientReference) => Sale.findOne({ clientReference })
+  .populate('cashier')
+  .populate('items.product', 'name price');
+
 /**
  * @desc    Create new sale
  * @route   POST /api/sales
@@ -111,30 +163,176 @@ export const getSale = async (req, res, next) => {
  */
 export const createSale = async (req, res, next) => {
   try {
-    const { items, paymentMethod, customerName, customerEmail, customerPhone, tinNumber, cashRendered } = req.body;
+    const {
+      items,
+      customerName,
+      customerEmail,
+      customerPhone,
+      tinNumber,
+      saleDiscount,
+      statutoryDiscount,
+      discountApprovalCode,
+      registerId,
+      emailReceipt,
+      quotation: quotationId,
+      creditAccount: creditAccountId,
+      customer: customerId,
+      clientReference,
+      offlineSoldAt,
+      honourOfflinePrices,
+      priceApprovalCode,
+      approver,
+      delivery
+    } = req.body;
+
+    // A checkout sent again (a retry after a timeout or a replay from the offline queue)
+    // gets back the sale already posted instead of a second one
+    if (clientReference) {
+      const postedSale = await findPostedSale(clientReference);
+      if (postedSale) {
+        return res.json({
+          success: true,
+          duplicate: true,
+          data: postedSale
+        });
+      }
+    }
 
-    // Validate payment method is cash only
-    if (paymentMethod !== 'cash') {
+    // Sales are rung up against the cashier's open shift so the drawer can be reconciled
+    const shift = await Shift.findOne({ cashier: req.user._id, status: 'open' });
+    if (!shift) {
       return res.status(400).json({
         success: false,
-        message: 'Only cash payments are accepted'
+        message: 'Open a shift before processing sales'
       });
     }
+    const saleRegisterId = registerId || shift.registerId;
 
-    // Validate cash rendered is provided and sufficient
-    if (!cashRendered || cashRendered <= 0) {
+    // Validate tenders (method, amount and reference number for non-cash payments)
+    const tenders = normalizeTenders(req.body);
+    const tenderError = validateTenders(tenders);
+    if (tenderError) {
       return res.status(400).json({
         success: false,
-        message: 'Cash rendered is required and must be greater than 0'
+        message: tenderError
       });
     }
 
+    // Link the sale to a customer record; details typed at the counter take precedence on the receipt
+    let customer = null;
+    if (customerId) {
+      customer = await Customer.findById(customerId).populate('priceList');
+      if (!customer) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer not found'
+        });
+      }
+      if (!customer.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: `Customer ${customer.customerNumber} is inactive`
+        });
+      }
+    }
+
+    // Charge tenders go on a customer's credit account
+    let creditAccount = null;
+    const chargeAmount = roundCurrency(tenders
+      .filter(tender => tender.method === 'charge')
+      .reduce((sum, tender) => sum + tender.amount, 0));
+    if (chargeAmount > 0) {
+      if (!creditAccountId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Select the credit account to charge'
+        });
+      }
+      creditAccount = await CreditAccount.findById(creditAccountId);
+      if (!creditAccount) {
+        return res.status(404).json({
+          success: false,
+          message: 'Credit account not found'
+        });
+      }
+      if (!creditAccount.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: `Credit account ${creditAccount.accountNumber} is suspended`
+        });
+      }
+      // Early check; the conditional increment in postCharge is what keeps the account within its limit
+      if (chargeAmount > creditAccount.availableCredit) {
+        return res.status(400).json({
+          success: false,
+          message: `Charge of ${chargeAmount.toFixed(2)} exceeds the available credit of ${creditAccount.name} (${creditAccount.availableCredit.toFixed(2)})`
+        });
+      }
+      for (const tender of tenders) {
+        if (tender.method === 'charge') tender.referenceNumber = creditAccount.accountNumber;
+      }
+    }
+
+    // An accepted quotation is sold with its own lines and discounts at the prices it locked
+    let quotation = null;
+    if (quotationId) {
+      quotation = await Quotation.findById(quotationId);
+      if (!quotation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quotation not found'
+        });
+      }
+      if (quotation.status !== 'accepted') {
+        return res.status(400).json({
+          success: false,
+          message: `Only accepted quotations can be converted into a sale. Quotation ${quotation.quotationNumber} is ${quotation.status}`
+        });
+      }
+      if (quotation.validUntil < new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: `Quotation ${quotation.quotationNumber} expired on ${format(quotation.validUntil, 'MMMM d, yyyy')}`
+        });
+      }
+    }
+    const saleLines = quotation
+      ? quotation.items.map(item => ({
+        product: item.product,
+        quantity: item.quantity,
+        discount: item.discountType ? { type: item.discountType, value: item.discountValue } : undefined
+      }))
+      : items;
+    const lockedLines = new Map((quotation?.items || []).map(item => [item.product.toString(), item]));
+    const appliedSaleDiscount = quotation
+      ? (quotation.saleDiscount ? { type: quotation.saleDiscount.type, value: quotation.saleDiscount.value } : undefined)
+      : saleDiscount;
+
+    // Orders delivered to the customer get a delivery order; its fee is charged on the sale
+    const deliveryFee = delivery ? roundCurrency(parseFloat(delivery.deliveryFee) || 0) : 0;
+    const deliveryContactName = delivery && (delivery.contactName || customerName || customer?.name || quotation?.customerName);
+    if (delivery) {
+      if (!deliveryContactName) {
+        return res.status(400).json({
+          success: false,
+          message: 'Enter the customer or contact name for the delivery'
+        });
+      }
+      const soldOn = startOfDay(offlineSoldAt ? new Date(offlineSoldAt) : new Date());
+      if (parseLocalDate(delivery.scheduledDate) < soldOn) {
+        return res.status(400).json({
+          success: false,
+          message: 'Delivery date cannot be before the sale date'
+        });
+      }
+    }
+
     // Fetch all products at once to avoid N+1 query problem
-    const productIds = items.map(item => item.product);
+    const productIds = saleLines.map(item => item.product);
     const products = await Product.find({ _id: { $in: productIds } });
 
     // Validate all products exist
-    if (products.length !== items.length) {
+    if (products.length !== saleLines.length) {
       const foundIds = products.map(p => p._id.toString());
       const missingId = productIds.find(id => !foundIds.includes(id.toString()));
       return res.status(404).json({
@@ -146,11 +344,21 @@ export const createSale = async (req, res, next) => {
     // Create a map for quick lookup
     const productMap = new Map(products.map(p => [p._id.toString(), p]));
 
-    // Validate stock and calculate totals
-    let subtotal = 0;
-    const saleItems = [];
-
-    for (const item of items) {
+    const settings = await Settings.getSettings();
+    const taxConfig = getTaxConfig(settings);
+
+    // Validate stock and price items
+    // Offline sales collect every shortfall and price change so a supervisor can resolve them together
+    const isOffline = !!offlineSoldAt;
+    // A price list counts if it was valid when the goods were sold, which for offline sales was earlier
+    const priceList = getCustomerPriceList(customer, isOffline ? new Date(offlineSoldAt) : new Date());
+    const stockShortfalls = [];
+    const priceChanges = [];
+    let honouredPrices = 0;
+    let priceOverrides = 0;
+    const pricedItems = [];
+
+    for (const item of saleLines) {
       const product = productMap.get(item.product.toString());
 
       if (!product) {
@@ -160,94 +368,404 @@ export const createSale = async (req, res, next) => {
         });
       }
 
-      if (product.stockQuantity < item.quantity) {
+      // Early check against the current stock; the conditional decrement below is what prevents overselling
+      if (product.stockQuantity < item.quantity && isOffline) {
+        stockShortfalls.push({
+          product: product._id,
+          name: product.name,
+          available: product.stockQuantity,
+          requested: item.quantity
+        });
+      } else if (product.stockQuantity < item.quantity) {
         return res.status(400).json({
           success: false,
           message: `Insufficient stock for ${product.name}. Available: ${product.stockQuantity}, Requested: ${item.quantity}`
         });
       }
 
-      // Selling price = base price + (base price * markup percentage / 100)
-      // Total cost = base price + (base price * markup percentage)
+      // Quotations lock their prices; otherwise the quantity, the customer's type and price list pick the price
       const basePrice = product.price || 0;
-      const markupPercentage = product.markupPercentage || 0;
-      const sellingPrice = basePrice + (basePrice * (markupPercentage / 100));
-      const itemSubtotal = sellingPrice * item.quantity;
-      subtotal += itemSubtotal;
+      const lockedLine = lockedLines.get(product._id.toString());
+      const linePrice = lockedLine
+        ? { price: lockedLine.price, priceTier: lockedLine.priceTier?.toObject(), priceList: lockedLine.priceList?.toObject() }
+        : resolveLinePrice(product, item.quantity, customer?.customerType, priceList);
+      let sellingPrice = linePrice.price;
+      let priceTier = linePrice.priceTier;
+      let appliedPriceList = linePrice.priceList;
+
+      // A supervised price override replaces the selling price but never goes below cost
+      let priceOverride;
+      const hasOverride = !quotation && item.overridePrice !== undefined && item.overridePrice !== null;
+      if (hasOverride) {
+        const overridePrice = roundCurrency(Number(item.overridePrice));
+        if (!item.overrideReason) {
+          return res.status(400).json({
+            success: false,
+            message: `A reason is required to override the price of ${product.name}`
+          });
+        }
+        if (item.overrideReason === 'other' && !item.overrideNote) {
+          return res.status(400).json({
+            success: false,
+            message: `Add a note explaining the price override on ${product.name}`
+          });
+        }
+        if (overridePrice < roundCurrency(basePrice)) {
+          return res.status(400).json({
+            success: false,
+            message: `Override price for ${product.name} cannot be below cost (${roundCurrency(basePrice).toFixed(2)})`
+          });
+        }
+        if (Math.abs(overridePrice - sellingPrice) >= 0.005) {
+          priceOverride = {
+            originalPrice: roundCurrency(sellingPrice),
+            reason: item.overrideReason,
+            note: item.overrideNote || undefined
+          };
+          sellingPrice = overridePrice;
+          priceTier = undefined;
+          appliedPriceList = undefined;
+          priceOverrides += 1;
+        }
+      }
 
-      saleItems.push({
+      // The offline register charged its cached price; a supervisor decides whether that price stands
+      if (isOffline && !quotation && !hasOverride && item.price !== undefined && Math.abs(item.price - sellingPrice) >= 0.005) {
+        if (honourOfflinePrices) {
+          sellingPrice = Number(item.price);
+          priceTier = undefined;
+          appliedPriceList = undefined;
+          honouredPrices += 1;
+        } else {
+          priceChanges.push({
+            product: product._id,
+            name: product.name,
+            offlinePrice: roundCurrency(item.price),
+            currentPrice: roundCurrency(sellingPrice)
+          });
+        }
+      }
+
+      pricedItems.push({
         product: product._id,
         quantity: item.quantity,
-        price: sellingPrice,
-        subtotal: itemSubtotal
+        // Senior Citizen/PWD discounts apply to the VAT-exclusive price
+        price: statutoryDiscount?.type ? removeVat(sellingPrice, product.taxClass, taxConfig) : sellingPrice,
+        priceTier,
+        priceList: appliedPriceList,
+        priceOverride,
+        discount: item.discount
+      });
+    }
+
+    if (stockShortfalls.length > 0 || priceChanges.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Stock or prices changed since this sale was rung up offline. A supervisor needs to resolve it.',
+        conflicts: {
+          stock: stockShortfalls,
+          prices: priceChanges
+        }
       });
+    }
 
-      // Update product stock in memory and record previous quantity for history
-      const previousQuantity = product.stockQuantity;
-      product.stockQuantity -= item.quantity;
+    // Price overrides and posting at offline prices that no longer match need admin approval
+    let pricesApprovedBy;
+    let priceApprovalMethod;
+    if (priceOverrides > 0 || honouredPrices > 0) {
+      const approval = await resolveAdminApproval({
+        user: req.user,
+        code: priceApprovalCode,
+        credentials: approver,
+        settings,
+        missingMessage: priceOverrides > 0
+          ? 'Price overrides need admin approval'
+          : 'Posting at the offline prices needs admin approval'
+      });
+      if (approval.status) {
+        return res.status(approval.status).json({
+          success: false,
+          message: approval.message
+        });
+      }
+      pricesApprovedBy = approval.approvedBy;
+      priceApprovalMethod = approval.method;
 
-      // Attach stock history metadata to product for later logging
-      if (!product._stockMovements) {
-        product._stockMovements = [];
+      for (const item of pricedItems) {
+        if (item.priceOverride) {
+          item.priceOverride.approvedBy = pricesApprovedBy;
+          item.priceOverride.approvalMethod = priceApprovalMethod;
+        }
       }
-      product._stockMovements.push({
-        type: 'SALE',
-        quantity: -item.quantity,
-        previousQuantity,
-        newQuantity: product.stockQuantity,
-        referenceId: null,
-        remarks: null
-      });
     }
-    const saleNumber = await generateSaleNumber();
-    // Bulk update all products at once
-    await Promise.all(products.map(product => product.save()));
 
-    // Create stock history entries for each product movement
-    await Promise.all(products.flatMap(product => {
-      if (!product._stockMovements || product._stockMovements.length === 0) return [];
-      return product._stockMovements.map(movement => StockHistory.create({
-        product: product._id,
-        type: movement.type,
-        quantity: movement.quantity,
-        previousQuantity: movement.previousQuantity,
-        newQuantity: movement.newQuantity,
-        referenceId: saleNumber,
-        remarks: movement.remarks
-      }));
-    }));
+    // Apply line, sale-level and Senior Citizen/PWD discounts
+    const pricing = applyDiscounts({ items: pricedItems, saleDiscount: appliedSaleDiscount, statutoryDiscount });
+    if (pricing.error) {
+      return res.status(400).json({
+        success: false,
+        message: pricing.error
+      });
+    }
 
-    // Calculate VAT (12%)
-    const vatRate = 0.12;
-    const discount = 0; // No discount
-    const tax = subtotal * vatRate;
-    const total = subtotal + tax;
+    // Discretionary discounts above the configured threshold need admin approval
+    let discountApprovedBy;
+    let discountApprovalMethod = null;
+    if (pricing.discretionaryDiscount > 0) {
+      const threshold = settings.discountApprovalThreshold ?? 10;
+
+      if (pricing.discretionaryPercent > threshold) {
+        const approval = await resolveAdminApproval({
+          user: req.user,
+          code: discountApprovalCode,
+          credentials: approver,
+          settings,
+          missingMessage: `Discount of ${pricing.discretionaryPercent.toFixed(2)}% exceeds the ${threshold}% approval threshold. Admin approval is required`
+        });
+        if (approval.status) {
+          return res.status(approval.status).json({
+            success: false,
+            message: approval.message
+          });
+        }
+        discountApprovedBy = approval.approvedBy;
+        discountApprovalMethod = approval.method;
+      }
+    }
 
-    // Validate cash rendered is sufficient
-    if (cashRendered < total) {
+    // Split the discounted lines by tax class and compute output VAT; Senior Citizen/PWD sales are VAT-exempt
+    const saleItems = pricing.items.map(item => ({
+      ...item,
+      taxClass: productMap.get(item.product.toString()).taxClass || 'vatable'
+    }));
+    const taxes = calculateTaxes(
+      [
+        ...saleItems.map(item => ({ amount: item.subtotal - item.discountAmount, taxClass: item.taxClass })),
+        ...(deliveryFee > 0 ? [{ amount: deliveryFee, taxClass: 'vatable' }] : [])
+      ],
+      taxConfig,
+      pricing.vatExempt
+    );
+    const { tax, total } = taxes;
+
+    // Validate payments cover the total; change is only given from cash
+    const settlement = settleTenders(tenders, total);
+    if (settlement.error) {
       return res.status(400).json({
         success: false,
-        message: `Cash rendered (${cashRendered}) must be at least equal to the total amount (${total})`
+        message: settlement.error
       });
     }
 
+    // Loyalty points: redeeming needs a customer with enough points; linked customers earn on the rest
+    const loyaltyConfig = getLoyaltyConfig(settings);
+    const redeemedAmount = roundCurrency(tenders
+      .filter(tender => tender.method === 'points')
+      .reduce((sum, tender) => sum + tender.amount, 0));
+    let pointsRedeemed = 0;
+    if (redeemedAmount > 0) {
+      if (!loyaltyConfig.enabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'The loyalty program is not enabled'
+        });
+      }
+      if (!customer) {
+        return res.status(400).json({
+          success: false,
+          message: 'Select the customer redeeming points'
+        });
+      }
+      const redemption = pointsForAmount(redeemedAmount, loyaltyConfig);
+      if (redemption.error) {
+        return res.status(400).json({
+          success: false,
+          message: redemption.error
+        });
+      }
+      // Early check; the conditional decrement in postLoyalty is what keeps the balance from going below zero
+      if (redemption.points > customer.loyaltyPoints) {
+        return res.status(400).json({
+          success: false,
+          message: `${customer.name} has only ${customer.loyaltyPoints} points to redeem`
+        });
+      }
+      pointsRedeemed = redemption.points;
+      for (const tender of tenders) {
+        if (tender.method === 'points') tender.referenceNumber = customer.customerNumber;
+      }
+    }
+    const pointsEarned = customer && loyaltyConfig.enabled
+      ? calculatePointsEarned({
+        items: saleItems.map(item => ({ ...item, category: productMap.get(item.product.toString()).category })),
+        // The delivery fee does not earn points
+        total: roundCurrency(total - deliveryFee),
+        redeemedAmount,
+        config: loyaltyConfig
+      })
+      : 0;
+
+    // Stock, stock history, sale and receipt numbers, the grand total, the journal entry and the sale itself
+    // commit or roll back together
+    const sale = await runInTransaction(async (session) => {
+      // Writing to the shift makes a close of the same shift conflict with this sale, so the sale either lands
+      // in the shift's Z-reading or fails because the shift closed first
+      const openShift = await Shift.findOneAndUpdate(
+        { _id: shift._id, status: 'open' },
+        { $set: { updatedAt: new Date() } },
+        { session }
+      );
+      if (!openShift) {
+        throw new HttpError(409, 'Your shift was closed while this sale was being processed. Open a new shift and try again.');
+      }
 
+      const saleNumber = await generateSaleNumber(session, { registerId: saleRegisterId, settings });
+      const receiptNumber = settings.receipting?.birMode
+        ? await issueReceiptNumber(settings.receipting, session)
+        : undefined;
+      const accumulatedGrandTotal = await addToGrandTotal(total, session);
+      const deliveryId = delivery ? new mongoose.Types.ObjectId() : null;
+      const stockMovements = [];
+
+      for (const item of saleItems) {
+        // Conditional decrement: fails instead of overselling when another checkout took the stock first
+        const updated = await Product.findOneAndUpdate(
+          { _id: item.product, stockQuantity: { $gte: item.quantity } },
+          { $inc: { stockQuantity: -item.quantity } },
+          { new: true, session }
+        );
+
+        if (!updated) {
+          const current = await Product.findById(item.product).select('name stockQuantity').session(session);
+          throw new HttpError(
+            409,
+            `Insufficient stock for ${current?.name || item.product}. Available: ${current?.stockQuantity ?? 0}, Requested: ${item.quantity}. Stock changed while this sale was being processed.`
+          );
+        }
 
-    const sale = await Sale.create({
-      saleNumber,
-      customerName,
-      customerEmail,
-      customerPhone,
-      tinNumber,
-      items: saleItems,
-      subtotal,
-      discount: 0, // No discount
-      tax, // 12% VAT
-      total,
-      paymentMethod: 'cash',
-      cashRendered,
-      cashier: req.user._id,
-      receiptGenerated: true
+        stockMovements.push({
+          product: updated._id,
+          type: 'SALE',
+          quantity: -item.quantity,
+          previousQuantity: updated.stockQuantity + item.quantity,
+          newQuantity: updated.stockQuantity,
+          referenceId: saleNumber,
+          remarks: null
+        });
+      }
+
+      await StockHistory.insertMany(stockMovements, { session });
+
+      const [createdSale] = await Sale.create([{
+        saleNumber,
+        receiptNumber,
+        clientReference: clientReference || undefined,
+        offline: isOffline
+          ? { soldAt: offlineSoldAt, pricesApprovedBy, priceApprovalMethod }
+          : undefined,
+        registerId: saleRegisterId || undefined,
+        shift: shift._id,
+        customer: customer?._id,
+        customerName: customerName || customer?.name || quotation?.customerName || creditAccount?.name,
+        customerEmail: customerEmail || customer?.email || quotation?.customerEmail,
+        customerPhone: customerPhone || customer?.phone || quotation?.customerPhone,
+        tinNumber: tinNumber || customer?.tinNumber || quotation?.tinNumber || creditAccount?.tinNumber,
+        quotation: quotation?._id,
+        creditAccount: creditAccount?._id,
+        items: saleItems,
+        subtotal: pricing.subtotal,
+        discount: pricing.discount,
+        saleDiscount: pricing.saleDiscount,
+        statutoryDiscount: pricing.statutoryDiscount,
+        vatExempt: pricing.vatExempt,
+        discountApprovedBy,
+        discountApprovalMethod,
+        vatableSales: taxes.vatableSales,
+        vatExemptSales: taxes.vatExemptSales,
+        zeroRatedSales: taxes.zeroRatedSales,
+        tax,
+        vatRate: settings.vatRate ?? 12,
+        pricesIncludeVat: taxConfig.pricesIncludeVat,
+        vatRegistered: taxConfig.vatRegistered,
+        deliveryFee,
+        delivery: deliveryId,
+        total,
+        payments: tenders,
+        paymentMethod: settlement.paymentMethod,
+        cashRendered: settlement.cashTendered,
+        change: settlement.change,
+        cashier: req.user._id,
+        receiptGenerated: true,
+        accumulatedGrandTotal
+      }], { session });
+
+      if (delivery) {
+        await Delivery.create([{
+          _id: deliveryId,
+          deliveryNumber: await generateDeliveryNumber(session),
+          sale: createdSale._id,
+          saleNumber,
+          contactName: deliveryContactName,
+          contactPhone: delivery.contactPhone || createdSale.customerPhone,
+          address: delivery.address,
+          scheduledDate: parseLocalDate(delivery.scheduledDate),
+          timeSlot: delivery.timeSlot || undefined,
+          deliveryFee,
+          vehicle: delivery.vehicle || undefined,
+          driver: delivery.driver || undefined,
+          notes: delivery.notes || undefined,
+          statusHistory: [{ status: 'scheduled', user: req.user._id }],
+          createdBy: req.user._id
+        }], { session });
+      }
+
+      if (creditAccount) {
+        await postCharge({
+          accountId: creditAccount._id,
+          sale: createdSale,
+          amount: chargeAmount,
+          user: req.user._id,
+          session
+        });
+      }
+
+      if (customer && (loyaltyConfig.enabled || pointsRedeemed > 0)) {
+        createdSale.loyalty = await postLoyalty({
+          customer,
+          sale: createdSale,
+          pointsEarned,
+          pointsRedeemed,
+          redeemedAmount,
+          user: req.user._id,
+          session
+        });
+        await createdSale.save({ session });
+      }
+
+      // Conditional update: a quotation converts into one sale only
+      if (quotation) {
+        const converted = await Quotation.findOneAndUpdate(
+          { _id: quotation._id, status: 'accepted' },
+          { $set: { status: 'converted', sale: createdSale._id, convertedAt: new Date() } },
+          { session }
+        );
+        if (!converted) {
+          throw new HttpError(409, `Quotation ${quotation.quotationNumber} was already converted into a sale`);
+        }
+      }
+
+      await createdSale.populate('cashier', 'username');
+      await createdSale.populate('items.product', 'name');
+      await recordJournalEntry({
+        event: 'issued',
+        sale: createdSale,
+        settings,
+        user: req.user._id,
+        grandTotal: accumulatedGrandTotal,
+        session
+      });
+
+      return createdSale;
     });
 
     await sale.populate('cashier');
@@ -257,7 +775,25 @@ export const createSale = async (req, res, next) => {
       success: true,
       data: sale
     });
+
+    // Email the receipt after responding so the checkout does not wait on the mail server
+    if (sale.customerEmail && emailReceipt !== false) {
+      emailSaleReceipt({ sale, settings, to: sale.customerEmail }).catch((emailError) => {
+        console.error(`Failed to record receipt email for ${sale.saleNumber}:`, emailError);
+      });
+    }
   } catch (error) {
+    // Two copies of the same checkout raced; the one that lost returns the sale the other posted
+    if (error.status === 409 && req.body.clientReference) {
+      const postedSale = await findPostedSale(req.body.clientReference).catch(() => null);
+      if (postedSale) {
+        return res.json({
+          success: true,
+          duplicate: true,
+          data: postedSale
+        });
+      }
+    }
     next(error);
   }
 };
@@ -294,6 +830,23 @@ export const requestVoidSale = async (req, res, next) => {
       });
     }
 
+    // The payments of a completed layaway were collected across earlier shifts, so the goods come back as a return
+    if (sale.layaway) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sales completed from a layaway cannot be voided. Process a return instead.'
+      });
+    }
+
+    // A return already refunded part of the sale (to the drawer, the account or points); voiding the rest
+    // would reverse the whole sale a second time
+    if (sale.items.some(item => item.returnedQuantity > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Items of this sale were already returned, so it cannot be voided. Process a return for the rest instead.'
+      });
+    }
+
     if (sale.voidRequestStatus === 'pending') {
       return res.status(400).json({
         success: false,
@@ -301,20 +854,48 @@ export const requestVoidSale = async (req, res, next) => {
       });
     }
 
-    // Create void request
-    sale.voidRequestReason = voidRequestReason;
-    sale.voidRequestStatus = 'pending';
-    sale.voidRequestedBy = req.user._id;
-    sale.voidRequestedAt = new Date();
-    await sale.save();
+    // Create void request; a rejected sale can be requested again and keeps its earlier history
+    const requestedAt = new Date();
+    const requestedSale = await Sale.findOneAndUpdate(
+      { _id: sale._id, isVoid: false, voidRequestStatus: { $ne: 'pending' } },
+      {
+        $set: {
+          voidRequestReason,
+          voidRequestStatus: 'pending',
+          voidRequestedBy: req.user._id,
+          voidRequestedAt: requestedAt,
+          voidReviewedBy: null,
+          voidReviewedAt: null,
+          voidReviewComment: null
+        },
+        $push: {
+          voidRequestHistory: { action: 'requested', comment: voidRequestReason, user: req.user._id, at: requestedAt }
+        }
+      },
+      { new: true }
+    );
+
+    if (!requestedSale) {
+      return res.status(409).json({
+        success: false,
+        message: 'Sale was voided or put up for voiding by another user while this request was being processed'
+      });
+    }
+
+    await notifyAdmins({
+      type: 'void_request',
+      message: `${req.user.username} asked to void sale ${requestedSale.saleNumber}: ${voidRequestReason}`,
+      sale: requestedSale,
+      createdBy: req.user._id
+    });
 
-    await sale.populate('voidRequestedBy', 'username');
-    await sale.populate('cashier', 'username');
+    await requestedSale.populate('voidRequestedBy', 'username');
+    await requestedSale.populate('cashier', 'username');
 
     res.json({
       success: true,
       message: 'Void request submitted successfully. Waiting for admin approval.',
-      data: sale
+      data: requestedSale
     });
   } catch (error) {
     next(error);
@@ -328,7 +909,7 @@ export const requestVoidSale = async (req, res, next) => {
  */
 export const voidSale = async (req, res, next) => {
   try {
-    const { superAdminCode } = req.body;
+    const { superAdminCode, comment } = req.body;
 
     // Only admins can void sales
     if (req.user.role !== 'admin') {
@@ -364,9 +945,7 @@ export const voidSale = async (req, res, next) => {
       });
     }
 
-    const sale = await Sale.findById(req.params.id)
-      .populate('items.product', 'name stockQuantity')
-      .populate('voidRequestedBy', 'username');
+    const sale = await Sale.findById(req.params.id);
 
     if (!sale) {
       return res.status(404).json({
@@ -382,78 +961,132 @@ export const voidSale = async (req, res, next) => {
       });
     }
 
-    // Revert stock quantities for all products in the sale (bulk operation)
-    const productIds = sale.items.map(item => {
-      return item.product._id || item.product;
-    });
-
-    const products = await Product.find({ _id: { $in: productIds } });
+    // The payments of a completed layaway were collected across earlier shifts, so the goods come back as a return
+    if (sale.layaway) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sales completed from a layaway cannot be voided. Process a return instead.'
+      });
+    }
 
-    if (products.length !== productIds.length) {
-      return res.status(404).json({
+    // A return already refunded part of the sale (to the drawer, the account or points); voiding the rest
+    // would reverse the whole sale a second time
+    if (sale.items.some(item => item.returnedQuantity > 0)) {
+      return res.status(400).json({
         success: false,
-        message: 'One or more products not found'
+        message: 'Items of this sale were already returned, so it cannot be voided. Process a return for the rest instead.'
       });
     }
 
-    // Create a map for quick lookup
-    const productMap = new Map(products.map(p => [p._id.toString(), p]));
+    // Mark the sale void and restore its stock as one unit; the isVoid condition stops two admins
+    // from approving the same void at once and restocking twice, the returnedQuantity condition stops
+    // a void of a sale that had a return processed in the meantime
+    const voidedAt = new Date();
+    const voidedSale = await runInTransaction(async (session) => {
+      const updatedSale = await Sale.findOneAndUpdate(
+        { _id: sale._id, isVoid: false, 'items.returnedQuantity': { $not: { $gt: 0 } } },
+        {
+          $set: {
+            isVoid: true,
+            voidedAt,
+            voidedBy: req.user._id,
+            voidRequestStatus: 'approved',
+            voidReviewedBy: req.user._id,
+            voidReviewedAt: voidedAt,
+            voidReviewComment: comment || null
+          },
+          $push: {
+            voidRequestHistory: { action: 'approved', comment: comment || undefined, user: req.user._id, at: voidedAt }
+          }
+        },
+        { new: true, session }
+      );
+
+      if (!updatedSale) {
+        throw new HttpError(409, 'Sale was voided or had items returned by another user while this request was being processed');
+      }
 
-    // Update stock quantities in memory
-    for (const item of sale.items) {
-      const productId = (item.product._id || item.product).toString();
-      const product = productMap.get(productId);
+      const stockMovements = [];
+      for (const item of updatedSale.items) {
+        const quantityToRestore = item.quantity;
 
-      if (product) {
-        const previousQuantity = product.stockQuantity;
-        product.stockQuantity += item.quantity;
+        const product = await Product.findByIdAndUpdate(
+          item.product,
+          { $inc: { stockQuantity: quantityToRestore } },
+          { new: true, session }
+        );
 
-        if (!product._stockMovements) {
-          product._stockMovements = [];
+        if (!product) {
+          throw new HttpError(404, `Product with ID ${item.product} not found`);
         }
-        product._stockMovements.push({
+
+        stockMovements.push({
+          product: product._id,
           type: 'RETURN',
-          quantity: item.quantity,
-          previousQuantity,
+          quantity: quantityToRestore,
+          previousQuantity: product.stockQuantity - quantityToRestore,
           newQuantity: product.stockQuantity,
-          referenceId: sale._id.toString(),
+          referenceId: updatedSale._id.toString(),
           remarks: 'Sale voided - stock restored'
         });
       }
-    }
 
-    // Bulk update all products at once
-    await Promise.all(products.map(product => product.save()));
+      await StockHistory.insertMany(stockMovements, { session });
+
+      // Goods of a voided sale are no longer delivered
+      if (updatedSale.delivery) {
+        await Delivery.updateOne(
+          { _id: updatedSale.delivery, status: { $ne: 'delivered' } },
+          {
+            $set: { status: 'cancelled' },
+            $push: { statusHistory: { status: 'cancelled', note: 'Sale voided', user: req.user._id, at: voidedAt } }
+          },
+          { session }
+        );
+      }
 
-    // Create stock history entries for each product movement
-    await Promise.all(products.flatMap(product => {
-      if (!product._stockMovements || product._stockMovements.length === 0) return [];
-      return product._stockMovements.map(movement => StockHistory.create({
-        product: product._id,
-        type: movement.type,
-        quantity: movement.quantity,
-        previousQuantity: movement.previousQuantity,
-        newQuantity: movement.newQuantity,
-        referenceId: movement.referenceId,
-        remarks: movement.remarks
-      }));
-    }));
+      // A charge sale comes off the customer's account
+      await reverseCharge({ sale: updatedSale, user: req.user._id, session });
+      // Points redeemed on the sale are given back and points it earned are taken off
+      await reverseLoyalty({ sale: updatedSale, user: req.user._id, session });
+
+      // Voids are accumulated separately; the grand total never goes down
+      const grandTotal = await addToVoidTotal(updatedSale.total, session);
+      await updatedSale.populate('cashier', 'username');
+      await updatedSale.populate('items.product', 'name');
+      await recordJournalEntry({
+        event: 'voided',
+        sale: updatedSale,
+        settings,
+        user: req.user._id,
+        grandTotal,
+        session
+      });
 
-    // Mark sale as void and update void request status
-    sale.isVoid = true;
-    sale.voidedAt = new Date();
-    sale.voidedBy = req.user._id;
-    sale.voidRequestStatus = 'approved';
-    await sale.save();
+      // The staff member who asked for the void hears that it went through
+      if (sale.voidRequestStatus === 'pending') {
+        await notify({
+          recipients: [updatedSale.voidRequestedBy],
+          type: 'void_approved',
+          message: `Your request to void sale ${updatedSale.saleNumber} was approved${comment ? `: ${comment}` : ''}`,
+          sale: updatedSale,
+          createdBy: req.user._id,
+          session
+        });
+      }
 
-    await sale.populate('cashier', 'username');
-    await sale.populate('voidedBy', 'username');
-    await sale.populate('items.product', 'name price');
+      return updatedSale;
+    });
+
+    await voidedSale.populate('cashier', 'username');
+    await voidedSale.populate('voidedBy', 'username');
+    await voidedSale.populate('voidRequestedBy', 'username');
+    await voidedSale.populate('items.product', 'name price');
 
     res.json({
       success: true,
       message: 'Sale voided successfully. Stock quantities have been restored.',
-      data: sale
+      data: voidedSale
     });
   } catch (error) {
     next(error);
@@ -461,36 +1094,15 @@ export const voidSale = async (req, res, next) => {
 };
 
 /**
- * Format currency for PDF
- */
-const formatCurrency = (value) => {
-  const numValue = parseFloat(value) || 0;
-  return `PHP ${numValue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
-};
-
-/**
- * Format payment method
- */
-const formatPaymentMethod = (method) => {
-  const methods = {
-    cash: 'Cash',
-    card: 'Card',
-    mobile_payment: 'Mobile Payment',
-    other: 'Other'
-  };
-  return methods[method] || method;
-};
-
-/**
- * @desc    Export sale receipt as PDF
- * @route   GET /api/sales/:id/pdf
- * @access  Private
+ * @desc    Reject a pending void request
+ * @route   PATCH /api/sales/:id/void-request/reject
+ * @access  Private/Admin
  */
-export const exportSalePDF = async (req, res, next) => {
+export const rejectVoidRequest = async (req, res, next) => {
   try {
-    const sale = await Sale.findById(req.params.id)
-      .populate('cashier', 'username')
-      .populate('items.product');
+    const { comment } = req.body;
+
+    const sale = await Sale.findById(req.params.id);
 
     if (!sale) {
       return res.status(404).json({
@@ -499,270 +1111,1698 @@ export const exportSalePDF = async (req, res, next) => {
       });
     }
 
-    const doc = new jsPDF();
-    const pageWidth = doc.internal.pageSize.getWidth();
-    const margin = 14;
-    let yPosition = margin;
-
-    // Header - matching modal style
-    doc.setFontSize(16);
-    doc.setFont(undefined, 'bold');
-    doc.text('BLCM Sales and Inventory System', pageWidth / 2, yPosition, { align: 'center' });
-    yPosition += 6;
+    if (sale.voidRequestStatus !== 'pending' || sale.isVoid) {
+      return res.status(400).json({
+        success: false,
+        message: 'There is no pending void request for this sale'
+      });
+    }
 
-    doc.setFontSize(10);
-    doc.setFont(undefined, 'normal');
-    doc.setTextColor(100, 100, 100);
-    doc.text('Sales Receipt', pageWidth / 2, yPosition, { align: 'center' });
-    doc.setTextColor(0, 0, 0);
-    yPosition += 8;
+    // The pending condition stops a rejection racing an approval of the same request
+    const reviewedAt = new Date();
+    const rejectedSale = await Sale.findOneAndUpdate(
+      { _id: sale._id, isVoid: false, voidRequestStatus: 'pending' },
+      {
+        $set: {
+          voidRequestStatus: 'rejected',
+          voidReviewedBy: req.user._id,
+          voidReviewedAt: reviewedAt,
+          voidReviewComment: comment
+        },
+        $push: {
+          voidRequestHistory: { action: 'rejected', comment, user: req.user._id, at: reviewedAt }
+        }
+      },
+      { new: true }
+    );
 
-    // Draw a line separator
-    doc.setLineWidth(0.2);
-    doc.line(margin, yPosition, pageWidth - margin, yPosition);
-    yPosition += 8;
+    if (!rejectedSale) {
+      return res.status(409).json({
+        success: false,
+        message: 'The void request was resolved by another user while this request was being processed'
+      });
+    }
 
-    // Receipt Details
-    doc.setFontSize(9);
-    const saleNumberLabel = 'Sale Number:';
-    const saleNumberValue = sale.saleNumber;
-    doc.text(saleNumberLabel, margin, yPosition);
-    doc.text(saleNumberValue, pageWidth - margin, yPosition, { align: 'right' });
-    yPosition += 6;
+    await notify({
+      recipients: [rejectedSale.voidRequestedBy],
+      type: 'void_rejected',
+      message: `Your request to void sale ${rejectedSale.saleNumber} was rejected: ${comment}`,
+      sale: rejectedSale,
+      createdBy: req.user._id
+    });
 
-    const transactionDate = new Date(sale.createdAt);
-    const dateLabel = 'Transaction Date:';
-    const dateValue = transactionDate.toLocaleString();
-    doc.text(dateLabel, margin, yPosition);
-    doc.text(dateValue, pageWidth - margin, yPosition, { align: 'right' });
-    yPosition += 10;
+    await rejectedSale.populate('cashier', 'username');
+    await rejectedSale.populate('voidRequestedBy', 'username');
+    await rejectedSale.populate('voidReviewedBy', 'username');
+    await rejectedSale.populate('voidRequestHistory.user', 'username');
 
-    // Customer Details Section
-    doc.setLineWidth(0.2);
-    doc.line(margin, yPosition, pageWidth - margin, yPosition);
-    yPosition += 8;
+    res.json({
+      success: true,
+      message: 'Void request rejected',
+      data: rejectedSale
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
+/**
+ * @desc    Comment on a sale's void request
+ * @route   POST /api/sales/:id/void-request/comments
+ * @access  Private/Staff/Admin
+ */
+export const commentOnVoidRequest = async (req, res, next) => {
+  try {
+    const { comment } = req.body;
+
+    const sale = await Sale.findById(req.params.id);
+
+    if (!sale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sale not found'
+      });
+    }
+
+    if (!sale.voidRequestStatus) {
+      return res.status(400).json({
+        success: false,
+        message: 'This sale has no void request'
+      });
+    }
+
+    // Staff can only discuss their own requests
+    if (req.user.role !== 'admin' && sale.voidRequestedBy?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only comment on your own void requests'
+      });
+    }
+
+    const commentedSale = await Sale.findByIdAndUpdate(
+      sale._id,
+      { $push: { voidRequestHistory: { action: 'commented', comment, user: req.user._id, at: new Date() } } },
+      { new: true }
+    );
+
+    // Admin comments go to the requester; the requester's comments go to the admins
+    const notification = {
+      type: 'void_comment',
+      message: `${req.user.username} commented on the void request for sale ${commentedSale.saleNumber}: ${comment}`,
+      sale: commentedSale,
+      createdBy: req.user._id
+    };
+    if (req.user.role === 'admin') {
+      await notify({ ...notification, recipients: [commentedSale.voidRequestedBy] });
+    } else {
+      await notifyAdmins(notification);
+    }
+
+    await commentedSale.populate('voidRequestHistory.user', 'username');
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added',
+      data: commentedSale.voidRequestHistory
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the void request queue with counts by status
+ * @route   GET /api/sales/void-requests
+ * @access  Private/Admin
+ */
+export const getVoidRequests = async (req, res, next) => {
+  try {
+    const { status = 'pending', requestedBy, startDate, endDate, page = 1, limit = 50 } = req.query;
+
+    // Counts cover every status so the queue tabs show what is waiting elsewhere
+    const baseFilter = { voidRequestStatus: { $ne: null } };
+    if (requestedBy) {
+      // Aggregation does not cast IDs the way find does
+      baseFilter.voidRequestedBy = new mongoose.Types.ObjectId(requestedBy);
+    }
+    if (startDate || endDate) {
+      baseFilter.voidRequestedAt = {};
+      if (startDate) {
+        baseFilter.voidRequestedAt.$gte = new Date(startDate);
+      }
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999); // Include full end date
+        baseFilter.voidRequestedAt.$lte = end;
+      }
+    }
+
+    const filter = status === 'all' ? baseFilter : { ...baseFilter, voidRequestStatus: status };
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [requests, total, statusCounts, oldestPending] = await Promise.all([
+      Sale.find(filter)
+        .populate('cashier', 'username')
+        .populate('voidRequestedBy', 'username')
+        .populate('voidReviewedBy', 'username')
+        .populate('items.product', 'name price')
+        .populate('voidRequestHistory.user', 'username')
+        .sort({ voidRequestedAt: status === 'pending' ? 1 : -1 })
+        .skip(skip)
+        .limit(limitNum),
+      Sale.countDocuments(filter),
+      Sale.aggregate([
+        { $match: baseFilter },
+        { $group: { _id: '$voidRequestStatus', count: { $sum: 1 }, total: { $sum: '$total' } } }
+      ]),
+      Sale.findOne({ voidRequestStatus: 'pending' }).sort({ voidRequestedAt: 1 }).select('voidRequestedAt')
+    ]);
+
+    const counts = { pending: 0, approved: 0, rejected: 0 };
+    const amounts = { pending: 0, approved: 0, rejected: 0 };
+    for (const entry of statusCounts) {
+      counts[entry._id] = entry.count;
+      amounts[entry._id] = roundCurrency(entry.total);
+    }
+
+    res.json({
+      success: true,
+      count: requests.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      counts,
+      amounts,
+      oldestPendingAt: oldestPending?.voidRequestedAt || null,
+      data: requests
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Void some lines or quantities of a sale: restock them, recalculate the sale and keep an adjustment record
+ * @route   POST /api/sales/:id/void-lines
+ * @access  Private/Staff/Admin
+ */
+export const voidSaleLines = async (req, res, next) => {
+  try {
+    const { lines, reason, approvalCode, approver } = req.body;
+
+    const sale = await Sale.findById(req.params.id);
+
+    if (!sale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sale not found'
+      });
+    }
+
+    if (sale.isVoid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot void lines of a voided sale'
+      });
+    }
+
+    if (sale.voidRequestStatus === 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'A void request is pending for this sale. Resolve it before voiding lines.'
+      });
+    }
+
+    // Account charges and redeemed points are settled against the whole sale, so only a full void can undo them
+    if ((sale.payments || []).some(payment => ['charge', 'points'].includes(payment.method))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sales paid on account or with loyalty points cannot be voided line by line. Void the whole sale instead.'
+      });
+    }
+
+    if (sale.layaway) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sales completed from a layaway cannot be voided. Process a return instead.'
+      });
+    }
+
+    // Validate voided quantities against what is still on the sale and not yet returned
+    const saleItemMap = new Map(sale.items.map(item => [item.product.toString(), item]));
+    const voidedLines = [];
+
+    for (const line of lines) {
+      if (voidedLines.some(voided => voided.product.toString() === line.product.toString())) {
+        return res.status(400).json({
+          success: false,
+          message: `Product with ID ${line.product} is listed more than once`
+        });
+      }
+
+      const saleItem = saleItemMap.get(line.product.toString());
+
+      if (!saleItem) {
+        return res.status(400).json({
+          success: false,
+          message: `Product with ID ${line.product} is not part of sale ${sale.saleNumber}`
+        });
+      }
+
+      const voidableQuantity = saleItem.quantity - (saleItem.returnedQuantity || 0);
+      if (line.quantity > voidableQuantity) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot void ${line.quantity} of product ${line.product}. Quantity that can be voided: ${voidableQuantity}`
+        });
+      }
+
+      voidedLines.push({
+        product: saleItem.product,
+        quantity: line.quantity,
+        price: saleItem.price
+      });
+    }
+
+    const voidedByProduct = new Map(voidedLines.map(line => [line.product.toString(), line.quantity]));
+    const keptItems = sale.items
+      .map(item => ({ item, quantity: item.quantity - (voidedByProduct.get(item.product.toString()) || 0) }))
+      .filter(({ quantity }) => quantity > 0);
+
+    if (keptItems.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Every item on the sale would be voided. Void the whole sale instead.'
+      });
+    }
+
+    const settings = await Settings.getSettings();
+    const approval = await resolveAdminApproval({
+      user: req.user,
+      code: approvalCode,
+      credentials: approver,
+      settings,
+      missingMessage: 'Voiding lines of a sale requires admin approval'
+    });
+    if (approval.status) {
+      return res.status(approval.status).json({
+        success: false,
+        message: approval.message
+      });
+    }
+
+    // Re-price what is left with the sale's own prices, discounts and tax settings
+    const pricing = applyDiscounts({
+      items: keptItems.map(({ item, quantity }) => ({
+        product: item.product,
+        quantity,
+        price: item.price,
+        priceTier: item.priceTier,
+        priceList: item.priceList,
+        priceOverride: item.priceOverride,
+        discount: item.discountType ? { type: item.discountType, value: item.discountValue } : undefined
+      })),
+      saleDiscount: sale.saleDiscount?.type ? { type: sale.saleDiscount.type, value: sale.saleDiscount.value } : undefined,
+      statutoryDiscount: sale.statutoryDiscount?.type ? sale.statutoryDiscount : undefined
+    });
+    if (pricing.error) {
+      return res.status(400).json({
+        success: false,
+        message: pricing.error
+      });
+    }
+
+    const saleItems = pricing.items.map((item, index) => ({
+      ...item,
+      taxClass: keptItems[index].item.taxClass,
+      returnedQuantity: keptItems[index].item.returnedQuantity
+    }));
+    const taxes = calculateTaxes(
+      [
+        ...saleItems.map(item => ({ amount: item.subtotal - item.discountAmount, taxClass: item.taxClass })),
+        ...(sale.deliveryFee > 0 ? [{ amount: sale.deliveryFee, taxClass: 'vatable' }] : [])
+      ],
+      getTaxConfig(sale),
+      pricing.vatExempt
+    );
+    const refundAmount = roundCurrency(sale.total - taxes.total);
+
+    // Points earned on the voided lines are taken back; the sale never earns more than it did
+    let pointsEarned = sale.loyalty?.pointsEarned || 0;
+    if (sale.customer && pointsEarned > 0) {
+      const products = await Product.find({ _id: { $in: saleItems.map(item => item.product) } }).select('category');
+      const categoryMap = new Map(products.map(product => [product._id.toString(), product.category]));
+      pointsEarned = Math.min(pointsEarned, calculatePointsEarned({
+        items: saleItems.map(item => ({ ...item, category: categoryMap.get(item.product.toString()) })),
+        total: roundCurrency(taxes.total - (sale.deliveryFee || 0)),
+        redeemedAmount: 0,
+        config: getLoyaltyConfig(settings)
+      }));
+    }
+
+    const productNames = await Product.find({ _id: { $in: voidedLines.map(line => line.product) } }).select('name');
+    const productNameMap = new Map(productNames.map(product => [product._id.toString(), product.name]));
+
+    // The refund comes out of the drawer of the voiding user's open shift
+    const shift = await Shift.findOne({ cashier: req.user._id, status: 'open' }).select('_id');
+
+    const adjustment = {
+      type: 'line_void',
+      items: voidedLines.map(line => ({ ...line, productName: productNameMap.get(line.product.toString()) })),
+      reason,
+      previousSubtotal: sale.subtotal,
+      previousDiscount: sale.discount || 0,
+      previousTax: sale.tax,
+      previousTotal: sale.total,
+      refundAmount,
+      // Card, e-wallet and bank transfer shares are refunded through the same tender, not from the drawer
+      refunds: splitRefundByTender(sale, refundAmount),
+      shift: shift?._id,
+      approvedBy: approval.approvedBy,
+      approvalMethod: approval.method,
+      user: req.user._id,
+      at: new Date()
+    };
+
+    // The sale, its stock, points, the void total and the journal change together
+    const adjustedSale = await runInTransaction(async (session) => {
+      // Conditional update: a return, void or other line void since the sale was read fails instead of being overwritten
+      const updatedSale = await Sale.findOneAndUpdate(
+        { _id: sale._id, isVoid: false, updatedAt: sale.updatedAt },
+        {
+          $set: {
+            items: saleItems,
+            subtotal: pricing.subtotal,
+            discount: pricing.discount,
+            // Only the amounts change; a sale without these discounts keeps none
+            ...(pricing.saleDiscount && { saleDiscount: pricing.saleDiscount }),
+            ...(pricing.statutoryDiscount && { statutoryDiscount: pricing.statutoryDiscount }),
+            vatableSales: taxes.vatableSales,
+            vatExemptSales: taxes.vatExemptSales,
+            zeroRatedSales: taxes.zeroRatedSales,
+            tax: taxes.tax,
+            total: taxes.total
+          },
+          $push: { adjustments: adjustment }
+        },
+        { new: true, runValidators: true, session }
+      );
+
+      if (!updatedSale) {
+        throw new HttpError(409, 'Sale was changed by another user while this request was being processed');
+      }
+
+      const stockMovements = [];
+      for (const line of voidedLines) {
+        const product = await Product.findByIdAndUpdate(
+          line.product,
+          { $inc: { stockQuantity: line.quantity } },
+          { new: true, session }
+        );
+
+        if (!product) {
+          throw new HttpError(404, `Product with ID ${line.product} not found`);
+        }
+
+        stockMovements.push({
+          product: product._id,
+          type: 'RETURN',
+          quantity: line.quantity,
+          previousQuantity: product.stockQuantity - line.quantity,
+          newQuantity: product.stockQuantity,
+          referenceId: updatedSale.saleNumber,
+          remarks: `Line voided on sale ${updatedSale.saleNumber}`
+        });
+      }
+
+      await StockHistory.insertMany(stockMovements, { session });
+
+      const loyaltyEntry = await adjustLoyalty({ sale, pointsEarned, user: req.user._id, session });
+      if (loyaltyEntry) {
+        updatedSale.loyalty.pointsEarned = pointsEarned;
+        updatedSale.loyalty.balance = loyaltyEntry.balanceAfter;
+        await updatedSale.save({ session });
+      }
+
+      // The refunded amount is accumulated with voids; the grand total never goes down
+      const grandTotal = await addToVoidTotal(refundAmount, session);
+      await updatedSale.populate('cashier', 'username');
+      await updatedSale.populate('items.product', 'name');
+      await recordJournalEntry({
+        event: 'adjusted',
+        sale: updatedSale,
+        settings,
+        user: req.user._id,
+        grandTotal,
+        session
+      });
+
+      return updatedSale;
+    });
+
+    await adjustedSale.populate('cashier', 'username');
+    await adjustedSale.populate('items.product', 'name price');
+    await adjustedSale.populate('adjustments.user', 'username');
+    await adjustedSale.populate('adjustments.approvedBy', 'username');
+
+    res.json({
+      success: true,
+      message: `Lines voided. Refund due to customer: ${refundAmount.toFixed(2)}`,
+      data: adjustedSale
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Process a partial return (with optional replacement items) against a sale
+ * @route   POST /api/sales/:id/returns
+ * @access  Private/Staff/Admin
+ */
+export const createSaleReturn = async (req, res, next) => {
+  try {
+    const { returnItems, replacementItems = [], reason, cashRendered } = req.body;
+
+    const sale = await Sale.findById(req.params.id);
+
+    if (!sale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sale not found'
+      });
+    }
+
+    if (sale.isVoid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot process a return for a voided sale'
+      });
+    }
+
+    if (sale.voidRequestStatus === 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'A void request is pending for this sale. Resolve it before processing a return.'
+      });
+    }
+
+    // Validate returned quantities against what is still returnable on the sale
+    const saleItemMap = new Map(sale.items.map(item => [item.product.toString(), item]));
+    const returnedLines = [];
+    let returnedSubtotal = 0;
+
+    for (const returnItem of returnItems) {
+      if (returnedLines.some(line => line.product.toString() === returnItem.product.toString())) {
+        return res.status(400).json({
+          success: false,
+          message: `Product with ID ${returnItem.product} is listed more than once`
+        });
+      }
+
+      const saleItem = saleItemMap.get(returnItem.product.toString());
+
+      if (!saleItem) {
+        return res.status(400).json({
+          success: false,
+          message: `Product with ID ${returnItem.product} is not part of sale ${sale.saleNumber}`
+        });
+      }
+
+      const returnableQuantity = saleItem.quantity - (saleItem.returnedQuantity || 0);
+      if (returnItem.quantity > returnableQuantity) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot return ${returnItem.quantity} of product ${returnItem.product}. Returnable quantity: ${returnableQuantity}`
+        });
+      }
+
+      // Refund at the price the customer originally paid, net of any discounts given on the line
+      const netUnitPrice = (saleItem.subtotal - (saleItem.discountAmount || 0)) / saleItem.quantity;
+      const lineSubtotal = roundCurrency(netUnitPrice * returnItem.quantity);
+      returnedSubtotal += lineSubtotal;
+      returnedLines.push({
+        product: saleItem.product,
+        quantity: returnItem.quantity,
+        price: netUnitPrice,
+        subtotal: lineSubtotal
+      });
+    }
+
+    // Fetch returned and replacement products at once to avoid N+1 query problem
+    const productIds = [
+      ...returnedLines.map(line => line.product.toString()),
+      ...replacementItems.map(item => item.product.toString())
+    ];
+    const products = await Product.find({ _id: { $in: productIds } });
+    const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+    // Replacements are priced the way a new sale to the same customer would be: the quantity, the
+    // customer's type and price list pick the price
+    const customer = replacementItems.length > 0 && sale.customer
+      ? await Customer.findById(sale.customer).populate('priceList')
+      : null;
+    const priceList = getCustomerPriceList(customer);
+
+    // Validate replacement stock and price replacements
+    const replacementLines = [];
+    let replacementSubtotal = 0;
+
+    for (const item of replacementItems) {
+      const product = productMap.get(item.product.toString());
+
+      if (!product || !product.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: `Product with ID ${item.product} not found`
+        });
+      }
+
+      // Returned units of the same product go back on the shelf first and may be handed out again
+      const returnedLine = returnedLines.find(line => line.product.toString() === item.product.toString());
+      const availableQuantity = product.stockQuantity + (returnedLine ? returnedLine.quantity : 0);
+      if (availableQuantity < item.quantity) {
+        return res.status(400).json({
+          success: false,
+          message: `Insufficient stock for ${product.name}. Available: ${availableQuantity}, Requested: ${item.quantity}`
+        });
+      }
+
+      const { price, priceTier, priceList: appliedPriceList } = resolveLinePrice(product, item.quantity, customer?.customerType, priceList);
+      const lineSubtotal = price * item.quantity;
+      replacementSubtotal += lineSubtotal;
+      replacementLines.push({
+        product: product._id,
+        quantity: item.quantity,
+        price,
+        subtotal: lineSubtotal,
+        priceTier,
+        priceList: appliedPriceList
+      });
+    }
+
+    // Returned items are refunded under the tax settings of the original sale,
+    // replacements are charged under the current settings
+    const returnedTaxes = calculateTaxes(
+      returnedLines.map(line => ({
+        amount: line.subtotal,
+        taxClass: saleItemMap.get(line.product.toString()).taxClass
+      })),
+      getTaxConfig(sale),
+      sale.vatExempt
+    );
+    const settings = await Settings.getSettings();
+    const replacementTaxes = calculateTaxes(
+      replacementLines.map(line => ({
+        amount: line.subtotal,
+        taxClass: productMap.get(line.product.toString()).taxClass
+      })),
+      getTaxConfig(settings)
+    );
+    const returnedTax = returnedTaxes.tax;
+    const returnedTotal = returnedTaxes.total;
+    const replacementTax = replacementTaxes.tax;
+    const replacementTotal = replacementTaxes.total;
+
+    const netAmount = replacementTotal - returnedTotal;
+    const refundAmount = netAmount < 0 ? -netAmount : 0;
+    const balanceDue = netAmount > 0 ? netAmount : 0;
+    const renderedAmount = parseFloat(cashRendered) || 0;
+
+    // The refund goes back the way the sale was paid: the cash share from the drawer, card, e-wallet, bank and
+    // check shares through the same tender, the share charged on account to the account and points as points
+    const refundShares = splitRefundByTender(sale, refundAmount);
+    const pointsShare = roundCurrency(refundShares
+      .filter(share => share.method === 'points')
+      .reduce((sum, share) => sum + share.amount, 0));
+
+    // Points go back whole, at the value they were redeemed at; centavos left over are refunded in cash
+    const redeemedAmount = roundCurrency((sale.payments || [])
+      .filter(payment => payment.method === 'points')
+      .reduce((sum, payment) => sum + payment.amount, 0));
+    const pointValue = sale.loyalty?.pointsRedeemed > 0 ? redeemedAmount / sale.loyalty.pointsRedeemed : 0;
+    const pointsReturned = pointValue > 0 ? Math.floor(pointsShare / pointValue + 1e-9) : 0;
+    const pointsRefund = roundCurrency(pointsReturned * pointValue);
+
+    // Layaway payments were collected across earlier shifts and are refunded in cash
+    const refundTotals = new Map();
+    const addRefund = (method, amount) => refundTotals.set(method, roundCurrency((refundTotals.get(method) || 0) + amount));
+    for (const share of refundShares) {
+      if (share.method === 'points') {
+        addRefund('points', pointsRefund);
+        addRefund('cash', share.amount - pointsRefund);
+      } else {
+        addRefund(share.method === LAYAWAY_TENDER ? 'cash' : share.method, share.amount);
+      }
+    }
+    const refunds = [...refundTotals.entries()]
+      .filter(([, amount]) => amount > 0)
+      .map(([method, amount]) => ({ method, amount }));
+    const accountCredit = refundTotals.get('charge') || 0;
+    const cashRefund = refundTotals.get('cash') || 0;
+
+    // Validate cash rendered covers the balance before touching any stock
+    if (balanceDue > 0 && renderedAmount < balanceDue) {
+      return res.status(400).json({
+        success: false,
+        message: `Cash rendered (${renderedAmount}) must be at least equal to the balance due (${balanceDue})`
+      });
+    }
+
+    // Refunds and balances paid come out of / go into the drawer of the processing cashier's open shift
+    const shift = await Shift.findOne({ cashier: req.user._id, status: 'open' }).select('_id');
+
+    // Stock, stock history, returned quantities on the sale, the receipt number, grand total and journal entry
+    // for an exchange balance and the return itself commit or roll back together
+    const saleReturn = await runInTransaction(async (session) => {
+      const returnNumber = await generateReturnNumber(session);
+
+      // The balance paid on an exchange sells the replacements: it takes a receipt number from the series
+      // and goes into the grand total like any sale
+      let receiptNumber;
+      let accumulatedGrandTotal;
+      if (balanceDue > 0) {
+        receiptNumber = settings.receipting?.birMode
+          ? await issueReceiptNumber(settings.receipting, session)
+          : undefined;
+        accumulatedGrandTotal = await addToGrandTotal(balanceDue, session);
+      }
+
+      // Conditional increment per line: fails instead of returning the same units twice when another
+      // return, void or line void changed the sale since it was read
+      let updatedSale = sale;
+      for (const line of returnedLines) {
+        const saleItem = saleItemMap.get(line.product.toString());
+        const updated = await Sale.findOneAndUpdate(
+          {
+            _id: sale._id,
+            isVoid: false,
+            voidRequestStatus: { $ne: 'pending' },
+            items: {
+              $elemMatch: {
+                product: line.product,
+                quantity: saleItem.quantity,
+                returnedQuantity: { $not: { $gt: saleItem.quantity - line.quantity } }
+              }
+            }
+          },
+          { $inc: { 'items.$.returnedQuantity': line.quantity } },
+          { new: true, session }
+        );
+
+        if (!updated) {
+          throw new HttpError(409, 'Sale was changed by another user while this return was being processed');
+        }
+        updatedSale = updated;
+      }
+
+      // Restock returned quantities, then release replacement quantities
+      const stockMovements = [];
+      for (const line of returnedLines) {
+        const product = await Product.findByIdAndUpdate(
+          line.product,
+          { $inc: { stockQuantity: line.quantity } },
+          { new: true, session }
+        );
+
+        if (!product) {
+          throw new HttpError(404, `Product with ID ${line.product} not found`);
+        }
+
+        stockMovements.push({
+          product: product._id,
+          productName: product.name,
+          type: 'RETURN',
+          quantity: line.quantity,
+          previousQuantity: product.stockQuantity - line.quantity,
+          newQuantity: product.stockQuantity,
+          referenceId: returnNumber,
+          remarks: `Returned from sale ${sale.saleNumber}`
+        });
+      }
+
+      for (const line of replacementLines) {
+        // Conditional decrement: fails instead of overselling when a checkout took the stock first
+        const product = await Product.findOneAndUpdate(
+          { _id: line.product, stockQuantity: { $gte: line.quantity } },
+          { $inc: { stockQuantity: -line.quantity } },
+          { new: true, session }
+        );
+
+        if (!product) {
+          const current = await Product.findById(line.product).select('name stockQuantity').session(session);
+          throw new HttpError(
+            409,
+            `Insufficient stock for ${current?.name || line.product}. Available: ${current?.stockQuantity ?? 0}, Requested: ${line.quantity}. Stock changed while this return was being processed.`
+          );
+        }
+
+        stockMovements.push({
+          product: product._id,
+          productName: product.name,
+          type: 'SALE',
+          quantity: -line.quantity,
+          previousQuantity: product.stockQuantity + line.quantity,
+          newQuantity: product.stockQuantity,
+          referenceId: returnNumber,
+          remarks: `Replacement for sale ${sale.saleNumber}`
+        });
+      }
+
+      await StockHistory.insertMany(stockMovements, { session });
+
+      if (accountCredit > 0) {
+        await postReturnCredit({
+          accountId: sale.creditAccount,
+          sale,
+          amount: accountCredit,
+          returnNumber,
+          user: req.user._id,
+          session
+        });
+      }
+
+      await returnRedeemedPoints({ sale, points: pointsReturned, amount: pointsRefund, user: req.user._id, session });
+
+      // Points earned on the spend refunded outside of points are taken back in proportion to what is left
+      // of that spend after earlier returns
+      const currentPointsEarned = updatedSale.loyalty?.pointsEarned || 0;
+      let pointsTakenBack = 0;
+      if (sale.customer && currentPointsEarned > 0 && refundAmount > 0) {
+        const earlierReturns = await SaleReturn.find({ sale: sale._id }).select('refundAmount pointsRefund').session(session);
+        const earlierRefunds = earlierReturns.reduce((sum, earlier) => sum + earlier.refundAmount - (earlier.pointsRefund || 0), 0);
+        const remainingSpend = updatedSale.total - redeemedAmount - earlierRefunds;
+        const refundedSpend = refundAmount - pointsRefund;
+        const pointsKept = remainingSpend > refundedSpend
+          ? Math.floor(currentPointsEarned * (1 - refundedSpend / remainingSpend) + 1e-9)
+          : 0;
+
+        const loyaltyEntry = await adjustLoyalty({ sale: updatedSale, pointsEarned: pointsKept, user: req.user._id, session });
+        if (loyaltyEntry) {
+          pointsTakenBack = currentPointsEarned - pointsKept;
+          await Sale.updateOne(
+            { _id: sale._id },
+            { $set: { 'loyalty.pointsEarned': pointsKept, 'loyalty.balance': loyaltyEntry.balanceAfter } },
+            { session }
+          );
+        }
+      }
+
+      const [createdReturn] = await SaleReturn.create([{
+        returnNumber,
+        sale: sale._id,
+        saleNumber: sale.saleNumber,
+        returnedItems: returnedLines,
+        replacementItems: replacementLines,
+        returnedSubtotal,
+        returnedTax,
+        returnedTotal,
+        replacementSubtotal,
+        replacementTax,
+        replacementTotal,
+        refundAmount,
+        refunds,
+        accountCredit,
+        pointsReturned,
+        pointsRefund,
+        pointsTakenBack,
+        balanceDue,
+        cashRendered: balanceDue > 0 ? renderedAmount : 0,
+        change: balanceDue > 0 ? renderedAmount - balanceDue : 0,
+        receiptNumber,
+        accumulatedGrandTotal,
+        reason,
+        processedBy: req.user._id,
+        shift: shift?._id
+      }], { session });
+
+      if (balanceDue > 0) {
+        await createdReturn.populate('processedBy', 'username');
+        await createdReturn.populate('returnedItems.product', 'name');
+        await createdReturn.populate('replacementItems.product', 'name');
+        await recordExchangeJournalEntry({
+          saleReturn: createdReturn,
+          sale: updatedSale,
+          settings,
+          user: req.user._id,
+          grandTotal: accumulatedGrandTotal,
+          session
+        });
+      }
+
+      return createdReturn;
+    });
+
+    await saleReturn.populate('processedBy', 'username');
+    await saleReturn.populate('returnedItems.product', 'name');
+    await saleReturn.populate('replacementItems.product', 'name');
+
+    const refundParts = [
+      cashRefund > 0 && `Cash refund due to customer: ${cashRefund.toFixed(2)}`,
+      ...refunds
+        .filter(refund => !['cash', 'charge', 'points'].includes(refund.method))
+        .map(refund => `Refund to ${formatPaymentMethod(refund.method)}: ${refund.amount.toFixed(2)}`),
+      accountCredit > 0 && `Credited to customer's account: ${accountCredit.toFixed(2)}`,
+      pointsReturned > 0 && `${pointsReturned} points (${pointsRefund.toFixed(2)}) returned to the customer`,
+      saleReturn.pointsTakenBack > 0 && `${saleReturn.pointsTakenBack} earned points taken back`
+    ].filter(Boolean);
+
+    res.status(201).json({
+      success: true,
+      message: refundAmount > 0
+        ? `Return processed. ${refundParts.join('. ')}`
+        : 'Return processed successfully',
+      data: saleReturn
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get returns recorded against a sale
+ * @route   GET /api/sales/:id/returns
+ * @access  Private
+ */
+export const getSaleReturns = async (req, res, next) => {
+  try {
+    const saleReturns = await SaleReturn.find({ sale: req.params.id })
+      .populate('processedBy', 'username')
+      .populate('returnedItems.product', 'name')
+      .populate('replacementItems.product', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: saleReturns.length,
+      data: saleReturns
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Format currency for PDF
+ */
+const formatCurrency = (value) => {
+  const numValue = parseFloat(value) || 0;
+  return `PHP ${numValue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+/**
+ * Render a sale receipt as PDF: an A4 page, or the narrow thermal layout when a thermal paper width is set
+ * @param {Object} sale - Sale with cashier and items.product populated
+ * @param {Object} settings - Settings document
+ * @param {Object} [options]
+ * @param {boolean} [options.reprint] - Mark the copy as a reprint
+ * @returns {Buffer} PDF bytes
+ */
+const renderSaleReceiptPdf = (sale, settings, { reprint: isReprint = false } = {}) => {
+  const receipting = settings.receipting || {};
+  const isBirReceipt = !!sale.receiptNumber;
+  const documentLabels = getDocumentLabels(receipting.documentType);
+
+  // Thermal paper gets the narrow receipt layout instead of the A4 page
+  const paperWidth = settings.receiptPrinter?.paperWidth || 'a4';
+  if (paperWidth !== 'a4') {
+    const lines = buildReceiptLines(sale, settings, { reprint: isReprint, columns: getReceiptColumns(paperWidth) });
+    return renderThermalPdf(lines, paperWidth);
+  }
+
+  const doc = new jsPDF();
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const margin = 14;
+  let yPosition = margin;
+
+  // Header - matching modal style; BIR receipts carry the registered store details instead
+  doc.setFontSize(16);
+  doc.setFont(undefined, 'bold');
+  doc.text(isBirReceipt ? receipting.registeredName : 'BLCM Sales and Inventory System', pageWidth / 2, yPosition, { align: 'center' });
+  yPosition += 6;
+
+  doc.setFontSize(10);
+  doc.setFont(undefined, 'normal');
+  doc.setTextColor(100, 100, 100);
+  if (isBirReceipt) {
+    const registrationLines = [
+      receipting.tradeName,
+      receipting.address,
+      `${sale.vatRegistered === false ? 'NON-VAT REG' : 'VAT REG'} TIN: ${receipting.tin}`,
+      `MIN: ${receipting.machineId}${receipting.serialNumber ? `   SN: ${receipting.serialNumber}` : ''}`,
+      receipting.permitNumber && `PTU No.: ${receipting.permitNumber}`
+    ].filter(Boolean);
+    for (const line of registrationLines) {
+      doc.text(line, pageWidth / 2, yPosition, { align: 'center' });
+      yPosition += 5;
+    }
+    yPosition += 1;
+    doc.setTextColor(0, 0, 0);
     doc.setFont(undefined, 'bold');
-    doc.setFontSize(10);
-    doc.text('Customer Details', margin, yPosition);
+    doc.text(documentLabels.title.toUpperCase(), pageWidth / 2, yPosition, { align: 'center' });
+    doc.setFont(undefined, 'normal');
+  } else {
+    doc.text('Sales Receipt', pageWidth / 2, yPosition, { align: 'center' });
+  }
+  doc.setTextColor(0, 0, 0);
+  yPosition += 8;
+
+  if (isReprint) {
+    doc.setFont(undefined, 'bold');
+    doc.text('*** REPRINT ***', pageWidth / 2, yPosition - 2, { align: 'center' });
+    doc.setFont(undefined, 'normal');
+    yPosition += 6;
+  }
+
+  // Draw a line separator
+  doc.setLineWidth(0.2);
+  doc.line(margin, yPosition, pageWidth - margin, yPosition);
+  yPosition += 8;
+
+  // Receipt Details
+  doc.setFontSize(9);
+  if (isBirReceipt) {
+    doc.setFont(undefined, 'bold');
+    doc.text(`${documentLabels.abbreviation} Number:`, margin, yPosition);
+    doc.text(sale.receiptNumber, pageWidth - margin, yPosition, { align: 'right' });
+    doc.setFont(undefined, 'normal');
+    yPosition += 6;
+  }
+
+  const saleNumberLabel = 'Sale Number:';
+  const saleNumberValue = sale.saleNumber;
+  doc.text(saleNumberLabel, margin, yPosition);
+  doc.text(saleNumberValue, pageWidth - margin, yPosition, { align: 'right' });
+  yPosition += 6;
+
+  const transactionDate = new Date(sale.createdAt);
+  const dateLabel = 'Transaction Date:';
+  const dateValue = transactionDate.toLocaleString();
+  doc.text(dateLabel, margin, yPosition);
+  doc.text(dateValue, pageWidth - margin, yPosition, { align: 'right' });
+  yPosition += 10;
+
+  // Customer Details Section
+  doc.setLineWidth(0.2);
+  doc.line(margin, yPosition, pageWidth - margin, yPosition);
+  yPosition += 8;
+
+  doc.setFont(undefined, 'bold');
+  doc.setFontSize(10);
+  doc.text('Customer Details', margin, yPosition);
+  yPosition += 8;
+  doc.setFont(undefined, 'normal');
+  doc.setFontSize(9);
+
+  // Display customer fields in order: Name, Contact Number, TIN Number, Email
+  let hasCustomerInfo = false;
+
+  if (sale.customerName) {
+    doc.setTextColor(100, 100, 100);
+    doc.text('Name:', margin, yPosition);
+    doc.setTextColor(0, 0, 0);
+    doc.text(sale.customerName, pageWidth - margin, yPosition, { align: 'right' });
+    yPosition += 6;
+    hasCustomerInfo = true;
+  }
+
+  if (sale.customerPhone) {
+    doc.setTextColor(100, 100, 100);
+    doc.text('Contact Number:', margin, yPosition);
+    doc.setTextColor(0, 0, 0);
+    doc.text(sale.customerPhone, pageWidth - margin, yPosition, { align: 'right' });
+    yPosition += 6;
+    hasCustomerInfo = true;
+  }
+
+  if (sale.tinNumber) {
+    doc.setTextColor(100, 100, 100);
+    doc.text('TIN Number:', margin, yPosition);
+    doc.setTextColor(0, 0, 0);
+    doc.text(sale.tinNumber, pageWidth - margin, yPosition, { align: 'right' });
+    yPosition += 6;
+    hasCustomerInfo = true;
+  }
+
+  if (sale.customerEmail) {
+    doc.setTextColor(100, 100, 100);
+    doc.text('Email:', margin, yPosition);
+    doc.setTextColor(0, 0, 0);
+    doc.text(sale.customerEmail, pageWidth - margin, yPosition, { align: 'right' });
+    yPosition += 6;
+    hasCustomerInfo = true;
+  }
+
+  // Show "Walk-in Customer" only if no customer information is provided
+  if (!hasCustomerInfo) {
+    doc.setTextColor(100, 100, 100);
+    doc.text('Walk-in Customer', margin, yPosition);
+    doc.setTextColor(0, 0, 0);
+    yPosition += 6;
+  }
+
+  yPosition += 4;
+
+  // Items Section
+  doc.setLineWidth(0.2);
+  doc.line(margin, yPosition, pageWidth - margin, yPosition);
+  yPosition += 8;
+
+  doc.setFont(undefined, 'bold');
+  doc.setFontSize(10);
+  doc.text('Items', margin, yPosition);
+  yPosition += 8;
+
+  // Table headers
+  doc.setFontSize(8);
+  doc.setFont(undefined, 'bold');
+  const col1 = margin;
+  const col2 = margin + 80;
+  const col3 = margin + 120;
+  const col4 = pageWidth - margin;
+
+  doc.text('Item', col1, yPosition);
+  doc.text('Qty', col2, yPosition, { align: 'center' });
+  doc.text('Price', col3, yPosition, { align: 'right' });
+  doc.text('Subtotal', col4, yPosition, { align: 'right' });
+  yPosition += 6;
+
+  // Draw line under headers
+  doc.line(margin, yPosition, pageWidth - margin, yPosition);
+  yPosition += 6;
+
+  // Items rows
+  doc.setFont(undefined, 'normal');
+  sale.items.forEach((item) => {
+    const productName = item.product?.name || 'Unknown Product';
+    const quantity = item.quantity || 0;
+    const price = item.price || item.product?.price || 0;
+    const subtotal = item.subtotal || (price * quantity);
+
+    // Check if we need a new page
+    if (yPosition > 250) {
+      doc.addPage();
+      yPosition = margin;
+    }
+
+    // Truncate product name if too long
+    const maxNameWidth = 70;
+    let displayName = productName;
+    if (doc.getTextWidth(productName) > maxNameWidth) {
+      while (doc.getTextWidth(displayName + '...') > maxNameWidth && displayName.length > 0) {
+        displayName = displayName.slice(0, -1);
+      }
+      displayName += '...';
+    }
+
+    doc.text(displayName, col1, yPosition);
+    doc.text(quantity.toString(), col2, yPosition, { align: 'center' });
+    doc.text(formatCurrency(price), col3, yPosition, { align: 'right' });
+    doc.setFont(undefined, 'bold');
+    doc.text(formatCurrency(subtotal), col4, yPosition, { align: 'right' });
+    doc.setFont(undefined, 'normal');
+    yPosition += 6;
+
+    // Line discount entered at the counter
+    if (item.discountType && item.discountValue > 0) {
+      const lineDiscount = item.discountType === 'percent'
+        ? roundCurrency(subtotal * (item.discountValue / 100))
+        : item.discountValue;
+      const discountLabel = item.discountType === 'percent'
+        ? `  Less ${item.discountValue}%`
+        : '  Less';
+      doc.setTextColor(100, 100, 100);
+      doc.text(discountLabel, col1, yPosition);
+      doc.text(`-${formatCurrency(lineDiscount)}`, col4, yPosition, { align: 'right' });
+      doc.setTextColor(0, 0, 0);
+      yPosition += 6;
+    }
+  });
+
+  yPosition += 6;
+
+  // Totals Section
+  doc.setLineWidth(0.2);
+  doc.line(margin, yPosition, pageWidth - margin, yPosition);
+  yPosition += 8;
+
+  doc.setFontSize(9);
+  doc.text('Subtotal:', margin, yPosition);
+  doc.text(formatCurrency(sale.subtotal), pageWidth - margin, yPosition, { align: 'right' });
+  yPosition += 7;
+
+  if (sale.discount > 0) {
+    const discountLabel = sale.statutoryDiscount?.type
+      ? `${formatStatutoryDiscount(sale.statutoryDiscount.type)} Discount (20%):`
+      : 'Discount:';
+    doc.text(discountLabel, margin, yPosition);
+    doc.text(`-${formatCurrency(sale.discount)}`, pageWidth - margin, yPosition, { align: 'right' });
+    yPosition += 7;
+  }
+
+  if (sale.deliveryFee > 0) {
+    doc.text('Delivery Fee:', margin, yPosition);
+    doc.text(formatCurrency(sale.deliveryFee), pageWidth - margin, yPosition, { align: 'right' });
+    yPosition += 7;
+  }
+
+  if (sale.statutoryDiscount?.type) {
+    doc.setTextColor(100, 100, 100);
+    doc.text(`${formatStatutoryDiscount(sale.statutoryDiscount.type)} ID: ${sale.statutoryDiscount.idNumber}`, margin, yPosition);
+    yPosition += 6;
+    if (sale.statutoryDiscount.holderName) {
+      doc.text(`Name: ${sale.statutoryDiscount.holderName}`, margin, yPosition);
+      yPosition += 6;
+    }
+    doc.setTextColor(0, 0, 0);
+  }
+
+  // VAT breakdown; sales recorded before tax settings only carry the tax amount
+  if (sale.vatRegistered === false) {
+    doc.setTextColor(100, 100, 100);
+    doc.text('Non-VAT Registered', margin, yPosition);
+    doc.setTextColor(0, 0, 0);
+    yPosition += 7;
+  } else if (sale.vatableSales !== undefined) {
+    const vatBreakdown = [
+      ['VATable Sales:', sale.vatableSales],
+      ['VAT-Exempt Sales:', sale.vatExemptSales],
+      ['Zero-Rated Sales:', sale.zeroRatedSales],
+      [`VAT (${sale.vatRate}%)${sale.pricesIncludeVat ? ' (included)' : ''}:`, sale.tax]
+    ];
+    vatBreakdown.forEach(([label, amount]) => {
+      doc.text(label, margin, yPosition);
+      doc.text(formatCurrency(amount || 0), pageWidth - margin, yPosition, { align: 'right' });
+      yPosition += 7;
+    });
+  } else {
+    doc.text(sale.vatExempt ? 'Tax (VAT-Exempt):' : 'Tax (VAT):', margin, yPosition);
+    doc.text(formatCurrency(sale.tax), pageWidth - margin, yPosition, { align: 'right' });
+    yPosition += 7;
+  }
+
+  // Total with border-t style
+  doc.setLineWidth(0.2);
+  doc.line(margin, yPosition, pageWidth - margin, yPosition);
+  yPosition += 8;
+
+  doc.setFont(undefined, 'bold');
+  doc.setFontSize(12);
+  doc.text('Total:', margin, yPosition);
+  doc.text(formatCurrency(sale.total), pageWidth - margin, yPosition, { align: 'right' });
+  yPosition += 10;
+
+  // Payment Method Section - tender breakdown
+  doc.setLineWidth(0.2);
+  doc.line(margin, yPosition, pageWidth - margin, yPosition);
+  yPosition += 8;
+
+  doc.setFont(undefined, 'bold');
+  doc.setFontSize(9);
+  doc.text('Payment Method:', margin, yPosition);
+  doc.setFont(undefined, 'normal');
+  doc.text(formatPaymentMethod(sale.paymentMethod), pageWidth - margin, yPosition, { align: 'right' });
+  yPosition += 7;
+
+  // Sales recorded before split tenders only carry cashRendered
+  const tenders = sale.payments?.length > 0
+    ? sale.payments
+    : [{ method: 'cash', amount: sale.cashRendered || 0 }];
+  const change = sale.payments?.length > 0
+    ? (sale.change || 0)
+    : Math.max(0, (sale.cashRendered || 0) - sale.total);
+
+  tenders.forEach((tender) => {
+    const label = tender.referenceNumber
+      ? `${formatPaymentMethod(tender.method)} (Ref: ${tender.referenceNumber})`
+      : formatPaymentMethod(tender.method);
+    doc.setTextColor(100, 100, 100);
+    doc.text(label, margin, yPosition);
+    doc.setTextColor(0, 0, 0);
+    doc.text(formatCurrency(tender.amount), pageWidth - margin, yPosition, { align: 'right' });
+    yPosition += 6;
+  });
+
+  if (change > 0) {
+    doc.setFont(undefined, 'bold');
+    doc.text('Change:', margin, yPosition);
+    doc.text(formatCurrency(change), pageWidth - margin, yPosition, { align: 'right' });
+    doc.setFont(undefined, 'normal');
+    yPosition += 6;
+  }
+  yPosition += 4;
+
+  // Loyalty points of the customer the sale is linked to
+  if (sale.loyalty?.balance != null) {
+    const pointRows = [
+      sale.loyalty.pointsRedeemed > 0 && ['Points Redeemed:', sale.loyalty.pointsRedeemed],
+      ['Points Earned:', sale.loyalty.pointsEarned || 0],
+      ['Points Balance:', sale.loyalty.balance]
+    ].filter(Boolean);
+    doc.setTextColor(100, 100, 100);
+    for (const [label, points] of pointRows) {
+      doc.text(label, margin, yPosition);
+      doc.text(String(points), pageWidth - margin, yPosition, { align: 'right' });
+      yPosition += 6;
+    }
+    doc.setTextColor(0, 0, 0);
+    yPosition += 4;
+  }
+
+  // Status (if voided)
+  if (sale.isVoid) {
+    doc.setLineWidth(0.2);
+    doc.line(margin, yPosition, pageWidth - margin, yPosition);
     yPosition += 8;
-    doc.setFont(undefined, 'normal');
-    doc.setFontSize(9);
+    doc.setFillColor(254, 226, 226);
+    doc.roundedRect(margin, yPosition - 4, pageWidth - (margin * 2), 8, 2, 2, 'F');
+    doc.setTextColor(220, 38, 38);
+    doc.setFont(undefined, 'bold');
+    doc.text('VOIDED', pageWidth / 2, yPosition, { align: 'center' });
+    doc.setTextColor(0, 0, 0);
+    yPosition += 10;
+  }
 
-    // Display customer fields in order: Name, Contact Number, TIN Number, Email
-    let hasCustomerInfo = false;
+  // Footer
+  doc.setLineWidth(0.2);
+  doc.line(margin, yPosition, pageWidth - margin, yPosition);
+  yPosition += 8;
+
+  doc.setFontSize(8);
+  doc.setTextColor(100, 100, 100);
+  if (isBirReceipt) {
+    const serial = (value) => String(value).padStart(RECEIPT_NUMBER_PADDING, '0');
+    const footerLines = [
+      receipting.accreditationNumber && `Accreditation No.: ${receipting.accreditationNumber}`,
+      receipting.seriesEnd && `Series: ${serial(receipting.seriesStart || 1)} - ${serial(receipting.seriesEnd)}`,
+      `THIS SERVES AS YOUR ${documentLabels.title.toUpperCase()}`,
+      sale.vatRegistered === false && 'THIS DOCUMENT IS NOT VALID FOR CLAIM OF INPUT TAX'
+    ].filter(Boolean);
+    for (const line of footerLines) {
+      doc.text(line, pageWidth / 2, yPosition, { align: 'center' });
+      yPosition += 5;
+    }
+  }
+  doc.text('Thank you for your purchase!', pageWidth / 2, yPosition, { align: 'center' });
+  doc.setTextColor(0, 0, 0);
 
-    if (sale.customerName) {
-      doc.setTextColor(100, 100, 100);
-      doc.text('Name:', margin, yPosition);
-      doc.setTextColor(0, 0, 0);
-      doc.text(sale.customerName, pageWidth - margin, yPosition, { align: 'right' });
-      yPosition += 6;
-      hasCustomerInfo = true;
+  return Buffer.from(doc.output('arraybuffer'));
+};
+
+/**
+ * Email a sale receipt (PDF attached) and record the attempt in the sale's delivery log
+ * Sending failures are logged on the sale rather than thrown
+ * @param {Object} params
+ * @param {Object} params.sale - Sale with cashier and items.product populated
+ * @param {Object} params.settings - Settings document
+ * @param {string} params.to - Recipient address
+ * @param {ObjectId} [params.user] - User who sent the receipt; null when sent on sale completion
+ * @returns {Promise<Object>} Delivery log entry
+ */
+const emailSaleReceipt = async ({ sale, settings, to, user = null }) => {
+  const documentNumber = sale.receiptNumber || sale.saleNumber;
+  const entry = { to, sentBy: user, sentAt: new Date() };
+
+  try {
+    const result = await sendMail({
+      to,
+      subject: `Your receipt ${documentNumber}`,
+      text: `Thank you for your purchase! Your receipt is attached.\n\n${renderReceiptText(sale, settings)}`,
+      attachments: [{
+        filename: `Receipt_${sale.saleNumber}.pdf`,
+        content: renderSaleReceiptPdf(sale, settings),
+        contentType: 'application/pdf'
+      }]
+    });
+    Object.assign(entry, { status: 'sent', transport: result.transport, messageId: result.messageId });
+  } catch (sendError) {
+    Object.assign(entry, { status: 'failed', error: sendError.message });
+  }
+
+  await Sale.updateOne({ _id: sale._id }, { $push: { receiptEmails: entry } });
+  return entry;
+};
+
+/**
+ * @desc    Export sale receipt as PDF; downloads are previews and are not counted as prints
+ * @route   GET /api/sales/:id/pdf
+ * @access  Private
+ */
+export const exportSalePDF = async (req, res, next) => {
+  try {
+    const sale = await Sale.findById(req.params.id)
+      .populate('cashier', 'username')
+      .populate('items.product');
+
+    if (!sale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sale not found'
+      });
     }
 
-    if (sale.customerPhone) {
-      doc.setTextColor(100, 100, 100);
-      doc.text('Contact Number:', margin, yPosition);
-      doc.setTextColor(0, 0, 0);
-      doc.text(sale.customerPhone, pageWidth - margin, yPosition, { align: 'right' });
-      yPosition += 6;
-      hasCustomerInfo = true;
+    const settings = await Settings.getSettings();
+    const pdfBuffer = renderSaleReceiptPdf(sale, settings, { reprint: sale.printCount > 0 });
+    const fileName = `Receipt_${sale.saleNumber}_${format(new Date(), 'yyyy-MM-dd')}.pdf`;
+
+    // Set response headers
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+
+    // Send PDF
+    res.send(pdfBuffer);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a sale receipt as plain text or an ESC/POS byte stream for the configured paper width;
+ *          previews are not counted as prints
+ * @route   GET /api/sales/:id/receipt?format=text|escpos
+ * @access  Private
+ */
+export const getSaleReceipt = async (req, res, next) => {
+  try {
+    const { format: output = 'text' } = req.query;
+
+    const sale = await Sale.findById(req.params.id)
+      .populate('cashier', 'username')
+      .populate('items.product', 'name');
+
+    if (!sale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sale not found'
+      });
     }
 
-    if (sale.tinNumber) {
-      doc.setTextColor(100, 100, 100);
-      doc.text('TIN Number:', margin, yPosition);
-      doc.setTextColor(0, 0, 0);
-      doc.text(sale.tinNumber, pageWidth - margin, yPosition, { align: 'right' });
-      yPosition += 6;
-      hasCustomerInfo = true;
+    const settings = await Settings.getSettings();
+    const lines = buildReceiptLines(sale, settings, {
+      reprint: sale.printCount > 0,
+      columns: getReceiptColumns(settings.receiptPrinter?.paperWidth)
+    });
+
+    if (output === 'escpos') {
+      const bytes = encodeEscPos(lines);
+      res.setHeader('Content-Type', 'application/octet-stream');
+      res.setHeader('Content-Disposition', `attachment; filename="Receipt_${sale.saleNumber}.bin"`);
+      res.setHeader('Content-Length', bytes.length);
+      return res.send(bytes);
     }
 
-    if (sale.customerEmail) {
-      doc.setTextColor(100, 100, 100);
-      doc.text('Email:', margin, yPosition);
-      doc.setTextColor(0, 0, 0);
-      doc.text(sale.customerEmail, pageWidth - margin, yPosition, { align: 'right' });
-      yPosition += 6;
-      hasCustomerInfo = true;
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.send(lines.map(line => line.text).join('\n'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Print a sale receipt on the configured network receipt printer
+ * @route   POST /api/sales/:id/print
+ * @access  Private
+ */
+export const printSaleReceipt = async (req, res, next) => {
+  try {
+    const settings = await Settings.getSettings();
+    const printer = settings.receiptPrinter;
+
+    if (!printer?.host || printer.paperWidth === 'a4') {
+      return res.status(400).json({
+        success: false,
+        message: 'No receipt printer is configured. Set the paper width and printer address in Settings.'
+      });
     }
 
-    // Show "Walk-in Customer" only if no customer information is provided
-    if (!hasCustomerInfo) {
-      doc.setTextColor(100, 100, 100);
-      doc.text('Walk-in Customer', margin, yPosition);
-      doc.setTextColor(0, 0, 0);
-      yPosition += 6;
+    const sale = await Sale.findById(req.params.id)
+      .populate('cashier', 'username')
+      .populate('items.product', 'name');
+
+    if (!sale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sale not found'
+      });
     }
 
-    yPosition += 4;
+    const lines = buildReceiptLines(sale, settings, {
+      reprint: sale.printCount > 0,
+      columns: getReceiptColumns(printer.paperWidth)
+    });
 
-    // Items Section
-    doc.setLineWidth(0.2);
-    doc.line(margin, yPosition, pageWidth - margin, yPosition);
-    yPosition += 8;
+    try {
+      await sendToPrinter(encodeEscPos(lines), printer);
+    } catch (printError) {
+      return res.status(502).json({
+        success: false,
+        message: `Receipt could not be printed: ${printError.message}`
+      });
+    }
+
+    // Only a job the printer accepted counts as a print (and, after the first, a reprint in the journal)
+    const isReprint = await recordReceiptPrint({ sale, settings, user: req.user._id });
+
+    res.json({
+      success: true,
+      message: isReprint ? 'Receipt reprinted' : 'Receipt printed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Email a sale receipt to the customer (or another address)
+ * @route   POST /api/sales/:id/email
+ * @access  Private/Supplier/Staff
+ */
+export const sendReceiptEmail = async (req, res, next) => {
+  try {
+    const sale = await Sale.findById(req.params.id)
+      .populate('cashier', 'username')
+      .populate('items.product', 'name');
+
+    if (!sale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sale not found'
+      });
+    }
+
+    const to = req.body.email || sale.customerEmail;
+    if (!to) {
+      return res.status(400).json({
+        success: false,
+        message: 'This sale has no customer email. Enter an address to send the receipt to.'
+      });
+    }
+
+    const settings = await Settings.getSettings();
+    const entry = await emailSaleReceipt({ sale, settings, to, user: req.user._id });
+
+    if (entry.status === 'failed') {
+      return res.status(502).json({
+        success: false,
+        message: `Receipt could not be emailed to ${to}: ${entry.error}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Receipt emailed to ${to}`,
+      data: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Export return slip as PDF
+ * @route   GET /api/sales/returns/:returnId/pdf
+ * @access  Private
+ */
+export const exportReturnPDF = async (req, res, next) => {
+  try {
+    const saleReturn = await SaleReturn.findById(req.params.returnId)
+      .populate('processedBy', 'username')
+      .populate('returnedItems.product', 'name')
+      .populate('replacementItems.product', 'name');
+
+    if (!saleReturn) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return not found'
+      });
+    }
+
+    const doc = new jsPDF();
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const margin = 14;
+    let yPosition = margin;
 
+    // Header
+    doc.setFontSize(16);
     doc.setFont(undefined, 'bold');
+    doc.text('BLCM Sales and Inventory System', pageWidth / 2, yPosition, { align: 'center' });
+    yPosition += 6;
+
     doc.setFontSize(10);
-    doc.text('Items', margin, yPosition);
+    doc.setFont(undefined, 'normal');
+    doc.setTextColor(100, 100, 100);
+    doc.text('Return Slip', pageWidth / 2, yPosition, { align: 'center' });
+    doc.setTextColor(0, 0, 0);
     yPosition += 8;
 
-    // Table headers
-    doc.setFontSize(8);
-    doc.setFont(undefined, 'bold');
+    doc.setLineWidth(0.2);
+    doc.line(margin, yPosition, pageWidth - margin, yPosition);
+    yPosition += 8;
+
+    // Return details
+    doc.setFontSize(9);
+    const details = [
+      ['Return Number:', saleReturn.returnNumber],
+      ...(saleReturn.receiptNumber ? [['Exchange Receipt No.:', saleReturn.receiptNumber]] : []),
+      ['Original Sale:', saleReturn.saleNumber],
+      ['Return Date:', new Date(saleReturn.createdAt).toLocaleString()],
+      ['Processed By:', saleReturn.processedBy?.username || '-'],
+      ['Reason:', saleReturn.reason]
+    ];
+    details.forEach(([label, value]) => {
+      doc.text(label, margin, yPosition);
+      doc.text(String(value), pageWidth - margin, yPosition, { align: 'right' });
+      yPosition += 6;
+    });
+    yPosition += 4;
+
     const col1 = margin;
     const col2 = margin + 80;
     const col3 = margin + 120;
     const col4 = pageWidth - margin;
 
-    doc.text('Item', col1, yPosition);
-    doc.text('Qty', col2, yPosition, { align: 'center' });
-    doc.text('Price', col3, yPosition, { align: 'right' });
-    doc.text('Subtotal', col4, yPosition, { align: 'right' });
-    yPosition += 6;
+    // Render one item table (returned or replacement items)
+    const renderItems = (title, items) => {
+      doc.setLineWidth(0.2);
+      doc.line(margin, yPosition, pageWidth - margin, yPosition);
+      yPosition += 8;
 
-    // Draw line under headers
-    doc.line(margin, yPosition, pageWidth - margin, yPosition);
-    yPosition += 6;
+      doc.setFont(undefined, 'bold');
+      doc.setFontSize(10);
+      doc.text(title, margin, yPosition);
+      yPosition += 8;
 
-    // Items rows
-    doc.setFont(undefined, 'normal');
-    sale.items.forEach((item) => {
-      const productName = item.product?.name || 'Unknown Product';
-      const quantity = item.quantity || 0;
-      const price = item.price || item.product?.price || 0;
-      const subtotal = item.subtotal || (price * quantity);
-
-      // Check if we need a new page
-      if (yPosition > 250) {
-        doc.addPage();
-        yPosition = margin;
-      }
-
-      // Truncate product name if too long
-      const maxNameWidth = 70;
-      let displayName = productName;
-      if (doc.getTextWidth(productName) > maxNameWidth) {
-        while (doc.getTextWidth(displayName + '...') > maxNameWidth && displayName.length > 0) {
-          displayName = displayName.slice(0, -1);
-        }
-        displayName += '...';
-      }
+      doc.setFontSize(8);
+      doc.text('Item', col1, yPosition);
+      doc.text('Qty', col2, yPosition, { align: 'center' });
+      doc.text('Price', col3, yPosition, { align: 'right' });
+      doc.text('Subtotal', col4, yPosition, { align: 'right' });
+      yPosition += 6;
+      doc.line(margin, yPosition, pageWidth - margin, yPosition);
+      yPosition += 6;
 
-      doc.text(displayName, col1, yPosition);
-      doc.text(quantity.toString(), col2, yPosition, { align: 'center' });
-      doc.text(formatCurrency(price), col3, yPosition, { align: 'right' });
-      doc.setFont(undefined, 'bold');
-      doc.text(formatCurrency(subtotal), col4, yPosition, { align: 'right' });
       doc.setFont(undefined, 'normal');
+      items.forEach((item) => {
+        if (yPosition > 250) {
+          doc.addPage();
+          yPosition = margin;
+        }
+        doc.text(item.product?.name || 'Unknown Product', col1, yPosition, { maxWidth: 70 });
+        doc.text(item.quantity.toString(), col2, yPosition, { align: 'center' });
+        doc.text(formatCurrency(item.price), col3, yPosition, { align: 'right' });
+        doc.text(formatCurrency(item.subtotal), col4, yPosition, { align: 'right' });
+        yPosition += 6;
+      });
       yPosition += 6;
-    });
+    };
 
-    yPosition += 6;
+    renderItems('Returned Items', saleReturn.returnedItems);
+    if (saleReturn.replacementItems.length > 0) {
+      renderItems('Replacement Items', saleReturn.replacementItems);
+    }
 
-    // Totals Section
+    // Totals
     doc.setLineWidth(0.2);
     doc.line(margin, yPosition, pageWidth - margin, yPosition);
     yPosition += 8;
 
     doc.setFontSize(9);
-    doc.text('Subtotal:', margin, yPosition);
-    doc.text(formatCurrency(sale.subtotal), pageWidth - margin, yPosition, { align: 'right' });
-    yPosition += 7;
-
-    if (sale.discount > 0) {
-      doc.text('Discount:', margin, yPosition);
-      doc.text(formatCurrency(sale.discount), pageWidth - margin, yPosition, { align: 'right' });
+    const totals = [
+      ['Returned Amount (incl. VAT):', saleReturn.returnedTotal],
+      ['Replacement Amount (incl. VAT):', saleReturn.replacementTotal]
+    ];
+    totals.forEach(([label, value]) => {
+      doc.text(label, margin, yPosition);
+      doc.text(formatCurrency(value), pageWidth - margin, yPosition, { align: 'right' });
       yPosition += 7;
-    }
-
-    doc.text('Tax (VAT):', margin, yPosition);
-    doc.text(formatCurrency(sale.tax), pageWidth - margin, yPosition, { align: 'right' });
-    yPosition += 7;
+    });
 
-    // Total with border-t style
-    doc.setLineWidth(0.2);
     doc.line(margin, yPosition, pageWidth - margin, yPosition);
     yPosition += 8;
 
     doc.setFont(undefined, 'bold');
     doc.setFontSize(12);
-    doc.text('Total:', margin, yPosition);
-    doc.text(formatCurrency(sale.total), pageWidth - margin, yPosition, { align: 'right' });
-    yPosition += 10;
+    if (saleReturn.refundAmount > 0) {
+      doc.text('Refund to Customer:', margin, yPosition);
+      doc.text(formatCurrency(saleReturn.refundAmount), pageWidth - margin, yPosition, { align: 'right' });
+      yPosition += 10;
 
-    // Cash Rendered and Change (only for cash payments)
-    if (sale.paymentMethod === 'cash' && sale.cashRendered) {
-      doc.setFont(undefined, 'normal');
-      doc.setFontSize(9);
-      doc.text('Cash Rendered:', margin, yPosition);
-      doc.text(formatCurrency(sale.cashRendered), pageWidth - margin, yPosition, { align: 'right' });
-      yPosition += 7;
+      const refunds = getRefundsByTender(saleReturn);
+      if (refunds.some(refund => refund.method !== 'cash')) {
+        doc.setFont(undefined, 'normal');
+        doc.setFontSize(9);
+        refunds.forEach(refund => {
+          const label = refund.method === 'charge'
+            ? 'Credited to Account:'
+            : refund.method === 'points'
+              ? `Returned as Points (${saleReturn.pointsReturned} pts):`
+              : `${formatPaymentMethod(refund.method)} Refund:`;
+          doc.text(label, margin, yPosition);
+          doc.text(formatCurrency(refund.amount), pageWidth - margin, yPosition, { align: 'right' });
+          yPosition += 7;
+        });
+        yPosition += 3;
+      }
+    } else {
+      doc.text('Balance Due:', margin, yPosition);
+      doc.text(formatCurrency(saleReturn.balanceDue), pageWidth - margin, yPosition, { align: 'right' });
+      yPosition += 10;
 
-      const change = Math.max(0, sale.cashRendered - sale.total);
-      if (change > 0) {
-        doc.setFont(undefined, 'bold');
+      if (saleReturn.balanceDue > 0) {
+        doc.setFont(undefined, 'normal');
+        doc.setFontSize(9);
+        doc.text('Cash Rendered:', margin, yPosition);
+        doc.text(formatCurrency(saleReturn.cashRendered), pageWidth - margin, yPosition, { align: 'right' });
+        yPosition += 7;
         doc.text('Change:', margin, yPosition);
-        doc.text(formatCurrency(change), pageWidth - margin, yPosition, { align: 'right' });
+        doc.text(formatCurrency(saleReturn.change), pageWidth - margin, yPosition, { align: 'right' });
         yPosition += 10;
-      } else {
-        yPosition += 4;
       }
-    } else {
-      yPosition += 4;
     }
 
-    // Payment Method Section
-    doc.setLineWidth(0.2);
-    doc.line(margin, yPosition, pageWidth - margin, yPosition);
-    yPosition += 8;
-
-    doc.setFont(undefined, 'bold');
-    doc.setFontSize(9);
-    doc.text('Payment Method:', margin, yPosition);
+    // Signature lines
     doc.setFont(undefined, 'normal');
-    const paymentMethod = formatPaymentMethod(sale.paymentMethod);
-    doc.text(paymentMethod.charAt(0).toUpperCase() + paymentMethod.slice(1), pageWidth - margin, yPosition, { align: 'right' });
-    yPosition += 10;
-
-    // Status (if voided)
-    if (sale.isVoid) {
-      doc.setLineWidth(0.2);
-      doc.line(margin, yPosition, pageWidth - margin, yPosition);
-      yPosition += 8;
-      doc.setFillColor(254, 226, 226);
-      doc.roundedRect(margin, yPosition - 4, pageWidth - (margin * 2), 8, 2, 2, 'F');
-      doc.setTextColor(220, 38, 38);
-      doc.setFont(undefined, 'bold');
-      doc.text('VOIDED', pageWidth / 2, yPosition, { align: 'center' });
-      doc.setTextColor(0, 0, 0);
-      yPosition += 10;
-    }
-
-    // Footer
-    doc.setLineWidth(0.2);
-    doc.line(margin, yPosition, pageWidth - margin, yPosition);
-    yPosition += 8;
-
     doc.setFontSize(8);
-    doc.setTextColor(100, 100, 100);
-    doc.text('Thank you for your purchase!', pageWidth / 2, yPosition, { align: 'center' });
-    doc.setTextColor(0, 0, 0);
+    yPosition += 10;
+    doc.line(margin, yPosition, margin + 70, yPosition);
+    doc.line(pageWidth - margin - 70, yPosition, pageWidth - margin, yPosition);
+    yPosition += 5;
+    doc.text('Customer Signature', margin + 35, yPosition, { align: 'center' });
+    doc.text('Processed By', pageWidth - margin - 35, yPosition, { align: 'center' });
 
-    // Generate PDF buffer
     const pdfBuffer = Buffer.from(doc.output('arraybuffer'));
 
-    // Set response headers
-    const fileName = `Receipt_${sale.saleNumber}_${format(new Date(), 'yyyy-MM-dd')}.pdf`;
+    const fileName = `Return_${saleReturn.returnNumber}_${format(new Date(), 'yyyy-MM-dd')}.pdf`;
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
     res.setHeader('Content-Length', pdfBuffer.length);
 
-    // Send PDF
     res.send(pdfBuffer);
   } catch (error) {
     next(error);
   }
 };
-
@@ -1,5 +1,16 @@
 import Settings from '../models/Settings.model.js';
 import User from '../models/User.model.js';
+import Counter from '../models/Counter.model.js';
+import Category from '../models/Category.model.js';
+import {
+  startReceiptSeries,
+  getLastReceiptNumber,
+  getAccumulatedTotals,
+  getZCounter
+} from '../utils/receipting.js';
+import { getReceiptColumns } from '../utils/receiptText.js';
+import { encodeEscPos } from '../utils/escpos.js';
+import { sendToPrinter } from '../utils/printer.js';
 
 /**
  * @desc    Get SuperAdmin code status
@@ -243,6 +254,509 @@ export const setPasswordFormat = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get discount approval threshold
+ * @route   GET /api/settings/discount-threshold
+ * @access  Private
+ */
+export const getDiscountThreshold = async (req, res, next) => {
+  try {
+    const settings = await Settings.getSettings();
+
+    res.json({
+      success: true,
+      data: {
+        threshold: settings.discountApprovalThreshold ?? 10
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Set discount approval threshold
+ * @route   POST /api/settings/discount-threshold
+ * @access  Private/Admin
+ */
+export const setDiscountThreshold = async (req, res, next) => {
+  try {
+    const threshold = parseFloat(req.body.threshold);
+
+    if (Number.isNaN(threshold) || threshold < 0 || threshold > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Discount approval threshold must be between 0 and 100'
+      });
+    }
+
+    const settings = await Settings.getSettings();
+    settings.discountApprovalThreshold = threshold;
+    await settings.save();
+
+    res.json({
+      success: true,
+      message: 'Discount approval threshold has been updated successfully',
+      data: {
+        threshold: settings.discountApprovalThreshold
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get tax settings
+ * @route   GET /api/settings/tax
+ * @access  Private
+ */
+export const getTaxSettings = async (req, res, next) => {
+  try {
+    const settings = await Settings.getSettings();
+
+    res.json({
+      success: true,
+      data: {
+        vatRate: settings.vatRate ?? 12,
+        pricesIncludeVat: !!settings.pricesIncludeVat,
+        vatRegistered: settings.vatRegistered ?? true
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update tax settings
+ * @route   POST /api/settings/tax
+ * @access  Private/Admin
+ */
+export const setTaxSettings = async (req, res, next) => {
+  try {
+    const { vatRate, pricesIncludeVat, vatRegistered } = req.body;
+
+    const settings = await Settings.getSettings();
+
+    if (vatRate !== undefined) {
+      const rate = parseFloat(vatRate);
+      if (Number.isNaN(rate) || rate < 0 || rate > 100) {
+        return res.status(400).json({
+          success: false,
+          message: 'VAT rate must be between 0 and 100'
+        });
+      }
+      settings.vatRate = rate;
+    }
+    if (pricesIncludeVat !== undefined) {
+      settings.pricesIncludeVat = pricesIncludeVat === true || pricesIncludeVat === 'true';
+    }
+    if (vatRegistered !== undefined) {
+      settings.vatRegistered = vatRegistered === true || vatRegistered === 'true';
+    }
+
+    await settings.save();
+
+    res.json({
+      success: true,
+      message: 'Tax settings have been updated successfully',
+      data: {
+        vatRate: settings.vatRate,
+        pricesIncludeVat: settings.pricesIncludeVat,
+        vatRegistered: settings.vatRegistered
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get sale numbering settings
+ * @route   GET /api/settings/sale-numbering
+ * @access  Private
+ */
+export const getSaleNumbering = async (req, res, next) => {
+  try {
+    const settings = await Settings.getSettings();
+
+    res.json({
+      success: true,
+      data: {
+        prefix: settings.saleNumbering?.prefix || 'SALE',
+        series: settings.saleNumbering?.series || 'store',
+        reset: settings.saleNumbering?.reset || 'daily',
+        padding: settings.saleNumbering?.padding || 4,
+        branchCode: settings.branchCode
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update sale numbering settings
+ * @route   POST /api/settings/sale-numbering
+ * @access  Private/Admin
+ */
+export const setSaleNumbering = async (req, res, next) => {
+  try {
+    const { prefix, series, reset, padding, branchCode } = req.body;
+
+    const settings = await Settings.getSettings();
+
+    if (prefix !== undefined) settings.saleNumbering.prefix = prefix;
+    if (series !== undefined) settings.saleNumbering.series = series;
+    if (reset !== undefined) settings.saleNumbering.reset = reset;
+    if (padding !== undefined) settings.saleNumbering.padding = parseInt(padding, 10);
+    if (branchCode !== undefined) settings.branchCode = branchCode || null;
+
+    if (settings.saleNumbering.series === 'branch' && !settings.branchCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Branch code is required when sale numbers are issued per branch'
+      });
+    }
+
+    await settings.save();
+
+    res.json({
+      success: true,
+      message: 'Sale numbering has been updated successfully',
+      data: {
+        prefix: settings.saleNumbering.prefix,
+        series: settings.saleNumbering.series,
+        reset: settings.saleNumbering.reset,
+        padding: settings.saleNumbering.padding,
+        branchCode: settings.branchCode
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get current document number sequences
+ * @route   GET /api/settings/sequences
+ * @access  Private/Admin
+ */
+export const getSequences = async (req, res, next) => {
+  try {
+    const { series } = req.query;
+
+    const query = {};
+    if (series) query.series = series;
+
+    const sequences = await Counter.find(query)
+      .select('series scope period sequence lastNumber updatedAt')
+      .sort({ updatedAt: -1 })
+      .limit(100)
+      .lean();
+
+    res.json({
+      success: true,
+      count: sequences.length,
+      data: sequences
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get BIR receipting settings with the accumulated grand total and counters
+ * @route   GET /api/settings/receipting
+ * @access  Private/Admin
+ */
+export const getReceipting = async (req, res, next) => {
+  try {
+    const settings = await Settings.getSettings();
+    const [totals, zCounter, lastReceiptNumber] = await Promise.all([
+      getAccumulatedTotals(),
+      getZCounter(),
+      getLastReceiptNumber()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...settings.toObject().receipting,
+        ...totals,
+        zCounter,
+        lastReceiptNumber
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update BIR receipting settings
+ * @route   POST /api/settings/receipting
+ * @access  Private/Admin
+ */
+export const setReceipting = async (req, res, next) => {
+  try {
+    const fields = [
+      'birMode',
+      'documentType',
+      'registeredName',
+      'tradeName',
+      'address',
+      'tin',
+      'machineId',
+      'serialNumber',
+      'permitNumber',
+      'accreditationNumber'
+    ];
+    const { seriesStart, seriesEnd } = req.body;
+
+    const settings = await Settings.getSettings();
+    const receipting = settings.receipting;
+
+    for (const field of fields) {
+      if (req.body[field] !== undefined) receipting[field] = req.body[field];
+    }
+    if (seriesStart !== undefined) receipting.seriesStart = parseInt(seriesStart, 10);
+    if (seriesEnd !== undefined) receipting.seriesEnd = seriesEnd ? parseInt(seriesEnd, 10) : null;
+
+    if (receipting.seriesEnd && receipting.seriesEnd < receipting.seriesStart) {
+      return res.status(400).json({
+        success: false,
+        message: 'Series end must not be lower than series start'
+      });
+    }
+
+    if (receipting.birMode && (!receipting.registeredName || !receipting.tin || !receipting.machineId || !receipting.permitNumber)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Registered name, TIN, MIN and PTU number are required to turn on BIR receipting'
+      });
+    }
+
+    await settings.save();
+    // Numbers already issued are never reused: a lower series start leaves the series where it is
+    await startReceiptSeries(receipting.seriesStart);
+
+    res.json({
+      success: true,
+      message: 'Receipting settings have been updated successfully',
+      data: settings.toObject().receipting
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get receipt printer settings
+ * @route   GET /api/settings/receipt-printer
+ * @access  Private
+ */
+export const getReceiptPrinter = async (req, res, next) => {
+  try {
+    const settings = await Settings.getSettings();
+
+    res.json({
+      success: true,
+      data: settings.toObject().receiptPrinter
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update receipt printer settings
+ * @route   POST /api/settings/receipt-printer
+ * @access  Private/Admin
+ */
+export const setReceiptPrinter = async (req, res, next) => {
+  try {
+    const { paperWidth, host, port } = req.body;
+
+    const settings = await Settings.getSettings();
+
+    if (paperWidth !== undefined) settings.receiptPrinter.paperWidth = paperWidth;
+    if (host !== undefined) settings.receiptPrinter.host = host;
+    if (port !== undefined) settings.receiptPrinter.port = parseInt(port, 10);
+
+    await settings.save();
+
+    res.json({
+      success: true,
+      message: 'Receipt printer settings have been updated successfully',
+      data: settings.toObject().receiptPrinter
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Send a test page to the receipt printer
+ * @route   POST /api/settings/receipt-printer/test
+ * @access  Private/Admin
+ */
+export const testReceiptPrinter = async (req, res, next) => {
+  try {
+    const settings = await Settings.getSettings();
+    const printer = settings.receiptPrinter;
+
+    if (!printer?.host || printer.paperWidth === 'a4') {
+      return res.status(400).json({
+        success: false,
+        message: 'Set a thermal paper width and the printer address before printing a test page'
+      });
+    }
+
+    const columns = getReceiptColumns(printer.paperWidth);
+    const lines = [
+      { text: 'TEST PRINT', style: 'title' },
+      { text: '-'.repeat(columns), style: null },
+      { text: `Paper: ${printer.paperWidth} (${columns} columns)`, style: null },
+      { text: '1234567890'.repeat(Math.ceil(columns / 10)).slice(0, columns), style: null },
+      { text: new Date().toLocaleString(), style: null }
+    ];
+
+    try {
+      await sendToPrinter(encodeEscPos(lines), printer);
+    } catch (printError) {
+      return res.status(502).json({
+        success: false,
+        message: `Test page could not be printed: ${printError.message}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Test page sent to the receipt printer'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get loyalty program settings
+ * @route   GET /api/settings/loyalty
+ * @access  Private
+ */
+export const getLoyaltySettings = async (req, res, next) => {
+  try {
+    const settings = await Settings.getSettings();
+
+    res.json({
+      success: true,
+      data: settings.toObject().loyalty
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update loyalty program settings
+ * @route   POST /api/settings/loyalty
+ * @access  Private/Admin
+ */
+export const setLoyaltySettings = async (req, res, next) => {
+  try {
+    const { enabled, spendPerPoint, pointValue, categoryRules } = req.body;
+
+    if (categoryRules !== undefined) {
+      const categoryNames = categoryRules.map(rule => rule.category);
+      if (new Set(categoryNames).size !== categoryNames.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Each category can only have one earning rule'
+        });
+      }
+      const found = await Category.countDocuments({ name: { $in: categoryNames } });
+      if (found !== categoryNames.length) {
+        return res.status(404).json({
+          success: false,
+          message: 'Category not found'
+        });
+      }
+    }
+
+    const settings = await Settings.getSettings();
+    const loyalty = settings.loyalty;
+
+    if (enabled !== undefined) loyalty.enabled = enabled;
+    if (spendPerPoint !== undefined) loyalty.spendPerPoint = parseFloat(spendPerPoint);
+    if (pointValue !== undefined) loyalty.pointValue = parseFloat(pointValue);
+    if (categoryRules !== undefined) {
+      loyalty.categoryRules = categoryRules.map(rule => ({
+        category: rule.category,
+        spendPerPoint: parseFloat(rule.spendPerPoint)
+      }));
+    }
+
+    await settings.save();
+
+    res.json({
+      success: true,
+      message: 'Loyalty program settings have been updated successfully',
+      data: settings.toObject().loyalty
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get layaway terms
+ * @route   GET /api/settings/layaway
+ * @access  Private
+ */
+export const getLayawaySettings = async (req, res, next) => {
+  try {
+    const settings = await Settings.getSettings();
+
+    res.json({
+      success: true,
+      data: settings.toObject().layaway
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update layaway terms (minimum deposit, term and forfeiture rules)
+ * @route   POST /api/settings/layaway
+ * @access  Private/Admin
+ */
+export const setLayawaySettings = async (req, res, next) => {
+  try {
+    const { minDepositPercent, termDays, forfeitPercent, forfeitFee } = req.body;
+
+    const settings = await Settings.getSettings();
+    const layaway = settings.layaway;
+
+    if (minDepositPercent !== undefined) layaway.minDepositPercent = parseFloat(minDepositPercent);
+    if (termDays !== undefined) layaway.termDays = parseInt(termDays, 10);
+    if (forfeitPercent !== undefined) layaway.forfeitPercent = parseFloat(forfeitPercent);
+    if (forfeitFee !== undefined) layaway.forfeitFee = parseFloat(forfeitFee);
+
+    await settings.save();
+
+    res.json({
+      success: true,
+      message: 'Layaway terms have been updated successfully',
+      data: settings.toObject().layaway
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Reset SuperAdmin code (requires admin password)
  * @route   DELETE /api/settings/superadmin-code
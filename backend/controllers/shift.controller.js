@@ -0,0 +1,400 @@
+import Shift, { CASH_DENOMINATIONS } from '../models/Shift.model.js';
+import { buildShiftReading } from '../utils/shiftReading.js';
+import { roundCurrency } from '../utils/tenders.js';
+import { formatDocumentNumber, nextSequence, recordIssuedNumber } from '../utils/sequence.js';
+import { getAccumulatedTotals, nextZCounter } from '../utils/receipting.js';
+import { runInTransaction } from '../utils/transaction.js';
+import { HttpError } from '../utils/httpError.js';
+
+/**
+ * Check whether the user may act on a shift (its cashier or an admin)
+ * @param {Object} shift - Shift document
+ * @param {Object} user - Authenticated user
+ * @returns {boolean}
+ */
+const canAccessShift = (shift, user) =>
+  user.role === 'admin' || (shift.cashier._id || shift.cashier).toString() === user._id.toString();
+
+/**
+ * Find a shift the user may act on, or send the error response
+ * @returns {Promise<Object|null>} Shift document, or null when a response was sent
+ */
+const findAccessibleShift = async (req, res) => {
+  const shift = await Shift.findById(req.params.id).populate('cashier', 'username firstName lastName');
+
+  if (!shift) {
+    res.status(404).json({
+      success: false,
+      message: 'Shift not found'
+    });
+    return null;
+  }
+
+  if (!canAccessShift(shift, req.user)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this shift'
+    });
+    return null;
+  }
+
+  return shift;
+};
+
+/**
+ * @desc    Get shifts (own shifts; all shifts for admins)
+ * @route   GET /api/shifts
+ * @access  Private/Supplier/Staff
+ */
+export const getShifts = async (req, res, next) => {
+  try {
+    const { status, cashier, startDate, endDate } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (req.user.role === 'admin') {
+      if (cashier) query.cashier = cashier;
+    } else {
+      query.cashier = req.user._id;
+    }
+    if (startDate || endDate) {
+      query.openedAt = {};
+      if (startDate) query.openedAt.$gte = new Date(startDate);
+      if (endDate) query.openedAt.$lte = new Date(endDate);
+    }
+
+    const shifts = await Shift.find(query)
+      .select('-zReading')
+      .populate('cashier', 'username firstName lastName')
+      .populate('closedBy', 'username')
+      .sort({ openedAt: -1 })
+      .limit(200);
+
+    res.json({
+      success: true,
+      count: shifts.length,
+      data: shifts
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the current user's open shift
+ * @route   GET /api/shifts/current
+ * @access  Private/Supplier/Staff
+ */
+export const getCurrentShift = async (req, res, next) => {
+  try {
+    const shift = await Shift.findOne({ cashier: req.user._id, status: 'open' })
+      .populate('cashier', 'username firstName lastName');
+
+    res.json({
+      success: true,
+      data: shift
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Open a shift with an opening float
+ * @route   POST /api/shifts/open
+ * @access  Private/Supplier/Staff
+ */
+export const openShift = async (req, res, next) => {
+  try {
+    const { openingFloat, registerId } = req.body;
+
+    const existing = await Shift.findOne({ cashier: req.user._id, status: 'open' });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `You already have an open shift (${existing.shiftNumber}). Close it before opening a new one.`
+      });
+    }
+
+    const format = { prefix: 'SHIFT', scope: null, period: null, padding: 6 };
+    const counter = await nextSequence({ series: 'shift' });
+    const shiftNumber = formatDocumentNumber({ ...format, sequence: counter.sequence });
+    await recordIssuedNumber(counter, shiftNumber);
+
+    const shift = await Shift.create({
+      shiftNumber,
+      cashier: req.user._id,
+      registerId: registerId || undefined,
+      openingFloat: roundCurrency(openingFloat)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Shift ${shift.shiftNumber} opened`,
+      data: shift
+    });
+  } catch (error) {
+    // Unique index on open shifts: a second open request raced this one
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have an open shift'
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Record cash paid into or taken out of the drawer
+ * @route   POST /api/shifts/:id/cash-movements
+ * @access  Private/Supplier/Staff
+ */
+export const addCashMovement = async (req, res, next) => {
+  try {
+    const { type, amount, reason } = req.body;
+
+    const shift = await findAccessibleShift(req, res);
+    if (!shift) return;
+
+    if (shift.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cash can only be recorded on an open shift'
+      });
+    }
+
+    if (type === 'cash_out') {
+      const reading = await buildShiftReading(shift);
+      if (roundCurrency(amount) > reading.cash.expectedCash) {
+        return res.status(400).json({
+          success: false,
+          message: `Cash out (${roundCurrency(amount).toFixed(2)}) exceeds the cash expected in the drawer (${reading.cash.expectedCash.toFixed(2)})`
+        });
+      }
+    }
+
+    shift.cashMovements.push({
+      type,
+      amount: roundCurrency(amount),
+      reason,
+      recordedBy: req.user._id
+    });
+    await shift.save();
+
+    res.status(201).json({
+      success: true,
+      message: type === 'cash_in' ? 'Cash in recorded' : 'Cash out recorded',
+      data: shift
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the X-reading (mid-shift reading) of a shift
+ * @route   GET /api/shifts/:id/x-reading
+ * @access  Private/Supplier/Staff
+ */
+export const getXReading = async (req, res, next) => {
+  try {
+    const shift = await findAccessibleShift(req, res);
+    if (!shift) return;
+
+    const reading = await buildShiftReading(shift);
+
+    res.json({
+      success: true,
+      data: {
+        type: 'X',
+        cashier: shift.cashier,
+        status: shift.status,
+        ...reading
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Close a shift with a denomination count and take its Z-reading
+ * @route   POST /api/shifts/:id/close
+ * @access  Private/Supplier/Staff
+ */
+export const closeShift = async (req, res, next) => {
+  try {
+    const { denominations, notes } = req.body;
+
+    const shift = await findAccessibleShift(req, res);
+    if (!shift) return;
+
+    if (shift.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: 'Shift is already closed'
+      });
+    }
+
+    const counts = denominations
+      .filter(entry => parseInt(entry.count, 10) > 0)
+      .map(entry => ({ denomination: parseFloat(entry.denomination), count: parseInt(entry.count, 10) }));
+
+    const invalid = counts.find(entry => !CASH_DENOMINATIONS.includes(entry.denomination));
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid denomination: ${invalid.denomination}`
+      });
+    }
+
+    const closedAt = new Date();
+    const countedCash = roundCurrency(counts.reduce((sum, entry) => sum + entry.denomination * entry.count, 0));
+
+    // The reading, the Z-counter, the running totals and the close commit together: a losing close request
+    // rolls back its Z-counter, so the counter stays gapless
+    const { closedShift, overShort } = await runInTransaction(async (session) => {
+      const reading = await buildShiftReading(shift, closedAt, session);
+      const shiftOverShort = roundCurrency(countedCash - reading.cash.expectedCash);
+
+      // Z-counter and grand total are never reset, so every Z-reading carries the running figures
+      const zCounter = await nextZCounter(session);
+      const { grandTotal, voidTotal } = await getAccumulatedTotals(session);
+
+      // Only close a shift that is still open, in case it was closed from another terminal meanwhile
+      const updated = await Shift.findOneAndUpdate(
+        { _id: shift._id, status: 'open' },
+        {
+          $set: {
+            status: 'closed',
+            closedAt,
+            closedBy: req.user._id,
+            denominations: counts,
+            countedCash,
+            expectedCash: reading.cash.expectedCash,
+            overShort: shiftOverShort,
+            closingNotes: notes,
+            zReading: { ...reading, countedCash, overShort: shiftOverShort, zCounter, grandTotal, voidTotal }
+          }
+        },
+        { new: true, session }
+      );
+
+      if (!updated) {
+        throw new HttpError(409, 'Shift was closed by another request');
+      }
+
+      return { closedShift: updated, overShort: shiftOverShort };
+    });
+
+    await closedShift.populate('cashier', 'username firstName lastName');
+
+    let message = `Shift ${closedShift.shiftNumber} closed. Drawer balanced.`;
+    if (overShort > 0) message = `Shift ${closedShift.shiftNumber} closed. Drawer is over by ${overShort.toFixed(2)}.`;
+    if (overShort < 0) message = `Shift ${closedShift.shiftNumber} closed. Drawer is short by ${Math.abs(overShort).toFixed(2)}.`;
+
+    res.json({
+      success: true,
+      message,
+      data: closedShift
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the Z-reading (end-of-shift reading) of a closed shift
+ * @route   GET /api/shifts/:id/z-reading
+ * @access  Private/Supplier/Staff
+ */
+export const getZReading = async (req, res, next) => {
+  try {
+    const shift = await findAccessibleShift(req, res);
+    if (!shift) return;
+
+    if (shift.status !== 'closed' || !shift.zReading) {
+      return res.status(400).json({
+        success: false,
+        message: 'The Z-reading is taken when the shift is closed'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        type: 'Z',
+        cashier: shift.cashier,
+        status: shift.status,
+        closedAt: shift.closedAt,
+        denominations: shift.denominations,
+        closingNotes: shift.closingNotes,
+        ...shift.zReading
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get over/short totals per cashier for closed shifts
+ * @route   GET /api/shifts/over-short
+ * @access  Private/Admin
+ */
+export const getOverShortSummary = async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const match = { status: 'closed' };
+    if (startDate || endDate) {
+      match.closedAt = {};
+      if (startDate) match.closedAt.$gte = new Date(startDate);
+      if (endDate) match.closedAt.$lte = new Date(endDate);
+    }
+
+    const summary = await Shift.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$cashier',
+          shifts: { $sum: 1 },
+          over: { $sum: { $cond: [{ $gt: ['$overShort', 0] }, '$overShort', 0] } },
+          short: { $sum: { $cond: [{ $lt: ['$overShort', 0] }, '$overShort', 0] } },
+          net: { $sum: '$overShort' }
+        }
+      },
+      {
+        $lookup: {
+          from: 'users',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'cashier'
+        }
+      },
+      { $unwind: '$cashier' },
+      {
+        $project: {
+          _id: 0,
+          cashierId: '$_id',
+          username: '$cashier.username',
+          firstName: '$cashier.firstName',
+          lastName: '$cashier.lastName',
+          shifts: 1,
+          over: { $round: ['$over', 2] },
+          short: { $round: ['$short', 2] },
+          net: { $round: ['$net', 2] }
+        }
+      },
+      { $sort: { net: 1 } }
+    ]);
+
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    next(error);
+  }
+};
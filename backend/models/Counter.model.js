@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+// Atomic sequences used for document numbers (one document per series and reset period)
+const counterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  // Document type the sequence numbers, e.g. 'sale' or 'return'
+  series: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Register or branch code for per-register/per-branch series, null for a single store-wide series
+  scope: {
+    type: String,
+    default: null,
+    trim: true
+  },
+  // Reset period the sequence belongs to (YYYYMMDD, YYYY or null when it never resets)
+  period: {
+    type: String,
+    default: null
+  },
+  sequence: {
+    type: Number,
+    default: 0,
+    min: [0, 'Sequence cannot be negative']
+  },
+  // Last number issued from this sequence
+  lastNumber: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+counterSchema.index({ series: 1, updatedAt: -1 });
+
+export default mongoose.model('Counter', counterSchema);
@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+// Days after the sale that a charge falls due
+export const CREDIT_TERMS = [0, 7, 15, 30, 45, 60, 90];
+
+const creditAccountSchema = new mongoose.Schema({
+  accountNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Account name is required'],
+    trim: true,
+    maxlength: [100, 'Account name cannot exceed 100 characters']
+  },
+  contactPerson: {
+    type: String,
+    trim: true
+  },
+  phone: {
+    type: String,
+    trim: true,
+    maxlength: [11, 'Phone number must be maximum 11 digits'],
+    match: [/^\d*$/, 'Phone number must contain only digits']
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  tinNumber: {
+    type: String,
+    trim: true
+  },
+  creditLimit: {
+    type: Number,
+    required: [true, 'Credit limit is required'],
+    min: [0, 'Credit limit cannot be negative']
+  },
+  termsDays: {
+    type: Number,
+    enum: CREDIT_TERMS,
+    default: 30
+  },
+  // Outstanding receivable; negative when the customer has credit on the account
+  balance: {
+    type: Number,
+    default: 0
+  },
+  // Suspended accounts cannot take new charges but still accept payments
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Virtual for the credit still available to charge against
+creditAccountSchema.virtual('availableCredit').get(function() {
+  return Math.max(0, Math.round(((this.creditLimit || 0) - (this.balance || 0)) * 100) / 100);
+});
+
+// Ensure virtual fields are included in JSON output
+creditAccountSchema.set('toJSON', { virtuals: true });
+creditAccountSchema.set('toObject', { virtuals: true });
+
+creditAccountSchema.index({ name: 1 });
+
+export default mongoose.model('CreditAccount', creditAccountSchema);
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+// Pricing groups; wholesale and contractor customers get their own product price tiers
+export const CUSTOMER_TYPES = ['retail', 'wholesale', 'contractor'];
+
+const customerSchema = new mongoose.Schema({
+  customerNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Customer name is required'],
+    trim: true,
+    maxlength: [100, 'Customer name cannot exceed 100 characters']
+  },
+  phone: {
+    type: String,
+    trim: true,
+    maxlength: [11, 'Phone number must be maximum 11 digits'],
+    match: [/^\d*$/, 'Phone number must contain only digits']
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  tinNumber: {
+    type: String,
+    trim: true
+  },
+  customerType: {
+    type: String,
+    enum: CUSTOMER_TYPES,
+    default: 'retail'
+  },
+  // Negotiated prices; used at checkout and on quotations while the list is active and valid
+  priceList: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceList',
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  // Loyalty points available to redeem; can go negative when a voided sale's points were already spent
+  loyaltyPoints: {
+    type: Number,
+    default: 0
+  },
+  // Inactive customers are kept for their sales history but no longer offered at checkout
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+customerSchema.index({ name: 1 });
+// One customer per phone number; customers without a phone are not constrained
+customerSchema.index(
+  { phone: 1 },
+  { unique: true, partialFilterExpression: { phone: { $type: 'string', $gt: '' } } }
+);
+customerSchema.index({ tinNumber: 1 });
+
+export default mongoose.model('Customer', customerSchema);
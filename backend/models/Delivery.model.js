@@ -0,0 +1,133 @@
+import mongoose from 'mongoose';
+
+// Scheduled -> out for delivery -> delivered; a failed delivery can be rescheduled;
+// cancelled when the sale is voided
+export const DELIVERY_STATUSES = ['scheduled', 'out_for_delivery', 'delivered', 'failed', 'cancelled'];
+
+// Statuses a delivery can still change from
+export const OPEN_DELIVERY_STATUSES = ['scheduled', 'out_for_delivery', 'failed'];
+
+// Part of the day the customer expects the truck
+export const DELIVERY_TIME_SLOTS = ['morning', 'afternoon', 'whole_day'];
+
+const deliveryEventSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const deliverySchema = new mongoose.Schema({
+  deliveryNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    required: true
+  },
+  saleNumber: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: 'scheduled'
+  },
+  // Person receiving the goods at the site, defaults to the customer on the sale
+  contactName: {
+    type: String,
+    required: [true, 'Contact name is required'],
+    trim: true
+  },
+  contactPhone: {
+    type: String,
+    trim: true,
+    maxlength: [11, 'Phone number must be maximum 11 digits'],
+    match: [/^\d+$/, 'Phone number must contain only digits']
+  },
+  address: {
+    type: String,
+    required: [true, 'Delivery address is required'],
+    trim: true,
+    maxlength: [500, 'Address cannot exceed 500 characters']
+  },
+  // Day the delivery is due; the time slot narrows it down
+  scheduledDate: {
+    type: Date,
+    required: [true, 'Delivery date is required']
+  },
+  timeSlot: {
+    type: String,
+    enum: DELIVERY_TIME_SLOTS,
+    default: 'whole_day'
+  },
+  // Charged on the sale
+  deliveryFee: {
+    type: Number,
+    default: 0,
+    min: [0, 'Delivery fee cannot be negative']
+  },
+  vehicle: {
+    type: String,
+    trim: true
+  },
+  driver: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  dispatchedAt: {
+    type: Date
+  },
+  deliveredAt: {
+    type: Date
+  },
+  // Name of the person who signed the delivery receipt
+  receivedBy: {
+    type: String,
+    trim: true
+  },
+  // Why the last attempt failed
+  failureReason: {
+    type: String,
+    trim: true
+  },
+  statusHistory: {
+    type: [deliveryEventSchema],
+    default: []
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+deliverySchema.index({ scheduledDate: 1, status: 1 }); // For the dispatch board
+deliverySchema.index({ sale: 1 });
+
+export default mongoose.model('Delivery', deliverySchema);
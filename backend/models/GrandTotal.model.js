@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+// Non-resettable accumulated sales and voids, kept in centavos so repeated increments stay exact
+const grandTotalSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  salesCentavos: {
+    type: Number,
+    default: 0,
+    min: [0, 'Accumulated sales cannot be negative']
+  },
+  voidsCentavos: {
+    type: Number,
+    default: 0,
+    min: [0, 'Accumulated voids cannot be negative']
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('GrandTotal', grandTotalSchema);
@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+import { DISCOUNT_TYPES, STATUTORY_DISCOUNT_TYPES } from '../utils/discounts.js';
+
+// Held carts are deleted automatically this long after they were parked
+export const HELD_CART_EXPIRY_HOURS = 12;
+
+const discountSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: DISCOUNT_TYPES
+  },
+  value: {
+    type: Number,
+    min: [0, 'Discount cannot be negative']
+  }
+}, { _id: false });
+
+const heldCartItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  discount: discountSchema
+}, { _id: false });
+
+const statutoryDiscountSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: STATUTORY_DISCOUNT_TYPES
+  },
+  idNumber: {
+    type: String,
+    trim: true
+  },
+  holderName: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+// A cart parked at the POS so the cashier can serve other customers and resume it later, from any terminal
+const heldCartSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'Label is required'],
+    trim: true,
+    maxlength: [50, 'Label cannot exceed 50 characters']
+  },
+  items: {
+    type: [heldCartItemSchema],
+    validate: [items => items.length > 0, 'At least one item is required']
+  },
+  saleDiscount: discountSchema,
+  statutoryDiscount: statutoryDiscountSchema,
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  customerName: {
+    type: String,
+    trim: true
+  },
+  customerPhone: {
+    type: String,
+    trim: true
+  },
+  tinNumber: {
+    type: String,
+    trim: true
+  },
+  // Soft reservation: held quantities are shown as unavailable to other cashiers
+  reserveStock: {
+    type: Boolean,
+    default: false
+  },
+  registerId: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  heldBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// MongoDB removes carts once expiresAt has passed
+heldCartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('HeldCart', heldCartSchema);
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+// adjusted: lines were voided off an issued receipt; the entry holds the receipt as it now stands
+// exchanged: replacement goods were sold against a return; the entry holds the receipt for the balance paid
+export const JOURNAL_EVENTS = ['issued', 'voided', 'adjusted', 'reprinted', 'exchanged'];
+
+// Electronic journal: a copy of every receipt issued, voided, adjusted, reprinted or exchanged
+const journalEntrySchema = new mongoose.Schema({
+  event: {
+    type: String,
+    enum: JOURNAL_EVENTS,
+    required: true
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    required: true
+  },
+  saleNumber: {
+    type: String,
+    required: true
+  },
+  receiptNumber: {
+    type: String,
+    default: null
+  },
+  // Return the exchange receipt was issued for
+  saleReturn: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SaleReturn',
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  // Accumulated grand total after the event
+  grandTotal: {
+    type: Number,
+    default: null
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Plain-text copy of the receipt as printed
+  content: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+journalEntrySchema.index({ createdAt: 1 });
+journalEntrySchema.index({ sale: 1, createdAt: 1 });
+
+export default mongoose.model('JournalEntry', journalEntrySchema);
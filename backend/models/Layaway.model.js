@@ -0,0 +1,292 @@
+import mongoose from 'mongoose';
+import { DISCOUNT_TYPES } from '../utils/discounts.js';
+import { TAX_CLASSES } from '../utils/taxes.js';
+import { priceTierSchema, appliedPriceListSchema } from './Sale.model.js';
+import { APPROVAL_METHODS } from '../utils/approvals.js';
+import { RECEIVABLE_PAYMENT_METHODS } from './ReceivableEntry.model.js';
+
+// Active until paid in full (completed, posted as a sale) or cancelled with its stock returned
+export const LAYAWAY_STATUSES = ['active', 'completed', 'cancelled'];
+
+// Deposits and installments are paid like a credit account balance: no charges or points
+export const LAYAWAY_PAYMENT_METHODS = RECEIVABLE_PAYMENT_METHODS;
+
+const layawayItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  // Selling price locked when the layaway was opened
+  price: {
+    type: Number,
+    required: true,
+    min: [0, 'Price cannot be negative']
+  },
+  subtotal: {
+    type: Number,
+    required: true
+  },
+  taxClass: {
+    type: String,
+    enum: TAX_CLASSES,
+    default: 'vatable'
+  },
+  priceTier: priceTierSchema,
+  priceList: appliedPriceListSchema,
+  discountType: {
+    type: String,
+    enum: DISCOUNT_TYPES
+  },
+  discountValue: {
+    type: Number,
+    min: [0, 'Discount cannot be negative']
+  },
+  // Line discount plus this line's share of the layaway-level discount
+  discountAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  }
+}, { _id: false });
+
+const layawayDiscountSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: DISCOUNT_TYPES,
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: [0, 'Discount cannot be negative']
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Discount cannot be negative']
+  }
+}, { _id: false });
+
+// The deposit is the first payment; cash payments are counted in the drawer of the shift they were taken in
+const layawayPaymentSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: LAYAWAY_PAYMENT_METHODS,
+    required: [true, 'Payment method is required']
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Payment amount must be greater than 0']
+  },
+  referenceNumber: {
+    type: String,
+    trim: true
+  },
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift',
+    required: true
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const layawayCancellationSchema = new mongoose.Schema({
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true
+  },
+  // Kept by the store under the forfeiture rules in effect when the layaway was cancelled
+  forfeitedAmount: {
+    type: Number,
+    required: true,
+    min: [0, 'Forfeited amount cannot be negative']
+  },
+  // Paid back in cash from the drawer of the cancelling shift
+  refundAmount: {
+    type: Number,
+    required: true,
+    min: [0, 'Refund cannot be negative']
+  },
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift',
+    required: true
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Goods set aside for a customer against a deposit and paid for in installments
+const layawaySchema = new mongoose.Schema({
+  layawayNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: LAYAWAY_STATUSES,
+    default: 'active'
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  customerName: {
+    type: String,
+    required: [true, 'Customer name is required'],
+    trim: true
+  },
+  customerPhone: {
+    type: String,
+    trim: true,
+    maxlength: [11, 'Phone number must be maximum 11 digits'],
+    match: [/^\d+$/, 'Phone number must contain only digits']
+  },
+  customerEmail: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  tinNumber: {
+    type: String,
+    trim: true
+  },
+  registerId: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  items: {
+    type: [layawayItemSchema],
+    validate: [items => items.length > 0, 'At least one item is required']
+  },
+  subtotal: {
+    type: Number,
+    required: true,
+    min: [0, 'Subtotal cannot be negative']
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  },
+  saleDiscount: layawayDiscountSchema,
+  discountApprovedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  discountApprovalMethod: {
+    type: String,
+    enum: APPROVAL_METHODS
+  },
+  vatableSales: {
+    type: Number,
+    default: 0
+  },
+  vatExemptSales: {
+    type: Number,
+    default: 0
+  },
+  zeroRatedSales: {
+    type: Number,
+    default: 0
+  },
+  tax: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax cannot be negative']
+  },
+  // Tax settings in effect when the layaway was priced
+  vatRate: {
+    type: Number,
+    default: 12
+  },
+  pricesIncludeVat: {
+    type: Boolean,
+    default: false
+  },
+  vatRegistered: {
+    type: Boolean,
+    default: true
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: [0, 'Total cannot be negative']
+  },
+  payments: {
+    type: [layawayPaymentSchema],
+    default: []
+  },
+  amountPaid: {
+    type: Number,
+    default: 0,
+    min: [0, 'Amount paid cannot be negative']
+  },
+  balance: {
+    type: Number,
+    required: true,
+    min: [0, 'Balance cannot be negative']
+  },
+  // Must be paid in full by the end of this day
+  deadline: {
+    type: Date,
+    required: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Sale posted when the layaway was paid in full and the goods released
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    default: null
+  },
+  completedAt: {
+    type: Date
+  },
+  cancellation: {
+    type: layawayCancellationSchema,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+layawaySchema.index({ status: 1, deadline: 1 });
+layawaySchema.index({ customerName: 1 });
+layawaySchema.index({ 'payments.shift': 1 });
+layawaySchema.index({ 'cancellation.shift': 1 });
+
+export default mongoose.model('Layaway', layawaySchema);
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+// earn: points given for a sale; redeem: points used as a tender; void: a voided sale's points taken back;
+// adjust: earned points taken back when lines of the sale are voided or returned;
+// return: redeemed points given back when the goods they paid for are returned
+export const LOYALTY_ENTRY_TYPES = ['earn', 'redeem', 'adjust', 'void', 'return'];
+
+const loyaltyEntrySchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: LOYALTY_ENTRY_TYPES,
+    required: true
+  },
+  // Earned points are positive; redeemed points are stored as negative; a void entry undoes both
+  points: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    required: true
+  },
+  // Peso value of redeemed or returned points
+  amount: {
+    type: Number
+  },
+  // Set on earn, redeem, adjust and return entries once their sale is voided
+  reversed: {
+    type: Boolean,
+    default: false
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+loyaltyEntrySchema.index({ customer: 1, createdAt: -1 });
+loyaltyEntrySchema.index({ sale: 1 });
+
+export default mongoose.model('LoyaltyEntry', loyaltyEntrySchema);
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+// void_request: a sale was put up for voiding; void_comment: someone commented on the request;
+// void_approved / void_rejected: an admin decided on it
+export const NOTIFICATION_TYPES = ['void_request', 'void_comment', 'void_approved', 'void_rejected'];
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ recipient: 1, readAt: 1, createdAt: -1 });
+
+export default mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+// What a rule applies to; a product rule wins over a brand rule, which wins over a category rule
+export const PRICE_LIST_SCOPES = ['product', 'brand', 'category'];
+
+// Fixed unit price, or a percentage off the regular selling price
+export const PRICE_LIST_ADJUSTMENTS = ['fixed', 'percent_off'];
+
+const priceListRuleSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: PRICE_LIST_SCOPES,
+    required: [true, 'Rule scope is required']
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  brand: {
+    type: String,
+    trim: true
+  },
+  category: {
+    type: String,
+    trim: true
+  },
+  adjustment: {
+    type: String,
+    enum: PRICE_LIST_ADJUSTMENTS,
+    required: [true, 'Rule adjustment is required']
+  },
+  value: {
+    type: Number,
+    required: [true, 'Rule value is required'],
+    min: [0, 'Rule value cannot be negative']
+  }
+}, { _id: false });
+
+const priceListSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Price list name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Price list name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  rules: {
+    type: [priceListRuleSchema],
+    default: []
+  },
+  // Prices apply from the start of validFrom to the end of validUntil; either end can be open
+  validFrom: {
+    type: Date
+  },
+  validUntil: {
+    type: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+priceListSchema.index({ isActive: 1, name: 1 });
+
+export default mongoose.model('PriceList', priceListSchema);
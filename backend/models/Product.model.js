@@ -1,4 +1,8 @@
 import mongoose from 'mongoose';
+import { TAX_CLASSES } from '../utils/taxes.js';
+import { CUSTOMER_TYPES } from './Customer.model.js';
+
+export const BARCODE_TYPES = ['ean13', 'upc', 'code128', 'internal'];
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -72,6 +76,44 @@ const productSchema = new mongoose.Schema({
     trim: true,
     sparse: true
   },
+  // A product can carry several barcodes, e.g. the maker's EAN-13 and a store label
+  barcodes: [{
+    _id: false,
+    code: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    type: {
+      type: String,
+      enum: BARCODE_TYPES,
+      default: 'code128'
+    }
+  }],
+  taxClass: {
+    type: String,
+    enum: TAX_CLASSES,
+    default: 'vatable'
+  },
+  // Unit prices for bulk quantities; retail tiers apply to every buyer, the others only to customers of that type
+  priceTiers: [{
+    _id: false,
+    customerType: {
+      type: String,
+      enum: CUSTOMER_TYPES,
+      default: 'retail'
+    },
+    minQuantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Minimum quantity must be at least 1']
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: [0, 'Tier price cannot be negative']
+    }
+  }],
   isActive: {
     type: Boolean,
     default: true
@@ -118,6 +160,11 @@ productSchema.index({ name: 1 });
 productSchema.index({ category: 1 });
 productSchema.index({ unit: 1 });
 productSchema.index({ brand: 1 });
+// A barcode identifies one product only
+productSchema.index(
+  { 'barcodes.code': 1 },
+  { unique: true, partialFilterExpression: { 'barcodes.code': { $exists: true } } }
+);
 productSchema.index({ supplier: 1 });
 // Compound indexes for common query patterns
 productSchema.index({ isActive: 1, category: 1 }); // For filtered product listings
@@ -0,0 +1,201 @@
+import mongoose from 'mongoose';
+import { DISCOUNT_TYPES } from '../utils/discounts.js';
+import { TAX_CLASSES } from '../utils/taxes.js';
+import { priceTierSchema, appliedPriceListSchema } from './Sale.model.js';
+
+// Draft -> sent -> accepted -> converted (into a sale); quotes past their validity expire
+export const QUOTATION_STATUSES = ['draft', 'sent', 'accepted', 'expired', 'converted'];
+
+// Statuses a quote can still expire from
+export const OPEN_QUOTATION_STATUSES = ['draft', 'sent', 'accepted'];
+
+export const DEFAULT_QUOTATION_VALIDITY_DAYS = 15;
+
+const quotationItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  // Selling price locked for the validity period
+  price: {
+    type: Number,
+    required: true,
+    min: [0, 'Price cannot be negative']
+  },
+  subtotal: {
+    type: Number,
+    required: true
+  },
+  taxClass: {
+    type: String,
+    enum: TAX_CLASSES,
+    default: 'vatable'
+  },
+  priceTier: priceTierSchema,
+  priceList: appliedPriceListSchema,
+  discountType: {
+    type: String,
+    enum: DISCOUNT_TYPES
+  },
+  discountValue: {
+    type: Number,
+    min: [0, 'Discount cannot be negative']
+  },
+  // Line discount plus this line's share of the quote-level discount
+  discountAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  }
+}, { _id: false });
+
+const quotationDiscountSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: DISCOUNT_TYPES,
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: [0, 'Discount cannot be negative']
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Discount cannot be negative']
+  }
+}, { _id: false });
+
+const quotationSchema = new mongoose.Schema({
+  quotationNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: QUOTATION_STATUSES,
+    default: 'draft'
+  },
+  // Customer record the quote was prepared for; its type and price list set the prices
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+  customerName: {
+    type: String,
+    required: [true, 'Customer name is required'],
+    trim: true
+  },
+  customerEmail: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  customerPhone: {
+    type: String,
+    trim: true,
+    maxlength: [11, 'Phone number must be maximum 11 digits'],
+    match: [/^\d+$/, 'Phone number must contain only digits']
+  },
+  tinNumber: {
+    type: String,
+    trim: true
+  },
+  items: {
+    type: [quotationItemSchema],
+    validate: [items => items.length > 0, 'At least one item is required']
+  },
+  subtotal: {
+    type: Number,
+    required: true,
+    min: [0, 'Subtotal cannot be negative']
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  },
+  saleDiscount: quotationDiscountSchema,
+  vatableSales: {
+    type: Number,
+    default: 0
+  },
+  vatExemptSales: {
+    type: Number,
+    default: 0
+  },
+  zeroRatedSales: {
+    type: Number,
+    default: 0
+  },
+  tax: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax cannot be negative']
+  },
+  // Tax settings in effect when the quote was priced
+  vatRate: {
+    type: Number,
+    default: 12
+  },
+  pricesIncludeVat: {
+    type: Boolean,
+    default: false
+  },
+  vatRegistered: {
+    type: Boolean,
+    default: true
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: [0, 'Total cannot be negative']
+  },
+  // Prices are honored until the end of this day
+  validUntil: {
+    type: Date,
+    required: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sentAt: {
+    type: Date
+  },
+  acceptedAt: {
+    type: Date
+  },
+  // Sale the quote was converted into
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    default: null
+  },
+  convertedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+quotationSchema.index({ status: 1, createdAt: -1 });
+quotationSchema.index({ status: 1, validUntil: 1 });
+quotationSchema.index({ customerName: 1 });
+
+export default mongoose.model('Quotation', quotationSchema);
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+import { PAYMENT_METHODS } from './Sale.model.js';
+
+// charge: sale put on account; payment: collection from the customer; void: voided charge sale;
+// return: credit for goods returned from a charge sale
+export const RECEIVABLE_ENTRY_TYPES = ['charge', 'payment', 'void', 'return'];
+
+// Tenders a receivable can be paid with (everything but another charge or loyalty points)
+export const RECEIVABLE_PAYMENT_METHODS = PAYMENT_METHODS.filter(method => !['charge', 'points'].includes(method));
+
+const receivableEntrySchema = new mongoose.Schema({
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditAccount',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: RECEIVABLE_ENTRY_TYPES,
+    required: true
+  },
+  // Charges increase the balance; payments, voids and returns are stored as negative amounts
+  amount: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale'
+  },
+  // Charges only
+  dueDate: {
+    type: Date
+  },
+  // Set on a charge when its sale is voided; voided charges are left out of aging
+  voided: {
+    type: Boolean,
+    default: false
+  },
+  // Returns only
+  returnNumber: {
+    type: String
+  },
+  // Payments only
+  paymentNumber: {
+    type: String
+  },
+  method: {
+    type: String,
+    enum: RECEIVABLE_PAYMENT_METHODS
+  },
+  referenceNumber: {
+    type: String,
+    trim: true
+  },
+  // Shift the payment was collected in, so cash collections are counted in the drawer
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+receivableEntrySchema.index({ account: 1, createdAt: 1 });
+receivableEntrySchema.index({ sale: 1 });
+receivableEntrySchema.index({ shift: 1, type: 1 });
+
+export default mongoose.model('ReceivableEntry', receivableEntrySchema);
@@ -1,4 +1,124 @@
 import mongoose from 'mongoose';
+import { DISCOUNT_TYPES, STATUTORY_DISCOUNT_TYPES } from '../utils/discounts.js';
+import { TAX_CLASSES } from '../utils/taxes.js';
+import { APPROVAL_METHODS } from '../utils/approvals.js';
+import { CUSTOMER_TYPES } from './Customer.model.js';
+
+// Tender types accepted at the counter; charge puts the amount on the customer's credit account
+// and points redeems the customer's loyalty points
+export const PAYMENT_METHODS = ['cash', 'gcash', 'maya', 'card', 'bank_transfer', 'check', 'charge', 'points'];
+
+// Tender a completed layaway is posted with; the money was already collected as layaway payments
+export const LAYAWAY_TENDER = 'layaway';
+
+// Why a cashier sold a line at a price other than the computed selling price
+export const PRICE_OVERRIDE_REASONS = ['contractor', 'bulk_order', 'price_match', 'damaged', 'other'];
+
+const priceOverrideSchema = new mongoose.Schema({
+  // Selling price the line would have had without the override
+  originalPrice: {
+    type: Number,
+    required: true,
+    min: [0, 'Price cannot be negative']
+  },
+  reason: {
+    type: String,
+    enum: PRICE_OVERRIDE_REASONS,
+    required: [true, 'Price override reason is required']
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvalMethod: {
+    type: String,
+    enum: APPROVAL_METHODS
+  }
+}, { _id: false });
+
+// Quantity or customer-type tier a line was priced at; also kept on quotation, layaway and exchange lines
+export const priceTierSchema = new mongoose.Schema({
+  customerType: {
+    type: String,
+    enum: CUSTOMER_TYPES,
+    required: true
+  },
+  minQuantity: {
+    type: Number,
+    required: true
+  },
+  // Regular selling price the tier replaced
+  listPrice: {
+    type: Number,
+    required: true,
+    min: [0, 'Price cannot be negative']
+  }
+}, { _id: false });
+
+// Customer price list a line was priced at; also kept on quotation, layaway and exchange lines
+export const appliedPriceListSchema = new mongoose.Schema({
+  priceList: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceList',
+    required: true
+  },
+  // Name at the time of sale, so receipts and reports survive a rename or deletion
+  name: {
+    type: String,
+    required: true
+  },
+  // Regular selling price the price list replaced
+  listPrice: {
+    type: Number,
+    required: true,
+    min: [0, 'Price cannot be negative']
+  }
+}, { _id: false });
+
+// Steps of a void request, kept in order on the sale
+export const VOID_REQUEST_ACTIONS = ['requested', 'commented', 'approved', 'rejected'];
+
+const voidRequestEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: VOID_REQUEST_ACTIONS,
+    required: true
+  },
+  comment: {
+    type: String,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+export const tenderSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: [...PAYMENT_METHODS, LAYAWAY_TENDER],
+    required: [true, 'Payment method is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Tender amount is required'],
+    min: [0.01, 'Tender amount must be greater than 0']
+  },
+  referenceNumber: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
 
 const saleItemSchema = new mongoose.Schema({
   product: {
@@ -19,6 +139,200 @@ const saleItemSchema = new mongoose.Schema({
   subtotal: {
     type: Number,
     required: true
+  },
+  taxClass: {
+    type: String,
+    enum: TAX_CLASSES,
+    default: 'vatable'
+  },
+  // Set when the line was sold at a tier price
+  priceTier: priceTierSchema,
+  // Set when the line was sold at the customer's price list price
+  priceList: appliedPriceListSchema,
+  // Set when the line was sold at a supervised override price
+  priceOverride: priceOverrideSchema,
+  // Line discount entered at the counter
+  discountType: {
+    type: String,
+    enum: DISCOUNT_TYPES
+  },
+  discountValue: {
+    type: Number,
+    min: [0, 'Discount cannot be negative']
+  },
+  // Line discount plus this line's share of sale-level and statutory discounts
+  discountAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  },
+  returnedQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Returned quantity cannot be negative']
+  }
+}, { _id: false });
+
+// Kinds of change made to a sale after it was rung up
+export const SALE_ADJUSTMENT_TYPES = ['line_void'];
+
+const adjustedLineSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Kept so the receipt can list voided lines without looking the products up
+  productName: {
+    type: String,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  // Unit price the line was sold at
+  price: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// One change to a sale, with the totals before it so the sale can be traced back to what was rung up
+const saleAdjustmentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: SALE_ADJUSTMENT_TYPES,
+    required: true
+  },
+  items: [adjustedLineSchema],
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true
+  },
+  previousSubtotal: {
+    type: Number,
+    required: true
+  },
+  previousDiscount: {
+    type: Number,
+    required: true
+  },
+  previousTax: {
+    type: Number,
+    required: true
+  },
+  previousTotal: {
+    type: Number,
+    required: true
+  },
+  // Paid back to the customer; the cash part comes out of the drawer of the shift below
+  refundAmount: {
+    type: Number,
+    required: true,
+    min: [0, 'Refund cannot be negative']
+  },
+  // The refund split across the tenders the sale was paid with; older line voids were refunded in cash
+  refunds: {
+    type: [tenderSchema],
+    default: undefined
+  },
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift'
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvalMethod: {
+    type: String,
+    enum: APPROVAL_METHODS
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const saleDiscountSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: DISCOUNT_TYPES,
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: [0, 'Discount cannot be negative']
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Discount cannot be negative']
+  }
+}, { _id: false });
+
+const statutoryDiscountSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: STATUTORY_DISCOUNT_TYPES,
+    required: true
+  },
+  idNumber: {
+    type: String,
+    required: [true, 'ID number is required for Senior Citizen/PWD discounts'],
+    trim: true
+  },
+  holderName: {
+    type: String,
+    trim: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Discount cannot be negative']
+  }
+}, { _id: false });
+
+// One attempt to email the receipt to the customer
+const receiptEmailSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'failed'],
+    required: true
+  },
+  transport: {
+    type: String
+  },
+  messageId: {
+    type: String
+  },
+  error: {
+    type: String
+  },
+  // Null when the receipt was emailed automatically on sale completion
+  sentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
   }
 }, { _id: false });
 
@@ -28,10 +342,65 @@ const saleSchema = new mongoose.Schema({
     unique: true,
     required: true
   },
+  // OR/SI number from the registered receipt series (BIR receipting mode only)
+  receiptNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Set by the register for every checkout so a sale sent twice (e.g. replayed from the
+  // offline queue after a timeout) is posted once
+  clientReference: {
+    type: String,
+    trim: true
+  },
+  // Sales rung up while the register could not reach the server and posted when it reconnected
+  offline: {
+    soldAt: Date,
+    // Supervisor who let the sale post at the prices charged offline instead of the current ones
+    pricesApprovedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    priceApprovalMethod: {
+      type: String,
+      enum: [null, ...APPROVAL_METHODS]
+    }
+  },
+  // Register (terminal) the sale was rung up on
+  registerId: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  // Cashier shift (drawer) the sale was rung up in
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift'
+  },
+  // Customer record the sale is linked to; the fields below keep what was printed on the receipt
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
   customerName: {
     type: String,
     trim: true
   },
+  // Loyalty points earned and redeemed on this sale, and the customer's balance after it
+  loyalty: {
+    pointsEarned: {
+      type: Number,
+      default: 0
+    },
+    pointsRedeemed: {
+      type: Number,
+      default: 0
+    },
+    balance: {
+      type: Number
+    }
+  },
   customerEmail: {
     type: String,
     trim: true,
@@ -58,27 +427,91 @@ const saleSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Discount cannot be negative']
   },
+  saleDiscount: saleDiscountSchema,
+  statutoryDiscount: statutoryDiscountSchema,
+  // Senior Citizen/PWD sales carry no VAT
+  vatExempt: {
+    type: Boolean,
+    default: false
+  },
+  discountApprovedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  discountApprovalMethod: {
+    type: String,
+    enum: [null, ...APPROVAL_METHODS],
+    default: null
+  },
+  // Sales split for the VAT breakdown (absent on older sales); tax holds the output VAT
+  vatableSales: {
+    type: Number,
+    min: [0, 'VATable sales cannot be negative']
+  },
+  vatExemptSales: {
+    type: Number,
+    min: [0, 'VAT-exempt sales cannot be negative']
+  },
+  zeroRatedSales: {
+    type: Number,
+    min: [0, 'Zero-rated sales cannot be negative']
+  },
   tax: {
     type: Number,
     default: 0,
     min: [0, 'Tax cannot be negative']
   },
+  // Tax settings in effect when the sale was made; defaults match sales made before they were configurable
+  vatRate: {
+    type: Number,
+    default: 12
+  },
+  pricesIncludeVat: {
+    type: Boolean,
+    default: false
+  },
+  vatRegistered: {
+    type: Boolean,
+    default: true
+  },
+  // Charged for delivering the order; VATable and included in the total but not in the subtotal
+  deliveryFee: {
+    type: Number,
+    default: 0,
+    min: [0, 'Delivery fee cannot be negative']
+  },
+  delivery: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Delivery',
+    default: null
+  },
   total: {
     type: Number,
     required: true,
     min: [0, 'Total cannot be negative']
   },
+  payments: {
+    type: [tenderSchema],
+    default: []
+  },
+  // Single tender method, or 'split' when the sale was paid with several methods
   paymentMethod: {
     type: String,
-    enum: ['cash'],
+    enum: [...PAYMENT_METHODS, LAYAWAY_TENDER, 'split'],
     required: [true, 'Payment method is required'],
     default: 'cash'
   },
+  // Total cash tendered across all cash payments
   cashRendered: {
     type: Number,
-    required: [true, 'Cash rendered is required'],
+    default: 0,
     min: [0, 'Cash rendered cannot be negative']
   },
+  change: {
+    type: Number,
+    default: 0,
+    min: [0, 'Change cannot be negative']
+  },
   cashier: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -88,6 +521,31 @@ const saleSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Credit account a charge tender was posted to
+  creditAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditAccount'
+  },
+  // Quotation the sale was converted from
+  quotation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quotation'
+  },
+  // Layaway the sale completed; its stock was reserved and its payments collected on the layaway
+  layaway: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Layaway',
+    default: null
+  },
+  // Accumulated grand total of all sales, including this one, when the sale was made
+  accumulatedGrandTotal: {
+    type: Number
+  },
+  // Number of times the receipt was printed; every print after the first is a reprint
+  printCount: {
+    type: Number,
+    default: 0
+  },
   isVoid: {
     type: Boolean,
     default: false
@@ -114,6 +572,32 @@ const saleSchema = new mongoose.Schema({
   },
   voidRequestedAt: {
     type: Date
+  },
+  // Admin who approved or rejected the latest void request, and why
+  voidReviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidReviewedAt: {
+    type: Date
+  },
+  voidReviewComment: {
+    type: String,
+    trim: true
+  },
+  voidRequestHistory: {
+    type: [voidRequestEventSchema],
+    default: []
+  },
+  // Line voids and other changes made after the sale was rung up, oldest first
+  adjustments: {
+    type: [saleAdjustmentSchema],
+    default: []
+  },
+  // Delivery log of receipts emailed to the customer
+  receiptEmails: {
+    type: [receiptEmailSchema],
+    default: []
   }
 }, {
   timestamps: true
@@ -121,12 +605,23 @@ const saleSchema = new mongoose.Schema({
 
 // Index for faster queries
 saleSchema.index({ saleNumber: 1 });
+saleSchema.index({ shift: 1 });
 saleSchema.index({ createdAt: -1 });
 saleSchema.index({ cashier: 1 });
 // Compound indexes for common query patterns
 saleSchema.index({ createdAt: -1, isVoid: 1 }); // For reports filtering by date and void status
 saleSchema.index({ cashier: 1, createdAt: -1 }); // For cashier-specific queries with date sorting
 saleSchema.index({ voidRequestStatus: 1, createdAt: -1 }); // For void request queries
+saleSchema.index({ voidRequestStatus: 1, voidRequestedAt: -1 }); // For the void request queue
+saleSchema.index({ 'adjustments.shift': 1 }, { sparse: true }); // For line void refunds in shift readings
+saleSchema.index({ 'payments.method': 1, createdAt: -1 }); // For tender breakdown queries
+saleSchema.index({ customer: 1, createdAt: -1 }); // For customer purchase history
+saleSchema.index({ 'items.priceOverride.reason': 1, createdAt: -1 }, { sparse: true }); // For the price override report
+saleSchema.index({ 'items.priceList.priceList': 1, createdAt: -1 }, { sparse: true }); // For the price list report
+saleSchema.index(
+  { clientReference: 1 },
+  { unique: true, partialFilterExpression: { clientReference: { $type: 'string' } } }
+); // For replayed checkouts
 
 export default mongoose.model('Sale', saleSchema);
 
@@ -0,0 +1,173 @@
+import mongoose from 'mongoose';
+import { tenderSchema, priceTierSchema, appliedPriceListSchema } from './Sale.model.js';
+
+const returnLineSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: [0, 'Price cannot be negative']
+  },
+  subtotal: {
+    type: Number,
+    required: true
+  },
+  // Set on replacements sold at a tier or the customer's price list price
+  priceTier: priceTierSchema,
+  priceList: appliedPriceListSchema
+}, { _id: false });
+
+const saleReturnSchema = new mongoose.Schema({
+  returnNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    required: [true, 'Original sale is required']
+  },
+  saleNumber: {
+    type: String,
+    trim: true
+  },
+  returnedItems: {
+    type: [returnLineSchema],
+    validate: {
+      validator: function(items) {
+        return items.length > 0;
+      },
+      message: 'At least one returned item is required'
+    }
+  },
+  replacementItems: {
+    type: [returnLineSchema],
+    default: []
+  },
+  returnedSubtotal: {
+    type: Number,
+    default: 0,
+    min: [0, 'Returned subtotal cannot be negative']
+  },
+  returnedTax: {
+    type: Number,
+    default: 0,
+    min: [0, 'Returned tax cannot be negative']
+  },
+  returnedTotal: {
+    type: Number,
+    default: 0,
+    min: [0, 'Returned total cannot be negative']
+  },
+  replacementSubtotal: {
+    type: Number,
+    default: 0,
+    min: [0, 'Replacement subtotal cannot be negative']
+  },
+  replacementTax: {
+    type: Number,
+    default: 0,
+    min: [0, 'Replacement tax cannot be negative']
+  },
+  replacementTotal: {
+    type: Number,
+    default: 0,
+    min: [0, 'Replacement total cannot be negative']
+  },
+  // Amount owed back to the customer when returns exceed replacements
+  refundAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Refund amount cannot be negative']
+  },
+  // The refund split across the tenders the sale was paid with; only the cash part comes out of the drawer.
+  // Returns recorded before refunds were split were refunded in cash
+  refunds: {
+    type: [tenderSchema],
+    default: undefined
+  },
+  // Part of the refund credited to the customer's account instead of cash, for sales charged on account
+  accountCredit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Account credit cannot be negative']
+  },
+  // Redeemed points given back for the part of the refund paid with points, and their peso value
+  pointsReturned: {
+    type: Number,
+    default: 0,
+    min: [0, 'Points returned cannot be negative']
+  },
+  pointsRefund: {
+    type: Number,
+    default: 0,
+    min: [0, 'Points refund cannot be negative']
+  },
+  // Points the sale earned on the refunded spend, taken off the customer
+  pointsTakenBack: {
+    type: Number,
+    default: 0,
+    min: [0, 'Points taken back cannot be negative']
+  },
+  // Amount the customer still has to pay when replacements exceed returns
+  balanceDue: {
+    type: Number,
+    default: 0,
+    min: [0, 'Balance due cannot be negative']
+  },
+  cashRendered: {
+    type: Number,
+    default: 0,
+    min: [0, 'Cash rendered cannot be negative']
+  },
+  change: {
+    type: Number,
+    default: 0,
+    min: [0, 'Change cannot be negative']
+  },
+  // OR/SI number issued for the balance paid on an exchange (BIR receipting mode only)
+  receiptNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Accumulated grand total, including the balance paid, when the exchange was made
+  accumulatedGrandTotal: {
+    type: Number
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason for return is required'],
+    trim: true
+  },
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Shift whose drawer paid the refund or took the balance
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+saleReturnSchema.index({ sale: 1, createdAt: -1 });
+saleReturnSchema.index({ shift: 1 });
+saleReturnSchema.index({ createdAt: -1 });
+
+export default mongoose.model('SaleReturn', saleReturnSchema);
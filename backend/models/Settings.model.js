@@ -1,5 +1,8 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { NUMBERING_SERIES, NUMBERING_RESETS } from '../utils/sequence.js';
+import { RECEIPT_DOCUMENT_TYPES } from '../utils/receipting.js';
+import { RECEIPT_PAPER_WIDTHS } from '../utils/receiptText.js';
 
 const settingsSchema = new mongoose.Schema({
   superAdminCode: {
@@ -17,6 +20,220 @@ const settingsSchema = new mongoose.Schema({
     enum: ['easy', 'medium', 'hard'],
     default: 'medium',
     trim: true
+  },
+  // Discretionary discounts above this percentage of the sale need admin approval
+  discountApprovalThreshold: {
+    type: Number,
+    default: 10,
+    min: [0, 'Discount approval threshold cannot be negative'],
+    max: [100, 'Discount approval threshold cannot exceed 100%']
+  },
+  // Output VAT rate in percent
+  vatRate: {
+    type: Number,
+    default: 12,
+    min: [0, 'VAT rate cannot be negative'],
+    max: [100, 'VAT rate cannot exceed 100%']
+  },
+  // Whether selling prices already include VAT or VAT is added on top
+  pricesIncludeVat: {
+    type: Boolean,
+    default: false
+  },
+  // Non-VAT-registered stores do not charge VAT
+  vatRegistered: {
+    type: Boolean,
+    default: true
+  },
+  // Sale number format: PREFIX[-REGISTER|BRANCH][-PERIOD]-SEQUENCE
+  saleNumbering: {
+    prefix: {
+      type: String,
+      default: 'SALE',
+      trim: true,
+      uppercase: true,
+      maxlength: [10, 'Sale number prefix cannot exceed 10 characters']
+    },
+    // One store-wide series, or a separate series per register or per branch
+    series: {
+      type: String,
+      enum: NUMBERING_SERIES,
+      default: 'store'
+    },
+    // When the sequence starts again at 1
+    reset: {
+      type: String,
+      enum: NUMBERING_RESETS,
+      default: 'daily'
+    },
+    padding: {
+      type: Number,
+      default: 4,
+      min: [3, 'Sequence padding must be at least 3 digits'],
+      max: [8, 'Sequence padding cannot exceed 8 digits']
+    }
+  },
+  // Code of this branch, used in per-branch sale numbers
+  branchCode: {
+    type: String,
+    default: null,
+    trim: true,
+    uppercase: true,
+    maxlength: [10, 'Branch code cannot exceed 10 characters']
+  },
+  // BIR receipting: registration details printed on receipts and the registered OR/SI series
+  receipting: {
+    birMode: {
+      type: Boolean,
+      default: false
+    },
+    documentType: {
+      type: String,
+      enum: RECEIPT_DOCUMENT_TYPES,
+      default: 'sales_invoice'
+    },
+    registeredName: {
+      type: String,
+      default: '',
+      trim: true,
+      maxlength: [100, 'Registered name cannot exceed 100 characters']
+    },
+    tradeName: {
+      type: String,
+      default: '',
+      trim: true,
+      maxlength: [100, 'Trade name cannot exceed 100 characters']
+    },
+    address: {
+      type: String,
+      default: '',
+      trim: true,
+      maxlength: [200, 'Address cannot exceed 200 characters']
+    },
+    tin: {
+      type: String,
+      default: '',
+      trim: true,
+      maxlength: [20, 'TIN cannot exceed 20 characters']
+    },
+    // Machine identification number
+    machineId: {
+      type: String,
+      default: '',
+      trim: true,
+      maxlength: [30, 'Machine identification number cannot exceed 30 characters']
+    },
+    serialNumber: {
+      type: String,
+      default: '',
+      trim: true,
+      maxlength: [30, 'Serial number cannot exceed 30 characters']
+    },
+    // Permit to use (PTU) number
+    permitNumber: {
+      type: String,
+      default: '',
+      trim: true,
+      maxlength: [30, 'Permit number cannot exceed 30 characters']
+    },
+    accreditationNumber: {
+      type: String,
+      default: '',
+      trim: true,
+      maxlength: [30, 'Accreditation number cannot exceed 30 characters']
+    },
+    // Registered serial range of receipt numbers
+    seriesStart: {
+      type: Number,
+      default: 1,
+      min: [1, 'Series start must be at least 1']
+    },
+    seriesEnd: {
+      type: Number,
+      default: null
+    }
+  },
+  // Loyalty program: points earned per peso spent (optionally per category) and their value when redeemed
+  loyalty: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Pesos spent to earn one point
+    spendPerPoint: {
+      type: Number,
+      default: 100,
+      min: [1, 'Spend per point must be at least 1']
+    },
+    // Peso value of one point when redeemed as a tender
+    pointValue: {
+      type: Number,
+      default: 1,
+      min: [0.01, 'Point value must be greater than 0']
+    },
+    // Categories that earn at their own rate, by category name as stored on products;
+    // a spend per point of 0 earns no points
+    categoryRules: [{
+      _id: false,
+      category: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      spendPerPoint: {
+        type: Number,
+        required: true,
+        min: [0, 'Spend per point cannot be negative']
+      }
+    }]
+  },
+  // Layaway terms: the minimum down payment, how long the customer has to pay in full and what is kept
+  // when a layaway is cancelled
+  layaway: {
+    minDepositPercent: {
+      type: Number,
+      default: 20,
+      min: [0, 'Minimum deposit cannot be negative'],
+      max: [100, 'Minimum deposit cannot exceed 100%']
+    },
+    // Days from the deposit to the payment deadline
+    termDays: {
+      type: Number,
+      default: 60,
+      min: [1, 'Layaway term must be at least 1 day']
+    },
+    // Share of the payments made that is forfeited on cancellation
+    forfeitPercent: {
+      type: Number,
+      default: 10,
+      min: [0, 'Forfeited share cannot be negative'],
+      max: [100, 'Forfeited share cannot exceed 100%']
+    },
+    // Flat cancellation fee added to the forfeited share; the total never exceeds what was paid
+    forfeitFee: {
+      type: Number,
+      default: 0,
+      min: [0, 'Cancellation fee cannot be negative']
+    }
+  },
+  // Receipt layout and the network (ESC/POS) printer receipts are sent to
+  receiptPrinter: {
+    paperWidth: {
+      type: String,
+      enum: RECEIPT_PAPER_WIDTHS,
+      default: 'a4'
+    },
+    host: {
+      type: String,
+      default: '',
+      trim: true
+    },
+    port: {
+      type: Number,
+      default: 9100,
+      min: [1, 'Printer port must be between 1 and 65535'],
+      max: [65535, 'Printer port must be between 1 and 65535']
+    }
   }
 }, {
   timestamps: true
@@ -0,0 +1,124 @@
+import mongoose from 'mongoose';
+
+// Philippine peso bills and coins accepted in a drawer count
+export const CASH_DENOMINATIONS = [1000, 500, 200, 100, 50, 20, 10, 5, 1, 0.25, 0.1, 0.05];
+
+export const CASH_MOVEMENT_TYPES = ['cash_in', 'cash_out'];
+
+const cashMovementSchema = new mongoose.Schema({
+  // cash_in: change fund top-ups; cash_out: petty cash, pickups to the safe
+  type: {
+    type: String,
+    enum: CASH_MOVEMENT_TYPES,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Amount must be greater than 0']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const denominationCountSchema = new mongoose.Schema({
+  denomination: {
+    type: Number,
+    enum: CASH_DENOMINATIONS,
+    required: true
+  },
+  count: {
+    type: Number,
+    required: true,
+    min: [0, 'Count cannot be negative']
+  }
+}, { _id: false });
+
+const shiftSchema = new mongoose.Schema({
+  shiftNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  cashier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  registerId: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Change fund placed in the drawer when the shift opens
+  openingFloat: {
+    type: Number,
+    required: true,
+    min: [0, 'Opening float cannot be negative']
+  },
+  cashMovements: [cashMovementSchema],
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  denominations: [denominationCountSchema],
+  countedCash: {
+    type: Number,
+    default: null
+  },
+  expectedCash: {
+    type: Number,
+    default: null
+  },
+  // Counted minus expected cash: positive is over, negative is short
+  overShort: {
+    type: Number,
+    default: null
+  },
+  closingNotes: {
+    type: String,
+    trim: true
+  },
+  // Z-reading taken when the shift was closed; kept so later voids do not change the closed shift's figures
+  zReading: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// A cashier can only have one open shift at a time
+shiftSchema.index(
+  { cashier: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+shiftSchema.index({ openedAt: -1 });
+
+export default mongoose.model('Shift', shiftSchema);
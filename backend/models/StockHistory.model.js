@@ -30,7 +30,7 @@ const stockHistorySchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['SALE', 'RESTOCK', 'RETURN', 'WASTAGE', 'ADJUSTMENT'],
+    enum: ['SALE', 'RESTOCK', 'RETURN', 'WASTAGE', 'ADJUSTMENT', 'LAYAWAY'],
     required: false
   },
   quantity: {
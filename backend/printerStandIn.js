@@ -0,0 +1,40 @@
+import net from 'net';
+import fs from 'fs';
+import path from 'path';
+
+// Local stand-in for a network receipt printer: accepts raw (port 9100) print jobs,
+// saves the bytes of each job and shows the printable text.
+// Point Settings > Receipt Printer at 127.0.0.1 and this port.
+const port = parseInt(process.env.PRINTER_STANDIN_PORT, 10) || 9100;
+const outputDir = path.resolve(process.env.PRINTER_STANDIN_DIR || 'captured-prints');
+
+fs.mkdirSync(outputDir, { recursive: true });
+
+// Drop ESC/POS commands used by utils/escpos.js so only the receipt text is shown
+const toPreview = (bytes) => bytes.toString('latin1')
+  .replace(/\x1b@/g, '')
+  .replace(/\x1bE[\x00\x01]/g, '')
+  .replace(/\x1d![\x00-\xff]/g, '')
+  .replace(/\x1dVB[\x00-\xff]/g, '\n--- cut ---');
+
+let jobNumber = 0;
+
+const server = net.createServer((socket) => {
+  const chunks = [];
+
+  socket.on('data', (chunk) => chunks.push(chunk));
+  socket.on('end', () => {
+    jobNumber += 1;
+    const bytes = Buffer.concat(chunks);
+    const file = path.join(outputDir, `job-${Date.now()}-${jobNumber}.bin`);
+    fs.writeFileSync(file, bytes);
+
+    console.log(`\n🖨️  Job ${jobNumber}: ${bytes.length} bytes saved to ${file}`);
+    console.log(toPreview(bytes));
+  });
+  socket.on('error', (error) => console.error('Connection error:', error.message));
+});
+
+server.listen(port, () => {
+  console.log(`Printer stand-in listening on port ${port}, saving jobs to ${outputDir}`);
+});
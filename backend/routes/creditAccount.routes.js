@@ -0,0 +1,118 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { handleValidationErrors } from '../utils/validationHandler.js';
+import { CREDIT_TERMS } from '../models/CreditAccount.model.js';
+import { RECEIVABLE_PAYMENT_METHODS } from '../models/ReceivableEntry.model.js';
+import * as creditAccountController from '../controllers/creditAccount.controller.js';
+
+const router = express.Router();
+
+// All routes require authentication and are available to the roles that can ring up sales
+router.use(protect);
+router.use(authorize('supplier', 'staff', 'admin'));
+
+const accountValidators = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Account name is required')
+    .isLength({ max: 100 }).withMessage('Account name cannot exceed 100 characters'),
+  body('contactPerson').optional().trim(),
+  body('phone')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 11 }).withMessage('Phone number must be maximum 11 digits')
+    .matches(/^\d+$/).withMessage('Phone number must contain only digits'),
+  body('email').optional({ values: 'falsy' }).isEmail().withMessage('Please provide a valid email'),
+  body('address').optional().trim(),
+  body('tinNumber').optional().trim(),
+  body('creditLimit')
+    .notEmpty().withMessage('Credit limit is required')
+    .isFloat({ min: 0 }).withMessage('Credit limit cannot be negative')
+    .toFloat(),
+  body('termsDays')
+    .optional()
+    .isIn(CREDIT_TERMS).withMessage(`Terms must be one of: ${CREDIT_TERMS.join(', ')} days`)
+    .toInt(),
+  body('isActive').optional().isBoolean().withMessage('Active must be true or false').toBoolean(),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+/**
+ * @route   GET /api/credit-accounts
+ * @desc    Get credit accounts
+ * @access  Private/Supplier/Staff
+ */
+router.get('/', [
+  query('search').optional().trim(),
+  query('isActive').optional().isBoolean().withMessage('Active must be true or false'),
+  handleValidationErrors
+], creditAccountController.getCreditAccounts);
+
+/**
+ * @route   GET /api/credit-accounts/aging
+ * @desc    Get accounts receivable aging across all accounts
+ * @access  Private/Admin
+ */
+router.get('/aging', authorize('admin'), creditAccountController.getAgingReport);
+
+/**
+ * @route   GET /api/credit-accounts/:id
+ * @desc    Get single credit account with its aging
+ * @access  Private/Supplier/Staff
+ */
+router.get('/:id', creditAccountController.getCreditAccount);
+
+/**
+ * @route   GET /api/credit-accounts/:id/ledger
+ * @desc    Get the receivable ledger of a credit account
+ * @access  Private/Supplier/Staff
+ */
+router.get('/:id/ledger', creditAccountController.getLedger);
+
+/**
+ * @route   GET /api/credit-accounts/:id/statement
+ * @desc    Export a statement of account as PDF
+ * @access  Private/Supplier/Staff
+ */
+router.get('/:id/statement', [
+  query('startDate').optional({ values: 'falsy' }).isDate().withMessage('Start date must be a valid date (YYYY-MM-DD)'),
+  query('endDate').optional({ values: 'falsy' }).isDate().withMessage('End date must be a valid date (YYYY-MM-DD)'),
+  handleValidationErrors
+], creditAccountController.exportStatement);
+
+/**
+ * @route   POST /api/credit-accounts
+ * @desc    Open a credit account
+ * @access  Private/Admin
+ */
+router.post('/', authorize('admin'), accountValidators, creditAccountController.createCreditAccount);
+
+/**
+ * @route   PUT /api/credit-accounts/:id
+ * @desc    Update a credit account's details, limit, terms or status
+ * @access  Private/Admin
+ */
+router.put('/:id', authorize('admin'), accountValidators, creditAccountController.updateCreditAccount);
+
+/**
+ * @route   POST /api/credit-accounts/:id/payments
+ * @desc    Record a payment against a credit account
+ * @access  Private/Supplier/Staff
+ */
+router.post('/:id/payments', [
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than 0').toFloat(),
+  body('method').isIn(RECEIVABLE_PAYMENT_METHODS).withMessage(`Payment method must be one of: ${RECEIVABLE_PAYMENT_METHODS.join(', ')}`),
+  body('referenceNumber').optional().trim(),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  handleValidationErrors
+], creditAccountController.recordPayment);
+
+export default router;
@@ -0,0 +1,84 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { handleValidationErrors } from '../utils/validationHandler.js';
+import { CUSTOMER_TYPES } from '../models/Customer.model.js';
+import * as customerController from '../controllers/customer.controller.js';
+
+const router = express.Router();
+
+// All routes require authentication and are available to the roles that can ring up sales
+router.use(protect);
+router.use(authorize('supplier', 'staff', 'admin'));
+
+const customerValidators = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Customer name is required')
+    .isLength({ max: 100 }).withMessage('Customer name cannot exceed 100 characters'),
+  body('phone')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 11 }).withMessage('Phone number must be maximum 11 digits')
+    .matches(/^\d+$/).withMessage('Phone number must contain only digits'),
+  body('email').optional({ values: 'falsy' }).isEmail().withMessage('Please provide a valid email'),
+  body('address').optional().trim(),
+  body('tinNumber').optional().trim(),
+  body('customerType').optional().isIn(CUSTOMER_TYPES).withMessage(`Customer type must be one of: ${CUSTOMER_TYPES.join(', ')}`),
+  body('priceList').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid price list ID'),
+  body('isActive').optional().isBoolean().withMessage('Active must be true or false').toBoolean(),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+/**
+ * @route   GET /api/customers
+ * @desc    Get customers, or look them up by name, phone or TIN at checkout
+ * @access  Private/Supplier/Staff
+ */
+router.get('/', [
+  query('search').optional().trim(),
+  query('isActive').optional().isBoolean().withMessage('Active must be true or false'),
+  query('lookup').optional().isBoolean().withMessage('Lookup must be true or false'),
+  handleValidationErrors
+], customerController.getCustomers);
+
+/**
+ * @route   GET /api/customers/:id
+ * @desc    Get single customer with purchase totals and last visit
+ * @access  Private/Supplier/Staff
+ */
+router.get('/:id', customerController.getCustomer);
+
+/**
+ * @route   GET /api/customers/:id/loyalty
+ * @desc    Get a customer's loyalty points history
+ * @access  Private/Supplier/Staff
+ */
+router.get('/:id/loyalty', customerController.getLoyaltyHistory);
+
+/**
+ * @route   POST /api/customers
+ * @desc    Create customer
+ * @access  Private/Supplier/Staff
+ */
+router.post('/', customerValidators, customerController.createCustomer);
+
+/**
+ * @route   PUT /api/customers/:id
+ * @desc    Update customer
+ * @access  Private/Supplier/Staff
+ */
+router.put('/:id', customerValidators, customerController.updateCustomer);
+
+/**
+ * @route   DELETE /api/customers/:id
+ * @desc    Delete customer without sales
+ * @access  Private/Admin
+ */
+router.delete('/:id', authorize('admin'), customerController.deleteCustomer);
+
+export default router;
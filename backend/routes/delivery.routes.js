@@ -0,0 +1,81 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { handleValidationErrors } from '../utils/validationHandler.js';
+import { DELIVERY_STATUSES, DELIVERY_TIME_SLOTS } from '../models/Delivery.model.js';
+import * as deliveryController from '../controllers/delivery.controller.js';
+
+const router = express.Router();
+
+// All routes require authentication; dispatch is run by staff and admins
+router.use(protect);
+router.use(authorize('staff', 'admin'));
+
+/**
+ * @route   GET /api/deliveries
+ * @desc    Get deliveries, by scheduled date for the dispatch board
+ * @access  Private/Staff/Admin
+ */
+router.get('/', [
+  query('date').optional({ values: 'falsy' }).isDate().withMessage('Date must be a valid date (YYYY-MM-DD)'),
+  query('status').optional({ values: 'falsy' }).isIn(DELIVERY_STATUSES).withMessage(`Status must be one of: ${DELIVERY_STATUSES.join(', ')}`),
+  query('search').optional().trim(),
+  handleValidationErrors
+], deliveryController.getDeliveries);
+
+/**
+ * @route   GET /api/deliveries/:id
+ * @desc    Get single delivery
+ * @access  Private/Staff/Admin
+ */
+router.get('/:id', deliveryController.getDelivery);
+
+/**
+ * @route   GET /api/deliveries/:id/pdf
+ * @desc    Export the delivery receipt for the customer to sign
+ * @access  Private/Staff/Admin
+ */
+router.get('/:id/pdf', deliveryController.exportDeliveryReceiptPDF);
+
+/**
+ * @route   PATCH /api/deliveries/:id
+ * @desc    Update the address, schedule or vehicle/driver assignment of a delivery
+ * @access  Private/Staff/Admin
+ */
+router.patch('/:id', [
+  body('contactName').optional().trim()
+    .notEmpty().withMessage('Contact name cannot be empty'),
+  body('contactPhone')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 11 }).withMessage('Phone number must be maximum 11 digits')
+    .matches(/^\d+$/).withMessage('Phone number must contain only digits'),
+  body('address').optional().trim()
+    .notEmpty().withMessage('Delivery address cannot be empty')
+    .isLength({ max: 500 }).withMessage('Address cannot exceed 500 characters'),
+  body('scheduledDate').optional({ values: 'falsy' }).isDate().withMessage('Delivery date must be a valid date (YYYY-MM-DD)'),
+  body('timeSlot').optional().isIn(DELIVERY_TIME_SLOTS).withMessage(`Time slot must be one of: ${DELIVERY_TIME_SLOTS.join(', ')}`),
+  body('vehicle').optional().trim(),
+  body('driver').optional().trim(),
+  body('notes').optional().trim()
+    .isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  handleValidationErrors
+], deliveryController.updateDelivery);
+
+/**
+ * @route   PATCH /api/deliveries/:id/status
+ * @desc    Dispatch a delivery, mark it delivered or failed, or reschedule a failed one
+ * @access  Private/Staff/Admin
+ */
+router.patch('/:id/status', [
+  body('status')
+    .isIn(['scheduled', 'out_for_delivery', 'delivered', 'failed'])
+    .withMessage('Status must be scheduled, out_for_delivery, delivered or failed'),
+  body('note').optional().trim()
+    .isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters'),
+  body('receivedBy').optional().trim(),
+  body('scheduledDate').optional({ values: 'falsy' }).isDate().withMessage('Delivery date must be a valid date (YYYY-MM-DD)'),
+  handleValidationErrors
+], deliveryController.updateDeliveryStatus);
+
+export default router;
@@ -0,0 +1,71 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { handleValidationErrors } from '../utils/validationHandler.js';
+import { DISCOUNT_TYPES, STATUTORY_DISCOUNT_TYPES } from '../utils/discounts.js';
+import * as heldCartController from '../controllers/heldCart.controller.js';
+
+const router = express.Router();
+
+// All routes require authentication and are available to the roles that can ring up sales
+router.use(protect);
+router.use(authorize('supplier', 'staff', 'admin'));
+
+/**
+ * @route   GET /api/held-carts
+ * @desc    Get active held carts
+ * @access  Private/Supplier/Staff
+ */
+router.get('/', heldCartController.getHeldCarts);
+
+/**
+ * @route   GET /api/held-carts/reservations
+ * @desc    Get quantities soft-reserved by held carts
+ * @access  Private/Supplier/Staff
+ */
+router.get('/reservations', heldCartController.getReservations);
+
+/**
+ * @route   POST /api/held-carts
+ * @desc    Hold the current cart
+ * @access  Private/Supplier/Staff
+ */
+router.post('/', [
+  body('label')
+    .trim()
+    .notEmpty().withMessage('Label is required')
+    .isLength({ max: 50 }).withMessage('Label cannot exceed 50 characters'),
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.product').isMongoId().withMessage('Valid product ID is required'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('items.*.discount.type').optional().isIn(DISCOUNT_TYPES).withMessage(`Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}`),
+  body('items.*.discount.value').optional().isFloat({ min: 0 }).withMessage('Discount cannot be negative'),
+  body('saleDiscount.type').optional().isIn(DISCOUNT_TYPES).withMessage(`Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}`),
+  body('saleDiscount.value').optional().isFloat({ min: 0 }).withMessage('Discount cannot be negative'),
+  body('statutoryDiscount.type').optional({ values: 'falsy' }).isIn(STATUTORY_DISCOUNT_TYPES).withMessage('Statutory discount must be senior_citizen or pwd'),
+  body('statutoryDiscount.idNumber').optional().trim(),
+  body('statutoryDiscount.holderName').optional().trim(),
+  body('customer').optional({ values: 'falsy' }).isMongoId().withMessage('Valid customer ID is required'),
+  body('customerName').optional().trim(),
+  body('customerPhone').optional().trim(),
+  body('tinNumber').optional().trim(),
+  body('reserveStock').optional().isBoolean().withMessage('Reserve stock must be true or false'),
+  body('registerId').optional({ values: 'falsy' }).trim(),
+  handleValidationErrors
+], heldCartController.createHeldCart);
+
+/**
+ * @route   POST /api/held-carts/:id/resume
+ * @desc    Resume a held cart (removes it from the held list)
+ * @access  Private/Supplier/Staff
+ */
+router.post('/:id/resume', heldCartController.resumeHeldCart);
+
+/**
+ * @route   DELETE /api/held-carts/:id
+ * @desc    Discard a held cart
+ * @access  Private/Supplier/Staff (own carts), Admin (any cart)
+ */
+router.delete('/:id', heldCartController.deleteHeldCart);
+
+export default router;
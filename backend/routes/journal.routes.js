@@ -0,0 +1,44 @@
+import express from 'express';
+import { query } from 'express-validator';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { handleValidationErrors } from '../utils/validationHandler.js';
+import { JOURNAL_EVENTS } from '../models/JournalEntry.model.js';
+import * as journalController from '../controllers/journal.controller.js';
+
+const router = express.Router();
+
+// The electronic journal is for administrators only
+router.use(protect);
+router.use(authorize('admin'));
+
+const journalFilters = [
+  query('startDate')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  query('endDate')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('End date must be a valid date'),
+  query('event')
+    .optional({ values: 'falsy' })
+    .isIn(JOURNAL_EVENTS)
+    .withMessage(`Event must be one of: ${JOURNAL_EVENTS.join(', ')}`),
+  handleValidationErrors
+];
+
+/**
+ * @route   GET /api/journal
+ * @desc    Get electronic journal entries
+ * @access  Private/Admin
+ */
+router.get('/', journalFilters, journalController.getJournalEntries);
+
+/**
+ * @route   GET /api/journal/export
+ * @desc    Export the electronic journal as a text file
+ * @access  Private/Admin
+ */
+router.get('/export', journalFilters, journalController.exportJournal);
+
+export default router;
@@ -0,0 +1,97 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { handleValidationErrors } from '../utils/validationHandler.js';
+import { DISCOUNT_TYPES } from '../utils/discounts.js';
+import { LAYAWAY_STATUSES, LAYAWAY_PAYMENT_METHODS } from '../models/Layaway.model.js';
+import * as layawayController from '../controllers/layaway.controller.js';
+
+const router = express.Router();
+
+// All routes require authentication and are available to the roles that can ring up sales
+router.use(protect);
+router.use(authorize('supplier', 'staff', 'admin'));
+
+/**
+ * @route   GET /api/layaways
+ * @desc    Get layaways, optionally only those past their deadline
+ * @access  Private/Supplier/Staff
+ */
+router.get('/', [
+  query('status').optional({ values: 'falsy' }).isIn(LAYAWAY_STATUSES).withMessage(`Status must be one of: ${LAYAWAY_STATUSES.join(', ')}`),
+  query('overdue').optional().isBoolean().withMessage('Overdue must be true or false'),
+  query('search').optional().trim(),
+  handleValidationErrors
+], layawayController.getLayaways);
+
+/**
+ * @route   GET /api/layaways/:id
+ * @desc    Get single layaway
+ * @access  Private/Supplier/Staff
+ */
+router.get('/:id', layawayController.getLayaway);
+
+/**
+ * @route   POST /api/layaways
+ * @desc    Open a layaway with a deposit and reserve its stock
+ * @access  Private/Supplier/Staff
+ */
+router.post('/', [
+  body('customer').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid customer ID'),
+  body('customerName').optional().trim(),
+  body('customerEmail').optional({ values: 'falsy' }).isEmail().withMessage('Please provide a valid email'),
+  body('customerPhone')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 11 }).withMessage('Phone number must be maximum 11 digits')
+    .matches(/^\d+$/).withMessage('Phone number must contain only digits'),
+  body('tinNumber').optional().trim(),
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.product').isMongoId().withMessage('Valid product ID is required'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('items.*.discount.type').optional().isIn(DISCOUNT_TYPES).withMessage(`Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}`),
+  body('items.*.discount.value').optional().isFloat({ min: 0 }).withMessage('Discount cannot be negative'),
+  body('saleDiscount.type').optional().isIn(DISCOUNT_TYPES).withMessage(`Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}`),
+  body('saleDiscount.value').optional().isFloat({ min: 0 }).withMessage('Discount cannot be negative'),
+  body('payments').isArray({ min: 1 }).withMessage('A deposit is required to open a layaway'),
+  body('payments.*.method').isIn(LAYAWAY_PAYMENT_METHODS).withMessage(`Payment method must be one of: ${LAYAWAY_PAYMENT_METHODS.join(', ')}`),
+  body('payments.*.amount').isFloat({ gt: 0 }).withMessage('Payment amount must be greater than 0'),
+  body('payments.*.referenceNumber').optional().trim(),
+  body('deadline').optional({ values: 'falsy' }).isDate().withMessage('Deadline must be a valid date (YYYY-MM-DD)'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  body('registerId').optional().trim(),
+  body('discountApprovalCode').optional().trim(),
+  body('approver.username').optional().trim(),
+  body('approver.password').optional().isString().withMessage('Approver password must be text'),
+  handleValidationErrors
+], layawayController.createLayaway);
+
+/**
+ * @route   POST /api/layaways/:id/payments
+ * @desc    Record a layaway payment; the final payment completes the layaway and posts the sale
+ * @access  Private/Supplier/Staff
+ */
+router.post('/:id/payments', [
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than 0').toFloat(),
+  body('method').isIn(LAYAWAY_PAYMENT_METHODS).withMessage(`Payment method must be one of: ${LAYAWAY_PAYMENT_METHODS.join(', ')}`),
+  body('referenceNumber').optional().trim(),
+  handleValidationErrors
+], layawayController.recordLayawayPayment);
+
+/**
+ * @route   POST /api/layaways/:id/cancel
+ * @desc    Cancel a layaway under the forfeiture rules and return its stock
+ * @access  Private/Staff/Admin (before the deadline: Admin only)
+ */
+router.post('/:id/cancel', authorize('staff', 'admin'), [
+  body('reason')
+    .trim()
+    .notEmpty().withMessage('Reason for cancelling is required')
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  handleValidationErrors
+], layawayController.cancelLayaway);
+
+export default router;
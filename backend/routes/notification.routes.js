@@ -0,0 +1,31 @@
+import express from 'express';
+import { protect } from '../middleware/auth.middleware.js';
+import * as notificationController from '../controllers/notification.controller.js';
+
+const router = express.Router();
+
+// Every user sees only their own notifications
+router.use(protect);
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get the signed-in user's notifications
+ * @access  Private
+ */
+router.get('/', notificationController.getNotifications);
+
+/**
+ * @route   PATCH /api/notifications/read-all
+ * @desc    Mark all notifications as read
+ * @access  Private
+ */
+router.patch('/read-all', notificationController.markAllNotificationsRead);
+
+/**
+ * @route   PATCH /api/notifications/:id/read
+ * @desc    Mark a notification as read
+ * @access  Private
+ */
+router.patch('/:id/read', notificationController.markNotificationRead);
+
+export default router;
@@ -0,0 +1,75 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { handleValidationErrors } from '../utils/validationHandler.js';
+import { PRICE_LIST_SCOPES, PRICE_LIST_ADJUSTMENTS } from '../models/PriceList.model.js';
+import * as priceListController from '../controllers/priceList.controller.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Name is checked per route: required on create, optional on update
+const priceListValidators = [
+  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+  body('rules').optional().isArray().withMessage('Rules must be a list'),
+  body('rules.*.scope').isIn(PRICE_LIST_SCOPES).withMessage(`Rule scope must be one of: ${PRICE_LIST_SCOPES.join(', ')}`),
+  body('rules.*.product').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid product ID'),
+  body('rules.*.brand').optional().isString().withMessage('Brand must be text'),
+  body('rules.*.category').optional().isString().withMessage('Category must be text'),
+  body('rules.*.adjustment').isIn(PRICE_LIST_ADJUSTMENTS).withMessage(`Rule adjustment must be one of: ${PRICE_LIST_ADJUSTMENTS.join(', ')}`),
+  body('rules.*.value').isFloat({ min: 0 }).withMessage('Rule value cannot be negative').toFloat(),
+  body('validFrom').optional({ values: 'falsy' }).isDate().withMessage('Start date must be a valid date (YYYY-MM-DD)'),
+  body('validUntil').optional({ values: 'falsy' }).isDate().withMessage('End date must be a valid date (YYYY-MM-DD)'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+  handleValidationErrors
+];
+
+/**
+ * @route   GET /api/price-lists
+ * @desc    Get price lists
+ * @access  Private
+ */
+router.get('/', [
+  query('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+  handleValidationErrors
+], priceListController.getPriceLists);
+
+/**
+ * @route   GET /api/price-lists/:id
+ * @desc    Get single price list
+ * @access  Private
+ */
+router.get('/:id', priceListController.getPriceList);
+
+/**
+ * @route   POST /api/price-lists
+ * @desc    Create price list (Admin only)
+ * @access  Private/Admin
+ */
+router.post('/', authorize('admin'), [
+  body('name').trim().notEmpty().withMessage('Price list name is required')
+    .isLength({ max: 100 }).withMessage('Price list name cannot exceed 100 characters'),
+  ...priceListValidators
+], priceListController.createPriceList);
+
+/**
+ * @route   PUT /api/price-lists/:id
+ * @desc    Update price list (Admin only)
+ * @access  Private/Admin
+ */
+router.put('/:id', authorize('admin'), [
+  body('name').optional().trim().notEmpty().withMessage('Price list name cannot be empty')
+    .isLength({ max: 100 }).withMessage('Price list name cannot exceed 100 characters'),
+  ...priceListValidators
+], priceListController.updatePriceList);
+
+/**
+ * @route   DELETE /api/price-lists/:id
+ * @desc    Delete price list (Admin only)
+ * @access  Private/Admin
+ */
+router.delete('/:id', authorize('admin'), priceListController.deletePriceList);
+
+export default router;
@@ -4,12 +4,63 @@ import { protect, authorize } from '../middleware/auth.middleware.js';
 import { handleValidationErrors } from '../utils/validationHandler.js';
 import { uploadImage } from '../config/cloudinary.js';
 import * as productController from '../controllers/product.controller.js';
+import { TAX_CLASSES } from '../utils/taxes.js';
+import Product from '../models/Product.model.js';
+import { normalizeBarcodes, validateBarcode } from '../utils/barcodes.js';
+import { normalizePriceTiers, validatePriceTiers } from '../utils/pricing.js';
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(protect);
 
+/**
+ * Barcodes must be valid for their type and not already used, in the same
+ * request or by another product
+ */
+const barcodesValidator = body('barcodes')
+  .optional()
+  .customSanitizer(normalizeBarcodes)
+  .isArray().withMessage('Barcodes must be a list')
+  .custom(async (barcodes, { req }) => {
+    for (const barcode of barcodes) {
+      const error = validateBarcode(barcode);
+      if (error) throw new Error(error);
+    }
+
+    const codes = barcodes.map(barcode => barcode.code);
+    const repeated = codes.find((code, index) => codes.indexOf(code) !== index);
+    if (repeated) throw new Error(`Barcode ${repeated} is listed more than once`);
+
+    const query = { 'barcodes.code': { $in: codes } };
+    if (req.params.id) query._id = { $ne: req.params.id };
+    const existing = codes.length > 0 ? await Product.findOne(query).select('name barcodes') : null;
+    if (existing) {
+      const taken = existing.barcodes.find(barcode => codes.includes(barcode.code));
+      throw new Error(`Barcode ${taken.code} is already assigned to ${existing.name}`);
+    }
+    return true;
+  });
+
+/**
+ * Price tiers must be well formed and never sell below the product's cost,
+ * which is the price in the request or the one already saved
+ */
+const priceTiersValidator = body('priceTiers')
+  .optional()
+  .customSanitizer(normalizePriceTiers)
+  .isArray().withMessage('Price tiers must be a list')
+  .custom(async (tiers, { req }) => {
+    let cost = parseFloat(req.body.price);
+    if (Number.isNaN(cost) && req.params.id) {
+      const product = await Product.findById(req.params.id).select('price');
+      cost = product?.price;
+    }
+    const error = validatePriceTiers(tiers, cost || 0);
+    if (error) throw new Error(error);
+    return true;
+  });
+
 /**
  * @route   GET /api/products
  * @desc    Get all products
@@ -17,6 +68,27 @@ router.use(protect);
  */
 router.get('/', productController.getProducts);
 
+/**
+ * @route   GET /api/products/barcode/:code
+ * @desc    Find the product a scanned barcode or SKU belongs to
+ * @access  Private
+ */
+router.get('/barcode/:code', productController.getProductByBarcode);
+
+/**
+ * @route   POST /api/products/barcodes/generate
+ * @desc    Generate an unused internal barcode
+ * @access  Private/Admin/Supplier
+ */
+router.post('/barcodes/generate', authorize('admin', 'supplier'), productController.generateBarcode);
+
+/**
+ * @route   POST /api/products/barcodes/generate-missing
+ * @desc    Give every active product without a barcode an internal one
+ * @access  Private/Admin
+ */
+router.post('/barcodes/generate-missing', authorize('admin'), productController.generateMissingBarcodes);
+
 /**
  * @route   GET /api/products/:id
  * @desc    Get single product
@@ -38,6 +110,9 @@ router.post('/',
     body('markupPercentage').optional({ checkFalsy: true }).isFloat({ min: 0, max: 100 }).withMessage('Markup percentage must be between 0 and 100'),
     body('stockQuantity').optional({ checkFalsy: true }).isInt({ min: 0 }).withMessage('Stock quantity must be a non-negative integer'),
     body('supplier').optional().isMongoId().withMessage('Valid supplier ID is required'),
+    body('taxClass').optional().isIn(TAX_CLASSES).withMessage(`Tax class must be one of: ${TAX_CLASSES.join(', ')}`),
+    barcodesValidator,
+    priceTiersValidator,
     handleValidationErrors
   ], 
   productController.createProduct
@@ -56,6 +131,9 @@ router.put('/:id',
     body('markupPercentage').optional().isFloat({ min: 0, max: 100 }).withMessage('Markup percentage must be between 0 and 100'),
     body('stockQuantity').optional().isInt({ min: 0 }).withMessage('Stock quantity must be a non-negative integer'),
     body('supplier').optional().isMongoId().withMessage('Valid supplier ID is required'),
+    body('taxClass').optional().isIn(TAX_CLASSES).withMessage(`Tax class must be one of: ${TAX_CLASSES.join(', ')}`),
+    barcodesValidator,
+    priceTiersValidator,
     handleValidationErrors
   ],
   productController.updateProduct
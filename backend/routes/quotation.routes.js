@@ -0,0 +1,98 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { handleValidationErrors } from '../utils/validationHandler.js';
+import { DISCOUNT_TYPES } from '../utils/discounts.js';
+import { QUOTATION_STATUSES } from '../models/Quotation.model.js';
+import * as quotationController from '../controllers/quotation.controller.js';
+
+const router = express.Router();
+
+// All routes require authentication and are available to the roles that can ring up sales
+router.use(protect);
+router.use(authorize('supplier', 'staff', 'admin'));
+
+const quotationValidators = [
+  body('customer').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid customer ID'),
+  body('customerName')
+    .trim()
+    .notEmpty().withMessage('Customer name is required'),
+  body('customerEmail').optional({ values: 'falsy' }).isEmail().withMessage('Please provide a valid email'),
+  body('customerPhone')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 11 }).withMessage('Phone number must be maximum 11 digits')
+    .matches(/^\d+$/).withMessage('Phone number must contain only digits'),
+  body('tinNumber').optional().trim(),
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.product').isMongoId().withMessage('Valid product ID is required'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('items.*.discount.type').optional().isIn(DISCOUNT_TYPES).withMessage(`Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}`),
+  body('items.*.discount.value').optional().isFloat({ min: 0 }).withMessage('Discount cannot be negative'),
+  body('saleDiscount.type').optional().isIn(DISCOUNT_TYPES).withMessage(`Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}`),
+  body('saleDiscount.value').optional().isFloat({ min: 0 }).withMessage('Discount cannot be negative'),
+  body('validityDays').optional().isInt({ min: 1, max: 365 }).withMessage('Validity must be between 1 and 365 days'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+/**
+ * @route   GET /api/quotations
+ * @desc    Get quotations
+ * @access  Private/Supplier/Staff
+ */
+router.get('/', [
+  query('status').optional({ values: 'falsy' }).isIn(QUOTATION_STATUSES).withMessage(`Status must be one of: ${QUOTATION_STATUSES.join(', ')}`),
+  query('search').optional().trim(),
+  handleValidationErrors
+], quotationController.getQuotations);
+
+/**
+ * @route   GET /api/quotations/:id
+ * @desc    Get single quotation
+ * @access  Private/Supplier/Staff
+ */
+router.get('/:id', quotationController.getQuotation);
+
+/**
+ * @route   GET /api/quotations/:id/pdf
+ * @desc    Export quotation as PDF
+ * @access  Private/Supplier/Staff
+ */
+router.get('/:id/pdf', quotationController.exportQuotationPDF);
+
+/**
+ * @route   POST /api/quotations
+ * @desc    Create a quotation
+ * @access  Private/Supplier/Staff
+ */
+router.post('/', quotationValidators, quotationController.createQuotation);
+
+/**
+ * @route   PUT /api/quotations/:id
+ * @desc    Update a draft or sent quotation
+ * @access  Private/Supplier/Staff
+ */
+router.put('/:id', quotationValidators, quotationController.updateQuotation);
+
+/**
+ * @route   POST /api/quotations/:id/status
+ * @desc    Mark a quotation as sent or accepted
+ * @access  Private/Supplier/Staff
+ */
+router.post('/:id/status', [
+  body('status').isIn(['sent', 'accepted']).withMessage('Status must be sent or accepted'),
+  handleValidationErrors
+], quotationController.updateQuotationStatus);
+
+/**
+ * @route   DELETE /api/quotations/:id
+ * @desc    Delete a quotation that was not converted into a sale
+ * @access  Private/Supplier/Staff (own quotations), Admin (any quotation)
+ */
+router.delete('/:id', quotationController.deleteQuotation);
+
+export default router;
@@ -43,5 +43,19 @@ router.get('/top-products', reportController.getTopProducts);
  */
 router.get('/revenue-trends', reportController.getRevenueTrends);
 
+/**
+ * @route   GET /api/reports/price-overrides
+ * @desc    Get price overrides given at the point of sale
+ * @access  Private/Admin
+ */
+router.get('/price-overrides', reportController.getPriceOverrideReport);
+
+/**
+ * @route   GET /api/reports/price-lists
+ * @desc    Get the discount given through customer price lists
+ * @access  Private/Admin
+ */
+router.get('/price-lists', reportController.getPriceListReport);
+
 export default router;
 
@@ -1,8 +1,11 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, query } from 'express-validator';
 import { protect, authorize } from '../middleware/auth.middleware.js';
 import { handleValidationErrors } from '../utils/validationHandler.js';
 import * as salesController from '../controllers/sales.controller.js';
+import { PAYMENT_METHODS, PRICE_OVERRIDE_REASONS } from '../models/Sale.model.js';
+import { DISCOUNT_TYPES, STATUTORY_DISCOUNT_TYPES } from '../utils/discounts.js';
+import { DELIVERY_TIME_SLOTS } from '../models/Delivery.model.js';
 
 const router = express.Router();
 
@@ -16,6 +19,19 @@ router.use(protect);
  */
 router.get('/', salesController.getSales);
 
+/**
+ * @route   GET /api/sales/void-requests
+ * @desc    Get the void request queue with counts by status
+ * @access  Private/Admin
+ */
+router.get('/void-requests', authorize('admin'), [
+  query('status').optional().isIn(['all', 'pending', 'approved', 'rejected']).withMessage('Status must be all, pending, approved or rejected'),
+  query('requestedBy').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid user ID'),
+  query('startDate').optional({ values: 'falsy' }).isISO8601().withMessage('Start date must be a valid date'),
+  query('endDate').optional({ values: 'falsy' }).isISO8601().withMessage('End date must be a valid date'),
+  handleValidationErrors
+], salesController.getVoidRequests);
+
 /**
  * @route   POST /api/sales
  * @desc    Create new sale (Supplier/Staff)
@@ -24,6 +40,10 @@ router.get('/', salesController.getSales);
 router.post('/', authorize('supplier', 'staff', 'admin'), [
   body('customerName').optional().trim(),
   body('customerEmail').optional().isEmail().withMessage('Please provide a valid email'),
+  body('emailReceipt').optional().isBoolean().withMessage('Email receipt must be true or false').toBoolean(),
+  body('quotation').optional().isMongoId().withMessage('Valid quotation ID is required'),
+  body('customer').optional({ values: 'falsy' }).isMongoId().withMessage('Valid customer ID is required'),
+  body('creditAccount').optional({ values: 'falsy' }).isMongoId().withMessage('Valid credit account ID is required'),
   body('customerPhone')
     .optional()
     .trim()
@@ -32,10 +52,63 @@ router.post('/', authorize('supplier', 'staff', 'admin'), [
   body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
   body('items.*.product').isMongoId().withMessage('Valid product ID is required'),
   body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
-  body('paymentMethod').equals('cash').withMessage('Only cash payments are accepted'),
-  body('cashRendered').isFloat({ min: 0 }).withMessage('Cash rendered is required and must be a positive number'),
+  body('items.*.discount.type').optional().isIn(DISCOUNT_TYPES).withMessage(`Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}`),
+  body('items.*.discount.value').optional().isFloat({ min: 0 }).withMessage('Discount cannot be negative'),
+  body('saleDiscount.type').optional().isIn(DISCOUNT_TYPES).withMessage(`Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}`),
+  body('saleDiscount.value').optional().isFloat({ min: 0 }).withMessage('Discount cannot be negative'),
+  body('statutoryDiscount.type').optional().isIn(STATUTORY_DISCOUNT_TYPES).withMessage('Statutory discount must be senior_citizen or pwd'),
+  body('statutoryDiscount.idNumber').optional().trim(),
+  body('statutoryDiscount.holderName').optional().trim(),
+  body('discountApprovalCode').optional().trim(),
+  body('clientReference')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9-]{8,64}$/)
+    .withMessage('Client reference must be 8 to 64 letters, digits or dashes'),
+  body('offlineSoldAt').optional().isISO8601().withMessage('Offline sale time must be a valid date'),
+  body('items.*.price').optional().isFloat({ min: 0 }).withMessage('Price cannot be negative'),
+  body('honourOfflinePrices').optional().isBoolean().withMessage('Honour offline prices must be true or false').toBoolean(),
+  body('priceApprovalCode').optional().trim(),
+  body('items.*.overridePrice').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Override price cannot be negative'),
+  body('items.*.overrideReason').optional({ values: 'null' }).isIn(PRICE_OVERRIDE_REASONS).withMessage(`Override reason must be one of: ${PRICE_OVERRIDE_REASONS.join(', ')}`),
+  body('items.*.overrideNote').optional({ values: 'null' }).trim()
+    .isLength({ max: 200 }).withMessage('Override note cannot exceed 200 characters'),
+  body('approver.username').optional().trim(),
+  body('approver.password').optional().isString().withMessage('Approver password must be text'),
+  body('registerId')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isAlphanumeric().withMessage('Register ID can only contain letters and digits')
+    .isLength({ max: 10 }).withMessage('Register ID cannot exceed 10 characters'),
+  body('payments').optional().isArray({ min: 1 }).withMessage('At least one payment is required'),
+  body('payments.*.method').isIn(PAYMENT_METHODS).withMessage(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`),
+  body('payments.*.amount').isFloat({ gt: 0 }).withMessage('Payment amount must be greater than 0'),
+  body('payments.*.referenceNumber').optional().trim(),
+  body('paymentMethod').optional().isIn([...PAYMENT_METHODS, 'split']).withMessage('Invalid payment method'),
+  body('cashRendered').optional().isFloat({ min: 0 }).withMessage('Cash rendered must be a positive number'),
   body('discount').optional().isFloat({ min: 0 }).withMessage('Discount cannot be negative'),
   body('tax').optional().isFloat({ min: 0 }).withMessage('Tax cannot be negative'),
+  // Delivery order created with the sale
+  body('delivery.address')
+    .if(body('delivery').exists({ values: 'null' }))
+    .trim()
+    .notEmpty().withMessage('Delivery address is required')
+    .isLength({ max: 500 }).withMessage('Address cannot exceed 500 characters'),
+  body('delivery.scheduledDate')
+    .if(body('delivery').exists({ values: 'null' }))
+    .isDate().withMessage('Delivery date must be a valid date (YYYY-MM-DD)'),
+  body('delivery.timeSlot').optional({ values: 'falsy' }).isIn(DELIVERY_TIME_SLOTS).withMessage(`Time slot must be one of: ${DELIVERY_TIME_SLOTS.join(', ')}`),
+  body('delivery.deliveryFee').optional({ values: 'falsy' }).isFloat({ min: 0 }).withMessage('Delivery fee cannot be negative'),
+  body('delivery.contactName').optional().trim(),
+  body('delivery.contactPhone')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 11 }).withMessage('Phone number must be maximum 11 digits')
+    .matches(/^\d+$/).withMessage('Phone number must contain only digits'),
+  body('delivery.vehicle').optional().trim(),
+  body('delivery.driver').optional().trim(),
+  body('delivery.notes').optional().trim()
+    .isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
   handleValidationErrors
 ], salesController.createSale);
 
@@ -52,6 +125,36 @@ router.post('/:id/void-request', authorize('staff', 'admin'), [
   handleValidationErrors
 ], salesController.requestVoidSale);
 
+/**
+ * @route   PATCH /api/sales/:id/void-request/reject
+ * @desc    Reject a pending void request (Admin only)
+ * @access  Private/Admin
+ */
+router.patch('/:id/void-request/reject', authorize('admin'), [
+  body('comment')
+    .trim()
+    .notEmpty()
+    .withMessage('A comment explaining the rejection is required')
+    .isLength({ max: 500 })
+    .withMessage('Comment cannot exceed 500 characters'),
+  handleValidationErrors
+], salesController.rejectVoidRequest);
+
+/**
+ * @route   POST /api/sales/:id/void-request/comments
+ * @desc    Comment on a void request
+ * @access  Private/Staff/Admin
+ */
+router.post('/:id/void-request/comments', authorize('staff', 'admin'), [
+  body('comment')
+    .trim()
+    .notEmpty()
+    .withMessage('Comment is required')
+    .isLength({ max: 500 })
+    .withMessage('Comment cannot exceed 500 characters'),
+  handleValidationErrors
+], salesController.commentOnVoidRequest);
+
 /**
  * @route   PATCH /api/sales/:id/void
  * @desc    Void a sale (Admin only - approves void request)
@@ -62,9 +165,66 @@ router.patch('/:id/void', authorize('admin'), [
     .trim()
     .notEmpty()
     .withMessage('SuperAdmin code is required'),
+  body('comment').optional().trim()
+    .isLength({ max: 500 }).withMessage('Comment cannot exceed 500 characters'),
   handleValidationErrors
 ], salesController.voidSale);
 
+/**
+ * @route   POST /api/sales/:id/void-lines
+ * @desc    Void some lines or quantities of a sale (admin approval required)
+ * @access  Private/Staff/Admin
+ */
+router.post('/:id/void-lines', authorize('staff', 'admin'), [
+  body('lines').isArray({ min: 1 }).withMessage('At least one line to void is required'),
+  body('lines.*.product').isMongoId().withMessage('Valid product ID is required'),
+  body('lines.*.quantity').isInt({ min: 1 }).withMessage('Void quantity must be at least 1'),
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reason for voiding is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  body('approvalCode').optional().trim(),
+  body('approver.username').optional().trim(),
+  body('approver.password').optional().isString().withMessage('Approver password must be text'),
+  handleValidationErrors
+], salesController.voidSaleLines);
+
+/**
+ * @route   POST /api/sales/:id/returns
+ * @desc    Process a partial return with optional replacement items
+ * @access  Private/Staff/Admin
+ */
+router.post('/:id/returns', authorize('staff', 'admin'), [
+  body('returnItems').isArray({ min: 1 }).withMessage('At least one item to return is required'),
+  body('returnItems.*.product').isMongoId().withMessage('Valid product ID is required'),
+  body('returnItems.*.quantity').isInt({ min: 1 }).withMessage('Return quantity must be at least 1'),
+  body('replacementItems').optional().isArray().withMessage('Replacement items must be an array'),
+  body('replacementItems.*.product').isMongoId().withMessage('Valid product ID is required'),
+  body('replacementItems.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reason for return is required'),
+  body('cashRendered').optional().isFloat({ min: 0 }).withMessage('Cash rendered must be a positive number'),
+  handleValidationErrors
+], salesController.createSaleReturn);
+
+/**
+ * @route   GET /api/sales/:id/returns
+ * @desc    Get returns recorded against a sale
+ * @access  Private
+ */
+router.get('/:id/returns', salesController.getSaleReturns);
+
+/**
+ * @route   GET /api/sales/returns/:returnId/pdf
+ * @desc    Export return slip as PDF
+ * @access  Private
+ */
+router.get('/returns/:returnId/pdf', salesController.exportReturnPDF);
+
 /**
  * @route   GET /api/sales/:id
  * @desc    Get single sale
@@ -74,10 +234,40 @@ router.get('/:id', salesController.getSale);
 
 /**
  * @route   GET /api/sales/:id/pdf
- * @desc    Export sale receipt as PDF
+ * @desc    Export sale receipt as PDF (preview, not counted as a print)
  * @access  Private
  */
 router.get('/:id/pdf', salesController.exportSalePDF);
 
+/**
+ * @route   GET /api/sales/:id/receipt
+ * @desc    Get sale receipt as plain text or ESC/POS bytes for the configured paper width (preview, not counted as a print)
+ * @access  Private
+ */
+router.get('/:id/receipt', [
+  query('format')
+    .optional()
+    .isIn(['text', 'escpos'])
+    .withMessage('Format must be text or escpos'),
+  handleValidationErrors
+], salesController.getSaleReceipt);
+
+/**
+ * @route   POST /api/sales/:id/print
+ * @desc    Print sale receipt on the configured receipt printer
+ * @access  Private
+ */
+router.post('/:id/print', salesController.printSaleReceipt);
+
+/**
+ * @route   POST /api/sales/:id/email
+ * @desc    Email sale receipt to the customer or another address
+ * @access  Private/Supplier/Staff
+ */
+router.post('/:id/email', authorize('supplier', 'staff', 'admin'), [
+  body('email').optional({ values: 'falsy' }).trim().isEmail().withMessage('Please provide a valid email'),
+  handleValidationErrors
+], salesController.sendReceiptEmail);
+
 export default router;
 
@@ -2,6 +2,9 @@ import express from 'express';
 import { body } from 'express-validator';
 import { protect, authorize } from '../middleware/auth.middleware.js';
 import { handleValidationErrors } from '../utils/validationHandler.js';
+import { NUMBERING_SERIES, NUMBERING_RESETS } from '../utils/sequence.js';
+import { RECEIPT_DOCUMENT_TYPES } from '../utils/receipting.js';
+import { RECEIPT_PAPER_WIDTHS } from '../utils/receiptText.js';
 import * as settingsController from '../controllers/settings.controller.js';
 
 const router = express.Router();
@@ -59,6 +62,267 @@ router.post('/password-format', authorize('admin'), [
   handleValidationErrors
 ], settingsController.setPasswordFormat);
 
+/**
+ * @route   GET /api/settings/discount-threshold
+ * @desc    Get discount approval threshold
+ * @access  Private
+ */
+router.get('/discount-threshold', settingsController.getDiscountThreshold);
+
+/**
+ * @route   POST /api/settings/discount-threshold
+ * @desc    Set discount approval threshold
+ * @access  Private/Admin
+ */
+router.post('/discount-threshold', authorize('admin'), [
+  body('threshold')
+    .notEmpty()
+    .withMessage('Discount approval threshold is required')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Discount approval threshold must be between 0 and 100'),
+  handleValidationErrors
+], settingsController.setDiscountThreshold);
+
+/**
+ * @route   GET /api/settings/tax
+ * @desc    Get tax settings
+ * @access  Private
+ */
+router.get('/tax', settingsController.getTaxSettings);
+
+/**
+ * @route   POST /api/settings/tax
+ * @desc    Update tax settings (VAT rate, VAT-inclusive pricing, VAT registration)
+ * @access  Private/Admin
+ */
+router.post('/tax', authorize('admin'), [
+  body('vatRate')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('VAT rate must be between 0 and 100'),
+  body('pricesIncludeVat')
+    .optional()
+    .isBoolean()
+    .withMessage('Prices include VAT must be true or false'),
+  body('vatRegistered')
+    .optional()
+    .isBoolean()
+    .withMessage('VAT registered must be true or false'),
+  handleValidationErrors
+], settingsController.setTaxSettings);
+
+/**
+ * @route   GET /api/settings/sale-numbering
+ * @desc    Get sale numbering settings
+ * @access  Private
+ */
+router.get('/sale-numbering', settingsController.getSaleNumbering);
+
+/**
+ * @route   POST /api/settings/sale-numbering
+ * @desc    Update sale numbering settings (prefix, series, reset, padding, branch code)
+ * @access  Private/Admin
+ */
+router.post('/sale-numbering', authorize('admin'), [
+  body('prefix')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Sale number prefix cannot be empty')
+    .isAlphanumeric()
+    .withMessage('Sale number prefix can only contain letters and digits')
+    .isLength({ max: 10 })
+    .withMessage('Sale number prefix cannot exceed 10 characters'),
+  body('series')
+    .optional()
+    .isIn(NUMBERING_SERIES)
+    .withMessage(`Series must be one of: ${NUMBERING_SERIES.join(', ')}`),
+  body('reset')
+    .optional()
+    .isIn(NUMBERING_RESETS)
+    .withMessage(`Reset must be one of: ${NUMBERING_RESETS.join(', ')}`),
+  body('padding')
+    .optional()
+    .isInt({ min: 3, max: 8 })
+    .withMessage('Sequence padding must be between 3 and 8 digits'),
+  body('branchCode')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isAlphanumeric()
+    .withMessage('Branch code can only contain letters and digits')
+    .isLength({ max: 10 })
+    .withMessage('Branch code cannot exceed 10 characters'),
+  handleValidationErrors
+], settingsController.setSaleNumbering);
+
+/**
+ * @route   GET /api/settings/sequences
+ * @desc    Get current document number sequences
+ * @access  Private/Admin
+ */
+router.get('/sequences', authorize('admin'), settingsController.getSequences);
+
+/**
+ * @route   GET /api/settings/receipting
+ * @desc    Get BIR receipting settings with the accumulated grand total and counters
+ * @access  Private/Admin
+ */
+router.get('/receipting', authorize('admin'), settingsController.getReceipting);
+
+/**
+ * @route   POST /api/settings/receipting
+ * @desc    Update BIR receipting settings (registration details and receipt series)
+ * @access  Private/Admin
+ */
+router.post('/receipting', authorize('admin'), [
+  body('birMode')
+    .optional()
+    .isBoolean()
+    .withMessage('BIR mode must be true or false')
+    .toBoolean(),
+  body('documentType')
+    .optional()
+    .isIn(RECEIPT_DOCUMENT_TYPES)
+    .withMessage(`Document type must be one of: ${RECEIPT_DOCUMENT_TYPES.join(', ')}`),
+  body(['registeredName', 'tradeName'])
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Names cannot exceed 100 characters'),
+  body('address')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Address cannot exceed 200 characters'),
+  body('tin')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^\d{3}-?\d{3}-?\d{3}(-?\d{3,5})?$/)
+    .withMessage('TIN must be in the format 000-000-000-000'),
+  body(['machineId', 'serialNumber', 'permitNumber', 'accreditationNumber'])
+    .optional()
+    .trim()
+    .isLength({ max: 30 })
+    .withMessage('Registration numbers cannot exceed 30 characters'),
+  body('seriesStart')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Series start must be a whole number of at least 1'),
+  body('seriesEnd')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1 })
+    .withMessage('Series end must be a whole number of at least 1'),
+  handleValidationErrors
+], settingsController.setReceipting);
+
+/**
+ * @route   GET /api/settings/receipt-printer
+ * @desc    Get receipt printer settings
+ * @access  Private
+ */
+router.get('/receipt-printer', settingsController.getReceiptPrinter);
+
+/**
+ * @route   POST /api/settings/receipt-printer
+ * @desc    Update receipt printer settings (paper width and network printer address)
+ * @access  Private/Admin
+ */
+router.post('/receipt-printer', authorize('admin'), [
+  body('paperWidth')
+    .optional()
+    .isIn(RECEIPT_PAPER_WIDTHS)
+    .withMessage(`Paper width must be one of: ${RECEIPT_PAPER_WIDTHS.join(', ')}`),
+  body('host')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^[A-Za-z0-9.-]+$/)
+    .withMessage('Printer address must be a host name or IP address'),
+  body('port')
+    .optional()
+    .isInt({ min: 1, max: 65535 })
+    .withMessage('Printer port must be between 1 and 65535'),
+  handleValidationErrors
+], settingsController.setReceiptPrinter);
+
+/**
+ * @route   POST /api/settings/receipt-printer/test
+ * @desc    Send a test page to the receipt printer
+ * @access  Private/Admin
+ */
+router.post('/receipt-printer/test', authorize('admin'), settingsController.testReceiptPrinter);
+
+/**
+ * @route   GET /api/settings/loyalty
+ * @desc    Get loyalty program settings
+ * @access  Private
+ */
+router.get('/loyalty', settingsController.getLoyaltySettings);
+
+/**
+ * @route   POST /api/settings/loyalty
+ * @desc    Update loyalty program settings (earning rates and point value)
+ * @access  Private/Admin
+ */
+router.post('/loyalty', authorize('admin'), [
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Enabled must be true or false')
+    .toBoolean(),
+  body('spendPerPoint')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Spend per point must be at least 1'),
+  body('pointValue')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Point value must be greater than 0'),
+  body('categoryRules')
+    .optional()
+    .isArray()
+    .withMessage('Category rules must be a list'),
+  body('categoryRules.*.category')
+    .trim()
+    .notEmpty()
+    .withMessage('Category is required'),
+  body('categoryRules.*.spendPerPoint')
+    .isFloat({ min: 0 })
+    .withMessage('Category spend per point cannot be negative'),
+  handleValidationErrors
+], settingsController.setLoyaltySettings);
+
+/**
+ * @route   GET /api/settings/layaway
+ * @desc    Get layaway terms
+ * @access  Private
+ */
+router.get('/layaway', settingsController.getLayawaySettings);
+
+/**
+ * @route   POST /api/settings/layaway
+ * @desc    Update layaway terms (minimum deposit, term and forfeiture rules)
+ * @access  Private/Admin
+ */
+router.post('/layaway', authorize('admin'), [
+  body('minDepositPercent')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Minimum deposit must be between 0 and 100%'),
+  body('termDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Layaway term must be between 1 and 365 days'),
+  body('forfeitPercent')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Forfeited share must be between 0 and 100%'),
+  body('forfeitFee')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Cancellation fee cannot be negative'),
+  handleValidationErrors
+], settingsController.setLayawaySettings);
+
 /**
  * @route   DELETE /api/settings/superadmin-code
  * @desc    Reset SuperAdmin code (requires admin password)
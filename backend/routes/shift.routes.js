@@ -0,0 +1,87 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import { handleValidationErrors } from '../utils/validationHandler.js';
+import { CASH_MOVEMENT_TYPES } from '../models/Shift.model.js';
+import * as shiftController from '../controllers/shift.controller.js';
+
+const router = express.Router();
+
+// All routes require authentication and are available to the roles that can ring up sales
+router.use(protect);
+router.use(authorize('supplier', 'staff', 'admin'));
+
+/**
+ * @route   GET /api/shifts
+ * @desc    Get shifts (own shifts; all shifts for admins)
+ * @access  Private/Supplier/Staff
+ */
+router.get('/', shiftController.getShifts);
+
+/**
+ * @route   GET /api/shifts/current
+ * @desc    Get the current user's open shift
+ * @access  Private/Supplier/Staff
+ */
+router.get('/current', shiftController.getCurrentShift);
+
+/**
+ * @route   GET /api/shifts/over-short
+ * @desc    Get over/short totals per cashier
+ * @access  Private/Admin
+ */
+router.get('/over-short', authorize('admin'), shiftController.getOverShortSummary);
+
+/**
+ * @route   POST /api/shifts/open
+ * @desc    Open a shift with an opening float
+ * @access  Private/Supplier/Staff
+ */
+router.post('/open', [
+  body('openingFloat')
+    .notEmpty().withMessage('Opening float is required')
+    .isFloat({ min: 0 }).withMessage('Opening float cannot be negative'),
+  body('registerId').optional({ values: 'falsy' }).trim(),
+  handleValidationErrors
+], shiftController.openShift);
+
+/**
+ * @route   POST /api/shifts/:id/cash-movements
+ * @desc    Record cash in or cash out (petty cash, pickups)
+ * @access  Private/Supplier/Staff
+ */
+router.post('/:id/cash-movements', [
+  body('type').isIn(CASH_MOVEMENT_TYPES).withMessage(`Type must be one of: ${CASH_MOVEMENT_TYPES.join(', ')}`),
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+  body('reason').trim().notEmpty().withMessage('Reason is required'),
+  handleValidationErrors
+], shiftController.addCashMovement);
+
+/**
+ * @route   GET /api/shifts/:id/x-reading
+ * @desc    Get the X-reading of a shift
+ * @access  Private/Supplier/Staff
+ */
+router.get('/:id/x-reading', shiftController.getXReading);
+
+/**
+ * @route   POST /api/shifts/:id/close
+ * @desc    Close a shift with a denomination count (takes the Z-reading)
+ * @access  Private/Supplier/Staff
+ */
+router.post('/:id/close', [
+  body('denominations').isArray().withMessage('Denomination count is required'),
+  body('denominations.*.denomination').isFloat({ gt: 0 }).withMessage('Denomination must be greater than 0'),
+  body('denominations.*.count').isInt({ min: 0 }).withMessage('Count cannot be negative'),
+  body('notes').optional().trim(),
+  handleValidationErrors
+], shiftController.closeShift);
+
+/**
+ * @route   GET /api/shifts/:id/z-reading
+ * @desc    Get the Z-reading of a closed shift
+ * @access  Private/Supplier/Staff
+ */
+router.get('/:id/z-reading', shiftController.getZReading);
+
+export default router;
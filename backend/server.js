@@ -15,6 +15,16 @@ import salesRoutes from './routes/sales.routes.js';
 import inventoryRoutes from './routes/inventory.routes.js';
 import reportRoutes from './routes/report.routes.js';
 import settingsRoutes from './routes/settings.routes.js';
+import heldCartRoutes from './routes/heldCart.routes.js';
+import shiftRoutes from './routes/shift.routes.js';
+import journalRoutes from './routes/journal.routes.js';
+import quotationRoutes from './routes/quotation.routes.js';
+import creditAccountRoutes from './routes/creditAccount.routes.js';
+import customerRoutes from './routes/customer.routes.js';
+import notificationRoutes from './routes/notification.routes.js';
+import deliveryRoutes from './routes/delivery.routes.js';
+import layawayRoutes from './routes/layaway.routes.js';
+import priceListRoutes from './routes/priceList.routes.js';
 
 dotenv.config();
 
@@ -53,6 +63,16 @@ app.use('/api/sales', salesRoutes);
 app.use('/api/inventory', inventoryRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/settings', settingsRoutes);
+app.use('/api/held-carts', heldCartRoutes);
+app.use('/api/shifts', shiftRoutes);
+app.use('/api/journal', journalRoutes);
+app.use('/api/quotations', quotationRoutes);
+app.use('/api/credit-accounts', creditAccountRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/deliveries', deliveryRoutes);
+app.use('/api/layaways', layawayRoutes);
+app.use('/api/price-lists', priceListRoutes);
 
 // Health check - optimized for Render keep-alive (no DB query)
 app.get('/api/health', (req, res) => {
@@ -83,7 +103,10 @@ app.get('/api/health/detailed', async (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error(err.stack);
+  // Expected client errors (e.g. stock conflicts) carry a 4xx status and are not logged as failures
+  if (!err.status || err.status >= 500) {
+    console.error(err.stack);
+  }
   res.status(err.status || 500).json({
     success: false,
     message: err.message || 'Internal server error',
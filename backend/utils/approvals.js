@@ -0,0 +1,50 @@
+/**
+ * Admin approval of checkout actions a cashier may not do alone (large discounts, price overrides)
+ */
+import User from '../models/User.model.js';
+
+export const APPROVAL_METHODS = ['admin', 'admin_credentials', 'superadmin_code'];
+
+/**
+ * Work out who authorised an action that needs an admin
+ * An admin ringing up the sale approves it themselves; otherwise an admin signs in on the
+ * cashier's screen or the SuperAdmin code is entered
+ * @param {Object} params
+ * @param {Object} params.user - User making the request
+ * @param {string} [params.code] - SuperAdmin code
+ * @param {Object} [params.credentials] - { username, password } of an admin
+ * @param {Object} params.settings - Settings document
+ * @param {string} params.missingMessage - Message when no approval was given
+ * @returns {Promise<Object>} { approvedBy, method } or { status, message } when refused
+ */
+export const resolveAdminApproval = async ({ user, code, credentials, settings, missingMessage }) => {
+  if (user.role === 'admin') {
+    return { approvedBy: user._id, method: 'admin' };
+  }
+
+  if (credentials?.username && credentials?.password) {
+    const admin = await User.findOne({ username: credentials.username, role: 'admin', isActive: true });
+    // Wrong passwords count towards the admin's login lockout like a failed sign-in
+    if (!admin || admin.isAccountLocked()) {
+      return { status: 401, message: 'Invalid admin credentials' };
+    }
+    if (!await admin.matchPassword(credentials.password)) {
+      await admin.incrementFailedAttempts();
+      return { status: 401, message: 'Invalid admin credentials' };
+    }
+    if (admin.failedLoginAttempts > 0) {
+      await admin.resetFailedAttempts();
+    }
+    return { approvedBy: admin._id, method: 'admin_credentials' };
+  }
+
+  if (code) {
+    const isValidCode = await settings.verifySuperAdminCode(code);
+    if (!isValidCode) {
+      return { status: 401, message: 'Invalid SuperAdmin code' };
+    }
+    return { approvedBy: undefined, method: 'superadmin_code' };
+  }
+
+  return { status: 403, message: missingMessage };
+};
@@ -0,0 +1,99 @@
+import Product, { BARCODE_TYPES } from '../models/Product.model.js';
+import { nextSequence, recordIssuedNumber } from './sequence.js';
+
+/**
+ * Product barcodes: symbology checks and internal barcodes for unlabelled items
+ */
+
+// Internal barcodes are EAN-13 in the 20-29 prefix range GS1 keeps for in-store use
+const INTERNAL_PREFIX = '20';
+
+// Code 128 labels longer than this no longer fit a shelf label
+const CODE128_MAX_LENGTH = 48;
+
+/**
+ * Compute the GS1 check digit of an EAN-13 or UPC-A body
+ * @param {string} digits - Barcode digits without the check digit
+ * @returns {number} Check digit
+ */
+export const gtinCheckDigit = (digits) => {
+  // Weights alternate 3, 1, 3... starting from the digit next to the check digit
+  const sum = digits.split('').reverse().reduce(
+    (total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1),
+    0
+  );
+  return (10 - (sum % 10)) % 10;
+};
+
+const isValidGtin = (code, length) => new RegExp(`^\\d{${length}}$`).test(code)
+  && gtinCheckDigit(code.slice(0, -1)) === Number(code.slice(-1));
+
+/**
+ * Check a barcode against the rules of its symbology
+ * @param {Object} barcode - { code, type }
+ * @returns {string|null} Error message, or null when the barcode is valid
+ */
+export const validateBarcode = ({ code, type }) => {
+  if (!BARCODE_TYPES.includes(type)) {
+    return `Barcode type must be one of: ${BARCODE_TYPES.join(', ')}`;
+  }
+  if (!code) {
+    return 'Barcode is required';
+  }
+
+  switch (type) {
+    case 'ean13':
+      return isValidGtin(code, 13) ? null : `${code} is not a valid EAN-13 barcode`;
+    case 'upc':
+      return isValidGtin(code, 12) ? null : `${code} is not a valid UPC-A barcode`;
+    default:
+      // Code 128 and internal codes take printable ASCII
+      return /^[\x20-\x7E]+$/.test(code) && code.length <= CODE128_MAX_LENGTH
+        ? null
+        : `${code} must be up to ${CODE128_MAX_LENGTH} printable characters`;
+  }
+};
+
+/**
+ * Tidy barcodes sent from the product form
+ * Multipart requests carry the list as a JSON string
+ * @param {Array|string} value - Barcodes from the request body
+ * @returns {Array} [{ code, type }] with blank codes dropped
+ */
+export const normalizeBarcodes = (value) => {
+  let barcodes = value;
+  if (typeof barcodes === 'string') {
+    try {
+      barcodes = JSON.parse(barcodes || '[]');
+    } catch {
+      return value;
+    }
+  }
+  if (!Array.isArray(barcodes)) return barcodes;
+
+  return barcodes
+    .map(barcode => ({
+      code: String(barcode?.code ?? '').trim(),
+      type: barcode?.type || 'code128'
+    }))
+    .filter(barcode => barcode.code);
+};
+
+/**
+ * Generate an internal EAN-13 barcode not yet used by any product
+ * Format: 20 + 10-digit sequence + check digit (e.g. 2000000000015)
+ * @returns {Promise<string>} Barcode
+ */
+export const generateInternalBarcode = async () => {
+  // Codes typed in by hand can already sit in the range, so skip any that are taken
+  for (;;) {
+    const counter = await nextSequence({ series: 'internal_barcode' });
+    const body = INTERNAL_PREFIX + String(counter.sequence).padStart(10, '0');
+    const code = body + gtinCheckDigit(body);
+
+    if (!await Product.exists({ 'barcodes.code': code })) {
+      await recordIssuedNumber(counter, code);
+      return code;
+    }
+  }
+};
@@ -0,0 +1,163 @@
+/**
+ * Discount helpers shared by sale processing
+ */
+import { roundCurrency } from './tenders.js';
+
+export const DISCOUNT_TYPES = ['percent', 'fixed'];
+
+export const STATUTORY_DISCOUNT_TYPES = ['senior_citizen', 'pwd'];
+
+// Senior Citizen (RA 9994) and PWD (RA 10754) purchases are VAT-exempt and get 20% off
+export const STATUTORY_DISCOUNT_RATE = 0.2;
+
+const STATUTORY_LABELS = {
+  senior_citizen: 'Senior Citizen',
+  pwd: 'PWD'
+};
+
+/**
+ * Format statutory discount code to a human-readable label
+ * @param {string} type - Statutory discount type
+ * @returns {string} Statutory discount label
+ */
+export const formatStatutoryDiscount = (type) => STATUTORY_LABELS[type] || type;
+
+/**
+ * Check whether a percent/fixed discount was actually entered
+ * @param {Object} [discount] - { type, value }
+ * @returns {boolean}
+ */
+const hasValue = (discount) => !!discount && parseFloat(discount.value) > 0;
+
+/**
+ * Resolve the peso amount of a percent or fixed discount
+ * @param {Object} discount - { type, value }
+ * @param {number} base - Amount the discount applies to
+ * @param {string} label - Used in error messages
+ * @returns {Object} { amount } or { error }
+ */
+const resolveDiscount = (discount, base, label) => {
+  const value = parseFloat(discount.value);
+
+  if (!DISCOUNT_TYPES.includes(discount.type)) {
+    return { error: `${label} discount type must be one of: ${DISCOUNT_TYPES.join(', ')}` };
+  }
+
+  if (discount.type === 'percent' && value > 100) {
+    return { error: `${label} discount cannot exceed 100%` };
+  }
+
+  const amount = roundCurrency(discount.type === 'percent' ? base * (value / 100) : value);
+  if (amount > base) {
+    return { error: `${label} discount (${amount}) cannot exceed the amount it applies to (${roundCurrency(base)})` };
+  }
+
+  return { amount };
+};
+
+/**
+ * Apply line, whole-sale and statutory (Senior Citizen / PWD) discounts to priced sale items
+ * Sale-level and statutory discounts are spread across the lines so that returns refund what was actually paid
+ * @param {Object} params
+ * @param {Array} params.items - Priced items: [{ product, quantity, price, priceTier?, priceList?, priceOverride?, discount?: { type, value } }]
+ * @param {Object} [params.saleDiscount] - Whole-sale discount: { type, value }
+ * @param {Object} [params.statutoryDiscount] - { type, idNumber, holderName }
+ * @returns {Object} { error } or the discounted items and totals
+ */
+export const applyDiscounts = ({ items, saleDiscount, statutoryDiscount }) => {
+  const isStatutory = !!statutoryDiscount?.type;
+  const hasLineDiscount = items.some(item => hasValue(item.discount));
+  const hasSaleDiscount = hasValue(saleDiscount);
+
+  if (isStatutory) {
+    if (!STATUTORY_DISCOUNT_TYPES.includes(statutoryDiscount.type)) {
+      return { error: `Statutory discount type must be one of: ${STATUTORY_DISCOUNT_TYPES.join(', ')}` };
+    }
+    if (!statutoryDiscount.idNumber?.toString().trim()) {
+      return { error: `${formatStatutoryDiscount(statutoryDiscount.type)} ID number is required` };
+    }
+    // The statutory discount is not cumulative with other promotional discounts
+    if (hasLineDiscount || hasSaleDiscount) {
+      return { error: 'Senior Citizen/PWD discount cannot be combined with other discounts' };
+    }
+  }
+
+  const lines = [];
+  for (const item of items) {
+    const subtotal = roundCurrency(item.price * item.quantity);
+    let lineDiscount = 0;
+
+    if (hasValue(item.discount)) {
+      const resolved = resolveDiscount(item.discount, subtotal, 'Line');
+      if (resolved.error) return resolved;
+      lineDiscount = resolved.amount;
+    }
+
+    lines.push({ ...item, subtotal, lineDiscount });
+  }
+
+  const subtotal = roundCurrency(lines.reduce((sum, line) => sum + line.subtotal, 0));
+  const lineDiscountTotal = roundCurrency(lines.reduce((sum, line) => sum + line.lineDiscount, 0));
+  const afterLineDiscounts = roundCurrency(subtotal - lineDiscountTotal);
+
+  let saleDiscountAmount = 0;
+  if (hasSaleDiscount) {
+    const resolved = resolveDiscount(saleDiscount, afterLineDiscounts, 'Sale');
+    if (resolved.error) return resolved;
+    saleDiscountAmount = resolved.amount;
+  }
+
+  const statutoryAmount = isStatutory ? roundCurrency(subtotal * STATUTORY_DISCOUNT_RATE) : 0;
+
+  // Allocate order-level discounts by each line's share; the last line absorbs rounding
+  const orderLevelDiscount = roundCurrency(saleDiscountAmount + statutoryAmount);
+  let allocated = 0;
+  const discountedItems = lines.map((line, index) => {
+    const lineNet = line.subtotal - line.lineDiscount;
+    let share = 0;
+    if (orderLevelDiscount > 0 && afterLineDiscounts > 0) {
+      share = index === lines.length - 1
+        ? roundCurrency(orderLevelDiscount - allocated)
+        : roundCurrency(orderLevelDiscount * (lineNet / afterLineDiscounts));
+      allocated = roundCurrency(allocated + share);
+    }
+
+    return {
+      product: line.product,
+      quantity: line.quantity,
+      price: line.price,
+      priceTier: line.priceTier,
+      priceList: line.priceList,
+      priceOverride: line.priceOverride,
+      subtotal: line.subtotal,
+      discountType: hasValue(line.discount) ? line.discount.type : undefined,
+      discountValue: hasValue(line.discount) ? parseFloat(line.discount.value) : undefined,
+      discountAmount: roundCurrency(line.lineDiscount + share)
+    };
+  });
+
+  const discretionaryDiscount = roundCurrency(lineDiscountTotal + saleDiscountAmount);
+  const discount = roundCurrency(discretionaryDiscount + statutoryAmount);
+
+  return {
+    items: discountedItems,
+    subtotal,
+    discount,
+    discretionaryDiscount,
+    // Share of the gross amount given away at the cashier's discretion, used for approval checks
+    discretionaryPercent: subtotal > 0 ? (discretionaryDiscount / subtotal) * 100 : 0,
+    saleDiscount: hasSaleDiscount
+      ? { type: saleDiscount.type, value: parseFloat(saleDiscount.value), amount: saleDiscountAmount }
+      : undefined,
+    statutoryDiscount: isStatutory
+      ? {
+          type: statutoryDiscount.type,
+          idNumber: statutoryDiscount.idNumber.toString().trim(),
+          holderName: statutoryDiscount.holderName?.toString().trim() || undefined,
+          amount: statutoryAmount
+        }
+      : undefined,
+    netAmount: roundCurrency(subtotal - discount),
+    vatExempt: isStatutory
+  };
+};
@@ -0,0 +1,53 @@
+/**
+ * ESC/POS encoding for thermal receipt printers
+ */
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+const COMMANDS = {
+  initialize: [ESC, 0x40],
+  boldOn: [ESC, 0x45, 0x01],
+  boldOff: [ESC, 0x45, 0x00],
+  // Double height only, so a line keeps the same number of columns
+  doubleHeightOn: [GS, 0x21, 0x01],
+  normalSize: [GS, 0x21, 0x00],
+  // Feed the paper past the cutter, then partial cut
+  feedAndCut: [GS, 0x56, 0x42, 0x03]
+};
+
+/**
+ * Reduce text to printable ASCII; printers differ in the code pages they support
+ * @param {string} text
+ * @returns {string}
+ */
+const toPrinterText = (text) => text
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\x20-\x7e]/g, '?');
+
+/**
+ * Encode receipt lines as an ESC/POS byte stream
+ * @param {Array<Object>} lines - Lines as { text, style } from buildReceiptLines
+ * @param {Object} [options]
+ * @param {boolean} [options.cut=true] - Cut the paper after the receipt
+ * @returns {Buffer} Bytes to send to the printer
+ */
+export const encodeEscPos = (lines, { cut = true } = {}) => {
+  const bytes = [...COMMANDS.initialize];
+
+  for (const { text, style } of lines) {
+    if (style === 'title') bytes.push(...COMMANDS.boldOn, ...COMMANDS.doubleHeightOn);
+    if (style === 'emphasis') bytes.push(...COMMANDS.boldOn);
+
+    bytes.push(...Buffer.from(toPrinterText(text), 'ascii'), LF);
+
+    if (style === 'title') bytes.push(...COMMANDS.normalSize, ...COMMANDS.boldOff);
+    if (style === 'emphasis') bytes.push(...COMMANDS.boldOff);
+  }
+
+  if (cut) bytes.push(...COMMANDS.feedAndCut);
+
+  return Buffer.from(bytes);
+};
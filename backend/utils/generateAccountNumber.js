@@ -0,0 +1,35 @@
+import {
+  getSequencePeriod,
+  formatDocumentNumber,
+  nextSequence,
+  recordIssuedNumber
+} from './sequence.js';
+
+/**
+ * Generate unique credit account number from the credit account counter
+ * Format: CA-XXXXX (e.g., CA-00001)
+ */
+export const generateAccountNumber = async () => {
+  const format = { prefix: 'CA', scope: null, period: null, padding: 5 };
+
+  const counter = await nextSequence({ series: 'credit_account' });
+
+  const accountNumber = formatDocumentNumber({ ...format, sequence: counter.sequence });
+  await recordIssuedNumber(counter, accountNumber);
+  return accountNumber;
+};
+
+/**
+ * Generate unique receivable payment number from the payment counter
+ * Format: PAY-YYYYMMDD-XXXX (e.g., PAY-20241215-0001)
+ * @param {ClientSession} [session] - Transaction session the payment is being recorded in
+ */
+export const generatePaymentNumber = async (session = null) => {
+  const format = { prefix: 'PAY', scope: null, period: getSequencePeriod('daily'), padding: 4 };
+
+  const counter = await nextSequence({ series: 'receivable_payment', period: format.period, session });
+
+  const paymentNumber = formatDocumentNumber({ ...format, sequence: counter.sequence });
+  await recordIssuedNumber(counter, paymentNumber, session);
+  return paymentNumber;
+};
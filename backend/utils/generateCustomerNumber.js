@@ -0,0 +1,19 @@
+import {
+  formatDocumentNumber,
+  nextSequence,
+  recordIssuedNumber
+} from './sequence.js';
+
+/**
+ * Generate unique customer number from the customer counter
+ * Format: CUST-XXXXX (e.g., CUST-00001)
+ */
+export const generateCustomerNumber = async () => {
+  const format = { prefix: 'CUST', scope: null, period: null, padding: 5 };
+
+  const counter = await nextSequence({ series: 'customer' });
+
+  const customerNumber = formatDocumentNumber({ ...format, sequence: counter.sequence });
+  await recordIssuedNumber(counter, customerNumber);
+  return customerNumber;
+};
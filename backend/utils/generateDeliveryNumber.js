@@ -0,0 +1,21 @@
+import {
+  getSequencePeriod,
+  formatDocumentNumber,
+  nextSequence,
+  recordIssuedNumber
+} from './sequence.js';
+
+/**
+ * Generate unique delivery number from the delivery counter
+ * Format: DR-YYYYMMDD-XXXX (e.g., DR-20241215-0001)
+ * @param {ClientSession} [session] - Transaction session
+ */
+export const generateDeliveryNumber = async (session = null) => {
+  const format = { prefix: 'DR', scope: null, period: getSequencePeriod('daily'), padding: 4 };
+
+  const counter = await nextSequence({ series: 'delivery', period: format.period, session });
+
+  const deliveryNumber = formatDocumentNumber({ ...format, sequence: counter.sequence });
+  await recordIssuedNumber(counter, deliveryNumber, session);
+  return deliveryNumber;
+};
@@ -0,0 +1,21 @@
+import {
+  getSequencePeriod,
+  formatDocumentNumber,
+  nextSequence,
+  recordIssuedNumber
+} from './sequence.js';
+
+/**
+ * Generate unique layaway number from the layaway counter
+ * Format: LA-YYYYMMDD-XXXX (e.g., LA-20241215-0001)
+ * @param {ClientSession} [session] - Transaction session
+ */
+export const generateLayawayNumber = async (session = null) => {
+  const format = { prefix: 'LA', scope: null, period: getSequencePeriod('daily'), padding: 4 };
+
+  const counter = await nextSequence({ series: 'layaway', period: format.period, session });
+
+  const layawayNumber = formatDocumentNumber({ ...format, sequence: counter.sequence });
+  await recordIssuedNumber(counter, layawayNumber, session);
+  return layawayNumber;
+};
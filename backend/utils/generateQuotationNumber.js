@@ -0,0 +1,20 @@
+import {
+  getSequencePeriod,
+  formatDocumentNumber,
+  nextSequence,
+  recordIssuedNumber
+} from './sequence.js';
+
+/**
+ * Generate unique quotation number from the quotation counter
+ * Format: QUO-YYYYMMDD-XXXX (e.g., QUO-20241215-0001)
+ */
+export const generateQuotationNumber = async () => {
+  const format = { prefix: 'QUO', scope: null, period: getSequencePeriod('daily'), padding: 4 };
+
+  const counter = await nextSequence({ series: 'quotation', period: format.period });
+
+  const quotationNumber = formatDocumentNumber({ ...format, sequence: counter.sequence });
+  await recordIssuedNumber(counter, quotationNumber);
+  return quotationNumber;
+};
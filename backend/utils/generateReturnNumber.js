@@ -0,0 +1,29 @@
+import SaleReturn from '../models/SaleReturn.model.js';
+import {
+  getSequencePeriod,
+  formatDocumentNumber,
+  findHighestSequence,
+  nextSequence,
+  recordIssuedNumber
+} from './sequence.js';
+
+/**
+ * Generate unique return number from the return counter
+ * Format: RET-YYYYMMDD-XXXX (e.g., RET-20241215-0001)
+ * @param {ClientSession} [session] - Transaction session the return is being recorded in
+ */
+export const generateReturnNumber = async (session = null) => {
+  const format = { prefix: 'RET', scope: null, period: getSequencePeriod('daily'), padding: 4 };
+
+  const counter = await nextSequence({
+    series: 'return',
+    period: format.period,
+    // Continue after return numbers issued before this counter existed
+    seed: () => findHighestSequence(SaleReturn, 'returnNumber', formatDocumentNumber({ ...format, sequence: '' }), session),
+    session
+  });
+
+  const returnNumber = formatDocumentNumber({ ...format, sequence: counter.sequence });
+  await recordIssuedNumber(counter, returnNumber, session);
+  return returnNumber;
+};
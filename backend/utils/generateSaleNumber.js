@@ -1,35 +1,63 @@
 import Sale from '../models/Sale.model.js';
+import Settings from '../models/Settings.model.js';
+import { HttpError } from './httpError.js';
+import {
+  getSequencePeriod,
+  formatDocumentNumber,
+  findHighestSequence,
+  nextSequence,
+  recordIssuedNumber
+} from './sequence.js';
 
 /**
- * Generate unique sale number
- * Format: SALE-YYYYMMDD-XXXX (e.g., SALE-20241215-0001)
+ * Build the parts of a sale number from the numbering settings
+ * Default format: SALE-YYYYMMDD-XXXX (e.g., SALE-20241215-0001)
+ * Per-register series: SALE-R2-20241215-0001, per-branch series: SALE-MNL-20241215-0001
+ * @param {Object} settings - Settings document
+ * @param {string} [registerId] - Register the sale is rung up on
+ * @param {Date} [date] - Date the number is for, defaults to now
+ * @returns {Object} { prefix, scope, period, padding }
  */
-export const generateSaleNumber = async () => {
-  // Get current date in YYYYMMDD format (using local timezone)
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  const day = String(now.getDate()).padStart(2, '0');
-  const dateStr = `${year}${month}${day}`;
-  
-  // Find all sales with the same date prefix
-  const datePrefix = `SALE-${dateStr}-`;
-  const existingSales = await Sale.find({
-    saleNumber: { $regex: `^${datePrefix}` }
-  }).select('saleNumber').lean();
+export const getSaleNumberFormat = (settings, registerId, date = new Date()) => {
+  const { prefix, series, reset, padding } = settings.saleNumbering;
 
-  // Extract sequence numbers and find the maximum
-  let maxSequence = 0;
-  existingSales.forEach(sale => {
-    const sequenceStr = sale.saleNumber.replace(datePrefix, '');
-    const sequence = parseInt(sequenceStr, 10);
-    if (!isNaN(sequence) && sequence > maxSequence) {
-      maxSequence = sequence;
+  let scope = null;
+  if (series === 'register') {
+    if (!registerId) {
+      throw new HttpError(400, 'Register ID is required when sale numbers are issued per register. Set this terminal\'s register ID in Settings.');
     }
-  });
+    scope = registerId.toUpperCase();
+  } else if (series === 'branch') {
+    if (!settings.branchCode) {
+      throw new HttpError(400, 'Branch code must be set in Settings when sale numbers are issued per branch');
+    }
+    scope = settings.branchCode;
+  }
 
-  // Generate next sequence number
-  const nextSequence = maxSequence + 1;
-  return `${datePrefix}${String(nextSequence).padStart(4, '0')}`;
+  return { prefix, scope, period: getSequencePeriod(reset, date), padding };
 };
 
+/**
+ * Generate unique sale number from the sale counter
+ * @param {ClientSession} [session] - Transaction session the sale is being created in
+ * @param {Object} [options]
+ * @param {string} [options.registerId] - Register the sale is rung up on
+ * @param {Object} [options.settings] - Settings document, fetched when not provided
+ */
+export const generateSaleNumber = async (session = null, { registerId, settings } = {}) => {
+  const numberingSettings = settings || await Settings.getSettings();
+  const format = getSaleNumberFormat(numberingSettings, registerId);
+
+  const counter = await nextSequence({
+    series: 'sale',
+    scope: format.scope,
+    period: format.period,
+    // Continue after sale numbers issued before this counter existed
+    seed: () => findHighestSequence(Sale, 'saleNumber', formatDocumentNumber({ ...format, sequence: '' }), session),
+    session
+  });
+
+  const saleNumber = formatDocumentNumber({ ...format, sequence: counter.sequence });
+  await recordIssuedNumber(counter, saleNumber, session);
+  return saleNumber;
+};
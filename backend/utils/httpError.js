@@ -0,0 +1,12 @@
+/**
+ * Error carrying an HTTP status code
+ * Thrown from inside transactions so the work rolls back; the error handler in server.js
+ * responds with { success: false, message } and the given status
+ */
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * Electronic journal: records a plain-text copy of each receipt issued, voided, adjusted, reprinted or exchanged
+ */
+import Sale from '../models/Sale.model.js';
+import JournalEntry from '../models/JournalEntry.model.js';
+import { renderReceiptText, renderExchangeReceiptText, getReceiptColumns } from './receiptText.js';
+
+/**
+ * Record a receipt event in the electronic journal
+ * @param {Object} params
+ * @param {string} params.event - 'issued', 'voided', 'adjusted' or 'reprinted'
+ * @param {Object} params.sale - Sale with cashier and items.product populated
+ * @param {Object} params.settings - Settings document
+ * @param {ObjectId} params.user - User who issued, voided, adjusted or reprinted the receipt
+ * @param {number} [params.grandTotal] - Accumulated grand total after the event
+ * @param {ClientSession} [params.session] - Transaction session
+ */
+export const recordJournalEntry = async ({ event, sale, settings, user, grandTotal = null, session = null }) => {
+  const content = renderReceiptText(sale, settings, {
+    reprint: event === 'reprinted',
+    columns: getReceiptColumns(settings.receiptPrinter?.paperWidth)
+  });
+
+  await JournalEntry.create([{
+    event,
+    sale: sale._id,
+    saleNumber: sale.saleNumber,
+    receiptNumber: sale.receiptNumber || null,
+    amount: sale.total,
+    grandTotal,
+    user,
+    content
+  }], { session });
+};
+
+/**
+ * Record the receipt for the balance paid on an exchange in the electronic journal
+ * @param {Object} params
+ * @param {Object} params.saleReturn - Sale return with processedBy, returnedItems.product and replacementItems.product populated
+ * @param {Object} params.sale - Sale the goods were returned from
+ * @param {Object} params.settings - Settings document
+ * @param {ObjectId} params.user - User who processed the exchange
+ * @param {number} [params.grandTotal] - Accumulated grand total after the exchange
+ * @param {ClientSession} [params.session] - Transaction session
+ */
+export const recordExchangeJournalEntry = async ({ saleReturn, sale, settings, user, grandTotal = null, session = null }) => {
+  const content = renderExchangeReceiptText(saleReturn, sale, settings, {
+    columns: getReceiptColumns(settings.receiptPrinter?.paperWidth)
+  });
+
+  await JournalEntry.create([{
+    event: 'exchanged',
+    sale: sale._id,
+    saleNumber: sale.saleNumber,
+    receiptNumber: saleReturn.receiptNumber || null,
+    saleReturn: saleReturn._id,
+    amount: saleReturn.balanceDue,
+    grandTotal,
+    user,
+    content
+  }], { session });
+};
+
+/**
+ * Count a receipt print; every print after the first is a reprint and goes into the journal
+ * @param {Object} params
+ * @param {Object} params.sale - Sale with cashier and items.product populated
+ * @param {Object} params.settings - Settings document
+ * @param {ObjectId} params.user - User printing the receipt
+ * @returns {Promise<boolean>} Whether this print is a reprint
+ */
+export const recordReceiptPrint = async ({ sale, settings, user }) => {
+  const { printCount: previousPrints } = await Sale.findByIdAndUpdate(
+    sale._id,
+    { $inc: { printCount: 1 } }
+  ).select('printCount');
+
+  const isReprint = previousPrints > 0;
+  if (isReprint) {
+    await recordJournalEntry({ event: 'reprinted', sale, settings, user });
+  }
+  return isReprint;
+};
@@ -0,0 +1,232 @@
+/**
+ * Loyalty points: earning on sales, redeeming points as a tender and taking points back when a sale is voided or returned
+ */
+import Customer from '../models/Customer.model.js';
+import LoyaltyEntry from '../models/LoyaltyEntry.model.js';
+import { HttpError } from './httpError.js';
+import { roundCurrency } from './tenders.js';
+
+/**
+ * Read the loyalty program from settings
+ * @param {Object} settings - Settings document
+ * @returns {Object} { enabled, spendPerPoint, pointValue, categoryRates } with categoryRates keyed by category name
+ */
+export const getLoyaltyConfig = (settings) => {
+  const loyalty = settings.toObject().loyalty || {};
+  return {
+    enabled: !!loyalty.enabled,
+    spendPerPoint: loyalty.spendPerPoint || 100,
+    pointValue: loyalty.pointValue || 1,
+    categoryRates: new Map((loyalty.categoryRules || []).map(rule => [rule.category, rule.spendPerPoint]))
+  };
+};
+
+/**
+ * Convert a points tender into whole points
+ * @param {number} amount - Peso amount of the points tender
+ * @param {Object} config - Loyalty config from getLoyaltyConfig
+ * @returns {{ points: number, error: string|null }}
+ */
+export const pointsForAmount = (amount, config) => {
+  const points = amount / config.pointValue;
+  if (Math.abs(points - Math.round(points)) > 1e-6) {
+    return {
+      points: 0,
+      error: `Points are redeemed in whole points worth ${config.pointValue.toFixed(2)} each`
+    };
+  }
+  return { points: Math.round(points), error: null };
+};
+
+/**
+ * Work out the points a sale earns
+ * Only the part of the total not paid with points earns; it is spread over the lines by their
+ * discounted amounts so each line earns at its category's rate
+ * @param {Object} params
+ * @param {Array} params.items - Sale items with product, category, subtotal and discountAmount
+ * @param {number} params.total - Sale total
+ * @param {number} params.redeemedAmount - Peso amount paid with points
+ * @param {Object} params.config - Loyalty config from getLoyaltyConfig
+ * @returns {number} Whole points earned
+ */
+export const calculatePointsEarned = ({ items, total, redeemedAmount, config }) => {
+  const lineAmounts = items.map(item => item.subtotal - item.discountAmount);
+  const netTotal = lineAmounts.reduce((sum, amount) => sum + amount, 0);
+  const paidTotal = total - redeemedAmount;
+  if (netTotal <= 0 || paidTotal <= 0) return 0;
+
+  const points = items.reduce((sum, item, index) => {
+    const spendPerPoint = config.categoryRates.get(item.category) ?? config.spendPerPoint;
+    if (!spendPerPoint) return sum;
+    const spend = paidTotal * (lineAmounts[index] / netTotal);
+    return sum + spend / spendPerPoint;
+  }, 0);
+
+  // Allow for floating point drift so exactly reaching a threshold still earns the point
+  return Math.floor(points + 1e-9);
+};
+
+/**
+ * Redeem and earn a sale's points on the customer's balance
+ * Throwing rolls the sale back with the points
+ * @param {Object} params
+ * @param {Object} params.customer - Customer document
+ * @param {Object} params.sale - Created sale
+ * @param {number} params.pointsEarned - Points earned by the sale
+ * @param {number} params.pointsRedeemed - Points used as a tender
+ * @param {number} params.redeemedAmount - Peso value of the redeemed points
+ * @param {string} params.user - User ID ringing up the sale
+ * @param {ClientSession} [params.session] - Transaction session
+ * @returns {Promise<Object>} { pointsEarned, pointsRedeemed, balance }
+ */
+export const postLoyalty = async ({ customer, sale, pointsEarned, pointsRedeemed, redeemedAmount, user, session = null }) => {
+  let balance = customer.loyaltyPoints;
+  const entries = [];
+
+  if (pointsRedeemed > 0) {
+    // Conditional decrement: fails instead of going below zero when two sales redeem at once
+    const updated = await Customer.findOneAndUpdate(
+      { _id: customer._id, loyaltyPoints: { $gte: pointsRedeemed } },
+      { $inc: { loyaltyPoints: -pointsRedeemed } },
+      { new: true, session }
+    );
+    if (!updated) {
+      const current = await Customer.findById(customer._id).session(session);
+      throw new HttpError(400, `${customer.name} has only ${current?.loyaltyPoints ?? 0} points to redeem`);
+    }
+    balance = updated.loyaltyPoints;
+    entries.push({
+      customer: customer._id,
+      type: 'redeem',
+      points: -pointsRedeemed,
+      balanceAfter: balance,
+      sale: sale._id,
+      amount: roundCurrency(redeemedAmount),
+      recordedBy: user
+    });
+  }
+
+  if (pointsEarned > 0) {
+    const updated = await Customer.findByIdAndUpdate(
+      customer._id,
+      { $inc: { loyaltyPoints: pointsEarned } },
+      { new: true, session }
+    );
+    balance = updated.loyaltyPoints;
+    entries.push({
+      customer: customer._id,
+      type: 'earn',
+      points: pointsEarned,
+      balanceAfter: balance,
+      sale: sale._id,
+      recordedBy: user
+    });
+  }
+
+  if (entries.length > 0) {
+    await LoyaltyEntry.create(entries, { session, ordered: true });
+  }
+
+  return { pointsEarned, pointsRedeemed, balance };
+};
+
+/**
+ * Undo a voided sale's points: redeemed points are given back and earned points taken off
+ * @param {Object} params
+ * @param {Object} params.sale - Voided sale
+ * @param {string} params.user - User ID voiding the sale
+ * @param {ClientSession} [params.session] - Transaction session
+ * @returns {Promise<Object|null>} Void entry, or null when the sale had no points
+ */
+export const reverseLoyalty = async ({ sale, user, session = null }) => {
+  const entries = await LoyaltyEntry.find({ sale: sale._id, type: { $in: ['earn', 'redeem', 'adjust', 'return'] }, reversed: false })
+    .session(session);
+  if (entries.length === 0) return null;
+
+  const points = entries.reduce((sum, entry) => sum - entry.points, 0);
+  await LoyaltyEntry.updateMany(
+    { _id: { $in: entries.map(entry => entry._id) } },
+    { $set: { reversed: true } },
+    { session }
+  );
+
+  const customer = await Customer.findByIdAndUpdate(
+    entries[0].customer,
+    { $inc: { loyaltyPoints: points } },
+    { new: true, session }
+  );
+
+  const [entry] = await LoyaltyEntry.create([{
+    customer: entries[0].customer,
+    type: 'void',
+    points,
+    balanceAfter: customer.loyaltyPoints,
+    sale: sale._id,
+    recordedBy: user
+  }], { session });
+
+  return entry;
+};
+
+/**
+ * Take back points a sale earned on lines that were since voided or returned
+ * @param {Object} params
+ * @param {Object} params.sale - Sale with loyalty already posted
+ * @param {number} params.pointsEarned - Points the sale earns as it now stands
+ * @param {string} params.user - User ID voiding the lines or processing the return
+ * @param {ClientSession} [params.session] - Transaction session
+ * @returns {Promise<Object|null>} Adjust entry, or null when no points change
+ */
+export const adjustLoyalty = async ({ sale, pointsEarned, user, session = null }) => {
+  const points = pointsEarned - (sale.loyalty?.pointsEarned || 0);
+  if (!sale.customer || points >= 0) return null;
+
+  const customer = await Customer.findByIdAndUpdate(
+    sale.customer,
+    { $inc: { loyaltyPoints: points } },
+    { new: true, session }
+  );
+
+  const [entry] = await LoyaltyEntry.create([{
+    customer: sale.customer,
+    type: 'adjust',
+    points,
+    balanceAfter: customer.loyaltyPoints,
+    sale: sale._id,
+    recordedBy: user
+  }], { session });
+
+  return entry;
+};
+
+/**
+ * Give back points redeemed on a sale when the goods they paid for are returned
+ * @param {Object} params
+ * @param {Object} params.sale - Sale the goods were returned from
+ * @param {number} params.points - Points given back
+ * @param {number} params.amount - Peso value of the points given back
+ * @param {string} params.user - User ID processing the return
+ * @param {ClientSession} [params.session] - Transaction session
+ * @returns {Promise<Object|null>} Return entry, or null when no points are given back
+ */
+export const returnRedeemedPoints = async ({ sale, points, amount, user, session = null }) => {
+  if (!sale.customer || points <= 0) return null;
+
+  const customer = await Customer.findByIdAndUpdate(
+    sale.customer,
+    { $inc: { loyaltyPoints: points } },
+    { new: true, session }
+  );
+
+  const [entry] = await LoyaltyEntry.create([{
+    customer: sale.customer,
+    type: 'return',
+    points,
+    balanceAfter: customer.loyaltyPoints,
+    sale: sale._id,
+    amount: roundCurrency(amount),
+    recordedBy: user
+  }], { session });
+
+  return entry;
+};
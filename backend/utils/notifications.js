@@ -0,0 +1,38 @@
+/**
+ * In-app notifications shown to users in the sidebar
+ */
+import Notification from '../models/Notification.model.js';
+import User from '../models/User.model.js';
+
+/**
+ * Notify users of an event; the user who caused it is not notified
+ * @param {Object} params
+ * @param {Array} params.recipients - User IDs
+ * @param {string} params.type - One of NOTIFICATION_TYPES
+ * @param {string} params.message - Text shown to the recipient
+ * @param {Object} [params.sale] - Sale the notification is about
+ * @param {Object} [params.createdBy] - User who caused the event
+ * @param {Object} [params.session] - MongoDB session
+ */
+export const notify = async ({ recipients, type, message, sale, createdBy, session = null }) => {
+  const unique = [...new Set(recipients.filter(Boolean).map(id => id.toString()))]
+    .filter(id => id !== createdBy?.toString());
+  if (unique.length === 0) return;
+
+  await Notification.insertMany(unique.map(recipient => ({
+    recipient,
+    type,
+    message,
+    sale: sale?._id || sale,
+    createdBy
+  })), { session });
+};
+
+/**
+ * Notify every active admin of an event
+ * @param {Object} params - Same as notify, without recipients
+ */
+export const notifyAdmins = async (params) => {
+  const admins = await User.find({ role: 'admin', isActive: true }).select('_id');
+  await notify({ ...params, recipients: admins.map(admin => admin._id) });
+};
@@ -0,0 +1,178 @@
+/**
+ * Selling price helpers shared by sales, quotations and layaways: price tiers and customer price lists
+ */
+import { roundCurrency } from './tenders.js';
+import { CUSTOMER_TYPES } from '../models/Customer.model.js';
+
+const CUSTOMER_TYPE_LABELS = {
+  retail: 'Retail',
+  wholesale: 'Wholesale',
+  contractor: 'Contractor'
+};
+
+/**
+ * Format customer type code to a human-readable label
+ * @param {string} type - Customer type
+ * @returns {string} Customer type label
+ */
+export const formatCustomerType = (type) => CUSTOMER_TYPE_LABELS[type] || type;
+
+/**
+ * Regular selling price of a product
+ * Selling price = base price + (base price * markup percentage / 100)
+ * @param {Object} product - Product document
+ * @returns {number} Selling price
+ */
+export const getSellingPrice = (product) => {
+  const basePrice = product.price || 0;
+  const markupPercentage = product.markupPercentage || 0;
+  return basePrice + (basePrice * (markupPercentage / 100));
+};
+
+/**
+ * Whether a price list can be used on a given date: active and within its validity dates
+ * @param {Object} priceList - Price list document
+ * @param {Date} [date] - When the prices are needed
+ * @returns {boolean}
+ */
+export const isPriceListInEffect = (priceList, date = new Date()) => !!priceList
+  && priceList.isActive
+  && (!priceList.validFrom || priceList.validFrom <= date)
+  && (!priceList.validUntil || priceList.validUntil >= date);
+
+/**
+ * Price list of a customer, when it is in effect
+ * @param {Object} [customer] - Customer document with its priceList populated
+ * @param {Date} [date] - When the prices are needed
+ * @returns {Object|null} Price list document
+ */
+export const getCustomerPriceList = (customer, date = new Date()) =>
+  (isPriceListInEffect(customer?.priceList, date) ? customer.priceList : null);
+
+/**
+ * Most specific price list rule for a product: product, then brand, then category
+ * Brand and category names match regardless of case
+ * @param {Object} priceList - Price list document
+ * @param {Object} product - Product document
+ * @returns {Object|null} Matching rule
+ */
+export const findPriceListRule = (priceList, product) => {
+  const rules = priceList?.rules || [];
+  const productId = product._id.toString();
+  const brand = product.brand?.trim().toLowerCase();
+  const category = product.category?.trim().toLowerCase();
+
+  return rules.find(rule => rule.scope === 'product' && (rule.product?._id || rule.product)?.toString() === productId)
+    || (brand && rules.find(rule => rule.scope === 'brand' && rule.brand?.toLowerCase() === brand))
+    || (category && rules.find(rule => rule.scope === 'category' && rule.category?.toLowerCase() === category))
+    || null;
+};
+
+/**
+ * Unit price for a line: the lowest of the regular selling price, the best tier price the quantity and
+ * customer type qualify for, and the customer's price list price
+ * Retail tiers are open to every buyer; tiers priced below cost are ignored and price lists stop at cost
+ * @param {Object} product - Product document
+ * @param {number} quantity - Quantity on the line
+ * @param {string} [customerType] - Type of the customer linked to the sale
+ * @param {Object} [priceList] - Customer price list in effect
+ * @returns {Object} { price, priceTier, priceList } where priceTier or priceList records what set the price
+ *   and the regular price it replaced
+ */
+export const resolveLinePrice = (product, quantity, customerType = 'retail', priceList = null) => {
+  const listPrice = getSellingPrice(product);
+  const cost = product.price || 0;
+
+  const tier = (product.priceTiers || [])
+    .filter(tier => (tier.customerType === 'retail' || tier.customerType === customerType)
+      && quantity >= tier.minQuantity
+      && tier.price >= cost)
+    .reduce((best, tier) => (!best || tier.price < best.price ? tier : best), null);
+  const tierPrice = tier && tier.price < listPrice ? tier.price : null;
+
+  const rule = priceList ? findPriceListRule(priceList, product) : null;
+  let contractPrice = null;
+  if (rule) {
+    const rulePrice = rule.adjustment === 'fixed'
+      ? rule.value
+      : listPrice * (1 - Math.min(rule.value, 100) / 100);
+    contractPrice = roundCurrency(Math.max(rulePrice, cost));
+    if (contractPrice >= listPrice) contractPrice = null;
+  }
+
+  if (contractPrice !== null && (tierPrice === null || contractPrice < tierPrice)) {
+    return {
+      price: contractPrice,
+      priceList: {
+        priceList: priceList._id,
+        name: priceList.name,
+        listPrice: roundCurrency(listPrice)
+      }
+    };
+  }
+
+  if (tierPrice === null) {
+    return { price: listPrice };
+  }
+
+  return {
+    price: tier.price,
+    priceTier: {
+      customerType: tier.customerType,
+      minQuantity: tier.minQuantity,
+      listPrice: roundCurrency(listPrice)
+    }
+  };
+};
+
+/**
+ * Tidy price tiers sent from the product form
+ * Multipart requests carry the list as a JSON string
+ * @param {Array|string} value - Price tiers from the request body
+ * @returns {Array} [{ customerType, minQuantity, price }]
+ */
+export const normalizePriceTiers = (value) => {
+  let tiers = value;
+  if (typeof tiers === 'string') {
+    try {
+      tiers = JSON.parse(tiers || '[]');
+    } catch {
+      return value;
+    }
+  }
+  if (!Array.isArray(tiers)) return tiers;
+
+  return tiers.map(tier => ({
+    customerType: tier?.customerType || 'retail',
+    minQuantity: Number(tier?.minQuantity),
+    price: roundCurrency(tier?.price)
+  }));
+};
+
+/**
+ * Check a product's price tiers
+ * @param {Array} tiers - Normalized price tiers
+ * @param {number} cost - Product base price; tiers cannot sell below it
+ * @returns {string|null} Error message, or null when the tiers are valid
+ */
+export const validatePriceTiers = (tiers, cost = 0) => {
+  const seen = new Set();
+  for (const tier of tiers) {
+    if (!CUSTOMER_TYPES.includes(tier.customerType)) {
+      return `Price tier customer type must be one of: ${CUSTOMER_TYPES.join(', ')}`;
+    }
+    if (!Number.isInteger(tier.minQuantity) || tier.minQuantity < 1) {
+      return 'Price tier minimum quantity must be a whole number of at least 1';
+    }
+    const label = `${formatCustomerType(tier.customerType)} price from ${tier.minQuantity}`;
+    if (tier.price < roundCurrency(cost)) {
+      return `${label} cannot be below cost (${roundCurrency(cost).toFixed(2)})`;
+    }
+    const key = `${tier.customerType}:${tier.minQuantity}`;
+    if (seen.has(key)) {
+      return `${label} is listed more than once`;
+    }
+    seen.add(key);
+  }
+  return null;
+};
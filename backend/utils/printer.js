@@ -0,0 +1,28 @@
+/**
+ * Raw network printing (port 9100) for ESC/POS receipt printers
+ */
+import net from 'net';
+
+const PRINT_TIMEOUT_MS = 5000;
+
+/**
+ * Send a print job to a network receipt printer
+ * @param {Buffer} bytes - ESC/POS byte stream
+ * @param {Object} printer - { host, port }
+ * @returns {Promise<void>} Resolves once the printer has accepted the job
+ */
+export const sendToPrinter = (bytes, { host, port = 9100 }) => new Promise((resolve, reject) => {
+  const socket = net.createConnection({ host, port });
+
+  socket.setTimeout(PRINT_TIMEOUT_MS);
+  socket.on('connect', () => {
+    socket.end(bytes);
+  });
+  socket.on('timeout', () => {
+    socket.destroy(new Error(`Printer at ${host}:${port} did not respond`));
+  });
+  socket.on('error', reject);
+  socket.on('close', (hadError) => {
+    if (!hadError) resolve();
+  });
+});
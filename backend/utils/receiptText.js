@@ -0,0 +1,291 @@
+/**
+ * Receipt layout as fixed-width text lines, shared by the electronic journal,
+ * thermal PDFs and ESC/POS output
+ */
+import { format } from 'date-fns';
+import { roundCurrency, formatPaymentMethod } from './tenders.js';
+import { formatStatutoryDiscount } from './discounts.js';
+import { getDocumentLabels, RECEIPT_NUMBER_PADDING } from './receipting.js';
+
+export const RECEIPT_PAPER_WIDTHS = ['a4', '80mm', '58mm'];
+
+// Characters per line in the printer's standard font; A4 receipts are journaled at 40 columns
+const COLUMNS = { a4: 40, '80mm': 48, '58mm': 32 };
+
+/**
+ * Get the number of characters per line for a paper width
+ * @param {string} paperWidth - 'a4', '80mm' or '58mm'
+ * @returns {number}
+ */
+export const getReceiptColumns = (paperWidth) => COLUMNS[paperWidth] || COLUMNS.a4;
+
+const money = (amount) => roundCurrency(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+/**
+ * Start a receipt of fixed-width lines
+ * @param {number} columns - Characters per line
+ * @returns {Object} { lines, divider, row, push, pushCentered }
+ */
+const createLayout = (columns) => {
+  const lines = [];
+
+  const divider = (char = '-') => char.repeat(columns);
+  // Left text and right-aligned value on one line; long left text is cut to fit
+  const row = (left, right = '') => {
+    const value = String(right);
+    const label = String(left).slice(0, Math.max(0, columns - value.length - 1));
+    return label.padEnd(columns - value.length) + value;
+  };
+  const push = (text, style = null) => lines.push({ text, style });
+  // Centered text, wrapped at word boundaries so long names and addresses fit narrow paper
+  const pushCentered = (text, style = null) => {
+    const wrapped = [];
+    for (const word of String(text).split(/\s+/)) {
+      const current = wrapped[wrapped.length - 1];
+      if (current !== undefined && `${current} ${word}`.length <= columns) {
+        wrapped[wrapped.length - 1] = `${current} ${word}`;
+      } else {
+        wrapped.push(word.slice(0, columns));
+      }
+    }
+    for (const value of wrapped) {
+      push(' '.repeat(Math.floor((columns - value.length) / 2)) + value, style);
+    }
+  };
+
+  return { lines, divider, row, push, pushCentered };
+};
+
+/**
+ * Store name, or the registered details on a BIR receipt
+ */
+const pushStoreHeader = ({ pushCentered }, receipting, { isBir, vatRegistered }) => {
+  if (isBir) {
+    if (receipting.registeredName) pushCentered(receipting.registeredName, 'title');
+    if (receipting.tradeName) pushCentered(receipting.tradeName);
+    if (receipting.address) pushCentered(receipting.address);
+    pushCentered(`${vatRegistered === false ? 'NON-VAT REG' : 'VAT REG'} TIN: ${receipting.tin || '-'}`);
+    if (receipting.machineId) pushCentered(`MIN: ${receipting.machineId}`);
+    if (receipting.serialNumber) pushCentered(`SN: ${receipting.serialNumber}`);
+    if (receipting.permitNumber) pushCentered(`PTU No.: ${receipting.permitNumber}`);
+  } else {
+    pushCentered('BLCM Sales and Inventory System', 'title');
+  }
+};
+
+/**
+ * Accreditation, series and validity statements closing a BIR receipt
+ */
+const pushBirFooter = ({ pushCentered }, receipting, labels, { vatRegistered }) => {
+  if (receipting.accreditationNumber) pushCentered(`Accreditation No.: ${receipting.accreditationNumber}`);
+  if (receipting.seriesEnd) {
+    const serial = (value) => String(value).padStart(RECEIPT_NUMBER_PADDING, '0');
+    pushCentered(`Series: ${serial(receipting.seriesStart || 1)} - ${serial(receipting.seriesEnd)}`);
+  }
+  pushCentered(`THIS SERVES AS YOUR ${labels.title.toUpperCase()}`);
+  if (vatRegistered === false) {
+    pushCentered('THIS DOCUMENT IS NOT VALID FOR CLAIM OF INPUT TAX');
+  }
+};
+
+/**
+ * Lay out a sale as receipt lines
+ * Sales with a receipt number are laid out as BIR receipts with the store's registration details
+ * @param {Object} sale - Sale with cashier and items.product populated
+ * @param {Object} settings - Settings document
+ * @param {Object} [options]
+ * @param {boolean} [options.reprint] - Mark the copy as a reprint
+ * @param {number} [options.columns] - Characters per line
+ * @returns {Array<Object>} Lines as { text, style }, where style is 'title', 'emphasis' or null
+ */
+export const buildReceiptLines = (sale, settings, { reprint = false, columns = COLUMNS.a4 } = {}) => {
+  const receipting = settings.receipting || {};
+  const isBir = !!sale.receiptNumber;
+  const labels = getDocumentLabels(receipting.documentType);
+  const layout = createLayout(columns);
+  const { lines, divider, row, push, pushCentered } = layout;
+
+  // Header
+  pushStoreHeader(layout, receipting, { isBir, vatRegistered: sale.vatRegistered });
+  push(divider());
+  pushCentered(isBir ? labels.title.toUpperCase() : 'SALES RECEIPT', 'emphasis');
+  if (reprint) pushCentered('*** REPRINT ***', 'title');
+  if (sale.isVoid) pushCentered('*** VOID ***', 'title');
+  push(divider());
+
+  if (isBir) push(row(`${labels.abbreviation} No.:`, sale.receiptNumber));
+  push(row('Sale No.:', sale.saleNumber));
+  push(row('Date:', format(new Date(sale.createdAt), 'yyyy-MM-dd HH:mm')));
+  if (sale.registerId) push(row('Register:', sale.registerId));
+  if (sale.cashier?.username) push(row('Cashier:', sale.cashier.username));
+
+  // Buyer details
+  push(divider());
+  push(row('Customer:', sale.customerName || (isBir ? '____________________' : 'Walk-in')));
+  if (isBir || sale.tinNumber) push(row('TIN:', sale.tinNumber || '____________________'));
+  if (sale.customerPhone) push(row('Contact:', sale.customerPhone));
+
+  // Items
+  push(divider());
+  for (const item of sale.items) {
+    push(String(item.product?.name || 'Unknown Product').slice(0, columns));
+    push(row(`  ${item.quantity} x ${money(item.price)}`, money(item.subtotal)));
+    if (item.discountType && item.discountValue > 0) {
+      const lineDiscount = item.discountType === 'percent'
+        ? roundCurrency(item.subtotal * (item.discountValue / 100))
+        : item.discountValue;
+      push(row(item.discountType === 'percent' ? `  Less ${item.discountValue}%` : '  Less', `-${money(lineDiscount)}`));
+    }
+  }
+
+  // Lines voided after the sale was rung up; the totals below are already net of them
+  const lineVoids = (sale.adjustments || []).filter(adjustment => adjustment.type === 'line_void');
+  if (lineVoids.length > 0) {
+    push(divider());
+    push('VOIDED ITEMS');
+    for (const item of lineVoids.flatMap(adjustment => adjustment.items)) {
+      push(String(item.productName || 'Unknown Product').slice(0, columns));
+      push(row(`  ${item.quantity} x ${money(item.price)}`, `-${money(roundCurrency(item.quantity * item.price))}`));
+    }
+  }
+
+  // Totals
+  push(divider());
+  push(row('Subtotal', money(sale.subtotal)));
+  if (sale.discount > 0) {
+    push(row(
+      sale.statutoryDiscount?.type ? `${formatStatutoryDiscount(sale.statutoryDiscount.type)} Disc. (20%)` : 'Discount',
+      `-${money(sale.discount)}`
+    ));
+  }
+  if (sale.deliveryFee > 0) push(row('Delivery Fee', money(sale.deliveryFee)));
+  if (sale.statutoryDiscount?.type) {
+    push(`${formatStatutoryDiscount(sale.statutoryDiscount.type)} ID: ${sale.statutoryDiscount.idNumber}`);
+    if (sale.statutoryDiscount.holderName) push(`Name: ${sale.statutoryDiscount.holderName}`);
+    push('Signature: ______________________');
+  }
+
+  if (sale.vatRegistered === false) {
+    push('Non-VAT Registered');
+  } else if (sale.vatableSales !== undefined) {
+    push(row('VATable Sales', money(sale.vatableSales || 0)));
+    push(row('VAT-Exempt Sales', money(sale.vatExemptSales || 0)));
+    push(row('Zero-Rated Sales', money(sale.zeroRatedSales || 0)));
+    push(row(`VAT (${sale.vatRate}%)${sale.pricesIncludeVat ? ' incl.' : ''}`, money(sale.tax)));
+  } else {
+    push(row(sale.vatExempt ? 'Tax (VAT-Exempt)' : 'Tax (VAT)', money(sale.tax)));
+  }
+  push(divider('='));
+  push(row('TOTAL', money(sale.total)), 'emphasis');
+  push(divider('='));
+
+  // Tenders; sales recorded before split tenders only carry cashRendered
+  const tenders = sale.payments?.length > 0
+    ? sale.payments
+    : [{ method: 'cash', amount: sale.cashRendered || 0 }];
+  for (const tender of tenders) {
+    push(row(formatPaymentMethod(tender.method), money(tender.amount)));
+    if (tender.referenceNumber) push(`  Ref: ${tender.referenceNumber}`);
+  }
+  const change = sale.payments?.length > 0
+    ? (sale.change || 0)
+    : Math.max(0, (sale.cashRendered || 0) - sale.total);
+  if (change > 0) push(row('Change', money(change)));
+  const lineVoidRefunds = roundCurrency(lineVoids.reduce((sum, adjustment) => sum + adjustment.refundAmount, 0));
+  if (lineVoidRefunds > 0) push(row('Refunded (Voided Items)', money(lineVoidRefunds)));
+
+  // Loyalty points of the customer the sale is linked to
+  if (sale.loyalty?.balance != null) {
+    push(divider());
+    if (sale.loyalty.pointsRedeemed > 0) push(row('Points Redeemed', String(sale.loyalty.pointsRedeemed)));
+    push(row('Points Earned', String(sale.loyalty.pointsEarned || 0)));
+    push(row('Points Balance', String(sale.loyalty.balance)));
+  }
+
+  // Footer
+  push(divider());
+  if (isBir) pushBirFooter(layout, receipting, labels, { vatRegistered: sale.vatRegistered });
+  pushCentered('Thank you for your purchase!');
+
+  return lines;
+};
+
+/**
+ * Lay out an exchange (a return with replacement items the customer paid a balance for) as receipt lines
+ * Exchanges with a receipt number are laid out as BIR receipts for the balance collected
+ * @param {Object} saleReturn - Sale return with processedBy, returnedItems.product and replacementItems.product populated
+ * @param {Object} sale - Sale the goods were returned from
+ * @param {Object} settings - Settings document
+ * @param {Object} [options]
+ * @param {number} [options.columns] - Characters per line
+ * @returns {Array<Object>} Lines as { text, style }
+ */
+export const buildExchangeReceiptLines = (saleReturn, sale, settings, { columns = COLUMNS.a4 } = {}) => {
+  const receipting = settings.receipting || {};
+  const isBir = !!saleReturn.receiptNumber;
+  const labels = getDocumentLabels(receipting.documentType);
+  const vatRegistered = settings.vatRegistered;
+  const layout = createLayout(columns);
+  const { lines, divider, row, push, pushCentered } = layout;
+
+  pushStoreHeader(layout, receipting, { isBir, vatRegistered });
+  push(divider());
+  pushCentered(isBir ? labels.title.toUpperCase() : 'EXCHANGE RECEIPT', 'emphasis');
+  push(divider());
+
+  if (isBir) push(row(`${labels.abbreviation} No.:`, saleReturn.receiptNumber));
+  push(row('Return No.:', saleReturn.returnNumber));
+  push(row('Original Sale No.:', saleReturn.saleNumber));
+  push(row('Date:', format(new Date(saleReturn.createdAt), 'yyyy-MM-dd HH:mm')));
+  if (saleReturn.processedBy?.username) push(row('Cashier:', saleReturn.processedBy.username));
+  push(row('Customer:', sale.customerName || (isBir ? '____________________' : 'Walk-in')));
+  if (isBir || sale.tinNumber) push(row('TIN:', sale.tinNumber || '____________________'));
+
+  const pushItems = (title, items, sign = '') => {
+    push(divider());
+    push(title);
+    for (const item of items) {
+      push(String(item.product?.name || 'Unknown Product').slice(0, columns));
+      push(row(`  ${item.quantity} x ${money(item.price)}`, `${sign}${money(item.subtotal)}`));
+    }
+  };
+  pushItems('REPLACEMENT ITEMS', saleReturn.replacementItems);
+  pushItems('RETURNED ITEMS', saleReturn.returnedItems, '-');
+
+  push(divider());
+  push(row('Replacement Total', money(saleReturn.replacementTotal)));
+  if (vatRegistered !== false) push(row('  VAT incl.', money(saleReturn.replacementTax)));
+  push(row('Less Returned Items', `-${money(saleReturn.returnedTotal)}`));
+  push(divider('='));
+  push(row('BALANCE DUE', money(saleReturn.balanceDue)), 'emphasis');
+  push(divider('='));
+  push(row('Cash', money(saleReturn.cashRendered)));
+  if (saleReturn.change > 0) push(row('Change', money(saleReturn.change)));
+
+  push(divider());
+  if (isBir) pushBirFooter(layout, receipting, labels, { vatRegistered });
+  pushCentered('Thank you for your purchase!');
+
+  return lines;
+};
+
+/**
+ * Lay out a sale as a plain-text receipt
+ * @param {Object} sale - Sale with cashier and items.product populated
+ * @param {Object} settings - Settings document
+ * @param {Object} [options] - Same options as buildReceiptLines
+ * @returns {string} Receipt text
+ */
+export const renderReceiptText = (sale, settings, options = {}) =>
+  buildReceiptLines(sale, settings, options).map(line => line.text).join('\n');
+
+/**
+ * Lay out an exchange as a plain-text receipt
+ * @param {Object} saleReturn - Sale return with processedBy, returnedItems.product and replacementItems.product populated
+ * @param {Object} sale - Sale the goods were returned from
+ * @param {Object} settings - Settings document
+ * @param {Object} [options] - Same options as buildExchangeReceiptLines
+ * @returns {string} Receipt text
+ */
+export const renderExchangeReceiptText = (saleReturn, sale, settings, options = {}) =>
+  buildExchangeReceiptLines(saleReturn, sale, settings, options).map(line => line.text).join('\n');
@@ -0,0 +1,166 @@
+/**
+ * BIR receipting helpers: receipt series, accumulated grand total and Z-counter
+ */
+import Sale from '../models/Sale.model.js';
+import Counter from '../models/Counter.model.js';
+import GrandTotal from '../models/GrandTotal.model.js';
+import { HttpError } from './httpError.js';
+import { roundCurrency } from './tenders.js';
+import { getSequenceKey, nextSequence, recordIssuedNumber } from './sequence.js';
+
+export const RECEIPT_DOCUMENT_TYPES = ['sales_invoice', 'official_receipt'];
+
+const DOCUMENT_LABELS = {
+  sales_invoice: { title: 'Sales Invoice', abbreviation: 'SI' },
+  official_receipt: { title: 'Official Receipt', abbreviation: 'OR' }
+};
+
+// Receipt numbers are plain zero-padded serials, e.g. 00000001
+export const RECEIPT_NUMBER_PADDING = 8;
+
+const GRAND_TOTAL_KEY = 'sales';
+
+const toCentavos = (amount) => Math.round(roundCurrency(amount) * 100);
+
+/**
+ * Get the printed title and number abbreviation of a receipt document type
+ * @param {string} documentType - 'sales_invoice' or 'official_receipt'
+ * @returns {Object} { title, abbreviation }
+ */
+export const getDocumentLabels = (documentType) => DOCUMENT_LABELS[documentType] || DOCUMENT_LABELS.sales_invoice;
+
+/**
+ * Take the next receipt number of the registered series; the series never resets
+ * @param {Object} receipting - Receipting settings
+ * @param {ClientSession} [session] - Transaction session the sale is being created in
+ * @returns {Promise<string>} Receipt number
+ */
+export const issueReceiptNumber = async (receipting, session = null) => {
+  const counter = await nextSequence({
+    series: 'receipt',
+    seed: async () => (receipting.seriesStart || 1) - 1,
+    session
+  });
+
+  // Throwing rolls the counter back with the rest of the sale
+  if (receipting.seriesEnd && counter.sequence > receipting.seriesEnd) {
+    throw new HttpError(409, `The registered receipt series ended at ${String(receipting.seriesEnd).padStart(RECEIPT_NUMBER_PADDING, '0')}. Register a new series in Settings before processing sales.`);
+  }
+
+  const receiptNumber = String(counter.sequence).padStart(RECEIPT_NUMBER_PADDING, '0');
+  await recordIssuedNumber(counter, receiptNumber, session);
+  return receiptNumber;
+};
+
+/**
+ * Move the receipt series forward to a newly registered starting number
+ * The series can only move forward, so numbers are never issued twice
+ * @param {number} seriesStart - First number of the new series
+ */
+export const startReceiptSeries = (seriesStart) => Counter.updateOne(
+  { key: getSequenceKey('receipt') },
+  {
+    $max: { sequence: seriesStart - 1 },
+    $setOnInsert: { series: 'receipt', scope: null, period: null }
+  },
+  { upsert: true }
+);
+
+/**
+ * Get the last receipt number issued
+ * @returns {Promise<string|null>}
+ */
+export const getLastReceiptNumber = async () => {
+  const counter = await Counter.findOne({ key: getSequenceKey('receipt') }).lean();
+  return counter?.lastNumber || null;
+};
+
+/**
+ * Create the grand total the first time it is needed, starting from sales recorded before it existed
+ * @param {ClientSession} [session] - Transaction session
+ */
+const ensureGrandTotal = async (session = null) => {
+  const exists = await GrandTotal.exists({ key: GRAND_TOTAL_KEY }).session(session);
+  if (exists) return;
+
+  const [totals] = await Sale.aggregate([
+    {
+      $group: {
+        _id: null,
+        sales: { $sum: '$total' },
+        voids: { $sum: { $cond: ['$isVoid', '$total', 0] } }
+      }
+    }
+  ]).session(session);
+
+  await GrandTotal.updateOne(
+    { key: GRAND_TOTAL_KEY },
+    { $setOnInsert: { salesCentavos: toCentavos(totals?.sales), voidsCentavos: toCentavos(totals?.voids) } },
+    { upsert: true, session }
+  );
+};
+
+/**
+ * Add a sale to the accumulated grand total; voids are accumulated separately and never reduce it
+ * @param {number} amount - Sale total
+ * @param {ClientSession} [session] - Transaction session
+ * @returns {Promise<number>} Accumulated grand total after the sale
+ */
+export const addToGrandTotal = async (amount, session = null) => {
+  await ensureGrandTotal(session);
+  const grandTotal = await GrandTotal.findOneAndUpdate(
+    { key: GRAND_TOTAL_KEY },
+    { $inc: { salesCentavos: toCentavos(amount) } },
+    { new: true, session }
+  );
+  return grandTotal.salesCentavos / 100;
+};
+
+/**
+ * Add a voided sale to the accumulated voids
+ * @param {number} amount - Voided sale total
+ * @param {ClientSession} [session] - Transaction session
+ * @returns {Promise<number>} Accumulated grand total (unchanged by the void)
+ */
+export const addToVoidTotal = async (amount, session = null) => {
+  await ensureGrandTotal(session);
+  const grandTotal = await GrandTotal.findOneAndUpdate(
+    { key: GRAND_TOTAL_KEY },
+    { $inc: { voidsCentavos: toCentavos(amount) } },
+    { new: true, session }
+  );
+  return grandTotal.salesCentavos / 100;
+};
+
+/**
+ * Get the accumulated grand total and voids
+ * @param {ClientSession} [session] - Transaction session
+ * @returns {Promise<Object>} { grandTotal, voidTotal }
+ */
+export const getAccumulatedTotals = async (session = null) => {
+  await ensureGrandTotal(session);
+  const grandTotal = await GrandTotal.findOne({ key: GRAND_TOTAL_KEY }).session(session).lean();
+  return {
+    grandTotal: grandTotal.salesCentavos / 100,
+    voidTotal: grandTotal.voidsCentavos / 100
+  };
+};
+
+/**
+ * Take the next Z-counter value (number of Z-readings ever taken)
+ * @param {ClientSession} [session] - Transaction session
+ * @returns {Promise<number>}
+ */
+export const nextZCounter = async (session = null) => {
+  const counter = await nextSequence({ series: 'z_reading', session });
+  return counter.sequence;
+};
+
+/**
+ * Get the current Z-counter
+ * @returns {Promise<number>}
+ */
+export const getZCounter = async () => {
+  const counter = await Counter.findOne({ key: getSequenceKey('z_reading') }).lean();
+  return counter?.sequence || 0;
+};
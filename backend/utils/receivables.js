@@ -0,0 +1,228 @@
+/**
+ * Accounts receivable helpers: posting charges, reversing voided charges, crediting returns and aging
+ */
+import { addDays, endOfDay, differenceInCalendarDays } from 'date-fns';
+import CreditAccount from '../models/CreditAccount.model.js';
+import ReceivableEntry from '../models/ReceivableEntry.model.js';
+import { HttpError } from './httpError.js';
+import { roundCurrency } from './tenders.js';
+
+// Days past due at the upper end of each bucket; charges not yet due are current
+export const AGING_BUCKETS = [
+  { key: 'current', label: 'Current', maxDays: 0 },
+  { key: 'days30', label: '1-30 Days', maxDays: 30 },
+  { key: 'days60', label: '31-60 Days', maxDays: 60 },
+  { key: 'days90', label: '61-90 Days', maxDays: 90 },
+  { key: 'over90', label: 'Over 90 Days', maxDays: Infinity }
+];
+
+// Balances are kept as floating point pesos; allow for sub-centavo drift when comparing to limits
+const TOLERANCE = 0.005;
+
+/**
+ * Put a sale on a customer's account
+ * Throwing rolls the sale back with the charge
+ * @param {Object} params
+ * @param {string} params.accountId - Credit account ID
+ * @param {Object} params.sale - Created sale
+ * @param {number} params.amount - Amount charged
+ * @param {string} params.user - User ID recording the charge
+ * @param {ClientSession} [params.session] - Transaction session
+ * @returns {Promise<Object>} Updated credit account
+ */
+export const postCharge = async ({ accountId, sale, amount, user, session = null }) => {
+  const charge = roundCurrency(amount);
+
+  // Conditional increment: fails instead of going over the limit when two charges race
+  const account = await CreditAccount.findOneAndUpdate(
+    {
+      _id: accountId,
+      isActive: true,
+      $expr: { $lte: [{ $add: ['$balance', charge] }, { $add: ['$creditLimit', TOLERANCE] }] }
+    },
+    { $inc: { balance: charge } },
+    { new: true, session }
+  );
+
+  if (!account) {
+    const current = await CreditAccount.findById(accountId).session(session);
+    if (!current) {
+      throw new HttpError(404, 'Credit account not found');
+    }
+    if (!current.isActive) {
+      throw new HttpError(400, `Credit account ${current.accountNumber} is suspended`);
+    }
+    const available = roundCurrency(Math.max(0, current.creditLimit - current.balance));
+    throw new HttpError(400, `Charge of ${charge.toFixed(2)} exceeds the available credit of ${current.name} (${available.toFixed(2)} of ${current.creditLimit.toFixed(2)})`);
+  }
+
+  await ReceivableEntry.create([{
+    account: account._id,
+    type: 'charge',
+    amount: charge,
+    balanceAfter: roundCurrency(account.balance),
+    sale: sale._id,
+    dueDate: endOfDay(addDays(sale.createdAt, account.termsDays)),
+    recordedBy: user
+  }], { session });
+
+  return account;
+};
+
+/**
+ * Record a payment from the customer against their balance
+ * @param {Object} params
+ * @param {string} params.accountId - Credit account ID
+ * @param {number} params.amount - Amount paid
+ * @param {string} params.paymentNumber - Payment number
+ * @param {string} params.method - Payment method
+ * @param {string} [params.referenceNumber] - Reference number for non-cash payments
+ * @param {string} [params.notes] - Notes
+ * @param {string} [params.shift] - Shift the payment was collected in
+ * @param {string} params.user - User ID recording the payment
+ * @param {ClientSession} [params.session] - Transaction session
+ * @returns {Promise<Object>} Payment entry
+ */
+export const postPayment = async ({ accountId, amount, paymentNumber, method, referenceNumber, notes, shift, user, session = null }) => {
+  const payment = roundCurrency(amount);
+
+  // Conditional decrement: a payment cannot take the account into credit
+  const account = await CreditAccount.findOneAndUpdate(
+    { _id: accountId, balance: { $gte: payment - TOLERANCE } },
+    { $inc: { balance: -payment } },
+    { new: true, session }
+  );
+
+  if (!account) {
+    const current = await CreditAccount.findById(accountId).session(session);
+    if (!current) {
+      throw new HttpError(404, 'Credit account not found');
+    }
+    throw new HttpError(400, `Payment of ${payment.toFixed(2)} exceeds the outstanding balance of ${roundCurrency(Math.max(0, current.balance)).toFixed(2)}`);
+  }
+
+  const [entry] = await ReceivableEntry.create([{
+    account: account._id,
+    type: 'payment',
+    amount: -payment,
+    balanceAfter: roundCurrency(account.balance),
+    paymentNumber,
+    method,
+    referenceNumber,
+    notes,
+    shift,
+    recordedBy: user
+  }], { session });
+
+  return entry;
+};
+
+/**
+ * Take a voided sale's charge off the customer's account
+ * @param {Object} params
+ * @param {Object} params.sale - Voided sale
+ * @param {string} params.user - User ID voiding the sale
+ * @param {ClientSession} [params.session] - Transaction session
+ * @returns {Promise<Object|null>} Void entry, or null when the sale was not charged
+ */
+export const reverseCharge = async ({ sale, user, session = null }) => {
+  const charge = await ReceivableEntry.findOneAndUpdate(
+    { sale: sale._id, type: 'charge', voided: false },
+    { $set: { voided: true } },
+    { new: true, session }
+  );
+  if (!charge) return null;
+
+  const account = await CreditAccount.findByIdAndUpdate(
+    charge.account,
+    { $inc: { balance: -charge.amount } },
+    { new: true, session }
+  );
+
+  const [entry] = await ReceivableEntry.create([{
+    account: charge.account,
+    type: 'void',
+    amount: -charge.amount,
+    balanceAfter: roundCurrency(account.balance),
+    sale: sale._id,
+    recordedBy: user
+  }], { session });
+
+  return entry;
+};
+
+/**
+ * Credit a customer's account for goods returned from a charge sale
+ * The balance may go below zero when the charge was already paid; the credit then settles later charges
+ * @param {Object} params
+ * @param {string} params.accountId - Credit account ID
+ * @param {Object} params.sale - Sale the goods were returned from
+ * @param {number} params.amount - Amount credited
+ * @param {string} params.returnNumber - Return number
+ * @param {string} params.user - User ID processing the return
+ * @param {ClientSession} [params.session] - Transaction session
+ * @returns {Promise<Object>} Return entry
+ */
+export const postReturnCredit = async ({ accountId, sale, amount, returnNumber, user, session = null }) => {
+  const credit = roundCurrency(amount);
+
+  const account = await CreditAccount.findByIdAndUpdate(
+    accountId,
+    { $inc: { balance: -credit } },
+    { new: true, session }
+  );
+
+  if (!account) {
+    throw new HttpError(404, 'Credit account not found');
+  }
+
+  const [entry] = await ReceivableEntry.create([{
+    account: account._id,
+    type: 'return',
+    amount: -credit,
+    balanceAfter: roundCurrency(account.balance),
+    sale: sale._id,
+    returnNumber,
+    recordedBy: user
+  }], { session });
+
+  return entry;
+};
+
+/**
+ * Age an account's open charges
+ * Payments and return credits settle the oldest charges first; voided charges and their void entries cancel out
+ * @param {Array} entries - The account's ledger entries
+ * @param {Date} [asOf] - Date to age the charges at
+ * @returns {Object} Bucket totals keyed by AGING_BUCKETS key, plus total, unappliedCredit and openCharges
+ */
+export const ageReceivables = (entries, asOf = new Date()) => {
+  const charges = entries
+    .filter(entry => entry.type === 'charge' && !entry.voided)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  let credit = roundCurrency(entries
+    .filter(entry => ['payment', 'return'].includes(entry.type))
+    .reduce((sum, entry) => sum - entry.amount, 0));
+
+  const aging = Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+  const openCharges = [];
+
+  for (const charge of charges) {
+    const applied = Math.min(credit, charge.amount);
+    credit = roundCurrency(credit - applied);
+    const open = roundCurrency(charge.amount - applied);
+    if (open <= 0) continue;
+
+    const daysPastDue = differenceInCalendarDays(asOf, charge.dueDate);
+    const bucket = AGING_BUCKETS.find(b => daysPastDue <= b.maxDays);
+    aging[bucket.key] = roundCurrency(aging[bucket.key] + open);
+    openCharges.push({ entry: charge, open, daysPastDue: Math.max(0, daysPastDue), bucket: bucket.key });
+  }
+
+  return {
+    ...aging,
+    total: roundCurrency(AGING_BUCKETS.reduce((sum, bucket) => sum + aging[bucket.key], 0)),
+    unappliedCredit: credit,
+    openCharges
+  };
+};
@@ -0,0 +1,116 @@
+import Counter from '../models/Counter.model.js';
+
+/**
+ * Atomic document number sequences backed by the counters collection
+ */
+
+export const NUMBERING_SERIES = ['store', 'register', 'branch'];
+
+export const NUMBERING_RESETS = ['daily', 'yearly', 'never'];
+
+/**
+ * Get the reset period a date falls in (local time)
+ * @param {string} reset - 'daily', 'yearly' or 'never'
+ * @param {Date} [date] - Date to use, defaults to now
+ * @returns {string|null} YYYYMMDD, YYYY or null when the sequence never resets
+ */
+export const getSequencePeriod = (reset, date = new Date()) => {
+  const year = date.getFullYear();
+  if (reset === 'yearly') return String(year);
+  if (reset === 'never') return null;
+
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}${month}${day}`;
+};
+
+/**
+ * Build a document number: PREFIX[-SCOPE][-PERIOD]-SEQUENCE (e.g. SALE-R2-20241215-0001)
+ * @param {Object} params
+ * @param {string} params.prefix - Number prefix
+ * @param {string|null} params.scope - Register or branch code
+ * @param {string|null} params.period - Reset period
+ * @param {number|string} params.sequence - Sequence value, or '' to get the prefix shared by the series
+ * @param {number} params.padding - Minimum digits of the sequence
+ * @returns {string} Document number
+ */
+export const formatDocumentNumber = ({ prefix, scope, period, sequence, padding }) => {
+  const sequencePart = sequence === '' ? '' : String(sequence).padStart(padding, '0');
+  return [prefix, scope, period].filter(Boolean).map(part => `${part}-`).join('') + sequencePart;
+};
+
+/**
+ * Find the highest sequence already used by numbers sharing a prefix
+ * Lets a new counter continue after numbers issued before counters existed
+ * @param {Model} Model - Mongoose model holding the numbers
+ * @param {string} field - Field holding the number
+ * @param {string} numberPrefix - Shared prefix, e.g. 'SALE-20241215-'
+ * @param {ClientSession} [session] - Transaction session
+ * @returns {Promise<number>} Highest sequence, 0 when none
+ */
+export const findHighestSequence = async (Model, field, numberPrefix, session = null) => {
+  const escapedPrefix = numberPrefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const existing = await Model.find({ [field]: { $regex: `^${escapedPrefix}\\d+$` } })
+    .select(field)
+    .session(session)
+    .lean();
+
+  return existing.reduce((max, doc) => {
+    const sequence = parseInt(doc[field].slice(numberPrefix.length), 10);
+    return !isNaN(sequence) && sequence > max ? sequence : max;
+  }, 0);
+};
+
+/**
+ * Build the counter key of a sequence
+ * @param {string} series - Document type, e.g. 'sale'
+ * @param {string|null} [scope] - Register or branch code
+ * @param {string|null} [period] - Reset period
+ * @returns {string} Counter key
+ */
+export const getSequenceKey = (series, scope = null, period = null) => [series, scope || '*', period || '*'].join(':');
+
+/**
+ * Atomically take the next value of a sequence
+ * Concurrent callers always receive different values; inside a transaction the increment
+ * rolls back with the rest of the work
+ * @param {Object} params
+ * @param {string} params.series - Document type, e.g. 'sale'
+ * @param {string|null} [params.scope] - Register or branch code
+ * @param {string|null} [params.period] - Reset period
+ * @param {Function} [params.seed] - async () => starting value used only when the counter is first created
+ * @param {ClientSession} [params.session] - Transaction session
+ * @returns {Promise<Object>} Updated counter document
+ */
+export const nextSequence = async ({ series, scope = null, period = null, seed, session = null }) => {
+  const key = getSequenceKey(series, scope, period);
+
+  const exists = await Counter.exists({ key }).session(session);
+  if (!exists) {
+    const start = seed ? await seed() : 0;
+    // Upsert so that two callers creating the same counter end up with a single document
+    await Counter.updateOne(
+      { key },
+      { $setOnInsert: { series, scope, period, sequence: start } },
+      { upsert: true, session }
+    );
+  }
+
+  return Counter.findOneAndUpdate(
+    { key },
+    { $inc: { sequence: 1 } },
+    { new: true, session }
+  );
+};
+
+/**
+ * Record the number issued from a counter so admins can see the latest one per series
+ * @param {Object} counter - Counter document returned by nextSequence
+ * @param {string} number - Issued document number
+ * @param {ClientSession} [session] - Transaction session
+ */
+export const recordIssuedNumber = (counter, number, session = null) => Counter.updateOne(
+  { _id: counter._id, sequence: counter.sequence },
+  { $set: { lastNumber: number } },
+  { session }
+);
@@ -0,0 +1,163 @@
+/**
+ * X-reading and Z-reading figures for a cashier shift
+ */
+import Sale from '../models/Sale.model.js';
+import SaleReturn from '../models/SaleReturn.model.js';
+import ReceivableEntry from '../models/ReceivableEntry.model.js';
+import Layaway from '../models/Layaway.model.js';
+import { roundCurrency, getRefundsByTender } from './tenders.js';
+
+/**
+ * Sum the cash paid in (cash_in) or taken out (cash_out) of the drawer
+ * @param {Object} shift - Shift document
+ * @param {string} type - 'cash_in' or 'cash_out'
+ * @returns {number} Total amount
+ */
+const sumCashMovements = (shift, type) => roundCurrency(
+  shift.cashMovements
+    .filter(movement => movement.type === type)
+    .reduce((sum, movement) => sum + movement.amount, 0)
+);
+
+/**
+ * Build a reading of a shift from the sales and returns recorded under it
+ * An X-reading is taken while the shift is open; the Z-reading is the same figures taken when it closes
+ * @param {Object} shift - Shift document
+ * @param {Date} [asOf] - Time the reading is taken
+ * @param {ClientSession} [session] - Transaction session the shift is being closed in
+ * @returns {Promise<Object>} Reading
+ */
+export const buildShiftReading = async (shift, asOf = new Date(), session = null) => {
+  const [sales, saleReturns, payments, adjustedSales, layawayPayments, cancelledLayaways] = await Promise.all([
+    Sale.find({ shift: shift._id }).sort({ createdAt: 1 }).session(session).lean(),
+    SaleReturn.find({ shift: shift._id }).session(session).lean(),
+    ReceivableEntry.find({ shift: shift._id, type: 'payment' }).session(session).lean(),
+    // A sale voided outright already drops all of its payments, so its earlier line voids are not counted again
+    Sale.find({ 'adjustments.shift': shift._id, isVoid: false }).select('adjustments').session(session).lean(),
+    Layaway.find({ 'payments.shift': shift._id }).select('payments').session(session).lean(),
+    Layaway.find({ 'cancellation.shift': shift._id }).select('cancellation').session(session).lean()
+  ]);
+
+  const validSales = sales.filter(sale => !sale.isVoid);
+  const voidedSales = sales.filter(sale => sale.isVoid);
+  const sum = (records, field) => roundCurrency(records.reduce((total, record) => total + (record[field] || 0), 0));
+
+  // Tenders net of change; change is always paid out of cash
+  const tenders = new Map();
+  for (const sale of validSales) {
+    for (const payment of sale.payments || []) {
+      const tender = tenders.get(payment.method) || { method: payment.method, count: 0, amount: 0 };
+      tender.count += 1;
+      tender.amount += payment.amount;
+      tenders.set(payment.method, tender);
+    }
+  }
+  const totalChange = sum(validSales, 'change');
+  if (tenders.has('cash')) {
+    tenders.get('cash').amount -= totalChange;
+  }
+  const cashSales = tenders.has('cash') ? roundCurrency(tenders.get('cash').amount) : 0;
+
+  // Lines voided off sales during this shift
+  const lineVoids = adjustedSales
+    .flatMap(sale => sale.adjustments)
+    .filter(adjustment => adjustment.type === 'line_void' && adjustment.shift?.toString() === shift._id.toString());
+  const lineVoidRefunds = sum(lineVoids, 'refundAmount');
+
+  // Refunds of returns and line voids go back through the tenders they were split across;
+  // only the cash part comes out of this drawer
+  const returnRefunds = saleReturns.flatMap(getRefundsByTender);
+  const lineVoidTenderRefunds = lineVoids.flatMap(getRefundsByTender);
+  const cashRefunds = sum(returnRefunds.filter(refund => refund.method === 'cash'), 'amount');
+  const cashLineVoidRefunds = sum(lineVoidTenderRefunds.filter(refund => refund.method === 'cash'), 'amount');
+  const returnCollections = sum(saleReturns, 'balanceDue');
+
+  // Tenders net of change and refunds
+  for (const refund of [...returnRefunds, ...lineVoidTenderRefunds]) {
+    const tender = tenders.get(refund.method) || { method: refund.method, count: 0, amount: 0 };
+    tender.amount -= refund.amount;
+    tenders.set(refund.method, tender);
+  }
+  const tenderBreakdown = [...tenders.values()].map(tender => ({ ...tender, amount: roundCurrency(tender.amount) }));
+  // Payments collected on credit accounts; payments are stored as negative ledger amounts
+  const collections = roundCurrency(payments.reduce((total, payment) => total - payment.amount, 0));
+  const cashCollections = roundCurrency(payments
+    .filter(payment => payment.method === 'cash')
+    .reduce((total, payment) => total - payment.amount, 0));
+  // Layaway deposits and installments taken during this shift, and refunds of cancelled layaways paid from this drawer;
+  // a completed layaway's sale is settled by its layaway tender, so the money is only counted here
+  const shiftLayawayPayments = layawayPayments
+    .flatMap(layaway => layaway.payments)
+    .filter(payment => payment.shift.toString() === shift._id.toString());
+  const layawayCollections = sum(shiftLayawayPayments, 'amount');
+  const cashLayawayCollections = sum(shiftLayawayPayments.filter(payment => payment.method === 'cash'), 'amount');
+  const layawayCancellations = cancelledLayaways.map(layaway => layaway.cancellation);
+  const layawayRefunds = sum(layawayCancellations, 'refundAmount');
+  const cashIn = sumCashMovements(shift, 'cash_in');
+  const cashOut = sumCashMovements(shift, 'cash_out');
+
+  return {
+    shiftNumber: shift.shiftNumber,
+    registerId: shift.registerId || null,
+    openedAt: shift.openedAt,
+    readingAt: asOf,
+    beginningSaleNumber: sales.length > 0 ? sales[0].saleNumber : null,
+    endingSaleNumber: sales.length > 0 ? sales[sales.length - 1].saleNumber : null,
+    beginningReceiptNumber: sales.find(sale => sale.receiptNumber)?.receiptNumber || null,
+    endingReceiptNumber: sales.findLast(sale => sale.receiptNumber)?.receiptNumber || null,
+    sales: {
+      count: validSales.length,
+      grossSales: sum(validSales, 'subtotal'),
+      discounts: sum(validSales, 'discount'),
+      statutoryDiscounts: roundCurrency(validSales.reduce((total, sale) => total + (sale.statutoryDiscount?.amount || 0), 0)),
+      vatableSales: sum(validSales, 'vatableSales'),
+      vatExemptSales: sum(validSales, 'vatExemptSales'),
+      zeroRatedSales: sum(validSales, 'zeroRatedSales'),
+      vat: sum(validSales, 'tax'),
+      netSales: sum(validSales, 'total')
+    },
+    voids: {
+      count: voidedSales.length,
+      amount: sum(voidedSales, 'total')
+    },
+    lineVoids: {
+      count: lineVoids.length,
+      refunds: lineVoidRefunds
+    },
+    returns: {
+      count: saleReturns.length,
+      refunds: sum(saleReturns, 'refundAmount'),
+      collections: returnCollections
+    },
+    receivables: {
+      count: payments.length,
+      collections,
+      cashCollections
+    },
+    layaways: {
+      paymentCount: shiftLayawayPayments.length,
+      collections: layawayCollections,
+      cashCollections: cashLayawayCollections,
+      cancellations: layawayCancellations.length,
+      refunds: layawayRefunds,
+      forfeited: sum(layawayCancellations, 'forfeitedAmount')
+    },
+    tenderBreakdown,
+    cash: {
+      openingFloat: roundCurrency(shift.openingFloat),
+      cashSales,
+      cashIn,
+      cashOut,
+      cashRefunds,
+      lineVoidRefunds: cashLineVoidRefunds,
+      returnCollections,
+      receivableCollections: cashCollections,
+      layawayCollections: cashLayawayCollections,
+      layawayRefunds,
+      expectedCash: roundCurrency(
+        shift.openingFloat + cashSales + cashIn - cashOut - cashRefunds - cashLineVoidRefunds + returnCollections + cashCollections
+        + cashLayawayCollections - layawayRefunds
+      )
+    }
+  };
+};
@@ -0,0 +1,83 @@
+/**
+ * Tax helpers shared by sale processing
+ */
+import { roundCurrency } from './tenders.js';
+
+export const TAX_CLASSES = ['vatable', 'vat_exempt', 'zero_rated'];
+
+export const DEFAULT_VAT_RATE = 12;
+
+/**
+ * Build the tax configuration from store settings or from the snapshot kept on a sale
+ * Sales recorded before tax settings existed used 12% VAT added on top of the price
+ * @param {Object} source - Settings or Sale document
+ * @returns {Object} { vatRate (fraction), pricesIncludeVat, vatRegistered }
+ */
+export const getTaxConfig = (source) => ({
+  vatRate: (source?.vatRate ?? DEFAULT_VAT_RATE) / 100,
+  pricesIncludeVat: !!source?.pricesIncludeVat,
+  vatRegistered: source?.vatRegistered ?? true
+});
+
+/**
+ * Strip VAT from a shelf price when prices are VAT-inclusive
+ * Senior Citizen/PWD discounts are computed on the VAT-exclusive price
+ * @param {number} price - Shelf price
+ * @param {string} taxClass - Product tax class
+ * @param {Object} config - Tax configuration
+ * @returns {number} VAT-exclusive price
+ */
+export const removeVat = (price, taxClass, config) => {
+  if (config.vatRegistered && config.pricesIncludeVat && (taxClass || 'vatable') === 'vatable') {
+    return price / (1 + config.vatRate);
+  }
+  return price;
+};
+
+/**
+ * Split line amounts into VATable, VAT-exempt and zero-rated sales and compute output VAT
+ * Non-VAT-registered stores charge no VAT, so all of their sales are reported as VAT-exempt
+ * @param {Array} lines - [{ amount, taxClass }] with amounts net of discounts, at shelf price
+ * @param {Object} config - Tax configuration from getTaxConfig
+ * @param {boolean} [vatExempt=false] - Senior Citizen/PWD sale: VATable lines become exempt
+ * @returns {Object} { vatableSales, vatExemptSales, zeroRatedSales, tax, total }
+ */
+export const calculateTaxes = (lines, config, vatExempt = false) => {
+  let vatableAmount = 0;
+  let vatExemptSales = 0;
+  let zeroRatedSales = 0;
+
+  for (const line of lines) {
+    const taxClass = line.taxClass || 'vatable';
+
+    if (!config.vatRegistered || taxClass === 'vat_exempt' || (taxClass === 'vatable' && vatExempt)) {
+      vatExemptSales += line.amount;
+    } else if (taxClass === 'zero_rated') {
+      zeroRatedSales += line.amount;
+    } else {
+      vatableAmount += line.amount;
+    }
+  }
+
+  let vatableSales;
+  let tax;
+  if (config.pricesIncludeVat) {
+    // Shelf price already carries VAT: back it out of the VATable amount
+    vatableSales = roundCurrency(vatableAmount / (1 + config.vatRate));
+    tax = roundCurrency(vatableAmount - vatableSales);
+  } else {
+    vatableSales = roundCurrency(vatableAmount);
+    tax = roundCurrency(vatableAmount * config.vatRate);
+  }
+
+  vatExemptSales = roundCurrency(vatExemptSales);
+  zeroRatedSales = roundCurrency(zeroRatedSales);
+
+  return {
+    vatableSales,
+    vatExemptSales,
+    zeroRatedSales,
+    tax,
+    total: roundCurrency(vatableSales + vatExemptSales + zeroRatedSales + tax)
+  };
+};
@@ -0,0 +1,164 @@
+/**
+ * Tender (payment) helpers shared by sale processing
+ */
+
+const METHOD_LABELS = {
+  cash: 'Cash',
+  gcash: 'GCash',
+  maya: 'Maya',
+  card: 'Card',
+  bank_transfer: 'Bank Transfer',
+  check: 'Check',
+  charge: 'Charge',
+  points: 'Loyalty Points',
+  layaway: 'Layaway Payments',
+  split: 'Split Payment'
+};
+
+/**
+ * Round a peso amount to centavos
+ * @param {number} value - Amount to round
+ * @returns {number} Amount rounded to 2 decimal places
+ */
+export const roundCurrency = (value) => Math.round(((parseFloat(value) || 0) + Number.EPSILON) * 100) / 100;
+
+/**
+ * Format payment method code to a human-readable label
+ * @param {string} method - Payment method code
+ * @returns {string} Payment method label
+ */
+export const formatPaymentMethod = (method) => METHOD_LABELS[method] || method;
+
+/**
+ * Normalize the tenders submitted with a sale
+ * Falls back to the legacy single cash payment (paymentMethod + cashRendered) when no tenders are sent
+ * @param {Object} body - Request body
+ * @param {Array} [body.payments] - Tenders: [{ method, amount, referenceNumber }]
+ * @param {string} [body.paymentMethod] - Legacy payment method
+ * @param {number} [body.cashRendered] - Legacy cash rendered
+ * @returns {Array} Normalized tenders
+ */
+export const normalizeTenders = ({ payments, paymentMethod, cashRendered }) => {
+  if (Array.isArray(payments) && payments.length > 0) {
+    return payments.map(payment => ({
+      method: payment.method,
+      amount: roundCurrency(payment.amount),
+      referenceNumber: payment.referenceNumber?.toString().trim() || undefined
+    }));
+  }
+
+  if ((!paymentMethod || paymentMethod === 'cash') && parseFloat(cashRendered) > 0) {
+    return [{ method: 'cash', amount: roundCurrency(cashRendered) }];
+  }
+
+  return [];
+};
+
+/**
+ * Validate tenders that do not depend on the sale total
+ * @param {Array} tenders - Normalized tenders
+ * @returns {string|null} Error message or null when valid
+ */
+export const validateTenders = (tenders) => {
+  if (tenders.length === 0) {
+    return 'At least one payment is required';
+  }
+
+  for (const tender of tenders) {
+    if (!(tender.amount > 0)) {
+      return `${formatPaymentMethod(tender.method)} amount must be greater than 0`;
+    }
+    // Every non-cash tender must be traceable (approval code, transaction or check number);
+    // charges and points are traced through the credit account and the customer instead
+    if (!['cash', 'charge', 'points'].includes(tender.method) && !tender.referenceNumber) {
+      return `Reference number is required for ${formatPaymentMethod(tender.method)} payments`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Settle tenders against the sale total
+ * Change is only ever given out of cash, so non-cash tenders cannot exceed the total
+ * @param {Array} tenders - Normalized tenders
+ * @param {number} total - Sale total
+ * @returns {Object} { error } or { paymentMethod, totalTendered, cashTendered, change }
+ */
+export const settleTenders = (tenders, total) => {
+  const amountDue = roundCurrency(total);
+  const cashTendered = roundCurrency(tenders
+    .filter(tender => tender.method === 'cash')
+    .reduce((sum, tender) => sum + tender.amount, 0));
+  const nonCashTendered = roundCurrency(tenders
+    .filter(tender => tender.method !== 'cash')
+    .reduce((sum, tender) => sum + tender.amount, 0));
+  const totalTendered = roundCurrency(cashTendered + nonCashTendered);
+
+  if (nonCashTendered > amountDue) {
+    return {
+      error: `Non-cash payments (${nonCashTendered}) cannot exceed the total amount (${amountDue})`
+    };
+  }
+
+  if (totalTendered < amountDue) {
+    return {
+      error: `Total payments (${totalTendered}) must be at least equal to the total amount (${amountDue})`
+    };
+  }
+
+  const methods = [...new Set(tenders.map(tender => tender.method))];
+
+  return {
+    paymentMethod: methods.length === 1 ? methods[0] : 'split',
+    totalTendered,
+    cashTendered,
+    change: roundCurrency(totalTendered - amountDue)
+  };
+};
+
+/**
+ * Split a refund across the tenders a sale was paid with, in proportion to what each tender paid
+ * Change given on the sale comes off its cash; any rounding difference is settled on the last tender
+ * @param {Object} sale - Sale with payments and change
+ * @param {number} amount - Amount to refund
+ * @returns {Array} Refund per payment method: [{ method, amount }]
+ */
+export const splitRefundByTender = (sale, amount) => {
+  const refund = roundCurrency(amount);
+  if (refund <= 0) return [];
+
+  const paid = new Map();
+  for (const payment of sale.payments || []) {
+    paid.set(payment.method, (paid.get(payment.method) || 0) + payment.amount);
+  }
+  if (paid.has('cash')) {
+    paid.set('cash', paid.get('cash') - (sale.change || 0));
+  }
+
+  const tenders = [...paid.entries()].filter(([, value]) => value > 0);
+  const totalPaid = tenders.reduce((sum, [, value]) => sum + value, 0);
+  // Sales recorded before tenders were kept were paid in cash
+  if (tenders.length === 0) {
+    return [{ method: 'cash', amount: refund }];
+  }
+
+  let remaining = refund;
+  return tenders
+    .map(([method, value], index) => {
+      const share = index === tenders.length - 1 ? remaining : roundCurrency(refund * value / totalPaid);
+      remaining = roundCurrency(remaining - share);
+      return { method, amount: share };
+    })
+    .filter(share => share.amount > 0);
+};
+
+/**
+ * Get the tenders a line void's or return's refund went back to
+ * Refunds recorded before they were split across tenders were paid in cash
+ * @param {Object} record - Line void adjustment or sale return, with refundAmount and refunds
+ * @returns {Array} [{ method, amount }]
+ */
+export const getRefundsByTender = (record) => (record.refunds?.length > 0
+  ? record.refunds
+  : [{ method: 'cash', amount: record.refundAmount }]);
@@ -0,0 +1,38 @@
+/**
+ * Narrow PDF receipts sized for 58mm and 80mm thermal paper
+ */
+import { jsPDF } from 'jspdf';
+
+// Printable width in mm for each paper width; thermal heads do not print to the paper edge
+const PRINTABLE_WIDTH = { '80mm': 72, '58mm': 48 };
+const PAPER_WIDTH = { '80mm': 80, '58mm': 58 };
+
+const MARGIN_TOP = 4;
+const LINE_HEIGHT = 3.2;
+// Courier characters are 0.6em wide; a 7pt font fits 48 columns in 72mm and 32 columns in 48mm
+const FONT_SIZE = 7;
+
+/**
+ * Render receipt lines as a single-page PDF as long as the receipt
+ * @param {Array<Object>} lines - Lines as { text, style } from buildReceiptLines
+ * @param {string} paperWidth - '80mm' or '58mm'
+ * @returns {Buffer} PDF bytes
+ */
+export const renderThermalPdf = (lines, paperWidth) => {
+  const width = PAPER_WIDTH[paperWidth] || PAPER_WIDTH['80mm'];
+  const margin = (width - (PRINTABLE_WIDTH[paperWidth] || PRINTABLE_WIDTH['80mm'])) / 2;
+  const height = MARGIN_TOP * 2 + lines.length * LINE_HEIGHT + 4;
+
+  const doc = new jsPDF({ unit: 'mm', format: [width, height] });
+  doc.setFont('courier', 'normal');
+  doc.setFontSize(FONT_SIZE);
+
+  let yPosition = MARGIN_TOP + LINE_HEIGHT;
+  for (const { text, style } of lines) {
+    doc.setFont('courier', style ? 'bold' : 'normal');
+    doc.text(text, margin, yPosition);
+    yPosition += LINE_HEIGHT;
+  }
+
+  return Buffer.from(doc.output('arraybuffer'));
+};
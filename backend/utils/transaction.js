@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+import { HttpError } from './httpError.js';
+
+/**
+ * Run work inside a MongoDB transaction so that all of its writes commit or roll back together
+ * Transient failures such as write conflicts between concurrent checkouts are retried by the driver.
+ * Transactions need MongoDB running as a replica set (a single-node replica set is enough).
+ * @param {Function} work - async (session) => result; pass the session to every read and write
+ * @returns {Promise<*>} Result of work
+ */
+export const runInTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    // A unique index rejected a concurrent insert (e.g. the same sale number): report it as a conflict
+    if (error.code === 11000) {
+      const field = Object.keys(error.keyValue || {})[0] || 'record';
+      throw new HttpError(409, `Another transaction saved the same ${field} at the same time. Please try again.`);
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
@@ -9,7 +9,15 @@ const Dashboard = lazy(() => import('./pages/Dashboard'));
 const Suppliers = lazy(() => import('./pages/Suppliers'));
 const Products = lazy(() => import('./pages/Products'));
 const Categories = lazy(() => import('./pages/Categories'));
+const PriceLists = lazy(() => import('./pages/PriceLists'));
+const Labels = lazy(() => import('./pages/Labels'));
 const Sales = lazy(() => import('./pages/Sales'));
+const Quotations = lazy(() => import('./pages/Quotations'));
+const Deliveries = lazy(() => import('./pages/Deliveries'));
+const Layaways = lazy(() => import('./pages/Layaways'));
+const CreditAccounts = lazy(() => import('./pages/CreditAccounts'));
+const Customers = lazy(() => import('./pages/Customers'));
+const Shifts = lazy(() => import('./pages/Shifts'));
 const Inventory = lazy(() => import('./pages/Inventory'));
 const Reports = lazy(() => import('./pages/Reports'));
 const Users = lazy(() => import('./pages/Users'));
@@ -58,7 +66,22 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="price-lists"
+            element={
+              <ProtectedRoute requiredRole="admin">
+                <PriceLists />
+              </ProtectedRoute>
+            }
+          />
+          <Route path="labels" element={<Labels />} />
           <Route path="sales" element={<Sales />} />
+          <Route path="quotations" element={<Quotations />} />
+          <Route path="deliveries" element={<Deliveries />} />
+          <Route path="layaways" element={<Layaways />} />
+          <Route path="customers" element={<Customers />} />
+          <Route path="credit-accounts" element={<CreditAccounts />} />
+          <Route path="shifts" element={<Shifts />} />
           <Route path="inventory" element={<Inventory />} />
           <Route path="reports" element={<Reports />} />
           <Route path="profile" element={<Profile />} />
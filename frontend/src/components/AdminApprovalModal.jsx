@@ -0,0 +1,147 @@
+import { useState, useEffect } from 'react';
+
+const APPROVAL_MODES = [
+  { value: 'code', label: 'SuperAdmin Code' },
+  { value: 'credentials', label: 'Admin Sign-in' }
+];
+
+const AdminApprovalModal = ({
+  isOpen,
+  onClose,
+  onConfirm,
+  title,
+  message,
+  confirmText = 'Approve',
+  cancelText = 'Cancel',
+  isLoading = false
+}) => {
+  const [mode, setMode] = useState('code');
+  const [code, setCode] = useState('');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+
+  useEffect(() => {
+    if (isOpen) {
+      setMode('code');
+      setCode('');
+      setUsername('');
+      setPassword('');
+    }
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const isComplete = mode === 'code' ? code !== '' : username.trim() !== '' && password !== '';
+
+  const handleConfirm = (e) => {
+    e.preventDefault();
+    if (!isComplete || isLoading) return;
+    onConfirm(mode === 'code'
+      ? { code }
+      : { credentials: { username: username.trim(), password } });
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      onClick={() => {
+        if (!isLoading) {
+          onClose();
+        }
+      }}
+    >
+      <form
+        className="bg-white p-6 rounded-lg shadow-xl w-full max-w-md mx-4"
+        onClick={(e) => e.stopPropagation()}
+        onSubmit={handleConfirm}
+      >
+        <div className="flex items-center space-x-4 mb-4">
+          <div className="text-4xl">⚠️</div>
+          <div className="flex-1">
+            <h3 className="text-xl font-bold text-gray-900">{title}</h3>
+          </div>
+        </div>
+
+        {message && <p className="text-gray-600 mb-4 whitespace-pre-line">{message}</p>}
+
+        <div className="flex rounded-lg border overflow-hidden mb-4">
+          {APPROVAL_MODES.map((option) => (
+            <button
+              key={option.value}
+              type="button"
+              onClick={() => setMode(option.value)}
+              className={`flex-1 px-3 py-2 text-sm font-medium ${
+                mode === option.value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        {mode === 'code' ? (
+          <div className="mb-6">
+            <label className="block text-sm font-medium text-gray-700 mb-2">SuperAdmin Code</label>
+            <input
+              type="password"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="Enter SuperAdmin code"
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+              autoFocus
+              autoComplete="new-password"
+            />
+          </div>
+        ) : (
+          <div className="mb-6 space-y-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Admin Username</label>
+              <input
+                type="text"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+                autoFocus
+                autoComplete="off"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Password</label>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+                autoComplete="new-password"
+              />
+            </div>
+          </div>
+        )}
+
+        <div className="flex space-x-3 justify-end">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={isLoading}
+            className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {cancelText}
+          </button>
+          <button
+            type="submit"
+            disabled={!isComplete || isLoading}
+            className={`px-4 py-2 rounded-lg transition-colors font-medium ${
+              !isComplete || isLoading
+                ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                : 'bg-orange-600 hover:bg-orange-700 text-white'
+            }`}
+          >
+            {isLoading ? 'Processing...' : confirmText}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default AdminApprovalModal;
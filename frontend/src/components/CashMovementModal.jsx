@@ -0,0 +1,99 @@
+import { useState, useEffect } from 'react';
+import { getCashMovementLabel } from '../constants/shifts';
+
+const CashMovementModal = ({
+  isOpen,
+  onClose,
+  onConfirm,
+  type = 'cash_in',
+  isLoading = false
+}) => {
+  const [amount, setAmount] = useState('');
+  const [reason, setReason] = useState('');
+
+  useEffect(() => {
+    if (isOpen) {
+      setAmount('');
+      setReason('');
+    }
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const isFormValid = parseFloat(amount) > 0 && reason.trim();
+
+  const handleConfirm = () => {
+    if (isFormValid && !isLoading) {
+      onConfirm({ type, amount: parseFloat(amount), reason: reason.trim() });
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      onClick={() => {
+        if (!isLoading) {
+          onClose();
+        }
+      }}
+    >
+      <div
+        className="bg-white p-6 rounded-lg shadow-xl w-full max-w-md mx-4"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 className="text-xl font-bold text-gray-900 mb-2">{getCashMovementLabel(type)}</h3>
+        <p className="text-gray-600 mb-4">
+          {type === 'cash_in'
+            ? 'Record cash added to the drawer, such as a change fund top-up.'
+            : 'Record cash taken from the drawer, such as petty cash or a pickup to the safe.'}
+        </p>
+
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-gray-700 mb-2">Amount *</label>
+          <input
+            type="number"
+            step="0.01"
+            min={0}
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+            autoFocus
+            disabled={isLoading}
+          />
+        </div>
+
+        <div className="mb-6">
+          <label className="block text-sm font-medium text-gray-700 mb-2">Reason *</label>
+          <input
+            type="text"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            onKeyPress={(e) => e.key === 'Enter' && handleConfirm()}
+            placeholder={type === 'cash_in' ? 'e.g. Additional change fund' : 'e.g. Pickup to safe'}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+            disabled={isLoading}
+          />
+        </div>
+
+        <div className="flex gap-3 justify-end">
+          <button
+            onClick={onClose}
+            disabled={isLoading}
+            className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleConfirm}
+            disabled={!isFormValid || isLoading}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isLoading ? 'Saving...' : 'Record'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CashMovementModal;
@@ -0,0 +1,116 @@
+import { useState, useEffect } from 'react';
+import { CASH_DENOMINATIONS } from '../constants/shifts';
+import { formatCurrencyDisplay } from '../utils/utils';
+import { roundCurrency } from '../utils/pricing';
+
+const CloseShiftModal = ({
+  isOpen,
+  onClose,
+  onConfirm,
+  shiftNumber,
+  isLoading = false
+}) => {
+  const [counts, setCounts] = useState({});
+  const [notes, setNotes] = useState('');
+
+  useEffect(() => {
+    if (isOpen) {
+      setCounts({});
+      setNotes('');
+    }
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  // The expected cash is not shown so the count is blind; over/short is reported after closing
+  const countedCash = roundCurrency(CASH_DENOMINATIONS.reduce(
+    (sum, denomination) => sum + denomination.value * (parseInt(counts[denomination.value], 10) || 0),
+    0
+  ));
+
+  const handleConfirm = () => {
+    if (isLoading) return;
+    onConfirm({
+      denominations: CASH_DENOMINATIONS.map(denomination => ({
+        denomination: denomination.value,
+        count: parseInt(counts[denomination.value], 10) || 0
+      })),
+      notes: notes.trim() || undefined
+    });
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      onClick={() => {
+        if (!isLoading) {
+          onClose();
+        }
+      }}
+    >
+      <div
+        className="bg-white p-6 rounded-lg shadow-xl w-full max-w-lg max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 className="text-xl font-bold text-gray-900 mb-2">Close Shift {shiftNumber}</h3>
+        <p className="text-gray-600 mb-4">
+          Count the cash in the drawer. Closing the shift takes the Z-reading and records any overage or shortage.
+        </p>
+
+        <div className="grid grid-cols-2 gap-3 mb-4">
+          {CASH_DENOMINATIONS.map((denomination) => (
+            <div key={denomination.value} className="flex items-center gap-2">
+              <span className="w-16 text-sm font-medium text-gray-700">{denomination.label}</span>
+              <span className="text-gray-400">×</span>
+              <input
+                type="number"
+                min={0}
+                step="1"
+                value={counts[denomination.value] ?? ''}
+                onChange={(e) => setCounts({ ...counts, [denomination.value]: e.target.value })}
+                className="w-20 px-2 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 outline-none"
+                placeholder="0"
+                disabled={isLoading}
+              />
+            </div>
+          ))}
+        </div>
+
+        <div className="flex justify-between text-lg font-semibold border-t pt-3 mb-4">
+          <span>Counted Cash:</span>
+          <span>{formatCurrencyDisplay(countedCash)}</span>
+        </div>
+
+        <div className="mb-6">
+          <label className="block text-sm font-medium text-gray-700 mb-2">Notes</label>
+          <textarea
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            rows={2}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+            disabled={isLoading}
+          />
+        </div>
+
+        <div className="flex gap-3 justify-end">
+          <button
+            onClick={onClose}
+            disabled={isLoading}
+            className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleConfirm}
+            disabled={isLoading}
+            className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isLoading ? 'Closing...' : 'Close Shift'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CloseShiftModal;
@@ -0,0 +1,116 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { getCustomerTypeLabel } from '../constants/customerTypes';
+import { getCustomerPriceList } from '../utils/pricing';
+
+// Wait for the cashier to stop typing before searching
+const SEARCH_DELAY_MS = 300;
+
+const CustomerLookup = ({
+  customer = null,
+  onSelect,
+  onClear,
+  showPoints = false,
+  disabled = false
+}) => {
+  const [search, setSearch] = useState('');
+  const [results, setResults] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+
+  useEffect(() => {
+    const term = search.trim();
+    if (term.length < 2) {
+      setResults([]);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      setIsSearching(true);
+      try {
+        const response = await axios.get('/customers', {
+          params: { search: term, isActive: true, lookup: true }
+        });
+        setResults(response.data.data);
+      } catch (error) {
+        // Error handled by axios interceptor
+      } finally {
+        setIsSearching(false);
+      }
+    }, SEARCH_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  const handleSelect = (selected) => {
+    setSearch('');
+    setResults([]);
+    onSelect(selected);
+  };
+
+  if (customer) {
+    return (
+      <div className="flex justify-between items-center p-3 bg-green-50 border border-green-200 rounded-lg">
+        <div>
+          <div className="font-medium">{customer.name}</div>
+          <div className="text-xs text-gray-600">
+            {[
+              customer.customerNumber,
+              customer.customerType && customer.customerType !== 'retail' && `${getCustomerTypeLabel(customer.customerType)} pricing`,
+              getCustomerPriceList(customer) && `${customer.priceList.name} price list`,
+              customer.phone,
+              customer.tinNumber && `TIN ${customer.tinNumber}`,
+              showPoints && `${customer.loyaltyPoints} points`
+            ].filter(Boolean).join(' · ')}
+          </div>
+        </div>
+        {!disabled && (
+          <button
+            type="button"
+            onClick={onClear}
+            className="text-sm text-red-600 hover:text-red-800"
+          >
+            Remove
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="relative">
+      <input
+        type="text"
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        disabled={disabled}
+        className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        placeholder="Search customer by name, phone or TIN..."
+      />
+      {search.trim().length >= 2 && (
+        <div className="absolute z-10 w-full mt-1 bg-white border rounded-lg shadow-lg max-h-60 overflow-y-auto">
+          {isSearching && results.length === 0 ? (
+            <div className="px-3 py-2 text-sm text-gray-500">Searching...</div>
+          ) : results.length === 0 ? (
+            <div className="px-3 py-2 text-sm text-gray-500">No customers found. Enter the details below to add one.</div>
+          ) : (
+            results.map((result) => (
+              <button
+                key={result._id}
+                type="button"
+                onClick={() => handleSelect(result)}
+                className="w-full text-left px-3 py-2 hover:bg-blue-50 border-b last:border-b-0"
+              >
+                <div className="font-medium">{result.name}</div>
+                <div className="text-xs text-gray-500">
+                  {[result.customerNumber, result.phone, result.tinNumber && `TIN ${result.tinNumber}`].filter(Boolean).join(' · ')}
+                </div>
+              </button>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CustomerLookup;
@@ -0,0 +1,95 @@
+const HeldCartsModal = ({
+  isOpen,
+  onClose,
+  heldCarts = [],
+  onResume,
+  onDiscard,
+  canDiscard,
+  isLoading = false
+}) => {
+  if (!isOpen) return null;
+
+  const formatExpiry = (expiresAt) => new Date(expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      onClick={() => {
+        if (!isLoading) {
+          onClose();
+        }
+      }}
+    >
+      <div
+        className="bg-white p-6 rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-xl font-bold text-gray-900">Held Carts</h3>
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={isLoading}
+            className="text-gray-500 hover:text-gray-700 disabled:opacity-50"
+            aria-label="Close modal"
+          >
+            ✕
+          </button>
+        </div>
+
+        {heldCarts.length === 0 ? (
+          <p className="text-gray-500 text-center py-6">No carts are on hold</p>
+        ) : (
+          <div className="space-y-3">
+            {heldCarts.map((heldCart) => {
+              const quantity = heldCart.items.reduce((sum, item) => sum + item.quantity, 0);
+              return (
+                <div key={heldCart._id} className="border rounded-lg p-3">
+                  <div className="flex flex-col sm:flex-row sm:items-start justify-between gap-2">
+                    <div>
+                      <div className="font-semibold">{heldCart.label}</div>
+                      <div className="text-sm text-gray-600">
+                        {heldCart.items.length} {heldCart.items.length === 1 ? 'product' : 'products'}, {quantity} {quantity === 1 ? 'unit' : 'units'}
+                        {heldCart.reserveStock && <span className="ml-2 text-xs px-2 py-0.5 rounded bg-yellow-100 text-yellow-800">Stock reserved</span>}
+                      </div>
+                      <div className="text-xs text-gray-500 mt-1">
+                        {heldCart.items.map(item => `${item.product?.name || 'Unavailable product'} × ${item.quantity}`).join(', ')}
+                      </div>
+                      <div className="text-xs text-gray-500 mt-1">
+                        Held by {heldCart.heldBy?.username || 'unknown'}
+                        {heldCart.registerId && ` on ${heldCart.registerId}`}
+                        {' · '}expires {formatExpiry(heldCart.expiresAt)}
+                      </div>
+                    </div>
+                    <div className="flex gap-2 shrink-0">
+                      {canDiscard(heldCart) && (
+                        <button
+                          type="button"
+                          onClick={() => onDiscard(heldCart)}
+                          disabled={isLoading}
+                          className="px-3 py-1 text-sm bg-gray-200 text-gray-800 rounded hover:bg-gray-300 disabled:opacity-50"
+                        >
+                          Discard
+                        </button>
+                      )}
+                      <button
+                        type="button"
+                        onClick={() => onResume(heldCart)}
+                        disabled={isLoading}
+                        className="px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+                      >
+                        Resume
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HeldCartsModal;
@@ -0,0 +1,109 @@
+import { useState, useEffect } from 'react';
+
+const HoldCartModal = ({
+  isOpen,
+  onClose,
+  onConfirm,
+  itemCount = 0,
+  isLoading = false
+}) => {
+  const [label, setLabel] = useState('');
+  const [reserveStock, setReserveStock] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setLabel('');
+      setReserveStock(false);
+    }
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const handleConfirm = () => {
+    if (label.trim() && !isLoading) {
+      onConfirm({ label: label.trim(), reserveStock });
+    }
+  };
+
+  const handleKeyPress = (e) => {
+    if (e.key === 'Enter') {
+      handleConfirm();
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      onClick={() => {
+        if (!isLoading) {
+          onClose();
+        }
+      }}
+    >
+      <div
+        className="bg-white p-6 rounded-lg shadow-xl w-full max-w-md mx-4"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center space-x-4 mb-4">
+          <div className="text-4xl">⏸️</div>
+          <div className="flex-1">
+            <h3 className="text-xl font-bold text-gray-900">Hold Cart</h3>
+          </div>
+        </div>
+
+        <p className="text-gray-600 mb-4">
+          Park this cart ({itemCount} {itemCount === 1 ? 'item' : 'items'}) to serve other customers. It can be resumed from any register.
+        </p>
+
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Label *
+          </label>
+          <input
+            type="text"
+            value={label}
+            onChange={(e) => setLabel(e.target.value)}
+            onKeyPress={handleKeyPress}
+            maxLength={50}
+            placeholder="e.g. Juan - contractor, blue truck"
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+            autoFocus
+            disabled={isLoading}
+          />
+        </div>
+
+        <label className="flex items-start gap-3 mb-6">
+          <input
+            type="checkbox"
+            checked={reserveStock}
+            onChange={(e) => setReserveStock(e.target.checked)}
+            disabled={isLoading}
+            className="w-4 h-4 mt-1 text-blue-600"
+          />
+          <span className="text-sm text-gray-700">
+            Reserve the held quantities so other cashiers see them as unavailable
+          </span>
+        </label>
+
+        <div className="flex gap-3 justify-end">
+          <button
+            onClick={onClose}
+            disabled={isLoading}
+            className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleConfirm}
+            disabled={!label.trim() || isLoading}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isLoading ? 'Holding...' : 'Hold Cart'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default HoldCartModal;
@@ -20,6 +20,7 @@ const MOVEMENT_TYPES = [
   { value: 'SALE', label: 'Sales (Stock Out)' },
   { value: 'RESTOCK', label: 'Restock (Stock In)' },
   { value: 'RETURN', label: 'Returns (Stock In)' },
+  { value: 'LAYAWAY', label: 'Layaway (Reserved / Returned)' },
   // { value: 'WASTAGE', label: 'Wastage / Spoilage' },
   // { value: 'ADJUSTMENT', label: 'Manual Adjustments' },
 ];
@@ -0,0 +1,185 @@
+import { useState, useEffect } from 'react';
+import { formatCurrencyDisplay, formatLocalDate } from '../utils/utils';
+import { getReferenceLabel } from '../constants/paymentMethods';
+import { LAYAWAY_PAYMENT_METHODS, describeForfeitRule } from '../constants/layaways';
+
+const LayawayModal = ({
+  isOpen,
+  onClose,
+  onConfirm,
+  total = 0,
+  terms,
+  isLoading = false
+}) => {
+  const [method, setMethod] = useState('cash');
+  const [amount, setAmount] = useState('');
+  const [referenceNumber, setReferenceNumber] = useState('');
+  const [deadline, setDeadline] = useState('');
+  const [notes, setNotes] = useState('');
+
+  const minDepositPercent = terms?.minDepositPercent ?? 20;
+  const termDays = terms?.termDays ?? 60;
+
+  useEffect(() => {
+    if (isOpen) {
+      const defaultDeadline = new Date();
+      defaultDeadline.setDate(defaultDeadline.getDate() + termDays);
+      setMethod('cash');
+      setAmount('');
+      setReferenceNumber('');
+      setDeadline(formatLocalDate(defaultDeadline));
+      setNotes('');
+    }
+  }, [isOpen, termDays]);
+
+  if (!isOpen) return null;
+
+  const minDeposit = Math.round(total * minDepositPercent) / 100;
+  const deposit = parseFloat(amount) || 0;
+
+  let error = null;
+  if (deposit >= total) {
+    error = 'The deposit covers the whole amount. Process it as a regular sale instead.';
+  } else if (deposit < minDeposit) {
+    error = `The deposit must be at least ${minDepositPercent}% of the total (${formatCurrencyDisplay(minDeposit)})`;
+  } else if (method !== 'cash' && !referenceNumber.trim()) {
+    error = `${getReferenceLabel(method)} is required`;
+  } else if (!deadline || deadline < formatLocalDate(new Date())) {
+    error = 'Choose a payment deadline from today onwards';
+  }
+
+  const handleConfirm = () => {
+    if (error || isLoading) return;
+    onConfirm({
+      payment: {
+        method,
+        amount: deposit,
+        referenceNumber: method !== 'cash' ? referenceNumber.trim() : undefined
+      },
+      deadline,
+      notes: notes.trim() || undefined
+    });
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      onClick={() => {
+        if (!isLoading) {
+          onClose();
+        }
+      }}
+    >
+      <div
+        className="bg-white p-6 rounded-lg shadow-xl w-full max-w-md max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center space-x-4 mb-4">
+          <div className="text-4xl">🗓️</div>
+          <div className="flex-1">
+            <h3 className="text-xl font-bold text-gray-900">Layaway</h3>
+          </div>
+        </div>
+
+        <p className="text-gray-600 mb-4">
+          The items are set aside for the customer and released once the balance is paid.
+          Minimum deposit: {formatCurrencyDisplay(minDeposit)} ({minDepositPercent}% of {formatCurrencyDisplay(total)}).
+        </p>
+
+        <div className="space-y-3 mb-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Deposit *</label>
+            <div className="flex gap-2">
+              <select
+                value={method}
+                onChange={(e) => setMethod(e.target.value)}
+                disabled={isLoading}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+              >
+                {LAYAWAY_PAYMENT_METHODS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                step="0.01"
+                min={0}
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+                disabled={isLoading}
+                placeholder={minDeposit.toFixed(2)}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+              />
+            </div>
+            {method !== 'cash' && (
+              <input
+                type="text"
+                value={referenceNumber}
+                onChange={(e) => setReferenceNumber(e.target.value)}
+                disabled={isLoading}
+                placeholder={getReferenceLabel(method)}
+                className="w-full mt-2 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+              />
+            )}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Pay in full by *</label>
+            <input
+              type="date"
+              value={deadline}
+              min={formatLocalDate(new Date())}
+              onChange={(e) => setDeadline(e.target.value)}
+              disabled={isLoading}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+            <input
+              type="text"
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              maxLength={500}
+              disabled={isLoading}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+            />
+          </div>
+        </div>
+
+        <div className="flex justify-between border-t pt-3 mb-2">
+          <span>Balance after deposit</span>
+          <span className="font-semibold">{formatCurrencyDisplay(Math.max(0, total - deposit))}</span>
+        </div>
+        <p className="text-xs text-gray-500 mb-4">
+          If the layaway is cancelled, {describeForfeitRule(terms)}.
+        </p>
+        {deposit > 0 && error && <p className="text-red-500 text-sm mb-4">{error}</p>}
+
+        <div className="flex space-x-3 justify-end">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={isLoading}
+            className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleConfirm}
+            disabled={!!error || isLoading}
+            className={`px-4 py-2 rounded-lg transition-colors font-medium ${
+              error || isLoading
+                ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                : 'bg-blue-600 hover:bg-blue-700 text-white'
+            }`}
+          >
+            {isLoading ? 'Processing...' : 'Open Layaway'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LayawayModal;
@@ -2,6 +2,7 @@ import { Outlet, Link, useLocation } from 'react-router-dom';
 import { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { HiChevronRight, HiMenu, HiX } from 'react-icons/hi';
+import NotificationBell from './NotificationBell';
 
 const Layout = () => {
   const { user, logout, isAdmin, isStaff } = useAuth();
@@ -23,6 +24,12 @@ const Layout = () => {
         // Core Operations
         { name: 'Dashboard', path: '/dashboard', icon: '📊', group: 'Core' },
         { name: 'Sales', path: '/sales', icon: '💰', group: 'Core' },
+        { name: 'Quotations', path: '/quotations', icon: '📝', group: 'Core' },
+        { name: 'Deliveries', path: '/deliveries', icon: '🚚', group: 'Core' },
+        { name: 'Layaways', path: '/layaways', icon: '🗓️', group: 'Core' },
+        { name: 'Customers', path: '/customers', icon: '🧑', group: 'Core' },
+        { name: 'Credit Accounts', path: '/credit-accounts', icon: '💳', group: 'Core' },
+        { name: 'Shifts', path: '/shifts', icon: '🧾', group: 'Core' },
         { name: 'Inventory', path: '/inventory', icon: '🗂️', group: 'Core' },
         
         // Product Management
@@ -32,7 +39,9 @@ const Layout = () => {
           group: 'Products',
           submenu: [
             { name: 'Product List', path: '/products', icon: '📋' },
-            { name: 'Category List', path: '/categories', icon: '🏷️' }
+            { name: 'Category List', path: '/categories', icon: '🏷️' },
+            { name: 'Price Lists', path: '/price-lists', icon: '💲' },
+            { name: 'Labels', path: '/labels', icon: '🔖' }
           ]
         },
         { name: 'Suppliers', path: '/suppliers', icon: '🏢', group: 'Products' },
@@ -47,7 +56,14 @@ const Layout = () => {
         // Core Operations
         { name: 'Dashboard', path: '/dashboard', icon: '📊', group: 'Core' },
         { name: 'Sales', path: '/sales', icon: '💰', group: 'Core' },
+        { name: 'Quotations', path: '/quotations', icon: '📝', group: 'Core' },
+        { name: 'Deliveries', path: '/deliveries', icon: '🚚', group: 'Core' },
+        { name: 'Layaways', path: '/layaways', icon: '🗓️', group: 'Core' },
+        { name: 'Customers', path: '/customers', icon: '🧑', group: 'Core' },
+        { name: 'Credit Accounts', path: '/credit-accounts', icon: '💳', group: 'Core' },
+        { name: 'Shifts', path: '/shifts', icon: '🧾', group: 'Core' },
         { name: 'Inventory', path: '/inventory', icon: '🗂️', group: 'Core' },
+        { name: 'Labels', path: '/labels', icon: '🔖', group: 'Core' },
       ];
     }
     return [];
@@ -240,19 +256,22 @@ const Layout = () => {
           </nav>
 
           <div className="p-4 border-t border-gray-800">
-            <Link
-              to="/profile"
-              className={`flex items-center justify-between mb-4 p-3 rounded-lg transition-colors ${
-                isActive('/profile')
-                  ? 'bg-gray-800'
-                  : 'hover:bg-gray-800 cursor-pointer'
-              }`}
-            >
-              <div>
-                <p className="font-semibold">{user?.username}</p>
-                <p className="text-sm text-gray-400 capitalize">{user?.role}</p>
-              </div>
-            </Link>
+            <div className="flex items-center gap-2 mb-4">
+              <Link
+                to="/profile"
+                className={`flex-1 flex items-center justify-between p-3 rounded-lg transition-colors ${
+                  isActive('/profile')
+                    ? 'bg-gray-800'
+                    : 'hover:bg-gray-800 cursor-pointer'
+                }`}
+              >
+                <div>
+                  <p className="font-semibold">{user?.username}</p>
+                  <p className="text-sm text-gray-400 capitalize">{user?.role}</p>
+                </div>
+              </Link>
+              <NotificationBell />
+            </div>
             <button
               onClick={logout}
               className="w-full px-4 py-2 bg-red-600 hover:bg-red-700 rounded-lg transition-colors"
@@ -0,0 +1,136 @@
+import { useState, useEffect, useRef } from 'react';
+import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
+import { HiBell } from 'react-icons/hi';
+import { formatDate } from '../utils/utils';
+
+// How often the unread count is refreshed while the app is open
+const POLL_INTERVAL_MS = 60000;
+
+const NotificationBell = () => {
+  const navigate = useNavigate();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    fetchNotifications();
+    const interval = setInterval(() => {
+      // Polling while offline would only raise connection errors
+      if (navigator.onLine) fetchNotifications();
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Close the list when clicking elsewhere
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  const fetchNotifications = async () => {
+    try {
+      const response = await axios.get('/notifications', { params: { limit: 20 } });
+      setNotifications(response.data.data);
+      setUnreadCount(response.data.unreadCount);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const handleOpen = (notification) => {
+    setIsOpen(false);
+    if (!notification.readAt) {
+      setNotifications(prev => prev.map(item =>
+        item._id === notification._id ? { ...item, readAt: new Date().toISOString() } : item
+      ));
+      setUnreadCount(prev => Math.max(0, prev - 1));
+      axios.patch(`/notifications/${notification._id}/read`).catch(() => {
+        // Error handled by axios interceptor
+      });
+    }
+    if (notification.sale) {
+      navigate('/sales', {
+        state: {
+          voidRequestSaleId: notification.sale._id,
+          tab: notification.type === 'void_request' ? 'void-requests' : undefined
+        }
+      });
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await axios.patch('/notifications/read-all');
+      setNotifications(prev => prev.map(item => ({ ...item, readAt: item.readAt || new Date().toISOString() })));
+      setUnreadCount(0);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <button
+        type="button"
+        onClick={() => {
+          if (!isOpen) fetchNotifications();
+          setIsOpen(!isOpen);
+        }}
+        className="relative p-2 rounded-lg hover:bg-gray-800 transition-colors"
+        aria-label="Notifications"
+      >
+        <HiBell className="w-6 h-6" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1.25rem] h-5 px-1 rounded-full bg-red-600 text-white text-xs font-semibold flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute bottom-full left-0 mb-2 w-72 bg-white text-gray-900 rounded-lg shadow-xl z-50">
+          <div className="flex items-center justify-between px-4 py-3 border-b">
+            <h3 className="font-semibold">Notifications</h3>
+            {unreadCount > 0 && (
+              <button
+                type="button"
+                onClick={handleMarkAllRead}
+                className="text-xs text-blue-600 hover:underline"
+              >
+                Mark all as read
+              </button>
+            )}
+          </div>
+          {notifications.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-gray-500 text-center">No notifications</p>
+          ) : (
+            <ul className="max-h-80 overflow-y-auto divide-y">
+              {notifications.map((notification) => (
+                <li key={notification._id}>
+                  <button
+                    type="button"
+                    onClick={() => handleOpen(notification)}
+                    className={`w-full text-left px-4 py-3 hover:bg-gray-50 ${notification.readAt ? '' : 'bg-blue-50'}`}
+                  >
+                    <p className="text-sm">{notification.message}</p>
+                    <p className="text-xs text-gray-500 mt-1">{formatDate(notification.createdAt)}</p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,151 @@
+import { formatCurrencyDisplay } from '../utils/utils';
+
+const STATUS_STYLES = {
+  pending: { label: 'Waiting to sync', className: 'bg-yellow-100 text-yellow-800' },
+  conflict: { label: 'Needs supervisor', className: 'bg-red-100 text-red-800' },
+  failed: { label: 'Rejected', className: 'bg-red-100 text-red-800' }
+};
+
+const OfflineSalesModal = ({
+  isOpen,
+  onClose,
+  offlineSales = [],
+  isOffline = false,
+  onSync,
+  onRetry,
+  onApprove,
+  onDiscard,
+  isLoading = false
+}) => {
+  if (!isOpen) return null;
+
+  const formatSoldAt = (soldAt) => new Date(soldAt).toLocaleString([], {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      onClick={() => {
+        if (!isLoading) {
+          onClose();
+        }
+      }}
+    >
+      <div
+        className="bg-white p-6 rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-xl font-bold text-gray-900">Offline Sales</h3>
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={isLoading}
+            className="text-gray-500 hover:text-gray-700 disabled:opacity-50"
+            aria-label="Close modal"
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 mb-4">
+          <p className="text-sm text-gray-600">
+            Sales rung up without a connection are kept on this register and posted in order once the server can be reached.
+          </p>
+          <button
+            type="button"
+            onClick={onSync}
+            disabled={isLoading || isOffline}
+            className="px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50 shrink-0"
+          >
+            {isLoading ? 'Syncing...' : 'Sync Now'}
+          </button>
+        </div>
+
+        {offlineSales.length === 0 ? (
+          <p className="text-gray-500 text-center py-6">All offline sales have been posted</p>
+        ) : (
+          <div className="space-y-3">
+            {offlineSales.map((entry) => {
+              const status = STATUS_STYLES[entry.status] || STATUS_STYLES.pending;
+              return (
+                <div key={entry.clientReference} className="border rounded-lg p-3">
+                  <div className="flex flex-col sm:flex-row sm:items-start justify-between gap-2">
+                    <div>
+                      <div className="font-semibold">
+                        {formatCurrencyDisplay(entry.saleData.total)}
+                        <span className={`ml-2 text-xs px-2 py-0.5 rounded ${status.className}`}>{status.label}</span>
+                      </div>
+                      <div className="text-xs text-gray-500 mt-1">
+                        {(entry.lines || []).map(line => `${line.name} × ${line.quantity}`).join(', ')}
+                      </div>
+                      <div className="text-xs text-gray-500 mt-1">
+                        Sold {formatSoldAt(entry.saleData.offlineSoldAt)}
+                        {entry.saleData.customerName && ` · ${entry.saleData.customerName}`}
+                      </div>
+                      {entry.message && (
+                        <div className="text-sm text-red-700 mt-2">{entry.message}</div>
+                      )}
+                      {entry.conflicts?.stock?.length > 0 && (
+                        <ul className="text-xs text-red-700 mt-1 list-disc list-inside">
+                          {entry.conflicts.stock.map(item => (
+                            <li key={item.product}>
+                              {item.name}: sold {item.requested}, only {item.available} in stock
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                      {entry.conflicts?.prices?.length > 0 && (
+                        <ul className="text-xs text-red-700 mt-1 list-disc list-inside">
+                          {entry.conflicts.prices.map(item => (
+                            <li key={item.product}>
+                              {item.name}: charged {formatCurrencyDisplay(item.offlinePrice)}, now {formatCurrencyDisplay(item.currentPrice)}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                    {entry.status !== 'pending' && (
+                      <div className="flex flex-wrap gap-2 shrink-0">
+                        <button
+                          type="button"
+                          onClick={() => onDiscard(entry)}
+                          disabled={isLoading}
+                          className="px-3 py-1 text-sm bg-gray-200 text-gray-800 rounded hover:bg-gray-300 disabled:opacity-50"
+                        >
+                          Discard
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => onRetry(entry)}
+                          disabled={isLoading || isOffline}
+                          className="px-3 py-1 text-sm bg-white border border-blue-600 text-blue-600 rounded hover:bg-blue-50 disabled:opacity-50"
+                        >
+                          Retry
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => onApprove(entry)}
+                          disabled={isLoading || isOffline}
+                          className="px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+                        >
+                          Approve & Post
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OfflineSalesModal;
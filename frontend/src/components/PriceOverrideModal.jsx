@@ -0,0 +1,133 @@
+import { useState, useEffect } from 'react';
+import { PRICE_OVERRIDE_REASONS } from '../constants/priceOverrides';
+import { formatCurrencyDisplay } from '../utils/utils';
+
+const PriceOverrideModal = ({
+  isOpen,
+  onClose,
+  onConfirm,
+  onClear,
+  item
+}) => {
+  const [price, setPrice] = useState('');
+  const [reason, setReason] = useState('');
+  const [note, setNote] = useState('');
+
+  useEffect(() => {
+    if (isOpen && item) {
+      setPrice(item.priceOverride ? String(item.price) : '');
+      setReason(item.priceOverride?.reason || '');
+      setNote(item.priceOverride?.note || '');
+    }
+  }, [isOpen, item]);
+
+  if (!isOpen || !item) return null;
+
+  // The product price is its cost; markup can be given up but the line may not sell at a loss
+  const floor = item.product.price || 0;
+  const originalPrice = item.priceOverride?.originalPrice ?? item.price;
+  const newPrice = parseFloat(price);
+
+  let error = null;
+  if (price !== '' && (Number.isNaN(newPrice) || newPrice < 0)) {
+    error = 'Enter a valid price';
+  } else if (newPrice < floor - 0.005) {
+    error = `Price cannot be below cost (${formatCurrencyDisplay(floor)})`;
+  } else if (reason === 'other' && !note.trim()) {
+    error = 'Add a note explaining the override';
+  }
+  const canSubmit = price !== '' && reason !== '' && !error;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!canSubmit) return;
+    onConfirm({ price: Math.round(newPrice * 100) / 100, reason, note: note.trim() });
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      onClick={onClose}
+    >
+      <form
+        className="bg-white p-6 rounded-lg shadow-xl w-full max-w-md mx-4"
+        onClick={(e) => e.stopPropagation()}
+        onSubmit={handleSubmit}
+      >
+        <h3 className="text-xl font-bold text-gray-900 mb-1">Override Price</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          {item.product.name} · regular price {formatCurrencyDisplay(originalPrice)} · cost {formatCurrencyDisplay(floor)}
+        </p>
+
+        <div className="space-y-3 mb-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">New Unit Price</label>
+            <input
+              type="number"
+              step="0.01"
+              min={floor}
+              value={price}
+              onChange={(e) => setPrice(e.target.value)}
+              className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              autoFocus
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+            <select
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value="">Select a reason</option>
+              {PRICE_OVERRIDE_REASONS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Note</label>
+            <input
+              type="text"
+              value={note}
+              maxLength={200}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="e.g. Competitor flyer price"
+              className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          <p className="text-xs text-gray-500">Overrides are approved by an admin when the sale is completed.</p>
+        </div>
+
+        <div className="flex flex-wrap gap-2 justify-end">
+          {item.priceOverride && (
+            <button
+              type="button"
+              onClick={onClear}
+              className="px-4 py-2 bg-white border border-red-600 text-red-600 rounded-lg hover:bg-red-50 font-medium mr-auto"
+            >
+              Remove Override
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 font-medium"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={!canSubmit}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium disabled:opacity-50"
+          >
+            Apply
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default PriceOverrideModal;
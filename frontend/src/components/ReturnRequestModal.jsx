@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
 import { formatCurrencyDisplay, formatCurrency, formatDate, formatPaymentMethod } from '../utils/utils';
+import { calculateTaxes, getTaxConfig, roundCurrency, getCustomerPriceList, resolveLinePrice } from '../utils/pricing';
 
 const VOID_REASONS = [
     'Wrong item',
@@ -16,6 +17,8 @@ const ReturnRequestModal = ({
     onClose,
     onConfirm,
     sales,
+    customer = null,
+    taxSettings,
     isLoading = false
 }) => {
     const [selectedReason, setSelectedReason] = useState('');
@@ -37,38 +40,45 @@ const ReturnRequestModal = ({
         }
     }, [isOpen]);
 
-    useEffect(() => {
-        if (sales) {
-            console.log("sales: ", sales);
-        }
-    }, [sales])
-
     if (!isOpen) return null;
 
-    const returnedAmount = returnItems.reduce((sum, item) => {
-        return sum + item.price * item.returnQty;
-    }, 0);
-
-    const originalSubtotal = (sales?.items || []).reduce((sum, item) => {
-        return sum + item.price * item.quantity;
-    }, 0);
-
-    const remainingAmount = originalSubtotal - returnedAmount;
-
-    const replacementAmount = cart.reduce((sum, item) => {
-        return sum + item.price * item.quantity;
-    }, 0);
-
-    const newSubtotal = remainingAmount + replacementAmount;
-    const vatRate = 0.12;
-    const newVat = newSubtotal * vatRate;
-    const newTotal = newSubtotal + newVat;
+    const getReturnableQty = (item) => item.quantity - (item.returnedQuantity || 0);
+
+    // Refunds are made at the price actually paid, net of any discounts on the line
+    const getNetUnitPrice = (item) => (item.subtotal - (item.discountAmount || 0)) / item.quantity;
+
+    const returnableItems = (sales?.items || []).filter(item => getReturnableQty(item) > 0);
+
+    // Replacements are priced as a new sale to the sale's customer would be, as the server prices them
+    const getReplacementPrice = (product, quantity) =>
+        resolveLinePrice(product, quantity, customer?.customerType, getCustomerPriceList(customer)).price;
+    const pricedCart = cart.map(item => ({ ...item, price: getReplacementPrice(item.product, item.quantity) }));
+
+    // Returned items are refunded under the tax settings of the original sale,
+    // replacements are charged under the current settings
+    const returnedTotal = calculateTaxes(
+        returnItems.map(item => ({ amount: roundCurrency(item.price * item.returnQty), taxClass: item.taxClass })),
+        getTaxConfig(sales),
+        !!sales?.vatExempt
+    ).total;
+    const replacementTotal = calculateTaxes(
+        pricedCart.map(item => ({ amount: item.price * item.quantity, taxClass: item.taxClass })),
+        getTaxConfig(taxSettings)
+    ).total;
+    const netAmount = replacementTotal - returnedTotal;
+    const refundAmount = netAmount < 0 ? -netAmount : 0;
+    const balanceDue = netAmount > 0 ? netAmount : 0;
+    // The refund is split across the sale's tenders; only the cash share comes out of the drawer
+    const refundTenders = [...new Set((sales?.payments || [])
+        .map(payment => payment.method)
+        .filter(method => !['cash', 'layaway'].includes(method)))];
 
     const parsedCashRendered = parseFloat(cashRendered || 0);
-    const change = parsedCashRendered > 0 ? Math.max(0, parsedCashRendered - newTotal) : 0;
+    const change = parsedCashRendered > 0 ? Math.max(0, parsedCashRendered - balanceDue) : 0;
 
     const hasReturnItems = returnItems.length > 0;
-    const isCashValid = parsedCashRendered >= newTotal && parsedCashRendered > 0;
+    // Cash is only collected when the replacement items cost more than the returned items
+    const isCashValid = balanceDue === 0 || parsedCashRendered >= balanceDue;
 
     const handleConfirm = () => {
         const reason = selectedReason === 'Other' ? customReason : selectedReason;
@@ -79,14 +89,14 @@ const ReturnRequestModal = ({
 
         onConfirm({
             returnItems,
-            replacementItems: cart,
+            replacementItems: pricedCart,
             reason: reason.trim(),
-            cashRendered: parsedCashRendered,
+            cashRendered: balanceDue > 0 ? parsedCashRendered : 0,
         });
     };
 
     const handleReturnQtyChange = (productId, value, item) => {
-        const qty = Math.max(0, Math.min(Number(value), item.quantity)); // clamp
+        const qty = Math.max(0, Math.min(Number(value), getReturnableQty(item))); // clamp
 
         setReturnItems(prev => {
             const exists = prev.find(r => r.productId === productId);
@@ -105,7 +115,8 @@ const ReturnRequestModal = ({
                     {
                         productId,
                         name: item.product.name,
-                        price: item.price,
+                        price: getNetUnitPrice(item),
+                        taxClass: item.taxClass,
                         originalQty: item.quantity,
                         returnQty: qty,
                     },
@@ -123,10 +134,6 @@ const ReturnRequestModal = ({
 
     const addToCart = (product) => {
         const existingItem = cart.find(item => item.product._id === product._id);
-        // Calculate selling price: base price + (base price * markup percentage / 100)
-        const basePrice = product.price || 0;
-        const markupPercentage = product.markupPercentage || 0;
-        const sellingPrice = basePrice + (basePrice * (markupPercentage / 100));
         if (existingItem) {
             setCart(cart.map(item =>
                 item.product._id === product._id
@@ -134,7 +141,7 @@ const ReturnRequestModal = ({
                     : item
             ));
         } else {
-            setCart([...cart, { product, quantity: 1, price: sellingPrice }]);
+            setCart([...cart, { product, quantity: 1, taxClass: product.taxClass || 'vatable' }]);
         }
     };
 
@@ -166,7 +173,7 @@ const ReturnRequestModal = ({
                 <div className="flex items-center space-x-4 mb-4">
                     <div className="text-4xl">⚠️</div>
                     <div className="flex-1">
-                        <h3 className="text-xl font-bold text-gray-900">Request to Return Item</h3>
+                        <h3 className="text-xl font-bold text-gray-900">Return / Exchange Items</h3>
                     </div>
                     <button
                         type="button"
@@ -193,7 +200,7 @@ const ReturnRequestModal = ({
                 </div>
 
                 <p className="text-gray-600 mb-4">
-                    Choose the item(s) and quantity to return, optionally add replacement items, and provide a reason.
+                    Choose the item(s) and quantity to return, optionally add replacement items, and provide a reason. Returned items are restocked immediately.
                 </p>
 
                 <div className="mb-6">
@@ -233,11 +240,11 @@ const ReturnRequestModal = ({
                 <div className="border rounded-lg p-4 mb-4">
                     <h3 className="font-semibold mb-2">Items Purchased</h3>
 
-                    {!sales?.items?.length ? (
-                        <p className="text-gray-500">No items found in this sale.</p>
+                    {!returnableItems.length ? (
+                        <p className="text-gray-500">No returnable items left in this sale.</p>
                     ) : (
                         <div className="space-y-3 max-h-40 overflow-y-auto">
-                            {sales.items.map(item => (
+                            {returnableItems.map(item => (
                                 <div
                                     key={item.product._id}
                                     className="flex justify-between items-center bg-gray-50 p-3 rounded"
@@ -246,10 +253,11 @@ const ReturnRequestModal = ({
                                     <div>
                                         <div className="font-semibold">{item.product.name}</div>
                                         <div className="text-sm text-gray-600">
-                                            {formatCurrencyDisplay(item.price)} each
+                                            {formatCurrencyDisplay(getNetUnitPrice(item))} each
                                         </div>
                                         <div className="text-xs text-gray-500">
                                             Purchased: {item.quantity}
+                                            {item.returnedQuantity > 0 && ` · Already returned: ${item.returnedQuantity}`}
                                         </div>
                                     </div>
 
@@ -273,7 +281,7 @@ const ReturnRequestModal = ({
                                         <input
                                             type="number"
                                             min={0}
-                                            max={item.quantity}
+                                            max={getReturnableQty(item)}
                                             value={
                                                 returnItems.find(r => r.productId === item.product._id)?.returnQty || 0
                                             }
@@ -323,10 +331,7 @@ const ReturnRequestModal = ({
                                     p.name.toLowerCase().includes(productSearchQuery.toLowerCase())
                                 )
                                 .map((product) => {
-                                    // Calculate selling price: base price + (base price * markup percentage / 100)
-                                    const basePrice = product.price || 0;
-                                    const markupPercentage = product.markupPercentage || 0;
-                                    const sellingPrice = basePrice + (basePrice * (markupPercentage / 100));
+                                    const sellingPrice = getReplacementPrice(product, 1);
                                     return (
                                         <button
                                             key={product._id}
@@ -354,11 +359,11 @@ const ReturnRequestModal = ({
 
                     <div className="border rounded-lg p-4">
                         <h3 className="font-semibold mb-2">Cart Summary</h3>
-                        {cart.length === 0 ? (
+                        {pricedCart.length === 0 ? (
                             <p className="text-gray-500">No items in cart</p>
                         ) : (
                             <div className="space-y-2">
-                                {cart.map((item) => (
+                                {pricedCart.map((item) => (
                                     <div key={item.product._id} className="flex items-center justify-between p-2 bg-gray-50 rounded">
                                         <div>
                                             <div className="font-semibold">{item.product.name}</div>
@@ -394,52 +399,58 @@ const ReturnRequestModal = ({
 
                 <div className="border-t pt-4 mt-4 space-y-3">
                     <div className="flex justify-between text-sm">
-                        <span>Returned Amount:</span>
-                        <span>{formatCurrencyDisplay(returnedAmount)}</span>
+                        <span>Returned Items (incl. VAT):</span>
+                        <span>{formatCurrencyDisplay(returnedTotal)}</span>
                     </div>
                     <div className="flex justify-between text-sm">
-                        <span>Remaining from Original Sale:</span>
-                        <span>{formatCurrencyDisplay(remainingAmount)}</span>
-                    </div>
-                    <div className="flex justify-between text-sm">
-                        <span>Replacement Items:</span>
-                        <span>{formatCurrencyDisplay(replacementAmount)}</span>
+                        <span>Replacement Items (incl. VAT):</span>
+                        <span>{formatCurrencyDisplay(replacementTotal)}</span>
                     </div>
 
-                    <div className="flex justify-between font-semibold border-t pt-2">
-                        <span>New Subtotal:</span>
-                        <span>{formatCurrencyDisplay(newSubtotal)}</span>
-                    </div>
-                    <div className="flex justify-between text-sm">
-                        <span>VAT (12%):</span>
-                        <span>{formatCurrencyDisplay(newVat)}</span>
-                    </div>
-                    <div className="flex justify-between text-lg font-bold">
-                        <span>New Total:</span>
-                        <span>{formatCurrencyDisplay(newTotal)}</span>
-                    </div>
+                    {refundAmount > 0 ? (
+                        <>
+                            <div className="flex justify-between text-lg font-bold border-t pt-2 text-red-600">
+                                <span>Refund to Customer:</span>
+                                <span>{formatCurrencyDisplay(refundAmount)}</span>
+                            </div>
+                            {refundTenders.length > 0 && (
+                                <p className="text-xs text-gray-500">
+                                    The refund goes back the way the sale was paid ({refundTenders.map(formatPaymentMethod).join(', ')}):
+                                    charges to the customer&apos;s account, points as points, other tenders through the same tender.
+                                    Only the cash share is paid from the drawer.
+                                </p>
+                            )}
+                        </>
+                    ) : (
+                        <div className="flex justify-between text-lg font-bold border-t pt-2">
+                            <span>Balance Due:</span>
+                            <span>{formatCurrencyDisplay(balanceDue)}</span>
+                        </div>
+                    )}
 
-                    <div className="mt-4">
-                        <label className="block text-sm font-medium text-gray-700 mb-1">
-                            Cash Rendered *
-                        </label>
-                        <input
-                            type="number"
-                            min={0}
-                            step="1"
-                            value={cashRendered}
-                            onChange={(e) => setCashRendered(e.target.value)}
-                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-orange-500 outline-none"
-                            placeholder="Enter amount paid by customer"
-                        />
-                        {!isCashValid && parsedCashRendered > 0 && (
-                            <p className="text-red-500 text-xs mt-1">
-                                Cash rendered must be at least {formatCurrencyDisplay(newTotal)}.
-                            </p>
-                        )}
-                    </div>
+                    {balanceDue > 0 && (
+                        <div className="mt-4">
+                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                                Cash Rendered *
+                            </label>
+                            <input
+                                type="number"
+                                min={0}
+                                step="0.01"
+                                value={cashRendered}
+                                onChange={(e) => setCashRendered(e.target.value)}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-orange-500 outline-none"
+                                placeholder="Enter amount paid by customer"
+                            />
+                            {!isCashValid && parsedCashRendered > 0 && (
+                                <p className="text-red-500 text-xs mt-1">
+                                    Cash rendered must be at least {formatCurrencyDisplay(balanceDue)}.
+                                </p>
+                            )}
+                        </div>
+                    )}
 
-                    {isCashValid && (
+                    {balanceDue > 0 && isCashValid && (
                         <div className="flex justify-between text-sm font-semibold text-green-600 border-t pt-2">
                             <span>Change:</span>
                             <span>{formatCurrencyDisplay(change)}</span>
@@ -463,7 +474,7 @@ const ReturnRequestModal = ({
                             : 'bg-orange-600 hover:bg-orange-700 text-white'
                             }`}
                     >
-                        {isLoading ? 'Submitting...' : 'Submit Request'}
+                        {isLoading ? 'Processing...' : 'Process Return'}
                     </button>
                 </div>
             </div>
@@ -0,0 +1,151 @@
+import { formatCurrencyDisplay, formatPaymentMethod } from '../utils/utils';
+
+const Row = ({ label, value, className = '' }) => (
+  <div className={`flex justify-between py-1 ${className}`}>
+    <span>{label}</span>
+    <span>{value}</span>
+  </div>
+);
+
+const ShiftReadingModal = ({ isOpen, onClose, reading }) => {
+  if (!isOpen || !reading) return null;
+
+  const cashierName = reading.cashier
+    ? `${reading.cashier.firstName || ''} ${reading.cashier.lastName || ''}`.trim() || reading.cashier.username
+    : '-';
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white p-6 rounded-lg shadow-xl w-full max-w-md max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="text-center mb-4">
+          <h3 className="text-xl font-bold text-gray-900">{reading.type}-Reading</h3>
+          <p className="text-sm text-gray-600">{reading.shiftNumber}{reading.registerId && ` · ${reading.registerId}`}</p>
+        </div>
+
+        <div className="text-sm space-y-4">
+          <div>
+            <Row label="Cashier" value={cashierName} />
+            <Row label="Opened" value={new Date(reading.openedAt).toLocaleString()} />
+            <Row label={reading.type === 'Z' ? 'Closed' : 'Reading Time'} value={new Date(reading.readingAt).toLocaleString()} />
+            <Row label="Beginning Sale No." value={reading.beginningSaleNumber || '-'} />
+            <Row label="Ending Sale No." value={reading.endingSaleNumber || '-'} />
+            {reading.beginningReceiptNumber && (
+              <>
+                <Row label="Beginning Receipt No." value={reading.beginningReceiptNumber} />
+                <Row label="Ending Receipt No." value={reading.endingReceiptNumber} />
+              </>
+            )}
+            {reading.zCounter !== undefined && <Row label="Z-Counter" value={reading.zCounter} />}
+          </div>
+
+          <div className="border-t pt-3">
+            <h4 className="font-semibold mb-1">Sales</h4>
+            <Row label="Transactions" value={reading.sales.count} />
+            <Row label="Gross Sales" value={formatCurrencyDisplay(reading.sales.grossSales)} />
+            <Row label="Less Discounts" value={formatCurrencyDisplay(reading.sales.discounts)} />
+            <Row label="Incl. SC/PWD Discounts" value={formatCurrencyDisplay(reading.sales.statutoryDiscounts)} className="text-gray-500" />
+            <Row label="VATable Sales" value={formatCurrencyDisplay(reading.sales.vatableSales)} />
+            <Row label="VAT-Exempt Sales" value={formatCurrencyDisplay(reading.sales.vatExemptSales)} />
+            <Row label="Zero-Rated Sales" value={formatCurrencyDisplay(reading.sales.zeroRatedSales)} />
+            <Row label="VAT" value={formatCurrencyDisplay(reading.sales.vat)} />
+            <Row label="Net Sales" value={formatCurrencyDisplay(reading.sales.netSales)} className="font-semibold" />
+            <Row label={`Voided (${reading.voids.count})`} value={formatCurrencyDisplay(reading.voids.amount)} className="text-red-600" />
+            <Row label={`Returns (${reading.returns.count}) Refunded`} value={formatCurrencyDisplay(reading.returns.refunds)} className="text-red-600" />
+            {reading.lineVoids?.count > 0 && (
+              <Row label={`Line Voids (${reading.lineVoids.count}) Refunded`} value={formatCurrencyDisplay(reading.lineVoids.refunds)} className="text-red-600" />
+            )}
+            {reading.receivables?.count > 0 && (
+              <Row label={`Account Payments (${reading.receivables.count})`} value={formatCurrencyDisplay(reading.receivables.collections)} />
+            )}
+            {reading.layaways?.paymentCount > 0 && (
+              <Row label={`Layaway Payments (${reading.layaways.paymentCount})`} value={formatCurrencyDisplay(reading.layaways.collections)} />
+            )}
+            {reading.layaways?.cancellations > 0 && (
+              <Row label={`Layaways Cancelled (${reading.layaways.cancellations}) Forfeited`} value={formatCurrencyDisplay(reading.layaways.forfeited)} />
+            )}
+          </div>
+
+          <div className="border-t pt-3">
+            <h4 className="font-semibold mb-1">Tenders</h4>
+            {reading.tenderBreakdown.length === 0 ? (
+              <p className="text-gray-500">No payments</p>
+            ) : (
+              reading.tenderBreakdown.map((tender) => (
+                <Row
+                  key={tender.method}
+                  label={`${formatPaymentMethod(tender.method)} (${tender.count})`}
+                  value={formatCurrencyDisplay(tender.amount)}
+                />
+              ))
+            )}
+          </div>
+
+          <div className="border-t pt-3">
+            <h4 className="font-semibold mb-1">Cash Drawer</h4>
+            <Row label="Opening Float" value={formatCurrencyDisplay(reading.cash.openingFloat)} />
+            <Row label="Cash Sales" value={formatCurrencyDisplay(reading.cash.cashSales)} />
+            <Row label="Cash In" value={formatCurrencyDisplay(reading.cash.cashIn)} />
+            <Row label="Cash Out" value={`-${formatCurrencyDisplay(reading.cash.cashOut)}`} />
+            <Row label="Return Refunds" value={`-${formatCurrencyDisplay(reading.cash.cashRefunds)}`} />
+            {reading.cash.lineVoidRefunds > 0 && (
+              <Row label="Line Void Refunds (Cash)" value={`-${formatCurrencyDisplay(reading.cash.lineVoidRefunds)}`} />
+            )}
+            <Row label="Return Collections" value={formatCurrencyDisplay(reading.cash.returnCollections)} />
+            {reading.cash.receivableCollections > 0 && (
+              <Row label="Account Payments (Cash)" value={formatCurrencyDisplay(reading.cash.receivableCollections)} />
+            )}
+            {reading.cash.layawayCollections > 0 && (
+              <Row label="Layaway Payments (Cash)" value={formatCurrencyDisplay(reading.cash.layawayCollections)} />
+            )}
+            {reading.cash.layawayRefunds > 0 && (
+              <Row label="Layaway Refunds" value={`-${formatCurrencyDisplay(reading.cash.layawayRefunds)}`} />
+            )}
+            <Row label="Expected Cash" value={formatCurrencyDisplay(reading.cash.expectedCash)} className="font-semibold" />
+            {reading.type === 'Z' && (
+              <>
+                <Row label="Counted Cash" value={formatCurrencyDisplay(reading.countedCash)} className="font-semibold" />
+                <Row
+                  label={reading.overShort > 0 ? 'Over' : reading.overShort < 0 ? 'Short' : 'Over/Short'}
+                  value={formatCurrencyDisplay(Math.abs(reading.overShort))}
+                  className={`font-semibold ${reading.overShort < 0 ? 'text-red-600' : reading.overShort > 0 ? 'text-green-600' : ''}`}
+                />
+              </>
+            )}
+          </div>
+
+          {reading.grandTotal !== undefined && (
+            <div className="border-t pt-3">
+              <h4 className="font-semibold mb-1">Accumulated Totals</h4>
+              <Row label="Grand Total" value={formatCurrencyDisplay(reading.grandTotal)} className="font-semibold" />
+              <Row label="Voids" value={formatCurrencyDisplay(reading.voidTotal)} />
+            </div>
+          )}
+
+          {reading.closingNotes && (
+            <div className="border-t pt-3">
+              <h4 className="font-semibold mb-1">Notes</h4>
+              <p className="text-gray-700">{reading.closingNotes}</p>
+            </div>
+          )}
+        </div>
+
+        <div className="flex gap-3 justify-end mt-6">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors font-medium"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShiftReadingModal;
@@ -0,0 +1,204 @@
+import { useState, useEffect } from 'react';
+import { formatCurrencyDisplay } from '../utils/utils';
+import { calculateTaxes, getTaxConfig, roundCurrency } from '../utils/pricing';
+
+const VOID_LINE_REASONS = [
+  'Wrong item rung up',
+  'Wrong quantity rung up',
+  'Customer changed their mind',
+  'Product defect or damage',
+  'Other'
+];
+
+const VoidLinesModal = ({
+  isOpen,
+  onClose,
+  onConfirm,
+  sale,
+  isLoading = false
+}) => {
+  const [quantities, setQuantities] = useState({});
+  const [selectedReason, setSelectedReason] = useState('');
+  const [customReason, setCustomReason] = useState('');
+
+  useEffect(() => {
+    if (isOpen) {
+      setQuantities({});
+      setSelectedReason('');
+      setCustomReason('');
+    }
+  }, [isOpen]);
+
+  if (!isOpen || !sale) return null;
+
+  // Units already returned were refunded by the return and cannot be voided
+  const getVoidableQty = (item) => item.quantity - (item.returnedQuantity || 0);
+  const getProductId = (item) => item.product?._id || item.product;
+
+  const lines = sale.items
+    .filter(item => (quantities[getProductId(item)] || 0) > 0)
+    .map(item => ({ item, quantity: quantities[getProductId(item)] }));
+  const remainingQty = sale.items.reduce((sum, item) => sum + item.quantity, 0)
+    - lines.reduce((sum, line) => sum + line.quantity, 0);
+
+  // Estimate at the net price paid; the server re-prices the rest of the sale with its discounts
+  const estimatedRefund = calculateTaxes(
+    lines.map(({ item, quantity }) => ({
+      amount: roundCurrency(((item.subtotal - (item.discountAmount || 0)) / item.quantity) * quantity),
+      taxClass: item.taxClass
+    })),
+    getTaxConfig(sale),
+    !!sale.vatExempt
+  ).total;
+
+  const reason = selectedReason === 'Other' ? customReason.trim() : selectedReason;
+  const isFormValid = lines.length > 0 && remainingQty > 0 && !!reason;
+
+  const handleQtyChange = (item, value) => {
+    const qty = Math.max(0, Math.min(parseInt(value, 10) || 0, getVoidableQty(item)));
+    setQuantities(prev => ({ ...prev, [getProductId(item)]: qty }));
+  };
+
+  const handleConfirm = () => {
+    if (!isFormValid || isLoading) return;
+    onConfirm({
+      lines: lines.map(({ item, quantity }) => ({ product: getProductId(item), quantity })),
+      reason
+    });
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      onClick={() => {
+        if (!isLoading) {
+          onClose();
+        }
+      }}
+    >
+      <div
+        className="bg-white p-6 rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-xl font-bold text-gray-900">Void Lines - {sale.saleNumber}</h3>
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={isLoading}
+            className="text-gray-500 hover:text-gray-700 disabled:opacity-50"
+            aria-label="Close modal"
+          >
+            ✕
+          </button>
+        </div>
+
+        <p className="text-sm text-gray-600 mb-4">
+          Voided units go back into stock and the sale is recalculated. The difference is refunded to the customer in cash.
+        </p>
+
+        <div className="overflow-x-auto mb-4">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left font-semibold text-gray-700">Item</th>
+                <th className="px-3 py-2 text-center font-semibold text-gray-700">Sold</th>
+                <th className="px-3 py-2 text-right font-semibold text-gray-700">Unit Price</th>
+                <th className="px-3 py-2 text-center font-semibold text-gray-700">Void Qty</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {sale.items.map((item) => {
+                const productId = getProductId(item);
+                const voidableQty = getVoidableQty(item);
+                return (
+                  <tr key={productId}>
+                    <td className="px-3 py-2">{item.product?.name || 'Unknown Product'}</td>
+                    <td className="px-3 py-2 text-center">
+                      {item.quantity}
+                      {item.returnedQuantity > 0 && (
+                        <div className="text-xs text-red-600">{item.returnedQuantity} returned</div>
+                      )}
+                    </td>
+                    <td className="px-3 py-2 text-right">{formatCurrencyDisplay(item.price)}</td>
+                    <td className="px-3 py-2 text-center">
+                      <input
+                        type="number"
+                        min="0"
+                        max={voidableQty}
+                        value={quantities[productId] || 0}
+                        onChange={(e) => handleQtyChange(item, e.target.value)}
+                        disabled={voidableQty === 0 || isLoading}
+                        className="w-20 px-2 py-1 border border-gray-300 rounded text-center disabled:bg-gray-100"
+                      />
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        {lines.length > 0 && remainingQty === 0 && (
+          <p className="text-sm text-red-600 mb-4">Every item would be voided. Void the whole sale instead.</p>
+        )}
+
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-gray-700 mb-2">Reason</label>
+          <select
+            value={selectedReason}
+            onChange={(e) => setSelectedReason(e.target.value)}
+            disabled={isLoading}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+          >
+            <option value="">Select a reason</option>
+            {VOID_LINE_REASONS.map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+          {selectedReason === 'Other' && (
+            <input
+              type="text"
+              value={customReason}
+              onChange={(e) => setCustomReason(e.target.value)}
+              placeholder="Describe the reason"
+              maxLength={500}
+              disabled={isLoading}
+              className="w-full mt-2 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+            />
+          )}
+        </div>
+
+        <div className="flex justify-between items-center border-t pt-4 mb-4">
+          <span className="font-semibold">Estimated Refund</span>
+          <span className="text-lg font-bold text-red-600">{formatCurrencyDisplay(estimatedRefund)}</span>
+        </div>
+
+        <div className="flex space-x-3 justify-end">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={isLoading}
+            className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleConfirm}
+            disabled={!isFormValid || isLoading}
+            className={`px-4 py-2 rounded-lg transition-colors font-medium ${
+              !isFormValid || isLoading
+                ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                : 'bg-red-600 hover:bg-red-700 text-white'
+            }`}
+          >
+            {isLoading ? 'Processing...' : 'Void Lines'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VoidLinesModal;
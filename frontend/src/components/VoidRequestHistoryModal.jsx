@@ -0,0 +1,144 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import { useAuth } from '../context/AuthContext';
+import { formatDate } from '../utils/utils';
+import { getVoidRequestStatus, getVoidRequestActionLabel } from '../constants/voidRequests';
+
+const ACTION_STYLES = {
+  requested: 'border-yellow-400',
+  commented: 'border-gray-300',
+  approved: 'border-green-500',
+  rejected: 'border-red-500'
+};
+
+const VoidRequestHistoryModal = ({
+  isOpen,
+  onClose,
+  saleId,
+  onCommented
+}) => {
+  const { user, isAdmin } = useAuth();
+  const [sale, setSale] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [comment, setComment] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (isOpen && saleId) {
+      setComment('');
+      fetchSale();
+    }
+  }, [isOpen, saleId]);
+
+  const fetchSale = async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get(`/sales/${saleId}`);
+      setSale(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleComment = async (e) => {
+    e.preventDefault();
+    if (!comment.trim() || isSubmitting) return;
+    setIsSubmitting(true);
+    try {
+      const response = await axios.post(`/sales/${saleId}/void-request/comments`, { comment: comment.trim() });
+      setSale(prev => ({ ...prev, voidRequestHistory: response.data.data }));
+      setComment('');
+      toast.success('Comment added');
+      onCommented?.();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const status = sale?.voidRequestStatus ? getVoidRequestStatus(sale.voidRequestStatus) : null;
+  const history = sale?.voidRequestHistory || [];
+  // Staff can only discuss their own requests
+  const canComment = isAdmin || (sale?.voidRequestedBy && sale.voidRequestedBy._id === user?.id);
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white p-6 rounded-lg shadow-xl w-full max-w-lg max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-xl font-bold text-gray-900">
+            Void Request {sale && `· ${sale.saleNumber}`}
+            {status && (
+              <span className={`ml-2 px-2 py-1 text-xs font-semibold rounded-full ${status.className}`}>{status.label}</span>
+            )}
+          </h3>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700"
+            aria-label="Close modal"
+          >
+            ✕
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="flex items-center justify-center h-24">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-gray-400"></div>
+          </div>
+        ) : history.length === 0 ? (
+          <p className="text-gray-500 text-center py-6">No void request history for this sale</p>
+        ) : (
+          <ol className="space-y-3">
+            {history.map((event, index) => (
+              <li key={index} className={`border-l-4 pl-3 ${ACTION_STYLES[event.action] || 'border-gray-300'}`}>
+                <div className="text-sm">
+                  <span className="font-semibold">{getVoidRequestActionLabel(event.action)}</span>
+                  {' by '}
+                  {event.user?.username || 'Unknown user'}
+                </div>
+                <div className="text-xs text-gray-500">{formatDate(event.at)}</div>
+                {event.comment && <p className="text-sm text-gray-700 mt-1 whitespace-pre-line">{event.comment}</p>}
+              </li>
+            ))}
+          </ol>
+        )}
+
+        {canComment && sale?.voidRequestStatus && (
+          <form onSubmit={handleComment} className="mt-4 border-t pt-4">
+            <label className="block text-sm font-medium text-gray-700 mb-2">Add a comment</label>
+            <textarea
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              rows={2}
+              maxLength={500}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none resize-none"
+            />
+            <div className="flex justify-end mt-2">
+              <button
+                type="submit"
+                disabled={!comment.trim() || isSubmitting}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium disabled:opacity-50"
+              >
+                {isSubmitting ? 'Posting...' : 'Post Comment'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VoidRequestHistoryModal;
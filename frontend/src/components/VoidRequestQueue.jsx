@@ -0,0 +1,228 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import { Link } from 'react-router-dom';
+import InputModal from './InputModal';
+import VoidRequestHistoryModal from './VoidRequestHistoryModal';
+import { formatCurrencyDisplay, formatDate } from '../utils/utils';
+import { VOID_REQUEST_STATUSES, getVoidRequestStatus } from '../constants/voidRequests';
+
+const STATUS_FILTERS = [...VOID_REQUEST_STATUSES, { value: 'all', label: 'All' }];
+
+/**
+ * Admin queue of void requests with counts by status, shown on the Dashboard
+ */
+const VoidRequestQueue = () => {
+  const [requests, setRequests] = useState([]);
+  const [counts, setCounts] = useState({ pending: 0, approved: 0, rejected: 0 });
+  const [oldestPendingAt, setOldestPendingAt] = useState(null);
+  const [staff, setStaff] = useState([]);
+  const [filters, setFilters] = useState({ status: 'pending', requestedBy: '', startDate: '', endDate: '' });
+  const [loading, setLoading] = useState(true);
+  const [action, setAction] = useState(null); // { type: 'approve' | 'reject', sale }
+  const [historySaleId, setHistorySaleId] = useState(null);
+  const [isProcessing, setIsProcessing] = useState(false);
+
+  useEffect(() => {
+    fetchStaff();
+  }, []);
+
+  useEffect(() => {
+    fetchRequests();
+  }, [filters]);
+
+  const fetchStaff = async () => {
+    try {
+      const response = await axios.get('/users?role=staff');
+      setStaff(response.data.data || []);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const fetchRequests = async () => {
+    setLoading(true);
+    try {
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ''));
+      const response = await axios.get('/sales/void-requests', { params: { ...params, limit: 10 } });
+      setRequests(response.data.data);
+      setCounts(response.data.counts);
+      setOldestPendingAt(response.data.oldestPendingAt);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateFilter = (field, value) => setFilters(prev => ({ ...prev, [field]: value }));
+
+  const handleActionConfirm = async (value) => {
+    if (!action) return;
+    setIsProcessing(true);
+    try {
+      if (action.type === 'approve') {
+        await axios.patch(`/sales/${action.sale._id}/void`, { superAdminCode: value });
+        toast.success('Sale voided successfully. Stock quantities have been restored.');
+      } else {
+        await axios.patch(`/sales/${action.sale._id}/void-request/reject`, { comment: value.trim() });
+        toast.success('Void request rejected');
+      }
+      setAction(null);
+      fetchRequests();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow mb-6 sm:mb-8">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 mb-4">
+        <h2 className="text-xl font-semibold">Void Requests</h2>
+        {oldestPendingAt && (
+          <p className="text-sm text-orange-700">Oldest pending since {formatDate(oldestPendingAt)}</p>
+        )}
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {STATUS_FILTERS.map((status) => (
+          <button
+            key={status.value}
+            type="button"
+            onClick={() => updateFilter('status', status.value)}
+            className={`px-3 py-1 rounded-full text-sm font-medium border ${
+              filters.status === status.value
+                ? 'bg-blue-600 text-white border-blue-600'
+                : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+            }`}
+          >
+            {status.label}
+            {status.value !== 'all' && ` (${counts[status.value] ?? 0})`}
+          </button>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 mb-4">
+        <select
+          value={filters.requestedBy}
+          onChange={(e) => updateFilter('requestedBy', e.target.value)}
+          className="px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        >
+          <option value="">All staff</option>
+          {staff.map((member) => (
+            <option key={member._id} value={member._id}>{member.username}</option>
+          ))}
+        </select>
+        <input
+          type="date"
+          value={filters.startDate}
+          onChange={(e) => updateFilter('startDate', e.target.value)}
+          className="px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          aria-label="Requested from"
+        />
+        <input
+          type="date"
+          value={filters.endDate}
+          onChange={(e) => updateFilter('endDate', e.target.value)}
+          className="px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          aria-label="Requested until"
+        />
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center h-24">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-gray-400"></div>
+        </div>
+      ) : requests.length === 0 ? (
+        <p className="text-center py-6 text-gray-500 text-sm">No void requests match these filters</p>
+      ) : (
+        <div className="space-y-2">
+          {requests.map((sale) => {
+            const status = getVoidRequestStatus(sale.voidRequestStatus);
+            return (
+              <div key={sale._id} className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 p-3 bg-gray-50 rounded">
+                <div className="min-w-0">
+                  <div className="font-medium text-sm">
+                    {sale.saleNumber} · {formatCurrencyDisplay(sale.total)}
+                    <span className={`ml-2 px-2 py-0.5 text-xs font-semibold rounded-full ${status.className}`}>{status.label}</span>
+                  </div>
+                  <p className="text-xs text-gray-600 truncate">
+                    {sale.voidRequestedBy?.username || 'Unknown'} · {formatDate(sale.voidRequestedAt)} · {sale.voidRequestReason}
+                  </p>
+                  {sale.voidReviewComment && (
+                    <p className="text-xs text-gray-500 truncate">
+                      {sale.voidReviewedBy?.username}: {sale.voidReviewComment}
+                    </p>
+                  )}
+                </div>
+                <div className="flex gap-2 shrink-0">
+                  <button
+                    type="button"
+                    onClick={() => setHistorySaleId(sale._id)}
+                    className="px-3 py-1 text-sm bg-white border border-gray-300 text-gray-700 rounded hover:bg-gray-100"
+                  >
+                    History
+                  </button>
+                  {sale.voidRequestStatus === 'pending' && (
+                    <>
+                      <button
+                        type="button"
+                        onClick={() => setAction({ type: 'reject', sale })}
+                        className="px-3 py-1 text-sm bg-white border border-red-600 text-red-600 rounded hover:bg-red-50"
+                      >
+                        Reject
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setAction({ type: 'approve', sale })}
+                        className="px-3 py-1 text-sm bg-orange-600 text-white rounded hover:bg-orange-700"
+                      >
+                        Approve
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+          <Link
+            to="/sales"
+            state={{ tab: 'void-requests' }}
+            className="block text-center text-blue-600 hover:text-blue-800 font-medium text-sm mt-2"
+          >
+            Open in Sales
+          </Link>
+        </div>
+      )}
+
+      <InputModal
+        isOpen={!!action}
+        onClose={() => {
+          if (!isProcessing) setAction(null);
+        }}
+        onConfirm={handleActionConfirm}
+        title={action?.type === 'approve' ? 'Approve Void Request' : 'Reject Void Request'}
+        message={action?.type === 'approve'
+          ? `Please enter the SuperAdmin code to void sale ${action?.sale.saleNumber}.\n\nReason: ${action?.sale.voidRequestReason}\n\nThis action will restore stock quantities and cannot be undone.`
+          : `Explain to ${action?.sale.voidRequestedBy?.username || 'the requester'} why sale ${action?.sale.saleNumber} will not be voided.`}
+        inputLabel={action?.type === 'approve' ? 'SuperAdmin Code' : 'Comment'}
+        inputType={action?.type === 'approve' ? 'password' : 'text'}
+        inputPlaceholder={action?.type === 'approve' ? 'Enter SuperAdmin code' : 'Reason for rejecting'}
+        confirmText={action?.type === 'approve' ? 'Verify & Approve' : 'Reject Request'}
+        cancelText="Cancel"
+        variant={action?.type === 'approve' ? 'warning' : 'danger'}
+        isLoading={isProcessing}
+      />
+
+      <VoidRequestHistoryModal
+        isOpen={!!historySaleId}
+        onClose={() => setHistorySaleId(null)}
+        saleId={historySaleId}
+      />
+    </div>
+  );
+};
+
+export default VoidRequestQueue;
@@ -0,0 +1,20 @@
+/**
+ * Product barcode types
+ * Must match BARCODE_TYPES in backend/models/Product.model.js
+ */
+export const BARCODE_TYPES = [
+  { value: 'ean13', label: 'EAN-13' },
+  { value: 'upc', label: 'UPC-A' },
+  { value: 'code128', label: 'Code 128' },
+  { value: 'internal', label: 'Internal' },
+];
+
+/**
+ * Get the label for a barcode type
+ * @param {string} type - Barcode type value
+ * @returns {string} - Barcode type label
+ */
+export const getBarcodeTypeLabel = (type) => {
+  const match = BARCODE_TYPES.find(t => t.value === type);
+  return match ? match.label : type;
+};
@@ -0,0 +1,31 @@
+/**
+ * Credit account options
+ * Must match CREDIT_TERMS in backend/models/CreditAccount.model.js and AGING_BUCKETS in backend/utils/receivables.js
+ */
+export const CREDIT_TERMS = [
+  { value: 0, label: 'Due on receipt' },
+  { value: 7, label: 'Net 7' },
+  { value: 15, label: 'Net 15' },
+  { value: 30, label: 'Net 30' },
+  { value: 45, label: 'Net 45' },
+  { value: 60, label: 'Net 60' },
+  { value: 90, label: 'Net 90' },
+];
+
+export const AGING_BUCKETS = [
+  { key: 'current', label: 'Current' },
+  { key: 'days30', label: '1-30 Days' },
+  { key: 'days60', label: '31-60 Days' },
+  { key: 'days90', label: '61-90 Days' },
+  { key: 'over90', label: 'Over 90 Days' },
+];
+
+/**
+ * Get the label for credit terms
+ * @param {number} days - Terms in days
+ * @returns {string} - Terms label
+ */
+export const getCreditTermsLabel = (days) => {
+  const terms = CREDIT_TERMS.find(t => t.value === days);
+  return terms ? terms.label : `Net ${days}`;
+};
@@ -0,0 +1,28 @@
+/**
+ * Customer types, used to pick product price tiers
+ * Must match CUSTOMER_TYPES in backend/models/Customer.model.js
+ */
+export const CUSTOMER_TYPES = [
+  { value: 'retail', label: 'Retail' },
+  { value: 'wholesale', label: 'Wholesale' },
+  { value: 'contractor', label: 'Contractor' },
+];
+
+/**
+ * Get the label for a customer type
+ * @param {string} type - Customer type
+ * @returns {string} - Customer type label
+ */
+export const getCustomerTypeLabel = (type) => {
+  const customerType = CUSTOMER_TYPES.find(t => t.value === type);
+  return customerType ? customerType.label : type;
+};
+
+/**
+ * Describe the price tier a line was priced at, e.g. "Wholesale price from 50"
+ * Retail tiers are quantity breaks open to every buyer
+ * @param {Object} tier - { customerType, minQuantity }
+ * @returns {string} - Tier description
+ */
+export const getPriceTierLabel = (tier) =>
+  `${tier.customerType === 'retail' ? 'Bulk' : getCustomerTypeLabel(tier.customerType)} price from ${tier.minQuantity}`;
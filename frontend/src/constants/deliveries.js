@@ -0,0 +1,34 @@
+/**
+ * Delivery order statuses and time slots
+ * Must match DELIVERY_STATUSES and DELIVERY_TIME_SLOTS in backend/models/Delivery.model.js
+ */
+export const DELIVERY_STATUSES = [
+  { value: 'scheduled', label: 'Scheduled', className: 'bg-blue-100 text-blue-800' },
+  { value: 'out_for_delivery', label: 'Out for Delivery', className: 'bg-yellow-100 text-yellow-800' },
+  { value: 'delivered', label: 'Delivered', className: 'bg-green-100 text-green-800' },
+  { value: 'failed', label: 'Failed', className: 'bg-red-100 text-red-800' },
+  { value: 'cancelled', label: 'Cancelled', className: 'bg-gray-100 text-gray-800' },
+];
+
+// Listed in the order they are dispatched during the day
+export const DELIVERY_TIME_SLOTS = [
+  { value: 'morning', label: 'Morning' },
+  { value: 'afternoon', label: 'Afternoon' },
+  { value: 'whole_day', label: 'Whole Day' },
+];
+
+/**
+ * Get the label and badge classes for a delivery status
+ * @param {string} status - Delivery status
+ * @returns {Object} - { value, label, className }
+ */
+export const getDeliveryStatus = (status) =>
+  DELIVERY_STATUSES.find(s => s.value === status) || { value: status, label: status, className: 'bg-gray-100 text-gray-800' };
+
+/**
+ * Get the label for a delivery time slot
+ * @param {string} slot - Time slot value
+ * @returns {string}
+ */
+export const getTimeSlotLabel = (slot) =>
+  DELIVERY_TIME_SLOTS.find(s => s.value === slot)?.label || slot;
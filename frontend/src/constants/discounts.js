@@ -0,0 +1,26 @@
+/**
+ * Discount options offered at the counter
+ * Must match DISCOUNT_TYPES and STATUTORY_DISCOUNT_TYPES in backend/utils/discounts.js
+ */
+export const DISCOUNT_TYPES = [
+  { value: 'percent', label: '%' },
+  { value: 'fixed', label: '₱' },
+];
+
+export const STATUTORY_DISCOUNTS = [
+  { value: 'senior_citizen', label: 'Senior Citizen' },
+  { value: 'pwd', label: 'PWD' },
+];
+
+// Senior Citizen/PWD purchases are VAT-exempt and get 20% off
+export const STATUTORY_DISCOUNT_RATE = 0.2;
+
+/**
+ * Get the label for a statutory discount type
+ * @param {string} type - Statutory discount value
+ * @returns {string} - Statutory discount label
+ */
+export const getStatutoryDiscountLabel = (type) => {
+  const discount = STATUTORY_DISCOUNTS.find(d => d.value === type);
+  return discount ? discount.label : type;
+};
@@ -0,0 +1,45 @@
+/**
+ * Label sheet templates
+ * Sizes are in millimetres; the layout can be adjusted before printing to match other stock
+ */
+export const LABEL_TEMPLATES = [
+  {
+    value: 'a4_3x10',
+    label: 'A4 sticker 3 x 10 (70 x 29.7 mm)',
+    layout: { pageSize: 'a4', columns: 3, rows: 10, labelWidth: 70, labelHeight: 29.7, marginTop: 0, marginLeft: 0, gapX: 0, gapY: 0 }
+  },
+  {
+    value: 'a4_3x8',
+    label: 'A4 sticker 3 x 8 (70 x 37 mm)',
+    layout: { pageSize: 'a4', columns: 3, rows: 8, labelWidth: 70, labelHeight: 37, marginTop: 0.5, marginLeft: 0, gapX: 0, gapY: 0 }
+  },
+  {
+    value: 'a4_3x7',
+    label: 'A4 sticker 3 x 7 (63.5 x 38.1 mm)',
+    layout: { pageSize: 'a4', columns: 3, rows: 7, labelWidth: 63.5, labelHeight: 38.1, marginTop: 15.15, marginLeft: 7.2, gapX: 2.5, gapY: 0 }
+  },
+  {
+    value: 'a4_2x7',
+    label: 'A4 shelf tags 2 x 7 (99.1 x 38.1 mm)',
+    layout: { pageSize: 'a4', columns: 2, rows: 7, labelWidth: 99.1, labelHeight: 38.1, marginTop: 15.15, marginLeft: 4.65, gapX: 2.5, gapY: 0 }
+  },
+  {
+    value: 'letter_3x10',
+    label: 'Letter sticker 3 x 10 (66.7 x 25.4 mm)',
+    layout: { pageSize: 'letter', columns: 3, rows: 10, labelWidth: 66.7, labelHeight: 25.4, marginTop: 12.7, marginLeft: 4.8, gapX: 3.2, gapY: 0 }
+  },
+];
+
+export const LABEL_PAGE_SIZES = [
+  { value: 'a4', label: 'A4 (210 x 297 mm)' },
+  { value: 'letter', label: 'Letter (216 x 279 mm)' },
+];
+
+/**
+ * Ways of choosing the products to label
+ */
+export const LABEL_SELECTIONS = [
+  { value: 'products', label: 'Selected products' },
+  { value: 'category', label: 'Category' },
+  { value: 'price_changed', label: 'Price changed since' },
+];
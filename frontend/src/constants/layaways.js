@@ -0,0 +1,38 @@
+import { RECEIVABLE_PAYMENT_METHODS } from './paymentMethods';
+import { formatCurrencyDisplay } from '../utils/utils';
+
+/**
+ * Layaway statuses
+ * Must match LAYAWAY_STATUSES in backend/models/Layaway.model.js
+ */
+export const LAYAWAY_STATUSES = [
+  { value: 'active', label: 'Active', className: 'bg-blue-100 text-blue-800' },
+  { value: 'completed', label: 'Completed', className: 'bg-green-100 text-green-800' },
+  { value: 'cancelled', label: 'Cancelled', className: 'bg-gray-100 text-gray-800' },
+];
+
+// Deposits and installments; same tenders as credit account payments
+export const LAYAWAY_PAYMENT_METHODS = RECEIVABLE_PAYMENT_METHODS;
+
+/**
+ * Get the label and badge classes for a layaway status
+ * @param {string} status - Layaway status
+ * @returns {Object} - { value, label, className }
+ */
+export const getLayawayStatus = (status) =>
+  LAYAWAY_STATUSES.find(s => s.value === status) || { value: status, label: status, className: 'bg-gray-100 text-gray-800' };
+
+/**
+ * Describe what the store keeps when a layaway is cancelled
+ * @param {Object} [terms] - Layaway settings: { forfeitPercent, forfeitFee }
+ * @returns {string}
+ */
+export const describeForfeitRule = (terms) => {
+  const percent = terms?.forfeitPercent ?? 10;
+  const fee = terms?.forfeitFee ?? 0;
+  if (percent === 0 && fee === 0) return 'all payments are refunded';
+  const parts = [];
+  if (percent > 0) parts.push(`${percent}% of the payments made`);
+  if (fee > 0) parts.push(`a ${formatCurrencyDisplay(fee)} cancellation fee`);
+  return `${parts.join(' plus ')} is forfeited and the rest is refunded in cash`;
+};
@@ -0,0 +1,27 @@
+/**
+ * Tender types accepted at the counter
+ * Must match PAYMENT_METHODS in backend/models/Sale.model.js
+ */
+export const PAYMENT_METHODS = [
+  { value: 'cash', label: 'Cash', referenceLabel: null },
+  { value: 'gcash', label: 'GCash', referenceLabel: 'GCash Reference No.' },
+  { value: 'maya', label: 'Maya', referenceLabel: 'Maya Reference No.' },
+  { value: 'card', label: 'Card', referenceLabel: 'Approval Code' },
+  { value: 'bank_transfer', label: 'Bank Transfer', referenceLabel: 'Transaction Reference No.' },
+  { value: 'check', label: 'Check', referenceLabel: 'Check Number' },
+  { value: 'charge', label: 'Charge', referenceLabel: null },
+  { value: 'points', label: 'Loyalty Points', referenceLabel: null },
+];
+
+// Tenders a credit account balance can be paid with
+export const RECEIVABLE_PAYMENT_METHODS = PAYMENT_METHODS.filter(m => !['charge', 'points'].includes(m.value));
+
+/**
+ * Get the reference number label for a payment method
+ * @param {string} method - Payment method value
+ * @returns {string|null} - Reference label, or null when no reference is needed (cash, charge, points)
+ */
+export const getReferenceLabel = (method) => {
+  const paymentMethod = PAYMENT_METHODS.find(m => m.value === method);
+  return paymentMethod ? paymentMethod.referenceLabel : 'Reference No.';
+};
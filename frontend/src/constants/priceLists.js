@@ -0,0 +1,61 @@
+import { formatCurrencyDisplay, formatDate } from '../utils/utils';
+import { isPriceListInEffect } from '../utils/pricing';
+
+/**
+ * What a price list rule applies to; a product rule wins over a brand rule, which wins over a category rule
+ * Must match PRICE_LIST_SCOPES in backend/models/PriceList.model.js
+ */
+export const PRICE_LIST_SCOPES = [
+  { value: 'product', label: 'Product' },
+  { value: 'brand', label: 'Brand' },
+  { value: 'category', label: 'Category' },
+];
+
+/**
+ * How a rule sets the price
+ * Must match PRICE_LIST_ADJUSTMENTS in backend/models/PriceList.model.js
+ */
+export const PRICE_LIST_ADJUSTMENTS = [
+  { value: 'fixed', label: 'Fixed Price' },
+  { value: 'percent_off', label: '% Off' },
+];
+
+/**
+ * Describe a price list rule, e.g. "Brand Holcim: 5% off"
+ * @param {Object} rule - { scope, product, brand, category, adjustment, value } with product populated
+ * @returns {string}
+ */
+export const describePriceListRule = (rule) => {
+  const target = rule.scope === 'product'
+    ? (rule.product?.name || 'Deleted product')
+    : `${rule.scope === 'brand' ? 'Brand' : 'Category'} ${rule[rule.scope]}`;
+  const price = rule.adjustment === 'fixed' ? formatCurrencyDisplay(rule.value) : `${rule.value}% off`;
+  return `${target}: ${price}`;
+};
+
+/**
+ * Describe when a price list applies
+ * @param {Object} priceList - { validFrom, validUntil }
+ * @returns {string}
+ */
+export const describePriceListValidity = (priceList) => {
+  if (priceList.validFrom && priceList.validUntil) {
+    return `${formatDate(priceList.validFrom)} to ${formatDate(priceList.validUntil)}`;
+  }
+  if (priceList.validFrom) return `From ${formatDate(priceList.validFrom)}`;
+  if (priceList.validUntil) return `Until ${formatDate(priceList.validUntil)}`;
+  return 'No end date';
+};
+
+/**
+ * Get the label and badge classes for a price list's current state
+ * @param {Object} priceList - Price list
+ * @returns {Object} - { label, className }
+ */
+export const getPriceListStatus = (priceList) => {
+  if (!priceList.isActive) return { label: 'Inactive', className: 'bg-red-100 text-red-800' };
+  if (isPriceListInEffect(priceList)) return { label: 'In Effect', className: 'bg-green-100 text-green-800' };
+  return priceList.validFrom && new Date(priceList.validFrom) > new Date()
+    ? { label: 'Scheduled', className: 'bg-blue-100 text-blue-800' }
+    : { label: 'Expired', className: 'bg-gray-100 text-gray-800' };
+};
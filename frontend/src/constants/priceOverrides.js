@@ -0,0 +1,21 @@
+/**
+ * Reasons for overriding a line price at the point of sale
+ * Must match PRICE_OVERRIDE_REASONS in backend/models/Sale.model.js
+ */
+export const PRICE_OVERRIDE_REASONS = [
+  { value: 'contractor', label: 'Contractor Price' },
+  { value: 'bulk_order', label: 'Bulk Order' },
+  { value: 'price_match', label: 'Price Match' },
+  { value: 'damaged', label: 'Damaged / Open Box' },
+  { value: 'other', label: 'Other' },
+];
+
+/**
+ * Get the label for a price override reason
+ * @param {string} reason - Reason value
+ * @returns {string} - Reason label
+ */
+export const getPriceOverrideReasonLabel = (reason) => {
+  const match = PRICE_OVERRIDE_REASONS.find(r => r.value === reason);
+  return match ? match.label : reason;
+};
@@ -0,0 +1,21 @@
+/**
+ * Quotation statuses
+ * Must match QUOTATION_STATUSES and DEFAULT_QUOTATION_VALIDITY_DAYS in backend/models/Quotation.model.js
+ */
+export const QUOTATION_STATUSES = [
+  { value: 'draft', label: 'Draft', className: 'bg-gray-100 text-gray-800' },
+  { value: 'sent', label: 'Sent', className: 'bg-blue-100 text-blue-800' },
+  { value: 'accepted', label: 'Accepted', className: 'bg-green-100 text-green-800' },
+  { value: 'expired', label: 'Expired', className: 'bg-red-100 text-red-800' },
+  { value: 'converted', label: 'Converted', className: 'bg-purple-100 text-purple-800' },
+];
+
+export const DEFAULT_QUOTATION_VALIDITY_DAYS = 15;
+
+/**
+ * Get the label and badge classes for a quotation status
+ * @param {string} status - Quotation status
+ * @returns {Object} - { value, label, className }
+ */
+export const getQuotationStatus = (status) =>
+  QUOTATION_STATUSES.find(s => s.value === status) || { value: status, label: status, className: 'bg-gray-100 text-gray-800' };
@@ -0,0 +1,17 @@
+/**
+ * Receipt paper widths
+ * Must match RECEIPT_PAPER_WIDTHS in backend/utils/receiptText.js
+ */
+export const RECEIPT_PAPER_WIDTHS = [
+  { value: 'a4', label: 'A4 page (no thermal printer)' },
+  { value: '80mm', label: '80mm thermal (48 columns)' },
+  { value: '58mm', label: '58mm thermal (32 columns)' },
+];
+
+/**
+ * Check whether receipts can be sent straight to a network receipt printer
+ * @param {Object} printer - Receipt printer settings
+ * @returns {boolean}
+ */
+export const isReceiptPrinterConfigured = (printer) =>
+  !!printer && printer.paperWidth !== 'a4' && !!printer.host;
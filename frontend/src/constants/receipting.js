@@ -0,0 +1,30 @@
+/**
+ * BIR receipt document types
+ * Must match RECEIPT_DOCUMENT_TYPES in backend/utils/receipting.js
+ */
+export const RECEIPT_DOCUMENT_TYPES = [
+  { value: 'sales_invoice', label: 'Sales Invoice (SI)' },
+  { value: 'official_receipt', label: 'Official Receipt (OR)' },
+];
+
+/**
+ * Get the label of a receipt document type
+ * @param {string} value - Document type value
+ * @returns {string} Document type label
+ */
+export const getReceiptDocumentLabel = (value) => {
+  const option = RECEIPT_DOCUMENT_TYPES.find((type) => type.value === value);
+  return option ? option.label : value;
+};
+
+// Registration fields shown in the receipting settings, in print order
+export const RECEIPT_REGISTRATION_FIELDS = [
+  { name: 'registeredName', label: 'Registered Name', maxLength: 100 },
+  { name: 'tradeName', label: 'Trade Name', maxLength: 100 },
+  { name: 'address', label: 'Business Address', maxLength: 200 },
+  { name: 'tin', label: 'TIN', maxLength: 20, placeholder: '000-000-000-000' },
+  { name: 'machineId', label: 'Machine Identification No. (MIN)', maxLength: 30 },
+  { name: 'serialNumber', label: 'Serial No.', maxLength: 30 },
+  { name: 'permitNumber', label: 'Permit to Use (PTU) No.', maxLength: 30 },
+  { name: 'accreditationNumber', label: 'Accreditation No.', maxLength: 30 },
+];
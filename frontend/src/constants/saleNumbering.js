@@ -0,0 +1,60 @@
+/**
+ * Sale numbering options
+ * Must match NUMBERING_SERIES and NUMBERING_RESETS in backend/utils/sequence.js
+ */
+export const NUMBERING_SERIES = [
+  { value: 'store', label: 'One series for the store' },
+  { value: 'register', label: 'Separate series per register' },
+  { value: 'branch', label: 'Separate series per branch' },
+];
+
+export const NUMBERING_RESETS = [
+  { value: 'daily', label: 'Every day' },
+  { value: 'yearly', label: 'Every year' },
+  { value: 'never', label: 'Never' },
+];
+
+// The register ID belongs to the terminal, not the user, so it is kept in this browser
+const REGISTER_ID_KEY = 'registerId';
+
+/**
+ * Get the register ID configured on this terminal
+ * @returns {string} - Register ID, empty when not set
+ */
+export const getRegisterId = () => localStorage.getItem(REGISTER_ID_KEY) || '';
+
+/**
+ * Set or clear the register ID of this terminal
+ * @param {string} registerId - Register ID
+ */
+export const setRegisterId = (registerId) => {
+  if (registerId) {
+    localStorage.setItem(REGISTER_ID_KEY, registerId);
+  } else {
+    localStorage.removeItem(REGISTER_ID_KEY);
+  }
+};
+
+/**
+ * Preview the first sale number of today's series
+ * @param {Object} numbering - { prefix, series, reset, padding, branchCode }
+ * @param {string} registerId - Register ID of this terminal
+ * @returns {string} - Example sale number
+ */
+export const formatSaleNumberPreview = (numbering, registerId) => {
+  const now = new Date();
+  const year = String(now.getFullYear());
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+
+  let scope = null;
+  if (numbering.series === 'register') scope = registerId || 'REGISTER';
+  if (numbering.series === 'branch') scope = numbering.branchCode || 'BRANCH';
+
+  let period = null;
+  if (numbering.reset === 'daily') period = `${year}${month}${day}`;
+  if (numbering.reset === 'yearly') period = year;
+
+  const sequence = '1'.padStart(parseInt(numbering.padding, 10) || 4, '0');
+  return [numbering.prefix || 'SALE', scope, period, sequence].filter(Boolean).join('-').toUpperCase();
+};
@@ -0,0 +1,33 @@
+/**
+ * Cash drawer options
+ * Must match CASH_DENOMINATIONS and CASH_MOVEMENT_TYPES in backend/models/Shift.model.js
+ */
+export const CASH_DENOMINATIONS = [
+  { value: 1000, label: '₱1,000' },
+  { value: 500, label: '₱500' },
+  { value: 200, label: '₱200' },
+  { value: 100, label: '₱100' },
+  { value: 50, label: '₱50' },
+  { value: 20, label: '₱20' },
+  { value: 10, label: '₱10' },
+  { value: 5, label: '₱5' },
+  { value: 1, label: '₱1' },
+  { value: 0.25, label: '25¢' },
+  { value: 0.1, label: '10¢' },
+  { value: 0.05, label: '5¢' },
+];
+
+export const CASH_MOVEMENT_TYPES = [
+  { value: 'cash_in', label: 'Cash In' },
+  { value: 'cash_out', label: 'Cash Out' },
+];
+
+/**
+ * Get the label for a cash movement type
+ * @param {string} type - Cash movement type
+ * @returns {string} - Cash movement label
+ */
+export const getCashMovementLabel = (type) => {
+  const match = CASH_MOVEMENT_TYPES.find(t => t.value === type);
+  return match ? match.label : type;
+};
@@ -0,0 +1,19 @@
+/**
+ * Product tax classes
+ * Must match TAX_CLASSES in backend/utils/taxes.js
+ */
+export const TAX_CLASSES = [
+  { value: 'vatable', label: 'VATable' },
+  { value: 'vat_exempt', label: 'VAT-Exempt' },
+  { value: 'zero_rated', label: 'Zero-Rated' },
+];
+
+/**
+ * Get the label for a tax class
+ * @param {string} taxClass - Tax class value
+ * @returns {string} - Tax class label (VATable when not set)
+ */
+export const getTaxClassLabel = (taxClass) => {
+  const match = TAX_CLASSES.find(t => t.value === (taxClass || 'vatable'));
+  return match ? match.label : taxClass;
+};
@@ -0,0 +1,34 @@
+/**
+ * Void request statuses and history actions
+ * Must match voidRequestStatus and VOID_REQUEST_ACTIONS in backend/models/Sale.model.js
+ */
+export const VOID_REQUEST_STATUSES = [
+  { value: 'pending', label: 'Pending', className: 'bg-yellow-100 text-yellow-800' },
+  { value: 'approved', label: 'Approved', className: 'bg-green-100 text-green-800' },
+  { value: 'rejected', label: 'Rejected', className: 'bg-red-100 text-red-800' },
+];
+
+export const VOID_REQUEST_ACTIONS = [
+  { value: 'requested', label: 'Requested' },
+  { value: 'commented', label: 'Commented' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'rejected', label: 'Rejected' },
+];
+
+/**
+ * Get the label and badge classes for a void request status
+ * @param {string} status - Void request status
+ * @returns {Object} - { value, label, className }
+ */
+export const getVoidRequestStatus = (status) =>
+  VOID_REQUEST_STATUSES.find(s => s.value === status) || { value: status, label: status, className: 'bg-gray-100 text-gray-800' };
+
+/**
+ * Get the label for a void request history action
+ * @param {string} action - History action
+ * @returns {string} - Action label
+ */
+export const getVoidRequestActionLabel = (action) => {
+  const match = VOID_REQUEST_ACTIONS.find(a => a.value === action);
+  return match ? match.label : action;
+};
@@ -45,7 +45,12 @@ axios.interceptors.response.use(
   (error) => {
     // Skip toast for login endpoint - errors are handled in login function
     const isLoginEndpoint = error.config?.url?.includes('/auth/login');
-    
+
+    // Offline-capable POS requests fall back to local data, so an unreachable server is not an error there
+    if (!error.response && error.config?.offlineFallback) {
+      return Promise.reject(error);
+    }
+
     // Handle timeout errors (check before network errors)
     if (error.code === 'ECONNABORTED' || error.message?.includes('timeout')) {
       if (!isLoginEndpoint) {
@@ -82,6 +87,7 @@ axios.interceptors.response.use(
           const isVoidEndpoint = error.config?.url?.includes('/sales/') && error.config?.url?.includes('/void');
           const isSuperAdminError = message?.toLowerCase().includes('superadmin') || 
                                     message?.toLowerCase().includes('super admin') ||
+                                    message?.toLowerCase().includes('admin credentials') ||
                                     isVoidEndpoint;
           
           if (isSuperAdminError) {
@@ -0,0 +1,684 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import { useForm } from 'react-hook-form';
+import { useAuth } from '../context/AuthContext';
+import Pagination from '../components/Pagination';
+import { formatCurrencyDisplay, formatDate, formatLocalDate } from '../utils/utils';
+import { RECEIVABLE_PAYMENT_METHODS, getReferenceLabel } from '../constants/paymentMethods';
+import { CREDIT_TERMS, AGING_BUCKETS, getCreditTermsLabel } from '../constants/creditAccounts';
+
+const EMPTY_PAYMENT = { amount: '', method: 'cash', referenceNumber: '', notes: '' };
+
+const CreditAccounts = () => {
+  const { isAdmin } = useAuth();
+  const [accounts, setAccounts] = useState([]);
+  const [paginatedAccounts, setPaginatedAccounts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [activeTab, setActiveTab] = useState('accounts'); // 'accounts' or 'aging' (admin only)
+  const [searchQuery, setSearchQuery] = useState('');
+  const [aging, setAging] = useState(null);
+  const [showFormModal, setShowFormModal] = useState(false);
+  const [editingAccount, setEditingAccount] = useState(null);
+  const [selectedAccount, setSelectedAccount] = useState(null);
+  const [ledger, setLedger] = useState([]);
+  const [payment, setPayment] = useState(EMPTY_PAYMENT);
+  const [statementRange, setStatementRange] = useState({ startDate: '', endDate: '' });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const { register, handleSubmit, reset, formState: { errors } } = useForm();
+
+  useEffect(() => {
+    if (activeTab === 'aging' && isAdmin) {
+      fetchAging();
+    } else {
+      fetchAccounts();
+    }
+  }, [activeTab, isAdmin]);
+
+  const fetchAccounts = async () => {
+    try {
+      const params = {};
+      if (searchQuery.trim()) params.search = searchQuery.trim();
+      const response = await axios.get('/credit-accounts', { params });
+      setAccounts(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchAging = async () => {
+    try {
+      const response = await axios.get('/credit-accounts/aging');
+      setAging(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openAccount = async (accountId) => {
+    try {
+      const [accountResponse, ledgerResponse] = await Promise.all([
+        axios.get(`/credit-accounts/${accountId}`),
+        axios.get(`/credit-accounts/${accountId}/ledger`)
+      ]);
+      setSelectedAccount(accountResponse.data.data);
+      setLedger(ledgerResponse.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const closeAccount = () => {
+    setSelectedAccount(null);
+    setLedger([]);
+    setPayment(EMPTY_PAYMENT);
+    setStatementRange({ startDate: '', endDate: '' });
+  };
+
+  const openFormModal = (account = null) => {
+    setEditingAccount(account);
+    reset(account
+      ? {
+          name: account.name,
+          contactPerson: account.contactPerson || '',
+          phone: account.phone || '',
+          email: account.email || '',
+          address: account.address || '',
+          tinNumber: account.tinNumber || '',
+          creditLimit: account.creditLimit,
+          termsDays: account.termsDays,
+          isActive: account.isActive,
+          notes: account.notes || ''
+        }
+      : { termsDays: 30, isActive: true });
+    setShowFormModal(true);
+  };
+
+  const closeFormModal = () => {
+    setShowFormModal(false);
+    setEditingAccount(null);
+    reset();
+  };
+
+  const onSubmit = async (data) => {
+    const accountData = {
+      ...data,
+      creditLimit: parseFloat(data.creditLimit),
+      termsDays: parseInt(data.termsDays, 10)
+    };
+
+    setIsSubmitting(true);
+    try {
+      const response = editingAccount
+        ? await axios.put(`/credit-accounts/${editingAccount._id}`, accountData)
+        : await axios.post('/credit-accounts', accountData);
+      toast.success(response.data.message);
+      closeFormModal();
+      fetchAccounts();
+      if (selectedAccount?._id === response.data.data._id) {
+        openAccount(selectedAccount._id);
+      }
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleRecordPayment = async () => {
+    const amount = parseFloat(payment.amount);
+    if (!(amount > 0)) {
+      toast.error('Enter the amount paid');
+      return;
+    }
+    if (payment.method !== 'cash' && !payment.referenceNumber.trim()) {
+      toast.error(`${getReferenceLabel(payment.method)} is required`);
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const response = await axios.post(`/credit-accounts/${selectedAccount._id}/payments`, {
+        amount,
+        method: payment.method,
+        referenceNumber: payment.method !== 'cash' ? payment.referenceNumber.trim() : undefined,
+        notes: payment.notes.trim() || undefined
+      });
+      toast.success(response.data.message);
+      setPayment(EMPTY_PAYMENT);
+      openAccount(selectedAccount._id);
+      fetchAccounts();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const exportStatement = async () => {
+    try {
+      const params = {};
+      if (statementRange.startDate) params.startDate = statementRange.startDate;
+      if (statementRange.endDate) params.endDate = statementRange.endDate;
+      const response = await axios.get(`/credit-accounts/${selectedAccount._id}/statement`, {
+        params,
+        responseType: 'blob',
+      });
+
+      // Create a blob URL and trigger download
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `Statement_${selectedAccount.accountNumber}_${statementRange.endDate || formatLocalDate(new Date())}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+
+      toast.success('Statement of account exported to PDF successfully');
+    } catch (error) {
+      console.error('Error generating PDF:', error);
+      toast.error('Failed to export PDF. Please try again.');
+    }
+  };
+
+  const renderBalance = (balance) => (
+    <span className={balance > 0 ? 'font-semibold' : balance < 0 ? 'text-green-600' : 'text-gray-500'}>
+      {balance < 0 ? `${formatCurrencyDisplay(Math.abs(balance))} CR` : formatCurrencyDisplay(balance)}
+    </span>
+  );
+
+  if (loading) {
+    return <div className="text-center py-8">Loading...</div>;
+  }
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6 sm:mb-8">
+        <h1 className="text-2xl sm:text-3xl font-bold">Credit Accounts</h1>
+        {isAdmin && (
+          <button
+            onClick={() => openFormModal()}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 w-full sm:w-auto"
+          >
+            New Account
+          </button>
+        )}
+      </div>
+
+      {isAdmin && (
+        <div className="flex gap-2 mb-4 border-b">
+          {[{ value: 'accounts', label: 'Accounts' }, { value: 'aging', label: 'Aging Report' }].map((tab) => (
+            <button
+              key={tab.value}
+              onClick={() => setActiveTab(tab.value)}
+              className={`px-4 py-2 -mb-px border-b-2 ${activeTab === tab.value ? 'border-blue-600 text-blue-600 font-semibold' : 'border-transparent text-gray-600 hover:text-gray-800'}`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {activeTab === 'aging' && isAdmin ? (
+        <div className="bg-white rounded-lg shadow overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Account</th>
+                {AGING_BUCKETS.map((bucket) => (
+                  <th key={bucket.key} className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">{bucket.label}</th>
+                ))}
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Balance</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {!aging || aging.rows.length === 0 ? (
+                <tr>
+                  <td colSpan={AGING_BUCKETS.length + 2} className="px-6 py-4 text-center text-gray-500">
+                    No outstanding receivables
+                  </td>
+                </tr>
+              ) : (
+                <>
+                  {aging.rows.map((row) => (
+                    <tr key={row.account._id} className="hover:bg-gray-50 cursor-pointer" onClick={() => openAccount(row.account._id)}>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="font-medium">{row.account.name}</div>
+                        <div className="text-xs text-gray-500">{row.account.accountNumber} · {getCreditTermsLabel(row.account.termsDays)}</div>
+                      </td>
+                      {AGING_BUCKETS.map((bucket) => (
+                        <td
+                          key={bucket.key}
+                          className={`px-6 py-4 whitespace-nowrap text-right ${bucket.key !== 'current' && row[bucket.key] > 0 ? 'text-red-600' : ''}`}
+                        >
+                          {row[bucket.key] > 0 ? formatCurrencyDisplay(row[bucket.key]) : '-'}
+                        </td>
+                      ))}
+                      <td className="px-6 py-4 whitespace-nowrap text-right">{renderBalance(row.balance)}</td>
+                    </tr>
+                  ))}
+                  <tr className="bg-gray-50 font-semibold">
+                    <td className="px-6 py-4">Total</td>
+                    {AGING_BUCKETS.map((bucket) => (
+                      <td key={bucket.key} className="px-6 py-4 whitespace-nowrap text-right">
+                        {formatCurrencyDisplay(aging.totals[bucket.key])}
+                      </td>
+                    ))}
+                    <td className="px-6 py-4 whitespace-nowrap text-right">{formatCurrencyDisplay(aging.totals.balance)}</td>
+                  </tr>
+                </>
+              )}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <>
+          <div className="bg-white rounded-lg shadow p-4 mb-6 flex flex-col sm:flex-row gap-2">
+            <input
+              type="text"
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && fetchAccounts()}
+              placeholder="Search by account number, name or contact person..."
+              className="flex-1 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <button
+              onClick={fetchAccounts}
+              className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300"
+            >
+              Search
+            </button>
+          </div>
+
+          <div className="bg-white rounded-lg shadow overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Account</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Terms</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Credit Limit</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Balance</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Available</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {accounts.length === 0 ? (
+                  <tr>
+                    <td colSpan={7} className="px-6 py-4 text-center text-gray-500">
+                      No credit accounts found
+                    </td>
+                  </tr>
+                ) : (
+                  paginatedAccounts.map((account) => (
+                    <tr key={account._id}>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="font-medium">{account.name}</div>
+                        <div className="text-xs text-gray-500">
+                          {account.accountNumber}{account.contactPerson && ` · ${account.contactPerson}`}
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">{getCreditTermsLabel(account.termsDays)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right">{formatCurrencyDisplay(account.creditLimit)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right">{renderBalance(account.balance)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right">{formatCurrencyDisplay(account.availableCredit)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`px-2 py-1 text-xs font-semibold rounded-full ${account.isActive ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
+                          {account.isActive ? 'Active' : 'Suspended'}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">
+                        <div className="flex gap-3">
+                          <button
+                            onClick={() => openAccount(account._id)}
+                            className="text-blue-600 hover:text-blue-800"
+                          >
+                            View
+                          </button>
+                          {isAdmin && (
+                            <button
+                              onClick={() => openFormModal(account)}
+                              className="text-blue-600 hover:text-blue-800"
+                            >
+                              Edit
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+            <Pagination
+              data={accounts}
+              itemsPerPage={10}
+              onPageChange={setPaginatedAccounts}
+            />
+          </div>
+        </>
+      )}
+
+      {selectedAccount && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-4xl max-h-[90vh] overflow-y-auto">
+            <div className="flex justify-between items-start mb-4">
+              <div>
+                <h2 className="text-xl sm:text-2xl font-bold">{selectedAccount.name}</h2>
+                <p className="text-sm text-gray-600">
+                  {selectedAccount.accountNumber} · {getCreditTermsLabel(selectedAccount.termsDays)}
+                  {' · '}Limit {formatCurrencyDisplay(selectedAccount.creditLimit)}
+                  {!selectedAccount.isActive && <span className="text-red-600"> · Suspended</span>}
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={closeAccount}
+                className="text-gray-500 hover:text-gray-700"
+                aria-label="Close modal"
+              >
+                ✕
+              </button>
+            </div>
+
+            <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-2 mb-4">
+              {AGING_BUCKETS.map((bucket) => (
+                <div key={bucket.key} className="p-3 bg-gray-50 rounded-lg">
+                  <div className="text-xs text-gray-500">{bucket.label}</div>
+                  <div className={`font-semibold ${bucket.key !== 'current' && selectedAccount.aging[bucket.key] > 0 ? 'text-red-600' : ''}`}>
+                    {formatCurrencyDisplay(selectedAccount.aging[bucket.key])}
+                  </div>
+                </div>
+              ))}
+              <div className="p-3 bg-blue-50 rounded-lg">
+                <div className="text-xs text-gray-500">Balance</div>
+                <div>{renderBalance(selectedAccount.balance)}</div>
+              </div>
+            </div>
+
+            {selectedAccount.balance > 0 && (
+              <div className="border rounded-lg p-4 mb-4">
+                <h3 className="font-semibold mb-2">Record Payment</h3>
+                <div className="flex flex-col sm:flex-row gap-2">
+                  <select
+                    value={payment.method}
+                    onChange={(e) => setPayment({ ...payment, method: e.target.value })}
+                    className="sm:w-40 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    {RECEIVABLE_PAYMENT_METHODS.map((method) => (
+                      <option key={method.value} value={method.value}>{method.label}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    step="0.01"
+                    min={0}
+                    value={payment.amount}
+                    onChange={(e) => setPayment({ ...payment, amount: e.target.value })}
+                    className="flex-1 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    placeholder="Amount"
+                  />
+                  {payment.method !== 'cash' && (
+                    <input
+                      type="text"
+                      value={payment.referenceNumber}
+                      onChange={(e) => setPayment({ ...payment, referenceNumber: e.target.value })}
+                      className="flex-1 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      placeholder={getReferenceLabel(payment.method)}
+                    />
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => setPayment({ ...payment, amount: selectedAccount.balance.toFixed(2) })}
+                    className="px-3 py-2 text-sm bg-gray-200 rounded-lg hover:bg-gray-300"
+                    title="Pay the full balance"
+                  >
+                    Full
+                  </button>
+                </div>
+                <input
+                  type="text"
+                  value={payment.notes}
+                  onChange={(e) => setPayment({ ...payment, notes: e.target.value })}
+                  className="w-full mt-2 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  placeholder="Notes (optional)"
+                />
+                <div className="flex justify-between items-center mt-2">
+                  <p className="text-xs text-gray-500">Payments settle the oldest charges first. Cash is counted in your shift drawer.</p>
+                  <button
+                    type="button"
+                    onClick={handleRecordPayment}
+                    disabled={isSubmitting}
+                    className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {isSubmitting ? 'Recording...' : 'Record Payment'}
+                  </button>
+                </div>
+              </div>
+            )}
+
+            <div className="border rounded-lg p-4 mb-4">
+              <h3 className="font-semibold mb-2">Statement of Account</h3>
+              <div className="flex flex-col sm:flex-row gap-2 sm:items-end">
+                <div>
+                  <label className="block text-xs text-gray-500 mb-1">From (defaults to start of month)</label>
+                  <input
+                    type="date"
+                    value={statementRange.startDate}
+                    onChange={(e) => setStatementRange({ ...statementRange, startDate: e.target.value })}
+                    className="px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-500 mb-1">To (defaults to today)</label>
+                  <input
+                    type="date"
+                    value={statementRange.endDate}
+                    onChange={(e) => setStatementRange({ ...statementRange, endDate: e.target.value })}
+                    className="px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+                <button
+                  type="button"
+                  onClick={exportStatement}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                >
+                  Export PDF
+                </button>
+              </div>
+            </div>
+
+            {selectedAccount.openCharges.length > 0 && (
+              <div className="border rounded-lg p-4 mb-4">
+                <h3 className="font-semibold mb-2">Open Charges</h3>
+                <div className="space-y-1 text-sm">
+                  {selectedAccount.openCharges.map((charge) => (
+                    <div key={charge._id} className="flex justify-between">
+                      <span>
+                        {charge.saleNumber} · charged {formatDate(charge.chargedAt)} · due {formatDate(charge.dueDate)}
+                        {charge.daysPastDue > 0 && <span className="text-red-600"> · {charge.daysPastDue} days overdue</span>}
+                      </span>
+                      <span className="font-semibold">{formatCurrencyDisplay(charge.open)}</span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <div className="border rounded-lg p-4">
+              <h3 className="font-semibold mb-2">Ledger</h3>
+              {ledger.length === 0 ? (
+                <p className="text-gray-500 text-sm">No transactions yet</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs text-gray-500 uppercase">
+                        <th className="py-1 pr-4">Date</th>
+                        <th className="py-1 pr-4">Reference</th>
+                        <th className="py-1 pr-4">Description</th>
+                        <th className="py-1 pr-4 text-right">Amount</th>
+                        <th className="py-1 text-right">Balance</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {ledger.map((entry) => (
+                        <tr key={entry._id} className="border-t">
+                          <td className="py-1 pr-4 whitespace-nowrap">{new Date(entry.createdAt).toLocaleString()}</td>
+                          <td className="py-1 pr-4 whitespace-nowrap">{entry.reference}</td>
+                          <td className="py-1 pr-4">{entry.description}</td>
+                          <td className={`py-1 pr-4 text-right whitespace-nowrap ${entry.amount < 0 ? 'text-green-600' : ''}`}>
+                            {entry.amount < 0 ? `-${formatCurrencyDisplay(-entry.amount)}` : formatCurrencyDisplay(entry.amount)}
+                          </td>
+                          <td className="py-1 text-right whitespace-nowrap">{renderBalance(entry.balanceAfter)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {showFormModal && isAdmin && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+            <h2 className="text-xl sm:text-2xl font-bold mb-4">
+              {editingAccount ? `Edit ${editingAccount.accountNumber}` : 'New Credit Account'}
+            </h2>
+            <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div className="sm:col-span-2">
+                  <label className="block text-sm font-medium mb-1">Account Name *</label>
+                  <input
+                    {...register('name', { required: 'Account name is required' })}
+                    type="text"
+                    className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    placeholder="Customer or company name"
+                  />
+                  {errors.name && <p className="text-red-500 text-sm mt-1">{errors.name.message}</p>}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Contact Person</label>
+                  <input
+                    {...register('contactPerson')}
+                    type="text"
+                    className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Contact Number</label>
+                  <input
+                    {...register('phone', {
+                      pattern: { value: /^\d{0,11}$/, message: 'Phone number must be up to 11 digits' }
+                    })}
+                    type="text"
+                    className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  {errors.phone && <p className="text-red-500 text-sm mt-1">{errors.phone.message}</p>}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Email</label>
+                  <input
+                    {...register('email', {
+                      pattern: { value: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, message: 'Please provide a valid email' }
+                    })}
+                    type="email"
+                    className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  {errors.email && <p className="text-red-500 text-sm mt-1">{errors.email.message}</p>}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">TIN Number</label>
+                  <input
+                    {...register('tinNumber')}
+                    type="text"
+                    className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+                <div className="sm:col-span-2">
+                  <label className="block text-sm font-medium mb-1">Billing Address</label>
+                  <input
+                    {...register('address')}
+                    type="text"
+                    className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Credit Limit *</label>
+                  <input
+                    {...register('creditLimit', {
+                      required: 'Credit limit is required',
+                      min: { value: 0, message: 'Credit limit cannot be negative' }
+                    })}
+                    type="number"
+                    step="0.01"
+                    min={0}
+                    className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  {errors.creditLimit && <p className="text-red-500 text-sm mt-1">{errors.creditLimit.message}</p>}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Terms</label>
+                  <select
+                    {...register('termsDays')}
+                    className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    {CREDIT_TERMS.map((terms) => (
+                      <option key={terms.value} value={terms.value}>{terms.label}</option>
+                    ))}
+                  </select>
+                  {editingAccount && (
+                    <p className="text-xs text-gray-500 mt-1">New terms apply to charges made from now on.</p>
+                  )}
+                </div>
+                <div className="sm:col-span-2">
+                  <label className="block text-sm font-medium mb-1">Notes</label>
+                  <textarea
+                    {...register('notes', { maxLength: { value: 500, message: 'Notes cannot exceed 500 characters' } })}
+                    rows={2}
+                    className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  {errors.notes && <p className="text-red-500 text-sm mt-1">{errors.notes.message}</p>}
+                </div>
+                {editingAccount && (
+                  <label className="flex items-center gap-2 sm:col-span-2">
+                    <input type="checkbox" {...register('isActive')} />
+                    <span className="text-sm">Active (suspended accounts cannot take new charges but still accept payments)</span>
+                  </label>
+                )}
+              </div>
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={closeFormModal}
+                  disabled={isSubmitting}
+                  className="flex-1 bg-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-400 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={isSubmitting}
+                  className="flex-1 bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isSubmitting ? 'Saving...' : 'Save Account'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CreditAccounts;
@@ -0,0 +1,582 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import { useForm } from 'react-hook-form';
+import { useAuth } from '../context/AuthContext';
+import Pagination from '../components/Pagination';
+import ConfirmModal from '../components/ConfirmModal';
+import { formatCurrencyDisplay, formatDate, formatPaymentMethod } from '../utils/utils';
+import { CUSTOMER_TYPES, getCustomerTypeLabel } from '../constants/customerTypes';
+import { describePriceListValidity, getPriceListStatus } from '../constants/priceLists';
+
+// Sales shown per page of a customer's purchase history
+const HISTORY_PAGE_SIZE = 10;
+
+const LOYALTY_ENTRY_LABELS = {
+  earn: 'Earned',
+  redeem: 'Redeemed',
+  adjust: 'Lines voided or returned',
+  void: 'Sale voided',
+  return: 'Returned'
+};
+
+const Customers = () => {
+  const { isAdmin } = useAuth();
+  const [customers, setCustomers] = useState([]);
+  const [priceLists, setPriceLists] = useState([]);
+  const [paginatedCustomers, setPaginatedCustomers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [showFormModal, setShowFormModal] = useState(false);
+  const [editingCustomer, setEditingCustomer] = useState(null);
+  const [selectedCustomer, setSelectedCustomer] = useState(null);
+  const [history, setHistory] = useState({ sales: [], page: 1, pages: 0 });
+  const [pointsHistory, setPointsHistory] = useState([]);
+  const [customerToDelete, setCustomerToDelete] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const { register, handleSubmit, reset, formState: { errors } } = useForm();
+
+  useEffect(() => {
+    fetchCustomers();
+    fetchPriceLists();
+  }, []);
+
+  const fetchCustomers = async () => {
+    try {
+      const params = {};
+      if (searchQuery.trim()) params.search = searchQuery.trim();
+      const response = await axios.get('/customers', { params });
+      setCustomers(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchPriceLists = async () => {
+    try {
+      const response = await axios.get('/price-lists');
+      setPriceLists(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const fetchHistory = async (customerId, page = 1) => {
+    try {
+      const response = await axios.get('/sales', {
+        params: { customer: customerId, page, limit: HISTORY_PAGE_SIZE }
+      });
+      setHistory({ sales: response.data.data, page: response.data.page, pages: response.data.pages });
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const fetchPointsHistory = async (customerId) => {
+    try {
+      const response = await axios.get(`/customers/${customerId}/loyalty`);
+      setPointsHistory(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const openProfile = async (customerId) => {
+    try {
+      const response = await axios.get(`/customers/${customerId}`);
+      setSelectedCustomer(response.data.data);
+      fetchHistory(customerId);
+      fetchPointsHistory(customerId);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const closeProfile = () => {
+    setSelectedCustomer(null);
+    setHistory({ sales: [], page: 1, pages: 0 });
+    setPointsHistory([]);
+  };
+
+  const openFormModal = (customer = null) => {
+    setEditingCustomer(customer);
+    reset(customer
+      ? {
+          name: customer.name,
+          phone: customer.phone || '',
+          email: customer.email || '',
+          address: customer.address || '',
+          tinNumber: customer.tinNumber || '',
+          customerType: customer.customerType || 'retail',
+          priceList: customer.priceList?._id || '',
+          isActive: customer.isActive,
+          notes: customer.notes || ''
+        }
+      : { customerType: 'retail', priceList: '', isActive: true });
+    setShowFormModal(true);
+  };
+
+  const closeFormModal = () => {
+    setShowFormModal(false);
+    setEditingCustomer(null);
+    reset();
+  };
+
+  const onSubmit = async (data) => {
+    setIsSubmitting(true);
+    try {
+      const response = editingCustomer
+        ? await axios.put(`/customers/${editingCustomer._id}`, data)
+        : await axios.post('/customers', data);
+      toast.success(response.data.message);
+      closeFormModal();
+      fetchCustomers();
+      if (selectedCustomer?._id === response.data.data._id) {
+        openProfile(selectedCustomer._id);
+      }
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    setIsSubmitting(true);
+    try {
+      const response = await axios.delete(`/customers/${customerToDelete._id}`);
+      toast.success(response.data.message);
+      setCustomerToDelete(null);
+      fetchCustomers();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="text-center py-8">Loading...</div>;
+  }
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6 sm:mb-8">
+        <h1 className="text-2xl sm:text-3xl font-bold">Customers</h1>
+        <button
+          onClick={() => openFormModal()}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 w-full sm:w-auto"
+        >
+          New Customer
+        </button>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-4 mb-6 flex flex-col sm:flex-row gap-2">
+        <input
+          type="text"
+          value={searchQuery}
+          onChange={(e) => setSearchQuery(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && fetchCustomers()}
+          placeholder="Search by customer number, name, phone or TIN..."
+          className="flex-1 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+        <button
+          onClick={fetchCustomers}
+          className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300"
+        >
+          Search
+        </button>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Customer</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Contact Number</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Email</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">TIN</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {customers.length === 0 ? (
+              <tr>
+                <td colSpan={6} className="px-6 py-4 text-center text-gray-500">
+                  No customers found
+                </td>
+              </tr>
+            ) : (
+              paginatedCustomers.map((customer) => (
+                <tr key={customer._id}>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="font-medium">{customer.name}</div>
+                    <div className="text-xs text-gray-500">
+                      {customer.customerNumber}
+                      {customer.customerType && customer.customerType !== 'retail' && ` · ${getCustomerTypeLabel(customer.customerType)}`}
+                      {customer.priceList && ` · ${customer.priceList.name}`}
+                    </div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">{customer.phone || '-'}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">{customer.email || '-'}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">{customer.tinNumber || '-'}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`px-2 py-1 text-xs font-semibold rounded-full ${customer.isActive ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
+                      {customer.isActive ? 'Active' : 'Inactive'}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <div className="flex gap-3">
+                      <button
+                        onClick={() => openProfile(customer._id)}
+                        className="text-blue-600 hover:text-blue-800"
+                      >
+                        View
+                      </button>
+                      <button
+                        onClick={() => openFormModal(customer)}
+                        className="text-blue-600 hover:text-blue-800"
+                      >
+                        Edit
+                      </button>
+                      {isAdmin && (
+                        <button
+                          onClick={() => setCustomerToDelete(customer)}
+                          className="text-red-600 hover:text-red-800"
+                        >
+                          Delete
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+        <Pagination
+          data={customers}
+          itemsPerPage={10}
+          onPageChange={setPaginatedCustomers}
+        />
+      </div>
+
+      {selectedCustomer && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-4xl max-h-[90vh] overflow-y-auto">
+            <div className="flex justify-between items-start mb-4">
+              <div>
+                <h2 className="text-xl sm:text-2xl font-bold">{selectedCustomer.name}</h2>
+                <p className="text-sm text-gray-600">
+                  {[
+                    selectedCustomer.customerNumber,
+                    getCustomerTypeLabel(selectedCustomer.customerType || 'retail'),
+                    selectedCustomer.priceList && `${selectedCustomer.priceList.name} price list (${getPriceListStatus(selectedCustomer.priceList).label.toLowerCase()}, ${describePriceListValidity(selectedCustomer.priceList).toLowerCase()})`,
+                    selectedCustomer.phone,
+                    selectedCustomer.email,
+                    selectedCustomer.tinNumber && `TIN ${selectedCustomer.tinNumber}`
+                  ].filter(Boolean).join(' · ')}
+                  {!selectedCustomer.isActive && <span className="text-red-600"> · Inactive</span>}
+                </p>
+                {selectedCustomer.address && <p className="text-sm text-gray-600">{selectedCustomer.address}</p>}
+              </div>
+              <button
+                type="button"
+                onClick={closeProfile}
+                className="text-gray-500 hover:text-gray-700"
+                aria-label="Close modal"
+              >
+                ✕
+              </button>
+            </div>
+
+            <div className="grid grid-cols-2 sm:grid-cols-5 gap-2 mb-4">
+              <div className="p-3 bg-gray-50 rounded-lg">
+                <div className="text-xs text-gray-500">Purchases</div>
+                <div className="font-semibold">{selectedCustomer.stats.salesCount}</div>
+              </div>
+              <div className="p-3 bg-blue-50 rounded-lg">
+                <div className="text-xs text-gray-500">Total Spent</div>
+                <div className="font-semibold">{formatCurrencyDisplay(selectedCustomer.stats.totalSpent)}</div>
+              </div>
+              <div className="p-3 bg-gray-50 rounded-lg">
+                <div className="text-xs text-gray-500">Average Sale</div>
+                <div className="font-semibold">{formatCurrencyDisplay(selectedCustomer.stats.averageSale)}</div>
+              </div>
+              <div className="p-3 bg-gray-50 rounded-lg">
+                <div className="text-xs text-gray-500">Last Visit</div>
+                <div className="font-semibold">
+                  {selectedCustomer.stats.lastVisit ? formatDate(selectedCustomer.stats.lastVisit) : 'Never'}
+                </div>
+              </div>
+              <div className="p-3 bg-green-50 rounded-lg">
+                <div className="text-xs text-gray-500">Loyalty Points</div>
+                <div className={`font-semibold ${selectedCustomer.loyaltyPoints < 0 ? 'text-red-600' : ''}`}>
+                  {selectedCustomer.loyaltyPoints}
+                </div>
+              </div>
+            </div>
+
+            {selectedCustomer.notes && (
+              <div className="p-3 mb-4 bg-yellow-50 border border-yellow-200 rounded-lg text-sm">{selectedCustomer.notes}</div>
+            )}
+
+            {selectedCustomer.topProducts.length > 0 && (
+              <div className="border rounded-lg p-4 mb-4">
+                <h3 className="font-semibold mb-2">Most Purchased</h3>
+                <div className="space-y-1 text-sm">
+                  {selectedCustomer.topProducts.map((product) => (
+                    <div key={product.product} className="flex justify-between">
+                      <span>{product.name || 'Deleted product'} × {product.quantity}</span>
+                      <span>{formatCurrencyDisplay(product.amount)}</span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {pointsHistory.length > 0 && (
+              <div className="border rounded-lg p-4 mb-4">
+                <h3 className="font-semibold mb-2">Points History</h3>
+                <div className="overflow-x-auto">
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs text-gray-500 uppercase">
+                        <th className="py-1 pr-4">Date</th>
+                        <th className="py-1 pr-4">Sale No.</th>
+                        <th className="py-1 pr-4">Description</th>
+                        <th className="py-1 pr-4 text-right">Points</th>
+                        <th className="py-1 text-right">Balance</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {pointsHistory.map((entry) => (
+                        <tr key={entry._id} className="border-t">
+                          <td className="py-1 pr-4 whitespace-nowrap">{new Date(entry.createdAt).toLocaleString()}</td>
+                          <td className="py-1 pr-4 whitespace-nowrap">{entry.sale?.saleNumber || '-'}</td>
+                          <td className="py-1 pr-4">
+                            {LOYALTY_ENTRY_LABELS[entry.type]}
+                            {['redeem', 'return'].includes(entry.type) && ` for ${formatCurrencyDisplay(entry.amount)}`}
+                            {entry.reversed && ' (voided)'}
+                          </td>
+                          <td className={`py-1 pr-4 text-right whitespace-nowrap ${entry.points < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                            {entry.points > 0 ? `+${entry.points}` : entry.points}
+                          </td>
+                          <td className="py-1 text-right whitespace-nowrap">{entry.balanceAfter}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+
+            <div className="border rounded-lg p-4">
+              <div className="flex justify-between items-center mb-2">
+                <h3 className="font-semibold">Purchase History</h3>
+                {selectedCustomer.stats.firstVisit && (
+                  <span className="text-xs text-gray-500">Customer since {formatDate(selectedCustomer.stats.firstVisit)}</span>
+                )}
+              </div>
+              {history.sales.length === 0 ? (
+                <p className="text-gray-500 text-sm">No purchases yet</p>
+              ) : (
+                <>
+                  <div className="overflow-x-auto">
+                    <table className="min-w-full text-sm">
+                      <thead>
+                        <tr className="text-left text-xs text-gray-500 uppercase">
+                          <th className="py-1 pr-4">Date</th>
+                          <th className="py-1 pr-4">Sale No.</th>
+                          <th className="py-1 pr-4">Items</th>
+                          <th className="py-1 pr-4">Payment</th>
+                          <th className="py-1 text-right">Total</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {history.sales.map((sale) => (
+                          <tr key={sale._id} className={`border-t ${sale.isVoid ? 'text-gray-400 line-through' : ''}`}>
+                            <td className="py-1 pr-4 whitespace-nowrap">{new Date(sale.createdAt).toLocaleString()}</td>
+                            <td className="py-1 pr-4 whitespace-nowrap">{sale.saleNumber}</td>
+                            <td className="py-1 pr-4">
+                              {sale.items.map(item => `${item.product?.name || 'Deleted product'} × ${item.quantity}`).join(', ')}
+                            </td>
+                            <td className="py-1 pr-4 whitespace-nowrap">{formatPaymentMethod(sale.paymentMethod)}</td>
+                            <td className="py-1 text-right whitespace-nowrap">{formatCurrencyDisplay(sale.total)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  {history.pages > 1 && (
+                    <div className="flex justify-between items-center mt-2 text-sm">
+                      <button
+                        type="button"
+                        onClick={() => fetchHistory(selectedCustomer._id, history.page - 1)}
+                        disabled={history.page <= 1}
+                        className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        Previous
+                      </button>
+                      <span className="text-gray-600">Page {history.page} of {history.pages}</span>
+                      <button
+                        type="button"
+                        onClick={() => fetchHistory(selectedCustomer._id, history.page + 1)}
+                        disabled={history.page >= history.pages}
+                        className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        Next
+                      </button>
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {showFormModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+            <h2 className="text-xl sm:text-2xl font-bold mb-4">
+              {editingCustomer ? `Edit ${editingCustomer.customerNumber}` : 'New Customer'}
+            </h2>
+            <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div className="sm:col-span-2">
+                  <label className="block text-sm font-medium mb-1">Customer Name *</label>
+                  <input
+                    {...register('name', { required: 'Customer name is required' })}
+                    type="text"
+                    className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  {errors.name && <p className="text-red-500 text-sm mt-1">{errors.name.message}</p>}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Contact Number</label>
+                  <input
+                    {...register('phone', {
+                      pattern: { value: /^\d{0,11}$/, message: 'Phone number must be up to 11 digits' }
+                    })}
+                    type="text"
+                    className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  {errors.phone && <p className="text-red-500 text-sm mt-1">{errors.phone.message}</p>}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Email</label>
+                  <input
+                    {...register('email', {
+                      pattern: { value: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, message: 'Please provide a valid email' }
+                    })}
+                    type="email"
+                    className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  {errors.email && <p className="text-red-500 text-sm mt-1">{errors.email.message}</p>}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">TIN Number</label>
+                  <input
+                    {...register('tinNumber')}
+                    type="text"
+                    className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Customer Type</label>
+                  <select
+                    {...register('customerType')}
+                    disabled={!isAdmin}
+                    className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-100"
+                  >
+                    {CUSTOMER_TYPES.map((type) => (
+                      <option key={type.value} value={type.value}>{type.label}</option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {isAdmin ? 'Decides which product price tiers apply' : 'Only an admin can change the price tier type'}
+                  </p>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Price List</label>
+                  <select
+                    {...register('priceList')}
+                    disabled={!isAdmin}
+                    className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-100"
+                  >
+                    <option value="">None</option>
+                    {priceLists.map((priceList) => (
+                      <option key={priceList._id} value={priceList._id}>
+                        {priceList.name}{!priceList.isActive && ' (inactive)'}
+                      </option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {isAdmin ? 'Negotiated prices used at checkout and on quotations' : 'Only an admin can change the price list'}
+                  </p>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Address</label>
+                  <input
+                    {...register('address')}
+                    type="text"
+                    className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+                <div className="sm:col-span-2">
+                  <label className="block text-sm font-medium mb-1">Notes</label>
+                  <textarea
+                    {...register('notes', { maxLength: { value: 500, message: 'Notes cannot exceed 500 characters' } })}
+                    rows={2}
+                    className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  {errors.notes && <p className="text-red-500 text-sm mt-1">{errors.notes.message}</p>}
+                </div>
+                {editingCustomer && (
+                  <label className="flex items-center gap-2 sm:col-span-2">
+                    <input type="checkbox" {...register('isActive')} />
+                    <span className="text-sm">Active (inactive customers are not offered at checkout)</span>
+                  </label>
+                )}
+              </div>
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={closeFormModal}
+                  disabled={isSubmitting}
+                  className="flex-1 bg-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-400 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={isSubmitting}
+                  className="flex-1 bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isSubmitting ? 'Saving...' : 'Save Customer'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      <ConfirmModal
+        isOpen={!!customerToDelete}
+        onClose={() => setCustomerToDelete(null)}
+        onConfirm={handleDelete}
+        title="Delete Customer"
+        message={`Delete ${customerToDelete?.name}? Customers with sales on record can only be deactivated.`}
+        confirmText="Delete"
+        variant="danger"
+        isLoading={isSubmitting}
+      />
+    </div>
+  );
+};
+
+export default Customers;
@@ -3,9 +3,10 @@ import axios from 'axios';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { formatLocalDate, formatCurrencyDisplay } from '../utils/utils';
+import VoidRequestQueue from '../components/VoidRequestQueue';
 
 const Dashboard = () => {
-  const { isStaff, loading: authLoading } = useAuth();
+  const { isStaff, isAdmin, loading: authLoading } = useAuth();
   const [stats, setStats] = useState({
     totalProducts: 0,
     lowStockProducts: 0,
@@ -144,6 +145,8 @@ const Dashboard = () => {
         </div>
       </div>
 
+      {isAdmin && <VoidRequestQueue />}
+
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 sm:gap-6">
         <div className="bg-white p-6 rounded-lg shadow">
           <h2 className="text-xl font-semibold mb-4">Quick Actions</h2>
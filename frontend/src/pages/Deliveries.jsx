@@ -0,0 +1,566 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import InputModal from '../components/InputModal';
+import { formatCurrencyDisplay, formatDate, formatLocalDate } from '../utils/utils';
+import { DELIVERY_STATUSES, DELIVERY_TIME_SLOTS, getDeliveryStatus, getTimeSlotLabel } from '../constants/deliveries';
+
+const EMPTY_ASSIGNMENT = {
+  contactName: '',
+  contactPhone: '',
+  address: '',
+  scheduledDate: '',
+  timeSlot: 'whole_day',
+  vehicle: '',
+  driver: '',
+  notes: ''
+};
+
+// What each status change asks for before it is sent
+const STATUS_PROMPTS = {
+  delivered: {
+    title: 'Mark as Delivered',
+    inputLabel: 'Received by',
+    inputType: 'text',
+    inputPlaceholder: 'Name of the person who signed the delivery receipt',
+    field: 'receivedBy',
+    variant: 'info'
+  },
+  failed: {
+    title: 'Mark as Failed',
+    inputLabel: 'Reason',
+    inputType: 'text',
+    inputPlaceholder: 'e.g. Customer not home',
+    field: 'note',
+    variant: 'danger'
+  },
+  scheduled: {
+    title: 'Reschedule Delivery',
+    inputLabel: 'New delivery date',
+    inputType: 'date',
+    field: 'scheduledDate',
+    variant: 'warning'
+  }
+};
+
+const SLOT_ORDER = DELIVERY_TIME_SLOTS.map(slot => slot.value);
+
+const shiftDate = (value, days) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return formatLocalDate(new Date(year, month - 1, day + days));
+};
+
+const Deliveries = () => {
+  const [deliveries, setDeliveries] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [date, setDate] = useState(() => formatLocalDate(new Date()));
+  const [statusFilter, setStatusFilter] = useState('');
+  const [searchQuery, setSearchQuery] = useState('');
+  const [editingDelivery, setEditingDelivery] = useState(null);
+  const [assignment, setAssignment] = useState(EMPTY_ASSIGNMENT);
+  const [statusAction, setStatusAction] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    fetchDeliveries();
+  }, [date, statusFilter]);
+
+  const fetchDeliveries = async () => {
+    try {
+      const params = {};
+      if (date) params.date = date;
+      if (statusFilter) params.status = statusFilter;
+      if (searchQuery.trim()) params.search = searchQuery.trim();
+      const response = await axios.get('/deliveries', { params });
+      setDeliveries(response.data.data);
+      setCounts(response.data.counts);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openEditModal = async (delivery) => {
+    try {
+      const response = await axios.get(`/deliveries/${delivery._id}`);
+      const details = response.data.data;
+      setEditingDelivery(details);
+      setAssignment({
+        contactName: details.contactName || '',
+        contactPhone: details.contactPhone || '',
+        address: details.address || '',
+        scheduledDate: formatLocalDate(new Date(details.scheduledDate)),
+        timeSlot: details.timeSlot || 'whole_day',
+        vehicle: details.vehicle || '',
+        driver: details.driver || '',
+        notes: details.notes || ''
+      });
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const closeEditModal = () => {
+    setEditingDelivery(null);
+    setAssignment(EMPTY_ASSIGNMENT);
+  };
+
+  const handleSaveAssignment = async (e) => {
+    e.preventDefault();
+    if (!assignment.address.trim() || !assignment.contactName.trim()) {
+      toast.error('Enter the contact name and delivery address');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const response = await axios.patch(`/deliveries/${editingDelivery._id}`, {
+        ...assignment,
+        contactName: assignment.contactName.trim(),
+        contactPhone: assignment.contactPhone.trim(),
+        address: assignment.address.trim(),
+        vehicle: assignment.vehicle.trim(),
+        driver: assignment.driver.trim(),
+        notes: assignment.notes.trim()
+      });
+      toast.success(response.data.message);
+      closeEditModal();
+      fetchDeliveries();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const updateStatus = async (delivery, status, extra = {}) => {
+    setIsSubmitting(true);
+    try {
+      const response = await axios.patch(`/deliveries/${delivery._id}/status`, { status, ...extra });
+      toast.success(response.data.message);
+      setStatusAction(null);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSubmitting(false);
+      fetchDeliveries();
+    }
+  };
+
+  // A delivery leaves only once a vehicle and driver are on it
+  const handleDispatch = (delivery) => {
+    if (!delivery.vehicle || !delivery.driver) {
+      toast.error('Assign a vehicle and driver before dispatching the delivery');
+      openEditModal(delivery);
+      return;
+    }
+    updateStatus(delivery, 'out_for_delivery');
+  };
+
+  const handleStatusConfirm = (value) => {
+    if (!statusAction) return;
+    const prompt = STATUS_PROMPTS[statusAction.status];
+    updateStatus(statusAction.delivery, statusAction.status, { [prompt.field]: value.trim() });
+  };
+
+  const exportDeliveryReceipt = async (delivery) => {
+    try {
+      const response = await axios.get(`/deliveries/${delivery._id}/pdf`, {
+        responseType: 'blob',
+      });
+
+      // Create a blob URL and trigger download
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `DR_${delivery.deliveryNumber}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+
+      toast.success('Delivery receipt exported to PDF successfully');
+    } catch (error) {
+      console.error('Error generating PDF:', error);
+      toast.error('Failed to export PDF. Please try again.');
+    }
+  };
+
+  if (loading) {
+    return <div className="text-center py-8">Loading...</div>;
+  }
+
+  // Morning runs first, whole-day drops last
+  const sortedDeliveries = [...deliveries].sort((a, b) =>
+    new Date(a.scheduledDate) - new Date(b.scheduledDate) ||
+    SLOT_ORDER.indexOf(a.timeSlot) - SLOT_ORDER.indexOf(b.timeSlot)
+  );
+  const prompt = statusAction ? STATUS_PROMPTS[statusAction.status] : null;
+  const isOpen = (delivery) => ['scheduled', 'out_for_delivery', 'failed'].includes(delivery.status);
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6 sm:mb-8">
+        <h1 className="text-2xl sm:text-3xl font-bold">Dispatch Board</h1>
+        <div className="flex items-center gap-2 w-full sm:w-auto">
+          <button
+            onClick={() => setDate(shiftDate(date || formatLocalDate(new Date()), -1))}
+            className="px-3 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300"
+            aria-label="Previous day"
+          >
+            ‹
+          </button>
+          <input
+            type="date"
+            value={date}
+            onChange={(e) => setDate(e.target.value)}
+            className="flex-1 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <button
+            onClick={() => setDate(shiftDate(date || formatLocalDate(new Date()), 1))}
+            className="px-3 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300"
+            aria-label="Next day"
+          >
+            ›
+          </button>
+          <button
+            onClick={() => setDate(formatLocalDate(new Date()))}
+            className="px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+          >
+            Today
+          </button>
+          <button
+            onClick={() => setDate('')}
+            className="px-3 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 whitespace-nowrap"
+          >
+            All Dates
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 sm:grid-cols-5 gap-2 mb-4">
+        {DELIVERY_STATUSES.map((status) => (
+          <button
+            key={status.value}
+            onClick={() => setStatusFilter(statusFilter === status.value ? '' : status.value)}
+            className={`p-3 rounded-lg shadow text-left transition-colors ${
+              statusFilter === status.value ? 'ring-2 ring-blue-500 bg-blue-50' : 'bg-white hover:bg-gray-50'
+            }`}
+          >
+            <div className="text-sm text-gray-600">{status.label}</div>
+            <div className="text-2xl font-bold">{counts[status.value] || 0}</div>
+          </button>
+        ))}
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-4 mb-6 flex flex-col sm:flex-row gap-2">
+        <input
+          type="text"
+          value={searchQuery}
+          onChange={(e) => setSearchQuery(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && fetchDeliveries()}
+          placeholder="Search by DR number, sale number, contact or address..."
+          className="flex-1 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+        <button
+          onClick={fetchDeliveries}
+          className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300"
+        >
+          Search
+        </button>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Delivery</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Schedule</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Deliver To</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Items</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Vehicle / Driver</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {sortedDeliveries.length === 0 ? (
+              <tr>
+                <td colSpan={7} className="px-6 py-4 text-center text-gray-500">
+                  No deliveries found
+                </td>
+              </tr>
+            ) : (
+              sortedDeliveries.map((delivery) => {
+                const status = getDeliveryStatus(delivery.status);
+                return (
+                  <tr key={delivery._id}>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="font-medium">{delivery.deliveryNumber}</div>
+                      <div className="text-xs text-gray-500">Sale {delivery.saleNumber}</div>
+                      {delivery.deliveryFee > 0 && (
+                        <div className="text-xs text-gray-500">Fee {formatCurrencyDisplay(delivery.deliveryFee)}</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div>{formatDate(delivery.scheduledDate)}</div>
+                      <div className="text-xs text-gray-500">{getTimeSlotLabel(delivery.timeSlot)}</div>
+                    </td>
+                    <td className="px-6 py-4 max-w-xs">
+                      <div className="font-medium">{delivery.contactName}</div>
+                      {delivery.contactPhone && <div className="text-xs text-gray-500">{delivery.contactPhone}</div>}
+                      <div className="text-sm text-gray-700 whitespace-pre-line">{delivery.address}</div>
+                      {delivery.notes && <div className="text-xs text-gray-500 mt-1">Note: {delivery.notes}</div>}
+                    </td>
+                    <td className="px-6 py-4 text-sm">
+                      {delivery.sale?.items?.map((item, index) => (
+                        <div key={index}>
+                          {item.quantity} {item.product?.unit || ''} × {item.product?.name || 'Unknown Product'}
+                        </div>
+                      ))}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <div>{delivery.vehicle || <span className="text-gray-400">No vehicle</span>}</div>
+                      <div>{delivery.driver || <span className="text-gray-400">No driver</span>}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`px-2 py-1 text-xs font-semibold rounded-full ${status.className}`}>
+                        {status.label}
+                      </span>
+                      {delivery.status === 'delivered' && delivery.receivedBy && (
+                        <div className="text-xs text-gray-500 mt-1">Received by {delivery.receivedBy}</div>
+                      )}
+                      {delivery.status === 'failed' && delivery.failureReason && (
+                        <div className="text-xs text-red-600 mt-1">{delivery.failureReason}</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <div className="flex flex-wrap gap-3">
+                        <button
+                          onClick={() => exportDeliveryReceipt(delivery)}
+                          className="text-blue-600 hover:text-blue-800"
+                        >
+                          Print DR
+                        </button>
+                        {isOpen(delivery) && (
+                          <button
+                            onClick={() => openEditModal(delivery)}
+                            className="text-blue-600 hover:text-blue-800"
+                          >
+                            Assign
+                          </button>
+                        )}
+                        {delivery.status === 'scheduled' && (
+                          <button
+                            onClick={() => handleDispatch(delivery)}
+                            disabled={isSubmitting}
+                            className="text-yellow-700 hover:text-yellow-900 disabled:opacity-50"
+                          >
+                            Dispatch
+                          </button>
+                        )}
+                        {delivery.status === 'out_for_delivery' && (
+                          <button
+                            onClick={() => setStatusAction({ delivery, status: 'delivered' })}
+                            className="text-green-600 hover:text-green-800"
+                          >
+                            Delivered
+                          </button>
+                        )}
+                        {['scheduled', 'out_for_delivery'].includes(delivery.status) && (
+                          <button
+                            onClick={() => setStatusAction({ delivery, status: 'failed' })}
+                            className="text-red-600 hover:text-red-800"
+                          >
+                            Failed
+                          </button>
+                        )}
+                        {delivery.status === 'failed' && (
+                          <button
+                            onClick={() => setStatusAction({ delivery, status: 'scheduled' })}
+                            className="text-orange-600 hover:text-orange-800"
+                          >
+                            Reschedule
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Assign vehicle/driver and edit the delivery details */}
+      {editingDelivery && (
+        <div
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+          onClick={() => {
+            if (!isSubmitting) {
+              closeEditModal();
+            }
+          }}
+        >
+          <div
+            className="bg-white p-6 rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-xl font-bold text-gray-900">Delivery {editingDelivery.deliveryNumber}</h3>
+              <button
+                type="button"
+                onClick={closeEditModal}
+                disabled={isSubmitting}
+                className="text-gray-500 hover:text-gray-700 disabled:opacity-50"
+                aria-label="Close modal"
+              >
+                ✕
+              </button>
+            </div>
+
+            <form onSubmit={handleSaveAssignment} className="space-y-3">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium mb-1">Vehicle</label>
+                  <input
+                    type="text"
+                    value={assignment.vehicle}
+                    onChange={(e) => setAssignment({ ...assignment, vehicle: e.target.value })}
+                    className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    placeholder="e.g. Truck 2 / ABC 1234"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Driver</label>
+                  <input
+                    type="text"
+                    value={assignment.driver}
+                    onChange={(e) => setAssignment({ ...assignment, driver: e.target.value })}
+                    className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Delivery Date</label>
+                  <input
+                    type="date"
+                    value={assignment.scheduledDate}
+                    onChange={(e) => setAssignment({ ...assignment, scheduledDate: e.target.value })}
+                    className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Time Slot</label>
+                  <select
+                    value={assignment.timeSlot}
+                    onChange={(e) => setAssignment({ ...assignment, timeSlot: e.target.value })}
+                    className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    {DELIVERY_TIME_SLOTS.map(slot => (
+                      <option key={slot.value} value={slot.value}>{slot.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Contact Name *</label>
+                  <input
+                    type="text"
+                    value={assignment.contactName}
+                    onChange={(e) => setAssignment({ ...assignment, contactName: e.target.value })}
+                    className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Contact Phone</label>
+                  <input
+                    type="text"
+                    value={assignment.contactPhone}
+                    onChange={(e) => setAssignment({ ...assignment, contactPhone: e.target.value })}
+                    className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Address *</label>
+                <textarea
+                  value={assignment.address}
+                  onChange={(e) => setAssignment({ ...assignment, address: e.target.value })}
+                  rows={2}
+                  maxLength={500}
+                  className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Notes</label>
+                <input
+                  type="text"
+                  value={assignment.notes}
+                  onChange={(e) => setAssignment({ ...assignment, notes: e.target.value })}
+                  maxLength={500}
+                  className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+
+              {editingDelivery.statusHistory?.length > 0 && (
+                <div className="border-t pt-3">
+                  <h4 className="font-semibold mb-2">History</h4>
+                  <div className="space-y-1 text-sm">
+                    {editingDelivery.statusHistory.map((event, index) => (
+                      <div key={index} className="flex justify-between gap-4">
+                        <span>
+                          {getDeliveryStatus(event.status).label}
+                          {event.note && <span className="text-gray-500"> - {event.note}</span>}
+                        </span>
+                        <span className="text-gray-500 whitespace-nowrap">
+                          {new Date(event.at).toLocaleString()} · {event.user?.username || '-'}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              <div className="flex space-x-3 justify-end pt-2">
+                <button
+                  type="button"
+                  onClick={closeEditModal}
+                  disabled={isSubmitting}
+                  className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={isSubmitting}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isSubmitting ? 'Saving...' : 'Save'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      <InputModal
+        isOpen={!!statusAction}
+        onClose={() => setStatusAction(null)}
+        onConfirm={handleStatusConfirm}
+        title={prompt?.title}
+        message={statusAction ? `${statusAction.delivery.deliveryNumber} for ${statusAction.delivery.contactName}` : ''}
+        inputLabel={prompt?.inputLabel}
+        inputType={prompt?.inputType}
+        inputPlaceholder={prompt?.inputPlaceholder}
+        defaultValue={statusAction?.status === 'scheduled' ? formatLocalDate(new Date()) : ''}
+        confirmText="Confirm"
+        variant={prompt?.variant}
+        isLoading={isSubmitting}
+      />
+    </div>
+  );
+};
+
+export default Deliveries;
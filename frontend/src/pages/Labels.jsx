@@ -0,0 +1,405 @@
+import { useEffect, useMemo, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import Select from 'react-select';
+import { formatCurrency, formatCurrencyDisplay, formatLocalDate } from '../utils/utils';
+import { encodeBarcode } from '../utils/barcodeEncoder';
+import { formatProductDescription } from '../constants/units';
+import { LABEL_TEMPLATES, LABEL_PAGE_SIZES, LABEL_SELECTIONS } from '../constants/labelTemplates';
+
+// Lazy load jsPDF - only loaded when a sheet is generated
+const loadPDF = () => import('jspdf').then(module => module.default);
+
+// Millimetres per font point
+const PT_TO_MM = 0.3528;
+
+const LAYOUT_FIELDS = [
+  { name: 'columns', label: 'Columns', step: 1 },
+  { name: 'rows', label: 'Rows', step: 1 },
+  { name: 'labelWidth', label: 'Label width (mm)', step: 0.1 },
+  { name: 'labelHeight', label: 'Label height (mm)', step: 0.1 },
+  { name: 'marginTop', label: 'Top margin (mm)', step: 0.1 },
+  { name: 'marginLeft', label: 'Left margin (mm)', step: 0.1 },
+  { name: 'gapX', label: 'Column gap (mm)', step: 0.1 },
+  { name: 'gapY', label: 'Row gap (mm)', step: 0.1 },
+];
+
+/**
+ * Get the barcode printed on a product's label
+ * Products without a barcode fall back to their SKU as Code 128
+ */
+const getLabelBarcode = (product) => {
+  if (product.barcodes?.length > 0) return product.barcodes[0];
+  if (product.sku && /^[\x20-\x7E]+$/.test(product.sku)) return { code: product.sku, type: 'code128' };
+  return null;
+};
+
+/**
+ * Draw one label: description, selling price and barcode
+ */
+const drawLabel = (doc, product, x, y, layout) => {
+  const padding = 2;
+  const width = layout.labelWidth - padding * 2;
+  const bottom = y + layout.labelHeight - padding;
+  const nameSize = layout.labelHeight < 30 ? 7 : 9;
+  const priceSize = layout.labelHeight < 30 ? 11 : 14;
+
+  doc.setFont(undefined, 'normal');
+  doc.setFontSize(nameSize);
+  let lines = doc.splitTextToSize(formatProductDescription(product), width);
+  if (lines.length > 2) {
+    lines = [lines[0], `${lines[1].slice(0, -3)}...`];
+  }
+  let cursor = y + padding + nameSize * PT_TO_MM;
+  lines.forEach((line) => {
+    doc.text(line, x + padding, cursor);
+    cursor += nameSize * PT_TO_MM * 1.15;
+  });
+
+  doc.setFont(undefined, 'bold');
+  doc.setFontSize(priceSize);
+  cursor += (priceSize - nameSize) * PT_TO_MM;
+  doc.text(formatCurrency(product.totalPrice), x + padding, cursor);
+
+  const barcode = getLabelBarcode(product);
+  const textSize = 6;
+  const barTop = cursor + 1.5;
+  const barHeight = bottom - barTop - textSize * PT_TO_MM - 0.5;
+  // Leave the barcode off labels too short to scan
+  if (!barcode || barHeight < 4) return;
+
+  const { modules, text } = encodeBarcode(barcode);
+  // Ten modules of quiet zone on each side
+  const moduleWidth = Math.min(0.33, width / (modules.length + 20));
+  let barX = x + padding + (width - moduleWidth * modules.length) / 2;
+  const startX = barX;
+  let run = 0;
+  for (let i = 0; i <= modules.length; i++) {
+    if (modules[i] === '1') {
+      run += 1;
+    } else if (run > 0) {
+      doc.rect(barX - run * moduleWidth, barTop, run * moduleWidth, barHeight, 'F');
+      run = 0;
+    }
+    barX += moduleWidth;
+  }
+
+  doc.setFont(undefined, 'normal');
+  doc.setFontSize(textSize);
+  doc.text(text, startX + (moduleWidth * modules.length) / 2, bottom, { align: 'center' });
+};
+
+const Labels = () => {
+  const [products, setProducts] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selection, setSelection] = useState('products');
+  const [selectedProductIds, setSelectedProductIds] = useState([]);
+  const [category, setCategory] = useState('');
+  const [changedSince, setChangedSince] = useState(formatLocalDate(new Date()));
+  const [template, setTemplate] = useState(LABEL_TEMPLATES[0].value);
+  const [layout, setLayout] = useState(LABEL_TEMPLATES[0].layout);
+  const [copies, setCopies] = useState(1);
+  const [startPosition, setStartPosition] = useState(1);
+  const [isGenerating, setIsGenerating] = useState(false);
+
+  useEffect(() => {
+    fetchProducts();
+    fetchCategories();
+  }, []);
+
+  const fetchProducts = async () => {
+    try {
+      const response = await axios.get('/products?isActive=true');
+      setProducts(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchCategories = async () => {
+    try {
+      const response = await axios.get('/categories?isActive=true');
+      setCategories(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const labelProducts = useMemo(() => {
+    if (selection === 'products') {
+      return products.filter(product => selectedProductIds.includes(product._id));
+    }
+    if (selection === 'category') {
+      return category ? products.filter(product => product.category === category) : [];
+    }
+    if (!changedSince) return [];
+    // Compare against local midnight so the whole chosen day counts
+    const since = new Date(`${changedSince}T00:00:00`);
+    // The first entry records the price the product was created at; later entries count only when the
+    // base price or markup differs from the entry before them
+    return products.filter(product =>
+      (product.pricingHistory || []).some((entry, index, history) =>
+        index > 0
+        && new Date(entry.updatedAt) >= since
+        && (Number(entry.basePrice) !== Number(history[index - 1].basePrice)
+          || Number(entry.markupPercentage) !== Number(history[index - 1].markupPercentage))
+      )
+    );
+  }, [products, selection, selectedProductIds, category, changedSince]);
+
+  const labelsPerSheet = layout.columns * layout.rows;
+  const labelCount = labelProducts.length * copies;
+
+  const handleTemplateChange = (value) => {
+    setTemplate(value);
+    setLayout(LABEL_TEMPLATES.find(t => t.value === value).layout);
+    setStartPosition(1);
+  };
+
+  const handleLayoutChange = (field, value) => {
+    setLayout({ ...layout, [field]: parseFloat(value) || 0 });
+  };
+
+  const generateSheet = async () => {
+    if (labelCount === 0) {
+      toast.error('Choose the products to print labels for');
+      return;
+    }
+    if (layout.columns < 1 || layout.rows < 1 || layout.labelWidth <= 0 || layout.labelHeight <= 0) {
+      toast.error('Label layout needs at least one row and column and a label size');
+      return;
+    }
+
+    setIsGenerating(true);
+    try {
+      const jsPDF = await loadPDF();
+      const doc = new jsPDF({ unit: 'mm', format: layout.pageSize });
+
+      // Start part-way down the first sheet so partly used sticker paper can be reused
+      let slot = Math.min(Math.max(startPosition, 1), labelsPerSheet) - 1;
+      labelProducts.forEach((product) => {
+        for (let copy = 0; copy < copies; copy++) {
+          if (slot === labelsPerSheet) {
+            doc.addPage();
+            slot = 0;
+          }
+          const column = slot % layout.columns;
+          const row = Math.floor(slot / layout.columns);
+          const x = layout.marginLeft + column * (layout.labelWidth + layout.gapX);
+          const y = layout.marginTop + row * (layout.labelHeight + layout.gapY);
+          drawLabel(doc, product, x, y, layout);
+          slot += 1;
+        }
+      });
+
+      doc.save(`labels-${formatLocalDate(new Date())}.pdf`);
+      toast.success(`Generated ${labelCount} label(s)`);
+    } catch (error) {
+      toast.error('Failed to generate label sheet');
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="text-center">Loading...</div>;
+  }
+
+  const productOptions = products.map(product => ({
+    value: product._id,
+    label: formatProductDescription(product)
+  }));
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6 sm:mb-8">
+        <h1 className="text-2xl sm:text-3xl font-bold">Labels</h1>
+        <button
+          onClick={generateSheet}
+          disabled={isGenerating || labelCount === 0}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed w-full sm:w-auto"
+        >
+          {isGenerating ? 'Generating...' : `Generate PDF (${labelCount} label${labelCount === 1 ? '' : 's'})`}
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+        <div className="bg-white rounded-lg shadow p-4 space-y-4">
+          <h2 className="text-lg font-semibold">Products</h2>
+          <div>
+            <label className="block text-sm font-medium mb-1">Print labels for</label>
+            <select
+              value={selection}
+              onChange={(e) => setSelection(e.target.value)}
+              className="w-full px-3 py-2 border rounded-lg"
+            >
+              {LABEL_SELECTIONS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {selection === 'products' && (
+            <div>
+              <label className="block text-sm font-medium mb-1">Products</label>
+              <Select
+                isMulti
+                isSearchable
+                options={productOptions}
+                value={productOptions.filter(option => selectedProductIds.includes(option.value))}
+                onChange={(selected) => setSelectedProductIds(selected.map(option => option.value))}
+                placeholder="Search products..."
+                classNamePrefix="react-select"
+              />
+            </div>
+          )}
+
+          {selection === 'category' && (
+            <div>
+              <label className="block text-sm font-medium mb-1">Category</label>
+              <select
+                value={category}
+                onChange={(e) => setCategory(e.target.value)}
+                className="w-full px-3 py-2 border rounded-lg"
+              >
+                <option value="">Select a category</option>
+                {categories.map((cat) => (
+                  <option key={cat._id} value={cat.name}>{cat.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {selection === 'price_changed' && (
+            <div>
+              <label className="block text-sm font-medium mb-1">Price changed on or after</label>
+              <input
+                type="date"
+                value={changedSince}
+                onChange={(e) => setChangedSince(e.target.value)}
+                className="w-full px-3 py-2 border rounded-lg"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Includes products added on or after this date.
+              </p>
+            </div>
+          )}
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium mb-1">Copies per product</label>
+              <input
+                type="number"
+                min="1"
+                value={copies}
+                onChange={(e) => setCopies(Math.max(1, parseInt(e.target.value, 10) || 1))}
+                className="w-full px-3 py-2 border rounded-lg"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">Start at label</label>
+              <input
+                type="number"
+                min="1"
+                max={labelsPerSheet}
+                value={startPosition}
+                onChange={(e) => setStartPosition(parseInt(e.target.value, 10) || 1)}
+                className="w-full px-3 py-2 border rounded-lg"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Skips labels already used on the first sheet.
+              </p>
+            </div>
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow p-4 space-y-4">
+          <h2 className="text-lg font-semibold">Sheet Template</h2>
+          <div>
+            <label className="block text-sm font-medium mb-1">Template</label>
+            <select
+              value={template}
+              onChange={(e) => handleTemplateChange(e.target.value)}
+              className="w-full px-3 py-2 border rounded-lg"
+            >
+              {LABEL_TEMPLATES.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-1">Page size</label>
+            <select
+              value={layout.pageSize}
+              onChange={(e) => setLayout({ ...layout, pageSize: e.target.value })}
+              className="w-full px-3 py-2 border rounded-lg"
+            >
+              {LABEL_PAGE_SIZES.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            {LAYOUT_FIELDS.map((field) => (
+              <div key={field.name}>
+                <label className="block text-sm font-medium mb-1">{field.label}</label>
+                <input
+                  type="number"
+                  min="0"
+                  step={field.step}
+                  value={layout[field.name]}
+                  onChange={(e) => handleLayoutChange(field.name, e.target.value)}
+                  className="w-full px-3 py-2 border rounded-lg"
+                />
+              </div>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500">
+            {labelsPerSheet} labels per sheet. Adjust the measurements to match your label stock.
+          </p>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Category</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Barcode</th>
+              <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Price</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {labelProducts.length === 0 ? (
+              <tr>
+                <td colSpan="4" className="px-4 py-6 text-center text-gray-500">
+                  No products selected
+                </td>
+              </tr>
+            ) : (
+              labelProducts.map((product) => {
+                const barcode = getLabelBarcode(product);
+                return (
+                  <tr key={product._id}>
+                    <td className="px-4 py-3">{formatProductDescription(product)}</td>
+                    <td className="px-4 py-3 text-gray-600">{product.category || '-'}</td>
+                    <td className="px-4 py-3 font-mono text-sm">
+                      {barcode ? barcode.code : <span className="text-gray-400">No barcode</span>}
+                    </td>
+                    <td className="px-4 py-3 text-right">{formatCurrencyDisplay(product.totalPrice)}</td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default Labels;
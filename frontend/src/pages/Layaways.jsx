@@ -0,0 +1,479 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import { useAuth } from '../context/AuthContext';
+import InputModal from '../components/InputModal';
+import Pagination from '../components/Pagination';
+import { formatCurrencyDisplay, formatDate, formatPaymentMethod } from '../utils/utils';
+import { getReferenceLabel } from '../constants/paymentMethods';
+import { LAYAWAY_STATUSES, LAYAWAY_PAYMENT_METHODS, getLayawayStatus } from '../constants/layaways';
+
+const EMPTY_PAYMENT = { amount: '', method: 'cash', referenceNumber: '' };
+
+// Deadlines are the last day to pay; a layaway is overdue from the day after
+const isOverdue = (layaway) => layaway.status === 'active' && new Date(layaway.deadline) < new Date();
+
+const Layaways = () => {
+  const { isAdmin, isStaff } = useAuth();
+  const [layaways, setLayaways] = useState([]);
+  const [paginatedLayaways, setPaginatedLayaways] = useState([]);
+  const [overdueCount, setOverdueCount] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('active');
+  const [overdueOnly, setOverdueOnly] = useState(false);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [selectedLayaway, setSelectedLayaway] = useState(null);
+  const [payment, setPayment] = useState(EMPTY_PAYMENT);
+  const [layawayToCancel, setLayawayToCancel] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    fetchLayaways();
+  }, [statusFilter, overdueOnly]);
+
+  const fetchLayaways = async () => {
+    try {
+      const params = { limit: 500 };
+      if (overdueOnly) params.overdue = true;
+      else if (statusFilter) params.status = statusFilter;
+      if (searchQuery.trim()) params.search = searchQuery.trim();
+      const response = await axios.get('/layaways', { params });
+      setLayaways(response.data.data);
+      setOverdueCount(response.data.overdueCount);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openLayaway = async (id) => {
+    try {
+      const response = await axios.get(`/layaways/${id}`);
+      setSelectedLayaway(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const closeLayaway = () => {
+    setSelectedLayaway(null);
+    setPayment(EMPTY_PAYMENT);
+  };
+
+  const handleRecordPayment = async () => {
+    const amount = parseFloat(payment.amount);
+    if (!(amount > 0)) {
+      toast.error('Enter the amount paid');
+      return;
+    }
+    if (amount > selectedLayaway.balance) {
+      toast.error(`The payment cannot exceed the balance of ${formatCurrencyDisplay(selectedLayaway.balance)}`);
+      return;
+    }
+    if (payment.method !== 'cash' && !payment.referenceNumber.trim()) {
+      toast.error(`${getReferenceLabel(payment.method)} is required`);
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const response = await axios.post(`/layaways/${selectedLayaway._id}/payments`, {
+        amount,
+        method: payment.method,
+        referenceNumber: payment.method !== 'cash' ? payment.referenceNumber.trim() : undefined
+      });
+      toast.success(response.data.message);
+      setPayment(EMPTY_PAYMENT);
+      openLayaway(selectedLayaway._id);
+      fetchLayaways();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // Fetch the layaway again so the refund shown matches the payments and forfeiture rules right now
+  const handleCancelClick = async (layaway) => {
+    try {
+      const response = await axios.get(`/layaways/${layaway._id}`);
+      setLayawayToCancel(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const handleCancelConfirm = async (reason) => {
+    if (!layawayToCancel) return;
+    setIsSubmitting(true);
+    try {
+      const response = await axios.post(`/layaways/${layawayToCancel._id}/cancel`, { reason });
+      toast.success(response.data.message);
+      if (selectedLayaway?._id === layawayToCancel._id) {
+        openLayaway(layawayToCancel._id);
+      }
+      setLayawayToCancel(null);
+      fetchLayaways();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // Staff cancel once the deadline has passed; earlier cancellations are an admin decision
+  const canCancel = (layaway) =>
+    layaway.status === 'active' && (isAdmin || (isStaff && isOverdue(layaway)));
+
+  const getCancelMessage = () => {
+    if (!layawayToCancel) return '';
+    const terms = layawayToCancel.cancellationTerms;
+    const lines = [
+      `Cancel layaway ${layawayToCancel.layawayNumber} for ${layawayToCancel.customerName}? The items go back on the shelf.`,
+      `Paid so far: ${formatCurrencyDisplay(layawayToCancel.amountPaid)}`
+    ];
+    if (terms) {
+      lines.push(`Forfeited: ${formatCurrencyDisplay(terms.forfeitedAmount)}`);
+      lines.push(`Refund in cash from your drawer: ${formatCurrencyDisplay(terms.refundAmount)}`);
+    }
+    if (!isOverdue(layawayToCancel)) {
+      lines.push(`The deadline (${formatDate(layawayToCancel.deadline)}) has not passed yet.`);
+    }
+    return lines.join('\n\n');
+  };
+
+  if (loading) {
+    return <div className="text-center py-8">Loading...</div>;
+  }
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6 sm:mb-8">
+        <h1 className="text-2xl sm:text-3xl font-bold">Layaways</h1>
+        <p className="text-sm text-gray-600">Open a layaway from the Sales checkout.</p>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-4 mb-6 flex flex-col sm:flex-row gap-2">
+        <input
+          type="text"
+          value={searchQuery}
+          onChange={(e) => setSearchQuery(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && fetchLayaways()}
+          placeholder="Search by layaway number, customer or phone..."
+          className="flex-1 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          disabled={overdueOnly}
+          className="px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-50"
+        >
+          <option value="">All Statuses</option>
+          {LAYAWAY_STATUSES.map((status) => (
+            <option key={status.value} value={status.value}>{status.label}</option>
+          ))}
+        </select>
+        <button
+          onClick={() => setOverdueOnly(!overdueOnly)}
+          className={`px-4 py-2 rounded-lg ${
+            overdueOnly ? 'bg-red-600 text-white hover:bg-red-700' : 'bg-red-50 text-red-700 hover:bg-red-100'
+          }`}
+        >
+          Overdue ({overdueCount})
+        </button>
+        <button
+          onClick={fetchLayaways}
+          className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300"
+        >
+          Search
+        </button>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Layaway</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Customer</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Total</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Paid</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Balance</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Deadline</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {layaways.length === 0 ? (
+              <tr>
+                <td colSpan={8} className="px-6 py-4 text-center text-gray-500">
+                  No layaways found
+                </td>
+              </tr>
+            ) : (
+              paginatedLayaways.map((layaway) => {
+                const status = getLayawayStatus(layaway.status);
+                return (
+                  <tr key={layaway._id}>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="font-medium">{layaway.layawayNumber}</div>
+                      <div className="text-xs text-gray-500">
+                        {formatDate(layaway.createdAt)} · {layaway.createdBy?.username || '-'}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div>{layaway.customerName}</div>
+                      {layaway.customerPhone && <div className="text-xs text-gray-500">{layaway.customerPhone}</div>}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">{formatCurrencyDisplay(layaway.total)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">{formatCurrencyDisplay(layaway.amountPaid)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap font-semibold">{formatCurrencyDisplay(layaway.balance)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      {formatDate(layaway.deadline)}
+                      {isOverdue(layaway) && (
+                        <span className="ml-2 px-2 py-1 text-xs font-semibold rounded-full bg-red-100 text-red-800">Overdue</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`px-2 py-1 text-xs font-semibold rounded-full ${status.className}`}>
+                        {status.label}
+                      </span>
+                      {layaway.sale?.saleNumber && (
+                        <div className="text-xs text-gray-500 mt-1">Sale {layaway.sale.saleNumber}</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <div className="flex flex-wrap gap-3">
+                        <button
+                          onClick={() => openLayaway(layaway._id)}
+                          className="text-blue-600 hover:text-blue-800"
+                        >
+                          {layaway.status === 'active' ? 'Payments' : 'View'}
+                        </button>
+                        {canCancel(layaway) && (
+                          <button
+                            onClick={() => handleCancelClick(layaway)}
+                            className="text-red-600 hover:text-red-800"
+                          >
+                            Cancel
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+        <Pagination
+          data={layaways}
+          itemsPerPage={10}
+          onPageChange={setPaginatedLayaways}
+        />
+      </div>
+
+      {selectedLayaway && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+            <div className="flex justify-between items-start mb-4">
+              <div>
+                <h2 className="text-xl sm:text-2xl font-bold">Layaway {selectedLayaway.layawayNumber}</h2>
+                <p className="text-sm text-gray-600">
+                  {selectedLayaway.customerName}
+                  {selectedLayaway.customerPhone && ` · ${selectedLayaway.customerPhone}`}
+                  {' · '}Pay by {formatDate(selectedLayaway.deadline)}
+                  {isOverdue(selectedLayaway) && <span className="text-red-600"> · Overdue</span>}
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={closeLayaway}
+                className="text-gray-500 hover:text-gray-700"
+                aria-label="Close modal"
+              >
+                ✕
+              </button>
+            </div>
+
+            <div className="grid grid-cols-3 gap-2 mb-4">
+              <div className="p-3 bg-gray-50 rounded-lg">
+                <div className="text-xs text-gray-500">Total</div>
+                <div className="font-semibold">{formatCurrencyDisplay(selectedLayaway.total)}</div>
+              </div>
+              <div className="p-3 bg-gray-50 rounded-lg">
+                <div className="text-xs text-gray-500">Paid</div>
+                <div className="font-semibold">{formatCurrencyDisplay(selectedLayaway.amountPaid)}</div>
+              </div>
+              <div className="p-3 bg-blue-50 rounded-lg">
+                <div className="text-xs text-gray-500">Balance</div>
+                <div className="font-semibold">{formatCurrencyDisplay(selectedLayaway.balance)}</div>
+              </div>
+            </div>
+
+            {selectedLayaway.status === 'active' && (
+              <div className="border rounded-lg p-4 mb-4">
+                <h3 className="font-semibold mb-2">Record Payment</h3>
+                <div className="flex flex-col sm:flex-row gap-2">
+                  <select
+                    value={payment.method}
+                    onChange={(e) => setPayment({ ...payment, method: e.target.value })}
+                    className="sm:w-40 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    {LAYAWAY_PAYMENT_METHODS.map((method) => (
+                      <option key={method.value} value={method.value}>{method.label}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    step="0.01"
+                    min={0}
+                    value={payment.amount}
+                    onChange={(e) => setPayment({ ...payment, amount: e.target.value })}
+                    className="flex-1 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    placeholder="Amount"
+                  />
+                  {payment.method !== 'cash' && (
+                    <input
+                      type="text"
+                      value={payment.referenceNumber}
+                      onChange={(e) => setPayment({ ...payment, referenceNumber: e.target.value })}
+                      className="flex-1 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      placeholder={getReferenceLabel(payment.method)}
+                    />
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => setPayment({ ...payment, amount: selectedLayaway.balance.toFixed(2) })}
+                    className="px-3 py-2 text-sm bg-gray-200 rounded-lg hover:bg-gray-300"
+                    title="Pay the full balance"
+                  >
+                    Full
+                  </button>
+                </div>
+                <div className="flex justify-between items-center mt-2">
+                  <p className="text-xs text-gray-500">The payment that clears the balance posts the sale and releases the items.</p>
+                  <button
+                    type="button"
+                    onClick={handleRecordPayment}
+                    disabled={isSubmitting}
+                    className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {isSubmitting ? 'Recording...' : 'Record Payment'}
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {selectedLayaway.status === 'completed' && (
+              <div className="border border-green-200 bg-green-50 rounded-lg p-4 mb-4 text-sm">
+                Paid in full on {formatDate(selectedLayaway.completedAt)}
+                {selectedLayaway.sale?.saleNumber && ` · Sale ${selectedLayaway.sale.saleNumber}`}
+              </div>
+            )}
+
+            {selectedLayaway.cancellation && (
+              <div className="border border-gray-200 bg-gray-50 rounded-lg p-4 mb-4 text-sm">
+                <div>
+                  Cancelled on {formatDate(selectedLayaway.cancellation.at)} by {selectedLayaway.cancellation.cancelledBy?.username || '-'}
+                </div>
+                <div className="text-gray-600">Reason: {selectedLayaway.cancellation.reason}</div>
+                <div className="text-gray-600">
+                  Forfeited {formatCurrencyDisplay(selectedLayaway.cancellation.forfeitedAmount)}
+                  {' · '}Refunded {formatCurrencyDisplay(selectedLayaway.cancellation.refundAmount)}
+                </div>
+              </div>
+            )}
+
+            <div className="border rounded-lg p-4 mb-4">
+              <h3 className="font-semibold mb-2">Items</h3>
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th className="py-1">Product</th>
+                    <th className="py-1">Qty</th>
+                    <th className="py-1">Price</th>
+                    <th className="py-1 text-right">Subtotal</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {selectedLayaway.items.map((item, index) => (
+                    <tr key={index} className="border-t">
+                      <td className="py-1">{item.product?.name || '-'}</td>
+                      <td className="py-1">{item.quantity}</td>
+                      <td className="py-1">{formatCurrencyDisplay(item.price)}</td>
+                      <td className="py-1 text-right">
+                        {formatCurrencyDisplay(item.subtotal)}
+                        {item.discountAmount > 0 && (
+                          <div className="text-xs text-green-600">-{formatCurrencyDisplay(item.discountAmount)}</div>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="border rounded-lg p-4">
+              <h3 className="font-semibold mb-2">Payments</h3>
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th className="py-1">Date</th>
+                    <th className="py-1">Method</th>
+                    <th className="py-1">Reference</th>
+                    <th className="py-1">Received By</th>
+                    <th className="py-1 text-right">Amount</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {selectedLayaway.payments.map((entry, index) => (
+                    <tr key={index} className="border-t">
+                      <td className="py-1">{formatDate(entry.at)}</td>
+                      <td className="py-1">{formatPaymentMethod(entry.method)}</td>
+                      <td className="py-1">{entry.referenceNumber || '-'}</td>
+                      <td className="py-1">{entry.receivedBy?.username || '-'}</td>
+                      <td className="py-1 text-right">{formatCurrencyDisplay(entry.amount)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {canCancel(selectedLayaway) && (
+              <div className="flex justify-end mt-4">
+                <button
+                  type="button"
+                  onClick={() => handleCancelClick(selectedLayaway)}
+                  className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700"
+                >
+                  Cancel Layaway
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      <InputModal
+        isOpen={!!layawayToCancel}
+        onClose={() => {
+          if (!isSubmitting) setLayawayToCancel(null);
+        }}
+        onConfirm={handleCancelConfirm}
+        title="Cancel Layaway"
+        message={getCancelMessage()}
+        inputLabel="Reason"
+        inputType="text"
+        inputPlaceholder="Reason for cancelling"
+        confirmText="Cancel Layaway"
+        cancelText="Keep"
+        variant="danger"
+        isLoading={isSubmitting}
+      />
+    </div>
+  );
+};
+
+export default Layaways;
@@ -0,0 +1,524 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import { useForm } from 'react-hook-form';
+import Pagination from '../components/Pagination';
+import ConfirmModal from '../components/ConfirmModal';
+import { formatCurrencyDisplay, formatLocalDate } from '../utils/utils';
+import { getSellingPrice } from '../utils/pricing';
+import { getCustomerTypeLabel } from '../constants/customerTypes';
+import {
+  PRICE_LIST_SCOPES,
+  PRICE_LIST_ADJUSTMENTS,
+  describePriceListRule,
+  describePriceListValidity,
+  getPriceListStatus
+} from '../constants/priceLists';
+
+const EMPTY_RULE = { scope: 'product', product: '', brand: '', category: '', adjustment: 'fixed', value: '' };
+
+const PriceLists = () => {
+  const [priceLists, setPriceLists] = useState([]);
+  const [paginatedPriceLists, setPaginatedPriceLists] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editingPriceList, setEditingPriceList] = useState(null);
+  const [viewingPriceList, setViewingPriceList] = useState(null);
+  const [priceListToDelete, setPriceListToDelete] = useState(null);
+  const [rules, setRules] = useState([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const { register, handleSubmit, reset, formState: { errors } } = useForm();
+
+  useEffect(() => {
+    fetchPriceLists();
+    fetchProducts();
+    fetchCategories();
+  }, []);
+
+  const fetchPriceLists = async () => {
+    try {
+      const response = await axios.get('/price-lists');
+      setPriceLists(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchProducts = async () => {
+    try {
+      const response = await axios.get('/products?isActive=true');
+      setProducts(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const fetchCategories = async () => {
+    try {
+      const response = await axios.get('/categories');
+      setCategories(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const brands = [...new Set(products.map(product => product.brand?.trim()).filter(Boolean))].sort();
+
+  const addRule = () => setRules([...rules, EMPTY_RULE]);
+
+  const updateRule = (index, field, value) => {
+    setRules(rules.map((rule, i) => (i === index ? { ...rule, [field]: value } : rule)));
+  };
+
+  const removeRule = (index) => setRules(rules.filter((_, i) => i !== index));
+
+  const openModal = (priceList = null) => {
+    setEditingPriceList(priceList);
+    setRules(priceList
+      ? priceList.rules.map(rule => ({
+          ...EMPTY_RULE,
+          ...rule,
+          product: rule.product?._id || rule.product || '',
+          value: String(rule.value)
+        }))
+      : []);
+    reset(priceList
+      ? {
+          name: priceList.name,
+          description: priceList.description || '',
+          validFrom: priceList.validFrom ? formatLocalDate(new Date(priceList.validFrom)) : '',
+          validUntil: priceList.validUntil ? formatLocalDate(new Date(priceList.validUntil)) : '',
+          isActive: priceList.isActive
+        }
+      : { isActive: true });
+    setShowModal(true);
+  };
+
+  const closeModal = () => {
+    setShowModal(false);
+    setEditingPriceList(null);
+    setRules([]);
+    reset();
+  };
+
+  const openDetails = async (priceList) => {
+    try {
+      const response = await axios.get(`/price-lists/${priceList._id}`);
+      setViewingPriceList(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const onSubmit = async (data) => {
+    const submitData = {
+      name: data.name,
+      description: data.description || undefined,
+      validFrom: data.validFrom || '',
+      validUntil: data.validUntil || '',
+      isActive: data.isActive,
+      rules: rules.map(rule => ({
+        scope: rule.scope,
+        [rule.scope]: rule[rule.scope],
+        adjustment: rule.adjustment,
+        value: parseFloat(rule.value) || 0
+      }))
+    };
+
+    setIsSubmitting(true);
+    try {
+      const response = editingPriceList
+        ? await axios.put(`/price-lists/${editingPriceList._id}`, submitData)
+        : await axios.post('/price-lists', submitData);
+      toast.success(response.data.message);
+      closeModal();
+      fetchPriceLists();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const toggleActive = async (priceList) => {
+    try {
+      await axios.put(`/price-lists/${priceList._id}`, { isActive: !priceList.isActive });
+      toast.success(`Price list ${priceList.isActive ? 'deactivated' : 'activated'} successfully`);
+      fetchPriceLists();
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const handleDelete = async () => {
+    setIsSubmitting(true);
+    try {
+      const response = await axios.delete(`/price-lists/${priceListToDelete._id}`);
+      toast.success(response.data.message);
+      setPriceListToDelete(null);
+      fetchPriceLists();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // Regular price of the product a rule targets, to compare the negotiated price against
+  const getRuleListPrice = (rule) => {
+    if (rule.scope !== 'product' || !rule.product) return null;
+    const product = products.find(p => p._id === rule.product);
+    return product ? getSellingPrice(product) : null;
+  };
+
+  if (loading) {
+    return <div className="text-center">Loading...</div>;
+  }
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6 sm:mb-8">
+        <div>
+          <h1 className="text-2xl sm:text-3xl font-bold">Price Lists</h1>
+          <p className="text-sm text-gray-600">
+            Negotiated prices for customer accounts, applied at checkout and on quotations. Assign a list from the customer's record.
+          </p>
+        </div>
+        <button
+          onClick={() => openModal()}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 w-full sm:w-auto"
+        >
+          Add Price List
+        </button>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Rules</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Valid</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Customers</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {paginatedPriceLists.length === 0 ? (
+                <tr>
+                  <td colSpan="6" className="px-6 py-4 text-center text-gray-500">
+                    No price lists found. Create your first price list!
+                  </td>
+                </tr>
+              ) : (
+                paginatedPriceLists.map((priceList) => {
+                  const status = getPriceListStatus(priceList);
+                  return (
+                    <tr key={priceList._id}>
+                      <td className="px-6 py-4">
+                        <div className="font-medium">{priceList.name}</div>
+                        {priceList.description && <div className="text-xs text-gray-500">{priceList.description}</div>}
+                      </td>
+                      <td className="px-6 py-4 text-sm">
+                        {priceList.rules.length === 0
+                          ? '-'
+                          : priceList.rules.slice(0, 2).map(describePriceListRule).join('; ')}
+                        {priceList.rules.length > 2 && ` and ${priceList.rules.length - 2} more`}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">{describePriceListValidity(priceList)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap">{priceList.customerCount}</td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`px-2 py-1 text-xs rounded-full ${status.className}`}>{status.label}</span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">
+                        <div className="flex gap-3">
+                          <button onClick={() => openDetails(priceList)} className="text-blue-600 hover:text-blue-800">
+                            View
+                          </button>
+                          <button onClick={() => openModal(priceList)} className="text-blue-600 hover:text-blue-800">
+                            Edit
+                          </button>
+                          <button
+                            onClick={() => toggleActive(priceList)}
+                            className={priceList.isActive ? 'text-orange-600 hover:text-orange-800' : 'text-green-600 hover:text-green-800'}
+                          >
+                            {priceList.isActive ? 'Deactivate' : 'Activate'}
+                          </button>
+                          <button onClick={() => setPriceListToDelete(priceList)} className="text-red-600 hover:text-red-800">
+                            Delete
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })
+              )}
+            </tbody>
+          </table>
+        </div>
+        <Pagination
+          data={priceLists}
+          itemsPerPage={10}
+          onPageChange={setPaginatedPriceLists}
+        />
+      </div>
+
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-4xl max-h-[90vh] overflow-y-auto">
+            <h2 className="text-xl sm:text-2xl font-bold mb-4">
+              {editingPriceList ? 'Edit Price List' : 'Add Price List'}
+            </h2>
+            <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium mb-1">Name *</label>
+                  <input
+                    {...register('name', {
+                      required: 'Price list name is required',
+                      maxLength: { value: 100, message: 'Price list name cannot exceed 100 characters' }
+                    })}
+                    className="w-full px-3 py-2 border rounded-lg"
+                    placeholder="e.g. ABC Builders 2026"
+                  />
+                  {errors.name && <p className="text-red-600 text-sm">{errors.name.message}</p>}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Description</label>
+                  <input
+                    {...register('description', {
+                      maxLength: { value: 200, message: 'Description cannot exceed 200 characters' }
+                    })}
+                    className="w-full px-3 py-2 border rounded-lg"
+                  />
+                  {errors.description && <p className="text-red-600 text-sm">{errors.description.message}</p>}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Valid From</label>
+                  <input {...register('validFrom')} type="date" className="w-full px-3 py-2 border rounded-lg" />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Valid Until</label>
+                  <input {...register('validUntil')} type="date" className="w-full px-3 py-2 border rounded-lg" />
+                  <p className="text-xs text-gray-500 mt-1">Leave either date empty for an open-ended list</p>
+                </div>
+              </div>
+              <label className="flex items-center gap-2 text-sm">
+                <input {...register('isActive')} type="checkbox" />
+                Active
+              </label>
+
+              <div>
+                <div className="flex justify-between items-center mb-2">
+                  <label className="block text-sm font-medium">Rules</label>
+                  <button type="button" onClick={addRule} className="text-sm text-blue-600 hover:text-blue-800">
+                    + Add Rule
+                  </button>
+                </div>
+                <p className="text-xs text-gray-500 mb-2">
+                  A product rule wins over a brand rule, which wins over a category rule. Customers pay the lower of this
+                  price and any quantity tier, and never less than cost.
+                </p>
+                {rules.length === 0 ? (
+                  <p className="text-sm text-gray-500 p-3 bg-gray-50 rounded-lg border">No rules yet</p>
+                ) : (
+                  <div className="space-y-2">
+                    {rules.map((rule, index) => {
+                      const listPrice = getRuleListPrice(rule);
+                      return (
+                        <div key={index} className="flex flex-col sm:flex-row gap-2 p-2 bg-gray-50 rounded-lg border">
+                          <select
+                            value={rule.scope}
+                            onChange={(e) => updateRule(index, 'scope', e.target.value)}
+                            className="px-2 py-1 border rounded"
+                          >
+                            {PRICE_LIST_SCOPES.map(scope => (
+                              <option key={scope.value} value={scope.value}>{scope.label}</option>
+                            ))}
+                          </select>
+                          {rule.scope === 'product' && (
+                            <select
+                              value={rule.product}
+                              onChange={(e) => updateRule(index, 'product', e.target.value)}
+                              className="flex-1 px-2 py-1 border rounded"
+                            >
+                              <option value="">Select product</option>
+                              {products.map(product => (
+                                <option key={product._id} value={product._id}>{product.name}</option>
+                              ))}
+                            </select>
+                          )}
+                          {rule.scope === 'brand' && (
+                            <>
+                              <input
+                                type="text"
+                                list="price-list-brands"
+                                value={rule.brand}
+                                onChange={(e) => updateRule(index, 'brand', e.target.value)}
+                                placeholder="Brand"
+                                className="flex-1 px-2 py-1 border rounded"
+                              />
+                              <datalist id="price-list-brands">
+                                {brands.map(brand => <option key={brand} value={brand} />)}
+                              </datalist>
+                            </>
+                          )}
+                          {rule.scope === 'category' && (
+                            <select
+                              value={rule.category}
+                              onChange={(e) => updateRule(index, 'category', e.target.value)}
+                              className="flex-1 px-2 py-1 border rounded"
+                            >
+                              <option value="">Select category</option>
+                              {categories.map(category => (
+                                <option key={category._id} value={category.name}>{category.name}</option>
+                              ))}
+                            </select>
+                          )}
+                          <select
+                            value={rule.adjustment}
+                            onChange={(e) => updateRule(index, 'adjustment', e.target.value)}
+                            className="px-2 py-1 border rounded"
+                          >
+                            {PRICE_LIST_ADJUSTMENTS.map(adjustment => (
+                              <option key={adjustment.value} value={adjustment.value}>{adjustment.label}</option>
+                            ))}
+                          </select>
+                          <div>
+                            <input
+                              type="number"
+                              step="0.01"
+                              min={0}
+                              max={rule.adjustment === 'percent_off' ? 100 : undefined}
+                              value={rule.value}
+                              onChange={(e) => updateRule(index, 'value', e.target.value)}
+                              placeholder={rule.adjustment === 'fixed' ? 'Price' : '%'}
+                              className="w-28 px-2 py-1 border rounded"
+                            />
+                            {listPrice !== null && (
+                              <div className="text-xs text-gray-500">List {formatCurrencyDisplay(listPrice)}</div>
+                            )}
+                          </div>
+                          <button
+                            type="button"
+                            onClick={() => removeRule(index)}
+                            className="text-sm text-red-600 hover:text-red-800"
+                          >
+                            Remove
+                          </button>
+                        </div>
+                      );
+                    })}
+                  </div>
+                )}
+              </div>
+
+              <div className="flex flex-col sm:flex-row gap-2">
+                <button
+                  type="submit"
+                  disabled={isSubmitting}
+                  className="flex-1 bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isSubmitting ? (editingPriceList ? 'Updating...' : 'Creating...') : (editingPriceList ? 'Update' : 'Create')}
+                </button>
+                <button
+                  type="button"
+                  onClick={closeModal}
+                  disabled={isSubmitting}
+                  className="flex-1 bg-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-400 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {viewingPriceList && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+            <div className="flex justify-between items-start mb-4">
+              <div>
+                <h2 className="text-xl sm:text-2xl font-bold">{viewingPriceList.name}</h2>
+                <p className="text-sm text-gray-600">
+                  {getPriceListStatus(viewingPriceList).label} · {describePriceListValidity(viewingPriceList)}
+                </p>
+                {viewingPriceList.description && <p className="text-sm text-gray-600">{viewingPriceList.description}</p>}
+              </div>
+              <button
+                type="button"
+                onClick={() => setViewingPriceList(null)}
+                className="text-gray-500 hover:text-gray-700"
+                aria-label="Close modal"
+              >
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+
+            <h3 className="font-semibold mb-2">Rules</h3>
+            {viewingPriceList.rules.length === 0 ? (
+              <p className="text-sm text-gray-500 mb-4">No rules</p>
+            ) : (
+              <ul className="text-sm space-y-1 mb-4">
+                {viewingPriceList.rules.map((rule, index) => (
+                  <li key={index} className="p-2 bg-gray-50 rounded border">
+                    {describePriceListRule(rule)}
+                    {rule.scope === 'product' && rule.product && (
+                      <span className="text-xs text-gray-500"> (list {formatCurrencyDisplay(getSellingPrice(rule.product))})</span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <h3 className="font-semibold mb-2">Customers ({viewingPriceList.customers.length})</h3>
+            {viewingPriceList.customers.length === 0 ? (
+              <p className="text-sm text-gray-500">No customers are on this price list</p>
+            ) : (
+              <ul className="text-sm space-y-1">
+                {viewingPriceList.customers.map(customer => (
+                  <li key={customer._id}>
+                    {customer.name} · {customer.customerNumber} · {getCustomerTypeLabel(customer.customerType)}
+                    {!customer.isActive && <span className="text-red-600"> · Inactive</span>}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <div className="mt-6 flex justify-end">
+              <button
+                type="button"
+                onClick={() => setViewingPriceList(null)}
+                className="bg-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-400 transition-colors"
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <ConfirmModal
+        isOpen={!!priceListToDelete}
+        onClose={() => setPriceListToDelete(null)}
+        onConfirm={handleDelete}
+        title="Delete Price List"
+        message={`Delete ${priceListToDelete?.name}? Price lists assigned to customers can only be deactivated. Past sales keep the prices they were sold at.`}
+        confirmText="Delete"
+        variant="danger"
+        isLoading={isSubmitting}
+      />
+    </div>
+  );
+};
+
+export default PriceLists;
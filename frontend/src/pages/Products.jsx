@@ -5,7 +5,11 @@ import { useAuth } from '../context/AuthContext';
 import { useForm, Controller } from 'react-hook-form';
 import Select from 'react-select';
 import Pagination from '../components/Pagination';
+import { formatCurrencyDisplay } from '../utils/utils';
 import { STANDARD_UNITS, SUB_CATEGORIES, formatProductDescription } from '../constants/units';
+import { TAX_CLASSES, getTaxClassLabel } from '../constants/taxClasses';
+import { BARCODE_TYPES, getBarcodeTypeLabel } from '../constants/barcodeTypes';
+import { CUSTOMER_TYPES, getCustomerTypeLabel } from '../constants/customerTypes';
 
 const Products = () => {
   const { isAdmin } = useAuth();
@@ -26,6 +30,10 @@ const Products = () => {
   const [selectedCategory, setSelectedCategory] = useState('');
   const [imagePreview, setImagePreview] = useState(null);
   const [selectedImage, setSelectedImage] = useState(null);
+  const [barcodes, setBarcodes] = useState([]);
+  const [priceTiers, setPriceTiers] = useState([]);
+  const [isGeneratingBarcode, setIsGeneratingBarcode] = useState(false);
+  const [isGeneratingMissing, setIsGeneratingMissing] = useState(false);
   const fileInputRef = useRef(null);
   const { register, handleSubmit, reset, control, setValue, formState: { errors } } = useForm();
 
@@ -60,6 +68,7 @@ const Products = () => {
         product.name?.toLowerCase().includes(searchLower) ||
         product.brand?.toLowerCase().includes(searchLower) ||
         product.sku?.toLowerCase().includes(searchLower) ||
+        product.barcodes?.some(barcode => barcode.code.toLowerCase().includes(searchLower)) ||
         product.description?.toLowerCase().includes(searchLower)
       );
     }
@@ -109,7 +118,8 @@ const Products = () => {
         unit: data.unit || undefined,
         subCategory: data.subCategory || undefined,
         amount: data.amount && data.amount !== '' ? parseFloat(data.amount) : undefined,
-        brand: data.brand || undefined
+        brand: data.brand || undefined,
+        taxClass: data.taxClass || 'vatable'
       };
 
       // Build formData
@@ -120,6 +130,20 @@ const Products = () => {
         }
       });
 
+      // Always send the list so removing every barcode clears them
+      formData.append('barcodes', JSON.stringify(
+        barcodes.filter(barcode => barcode.code.trim())
+      ));
+      formData.append('priceTiers', JSON.stringify(
+        priceTiers
+          .filter(tier => tier.minQuantity !== '' && tier.price !== '')
+          .map(tier => ({
+            customerType: tier.customerType,
+            minQuantity: parseInt(tier.minQuantity, 10),
+            price: parseFloat(tier.price)
+          }))
+      ));
+
       // Append removeImage flag if present
       if (data.removeImage) {
         formData.append("removeImage", "true");
@@ -148,7 +172,7 @@ const Products = () => {
       fetchProducts();
 
     } catch (error) {
-      const message = error.response?.data?.message || "An error occurred";
+      const message = error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || "An error occurred";
       toast.error(message);
     } finally {
       setIsSubmitting(false);
@@ -170,8 +194,15 @@ const Products = () => {
       subCategory: product.subCategory || "",
       unit: product.unit || "",
       amount: product.amount || "",
+      taxClass: product.taxClass || "vatable",
       supplier: product.supplier?._id || product.supplier || ""
     });
+    setBarcodes((product.barcodes || []).map(barcode => ({ code: barcode.code, type: barcode.type })));
+    setPriceTiers((product.priceTiers || []).map(tier => ({
+      customerType: tier.customerType,
+      minQuantity: tier.minQuantity,
+      price: tier.price
+    })));
     if (product.image?.url) {
       setImagePreview(product.image.url);
     }
@@ -180,6 +211,8 @@ const Products = () => {
 
   const resetForm = () => {
     reset();
+    setBarcodes([]);
+    setPriceTiers([]);
     setImagePreview(null);
     if (fileInputRef.current) {
       fileInputRef.current.value = '';
@@ -211,6 +244,55 @@ const Products = () => {
     setValue('removeImage', true);
   };
 
+  const addBarcode = () => {
+    setBarcodes([...barcodes, { code: '', type: 'ean13' }]);
+  };
+
+  const updateBarcode = (index, field, value) => {
+    setBarcodes(barcodes.map((barcode, i) => (i === index ? { ...barcode, [field]: value } : barcode)));
+  };
+
+  const removeBarcode = (index) => {
+    setBarcodes(barcodes.filter((_, i) => i !== index));
+  };
+
+  const addPriceTier = () => {
+    setPriceTiers([...priceTiers, { customerType: 'retail', minQuantity: '', price: '' }]);
+  };
+
+  const updatePriceTier = (index, field, value) => {
+    setPriceTiers(priceTiers.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier)));
+  };
+
+  const removePriceTier = (index) => {
+    setPriceTiers(priceTiers.filter((_, i) => i !== index));
+  };
+
+  const generateBarcode = async () => {
+    setIsGeneratingBarcode(true);
+    try {
+      const response = await axios.post('/products/barcodes/generate');
+      setBarcodes([...barcodes.filter(barcode => barcode.code.trim()), response.data.data]);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsGeneratingBarcode(false);
+    }
+  };
+
+  const generateMissingBarcodes = async () => {
+    setIsGeneratingMissing(true);
+    try {
+      const response = await axios.post('/products/barcodes/generate-missing');
+      toast.success(response.data.message);
+      fetchProducts();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsGeneratingMissing(false);
+    }
+  };
+
   const handleDelete = (id) => {
     setConfirmModal({ isOpen: true, productId: id });
   };
@@ -238,18 +320,28 @@ const Products = () => {
       <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6 sm:mb-8">
         <h1 className="text-2xl sm:text-3xl font-bold">Products</h1>
         {canManageProducts && (
-          <button
-            onClick={() => {
-              setEditingProduct(null);
-              reset();
-              fetchCategories(); // Refresh categories when opening modal
-              fetchSuppliers(); // Refresh suppliers when opening modal
-              setShowModal(true);
-            }}
-            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 w-full sm:w-auto"
-          >
-            Add Product
-          </button>
+          <div className="flex flex-col sm:flex-row gap-2 w-full sm:w-auto">
+            <button
+              onClick={generateMissingBarcodes}
+              disabled={isGeneratingMissing}
+              className="bg-gray-600 text-white px-4 py-2 rounded-lg hover:bg-gray-700 disabled:opacity-50 w-full sm:w-auto"
+            >
+              {isGeneratingMissing ? 'Generating...' : 'Barcode Unlabelled Items'}
+            </button>
+            <button
+              onClick={() => {
+                setEditingProduct(null);
+                reset();
+                setBarcodes([]);
+                fetchCategories(); // Refresh categories when opening modal
+                fetchSuppliers(); // Refresh suppliers when opening modal
+                setShowModal(true);
+              }}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 w-full sm:w-auto"
+            >
+              Add Product
+            </button>
+          </div>
         )}
       </div>
 
@@ -759,6 +851,138 @@ const Products = () => {
                   className="w-full px-3 py-2 border rounded-lg"
                 />
               </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Tax Class</label>
+                <select
+                  {...register('taxClass')}
+                  defaultValue="vatable"
+                  className="w-full px-3 py-2 border rounded-lg"
+                >
+                  {TAX_CLASSES.map((taxClass) => (
+                    <option key={taxClass.value} value={taxClass.value}>{taxClass.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <div className="flex justify-between items-center mb-1">
+                  <label className="block text-sm font-medium">Barcodes</label>
+                  <div className="flex gap-3">
+                    <button
+                      type="button"
+                      onClick={addBarcode}
+                      className="text-sm text-blue-600 hover:text-blue-800"
+                    >
+                      + Add
+                    </button>
+                    <button
+                      type="button"
+                      onClick={generateBarcode}
+                      disabled={isGeneratingBarcode}
+                      className="text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                    >
+                      {isGeneratingBarcode ? 'Generating...' : 'Generate internal'}
+                    </button>
+                  </div>
+                </div>
+                {barcodes.length === 0 ? (
+                  <p className="text-xs text-gray-500">
+                    No barcodes. Add the code printed on the item or generate an internal one.
+                  </p>
+                ) : (
+                  <div className="space-y-2">
+                    {barcodes.map((barcode, index) => (
+                      <div key={index} className="flex gap-2">
+                        <select
+                          value={barcode.type}
+                          onChange={(e) => updateBarcode(index, 'type', e.target.value)}
+                          className="px-2 py-2 border rounded-lg"
+                        >
+                          {BARCODE_TYPES.map((type) => (
+                            <option key={type.value} value={type.value}>{type.label}</option>
+                          ))}
+                        </select>
+                        <input
+                          type="text"
+                          value={barcode.code}
+                          onChange={(e) => updateBarcode(index, 'code', e.target.value)}
+                          // Scanners end with Enter, which would otherwise submit the form
+                          onKeyDown={(e) => e.key === 'Enter' && e.preventDefault()}
+                          className="flex-1 min-w-0 px-3 py-2 border rounded-lg font-mono"
+                          placeholder="Scan or type barcode"
+                        />
+                        <button
+                          type="button"
+                          onClick={() => removeBarcode(index)}
+                          className="px-2 text-red-600 hover:text-red-800"
+                        >
+                          ✕
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+              <div>
+                <div className="flex justify-between items-center mb-1">
+                  <label className="block text-sm font-medium">Price Tiers</label>
+                  <button
+                    type="button"
+                    onClick={addPriceTier}
+                    className="text-sm text-blue-600 hover:text-blue-800"
+                  >
+                    + Add
+                  </button>
+                </div>
+                {priceTiers.length === 0 ? (
+                  <p className="text-xs text-gray-500">
+                    No price tiers. Add a lower unit price for bulk quantities or for wholesale and contractor customers.
+                  </p>
+                ) : (
+                  <div className="space-y-2">
+                    {priceTiers.map((tier, index) => (
+                      <div key={index} className="flex gap-2">
+                        <select
+                          value={tier.customerType}
+                          onChange={(e) => updatePriceTier(index, 'customerType', e.target.value)}
+                          className="px-2 py-2 border rounded-lg"
+                        >
+                          {CUSTOMER_TYPES.map((type) => (
+                            <option key={type.value} value={type.value}>{type.label}</option>
+                          ))}
+                        </select>
+                        <input
+                          type="number"
+                          min={1}
+                          step="1"
+                          value={tier.minQuantity}
+                          onChange={(e) => updatePriceTier(index, 'minQuantity', e.target.value)}
+                          className="w-24 min-w-0 px-3 py-2 border rounded-lg"
+                          placeholder="From qty"
+                        />
+                        <input
+                          type="number"
+                          min={0}
+                          step="0.01"
+                          value={tier.price}
+                          onChange={(e) => updatePriceTier(index, 'price', e.target.value)}
+                          className="flex-1 min-w-0 px-3 py-2 border rounded-lg"
+                          placeholder="Unit price"
+                        />
+                        <button
+                          type="button"
+                          onClick={() => removePriceTier(index)}
+                          className="px-2 text-red-600 hover:text-red-800"
+                        >
+                          ✕
+                        </button>
+                      </div>
+                    ))}
+                    <p className="text-xs text-gray-500">
+                      Retail tiers apply to every buyer; wholesale and contractor tiers only to customers of that type. The lowest qualifying price is charged.
+                    </p>
+                  </div>
+                )}
+              </div>
               {isAdmin && (
                 <div>
                   <label className="block text-sm font-medium mb-1">Supplier *</label>
@@ -935,6 +1159,34 @@ const Products = () => {
                       </div>
                     )}
 
+                    {viewingProduct.barcodes?.length > 0 && (
+                      <div>
+                        <label className="block text-sm font-semibold text-gray-700 mb-1">Barcodes</label>
+                        <div className="bg-gray-50 px-3 py-2 rounded-lg space-y-1">
+                          {viewingProduct.barcodes.map((barcode) => (
+                            <div key={barcode.code} className="flex justify-between text-gray-900">
+                              <span className="font-mono">{barcode.code}</span>
+                              <span className="text-sm text-gray-500">{getBarcodeTypeLabel(barcode.type)}</span>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+
+                    {viewingProduct.priceTiers?.length > 0 && (
+                      <div>
+                        <label className="block text-sm font-semibold text-gray-700 mb-1">Price Tiers</label>
+                        <div className="bg-gray-50 px-3 py-2 rounded-lg space-y-1">
+                          {viewingProduct.priceTiers.map((tier) => (
+                            <div key={`${tier.customerType}-${tier.minQuantity}`} className="flex justify-between text-gray-900">
+                              <span>{getCustomerTypeLabel(tier.customerType)} · from {tier.minQuantity}</span>
+                              <span>{formatCurrencyDisplay(tier.price)}</span>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+
                     <div>
                       <label className="block text-sm font-semibold text-gray-700 mb-1">Category</label>
                       <p className="text-gray-900 bg-gray-50 px-3 py-2 rounded-lg">{viewingProduct.category || '-'}</p>
@@ -1028,6 +1280,13 @@ const Products = () => {
                       </p>
                     </div>
 
+                    <div>
+                      <label className="block text-sm font-semibold text-gray-700 mb-1">Tax Class</label>
+                      <p className="text-gray-900 bg-gray-50 px-3 py-2 rounded-lg">
+                        {getTaxClassLabel(viewingProduct.taxClass)}
+                      </p>
+                    </div>
+
                     {isAdmin && viewingProduct.supplier && (
                       <div>
                         <label className="block text-sm font-semibold text-gray-700 mb-1">Supplier</label>
@@ -0,0 +1,756 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import { useNavigate } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { useAuth } from '../context/AuthContext';
+import ConfirmModal from '../components/ConfirmModal';
+import Pagination from '../components/Pagination';
+import CustomerLookup from '../components/CustomerLookup';
+import { formatCurrencyDisplay, formatDate } from '../utils/utils';
+import { DISCOUNT_TYPES } from '../constants/discounts';
+import { QUOTATION_STATUSES, DEFAULT_QUOTATION_VALIDITY_DAYS, getQuotationStatus } from '../constants/quotations';
+import { calculateSaleTotals, getTaxConfig, getSellingPrice, getCustomerPriceList, resolveLinePrice } from '../utils/pricing';
+import { getPriceTierLabel } from '../constants/customerTypes';
+
+const EMPTY_DISCOUNT = { type: 'percent', value: '' };
+
+const Quotations = () => {
+  const { user, isAdmin } = useAuth();
+  const navigate = useNavigate();
+  const [quotations, setQuotations] = useState([]);
+  const [paginatedQuotations, setPaginatedQuotations] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [taxSettings, setTaxSettings] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [searchQuery, setSearchQuery] = useState('');
+  const [showModal, setShowModal] = useState(false);
+  const [editingQuotation, setEditingQuotation] = useState(null);
+  const [cart, setCart] = useState([]);
+  const [customer, setCustomer] = useState(null);
+  const [quoteDiscount, setQuoteDiscount] = useState(EMPTY_DISCOUNT);
+  const [productSearchQuery, setProductSearchQuery] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [quotationToDelete, setQuotationToDelete] = useState(null);
+  const { register, handleSubmit, reset, setValue, formState: { errors } } = useForm();
+
+  useEffect(() => {
+    fetchProducts();
+    fetchTaxSettings();
+  }, []);
+
+  useEffect(() => {
+    fetchQuotations();
+  }, [statusFilter]);
+
+  const fetchQuotations = async () => {
+    try {
+      const params = { limit: 500 };
+      if (statusFilter) params.status = statusFilter;
+      if (searchQuery.trim()) params.search = searchQuery.trim();
+      const response = await axios.get('/quotations', { params });
+      setQuotations(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchProducts = async () => {
+    try {
+      const response = await axios.get('/products?isActive=true');
+      setProducts(response.data.data);
+    } catch (error) {
+      console.error('Failed to fetch products');
+    }
+  };
+
+  const fetchTaxSettings = async () => {
+    try {
+      const response = await axios.get('/settings/tax');
+      setTaxSettings(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  // Tier and price list prices follow the quantity and the customer; quotes without a customer get retail prices
+  const priceQuoteLine = (item, pricingCustomer = customer) => {
+    const { price, priceTier, priceList } = resolveLinePrice(
+      item.product,
+      item.quantity,
+      pricingCustomer?.customerType,
+      getCustomerPriceList(pricingCustomer)
+    );
+    return { ...item, price, priceTier, priceList };
+  };
+
+  const addToCart = (product) => {
+    if (cart.some(item => item.product._id === product._id)) {
+      updateCartQuantity(product._id, cart.find(item => item.product._id === product._id).quantity + 1);
+      return;
+    }
+    setCart([...cart, priceQuoteLine({
+      product,
+      quantity: 1,
+      taxClass: product.taxClass || 'vatable',
+      discount: EMPTY_DISCOUNT
+    })]);
+  };
+
+  const updateCartQuantity = (productId, quantity) => {
+    if (quantity <= 0) {
+      setCart(cart.filter(item => item.product._id !== productId));
+    } else {
+      setCart(cart.map(item =>
+        item.product._id === productId ? priceQuoteLine({ ...item, quantity }) : item
+      ));
+    }
+  };
+
+  // Fill the quote details from the customer record; they can still be edited for this quote
+  const handleSelectCustomer = (selected) => {
+    setCustomer(selected);
+    setCart(cart.map(item => priceQuoteLine(item, selected)));
+    setValue('customerName', selected.name);
+    setValue('customerPhone', selected.phone || '');
+    setValue('customerEmail', selected.email || '');
+    setValue('tinNumber', selected.tinNumber || '');
+  };
+
+  const handleClearCustomer = () => {
+    setCustomer(null);
+    setCart(cart.map(item => priceQuoteLine(item, null)));
+  };
+
+  const updateCartDiscount = (productId, field, value) => {
+    setCart(cart.map(item =>
+      item.product._id === productId
+        ? { ...item, discount: { ...item.discount, [field]: value } }
+        : item
+    ));
+  };
+
+  const closeModal = () => {
+    setShowModal(false);
+    setEditingQuotation(null);
+    setCart([]);
+    setCustomer(null);
+    setQuoteDiscount(EMPTY_DISCOUNT);
+    setProductSearchQuery('');
+    reset();
+  };
+
+  const openCreateModal = () => {
+    closeModal();
+    reset({ validityDays: DEFAULT_QUOTATION_VALIDITY_DAYS });
+    setShowModal(true);
+  };
+
+  // Edited quotes are repriced at current selling prices when saved
+  const openEditModal = async (quotation) => {
+    try {
+      const response = await axios.get(`/quotations/${quotation._id}`);
+      const quote = response.data.data;
+      const availableItems = quote.items.filter(item => item.product?.isActive);
+      if (availableItems.length < quote.items.length) {
+        toast.warning('Some products in the quotation are no longer available and were removed');
+      }
+
+      const quoteCustomer = quote.customer?.isActive ? quote.customer : null;
+      setEditingQuotation(quote);
+      setCustomer(quoteCustomer);
+      setCart(availableItems.map(item => priceQuoteLine({
+        product: item.product,
+        quantity: item.quantity,
+        taxClass: item.product.taxClass || 'vatable',
+        discount: item.discountType ? { type: item.discountType, value: item.discountValue } : EMPTY_DISCOUNT
+      }, quoteCustomer)));
+      setQuoteDiscount(quote.saleDiscount?.value ? { type: quote.saleDiscount.type, value: quote.saleDiscount.value } : EMPTY_DISCOUNT);
+      setProductSearchQuery('');
+      reset({
+        customerName: quote.customerName,
+        customerPhone: quote.customerPhone || '',
+        customerEmail: quote.customerEmail || '',
+        tinNumber: quote.tinNumber || '',
+        validityDays: DEFAULT_QUOTATION_VALIDITY_DAYS,
+        notes: quote.notes || ''
+      });
+      setShowModal(true);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const onSubmit = async (data) => {
+    if (cart.length === 0) {
+      toast.error('Please add items to the quotation');
+      return;
+    }
+
+    const quotationData = {
+      customer: customer?._id,
+      customerName: data.customerName,
+      customerPhone: data.customerPhone || undefined,
+      customerEmail: data.customerEmail?.trim() || undefined,
+      tinNumber: data.tinNumber || undefined,
+      validityDays: parseInt(data.validityDays, 10) || DEFAULT_QUOTATION_VALIDITY_DAYS,
+      notes: data.notes || undefined,
+      items: cart.map(item => ({
+        product: item.product._id,
+        quantity: item.quantity,
+        discount: parseFloat(item.discount?.value) > 0
+          ? { type: item.discount.type, value: parseFloat(item.discount.value) }
+          : undefined
+      })),
+      saleDiscount: parseFloat(quoteDiscount.value) > 0
+        ? { type: quoteDiscount.type, value: parseFloat(quoteDiscount.value) }
+        : undefined
+    };
+
+    setIsSubmitting(true);
+    try {
+      const response = editingQuotation
+        ? await axios.put(`/quotations/${editingQuotation._id}`, quotationData)
+        : await axios.post('/quotations', quotationData);
+      toast.success(response.data.message);
+      closeModal();
+      fetchQuotations();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleStatusChange = async (quotation, status) => {
+    try {
+      const response = await axios.post(`/quotations/${quotation._id}/status`, { status });
+      toast.success(response.data.message);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      fetchQuotations();
+    }
+  };
+
+  const handleDeleteConfirm = async () => {
+    if (!quotationToDelete) return;
+    setIsSubmitting(true);
+    try {
+      const response = await axios.delete(`/quotations/${quotationToDelete._id}`);
+      toast.success(response.data.message);
+      setQuotationToDelete(null);
+      fetchQuotations();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const exportQuotationToPDF = async (quotation) => {
+    try {
+      const response = await axios.get(`/quotations/${quotation._id}/pdf`, {
+        responseType: 'blob',
+      });
+
+      // Create a blob URL and trigger download
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `Quotation_${quotation.quotationNumber}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+
+      toast.success('Quotation exported to PDF successfully');
+    } catch (error) {
+      console.error('Error generating PDF:', error);
+      toast.error('Failed to export PDF. Please try again.');
+    }
+  };
+
+  // Accepted quotes are rung up on the Sales page at their locked prices
+  const handleConvert = (quotation) => {
+    navigate('/sales', { state: { quotationId: quotation._id } });
+  };
+
+  const canDelete = (quotation) =>
+    quotation.status !== 'converted' && (isAdmin || quotation.createdBy?._id === user?.id);
+
+  if (loading) {
+    return <div className="text-center py-8">Loading...</div>;
+  }
+
+  const totals = calculateSaleTotals({
+    items: cart,
+    saleDiscount: quoteDiscount,
+    taxConfig: getTaxConfig(taxSettings)
+  });
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6 sm:mb-8">
+        <h1 className="text-2xl sm:text-3xl font-bold">Quotations</h1>
+        <button
+          onClick={openCreateModal}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 w-full sm:w-auto"
+        >
+          New Quotation
+        </button>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-4 mb-6 flex flex-col sm:flex-row gap-2">
+        <input
+          type="text"
+          value={searchQuery}
+          onChange={(e) => setSearchQuery(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && fetchQuotations()}
+          placeholder="Search by quotation number or customer..."
+          className="flex-1 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          className="px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        >
+          <option value="">All Statuses</option>
+          {QUOTATION_STATUSES.map((status) => (
+            <option key={status.value} value={status.value}>{status.label}</option>
+          ))}
+        </select>
+        <button
+          onClick={fetchQuotations}
+          className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300"
+        >
+          Search
+        </button>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Quotation</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Customer</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Total</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Valid Until</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {quotations.length === 0 ? (
+              <tr>
+                <td colSpan={6} className="px-6 py-4 text-center text-gray-500">
+                  No quotations found
+                </td>
+              </tr>
+            ) : (
+              paginatedQuotations.map((quotation) => {
+                const status = getQuotationStatus(quotation.status);
+                return (
+                  <tr key={quotation._id}>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="font-medium">{quotation.quotationNumber}</div>
+                      <div className="text-xs text-gray-500">
+                        {formatDate(quotation.createdAt)} · {quotation.createdBy?.username || '-'}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">{quotation.customerName}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">{formatCurrencyDisplay(quotation.total)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">{formatDate(quotation.validUntil)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`px-2 py-1 text-xs font-semibold rounded-full ${status.className}`}>
+                        {status.label}
+                      </span>
+                      {quotation.sale?.saleNumber && (
+                        <div className="text-xs text-gray-500 mt-1">Sale {quotation.sale.saleNumber}</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <div className="flex flex-wrap gap-3">
+                        <button
+                          onClick={() => exportQuotationToPDF(quotation)}
+                          className="text-blue-600 hover:text-blue-800"
+                        >
+                          PDF
+                        </button>
+                        {['draft', 'sent'].includes(quotation.status) && (
+                          <button
+                            onClick={() => openEditModal(quotation)}
+                            className="text-blue-600 hover:text-blue-800"
+                          >
+                            Edit
+                          </button>
+                        )}
+                        {quotation.status === 'draft' && (
+                          <button
+                            onClick={() => handleStatusChange(quotation, 'sent')}
+                            className="text-blue-600 hover:text-blue-800"
+                          >
+                            Mark Sent
+                          </button>
+                        )}
+                        {['draft', 'sent'].includes(quotation.status) && (
+                          <button
+                            onClick={() => handleStatusChange(quotation, 'accepted')}
+                            className="text-green-600 hover:text-green-800"
+                          >
+                            Accept
+                          </button>
+                        )}
+                        {quotation.status === 'accepted' && (
+                          <button
+                            onClick={() => handleConvert(quotation)}
+                            className="text-green-600 hover:text-green-800 font-semibold"
+                          >
+                            Convert to Sale
+                          </button>
+                        )}
+                        {canDelete(quotation) && (
+                          <button
+                            onClick={() => setQuotationToDelete(quotation)}
+                            className="text-red-600 hover:text-red-800"
+                          >
+                            Delete
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+        <Pagination
+          data={quotations}
+          itemsPerPage={10}
+          onPageChange={setPaginatedQuotations}
+        />
+      </div>
+
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white p-4 sm:p-6 rounded-lg w-full max-w-4xl max-h-[90vh] overflow-y-auto">
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-xl sm:text-2xl font-bold">
+                {editingQuotation ? `Edit Quotation ${editingQuotation.quotationNumber}` : 'New Quotation'}
+              </h2>
+              <button
+                type="button"
+                onClick={closeModal}
+                disabled={isSubmitting}
+                className="text-gray-500 hover:text-gray-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                aria-label="Close modal"
+              >
+                <svg
+                  xmlns="http://www.w3.org/2000/svg"
+                  className="h-6 w-6"
+                  fill="none"
+                  viewBox="0 0 24 24"
+                  stroke="currentColor"
+                >
+                  <path
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                    strokeWidth={2}
+                    d="M6 18L18 6M6 6l12 12"
+                  />
+                </svg>
+              </button>
+            </div>
+            <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+              <div className="border rounded-lg p-4">
+                <h3 className="font-semibold mb-2">Add Products</h3>
+                <div className="mb-3">
+                  <input
+                    type="text"
+                    value={productSearchQuery}
+                    onChange={(e) => setProductSearchQuery(e.target.value)}
+                    placeholder="Search products..."
+                    className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2 max-h-40 overflow-y-auto">
+                  {products
+                    .filter(p =>
+                      productSearchQuery === '' ||
+                      p.name.toLowerCase().includes(productSearchQuery.toLowerCase())
+                    )
+                    .map((product) => (
+                      <button
+                        key={product._id}
+                        type="button"
+                        onClick={() => addToCart(product)}
+                        className="text-left p-2 border rounded hover:bg-gray-50"
+                      >
+                        <div className="font-semibold">{product.name}</div>
+                        <div className="text-sm text-gray-600">{formatCurrencyDisplay(getSellingPrice(product))}</div>
+                        <div className="text-xs text-gray-500">Stock: {product.stockQuantity}</div>
+                      </button>
+                    ))}
+                </div>
+              </div>
+
+              <div className="border rounded-lg p-4">
+                <h3 className="font-semibold mb-2">Quoted Items</h3>
+                {cart.length === 0 ? (
+                  <p className="text-gray-500">No items added</p>
+                ) : (
+                  <div className="space-y-2">
+                    {cart.map((item) => (
+                      <div key={item.product._id} className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 p-2 bg-gray-50 rounded">
+                        <div>
+                          <div className="font-semibold">{item.product.name}</div>
+                          <div className="text-sm text-gray-600">
+                            {item.priceTier && (
+                              <span className="line-through text-gray-400 mr-1">{formatCurrencyDisplay(item.priceTier.listPrice)}</span>
+                            )}
+                            {item.priceList && (
+                              <span className="line-through text-gray-400 mr-1">{formatCurrencyDisplay(item.priceList.listPrice)}</span>
+                            )}
+                            {formatCurrencyDisplay(item.price)} each
+                          </div>
+                          {item.priceTier && (
+                            <div className="text-xs text-green-700">{getPriceTierLabel(item.priceTier)}</div>
+                          )}
+                          {item.priceList && (
+                            <div className="text-xs text-green-700">{item.priceList.name} price</div>
+                          )}
+                          <div className="flex items-center gap-1 mt-1">
+                            <span className="text-xs text-gray-500">Discount</span>
+                            <select
+                              value={item.discount?.type || 'percent'}
+                              onChange={(e) => updateCartDiscount(item.product._id, 'type', e.target.value)}
+                              className="px-1 py-0.5 text-xs border rounded"
+                            >
+                              {DISCOUNT_TYPES.map((type) => (
+                                <option key={type.value} value={type.value}>{type.label}</option>
+                              ))}
+                            </select>
+                            <input
+                              type="number"
+                              step="0.01"
+                              min={0}
+                              value={item.discount?.value ?? ''}
+                              onChange={(e) => updateCartDiscount(item.product._id, 'value', e.target.value)}
+                              className="w-20 px-1 py-0.5 text-xs border rounded"
+                              placeholder="0"
+                            />
+                          </div>
+                        </div>
+                        <div className="flex items-center space-x-2">
+                          <button
+                            type="button"
+                            onClick={() => updateCartQuantity(item.product._id, item.quantity - 1)}
+                            className="px-2 py-1 bg-gray-200 rounded"
+                          >
+                            -
+                          </button>
+                          <input
+                            type="number"
+                            min={1}
+                            value={item.quantity}
+                            onChange={(e) => updateCartQuantity(item.product._id, parseInt(e.target.value, 10) || 0)}
+                            className="w-16 px-1 py-0.5 text-center border rounded"
+                          />
+                          <button
+                            type="button"
+                            onClick={() => updateCartQuantity(item.product._id, item.quantity + 1)}
+                            className="px-2 py-1 bg-gray-200 rounded"
+                          >
+                            +
+                          </button>
+                          <span className="w-24 text-right font-semibold">
+                            {formatCurrencyDisplay(item.price * item.quantity)}
+                          </span>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              {cart.length > 0 && (
+                <div className="border rounded-lg p-4 space-y-2">
+                  <label className="block text-sm font-medium mb-1">Quotation Discount</label>
+                  <div className="flex gap-2">
+                    <select
+                      value={quoteDiscount.type}
+                      onChange={(e) => setQuoteDiscount({ ...quoteDiscount, type: e.target.value })}
+                      className="px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    >
+                      {DISCOUNT_TYPES.map((type) => (
+                        <option key={type.value} value={type.value}>{type.label}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="number"
+                      step="0.01"
+                      min={0}
+                      value={quoteDiscount.value}
+                      onChange={(e) => setQuoteDiscount({ ...quoteDiscount, value: e.target.value })}
+                      className="flex-1 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      placeholder="0"
+                    />
+                  </div>
+                  <div className="border-t pt-2 space-y-1 text-sm">
+                    <div className="flex justify-between">
+                      <span>Subtotal:</span>
+                      <span>{formatCurrencyDisplay(totals.subtotal)}</span>
+                    </div>
+                    {totals.discount > 0 && (
+                      <div className="flex justify-between text-green-600">
+                        <span>Discounts:</span>
+                        <span>-{formatCurrencyDisplay(totals.discount)}</span>
+                      </div>
+                    )}
+                    <div className="flex justify-between">
+                      <span>VAT:</span>
+                      <span>{formatCurrencyDisplay(totals.vat)}</span>
+                    </div>
+                    <div className="flex justify-between text-lg font-semibold">
+                      <span>Total:</span>
+                      <span>{formatCurrencyDisplay(totals.total)}</span>
+                    </div>
+                  </div>
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium mb-1">Customer Record (Optional)</label>
+                <CustomerLookup
+                  customer={customer}
+                  onSelect={handleSelectCustomer}
+                  onClear={handleClearCustomer}
+                />
+              </div>
+
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium mb-1">Customer Name *</label>
+                  <input
+                    {...register('customerName', { required: 'Customer name is required' })}
+                    type="text"
+                    className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    placeholder="Enter customer name"
+                  />
+                  {errors.customerName && (
+                    <p className="text-red-500 text-sm mt-1">{errors.customerName.message}</p>
+                  )}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Contact Number (Optional)</label>
+                  <input
+                    {...register('customerPhone', {
+                      pattern: { value: /^\d{0,11}$/, message: 'Phone number must be up to 11 digits' }
+                    })}
+                    type="text"
+                    className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    placeholder="Enter contact number"
+                  />
+                  {errors.customerPhone && (
+                    <p className="text-red-500 text-sm mt-1">{errors.customerPhone.message}</p>
+                  )}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Email (Optional)</label>
+                  <input
+                    {...register('customerEmail', {
+                      pattern: { value: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, message: 'Please provide a valid email' }
+                    })}
+                    type="email"
+                    className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    placeholder="Enter email"
+                  />
+                  {errors.customerEmail && (
+                    <p className="text-red-500 text-sm mt-1">{errors.customerEmail.message}</p>
+                  )}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">TIN Number (Optional)</label>
+                  <input
+                    {...register('tinNumber')}
+                    type="text"
+                    className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    placeholder="Enter TIN number"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">Valid For (Days)</label>
+                  <input
+                    {...register('validityDays', {
+                      min: { value: 1, message: 'Validity must be at least 1 day' },
+                      max: { value: 365, message: 'Validity cannot exceed 365 days' }
+                    })}
+                    type="number"
+                    min={1}
+                    max={365}
+                    className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  {errors.validityDays && (
+                    <p className="text-red-500 text-sm mt-1">{errors.validityDays.message}</p>
+                  )}
+                  <p className="text-xs text-gray-500 mt-1">Prices are locked until the end of the last day.</p>
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Notes (Optional)</label>
+                <textarea
+                  {...register('notes', { maxLength: { value: 500, message: 'Notes cannot exceed 500 characters' } })}
+                  rows={3}
+                  className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  placeholder="Terms, delivery details, etc."
+                />
+                {errors.notes && (
+                  <p className="text-red-500 text-sm mt-1">{errors.notes.message}</p>
+                )}
+              </div>
+              {editingQuotation && (
+                <p className="text-xs text-orange-600">
+                  Saving reprices the quotation at current selling prices and returns it to draft.
+                </p>
+              )}
+
+              <div className="flex flex-col sm:flex-row gap-2">
+                <button
+                  type="button"
+                  onClick={closeModal}
+                  disabled={isSubmitting}
+                  className="flex-1 bg-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-400 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={isSubmitting || cart.length === 0}
+                  className="flex-1 bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isSubmitting ? 'Saving...' : 'Save Quotation'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      <ConfirmModal
+        isOpen={!!quotationToDelete}
+        onClose={() => setQuotationToDelete(null)}
+        onConfirm={handleDeleteConfirm}
+        title="Delete Quotation"
+        message={`Are you sure you want to delete quotation ${quotationToDelete?.quotationNumber}? This cannot be undone.`}
+        confirmText="Delete"
+        isLoading={isSubmitting}
+      />
+    </div>
+  );
+};
+
+export default Quotations;
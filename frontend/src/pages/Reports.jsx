@@ -1,7 +1,8 @@
 import { useState, useEffect, Suspense } from 'react';
 import axios from 'axios';
 import { toast } from 'sonner';
-import { formatCurrency, formatCurrencyDisplay, formatPaymentMethod, formatLocalDate } from '../utils/utils';
+import { formatCurrency, formatCurrencyDisplay, formatPaymentMethod, formatLocalDate, formatDate } from '../utils/utils';
+import { getPriceOverrideReasonLabel } from '../constants/priceOverrides';
 import InventoryMovementChart from '../components/InventoryMovementChart';
 
 // Lazy load heavy libraries - only load when needed
@@ -83,12 +84,16 @@ const Reports = () => {
     inventory: null,
     topProducts: null,
     revenueTrends: null,
+    priceOverrides: null,
+    priceLists: null,
   });
   const [loading, setLoading] = useState({
     sales: false,
     inventory: false,
     topProducts: false,
     revenueTrends: false,
+    priceOverrides: false,
+    priceLists: false,
   });
 
   // Calculate sales performance insights
@@ -225,14 +230,18 @@ const Reports = () => {
       inventory: true,
       topProducts: true,
       revenueTrends: true,
+      priceOverrides: true,
+      priceLists: true,
     });
 
     try {
-      const [salesRes, inventoryRes, topProductsRes, revenueTrendsRes] = await Promise.allSettled([
+      const [salesRes, inventoryRes, topProductsRes, revenueTrendsRes, priceOverridesRes, priceListsRes] = await Promise.allSettled([
         axios.get(`/reports/sales?startDate=${startDate}&endDate=${endDate}${selectedUser ? `&cashier=${selectedUser}` : ''}`),
         axios.get('/reports/inventory'),
         axios.get(`/reports/top-products?startDate=${startDate}&endDate=${endDate}&limit=10`),
         axios.get(`/reports/revenue-trends?startDate=${startDate}&endDate=${endDate}&groupBy=day`),
+        axios.get(`/reports/price-overrides?startDate=${startDate}&endDate=${endDate}`),
+        axios.get(`/reports/price-lists?startDate=${startDate}&endDate=${endDate}`),
       ]);
 
       setReports({
@@ -240,6 +249,8 @@ const Reports = () => {
         inventory: inventoryRes.status === 'fulfilled' ? inventoryRes.value.data : null,
         topProducts: topProductsRes.status === 'fulfilled' ? topProductsRes.value.data : null,
         revenueTrends: revenueTrendsRes.status === 'fulfilled' ? revenueTrendsRes.value.data : null,
+        priceOverrides: priceOverridesRes.status === 'fulfilled' ? priceOverridesRes.value.data.data : null,
+        priceLists: priceListsRes.status === 'fulfilled' ? priceListsRes.value.data.data : null,
       });
     } catch (error) {
       console.error('Error fetching reports:', error);
@@ -249,6 +260,8 @@ const Reports = () => {
         inventory: false,
         topProducts: false,
         revenueTrends: false,
+        priceOverrides: false,
+        priceLists: false,
       });
     }
   };
@@ -299,7 +312,14 @@ const Reports = () => {
         ['Total Transactions', (reports.sales.summary?.totalSales ?? 0).toString()],
         ['Total Sales', formatCurrency(reports.sales.summary?.totalRevenue ?? 0)],
         ['Profit', formatCurrency(reports.sales.summary?.profit ?? 0)],
-        ['Total VAT (12%)', formatCurrency(reports.sales.summary?.totalVAT ?? 0)]
+        ['Output VAT', formatCurrency(reports.sales.summary?.totalVAT ?? 0)],
+        ['Gross Sales', formatCurrency(reports.sales.summary?.grossSales ?? 0)],
+        ['Total Discounts', formatCurrency(reports.sales.summary?.totalDiscount ?? 0)],
+        ['Senior Citizen/PWD Discounts', formatCurrency(reports.sales.summary?.statutoryDiscount ?? 0)],
+        ['VATable Sales', formatCurrency(reports.sales.summary?.vatableSales ?? 0)],
+        ['VAT-Exempt Sales', formatCurrency(reports.sales.summary?.vatExemptSales ?? 0)],
+        ['Zero-Rated Sales', formatCurrency(reports.sales.summary?.zeroRatedSales ?? 0)],
+        [`Line Void Refunds (${reports.sales.summary?.lineVoidCount ?? 0})`, formatCurrency(reports.sales.summary?.lineVoidRefunds ?? 0)]
       ];
 
       autoTable(doc, {
@@ -314,6 +334,31 @@ const Reports = () => {
 
       yPosition = doc.lastAutoTable.finalY + 10;
 
+      // Tender Breakdown
+      if (reports.sales.tenderBreakdown?.length > 0) {
+        doc.setFontSize(14);
+        doc.setFont(undefined, 'bold');
+        doc.text('Tender Breakdown', margin, yPosition);
+        yPosition += 8;
+
+        autoTable(doc, {
+          startY: yPosition,
+          head: [['Method', 'Transactions', 'Tendered', 'Net Collected']],
+          body: reports.sales.tenderBreakdown.map(tender => [
+            formatPaymentMethod(tender.method),
+            tender.count.toString(),
+            formatCurrency(tender.tendered),
+            formatCurrency(tender.amount)
+          ]),
+          theme: 'grid',
+          headStyles: { fillColor: [59, 130, 246], textColor: 255, fontStyle: 'bold' },
+          margin: { left: margin, right: margin },
+          styles: { fontSize: 10 }
+        });
+
+        yPosition = doc.lastAutoTable.finalY + 10;
+      }
+
       // Transactions List
       if (reports.sales.data && reports.sales.data.length > 0) {
         if (yPosition > 250) {
@@ -497,9 +542,64 @@ const Reports = () => {
               <div className="text-2xl font-bold">{formatCurrencyDisplay(reports.sales.summary.profit ?? 0)}</div>
             </div>
             <div className="bg-white p-4 rounded-lg border">
-              <div className="text-gray-600 text-sm mb-1">Total VAT (12%)</div>
+              <div className="text-gray-600 text-sm mb-1">Output VAT</div>
               <div className="text-2xl font-bold">{formatCurrencyDisplay(reports.sales.summary.totalVAT ?? 0)}</div>
             </div>
+            <div className="bg-white p-4 rounded-lg border">
+              <div className="text-gray-600 text-sm mb-1">Gross Sales</div>
+              <div className="text-2xl font-bold">{formatCurrencyDisplay(reports.sales.summary.grossSales ?? 0)}</div>
+            </div>
+            <div className="bg-white p-4 rounded-lg border">
+              <div className="text-gray-600 text-sm mb-1">Total Discounts</div>
+              <div className="text-2xl font-bold">{formatCurrencyDisplay(reports.sales.summary.totalDiscount ?? 0)}</div>
+            </div>
+            <div className="bg-white p-4 rounded-lg border">
+              <div className="text-gray-600 text-sm mb-1">Senior Citizen/PWD Discounts</div>
+              <div className="text-2xl font-bold">{formatCurrencyDisplay(reports.sales.summary.statutoryDiscount ?? 0)}</div>
+            </div>
+            <div className="bg-white p-4 rounded-lg border">
+              <div className="text-gray-600 text-sm mb-1">VATable Sales</div>
+              <div className="text-2xl font-bold">{formatCurrencyDisplay(reports.sales.summary.vatableSales ?? 0)}</div>
+            </div>
+            <div className="bg-white p-4 rounded-lg border">
+              <div className="text-gray-600 text-sm mb-1">VAT-Exempt Sales</div>
+              <div className="text-2xl font-bold">{formatCurrencyDisplay(reports.sales.summary.vatExemptSales ?? 0)}</div>
+            </div>
+            <div className="bg-white p-4 rounded-lg border">
+              <div className="text-gray-600 text-sm mb-1">Zero-Rated Sales</div>
+              <div className="text-2xl font-bold">{formatCurrencyDisplay(reports.sales.summary.zeroRatedSales ?? 0)}</div>
+            </div>
+            <div className="bg-white p-4 rounded-lg border">
+              <div className="text-gray-600 text-sm mb-1">Line Void Refunds ({reports.sales.summary.lineVoidCount ?? 0})</div>
+              <div className="text-2xl font-bold">{formatCurrencyDisplay(reports.sales.summary.lineVoidRefunds ?? 0)}</div>
+            </div>
+            {reports.sales.tenderBreakdown?.length > 0 && (
+              <div className="sm:col-span-2 lg:col-span-4 bg-white p-4 rounded-lg border">
+                <div className="text-gray-600 text-sm mb-3">Tender Breakdown</div>
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-4 py-2 text-left font-semibold">Method</th>
+                        <th className="px-4 py-2 text-right font-semibold">Transactions</th>
+                        <th className="px-4 py-2 text-right font-semibold">Tendered</th>
+                        <th className="px-4 py-2 text-right font-semibold">Net Collected</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {reports.sales.tenderBreakdown.map((tender) => (
+                        <tr key={tender.method}>
+                          <td className="px-4 py-2">{formatPaymentMethod(tender.method)}</td>
+                          <td className="px-4 py-2 text-right">{tender.count}</td>
+                          <td className="px-4 py-2 text-right">{formatCurrencyDisplay(tender.tendered)}</td>
+                          <td className="px-4 py-2 text-right font-semibold">{formatCurrencyDisplay(tender.amount)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
           </div>
         ) : (
           <div className="text-center py-8 text-gray-500">
@@ -727,6 +827,139 @@ const Reports = () => {
           </div>
         )}
       </div>
+
+      {/* Price Overrides Section */}
+      <div className="bg-white p-6 rounded-lg shadow">
+        <h2 className="text-xl font-semibold mb-4">Price Overrides</h2>
+        {loading.priceOverrides ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-gray-400"></div>
+          </div>
+        ) : reports.priceOverrides?.overrides?.length > 0 ? (
+          <div className="space-y-4">
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+              <div className="bg-white p-4 rounded-lg border">
+                <div className="text-gray-600 text-sm mb-1">Total Given Up</div>
+                <div className="text-2xl font-bold text-orange-600">
+                  {formatCurrencyDisplay(reports.priceOverrides.totalAmountOverridden)}
+                </div>
+              </div>
+              {reports.priceOverrides.summaryByReason.map((entry) => (
+                <div key={entry.reason} className="bg-white p-4 rounded-lg border">
+                  <div className="text-gray-600 text-sm mb-1">{getPriceOverrideReasonLabel(entry.reason)}</div>
+                  <div className="text-2xl font-bold">{formatCurrencyDisplay(entry.amountOverridden)}</div>
+                  <div className="text-xs text-gray-500">{entry.count} line{entry.count === 1 ? '' : 's'}</div>
+                </div>
+              ))}
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left font-semibold">Date</th>
+                    <th className="px-3 py-2 text-left font-semibold">Sale</th>
+                    <th className="px-3 py-2 text-left font-semibold">Item</th>
+                    <th className="px-3 py-2 text-right font-semibold">Regular</th>
+                    <th className="px-3 py-2 text-right font-semibold">Sold At</th>
+                    <th className="px-3 py-2 text-center font-semibold">Qty</th>
+                    <th className="px-3 py-2 text-left font-semibold">Reason</th>
+                    <th className="px-3 py-2 text-left font-semibold">Cashier</th>
+                    <th className="px-3 py-2 text-left font-semibold">Approved By</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {reports.priceOverrides.overrides.map((line, index) => (
+                    <tr key={`${line.saleId}-${index}`}>
+                      <td className="px-3 py-2 whitespace-nowrap">{formatDate(line.createdAt)}</td>
+                      <td className="px-3 py-2 whitespace-nowrap">{line.receiptNumber || line.saleNumber}</td>
+                      <td className="px-3 py-2">{line.productName}</td>
+                      <td className="px-3 py-2 text-right">{formatCurrencyDisplay(line.originalPrice)}</td>
+                      <td className="px-3 py-2 text-right">{formatCurrencyDisplay(line.price)}</td>
+                      <td className="px-3 py-2 text-center">{line.quantity}</td>
+                      <td className="px-3 py-2">
+                        {getPriceOverrideReasonLabel(line.reason)}
+                        {line.note && <div className="text-xs text-gray-500">{line.note}</div>}
+                      </td>
+                      <td className="px-3 py-2">{line.cashier || '—'}</td>
+                      <td className="px-3 py-2">
+                        {line.approvalMethod === 'superadmin_code' ? 'SuperAdmin code' : (line.approvedBy || '—')}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        ) : (
+          <div className="text-center py-8 text-gray-500">
+            <p>No price overrides for the selected period.</p>
+          </div>
+        )}
+      </div>
+
+      {/* Price Lists Section */}
+      <div className="bg-white p-6 rounded-lg shadow">
+        <h2 className="text-xl font-semibold mb-4">Customer Price Lists</h2>
+        {loading.priceLists ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-gray-400"></div>
+          </div>
+        ) : reports.priceLists?.priceLists?.length > 0 ? (
+          <div className="space-y-4">
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div className="bg-white p-4 rounded-lg border">
+                <div className="text-gray-600 text-sm mb-1">Discount Given</div>
+                <div className="text-2xl font-bold text-orange-600">
+                  {formatCurrencyDisplay(reports.priceLists.totalDiscountGiven)}
+                </div>
+              </div>
+              <div className="bg-white p-4 rounded-lg border">
+                <div className="text-gray-600 text-sm mb-1">At Regular Prices</div>
+                <div className="text-2xl font-bold">{formatCurrencyDisplay(reports.priceLists.totalListValue)}</div>
+              </div>
+              <div className="bg-white p-4 rounded-lg border">
+                <div className="text-gray-600 text-sm mb-1">Sold At</div>
+                <div className="text-2xl font-bold">{formatCurrencyDisplay(reports.priceLists.totalSoldValue)}</div>
+              </div>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left font-semibold">Price List</th>
+                    <th className="px-3 py-2 text-center font-semibold">Customers</th>
+                    <th className="px-3 py-2 text-center font-semibold">Sales</th>
+                    <th className="px-3 py-2 text-center font-semibold">Qty</th>
+                    <th className="px-3 py-2 text-right font-semibold">Regular</th>
+                    <th className="px-3 py-2 text-right font-semibold">Sold At</th>
+                    <th className="px-3 py-2 text-right font-semibold">Discount Given</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {reports.priceLists.priceLists.map((entry) => (
+                    <tr key={entry.priceList}>
+                      <td className="px-3 py-2">
+                        {entry.name}
+                        {entry.isDeleted && <span className="text-xs text-gray-500"> (deleted)</span>}
+                      </td>
+                      <td className="px-3 py-2 text-center">{entry.customerCount}</td>
+                      <td className="px-3 py-2 text-center">{entry.salesCount}</td>
+                      <td className="px-3 py-2 text-center">{entry.quantity}</td>
+                      <td className="px-3 py-2 text-right">{formatCurrencyDisplay(entry.listValue)}</td>
+                      <td className="px-3 py-2 text-right">{formatCurrencyDisplay(entry.soldValue)}</td>
+                      <td className="px-3 py-2 text-right font-semibold text-orange-600">{formatCurrencyDisplay(entry.discountGiven)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        ) : (
+          <div className="text-center py-8 text-gray-500">
+            <p>No sales at price list prices for the selected period.</p>
+          </div>
+        )}
+      </div>
     </div>
   );
 };
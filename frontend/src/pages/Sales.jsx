@@ -1,18 +1,72 @@
-import { useEffect, useState } from 'react';
+import { useEffect, useState, useRef } from 'react';
 import axios from 'axios';
 import { toast } from 'sonner';
+import { useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { useForm } from 'react-hook-form';
 import ConfirmModal from '../components/ConfirmModal';
 import InputModal from '../components/InputModal';
 import VoidRequestModal from '../components/VoidRequestModal';
+import VoidRequestHistoryModal from '../components/VoidRequestHistoryModal';
 import Pagination from '../components/Pagination';
-import { formatCurrencyDisplay, formatCurrency, formatDate, formatPaymentMethod } from '../utils/utils';
-import { FiRotateCcw } from 'react-icons/fi';
+import { formatCurrencyDisplay, formatCurrency, formatDate, formatLocalDate, formatPaymentMethod, findProductByCode } from '../utils/utils';
+import { FiRotateCcw, FiClock, FiSlash, FiMinusCircle } from 'react-icons/fi';
 import ReturnRequestModal from '../components/ReturnRequestModal';
+import VoidLinesModal from '../components/VoidLinesModal';
+import HoldCartModal from '../components/HoldCartModal';
+import LayawayModal from '../components/LayawayModal';
+import HeldCartsModal from '../components/HeldCartsModal';
+import CustomerLookup from '../components/CustomerLookup';
+import OfflineSalesModal from '../components/OfflineSalesModal';
+import AdminApprovalModal from '../components/AdminApprovalModal';
+import PriceOverrideModal from '../components/PriceOverrideModal';
+import { PAYMENT_METHODS, getReferenceLabel } from '../constants/paymentMethods';
+import { DISCOUNT_TYPES, STATUTORY_DISCOUNTS, getStatutoryDiscountLabel } from '../constants/discounts';
+import { getPriceOverrideReasonLabel } from '../constants/priceOverrides';
+import { calculateSaleTotals, getTaxConfig, getSellingPrice, getCustomerPriceList, resolveLinePrice } from '../utils/pricing';
+import { getPriceTierLabel } from '../constants/customerTypes';
+import { getRegisterId } from '../constants/saleNumbering';
+import { isReceiptPrinterConfigured } from '../constants/receiptPrinter';
+import { DELIVERY_TIME_SLOTS, getDeliveryStatus, getTimeSlotLabel } from '../constants/deliveries';
+import {
+  createClientReference,
+  getOfflineSaleError,
+  getQueuedSales,
+  getWithOfflineCache,
+  isNetworkError,
+  postQueuedSale,
+  queueSale,
+  removeQueuedSale,
+  syncQueuedSales,
+  updateOfflineCache
+} from '../utils/offlineSales';
+
+const EMPTY_TENDER = { method: 'cash', amount: '', referenceNumber: '' };
+const EMPTY_DISCOUNT = { type: 'percent', value: '' };
+const EMPTY_STATUTORY_DISCOUNT = { type: '', idNumber: '', holderName: '' };
+const EMPTY_DELIVERY = {
+  enabled: false,
+  address: '',
+  scheduledDate: '',
+  timeSlot: 'whole_day',
+  deliveryFee: '',
+  contactName: '',
+  contactPhone: '',
+  vehicle: '',
+  driver: '',
+  notes: ''
+};
+
+// How often queued offline sales are retried while the page is open
+const SYNC_INTERVAL_MS = 30000;
+
+// Price history is not needed at the counter and would bloat the offline catalog
+const prepareCatalog = (products) => products.map(({ pricingHistory, ...product }) => product);
 
 const Sales = () => {
-  const { isStaff, isAdmin } = useAuth();
+  const { user, isStaff, isAdmin } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
   const [sales, setSales] = useState([]);
   const [paginatedSales, setPaginatedSales] = useState([]);
   const [products, setProducts] = useState([]);
@@ -24,6 +78,11 @@ const Sales = () => {
   const [showVoidRequestModal, setShowVoidRequestModal] = useState(false);
   const [showReturnRequestModal, setReturnRequestModal] = useState(false);
   const [saleToVoid, setSaleToVoid] = useState(null);
+  const [returnCustomer, setReturnCustomer] = useState(null);
+  const [saleToReject, setSaleToReject] = useState(null);
+  const [voidHistorySale, setVoidHistorySale] = useState(null);
+  const [saleToAdjust, setSaleToAdjust] = useState(null);
+  const [pendingLineVoid, setPendingLineVoid] = useState(null);
   const [showReceiptModal, setShowReceiptModal] = useState(false);
   const [selectedSale, setSelectedSale] = useState(null);
   const [showItemsModal, setShowItemsModal] = useState(false);
@@ -31,14 +90,95 @@ const Sales = () => {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [isVoiding, setIsVoiding] = useState(false);
   const [productSearchQuery, setProductSearchQuery] = useState('');
-  const [activeTab, setActiveTab] = useState('all'); // 'all', 'voided', or 'void-requests' (admin only)
+  const [scanCode, setScanCode] = useState('');
+  const scanInputRef = useRef(null);
+  const [activeTab, setActiveTab] = useState(() => location.state?.tab || 'all'); // 'all', 'voided', or 'void-requests' (admin only)
   const [currentStep, setCurrentStep] = useState(1); // 1 for product details, 2 for customer info
-  const { register, handleSubmit, watch, setValue, formState: { errors } } = useForm();
+  const [tenders, setTenders] = useState([EMPTY_TENDER]);
+  const [saleDiscount, setSaleDiscount] = useState(EMPTY_DISCOUNT);
+  const [statutoryDiscount, setStatutoryDiscount] = useState(EMPTY_STATUTORY_DISCOUNT);
+  const [delivery, setDelivery] = useState(EMPTY_DELIVERY);
+  const [discountThreshold, setDiscountThreshold] = useState(10);
+  const [taxSettings, setTaxSettings] = useState(null);
+  const [receiptPrinter, setReceiptPrinter] = useState(null);
+  const [isPrintingReceipt, setIsPrintingReceipt] = useState(false);
+  const [receiptEmail, setReceiptEmail] = useState('');
+  const [isSendingEmail, setIsSendingEmail] = useState(false);
+  const [showSaleApprovalModal, setShowSaleApprovalModal] = useState(false);
+  const [pendingSale, setPendingSale] = useState(null);
+  const [overrideItem, setOverrideItem] = useState(null);
+  const [reservations, setReservations] = useState({});
+  const [heldCarts, setHeldCarts] = useState([]);
+  const [showHoldCartModal, setShowHoldCartModal] = useState(false);
+  const [showHeldCartsModal, setShowHeldCartsModal] = useState(false);
+  const [isHolding, setIsHolding] = useState(false);
+  const [currentShift, setCurrentShift] = useState(null);
+  const [quotation, setQuotation] = useState(null);
+  const [creditAccounts, setCreditAccounts] = useState([]);
+  const [creditAccountId, setCreditAccountId] = useState('');
+  const [customer, setCustomer] = useState(null);
+  const [saveCustomer, setSaveCustomer] = useState(false);
+  const [loyaltySettings, setLoyaltySettings] = useState(null);
+  const [layawaySettings, setLayawaySettings] = useState(null);
+  const [showLayawayModal, setShowLayawayModal] = useState(false);
+  const [pendingLayaway, setPendingLayaway] = useState(null);
+  const [isOffline, setIsOffline] = useState(!navigator.onLine);
+  const [offlineSales, setOfflineSales] = useState(getQueuedSales);
+  const [showOfflineSalesModal, setShowOfflineSalesModal] = useState(false);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [supervisorAction, setSupervisorAction] = useState(null);
+  const activeTabRef = useRef(activeTab);
+  activeTabRef.current = activeTab;
+  const { register, handleSubmit, setValue, getValues, formState: { errors } } = useForm();
 
   useEffect(() => {
     fetchProducts();
+    fetchReservations();
+    fetchCurrentShift();
+    fetchDiscountThreshold();
+    fetchTaxSettings();
+    fetchReceiptPrinter();
+    fetchCreditAccounts();
+    fetchLoyaltySettings();
+    fetchLayawaySettings();
+  }, []);
+
+  // Post sales rung up offline as soon as the connection is back, and keep retrying while any wait
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOffline(false);
+      handleSync();
+    };
+    const handleOffline = () => setIsOffline(true);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    const timer = setInterval(() => {
+      if (getQueuedSales().some(entry => entry.status === 'pending')) handleSync();
+    }, SYNC_INTERVAL_MS);
+    handleSync();
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      clearInterval(timer);
+    };
   }, []);
 
+  // Quotations page hands over an accepted quote to convert; notifications and the Dashboard open void requests
+  useEffect(() => {
+    const quotationId = location.state?.quotationId;
+    if (quotationId) {
+      navigate(location.pathname, { replace: true, state: null });
+      loadQuotation(quotationId);
+    }
+    if (location.state?.tab || location.state?.voidRequestSaleId) {
+      if (location.state.tab) setActiveTab(location.state.tab);
+      if (location.state.voidRequestSaleId) setVoidHistorySale({ _id: location.state.voidRequestSaleId });
+      navigate(location.pathname, { replace: true, state: null });
+    }
+  }, [location.state]);
+
   useEffect(() => {
     setLoading(true);
     if (activeTab === 'voided') {
@@ -76,28 +216,173 @@ const Sales = () => {
 
   const fetchProducts = async () => {
     try {
-      const response = await axios.get('/products?isActive=true');
-      setProducts(response.data.data);
+      // Cached so sales can still be rung up when the server cannot be reached
+      setProducts(await getWithOfflineCache('products', '/products', {
+        params: { isActive: true },
+        prepare: prepareCatalog
+      }));
     } catch (error) {
       console.error('Failed to fetch products');
     }
   };
 
+  // Quantities soft-reserved in held carts, keyed by product ID
+  const fetchReservations = async () => {
+    try {
+      const data = await getWithOfflineCache('reservations', '/held-carts/reservations');
+      setReservations(Object.fromEntries(data.map(r => [r.product, r.quantity])));
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const fetchCurrentShift = async () => {
+    try {
+      setCurrentShift(await getWithOfflineCache('currentShift', '/shifts/current'));
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  // Sales are rung up against the cashier's open shift
+  const ensureOpenShift = () => {
+    if (currentShift) return true;
+    toast.error('Open a shift before processing sales');
+    navigate('/shifts');
+    return false;
+  };
+
+  const fetchHeldCarts = async () => {
+    try {
+      const response = await axios.get('/held-carts');
+      setHeldCarts(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const getAvailableStock = (product) => Math.max(0, product.stockQuantity - (reservations[product._id] || 0));
+
+  const fetchDiscountThreshold = async () => {
+    try {
+      const data = await getWithOfflineCache('discountThreshold', '/settings/discount-threshold');
+      setDiscountThreshold(data.threshold ?? 10);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const fetchTaxSettings = async () => {
+    try {
+      setTaxSettings(await getWithOfflineCache('taxSettings', '/settings/tax'));
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const fetchLoyaltySettings = async () => {
+    try {
+      setLoyaltySettings(await getWithOfflineCache('loyaltySettings', '/settings/loyalty'));
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const fetchLayawaySettings = async () => {
+    try {
+      const response = await axios.get('/settings/layaway');
+      setLayawaySettings(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const fetchCreditAccounts = async () => {
+    try {
+      const response = await axios.get('/credit-accounts', { params: { isActive: true } });
+      setCreditAccounts(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const fetchReceiptPrinter = async () => {
+    try {
+      const response = await axios.get('/settings/receipt-printer');
+      setReceiptPrinter(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  // Tier and price list prices follow the quantity and the customer; overridden and quoted prices stay as they are
+  const priceCartLine = (item, pricingCustomer = customer) => {
+    if (quotation) return item;
+    const { price, priceTier, priceList } = resolveLinePrice(
+      item.product,
+      item.quantity,
+      pricingCustomer?.customerType,
+      getCustomerPriceList(pricingCustomer)
+    );
+    if (item.priceOverride) {
+      return { ...item, priceTier: undefined, priceList: undefined, priceOverride: { ...item.priceOverride, originalPrice: price } };
+    }
+    return { ...item, price, priceTier, priceList };
+  };
+
   const addToCart = (product) => {
     const existingItem = cart.find(item => item.product._id === product._id);
-    // Calculate selling price: base price + (base price * markup percentage / 100)
-    const basePrice = product.price || 0;
-    const markupPercentage = product.markupPercentage || 0;
-    const sellingPrice = basePrice + (basePrice * (markupPercentage / 100));
     if (existingItem) {
       setCart(cart.map(item =>
         item.product._id === product._id
-          ? { ...item, quantity: item.quantity + 1 }
+          ? priceCartLine({ ...item, quantity: item.quantity + 1 })
           : item
       ));
     } else {
-      setCart([...cart, { product, quantity: 1, price: sellingPrice }]);
+      setCart([...cart, priceCartLine({
+        product,
+        quantity: 1,
+        taxClass: product.taxClass || 'vatable',
+        discount: EMPTY_DISCOUNT
+      })]);
+    }
+  };
+
+  // Keyboard-wedge scanners type the code and press Enter, so a scan arrives as one submit
+  const handleScan = async (e) => {
+    e.preventDefault();
+    const code = scanCode.trim();
+    if (!code) return;
+    setScanCode('');
+
+    let product = findProductByCode(products, code);
+    if (!product) {
+      // Fall back to the server for products added since the list was loaded
+      try {
+        const response = await axios.get(`/products/barcode/${encodeURIComponent(code)}`);
+        product = response.data.data;
+      } catch (error) {
+        // Error handled by axios interceptor
+        return;
+      } finally {
+        scanInputRef.current?.focus();
+      }
+    }
+
+    const inCart = cart.find(item => item.product._id === product._id)?.quantity || 0;
+    if (getAvailableStock(product) <= inCart) {
+      toast.error(`${product.name} is out of stock`);
+    } else {
+      addToCart(product);
     }
+    scanInputRef.current?.focus();
+  };
+
+  const matchesProductSearch = (product) => {
+    const query = productSearchQuery.toLowerCase();
+    return product.name.toLowerCase().includes(query) ||
+      product.sku?.toLowerCase().includes(query) ||
+      product.barcodes?.some(barcode => barcode.code.toLowerCase().includes(query));
   };
 
   const updateCartQuantity = (productId, quantity) => {
@@ -106,22 +391,123 @@ const Sales = () => {
     } else {
       setCart(cart.map(item =>
         item.product._id === productId
-          ? { ...item, quantity }
+          ? priceCartLine({ ...item, quantity })
           : item
       ));
     }
   };
 
-  const calculateTotal = () => {
-    const subtotal = cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-    const vatRate = 0.12; // 12% VAT
-    const vat = subtotal * vatRate;
-    const total = subtotal + vat;
+  const updateCartDiscount = (productId, field, value) => {
+    setCart(cart.map(item =>
+      item.product._id === productId
+        ? { ...item, discount: { ...item.discount, [field]: value } }
+        : item
+    ));
+  };
+
+  const applyPriceOverride = ({ price, reason, note }) => {
+    setCart(cart.map(item =>
+      item.product._id === overrideItem.product._id
+        ? {
+            ...item,
+            price,
+            priceTier: undefined,
+            priceList: undefined,
+            priceOverride: { originalPrice: item.priceOverride?.originalPrice ?? item.price, reason, note }
+          }
+        : item
+    ));
+    setOverrideItem(null);
+  };
+
+  const clearPriceOverride = () => {
+    setCart(cart.map(item => {
+      if (item.product._id !== overrideItem.product._id) return item;
+      const { priceOverride, ...rest } = item;
+      return priceCartLine(rest);
+    }));
+    setOverrideItem(null);
+  };
+
+  const calculateTotal = () => calculateSaleTotals({
+    items: cart,
+    saleDiscount,
+    statutoryDiscountType: statutoryDiscount.type,
+    taxConfig: getTaxConfig(taxSettings),
+    deliveryFee: delivery.enabled ? delivery.deliveryFee : 0
+  });
+
+  const addTender = () => {
+    setTenders([...tenders, { ...EMPTY_TENDER, method: 'gcash' }]);
+  };
+
+  const updateTender = (index, field, value) => {
+    setTenders(tenders.map((tender, i) =>
+      i === index ? { ...tender, [field]: value } : tender
+    ));
+  };
+
+  const removeTender = (index) => {
+    setTenders(tenders.filter((_, i) => i !== index));
+  };
+
+  // Fill a tender with whatever is still unpaid
+  const fillRemaining = (index) => {
+    const { remaining } = calculatePayments();
+    const currentAmount = parseFloat(tenders[index].amount || 0);
+    updateTender(index, 'amount', (currentAmount + remaining).toFixed(2));
+  };
+
+  // Change is only given out of cash, so non-cash tenders may not exceed the total
+  const calculatePayments = () => {
+    const totals = calculateTotal();
+    const cashTendered = tenders
+      .filter(tender => tender.method === 'cash')
+      .reduce((sum, tender) => sum + parseFloat(tender.amount || 0), 0);
+    const nonCashTendered = tenders
+      .filter(tender => tender.method !== 'cash')
+      .reduce((sum, tender) => sum + parseFloat(tender.amount || 0), 0);
+    const totalTendered = cashTendered + nonCashTendered;
+    const chargeTendered = tenders
+      .filter(tender => tender.method === 'charge')
+      .reduce((sum, tender) => sum + parseFloat(tender.amount || 0), 0);
+    const pointsTendered = tenders
+      .filter(tender => tender.method === 'points')
+      .reduce((sum, tender) => sum + parseFloat(tender.amount || 0), 0);
+    const pointsRedeemed = loyaltySettings ? pointsTendered / loyaltySettings.pointValue : 0;
+    const creditAccount = creditAccounts.find(account => account._id === creditAccountId);
+    const missingReference = tenders.find(tender =>
+      !['cash', 'charge', 'points'].includes(tender.method) && parseFloat(tender.amount || 0) > 0 && !tender.referenceNumber.trim()
+    );
+
+    let error = null;
+    if (nonCashTendered - totals.total > 0.005) {
+      error = 'Non-cash payments cannot exceed the total amount';
+    } else if (totals.total - totalTendered > 0.005) {
+      error = `Payments must be at least ${formatCurrencyDisplay(totals.total)}`;
+    } else if (missingReference) {
+      error = `${getReferenceLabel(missingReference.method)} is required`;
+    } else if (chargeTendered > 0 && !creditAccount) {
+      error = 'Select the credit account to charge';
+    } else if (chargeTendered > 0 && chargeTendered - creditAccount.availableCredit > 0.005) {
+      error = `Charge exceeds the available credit of ${creditAccount.name} (${formatCurrencyDisplay(creditAccount.availableCredit)})`;
+    } else if (pointsTendered > 0 && !customer) {
+      error = 'Select the customer redeeming points';
+    } else if (pointsTendered > 0 && Math.abs(pointsRedeemed - Math.round(pointsRedeemed)) > 1e-6) {
+      error = `Points are redeemed in whole points worth ${formatCurrencyDisplay(loyaltySettings.pointValue)} each`;
+    } else if (pointsTendered > 0 && Math.round(pointsRedeemed) > customer.loyaltyPoints) {
+      error = `${customer.name} has only ${customer.loyaltyPoints} points to redeem`;
+    }
+
     return {
-      subtotal,
-      discount: 0,
-      vat,
-      total
+      cashTendered,
+      nonCashTendered,
+      chargeTendered,
+      pointsTendered,
+      totalTendered,
+      remaining: Math.max(0, totals.total - totalTendered),
+      change: Math.max(0, totalTendered - totals.total),
+      error
     };
   };
 
@@ -131,32 +517,354 @@ const Sales = () => {
       return;
     }
 
-    setIsSubmitting(true);
-    try {
-      const totals = calculateTotal();
-      const saleData = {
-        customerName: data.customerName || undefined,
-        customerPhone: data.contactNumber || undefined,
-        tinNumber: data.tinNumber || undefined,
-        paymentMethod: 'cash',
-        cashRendered: data.cashRendered ? parseFloat(data.cashRendered) : undefined,
-        items: cart.map(item => ({
-          product: item.product._id,
-          quantity: item.quantity
+    const payments = calculatePayments();
+    if (payments.error) {
+      toast.error(payments.error);
+      return;
+    }
+
+    if (statutoryDiscount.type && !statutoryDiscount.idNumber.trim()) {
+      toast.error(`${getStatutoryDiscountLabel(statutoryDiscount.type)} ID number is required`);
+      return;
+    }
+
+    if (delivery.enabled && (!delivery.address.trim() || !delivery.scheduledDate)) {
+      toast.error('Enter the delivery address and date');
+      return;
+    }
+
+    // Register a new customer from the details typed at the counter before ringing up the sale
+    let customerId = customer?._id;
+    if (!customerId && saveCustomer && isOffline) {
+      toast.error('Customers can only be saved while connected. Untick "Save as a new customer" to continue.');
+      return;
+    }
+    if (!customerId && saveCustomer) {
+      if (!data.customerName?.trim()) {
+        toast.error('Enter the customer name to save the customer');
+        return;
+      }
+      try {
+        const response = await axios.post('/customers', {
+          name: data.customerName.trim(),
+          phone: data.contactNumber || undefined,
+          email: data.customerEmail?.trim() || undefined,
+          tinNumber: data.tinNumber || undefined
+        });
+        customerId = response.data.data._id;
+        setCustomer(response.data.data);
+        setSaveCustomer(false);
+      } catch (error) {
+        // Error handled by axios interceptor
+        return;
+      }
+    }
+
+    const totals = calculateTotal();
+    const isStatutory = !!statutoryDiscount.type;
+    const saleData = {
+      // Lets the server recognise this checkout if it is sent again after a timeout or from the offline queue
+      clientReference: createClientReference(),
+      registerId: getRegisterId() || undefined,
+      quotation: quotation?._id,
+      customer: customerId,
+      creditAccount: payments.chargeTendered > 0 ? creditAccountId : undefined,
+      customerName: data.customerName || undefined,
+      customerPhone: data.contactNumber || undefined,
+      customerEmail: data.customerEmail?.trim() || undefined,
+      tinNumber: data.tinNumber || undefined,
+      payments: tenders
+        .filter(tender => parseFloat(tender.amount || 0) > 0)
+        .map(tender => ({
+          method: tender.method,
+          amount: parseFloat(tender.amount),
+          referenceNumber: !['cash', 'charge', 'points'].includes(tender.method) ? tender.referenceNumber.trim() : undefined
         })),
-        subtotal: totals.subtotal,
-        discount: 0,
-        tax: totals.vat,
-        total: totals.total
-      };
+      items: cart.map(item => ({
+        product: item.product._id,
+        quantity: item.quantity,
+        // Checked against the current price when a sale rung up offline is posted
+        price: item.price,
+        overridePrice: item.priceOverride ? item.price : undefined,
+        overrideReason: item.priceOverride?.reason,
+        overrideNote: item.priceOverride?.note || undefined,
+        discount: !isStatutory && parseFloat(item.discount?.value) > 0
+          ? { type: item.discount.type, value: parseFloat(item.discount.value) }
+          : undefined
+      })),
+      saleDiscount: !isStatutory && parseFloat(saleDiscount.value) > 0
+        ? { type: saleDiscount.type, value: parseFloat(saleDiscount.value) }
+        : undefined,
+      statutoryDiscount: isStatutory
+        ? {
+            type: statutoryDiscount.type,
+            idNumber: statutoryDiscount.idNumber.trim(),
+            holderName: statutoryDiscount.holderName.trim() || undefined
+          }
+        : undefined,
+      delivery: delivery.enabled
+        ? {
+            address: delivery.address.trim(),
+            scheduledDate: delivery.scheduledDate,
+            timeSlot: delivery.timeSlot,
+            deliveryFee: totals.deliveryFee,
+            contactName: delivery.contactName.trim() || undefined,
+            contactPhone: delivery.contactPhone.trim() || undefined,
+            vehicle: delivery.vehicle.trim() || undefined,
+            driver: delivery.driver.trim() || undefined,
+            notes: delivery.notes.trim() || undefined
+          }
+        : undefined,
+      subtotal: totals.subtotal,
+      discount: totals.discount,
+      tax: totals.vat,
+      total: totals.total
+    };
+
+    // Price overrides and discounts above the threshold need an admin unless one is at the counter
+    if ((totals.discretionaryPercent > discountThreshold || cart.some(item => item.priceOverride)) && !isAdmin) {
+      setPendingSale(saleData);
+      setShowSaleApprovalModal(true);
+      return;
+    }
 
-      await axios.post('/sales', saleData);
+    await submitSale(saleData);
+  };
+
+  const handleSaleApprovalConfirm = async ({ code, credentials }) => {
+    if (!pendingSale) return;
+    await submitSale(code
+      ? { ...pendingSale, discountApprovalCode: code, priceApprovalCode: code }
+      : { ...pendingSale, approver: credentials });
+  };
+
+  const getSaleApprovalMessage = () => {
+    const totals = calculateTotal();
+    const reasons = [];
+    const overrideCount = cart.filter(item => item.priceOverride).length;
+    if (overrideCount > 0) {
+      reasons.push(`${overrideCount} price override${overrideCount === 1 ? '' : 's'}`);
+    }
+    if (totals.discretionaryPercent > discountThreshold) {
+      reasons.push(`a ${totals.discretionaryPercent.toFixed(2)}% discount, above the ${discountThreshold}% approval threshold`);
+    }
+    return `This sale has ${reasons.join(' and ')}. Please ask an admin to enter the SuperAdmin code or sign in to approve it.`;
+  };
+
+  const submitSale = async (saleData) => {
+    if (!navigator.onLine) {
+      queueOfflineSale(saleData);
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      await axios.post('/sales', saleData, { offlineFallback: true });
       toast.success('Sale processed successfully!');
       setShowModal(false);
+      setShowSaleApprovalModal(false);
+      setPendingSale(null);
       setCart([]);
       reset();
       const voidStatus = activeTab === 'voided' ? true : false;
       fetchSales(voidStatus);
+      fetchProducts();
+      fetchReservations();
+      if (saleData.creditAccount) {
+        fetchCreditAccounts();
+      }
+    } catch (error) {
+      // The server could not be reached; the checkout reference keeps a sale that did get through from posting twice
+      if (isNetworkError(error)) {
+        queueOfflineSale(saleData);
+        return;
+      }
+      // Error handled by axios interceptor; on a stock conflict refresh availability so the cart can be fixed
+      if (error.response?.status === 409) {
+        fetchProducts();
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const queueOfflineSale = (saleData) => {
+    setIsOffline(true);
+    const offlineError = getOfflineSaleError(saleData);
+    if (offlineError) {
+      toast.error(`Cannot reach the server. ${offlineError}.`);
+      return;
+    }
+
+    const productNames = new Map(cart.map(item => [item.product._id, item.product.name]));
+    setOfflineSales(queueSale(saleData, saleData.items.map(item => ({
+      name: productNames.get(item.product),
+      quantity: item.quantity
+    }))));
+
+    // Take the sold quantities off the cached catalog so later offline sales see what is left
+    const soldQuantities = new Map(saleData.items.map(item => [item.product, item.quantity]));
+    const remainingProducts = products.map(product => (soldQuantities.has(product._id)
+      ? { ...product, stockQuantity: Math.max(0, product.stockQuantity - soldQuantities.get(product._id)) }
+      : product));
+    setProducts(remainingProducts);
+    updateOfflineCache('products', prepareCatalog(remainingProducts));
+
+    toast.warning('Offline: the sale was saved on this register and will be posted when the connection returns');
+    setShowModal(false);
+    setShowSaleApprovalModal(false);
+    setPendingSale(null);
+    setCart([]);
+    reset();
+  };
+
+  const refreshAfterSync = () => {
+    setOfflineSales(getQueuedSales());
+    fetchSales(activeTabRef.current === 'voided');
+    fetchProducts();
+  };
+
+  const handleSync = async () => {
+    if (!navigator.onLine) return;
+    setIsSyncing(true);
+    try {
+      const result = await syncQueuedSales();
+      setIsOffline(result.offline);
+      if (result.posted > 0) {
+        toast.success(`Posted ${result.posted} offline sale(s)`);
+      }
+      if (result.held > 0) {
+        toast.warning(`${result.held} offline sale(s) need a supervisor. Open Offline Sales to resolve them.`);
+      }
+      if (result.posted > 0 || result.held > 0) {
+        refreshAfterSync();
+      } else {
+        setOfflineSales(getQueuedSales());
+      }
+    } finally {
+      setIsSyncing(false);
+    }
+  };
+
+  const postOfflineSale = async (entry, extra = {}) => {
+    setIsSyncing(true);
+    try {
+      const result = await postQueuedSale(entry, extra);
+      if (result.status === 'posted') {
+        toast.success(`Offline sale posted as ${result.sale.saleNumber}`);
+        setSupervisorAction(null);
+      } else if (result.status === 'offline') {
+        setIsOffline(true);
+        toast.error('Still offline. The sale stays in the queue.');
+      }
+      refreshAfterSync();
+    } finally {
+      setIsSyncing(false);
+    }
+  };
+
+  // Posting at the offline prices or dropping a sale that was already paid for is a supervisor's call
+  const handleSupervisorAction = (type, entry) => {
+    if (isAdmin && type === 'approve') {
+      postOfflineSale(entry, { honourOfflinePrices: true });
+      return;
+    }
+    setSupervisorAction({ type, entry });
+  };
+
+  const handleSupervisorConfirm = async (code) => {
+    const { type, entry } = supervisorAction;
+    if (type === 'approve') {
+      await postOfflineSale(entry, { honourOfflinePrices: true, priceApprovalCode: code, discountApprovalCode: code });
+      return;
+    }
+
+    setIsSyncing(true);
+    try {
+      if (!isAdmin) {
+        await axios.post('/settings/verify-code', { code });
+      }
+      setOfflineSales(removeQueuedSale(entry.clientReference));
+      toast.success('Offline sale discarded');
+      setSupervisorAction(null);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSyncing(false);
+    }
+  };
+
+  // Layaways are priced like a held cart: overrides, statutory discounts and delivery belong to the final sale
+  const getLayawayBlocker = () => {
+    if (isOffline) return 'Layaways can only be opened while connected';
+    if (cart.some(item => item.priceOverride)) return 'Remove the price overrides to put this cart on layaway';
+    if (statutoryDiscount.type) return 'Statutory discounts cannot be applied to a layaway';
+    if (delivery.enabled) return 'Untick delivery to put this cart on layaway';
+    return null;
+  };
+
+  const handleLayawayClick = () => {
+    const blocker = getLayawayBlocker();
+    if (blocker) {
+      toast.error(blocker);
+      return;
+    }
+    if (!getValues('customerName')?.trim()) {
+      toast.error('Enter the customer name to open a layaway');
+      return;
+    }
+    setShowLayawayModal(true);
+  };
+
+  const handleLayawayConfirm = async ({ payment, deadline, notes }) => {
+    const customerDetails = getValues();
+    const layawayData = {
+      registerId: getRegisterId() || undefined,
+      customer: customer?._id,
+      customerName: customerDetails.customerName.trim(),
+      customerPhone: customerDetails.contactNumber || undefined,
+      customerEmail: customerDetails.customerEmail?.trim() || undefined,
+      tinNumber: customerDetails.tinNumber || undefined,
+      items: cart.map(item => ({
+        product: item.product._id,
+        quantity: item.quantity,
+        discount: parseFloat(item.discount?.value) > 0
+          ? { type: item.discount.type, value: parseFloat(item.discount.value) }
+          : undefined
+      })),
+      saleDiscount: parseFloat(saleDiscount.value) > 0
+        ? { type: saleDiscount.type, value: parseFloat(saleDiscount.value) }
+        : undefined,
+      payments: [payment],
+      deadline,
+      notes
+    };
+
+    if (calculateTotal().discretionaryPercent > discountThreshold && !isAdmin) {
+      setPendingLayaway(layawayData);
+      return;
+    }
+
+    await submitLayaway(layawayData);
+  };
+
+  const handleLayawayApprovalConfirm = async ({ code, credentials }) => {
+    if (!pendingLayaway) return;
+    await submitLayaway(code
+      ? { ...pendingLayaway, discountApprovalCode: code }
+      : { ...pendingLayaway, approver: credentials });
+  };
+
+  const submitLayaway = async (layawayData) => {
+    setIsSubmitting(true);
+    try {
+      const response = await axios.post('/layaways', layawayData);
+      toast.success(response.data.message);
+      setShowLayawayModal(false);
+      setPendingLayaway(null);
+      setShowModal(false);
+      reset();
+      fetchProducts();
     } catch (error) {
       // Error handled by axios interceptor
     } finally {
@@ -164,6 +872,147 @@ const Sales = () => {
     }
   };
 
+  const handleHoldCart = async ({ label, reserveStock }) => {
+    const isStatutory = !!statutoryDiscount.type;
+    const customerDetails = getValues();
+    setIsHolding(true);
+    try {
+      await axios.post('/held-carts', {
+        label,
+        reserveStock,
+        registerId: getRegisterId() || undefined,
+        items: cart.map(item => ({
+          product: item.product._id,
+          quantity: item.quantity,
+          discount: !isStatutory && parseFloat(item.discount?.value) > 0
+            ? { type: item.discount.type, value: parseFloat(item.discount.value) }
+            : undefined
+        })),
+        saleDiscount: !isStatutory && parseFloat(saleDiscount.value) > 0
+          ? { type: saleDiscount.type, value: parseFloat(saleDiscount.value) }
+          : undefined,
+        statutoryDiscount: isStatutory ? statutoryDiscount : undefined,
+        customer: customer?._id,
+        customerName: customerDetails.customerName || undefined,
+        customerPhone: customerDetails.contactNumber || undefined,
+        tinNumber: customerDetails.tinNumber || undefined
+      });
+      toast.success(`Cart "${label}" is on hold`);
+      setShowHoldCartModal(false);
+      setShowModal(false);
+      reset();
+      fetchReservations();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsHolding(false);
+    }
+  };
+
+  const handleOpenHeldCarts = () => {
+    fetchHeldCarts();
+    setShowHeldCartsModal(true);
+  };
+
+  const handleResumeHeldCart = async (heldCart) => {
+    if (!ensureOpenShift()) return;
+    setIsHolding(true);
+    try {
+      const response = await axios.post(`/held-carts/${heldCart._id}/resume`);
+      const resumed = response.data.data;
+
+      // Reprice at current prices; products deleted or deactivated since the cart was held are dropped
+      const resumedItems = resumed.items.filter(item => item.product?.isActive);
+      if (resumedItems.length < resumed.items.length) {
+        toast.warning('Some products in the held cart are no longer available and were removed');
+      }
+
+      reset();
+      const resumedCustomer = resumed.customer?.isActive ? resumed.customer : null;
+      setCart(resumedItems.map(item => ({
+        product: item.product,
+        quantity: item.quantity,
+        ...resolveLinePrice(item.product, item.quantity, resumedCustomer?.customerType, getCustomerPriceList(resumedCustomer)),
+        taxClass: item.product.taxClass || 'vatable',
+        discount: item.discount?.value ? { type: item.discount.type, value: item.discount.value } : EMPTY_DISCOUNT
+      })));
+      setSaleDiscount(resumed.saleDiscount?.value ? { type: resumed.saleDiscount.type, value: resumed.saleDiscount.value } : EMPTY_DISCOUNT);
+      setStatutoryDiscount(resumed.statutoryDiscount?.type
+        ? {
+            type: resumed.statutoryDiscount.type,
+            idNumber: resumed.statutoryDiscount.idNumber || '',
+            holderName: resumed.statutoryDiscount.holderName || ''
+          }
+        : EMPTY_STATUTORY_DISCOUNT);
+      setValue('customerName', resumed.customerName || '');
+      setValue('contactNumber', resumed.customerPhone || '');
+      setValue('tinNumber', resumed.tinNumber || '');
+      setCustomer(resumedCustomer);
+
+      setShowHeldCartsModal(false);
+      setShowModal(true);
+      fetchProducts();
+      fetchReservations();
+    } catch (error) {
+      // Error handled by axios interceptor; the cart may have been resumed on another register
+      fetchHeldCarts();
+    } finally {
+      setIsHolding(false);
+    }
+  };
+
+  const handleDiscardHeldCart = async (heldCart) => {
+    setIsHolding(true);
+    try {
+      await axios.delete(`/held-carts/${heldCart._id}`);
+      toast.success(`Held cart "${heldCart.label}" has been discarded`);
+      fetchHeldCarts();
+      fetchReservations();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsHolding(false);
+    }
+  };
+
+  // Load an accepted quotation into the cart at its locked prices; its lines and discounts cannot be changed
+  const loadQuotation = async (quotationId) => {
+    try {
+      const response = await axios.get(`/quotations/${quotationId}`);
+      const quote = response.data.data;
+      if (quote.status !== 'accepted') {
+        toast.error(`Quotation ${quote.quotationNumber} is ${quote.status} and cannot be converted`);
+        return;
+      }
+      if (quote.items.some(item => !item.product?.isActive)) {
+        toast.error(`Some products in quotation ${quote.quotationNumber} are no longer available`);
+        return;
+      }
+
+      reset();
+      setQuotation(quote);
+      setCart(quote.items.map(item => ({
+        product: item.product,
+        quantity: item.quantity,
+        price: item.price,
+        priceTier: item.priceTier,
+        priceList: item.priceList,
+        taxClass: item.taxClass || 'vatable',
+        discount: item.discountType ? { type: item.discountType, value: item.discountValue } : EMPTY_DISCOUNT
+      })));
+      setSaleDiscount(quote.saleDiscount?.value ? { type: quote.saleDiscount.type, value: quote.saleDiscount.value } : EMPTY_DISCOUNT);
+      setValue('customerName', quote.customerName || '');
+      setValue('contactNumber', quote.customerPhone || '');
+      setValue('customerEmail', quote.customerEmail || '');
+      setValue('tinNumber', quote.tinNumber || '');
+      setCustomer(quote.customer?.isActive ? quote.customer : null);
+      setCurrentStep(2);
+      setShowModal(true);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
   const handleNextStep = () => {
     if (cart.length === 0) {
       toast.error('Please add items to cart before proceeding');
@@ -176,29 +1025,58 @@ const Sales = () => {
     setCurrentStep(1);
   };
 
-  const calculateChange = () => {
-    const totals = calculateTotal();
-    const cashRendered = parseFloat(watch('cashRendered') || 0);
-    if (cashRendered > 0) {
-      return Math.max(0, cashRendered - totals.total);
-    }
-    return 0;
-  };
-
   const reset = () => {
     setCart([]);
     setProductSearchQuery('');
     setCurrentStep(1);
     setValue('customerName', '');
     setValue('contactNumber', '');
+    setValue('customerEmail', '');
+    setValue('tinNumber', '');
+    setTenders([EMPTY_TENDER]);
+    setSaleDiscount(EMPTY_DISCOUNT);
+    setStatutoryDiscount(EMPTY_STATUTORY_DISCOUNT);
+    setDelivery(EMPTY_DELIVERY);
+    setQuotation(null);
+    setCreditAccountId('');
+    setCustomer(null);
+    setSaveCustomer(false);
+  };
+
+  // Fill the receipt details from the customer record; they can still be edited for this sale
+  const handleSelectCustomer = (selected) => {
+    setCustomer(selected);
+    setCart(cart.map(item => priceCartLine(item, selected)));
+    setSaveCustomer(false);
+    setValue('customerName', selected.name);
+    setValue('contactNumber', selected.phone || '');
+    setValue('customerEmail', selected.email || '');
+    setValue('tinNumber', selected.tinNumber || '');
+  };
+
+  const handleClearCustomer = () => {
+    setCustomer(null);
+    setCart(cart.map(item => priceCartLine(item, null)));
+    setValue('customerName', '');
+    setValue('contactNumber', '');
+    setValue('customerEmail', '');
     setValue('tinNumber', '');
-    setValue('paymentMethod', 'cash');
-    setValue('cashRendered', '');
   };
 
-  const handleReturnItemClick = (sale) => {
+  const handleReturnItemClick = async (sale) => {
     setSaleToVoid(sale);
+    setReturnCustomer(null);
     setReturnRequestModal(true);
+
+    // Replacements are priced for the sale's customer type and price list
+    if (sale.customer) {
+      try {
+        const response = await axios.get(`/customers/${sale.customer._id || sale.customer}`);
+        setReturnCustomer(response.data.data);
+      } catch (error) {
+        // Error handled by axios interceptor
+      }
+    }
   }
 
   const handleReturnRequestConfirm = async ({ returnItems, replacementItems, reason, cashRendered }) => {
@@ -207,96 +1085,62 @@ const Sales = () => {
       return;
     }
 
-    if (!cashRendered || cashRendered <= 0) {
-      toast.error('Cash rendered is required');
-      return;
-    }
-
     setIsVoiding(true);
 
     try {
-      // 1. Send void request for the original sale
-      await axios.post(`/sales/${saleToVoid._id}/void-request`, { voidRequestReason: reason });
-
-      // 2. Build new sale items: remaining items from original sale + replacement items
-      const remainingItems = (saleToVoid.items || []).reduce((acc, item) => {
-        const returned = returnItems.find(r => r.productId === item.product._id);
-        const returnQty = returned ? returned.returnQty : 0;
-        const remainingQty = item.quantity - returnQty;
-
-        if (remainingQty > 0) {
-          acc.push({
-            product: item.product._id,
-            quantity: remainingQty,
-            price: item.price,
-          });
-        }
-
-        return acc;
-      }, []);
-
-      const replacementSaleItems = (replacementItems || []).map(item => ({
-        product: item.product._id,
-        quantity: item.quantity,
-        price: item.price,
-      }));
-      // 3. NEW MERGE LOGIC — combines items with same product
-      const mergeMap = new Map();
-
-      [...remainingItems, ...replacementSaleItems].forEach(item => {
-        const key = item.product;
-
-        if (!mergeMap.has(key)) {
-          mergeMap.set(key, { ...item });
-        } else {
-          const existing = mergeMap.get(key);
+      const returnData = {
+        returnItems: returnItems.map(item => ({
+          product: item.productId,
+          quantity: item.returnQty
+        })),
+        replacementItems: (replacementItems || []).map(item => ({
+          product: item.product._id,
+          quantity: item.quantity
+        })),
+        reason,
+        cashRendered: cashRendered || undefined
+      };
 
-          mergeMap.set(key, {
-            ...existing,
-            quantity: existing.quantity + item.quantity,
+      const response = await axios.post(`/sales/${saleToVoid._id}/returns`, returnData);
+      toast.success(response.data.message || 'Return processed successfully');
+      setReturnRequestModal(false);
+      setSaleToVoid(null);
+      fetchSales(false);
+      fetchProducts();
+      downloadReturnSlip(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsVoiding(false);
+    }
+  };
 
-            // Optional: Ensure unit price stays consistent or choose the latest
-            price: item.price ?? existing.price,
-          });
-        }
-      });
+  // Admins approve their own line voids; staff need an admin to approve on their screen
+  const handleVoidLinesConfirm = async (lineVoid) => {
+    if (!saleToAdjust) return;
+    if (!isAdmin) {
+      setPendingLineVoid(lineVoid);
+      return;
+    }
+    await submitLineVoid(lineVoid);
+  };
 
-      // Final Combined Items
-      const combinedItems = Array.from(mergeMap.values());
-
-      if (combinedItems.length > 0) {
-        // Compute totals based on the combined items
-        const subtotal = combinedItems.reduce(
-          (sum, item) => sum + (item.price * item.quantity),
-          0
-        );
-        const vatRate = 0.12;
-        const vat = subtotal * vatRate;
-        const total = subtotal + vat;
-
-        const saleData = {
-          customerName: saleToVoid.customerName || undefined,
-          customerPhone: saleToVoid.customerPhone || undefined,
-          tinNumber: saleToVoid.tinNumber || undefined,
-          paymentMethod: 'cash',
-          cashRendered,
-          items: combinedItems.map(item => ({
-            product: item.product,
-            quantity: item.quantity,
-          })),
-          subtotal,
-          discount: 0,
-          tax: vat,
-          total,
-        };
-
-        await axios.post('/sales', saleData);
-      }
+  const handleLineVoidApprovalConfirm = async ({ code, credentials }) => {
+    if (!pendingLineVoid) return;
+    await submitLineVoid(code
+      ? { ...pendingLineVoid, approvalCode: code }
+      : { ...pendingLineVoid, approver: credentials });
+  };
 
-      toast.success('Return request submitted successfully. A void request has been sent and a new sale has been created for remaining/replacement items.');
-      setReturnRequestModal(false);
-      setSaleToVoid(null);
+  const submitLineVoid = async (lineVoid) => {
+    setIsVoiding(true);
+    try {
+      const response = await axios.post(`/sales/${saleToAdjust._id}/void-lines`, lineVoid);
+      toast.success(response.data.message || 'Lines voided successfully');
+      setPendingLineVoid(null);
+      setSaleToAdjust(null);
       fetchSales(false);
+      fetchProducts();
     } catch (error) {
       // Error handled by axios interceptor
     } finally {
@@ -304,6 +1148,26 @@ const Sales = () => {
     }
   };
 
+  const downloadReturnSlip = async (saleReturn) => {
+    try {
+      const response = await axios.get(`/sales/returns/${saleReturn._id}/pdf`, {
+        responseType: 'blob',
+      });
+
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `Return_${saleReturn.returnNumber}_${new Date().toISOString().split('T')[0]}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error generating return slip:', error);
+      toast.error('Failed to download the return slip. Please try again.');
+    }
+  };
+
   const handleVoidClick = (sale) => {
     setSaleToVoid(sale);
     if (isStaff) {
@@ -355,6 +1219,22 @@ const Sales = () => {
     }
   };
 
+  const handleRejectVoidConfirm = async (comment) => {
+    if (!saleToReject || !comment.trim()) return;
+
+    setIsVoiding(true);
+    try {
+      await axios.patch(`/sales/${saleToReject._id}/void-request/reject`, { comment: comment.trim() });
+      toast.success('Void request rejected');
+      setSaleToReject(null);
+      fetchVoidRequests();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsVoiding(false);
+    }
+  };
+
   const handleVoidConfirm = async () => {
     // This is now handled by handleCodeConfirm
     // Keeping for backward compatibility but should not be called
@@ -380,6 +1260,7 @@ const Sales = () => {
       // Fetch full sale details with populated product data
       const response = await axios.get(`/sales/${sale._id}`);
       setSelectedSale(response.data.data);
+      setReceiptEmail(response.data.data.customerEmail || '');
       setShowReceiptModal(true);
     } catch (error) {
       // Error handled by axios interceptor
@@ -412,10 +1293,48 @@ const Sales = () => {
       link.remove();
       window.URL.revokeObjectURL(url);
 
-      toast.success('Receipt exported to PDF successfully');
+      toast.success('Receipt exported to PDF successfully');
+    } catch (error) {
+      console.error('Error generating PDF:', error);
+      toast.error('Failed to export PDF. Please try again.');
+    }
+  };
+
+  const printReceipt = async () => {
+    if (!selectedSale) {
+      toast.error('No receipt data available');
+      return;
+    }
+
+    setIsPrintingReceipt(true);
+    try {
+      const response = await axios.post(`/sales/${selectedSale._id}/print`);
+      toast.success(response.data.message);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsPrintingReceipt(false);
+    }
+  };
+
+  const handleEmailReceipt = async () => {
+    const email = receiptEmail.trim();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      toast.error('Please provide a valid email');
+      return;
+    }
+
+    setIsSendingEmail(true);
+    try {
+      const response = await axios.post(`/sales/${selectedSale._id}/email`, { email });
+      toast.success(response.data.message);
     } catch (error) {
-      console.error('Error generating PDF:', error);
-      toast.error('Failed to export PDF. Please try again.');
+      // Error handled by axios interceptor
+    } finally {
+      setIsSendingEmail(false);
+      // Failed attempts are logged too, so refresh the delivery log either way
+      const refreshed = await axios.get(`/sales/${selectedSale._id}`).catch(() => null);
+      if (refreshed) setSelectedSale(refreshed.data.data);
     }
   };
 
@@ -423,25 +1342,52 @@ const Sales = () => {
     return <div className="text-center">Loading...</div>;
   }
 
+  const taxConfig = getTaxConfig(taxSettings);
   const totals = calculateTotal();
+  const payments = calculatePayments();
 
   return (
     <div>
       <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6 sm:mb-8">
         <h1 className="text-2xl sm:text-3xl font-bold">Sales</h1>
         {(isStaff || isAdmin) && (
-          <button
-            onClick={() => {
-              reset();
-              setShowModal(true);
-            }}
-            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 w-full sm:w-auto"
-          >
-            New Sale
-          </button>
+          <div className="flex flex-col sm:flex-row gap-2 w-full sm:w-auto">
+            {offlineSales.length > 0 && (
+              <button
+                onClick={() => setShowOfflineSalesModal(true)}
+                className="bg-white border border-orange-500 text-orange-600 px-4 py-2 rounded-lg hover:bg-orange-50 w-full sm:w-auto"
+              >
+                Offline Sales ({offlineSales.length})
+              </button>
+            )}
+            <button
+              onClick={handleOpenHeldCarts}
+              className="bg-white border border-blue-600 text-blue-600 px-4 py-2 rounded-lg hover:bg-blue-50 w-full sm:w-auto"
+            >
+              Held Carts
+            </button>
+            <button
+              onClick={() => {
+                if (!ensureOpenShift()) return;
+                reset();
+                setShowModal(true);
+              }}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 w-full sm:w-auto"
+            >
+              New Sale
+            </button>
+          </div>
         )}
       </div>
 
+      {isOffline && (
+        <div className="mb-6 p-4 bg-orange-50 border border-orange-200 rounded-lg text-sm text-orange-800">
+          <strong>Offline.</strong> Sales are saved on this register using the last downloaded products and prices,
+          and posted automatically when the connection returns.
+          {offlineSales.length > 0 && ` ${offlineSales.length} sale(s) waiting.`}
+        </div>
+      )}
+
       {/* Tabs */}
       <div className="mb-6 border-b border-gray-200">
         <nav className="flex space-x-8" aria-label="Tabs">
@@ -518,7 +1464,7 @@ const Sales = () => {
                       )}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap font-semibold">{formatCurrencyDisplay(sale.total)}</td>
-                    <td className="px-6 py-4 whitespace-nowrap capitalize">{sale.paymentMethod}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">{formatPaymentMethod(sale.paymentMethod)}</td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       {sale.isVoid ? (
                         <span className="px-2 py-1 text-xs font-semibold rounded-full bg-red-100 text-red-800">
@@ -528,6 +1474,10 @@ const Sales = () => {
                         <span className="px-2 py-1 text-xs font-semibold rounded-full bg-yellow-100 text-yellow-800">
                           Pending Void
                         </span>
+                      ) : sale.voidRequestStatus === 'rejected' ? (
+                        <span className="px-2 py-1 text-xs font-semibold rounded-full bg-orange-100 text-orange-800">
+                          Void Rejected
+                        </span>
                       ) : (
                         <span className="px-2 py-1 text-xs font-semibold rounded-full bg-green-100 text-green-800">
                           Active
@@ -566,6 +1516,16 @@ const Sales = () => {
                             />
                           </svg>
                         </button>
+                        {sale.voidRequestStatus && (
+                          <button
+                            onClick={() => setVoidHistorySale(sale)}
+                            className="p-2 text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded transition-colors"
+                            title="Void Request History"
+                            aria-label="Void Request History"
+                          >
+                            <FiClock />
+                          </button>
+                        )}
                         {!sale.isVoid && (
                           <>
                             {(isStaff || isAdmin) && sale.voidRequestStatus !== 'pending' && (
@@ -573,11 +1533,19 @@ const Sales = () => {
                                 <button
                                   onClick={() => handleReturnItemClick(sale)}
                                   className="p-2 text-red-600 hover:text-red-800 hover:bg-red-50 rounded transition-colors"
-                                  title="Return item"
-                                  aria-label="Return item"
+                                  title="Return or exchange items"
+                                  aria-label="Return or exchange items"
                                 >
                                   <FiRotateCcw />
                                 </button>
+                                <button
+                                  onClick={() => setSaleToAdjust(sale)}
+                                  className="p-2 text-red-600 hover:text-red-800 hover:bg-red-50 rounded transition-colors"
+                                  title="Void lines"
+                                  aria-label="Void lines"
+                                >
+                                  <FiMinusCircle />
+                                </button>
                                 <button
                                   onClick={() => handleVoidClick(sale)}
                                   className="p-2 text-red-600 hover:text-red-800 hover:bg-red-50 rounded transition-colors"
@@ -602,6 +1570,16 @@ const Sales = () => {
 
                               </>
                             )}
+                            {isAdmin && sale.voidRequestStatus === 'pending' && (
+                              <button
+                                onClick={() => setSaleToReject(sale)}
+                                className="p-2 text-red-600 hover:text-red-800 hover:bg-red-50 rounded transition-colors"
+                                title="Reject Void Request"
+                                aria-label="Reject Void Request"
+                              >
+                                <FiSlash />
+                              </button>
+                            )}
                             {isAdmin && sale.voidRequestStatus === 'pending' && (
                               <button
                                 onClick={() => handleVoidClick(sale)}
@@ -694,27 +1672,33 @@ const Sales = () => {
                 <div className="space-y-4">
                   <div className="border rounded-lg p-4">
                     <h3 className="font-semibold mb-2">Add Products</h3>
+                    <div className="mb-3">
+                      <input
+                        ref={scanInputRef}
+                        type="text"
+                        value={scanCode}
+                        onChange={(e) => setScanCode(e.target.value)}
+                        onKeyDown={(e) => e.key === 'Enter' && handleScan(e)}
+                        autoFocus
+                        placeholder="Scan barcode or enter SKU, then press Enter"
+                        className="w-full px-3 py-2 border rounded-lg font-mono focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                    </div>
                     <div className="mb-3">
                       <input
                         type="text"
                         value={productSearchQuery}
                         onChange={(e) => setProductSearchQuery(e.target.value)}
-                        placeholder="Search products..."
+                        placeholder="Search products by name, SKU or barcode..."
                         className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                       />
                     </div>
                     <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2 max-h-40 overflow-y-auto">
                       {products
-                        .filter(p => p.stockQuantity > 0)
-                        .filter(p =>
-                          productSearchQuery === '' ||
-                          p.name.toLowerCase().includes(productSearchQuery.toLowerCase())
-                        )
+                        .filter(p => getAvailableStock(p) > 0)
+                        .filter(p => productSearchQuery === '' || matchesProductSearch(p))
                         .map((product) => {
-                          // Calculate selling price: base price + (base price * markup percentage / 100)
-                          const basePrice = product.price || 0;
-                          const markupPercentage = product.markupPercentage || 0;
-                          const sellingPrice = basePrice + (basePrice * (markupPercentage / 100));
+                          const sellingPrice = getSellingPrice(product);
                           return (
                             <button
                               key={product._id}
@@ -723,16 +1707,22 @@ const Sales = () => {
                               className="text-left p-2 border rounded hover:bg-gray-50"
                             >
                               <div className="font-semibold">{product.name}</div>
-                              <div className="text-sm text-gray-600">{formatCurrencyDisplay(sellingPrice)}</div>
-                              <div className="text-xs text-gray-500">Stock: {product.stockQuantity}</div>
+                              <div className="text-sm text-gray-600">
+                                {formatCurrencyDisplay(sellingPrice)}
+                                {product.priceTiers?.length > 0 && (
+                                  <span className="ml-1 text-xs text-green-700">· Bulk prices</span>
+                                )}
+                              </div>
+                              <div className="text-xs text-gray-500">
+                                Stock: {getAvailableStock(product)}
+                                {reservations[product._id] > 0 && ` (${reservations[product._id]} held)`}
+                              </div>
                             </button>
                           );
                         })}
                       {productSearchQuery !== '' && products
-                        .filter(p => p.stockQuantity > 0)
-                        .filter(p =>
-                          p.name.toLowerCase().includes(productSearchQuery.toLowerCase())
-                        ).length === 0 && (
+                        .filter(p => getAvailableStock(p) > 0)
+                        .filter(matchesProductSearch).length === 0 && (
                           <div className="col-span-full text-center text-gray-500 py-4">
                             No products found matching "{productSearchQuery}"
                           </div>
@@ -747,10 +1737,69 @@ const Sales = () => {
                     ) : (
                       <div className="space-y-2">
                         {cart.map((item) => (
-                          <div key={item.product._id} className="flex items-center justify-between p-2 bg-gray-50 rounded">
+                          <div key={item.product._id} className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 p-2 bg-gray-50 rounded">
                             <div>
                               <div className="font-semibold">{item.product.name}</div>
-                              <div className="text-sm text-gray-600">{formatCurrencyDisplay(item.price)} each</div>
+                              <div className="text-sm text-gray-600">
+                                {item.priceOverride && (
+                                  <span className="line-through text-gray-400 mr-1">{formatCurrencyDisplay(item.priceOverride.originalPrice)}</span>
+                                )}
+                                {item.priceTier && (
+                                  <span className="line-through text-gray-400 mr-1">{formatCurrencyDisplay(item.priceTier.listPrice)}</span>
+                                )}
+                                {item.priceList && (
+                                  <span className="line-through text-gray-400 mr-1">{formatCurrencyDisplay(item.priceList.listPrice)}</span>
+                                )}
+                                {formatCurrencyDisplay(item.price)} each
+                                {!quotation && (
+                                  <button
+                                    type="button"
+                                    onClick={() => setOverrideItem(item)}
+                                    className="ml-2 text-xs text-blue-600 hover:underline"
+                                  >
+                                    {item.priceOverride ? 'Edit override' : 'Override price'}
+                                  </button>
+                                )}
+                              </div>
+                              {item.priceOverride && (
+                                <div className="text-xs text-orange-600">
+                                  Override: {getPriceOverrideReasonLabel(item.priceOverride.reason)}
+                                  {item.priceOverride.note && ` · ${item.priceOverride.note}`}
+                                </div>
+                              )}
+                              {item.priceTier && (
+                                <div className="text-xs text-green-700">
+                                  {getPriceTierLabel(item.priceTier)}
+                                </div>
+                              )}
+                              {item.priceList && (
+                                <div className="text-xs text-green-700">
+                                  {item.priceList.name} price
+                                </div>
+                              )}
+                              {!statutoryDiscount.type && (
+                                <div className="flex items-center gap-1 mt-1">
+                                  <span className="text-xs text-gray-500">Discount</span>
+                                  <select
+                                    value={item.discount?.type || 'percent'}
+                                    onChange={(e) => updateCartDiscount(item.product._id, 'type', e.target.value)}
+                                    className="px-1 py-0.5 text-xs border rounded"
+                                  >
+                                    {DISCOUNT_TYPES.map((type) => (
+                                      <option key={type.value} value={type.value}>{type.label}</option>
+                                    ))}
+                                  </select>
+                                  <input
+                                    type="number"
+                                    step="0.01"
+                                    min={0}
+                                    value={item.discount?.value ?? ''}
+                                    onChange={(e) => updateCartDiscount(item.product._id, 'value', e.target.value)}
+                                    className="w-20 px-1 py-0.5 text-xs border rounded"
+                                    placeholder="0"
+                                  />
+                                </div>
+                              )}
                             </div>
                             <div className="flex items-center space-x-2">
                               <button
@@ -764,7 +1813,7 @@ const Sales = () => {
                               <button
                                 type="button"
                                 onClick={() => updateCartQuantity(item.product._id, item.quantity + 1)}
-                                disabled={item.quantity >= item.product.stockQuantity}
+                                disabled={item.quantity >= getAvailableStock(item.product)}
                                 className="px-2 py-1 bg-gray-200 rounded disabled:opacity-50"
                               >
                                 +
@@ -778,12 +1827,98 @@ const Sales = () => {
                       </div>
                     )}
                   </div>
+
+                  {cart.length > 0 && (
+                    <div className="border rounded-lg p-4 space-y-3">
+                      <h3 className="font-semibold">Discounts</h3>
+                      <div>
+                        <label className="block text-sm font-medium mb-1">Senior Citizen / PWD</label>
+                        <select
+                          value={statutoryDiscount.type}
+                          onChange={(e) => setStatutoryDiscount({ ...statutoryDiscount, type: e.target.value })}
+                          className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        >
+                          <option value="">None</option>
+                          {STATUTORY_DISCOUNTS.map((discount) => (
+                            <option key={discount.value} value={discount.value}>{discount.label}</option>
+                          ))}
+                        </select>
+                      </div>
+                      {statutoryDiscount.type ? (
+                        <>
+                          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                            <input
+                              type="text"
+                              value={statutoryDiscount.idNumber}
+                              onChange={(e) => setStatutoryDiscount({ ...statutoryDiscount, idNumber: e.target.value })}
+                              className="px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                              placeholder={`${getStatutoryDiscountLabel(statutoryDiscount.type)} ID Number *`}
+                            />
+                            <input
+                              type="text"
+                              value={statutoryDiscount.holderName}
+                              onChange={(e) => setStatutoryDiscount({ ...statutoryDiscount, holderName: e.target.value })}
+                              className="px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                              placeholder="Name on ID"
+                            />
+                          </div>
+                          <p className="text-xs text-gray-500">
+                            VAT-exempt with a 20% discount. Cannot be combined with other discounts.
+                          </p>
+                        </>
+                      ) : (
+                        <div>
+                          <label className="block text-sm font-medium mb-1">Whole-Sale Discount</label>
+                          <div className="flex gap-2">
+                            <select
+                              value={saleDiscount.type}
+                              onChange={(e) => setSaleDiscount({ ...saleDiscount, type: e.target.value })}
+                              className="px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                            >
+                              {DISCOUNT_TYPES.map((type) => (
+                                <option key={type.value} value={type.value}>{type.label}</option>
+                              ))}
+                            </select>
+                            <input
+                              type="number"
+                              step="0.01"
+                              min={0}
+                              value={saleDiscount.value}
+                              onChange={(e) => setSaleDiscount({ ...saleDiscount, value: e.target.value })}
+                              className="flex-1 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                              placeholder="0"
+                            />
+                          </div>
+                          {totals.discretionaryPercent > discountThreshold && !isAdmin && (
+                            <p className="text-xs text-orange-600 mt-2">
+                              Discounts above {discountThreshold}% require admin approval.
+                            </p>
+                          )}
+                        </div>
+                      )}
+                    </div>
+                  )}
                 </div>
               )}
 
               {/* Step 2: Customer Info */}
               {currentStep === 2 && (
                 <div className="space-y-4">
+                  {quotation && (
+                    <div className="p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-800">
+                      Converting quotation {quotation.quotationNumber}: {cart.length} item(s) at the quoted prices,
+                      total {formatCurrencyDisplay(quotation.total)}. Valid until {formatDate(quotation.validUntil)}.
+                    </div>
+                  )}
+                  <div>
+                    <label className="block text-sm font-medium mb-1">Customer (Optional)</label>
+                    <CustomerLookup
+                      customer={customer}
+                      onSelect={handleSelectCustomer}
+                      onClear={handleClearCustomer}
+                      showPoints={!!loyaltySettings?.enabled}
+                    />
+                  </div>
                   <div>
                     <label className="block text-sm font-medium mb-1">Customer Name (Optional)</label>
                     <input
@@ -803,37 +1938,213 @@ const Sales = () => {
                     />
                   </div>
                   <div>
-                    <label className="block text-sm font-medium mb-1">TIN Number (Optional)</label>
+                    <label className="block text-sm font-medium mb-1">Email (Optional)</label>
                     <input
-                      {...register('tinNumber')}
-                      type="text"
+                      {...register('customerEmail', {
+                        pattern: { value: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, message: 'Please provide a valid email' }
+                      })}
+                      type="email"
                       className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                      placeholder="Enter TIN number"
+                      placeholder="Receipt is emailed when the sale is completed"
                     />
+                    {errors.customerEmail && (
+                      <p className="text-red-500 text-sm mt-1">{errors.customerEmail.message}</p>
+                    )}
                   </div>
                   <div>
-                    <label className="block text-sm font-medium mb-1">Cash Rendered *</label>
+                    <label className="block text-sm font-medium mb-1">TIN Number (Optional)</label>
                     <input
-                      {...register('cashRendered', {
-                        required: 'Cash rendered is required',
-                        validate: (value) => {
-                          const totals = calculateTotal();
-                          const cashAmount = parseFloat(value || 0);
-                          if (cashAmount < totals.total) {
-                            return `Cash rendered must be at least ${formatCurrencyDisplay(totals.total)}`;
-                          }
-                          return true;
-                        },
-                        valueAsNumber: true
-                      })}
-                      type="number"
-                      step="0.01"
-                      min={0}
+                      {...register('tinNumber')}
+                      type="text"
                       className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                      placeholder="Enter amount paid"
+                      placeholder="Enter TIN number"
                     />
-                    {errors.cashRendered && (
-                      <p className="text-red-500 text-xs mt-1">{errors.cashRendered.message}</p>
+                  </div>
+                  {!customer && (
+                    <label className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={saveCustomer}
+                        onChange={(e) => setSaveCustomer(e.target.checked)}
+                      />
+                      <span className="text-sm">Save as a new customer so their purchases are tracked</span>
+                    </label>
+                  )}
+                  <div className="border rounded-lg p-4">
+                    <label className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={delivery.enabled}
+                        onChange={(e) => setDelivery(e.target.checked
+                          ? { ...delivery, enabled: true, address: delivery.address || customer?.address || '', scheduledDate: delivery.scheduledDate || formatLocalDate(new Date()) }
+                          : { ...delivery, enabled: false })}
+                      />
+                      <span className="font-semibold">Deliver this order</span>
+                    </label>
+                    {delivery.enabled && (
+                      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 mt-3">
+                        <textarea
+                          value={delivery.address}
+                          onChange={(e) => setDelivery({ ...delivery, address: e.target.value })}
+                          rows={2}
+                          maxLength={500}
+                          className="sm:col-span-2 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          placeholder="Delivery address *"
+                        />
+                        <input
+                          type="date"
+                          value={delivery.scheduledDate}
+                          min={formatLocalDate(new Date())}
+                          onChange={(e) => setDelivery({ ...delivery, scheduledDate: e.target.value })}
+                          className="px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        />
+                        <select
+                          value={delivery.timeSlot}
+                          onChange={(e) => setDelivery({ ...delivery, timeSlot: e.target.value })}
+                          className="px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        >
+                          {DELIVERY_TIME_SLOTS.map(slot => (
+                            <option key={slot.value} value={slot.value}>{slot.label}</option>
+                          ))}
+                        </select>
+                        <input
+                          type="text"
+                          value={delivery.contactName}
+                          onChange={(e) => setDelivery({ ...delivery, contactName: e.target.value })}
+                          className="px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          placeholder="Receiving contact (defaults to customer)"
+                        />
+                        <input
+                          type="text"
+                          value={delivery.contactPhone}
+                          onChange={(e) => setDelivery({ ...delivery, contactPhone: e.target.value })}
+                          className="px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          placeholder="Contact phone"
+                        />
+                        <input
+                          type="number"
+                          step="0.01"
+                          min={0}
+                          value={delivery.deliveryFee}
+                          onChange={(e) => setDelivery({ ...delivery, deliveryFee: e.target.value })}
+                          className="px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          placeholder="Delivery fee"
+                        />
+                        <input
+                          type="text"
+                          value={delivery.vehicle}
+                          onChange={(e) => setDelivery({ ...delivery, vehicle: e.target.value })}
+                          className="px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          placeholder="Vehicle (can be assigned later)"
+                        />
+                        <input
+                          type="text"
+                          value={delivery.driver}
+                          onChange={(e) => setDelivery({ ...delivery, driver: e.target.value })}
+                          className="px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          placeholder="Driver (can be assigned later)"
+                        />
+                        <input
+                          type="text"
+                          value={delivery.notes}
+                          onChange={(e) => setDelivery({ ...delivery, notes: e.target.value })}
+                          maxLength={500}
+                          className="px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          placeholder="Delivery notes"
+                        />
+                      </div>
+                    )}
+                  </div>
+                  <div className="border rounded-lg p-4">
+                    <div className="flex justify-between items-center mb-2">
+                      <h3 className="font-semibold">Payments *</h3>
+                      <button
+                        type="button"
+                        onClick={addTender}
+                        className="text-sm text-blue-600 hover:text-blue-800"
+                      >
+                        + Add Payment
+                      </button>
+                    </div>
+                    <div className="space-y-2">
+                      {tenders.map((tender, index) => (
+                        <div key={index} className="flex flex-col sm:flex-row gap-2 p-2 bg-gray-50 rounded">
+                          <select
+                            value={tender.method}
+                            onChange={(e) => updateTender(index, 'method', e.target.value)}
+                            className="sm:w-40 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          >
+                            {PAYMENT_METHODS
+                              .filter(method => method.value !== 'points' || loyaltySettings?.enabled)
+                              .map((method) => (
+                                <option key={method.value} value={method.value}>{method.label}</option>
+                              ))}
+                          </select>
+                          <input
+                            type="number"
+                            step="0.01"
+                            min={0}
+                            value={tender.amount}
+                            onChange={(e) => updateTender(index, 'amount', e.target.value)}
+                            className="flex-1 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                            placeholder="Amount"
+                          />
+                          {!['cash', 'charge', 'points'].includes(tender.method) && (
+                            <input
+                              type="text"
+                              value={tender.referenceNumber}
+                              onChange={(e) => updateTender(index, 'referenceNumber', e.target.value)}
+                              className="flex-1 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                              placeholder={getReferenceLabel(tender.method)}
+                            />
+                          )}
+                          <button
+                            type="button"
+                            onClick={() => fillRemaining(index)}
+                            className="px-3 py-2 text-sm bg-gray-200 rounded-lg hover:bg-gray-300"
+                            title="Fill remaining balance"
+                          >
+                            Exact
+                          </button>
+                          {tenders.length > 1 && (
+                            <button
+                              type="button"
+                              onClick={() => removeTender(index)}
+                              className="px-3 py-2 text-sm text-red-600 hover:bg-red-50 rounded-lg"
+                              aria-label="Remove payment"
+                            >
+                              Remove
+                            </button>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                    {tenders.some(tender => tender.method === 'charge') && (
+                      <div className="mt-2">
+                        <label className="block text-sm font-medium mb-1">Charge to Account *</label>
+                        <select
+                          value={creditAccountId}
+                          onChange={(e) => setCreditAccountId(e.target.value)}
+                          className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        >
+                          <option value="">Select credit account</option>
+                          {creditAccounts.map((account) => (
+                            <option key={account._id} value={account._id}>
+                              {account.accountNumber} - {account.name} (available {formatCurrencyDisplay(account.availableCredit)})
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    )}
+                    {tenders.some(tender => tender.method === 'points') && customer && loyaltySettings && (
+                      <p className="text-xs text-gray-600 mt-2">
+                        {customer.name} has {customer.loyaltyPoints} points
+                        ({formatCurrencyDisplay(Math.max(0, customer.loyaltyPoints) * loyaltySettings.pointValue)}).
+                        Each point is worth {formatCurrencyDisplay(loyaltySettings.pointValue)}.
+                      </p>
+                    )}
+                    {payments.totalTendered > 0 && payments.error && (
+                      <p className="text-red-500 text-xs mt-2">{payments.error}</p>
                     )}
                   </div>
                 </div>
@@ -845,24 +2156,79 @@ const Sales = () => {
                   <span>Subtotal:</span>
                   <span>{formatCurrencyDisplay(totals.subtotal)}</span>
                 </div>
+                {totals.discount > 0 && (
+                  <div className="flex justify-between mb-2 text-green-700">
+                    <span>
+                      {totals.vatExempt
+                        ? `${getStatutoryDiscountLabel(statutoryDiscount.type)} Discount (20%):`
+                        : 'Discount:'}
+                    </span>
+                    <span>-{formatCurrencyDisplay(totals.discount)}</span>
+                  </div>
+                )}
+                {totals.deliveryFee > 0 && (
+                  <div className="flex justify-between mb-2">
+                    <span>Delivery Fee:</span>
+                    <span>{formatCurrencyDisplay(totals.deliveryFee)}</span>
+                  </div>
+                )}
+                {totals.vatExemptSales > 0 && (
+                  <div className="flex justify-between mb-2 text-sm text-gray-600">
+                    <span>VAT-Exempt Sales:</span>
+                    <span>{formatCurrencyDisplay(totals.vatExemptSales)}</span>
+                  </div>
+                )}
+                {totals.zeroRatedSales > 0 && (
+                  <div className="flex justify-between mb-2 text-sm text-gray-600">
+                    <span>Zero-Rated Sales:</span>
+                    <span>{formatCurrencyDisplay(totals.zeroRatedSales)}</span>
+                  </div>
+                )}
                 <div className="flex justify-between mb-2">
-                  <span>VAT (12%):</span>
+                  <span>
+                    {!taxConfig.vatRegistered
+                      ? 'VAT (Non-VAT Registered):'
+                      : `VAT (${taxSettings?.vatRate ?? 12}%)${taxConfig.pricesIncludeVat ? ', included' : ''}:`}
+                  </span>
                   <span>{formatCurrencyDisplay(totals.vat)}</span>
                 </div>
                 <div className="flex justify-between text-xl font-bold border-t pt-2 mb-2">
                   <span>Total:</span>
                   <span>{formatCurrencyDisplay(totals.total)}</span>
                 </div>
-                {watch('cashRendered') && parseFloat(watch('cashRendered') || 0) > 0 && (
-                  <div className="flex justify-between text-lg font-semibold text-green-600 border-t pt-2">
-                    <span>Change:</span>
-                    <span>{formatCurrencyDisplay(calculateChange())}</span>
-                  </div>
+                {currentStep === 2 && payments.totalTendered > 0 && (
+                  <>
+                    <div className="flex justify-between mb-2">
+                      <span>Total Tendered:</span>
+                      <span>{formatCurrencyDisplay(payments.totalTendered)}</span>
+                    </div>
+                    {payments.remaining > 0 ? (
+                      <div className="flex justify-between text-lg font-semibold text-red-600 border-t pt-2">
+                        <span>Remaining:</span>
+                        <span>{formatCurrencyDisplay(payments.remaining)}</span>
+                      </div>
+                    ) : (
+                      <div className="flex justify-between text-lg font-semibold text-green-600 border-t pt-2">
+                        <span>Change:</span>
+                        <span>{formatCurrencyDisplay(payments.change)}</span>
+                      </div>
+                    )}
+                  </>
                 )}
               </div>
 
               {/* Navigation Buttons */}
               <div className="flex flex-col sm:flex-row gap-2">
+                {!quotation && (
+                  <button
+                    type="button"
+                    onClick={() => setShowHoldCartModal(true)}
+                    disabled={cart.length === 0 || isSubmitting}
+                    className="flex-1 bg-yellow-500 text-white py-2 rounded-lg hover:bg-yellow-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Hold Cart
+                  </button>
+                )}
                 {currentStep === 1 ? (
                   <>
                     <button
@@ -888,12 +2254,23 @@ const Sales = () => {
                   <>
                     <button
                       type="button"
-                      onClick={handlePreviousStep}
+                      onClick={quotation ? () => { reset(); setShowModal(false); } : handlePreviousStep}
                       disabled={isSubmitting}
                       className="flex-1 bg-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-400 disabled:opacity-50 disabled:cursor-not-allowed"
                     >
-                      Previous
+                      {quotation ? 'Cancel' : 'Previous'}
                     </button>
+                    {!quotation && (
+                      <button
+                        type="button"
+                        onClick={handleLayawayClick}
+                        disabled={isSubmitting}
+                        title={getLayawayBlocker() || 'Reserve the items against a deposit'}
+                        className="flex-1 bg-indigo-600 text-white py-2 rounded-lg hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        Layaway
+                      </button>
+                    )}
                     <button
                       type="submit"
                       disabled={isSubmitting}
@@ -909,6 +2286,59 @@ const Sales = () => {
         </div>
       )}
 
+      <HoldCartModal
+        isOpen={showHoldCartModal}
+        onClose={() => {
+          if (!isHolding) {
+            setShowHoldCartModal(false);
+          }
+        }}
+        onConfirm={handleHoldCart}
+        itemCount={cart.length}
+        isLoading={isHolding}
+      />
+
+      <LayawayModal
+        isOpen={showLayawayModal && !pendingLayaway}
+        onClose={() => {
+          if (!isSubmitting) {
+            setShowLayawayModal(false);
+          }
+        }}
+        onConfirm={handleLayawayConfirm}
+        total={showLayawayModal ? calculateTotal().total : 0}
+        terms={layawaySettings}
+        isLoading={isSubmitting}
+      />
+
+      <AdminApprovalModal
+        isOpen={!!pendingLayaway}
+        onClose={() => {
+          if (!isSubmitting) {
+            setPendingLayaway(null);
+          }
+        }}
+        onConfirm={handleLayawayApprovalConfirm}
+        title="Admin Approval Required"
+        message={pendingLayaway ? `This layaway has a ${calculateTotal().discretionaryPercent.toFixed(2)}% discount, above the ${discountThreshold}% approval threshold. Please ask an admin to enter the SuperAdmin code or sign in to approve it.` : ''}
+        confirmText="Approve & Open Layaway"
+        isLoading={isSubmitting}
+      />
+
+      <HeldCartsModal
+        isOpen={showHeldCartsModal}
+        onClose={() => {
+          if (!isHolding) {
+            setShowHeldCartsModal(false);
+          }
+        }}
+        heldCarts={heldCarts}
+        onResume={handleResumeHeldCart}
+        onDiscard={handleDiscardHeldCart}
+        canDiscard={(heldCart) => isAdmin || heldCart.heldBy?._id === user?.id}
+        isLoading={isHolding}
+      />
+
       <ReturnRequestModal
         products={products}
         isOpen={showReturnRequestModal}
@@ -920,8 +2350,32 @@ const Sales = () => {
         }}
         onConfirm={handleReturnRequestConfirm}
         sales={saleToVoid}
+        customer={returnCustomer}
+        taxSettings={taxSettings}
         isLoading={isVoiding} />
 
+      <VoidLinesModal
+        isOpen={!!saleToAdjust && !pendingLineVoid}
+        onClose={() => {
+          if (!isVoiding) setSaleToAdjust(null);
+        }}
+        onConfirm={handleVoidLinesConfirm}
+        sale={saleToAdjust}
+        isLoading={isVoiding}
+      />
+
+      <AdminApprovalModal
+        isOpen={!!pendingLineVoid}
+        onClose={() => {
+          if (!isVoiding) setPendingLineVoid(null);
+        }}
+        onConfirm={handleLineVoidApprovalConfirm}
+        title="Admin Approval Required"
+        message={`Voiding lines of sale ${saleToAdjust?.saleNumber} needs admin approval. Please ask an admin to enter the SuperAdmin code or sign in to approve it.`}
+        confirmText="Approve & Void Lines"
+        isLoading={isVoiding}
+      />
+
       <VoidRequestModal
         isOpen={showVoidRequestModal}
         onClose={() => {
@@ -959,6 +2413,97 @@ const Sales = () => {
         isLoading={isVoiding}
       />
 
+      <InputModal
+        isOpen={!!saleToReject}
+        onClose={() => {
+          if (!isVoiding) setSaleToReject(null);
+        }}
+        onConfirm={handleRejectVoidConfirm}
+        title="Reject Void Request"
+        message={`Explain to ${saleToReject?.voidRequestedBy?.username || 'the requester'} why sale ${saleToReject?.saleNumber} will not be voided.`}
+        inputLabel="Comment"
+        inputType="text"
+        inputPlaceholder="Reason for rejecting"
+        confirmText="Reject Request"
+        cancelText="Cancel"
+        variant="danger"
+        isLoading={isVoiding}
+      />
+
+      <VoidRequestHistoryModal
+        isOpen={!!voidHistorySale}
+        onClose={() => setVoidHistorySale(null)}
+        saleId={voidHistorySale?._id}
+      />
+
+      <AdminApprovalModal
+        isOpen={showSaleApprovalModal}
+        onClose={() => {
+          if (!isSubmitting) {
+            setShowSaleApprovalModal(false);
+            setPendingSale(null);
+          }
+        }}
+        onConfirm={handleSaleApprovalConfirm}
+        title="Admin Approval Required"
+        message={showSaleApprovalModal ? getSaleApprovalMessage() : ''}
+        confirmText="Approve & Complete Sale"
+        isLoading={isSubmitting}
+      />
+
+      <PriceOverrideModal
+        isOpen={!!overrideItem}
+        onClose={() => setOverrideItem(null)}
+        onConfirm={applyPriceOverride}
+        onClear={clearPriceOverride}
+        item={overrideItem}
+      />
+
+      <OfflineSalesModal
+        isOpen={showOfflineSalesModal}
+        onClose={() => setShowOfflineSalesModal(false)}
+        offlineSales={offlineSales}
+        isOffline={isOffline}
+        onSync={handleSync}
+        onRetry={(entry) => postOfflineSale(entry)}
+        onApprove={(entry) => handleSupervisorAction('approve', entry)}
+        onDiscard={(entry) => handleSupervisorAction('discard', entry)}
+        isLoading={isSyncing}
+      />
+
+      <InputModal
+        isOpen={!!supervisorAction && !isAdmin}
+        onClose={() => {
+          if (!isSyncing) setSupervisorAction(null);
+        }}
+        onConfirm={handleSupervisorConfirm}
+        title={supervisorAction?.type === 'discard' ? 'Discard Offline Sale' : 'Approve Offline Sale'}
+        message={supervisorAction?.type === 'discard'
+          ? 'The sale will be removed from this register without being posted. Please ask an admin to enter the SuperAdmin code.'
+          : 'The sale will be posted at the prices charged offline, with any discounts given. Please ask an admin to enter the SuperAdmin code.'}
+        inputLabel="SuperAdmin Code"
+        inputType="password"
+        inputPlaceholder="Enter SuperAdmin code"
+        confirmText={supervisorAction?.type === 'discard' ? 'Discard Sale' : 'Approve & Post'}
+        cancelText="Cancel"
+        variant="warning"
+        isLoading={isSyncing}
+      />
+
+      <ConfirmModal
+        isOpen={!!supervisorAction && isAdmin}
+        onClose={() => {
+          if (!isSyncing) setSupervisorAction(null);
+        }}
+        onConfirm={() => handleSupervisorConfirm()}
+        title="Discard Offline Sale"
+        message="The sale will be removed from this register without being posted. Make sure the stock and payment are accounted for. This cannot be undone."
+        confirmText="Discard Sale"
+        cancelText="Cancel"
+        variant="warning"
+        isLoading={isSyncing}
+      />
+
       <ConfirmModal
         isOpen={showVoidModal}
         onClose={() => {
@@ -983,6 +2528,15 @@ const Sales = () => {
             <div className="sticky top-0 bg-white border-b px-6 py-4 flex justify-between items-center">
               <h2 className="text-2xl font-bold">Digital Receipt</h2>
               <div className="flex gap-2 items-center">
+                {isReceiptPrinterConfigured(receiptPrinter) && (
+                  <button
+                    onClick={printReceipt}
+                    disabled={isPrintingReceipt}
+                    className="px-4 py-2 bg-gray-700 text-white rounded-lg hover:bg-gray-800 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {isPrintingReceipt ? 'Printing...' : 'Print Receipt'}
+                  </button>
+                )}
                 <button
                   onClick={exportReceiptToPDF}
                   className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 flex items-center gap-2 transition-colors"
@@ -1036,6 +2590,12 @@ const Sales = () => {
 
               {/* Receipt Details */}
               <div className="space-y-2">
+                {selectedSale.receiptNumber && (
+                  <div className="flex justify-between">
+                    <span className="font-semibold">Receipt Number:</span>
+                    <span className="font-mono">{selectedSale.receiptNumber}</span>
+                  </div>
+                )}
                 <div className="flex justify-between">
                   <span className="font-semibold">Sale Number:</span>
                   <span>{selectedSale.saleNumber}</span>
@@ -1044,6 +2604,12 @@ const Sales = () => {
                   <span className="font-semibold">Transaction Date:</span>
                   <span>{new Date(selectedSale.createdAt).toLocaleString()}</span>
                 </div>
+                {selectedSale.offline?.soldAt && (
+                  <div className="flex justify-between">
+                    <span className="font-semibold">Sold Offline:</span>
+                    <span>{new Date(selectedSale.offline.soldAt).toLocaleString()}</span>
+                  </div>
+                )}
                 {selectedSale.cashier && (
                   <div className="flex justify-between">
                     <span className="font-semibold">Cashier:</span>
@@ -1057,6 +2623,12 @@ const Sales = () => {
                 <div className="border-t pt-4">
                   <h4 className="font-semibold mb-3">Customer Details</h4>
                   <div className="space-y-2 text-sm">
+                    {selectedSale.customer?.customerNumber && (
+                      <div className="flex justify-between">
+                        <span className="text-gray-600">Customer No.:</span>
+                        <span>{selectedSale.customer.customerNumber}</span>
+                      </div>
+                    )}
                     {selectedSale.customerName && (
                       <div className="flex justify-between">
                         <span className="text-gray-600">Name:</span>
@@ -1113,7 +2685,31 @@ const Sales = () => {
 
                         return (
                           <tr key={index}>
-                            <td className="px-4 py-2">{productName}</td>
+                            <td className="px-4 py-2">
+                              {productName}
+                              {item.priceOverride && (
+                                <div className="text-xs text-orange-600">
+                                  Price override from {formatCurrencyDisplay(item.priceOverride.originalPrice)} ({getPriceOverrideReasonLabel(item.priceOverride.reason)})
+                                </div>
+                              )}
+                              {item.priceTier && (
+                                <div className="text-xs text-green-700">
+                                  {getPriceTierLabel(item.priceTier)}, list {formatCurrencyDisplay(item.priceTier.listPrice)}
+                                </div>
+                              )}
+                              {item.priceList && (
+                                <div className="text-xs text-green-700">
+                                  {item.priceList.name} price, list {formatCurrencyDisplay(item.priceList.listPrice)}
+                                </div>
+                              )}
+                              {item.discountType && item.discountValue > 0 && (
+                                <div className="text-xs text-gray-500">
+                                  Less {item.discountType === 'percent'
+                                    ? `${item.discountValue}%`
+                                    : formatCurrencyDisplay(item.discountValue)}
+                                </div>
+                              )}
+                            </td>
                             <td className="px-4 py-2 text-center">{quantity}</td>
                             <td className="px-4 py-2 text-right">{formatCurrencyDisplay(price)}</td>
                             <td className="px-4 py-2 text-right font-semibold">{formatCurrencyDisplay(subtotal)}</td>
@@ -1133,40 +2729,119 @@ const Sales = () => {
                 </div>
                 {selectedSale.discount > 0 && (
                   <div className="flex justify-between">
-                    <span>Discount:</span>
-                    <span>{formatCurrencyDisplay(selectedSale.discount)}</span>
+                    <span>
+                      {selectedSale.statutoryDiscount?.type
+                        ? `${getStatutoryDiscountLabel(selectedSale.statutoryDiscount.type)} Discount (20%):`
+                        : 'Discount:'}
+                    </span>
+                    <span>-{formatCurrencyDisplay(selectedSale.discount)}</span>
                   </div>
                 )}
-                <div className="flex justify-between">
-                  <span>Tax (VAT):</span>
-                  <span>{formatCurrencyDisplay(selectedSale.tax)}</span>
-                </div>
-                <div className="flex justify-between text-xl font-bold border-t pt-2 mt-2">
-                  <span>Total:</span>
-                  <span>{formatCurrencyDisplay(selectedSale.total)}</span>
-                </div>
-                {selectedSale.paymentMethod === 'cash' && selectedSale.cashRendered && (
+                {selectedSale.statutoryDiscount?.type && (
+                  <div className="text-sm text-gray-600">
+                    {getStatutoryDiscountLabel(selectedSale.statutoryDiscount.type)} ID: {selectedSale.statutoryDiscount.idNumber}
+                    {selectedSale.statutoryDiscount.holderName && ` (${selectedSale.statutoryDiscount.holderName})`}
+                  </div>
+                )}
+                {selectedSale.deliveryFee > 0 && (
+                  <div className="flex justify-between">
+                    <span>Delivery Fee:</span>
+                    <span>{formatCurrencyDisplay(selectedSale.deliveryFee)}</span>
+                  </div>
+                )}
+                {selectedSale.delivery?.deliveryNumber && (
+                  <div className="text-sm text-gray-600">
+                    Delivery {selectedSale.delivery.deliveryNumber}: {formatDate(selectedSale.delivery.scheduledDate)} ({getTimeSlotLabel(selectedSale.delivery.timeSlot)}),{' '}
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${getDeliveryStatus(selectedSale.delivery.status).className}`}>
+                      {getDeliveryStatus(selectedSale.delivery.status).label}
+                    </span>
+                  </div>
+                )}
+                {/* VAT breakdown; sales recorded before tax settings only carry the tax amount */}
+                {selectedSale.vatRegistered === false ? (
+                  <div className="text-sm text-gray-600">Non-VAT Registered</div>
+                ) : selectedSale.vatableSales !== undefined ? (
                   <>
-                    <div className="flex justify-between mt-2">
-                      <span>Cash Rendered:</span>
-                      <span>{formatCurrencyDisplay(selectedSale.cashRendered)}</span>
+                    <div className="flex justify-between text-sm">
+                      <span>VATable Sales:</span>
+                      <span>{formatCurrencyDisplay(selectedSale.vatableSales)}</span>
                     </div>
-                    <div className="flex justify-between text-lg font-semibold border-t pt-2 mt-2">
-                      <span>Change:</span>
-                      <span>{formatCurrencyDisplay(Math.max(0, selectedSale.cashRendered - selectedSale.total))}</span>
+                    <div className="flex justify-between text-sm">
+                      <span>VAT-Exempt Sales:</span>
+                      <span>{formatCurrencyDisplay(selectedSale.vatExemptSales || 0)}</span>
+                    </div>
+                    <div className="flex justify-between text-sm">
+                      <span>Zero-Rated Sales:</span>
+                      <span>{formatCurrencyDisplay(selectedSale.zeroRatedSales || 0)}</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span>VAT ({selectedSale.vatRate}%){selectedSale.pricesIncludeVat ? ', included' : ''}:</span>
+                      <span>{formatCurrencyDisplay(selectedSale.tax)}</span>
                     </div>
                   </>
+                ) : (
+                  <div className="flex justify-between">
+                    <span>{selectedSale.vatExempt ? 'Tax (VAT-Exempt):' : 'Tax (VAT):'}</span>
+                    <span>{formatCurrencyDisplay(selectedSale.tax)}</span>
+                  </div>
                 )}
+                <div className="flex justify-between text-xl font-bold border-t pt-2 mt-2">
+                  <span>Total:</span>
+                  <span>{formatCurrencyDisplay(selectedSale.total)}</span>
+                </div>
               </div>
 
-              {/* Payment Method */}
-              <div className="border-t pt-4">
+              {/* Payment Method - tender breakdown */}
+              <div className="border-t pt-4 space-y-2">
                 <div className="flex justify-between">
                   <span className="font-semibold">Payment Method:</span>
-                  <span className="capitalize">{formatPaymentMethod(selectedSale.paymentMethod)}</span>
+                  <span>{formatPaymentMethod(selectedSale.paymentMethod)}</span>
                 </div>
+                {(selectedSale.payments?.length > 0
+                  ? selectedSale.payments
+                  : [{ method: 'cash', amount: selectedSale.cashRendered || 0 }]
+                ).map((tender, index) => (
+                  <div key={index} className="flex justify-between text-sm">
+                    <span className="text-gray-600">
+                      {formatPaymentMethod(tender.method)}
+                      {tender.referenceNumber && ` (Ref: ${tender.referenceNumber})`}
+                    </span>
+                    <span>{formatCurrencyDisplay(tender.amount)}</span>
+                  </div>
+                ))}
+                {(() => {
+                  const change = selectedSale.payments?.length > 0
+                    ? (selectedSale.change || 0)
+                    : Math.max(0, (selectedSale.cashRendered || 0) - selectedSale.total);
+                  return change > 0 && (
+                    <div className="flex justify-between text-lg font-semibold border-t pt-2 mt-2">
+                      <span>Change:</span>
+                      <span>{formatCurrencyDisplay(change)}</span>
+                    </div>
+                  );
+                })()}
               </div>
 
+              {/* Loyalty Points */}
+              {selectedSale.loyalty?.balance != null && (
+                <div className="border-t pt-4 space-y-1 text-sm">
+                  {selectedSale.loyalty.pointsRedeemed > 0 && (
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Points Redeemed:</span>
+                      <span>{selectedSale.loyalty.pointsRedeemed}</span>
+                    </div>
+                  )}
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Points Earned:</span>
+                    <span>{selectedSale.loyalty.pointsEarned || 0}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Points Balance:</span>
+                    <span>{selectedSale.loyalty.balance}</span>
+                  </div>
+                </div>
+              )}
+
               {/* Status */}
               {selectedSale.isVoid && (
                 <div className="border-t pt-4">
@@ -1180,6 +2855,43 @@ const Sales = () => {
               <div className="border-t pt-4 text-center text-sm text-gray-600">
                 <p>Thank you for your purchase!</p>
               </div>
+
+              {/* Email Receipt */}
+              <div className="border-t pt-4">
+                <h3 className="font-semibold mb-2">Email Receipt</h3>
+                <div className="flex flex-col sm:flex-row gap-2">
+                  <input
+                    type="email"
+                    value={receiptEmail}
+                    onChange={(e) => setReceiptEmail(e.target.value)}
+                    disabled={isSendingEmail}
+                    placeholder="customer@example.com"
+                    className="flex-1 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  <button
+                    onClick={handleEmailReceipt}
+                    disabled={isSendingEmail}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {isSendingEmail ? 'Sending...' : selectedSale.receiptEmails?.length > 0 ? 'Resend' : 'Send'}
+                  </button>
+                </div>
+                {selectedSale.receiptEmails?.length > 0 && (
+                  <ul className="mt-3 space-y-1 text-sm">
+                    {selectedSale.receiptEmails.map((delivery, index) => (
+                      <li key={index} className="flex justify-between gap-2">
+                        <span className="truncate">
+                          {delivery.to}
+                          <span className="text-gray-500"> · {delivery.sentBy?.username || 'on completion'}</span>
+                        </span>
+                        <span className={delivery.status === 'sent' ? 'text-green-600' : 'text-red-600'} title={delivery.error}>
+                          {delivery.status === 'sent' ? 'Sent' : 'Failed'} {new Date(delivery.sentAt).toLocaleString()}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
             </div>
           </div>
         </div>
@@ -1239,7 +2951,12 @@ const Sales = () => {
                         return (
                           <tr key={index} className="hover:bg-gray-50">
                             <td className="px-4 py-3">{productName}</td>
-                            <td className="px-4 py-3 text-center">{quantity}</td>
+                            <td className="px-4 py-3 text-center">
+                              {quantity}
+                              {item.returnedQuantity > 0 && (
+                                <div className="text-xs text-red-600">{item.returnedQuantity} returned</div>
+                              )}
+                            </td>
                             <td className="px-4 py-3 text-right">{formatCurrencyDisplay(price)}</td>
                             <td className="px-4 py-3 text-right font-semibold">{formatCurrencyDisplay(subtotal)}</td>
                           </tr>
@@ -1267,6 +2984,44 @@ const Sales = () => {
                   )}
                 </table>
               </div>
+
+              {selectedSaleItems.adjustments?.length > 0 && (
+                <div className="mt-6">
+                  <h3 className="font-semibold text-gray-800 mb-2">Voided Lines</h3>
+                  <div className="space-y-3">
+                    {selectedSaleItems.adjustments.map((adjustment, index) => (
+                      <div key={index} className="border rounded-lg p-3 text-sm">
+                        <div className="flex justify-between gap-2">
+                          <span className="text-gray-600">
+                            {formatDate(adjustment.at)} by {adjustment.user?.username || 'Unknown'}
+                            {adjustment.approvedBy?.username && adjustment.approvedBy.username !== adjustment.user?.username
+                              && `, approved by ${adjustment.approvedBy.username}`}
+                          </span>
+                          <span className="font-semibold text-red-600">-{formatCurrencyDisplay(adjustment.refundAmount)}</span>
+                        </div>
+                        <ul className="mt-1 list-disc list-inside text-gray-700">
+                          {adjustment.items.map((item, itemIndex) => (
+                            <li key={itemIndex}>
+                              {item.productName || 'Unknown Product'} × {item.quantity} @ {formatCurrencyDisplay(item.price)}
+                            </li>
+                          ))}
+                        </ul>
+                        <div className="mt-1 text-gray-500">Reason: {adjustment.reason}</div>
+                        {adjustment.refunds?.length > 0 && (
+                          <div className="mt-1 text-gray-500">
+                            Refunded via {adjustment.refunds
+                              .map(refund => `${formatPaymentMethod(refund.method)} ${formatCurrencyDisplay(refund.amount)}`)
+                              .join(', ')}
+                          </div>
+                        )}
+                        <div className="mt-1 text-gray-500">
+                          Total {formatCurrencyDisplay(adjustment.previousTotal)} → {formatCurrencyDisplay(adjustment.previousTotal - adjustment.refundAmount)}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
             </div>
           </div>
         </div>
@@ -2,6 +2,16 @@ import { useEffect, useState, useCallback } from 'react';
 import axios from 'axios';
 import { toast } from 'sonner';
 import { useForm } from 'react-hook-form';
+import {
+  NUMBERING_SERIES,
+  NUMBERING_RESETS,
+  getRegisterId,
+  setRegisterId,
+  formatSaleNumberPreview
+} from '../constants/saleNumbering';
+import { RECEIPT_DOCUMENT_TYPES, RECEIPT_REGISTRATION_FIELDS } from '../constants/receipting';
+import { RECEIPT_PAPER_WIDTHS } from '../constants/receiptPrinter';
+import { formatCurrencyDisplay } from '../utils/utils';
 
 const Settings = () => {
   const [codeStatus, setCodeStatus] = useState({ isSet: false });
@@ -9,6 +19,26 @@ const Settings = () => {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [passwordFormat, setPasswordFormat] = useState('medium');
   const [isSavingFormat, setIsSavingFormat] = useState(false);
+  const [discountThreshold, setDiscountThreshold] = useState('');
+  const [isSavingThreshold, setIsSavingThreshold] = useState(false);
+  const [taxSettings, setTaxSettings] = useState({ vatRate: 12, pricesIncludeVat: false, vatRegistered: true });
+  const [isSavingTax, setIsSavingTax] = useState(false);
+  const [loyalty, setLoyalty] = useState({ enabled: false, spendPerPoint: 100, pointValue: 1, categoryRules: [] });
+  const [categories, setCategories] = useState([]);
+  const [isSavingLoyalty, setIsSavingLoyalty] = useState(false);
+  const [layawayTerms, setLayawayTerms] = useState({ minDepositPercent: 20, termDays: 60, forfeitPercent: 10, forfeitFee: 0 });
+  const [isSavingLayaway, setIsSavingLayaway] = useState(false);
+  const [saleNumbering, setSaleNumbering] = useState({ prefix: 'SALE', series: 'store', reset: 'daily', padding: 4, branchCode: '' });
+  const [terminalRegisterId, setTerminalRegisterId] = useState(getRegisterId());
+  const [sequences, setSequences] = useState([]);
+  const [isSavingNumbering, setIsSavingNumbering] = useState(false);
+  const [receipting, setReceipting] = useState(null);
+  const [isSavingReceipting, setIsSavingReceipting] = useState(false);
+  const [journalRange, setJournalRange] = useState({ startDate: '', endDate: '' });
+  const [isExportingJournal, setIsExportingJournal] = useState(false);
+  const [receiptPrinter, setReceiptPrinter] = useState({ paperWidth: 'a4', host: '', port: 9100 });
+  const [isSavingPrinter, setIsSavingPrinter] = useState(false);
+  const [isTestingPrinter, setIsTestingPrinter] = useState(false);
   const [healthStatus, setHealthStatus] = useState({
     api: 'checking',
     database: 'checking',
@@ -46,6 +76,14 @@ const Settings = () => {
   useEffect(() => {
     fetchCodeStatus();
     fetchPasswordFormat();
+    fetchDiscountThreshold();
+    fetchTaxSettings();
+    fetchLoyalty();
+    fetchLayawayTerms();
+    fetchSaleNumbering();
+    fetchSequences();
+    fetchReceipting();
+    fetchReceiptPrinter();
     checkHealth();
     
     // Set up periodic health check every 30 seconds
@@ -87,6 +125,346 @@ const Settings = () => {
     }
   };
 
+  const fetchDiscountThreshold = async () => {
+    try {
+      const response = await axios.get('/settings/discount-threshold');
+      setDiscountThreshold(response.data.data.threshold ?? 10);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const handleThresholdSave = async () => {
+    const threshold = parseFloat(discountThreshold);
+    if (Number.isNaN(threshold) || threshold < 0 || threshold > 100) {
+      toast.error('Discount approval threshold must be between 0 and 100');
+      return;
+    }
+
+    setIsSavingThreshold(true);
+    try {
+      const response = await axios.post('/settings/discount-threshold', { threshold });
+      setDiscountThreshold(response.data.data.threshold);
+      toast.success('Discount approval threshold has been updated successfully');
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSavingThreshold(false);
+    }
+  };
+
+  const fetchTaxSettings = async () => {
+    try {
+      const response = await axios.get('/settings/tax');
+      setTaxSettings(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const handleTaxSave = async () => {
+    const vatRate = parseFloat(taxSettings.vatRate);
+    if (Number.isNaN(vatRate) || vatRate < 0 || vatRate > 100) {
+      toast.error('VAT rate must be between 0 and 100');
+      return;
+    }
+
+    setIsSavingTax(true);
+    try {
+      const response = await axios.post('/settings/tax', { ...taxSettings, vatRate });
+      setTaxSettings(response.data.data);
+      toast.success('Tax settings have been updated successfully');
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSavingTax(false);
+    }
+  };
+
+  const fetchLoyalty = async () => {
+    try {
+      const [loyaltyResponse, categoriesResponse] = await Promise.all([
+        axios.get('/settings/loyalty'),
+        axios.get('/categories')
+      ]);
+      setLoyalty(loyaltyResponse.data.data);
+      setCategories(categoriesResponse.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const updateCategoryRule = (index, field, value) => {
+    setLoyalty({
+      ...loyalty,
+      categoryRules: loyalty.categoryRules.map((rule, i) => (i === index ? { ...rule, [field]: value } : rule))
+    });
+  };
+
+  const handleLoyaltySave = async () => {
+    const spendPerPoint = parseFloat(loyalty.spendPerPoint);
+    const pointValue = parseFloat(loyalty.pointValue);
+    if (Number.isNaN(spendPerPoint) || spendPerPoint < 1) {
+      toast.error('Spend per point must be at least 1');
+      return;
+    }
+    if (Number.isNaN(pointValue) || pointValue <= 0) {
+      toast.error('Point value must be greater than 0');
+      return;
+    }
+    const categoryRules = loyalty.categoryRules.filter(rule => rule.category);
+    if (categoryRules.some(rule => Number.isNaN(parseFloat(rule.spendPerPoint)) || parseFloat(rule.spendPerPoint) < 0)) {
+      toast.error('Category spend per point cannot be negative');
+      return;
+    }
+
+    setIsSavingLoyalty(true);
+    try {
+      const response = await axios.post('/settings/loyalty', {
+        enabled: loyalty.enabled,
+        spendPerPoint,
+        pointValue,
+        categoryRules: categoryRules.map(rule => ({ category: rule.category, spendPerPoint: parseFloat(rule.spendPerPoint) }))
+      });
+      setLoyalty(response.data.data);
+      toast.success(response.data.message);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSavingLoyalty(false);
+    }
+  };
+
+  const fetchLayawayTerms = async () => {
+    try {
+      const response = await axios.get('/settings/layaway');
+      setLayawayTerms(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const handleLayawaySave = async () => {
+    const minDepositPercent = parseFloat(layawayTerms.minDepositPercent);
+    const termDays = parseInt(layawayTerms.termDays, 10);
+    const forfeitPercent = parseFloat(layawayTerms.forfeitPercent);
+    const forfeitFee = parseFloat(layawayTerms.forfeitFee);
+    if (Number.isNaN(minDepositPercent) || minDepositPercent < 0 || minDepositPercent > 100) {
+      toast.error('Minimum deposit must be between 0 and 100%');
+      return;
+    }
+    if (Number.isNaN(termDays) || termDays < 1 || termDays > 365) {
+      toast.error('Layaway term must be between 1 and 365 days');
+      return;
+    }
+    if (Number.isNaN(forfeitPercent) || forfeitPercent < 0 || forfeitPercent > 100) {
+      toast.error('Forfeited share must be between 0 and 100%');
+      return;
+    }
+    if (Number.isNaN(forfeitFee) || forfeitFee < 0) {
+      toast.error('Cancellation fee cannot be negative');
+      return;
+    }
+
+    setIsSavingLayaway(true);
+    try {
+      const response = await axios.post('/settings/layaway', { minDepositPercent, termDays, forfeitPercent, forfeitFee });
+      setLayawayTerms(response.data.data);
+      toast.success(response.data.message);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSavingLayaway(false);
+    }
+  };
+
+  const fetchSaleNumbering = async () => {
+    try {
+      const response = await axios.get('/settings/sale-numbering');
+      setSaleNumbering({ ...response.data.data, branchCode: response.data.data.branchCode || '' });
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const fetchSequences = async () => {
+    try {
+      const response = await axios.get('/settings/sequences');
+      setSequences(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const handleNumberingSave = async () => {
+    const prefix = saleNumbering.prefix.trim().toUpperCase();
+    const branchCode = saleNumbering.branchCode.trim().toUpperCase();
+    const registerId = terminalRegisterId.trim().toUpperCase();
+
+    if (!/^[A-Z0-9]{1,10}$/.test(prefix)) {
+      toast.error('Sale number prefix must be 1-10 letters or digits');
+      return;
+    }
+    if (branchCode && !/^[A-Z0-9]{1,10}$/.test(branchCode)) {
+      toast.error('Branch code must be 1-10 letters or digits');
+      return;
+    }
+    if (registerId && !/^[A-Z0-9]{1,10}$/.test(registerId)) {
+      toast.error('Register ID must be 1-10 letters or digits');
+      return;
+    }
+    if (saleNumbering.series === 'branch' && !branchCode) {
+      toast.error('Branch code is required when sale numbers are issued per branch');
+      return;
+    }
+    if (saleNumbering.series === 'register' && !registerId) {
+      toast.error('Set this terminal\'s register ID when sale numbers are issued per register');
+      return;
+    }
+
+    setIsSavingNumbering(true);
+    try {
+      const response = await axios.post('/settings/sale-numbering', {
+        prefix,
+        series: saleNumbering.series,
+        reset: saleNumbering.reset,
+        padding: parseInt(saleNumbering.padding, 10),
+        branchCode
+      });
+      setSaleNumbering({ ...response.data.data, branchCode: response.data.data.branchCode || '' });
+      setRegisterId(registerId);
+      setTerminalRegisterId(registerId);
+      toast.success('Sale numbering has been updated successfully');
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSavingNumbering(false);
+    }
+  };
+
+  const fetchReceipting = async () => {
+    try {
+      const response = await axios.get('/settings/receipting');
+      setReceipting({ ...response.data.data, seriesEnd: response.data.data.seriesEnd || '' });
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const handleReceiptingSave = async () => {
+    const seriesStart = parseInt(receipting.seriesStart, 10);
+    const seriesEnd = receipting.seriesEnd ? parseInt(receipting.seriesEnd, 10) : null;
+
+    if (Number.isNaN(seriesStart) || seriesStart < 1) {
+      toast.error('Series start must be a whole number of at least 1');
+      return;
+    }
+    if (seriesEnd !== null && (Number.isNaN(seriesEnd) || seriesEnd < seriesStart)) {
+      toast.error('Series end must not be lower than series start');
+      return;
+    }
+    if (receipting.birMode && (!receipting.registeredName || !receipting.tin || !receipting.machineId || !receipting.permitNumber)) {
+      toast.error('Registered name, TIN, MIN and PTU number are required to turn on BIR receipting');
+      return;
+    }
+
+    setIsSavingReceipting(true);
+    try {
+      const payload = {
+        birMode: receipting.birMode,
+        documentType: receipting.documentType,
+        seriesStart,
+        seriesEnd
+      };
+      for (const field of RECEIPT_REGISTRATION_FIELDS) {
+        payload[field.name] = receipting[field.name].trim();
+      }
+      await axios.post('/settings/receipting', payload);
+      toast.success('Receipting settings have been updated successfully');
+      fetchReceipting();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSavingReceipting(false);
+    }
+  };
+
+  const handleJournalExport = async () => {
+    setIsExportingJournal(true);
+    try {
+      const response = await axios.get('/journal/export', {
+        params: {
+          startDate: journalRange.startDate || undefined,
+          endDate: journalRange.endDate || undefined
+        },
+        responseType: 'blob'
+      });
+
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'text/plain' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `EJournal_${new Date().toISOString().split('T')[0]}.txt`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsExportingJournal(false);
+    }
+  };
+
+  const fetchReceiptPrinter = async () => {
+    try {
+      const response = await axios.get('/settings/receipt-printer');
+      setReceiptPrinter(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const handlePrinterSave = async () => {
+    const host = receiptPrinter.host.trim();
+    const port = parseInt(receiptPrinter.port, 10);
+
+    if (host && !/^[A-Za-z0-9.-]+$/.test(host)) {
+      toast.error('Printer address must be a host name or IP address');
+      return;
+    }
+    if (Number.isNaN(port) || port < 1 || port > 65535) {
+      toast.error('Printer port must be between 1 and 65535');
+      return;
+    }
+
+    setIsSavingPrinter(true);
+    try {
+      const response = await axios.post('/settings/receipt-printer', {
+        paperWidth: receiptPrinter.paperWidth,
+        host,
+        port
+      });
+      setReceiptPrinter(response.data.data);
+      toast.success('Receipt printer settings have been updated successfully');
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSavingPrinter(false);
+    }
+  };
+
+  const handlePrinterTest = async () => {
+    setIsTestingPrinter(true);
+    try {
+      const response = await axios.post('/settings/receipt-printer/test');
+      toast.success(response.data.message);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsTestingPrinter(false);
+    }
+  };
+
   const onSubmit = async (data) => {
     setIsSubmitting(true);
     try {
@@ -448,6 +826,635 @@ const Settings = () => {
         )}
       </div>
 
+      <div className="bg-white rounded-lg shadow p-6 mt-6">
+        <h2 className="text-xl font-semibold mb-4">Discount Approval Threshold</h2>
+        <p className="text-gray-600 mb-6">
+          Line and whole-sale discounts above this percentage of the sale require the SuperAdmin code. Senior Citizen and PWD discounts are exempt.
+        </p>
+
+        <div className="flex flex-col sm:flex-row gap-3 sm:items-center">
+          <div className="flex items-center gap-2">
+            <input
+              type="number"
+              step="0.01"
+              min={0}
+              max={100}
+              value={discountThreshold}
+              onChange={(e) => setDiscountThreshold(e.target.value)}
+              disabled={isSavingThreshold}
+              className="w-32 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <span className="text-gray-700">%</span>
+          </div>
+          <button
+            type="button"
+            onClick={handleThresholdSave}
+            disabled={isSavingThreshold || discountThreshold === ''}
+            className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSavingThreshold ? 'Saving...' : 'Save Threshold'}
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-6 mt-6">
+        <h2 className="text-xl font-semibold mb-4">Tax Settings</h2>
+        <p className="text-gray-600 mb-6">
+          Configure how VAT is applied at the counter. Each product is assigned a tax class (VATable, VAT-Exempt or Zero-Rated) on the Products page.
+        </p>
+
+        <div className="space-y-4">
+          <label className="flex items-center gap-3">
+            <input
+              type="checkbox"
+              checked={taxSettings.vatRegistered}
+              onChange={(e) => setTaxSettings({ ...taxSettings, vatRegistered: e.target.checked })}
+              disabled={isSavingTax}
+              className="w-4 h-4 text-blue-600"
+            />
+            <span className="text-gray-800">VAT-registered business</span>
+          </label>
+
+          <div className={!taxSettings.vatRegistered ? 'opacity-50' : ''}>
+            <label className="block text-sm font-medium text-gray-700 mb-2">VAT Rate</label>
+            <div className="flex items-center gap-2">
+              <input
+                type="number"
+                step="0.01"
+                min={0}
+                max={100}
+                value={taxSettings.vatRate}
+                onChange={(e) => setTaxSettings({ ...taxSettings, vatRate: e.target.value })}
+                disabled={isSavingTax || !taxSettings.vatRegistered}
+                className="w-32 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <span className="text-gray-700">%</span>
+            </div>
+          </div>
+
+          <label className={`flex items-center gap-3 ${!taxSettings.vatRegistered ? 'opacity-50' : ''}`}>
+            <input
+              type="checkbox"
+              checked={taxSettings.pricesIncludeVat}
+              onChange={(e) => setTaxSettings({ ...taxSettings, pricesIncludeVat: e.target.checked })}
+              disabled={isSavingTax || !taxSettings.vatRegistered}
+              className="w-4 h-4 text-blue-600"
+            />
+            <span className="text-gray-800">Selling prices already include VAT</span>
+          </label>
+
+          <button
+            type="button"
+            onClick={handleTaxSave}
+            disabled={isSavingTax}
+            className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSavingTax ? 'Saving...' : 'Save Tax Settings'}
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-6 mt-6">
+        <h2 className="text-xl font-semibold mb-4">Loyalty Program</h2>
+        <p className="text-gray-600 mb-6">
+          Customers linked to a sale earn points on what they pay, excluding points they redeem. Points can be redeemed as a tender at checkout and are taken back when the sale is voided.
+        </p>
+
+        <div className="space-y-4">
+          <label className="flex items-center gap-3">
+            <input
+              type="checkbox"
+              checked={loyalty.enabled}
+              onChange={(e) => setLoyalty({ ...loyalty, enabled: e.target.checked })}
+              disabled={isSavingLoyalty}
+              className="w-4 h-4 text-blue-600"
+            />
+            <span className="text-gray-800">Enable loyalty points</span>
+          </label>
+
+          <div className={`grid grid-cols-1 md:grid-cols-2 gap-4 ${!loyalty.enabled ? 'opacity-50' : ''}`}>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Spend per Point</label>
+              <input
+                type="number"
+                step="0.01"
+                min={1}
+                value={loyalty.spendPerPoint}
+                onChange={(e) => setLoyalty({ ...loyalty, spendPerPoint: e.target.value })}
+                disabled={isSavingLoyalty || !loyalty.enabled}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <p className="text-xs text-gray-500 mt-1">Pesos spent to earn one point</p>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Point Value</label>
+              <input
+                type="number"
+                step="0.01"
+                min={0.01}
+                value={loyalty.pointValue}
+                onChange={(e) => setLoyalty({ ...loyalty, pointValue: e.target.value })}
+                disabled={isSavingLoyalty || !loyalty.enabled}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <p className="text-xs text-gray-500 mt-1">Pesos one point is worth when redeemed</p>
+            </div>
+          </div>
+
+          <div className={!loyalty.enabled ? 'opacity-50' : ''}>
+            <div className="flex justify-between items-center mb-2">
+              <h3 className="font-semibold text-gray-800">Category Rates</h3>
+              <button
+                type="button"
+                onClick={() => setLoyalty({ ...loyalty, categoryRules: [...loyalty.categoryRules, { category: '', spendPerPoint: '' }] })}
+                disabled={isSavingLoyalty || !loyalty.enabled}
+                className="text-sm text-blue-600 hover:text-blue-800 disabled:cursor-not-allowed"
+              >
+                + Add Category
+              </button>
+            </div>
+            {loyalty.categoryRules.length === 0 ? (
+              <p className="text-sm text-gray-500">All categories earn at the spend per point above.</p>
+            ) : (
+              <div className="space-y-2">
+                {loyalty.categoryRules.map((rule, index) => (
+                  <div key={index} className="flex flex-col sm:flex-row gap-2">
+                    <select
+                      value={rule.category}
+                      onChange={(e) => updateCategoryRule(index, 'category', e.target.value)}
+                      disabled={isSavingLoyalty || !loyalty.enabled}
+                      className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    >
+                      <option value="">Select category</option>
+                      {categories.map((category) => (
+                        <option key={category._id} value={category.name}>{category.name}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="number"
+                      step="0.01"
+                      min={0}
+                      value={rule.spendPerPoint}
+                      onChange={(e) => updateCategoryRule(index, 'spendPerPoint', e.target.value)}
+                      disabled={isSavingLoyalty || !loyalty.enabled}
+                      placeholder="Spend per point (0 = no points)"
+                      className="sm:w-56 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setLoyalty({ ...loyalty, categoryRules: loyalty.categoryRules.filter((_, i) => i !== index) })}
+                      disabled={isSavingLoyalty || !loyalty.enabled}
+                      className="px-3 py-2 text-sm text-red-600 hover:bg-red-50 rounded-lg"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <button
+            type="button"
+            onClick={handleLoyaltySave}
+            disabled={isSavingLoyalty}
+            className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSavingLoyalty ? 'Saving...' : 'Save Loyalty Program'}
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-6 mt-6">
+        <h2 className="text-xl font-semibold mb-4">Layaway Terms</h2>
+        <p className="text-gray-600 mb-6">
+          Layaway items are taken out of stock when the deposit is paid and released once the balance is cleared. Unpaid layaways can be cancelled after their deadline; the store keeps the forfeited amount and refunds the rest.
+        </p>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Minimum Deposit (%)</label>
+            <input
+              type="number"
+              step="0.01"
+              min={0}
+              max={100}
+              value={layawayTerms.minDepositPercent}
+              onChange={(e) => setLayawayTerms({ ...layawayTerms, minDepositPercent: e.target.value })}
+              disabled={isSavingLayaway}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <p className="text-xs text-gray-500 mt-1">Share of the total paid to open a layaway</p>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Term (days)</label>
+            <input
+              type="number"
+              min={1}
+              max={365}
+              value={layawayTerms.termDays}
+              onChange={(e) => setLayawayTerms({ ...layawayTerms, termDays: e.target.value })}
+              disabled={isSavingLayaway}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <p className="text-xs text-gray-500 mt-1">Default deadline to pay in full</p>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Forfeited on Cancellation (%)</label>
+            <input
+              type="number"
+              step="0.01"
+              min={0}
+              max={100}
+              value={layawayTerms.forfeitPercent}
+              onChange={(e) => setLayawayTerms({ ...layawayTerms, forfeitPercent: e.target.value })}
+              disabled={isSavingLayaway}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <p className="text-xs text-gray-500 mt-1">Share of the payments made that is kept</p>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Cancellation Fee</label>
+            <input
+              type="number"
+              step="0.01"
+              min={0}
+              value={layawayTerms.forfeitFee}
+              onChange={(e) => setLayawayTerms({ ...layawayTerms, forfeitFee: e.target.value })}
+              disabled={isSavingLayaway}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <p className="text-xs text-gray-500 mt-1">Flat amount kept on top of the share, up to what was paid</p>
+          </div>
+        </div>
+
+        <button
+          type="button"
+          onClick={handleLayawaySave}
+          disabled={isSavingLayaway}
+          className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isSavingLayaway ? 'Saving...' : 'Save Layaway Terms'}
+        </button>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-6 mt-6">
+        <h2 className="text-xl font-semibold mb-4">Sale Numbering</h2>
+        <p className="text-gray-600 mb-6">
+          Sale numbers are issued from an atomic counter, so two registers can never receive the same number. Changing the format starts a new series.
+        </p>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Prefix</label>
+            <input
+              type="text"
+              maxLength={10}
+              value={saleNumbering.prefix}
+              onChange={(e) => setSaleNumbering({ ...saleNumbering, prefix: e.target.value.toUpperCase() })}
+              disabled={isSavingNumbering}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Sequence Digits</label>
+            <input
+              type="number"
+              min={3}
+              max={8}
+              value={saleNumbering.padding}
+              onChange={(e) => setSaleNumbering({ ...saleNumbering, padding: e.target.value })}
+              disabled={isSavingNumbering}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Series</label>
+            <select
+              value={saleNumbering.series}
+              onChange={(e) => setSaleNumbering({ ...saleNumbering, series: e.target.value })}
+              disabled={isSavingNumbering}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              {NUMBERING_SERIES.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Restart Numbering</label>
+            <select
+              value={saleNumbering.reset}
+              onChange={(e) => setSaleNumbering({ ...saleNumbering, reset: e.target.value })}
+              disabled={isSavingNumbering}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              {NUMBERING_RESETS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Branch Code</label>
+            <input
+              type="text"
+              maxLength={10}
+              value={saleNumbering.branchCode}
+              onChange={(e) => setSaleNumbering({ ...saleNumbering, branchCode: e.target.value.toUpperCase() })}
+              disabled={isSavingNumbering}
+              placeholder="e.g. MNL"
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">This Terminal&apos;s Register ID</label>
+            <input
+              type="text"
+              maxLength={10}
+              value={terminalRegisterId}
+              onChange={(e) => setTerminalRegisterId(e.target.value.toUpperCase())}
+              disabled={isSavingNumbering}
+              placeholder="e.g. R1"
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <p className="text-xs text-gray-500 mt-1">Saved in this browser only. Set it on every register.</p>
+          </div>
+        </div>
+
+        <div className="mt-4 p-3 bg-gray-50 rounded-lg text-sm">
+          <span className="text-gray-600">Next series starts at: </span>
+          <span className="font-mono font-semibold">{formatSaleNumberPreview(saleNumbering, terminalRegisterId)}</span>
+        </div>
+
+        <button
+          type="button"
+          onClick={handleNumberingSave}
+          disabled={isSavingNumbering}
+          className="mt-4 px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isSavingNumbering ? 'Saving...' : 'Save Sale Numbering'}
+        </button>
+
+        <div className="mt-6">
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="font-semibold text-gray-800">Current Sequences</h3>
+            <button
+              type="button"
+              onClick={fetchSequences}
+              className="text-sm text-blue-600 hover:text-blue-800"
+            >
+              Refresh
+            </button>
+          </div>
+          {sequences.length === 0 ? (
+            <p className="text-sm text-gray-500">No numbers have been issued yet.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="border-b text-left text-gray-600">
+                    <th className="py-2 pr-4">Document</th>
+                    <th className="py-2 pr-4">Register/Branch</th>
+                    <th className="py-2 pr-4">Period</th>
+                    <th className="py-2 pr-4 text-right">Sequence</th>
+                    <th className="py-2 pr-4">Last Number</th>
+                    <th className="py-2">Last Issued</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {sequences.map((sequence) => (
+                    <tr key={sequence._id} className="border-b last:border-0">
+                      <td className="py-2 pr-4 capitalize">{sequence.series}</td>
+                      <td className="py-2 pr-4">{sequence.scope || '-'}</td>
+                      <td className="py-2 pr-4">{sequence.period || '-'}</td>
+                      <td className="py-2 pr-4 text-right">{sequence.sequence}</td>
+                      <td className="py-2 pr-4 font-mono">{sequence.lastNumber || '-'}</td>
+                      <td className="py-2">{new Date(sequence.updatedAt).toLocaleString()}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-6 mt-6">
+        <h2 className="text-xl font-semibold mb-4">Receipt Printer</h2>
+        <p className="text-gray-600 mb-6">
+          Choose the receipt layout. On thermal paper, receipts are exported as narrow PDFs and can be printed directly on a network (ESC/POS) printer.
+        </p>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Paper Width</label>
+            <select
+              value={receiptPrinter.paperWidth}
+              onChange={(e) => setReceiptPrinter({ ...receiptPrinter, paperWidth: e.target.value })}
+              disabled={isSavingPrinter}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              {RECEIPT_PAPER_WIDTHS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Printer Address</label>
+            <input
+              type="text"
+              value={receiptPrinter.host}
+              onChange={(e) => setReceiptPrinter({ ...receiptPrinter, host: e.target.value })}
+              disabled={isSavingPrinter || receiptPrinter.paperWidth === 'a4'}
+              placeholder="e.g. 192.168.1.50"
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-100"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Port</label>
+            <input
+              type="number"
+              min={1}
+              max={65535}
+              value={receiptPrinter.port}
+              onChange={(e) => setReceiptPrinter({ ...receiptPrinter, port: e.target.value })}
+              disabled={isSavingPrinter || receiptPrinter.paperWidth === 'a4'}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-100"
+            />
+          </div>
+        </div>
+        <p className="text-xs text-gray-500 mt-2">
+          Without a printer at hand, run <span className="font-mono">npm run printer:standin</span> in the backend and use 127.0.0.1 to capture printed receipts.
+        </p>
+
+        <div className="flex gap-3 mt-4">
+          <button
+            type="button"
+            onClick={handlePrinterSave}
+            disabled={isSavingPrinter}
+            className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSavingPrinter ? 'Saving...' : 'Save Printer'}
+          </button>
+          <button
+            type="button"
+            onClick={handlePrinterTest}
+            disabled={isTestingPrinter || receiptPrinter.paperWidth === 'a4' || !receiptPrinter.host}
+            className="px-6 py-2 bg-gray-700 text-white rounded-lg hover:bg-gray-800 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isTestingPrinter ? 'Printing...' : 'Print Test Page'}
+          </button>
+        </div>
+      </div>
+
+      {receipting && (
+        <div className="bg-white rounded-lg shadow p-6 mt-6">
+          <h2 className="text-xl font-semibold mb-4">BIR Receipting</h2>
+          <p className="text-gray-600 mb-6">
+            In BIR mode every sale takes the next number of the registered OR/SI series and receipts carry the store&apos;s registration details. The receipt series, grand total and Z-counter never reset.
+          </p>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+            <div className="p-3 bg-gray-50 rounded-lg">
+              <p className="text-sm text-gray-600">Accumulated Grand Total</p>
+              <p className="text-lg font-semibold">{formatCurrencyDisplay(receipting.grandTotal)}</p>
+              <p className="text-xs text-gray-500">Voids: {formatCurrencyDisplay(receipting.voidTotal)}</p>
+            </div>
+            <div className="p-3 bg-gray-50 rounded-lg">
+              <p className="text-sm text-gray-600">Z-Counter</p>
+              <p className="text-lg font-semibold">{receipting.zCounter}</p>
+            </div>
+            <div className="p-3 bg-gray-50 rounded-lg">
+              <p className="text-sm text-gray-600">Last Receipt No.</p>
+              <p className="text-lg font-semibold font-mono">{receipting.lastReceiptNumber || '-'}</p>
+            </div>
+          </div>
+
+          <div className="space-y-4">
+            <label className="flex items-center gap-3">
+              <input
+                type="checkbox"
+                checked={receipting.birMode}
+                onChange={(e) => setReceipting({ ...receipting, birMode: e.target.checked })}
+                disabled={isSavingReceipting}
+                className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+              />
+              <span className="text-sm font-medium text-gray-700">Issue BIR receipts</span>
+            </label>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Document Type</label>
+                <select
+                  value={receipting.documentType}
+                  onChange={(e) => setReceipting({ ...receipting, documentType: e.target.value })}
+                  disabled={isSavingReceipting}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  {RECEIPT_DOCUMENT_TYPES.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              {RECEIPT_REGISTRATION_FIELDS.map((field) => (
+                <div key={field.name}>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">{field.label}</label>
+                  <input
+                    type="text"
+                    maxLength={field.maxLength}
+                    value={receipting[field.name]}
+                    onChange={(e) => setReceipting({ ...receipting, [field.name]: e.target.value })}
+                    disabled={isSavingReceipting}
+                    placeholder={field.placeholder}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+              ))}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Series Start</label>
+                <input
+                  type="number"
+                  min={1}
+                  value={receipting.seriesStart}
+                  onChange={(e) => setReceipting({ ...receipting, seriesStart: e.target.value })}
+                  disabled={isSavingReceipting}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Series End</label>
+                <input
+                  type="number"
+                  min={1}
+                  value={receipting.seriesEnd}
+                  onChange={(e) => setReceipting({ ...receipting, seriesEnd: e.target.value })}
+                  disabled={isSavingReceipting}
+                  placeholder="No limit"
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+            </div>
+            <p className="text-xs text-gray-500">
+              A new series start only takes effect if it is above the last number issued; receipt numbers are never reused.
+            </p>
+          </div>
+
+          <button
+            type="button"
+            onClick={handleReceiptingSave}
+            disabled={isSavingReceipting}
+            className="mt-4 px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSavingReceipting ? 'Saving...' : 'Save Receipting'}
+          </button>
+
+          <div className="mt-6">
+            <h3 className="font-semibold text-gray-800 mb-2">Electronic Journal</h3>
+            <p className="text-sm text-gray-600 mb-3">
+              Download a copy of every receipt issued, voided, adjusted, reprinted or exchanged in the selected period.
+            </p>
+            <div className="flex flex-wrap items-end gap-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+                <input
+                  type="date"
+                  value={journalRange.startDate}
+                  onChange={(e) => setJournalRange({ ...journalRange, startDate: e.target.value })}
+                  className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+                <input
+                  type="date"
+                  value={journalRange.endDate}
+                  onChange={(e) => setJournalRange({ ...journalRange, endDate: e.target.value })}
+                  className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              <button
+                type="button"
+                onClick={handleJournalExport}
+                disabled={isExportingJournal}
+                className="px-6 py-2 bg-gray-700 text-white rounded-lg hover:bg-gray-800 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isExportingJournal ? 'Exporting...' : 'Export E-Journal'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       <div className="bg-white rounded-lg shadow p-6 mt-6">
         <h2 className="text-xl font-semibold mb-4">System Status</h2>
         <p className="text-gray-600 mb-4">
@@ -0,0 +1,358 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'sonner';
+import { useAuth } from '../context/AuthContext';
+import CashMovementModal from '../components/CashMovementModal';
+import CloseShiftModal from '../components/CloseShiftModal';
+import ShiftReadingModal from '../components/ShiftReadingModal';
+import { formatCurrencyDisplay } from '../utils/utils';
+import { getCashMovementLabel } from '../constants/shifts';
+import { getRegisterId } from '../constants/saleNumbering';
+
+const Shifts = () => {
+  const { isAdmin } = useAuth();
+  const [currentShift, setCurrentShift] = useState(null);
+  const [shifts, setShifts] = useState([]);
+  const [overShort, setOverShort] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [openingFloat, setOpeningFloat] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [cashMovementType, setCashMovementType] = useState(null);
+  const [showCloseModal, setShowCloseModal] = useState(false);
+  const [reading, setReading] = useState(null);
+
+  useEffect(() => {
+    fetchCurrentShift();
+    fetchShifts();
+    if (isAdmin) {
+      fetchOverShort();
+    }
+  }, [isAdmin]);
+
+  const fetchCurrentShift = async () => {
+    try {
+      const response = await axios.get('/shifts/current');
+      setCurrentShift(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchShifts = async () => {
+    try {
+      const response = await axios.get('/shifts');
+      setShifts(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const fetchOverShort = async () => {
+    try {
+      const response = await axios.get('/shifts/over-short');
+      setOverShort(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const handleOpenShift = async () => {
+    const float = parseFloat(openingFloat);
+    if (Number.isNaN(float) || float < 0) {
+      toast.error('Enter the opening float counted into the drawer');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const response = await axios.post('/shifts/open', {
+        openingFloat: float,
+        registerId: getRegisterId() || undefined
+      });
+      toast.success(response.data.message);
+      setOpeningFloat('');
+      fetchCurrentShift();
+      fetchShifts();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleCashMovement = async (movement) => {
+    setIsSaving(true);
+    try {
+      const response = await axios.post(`/shifts/${currentShift._id}/cash-movements`, movement);
+      toast.success(response.data.message);
+      setCashMovementType(null);
+      fetchCurrentShift();
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleViewReading = async (shift) => {
+    try {
+      const type = shift.status === 'closed' ? 'z-reading' : 'x-reading';
+      const response = await axios.get(`/shifts/${shift._id}/${type}`);
+      setReading(response.data.data);
+    } catch (error) {
+      // Error handled by axios interceptor
+    }
+  };
+
+  const handleCloseShift = async (closing) => {
+    setIsSaving(true);
+    try {
+      const response = await axios.post(`/shifts/${currentShift._id}/close`, closing);
+      const closedShift = response.data.data;
+      if (closedShift.overShort < 0) {
+        toast.warning(response.data.message);
+      } else {
+        toast.success(response.data.message);
+      }
+      setShowCloseModal(false);
+      setCurrentShift(null);
+      fetchShifts();
+      if (isAdmin) {
+        fetchOverShort();
+      }
+      handleViewReading(closedShift);
+    } catch (error) {
+      // Error handled by axios interceptor
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const getCashierName = (cashier) => {
+    if (!cashier) return '-';
+    return `${cashier.firstName || ''} ${cashier.lastName || ''}`.trim() || cashier.username;
+  };
+
+  const renderOverShort = (value) => {
+    if (value === null || value === undefined) return '-';
+    const className = value < 0 ? 'text-red-600' : value > 0 ? 'text-green-600' : 'text-gray-700';
+    const prefix = value < 0 ? 'Short ' : value > 0 ? 'Over ' : '';
+    return <span className={`font-semibold ${className}`}>{prefix}{formatCurrencyDisplay(Math.abs(value))}</span>;
+  };
+
+  if (loading) {
+    return <div className="text-center py-8">Loading...</div>;
+  }
+
+  return (
+    <div>
+      <h1 className="text-2xl sm:text-3xl font-bold mb-6 sm:mb-8">Shifts</h1>
+
+      <div className="bg-white rounded-lg shadow p-6 mb-6">
+        {currentShift ? (
+          <>
+            <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 mb-4">
+              <div>
+                <h2 className="text-xl font-semibold">Shift {currentShift.shiftNumber}</h2>
+                <p className="text-gray-600 text-sm">
+                  Opened {new Date(currentShift.openedAt).toLocaleString()}
+                  {currentShift.registerId && ` on ${currentShift.registerId}`}
+                  {' · '}Opening float {formatCurrencyDisplay(currentShift.openingFloat)}
+                </p>
+              </div>
+              <div className="flex flex-wrap gap-2">
+                <button
+                  onClick={() => setCashMovementType('cash_in')}
+                  className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+                >
+                  Cash In
+                </button>
+                <button
+                  onClick={() => setCashMovementType('cash_out')}
+                  className="px-4 py-2 bg-orange-600 text-white rounded-lg hover:bg-orange-700"
+                >
+                  Cash Out
+                </button>
+                <button
+                  onClick={() => handleViewReading(currentShift)}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                >
+                  X-Reading
+                </button>
+                <button
+                  onClick={() => setShowCloseModal(true)}
+                  className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700"
+                >
+                  Close Shift
+                </button>
+              </div>
+            </div>
+
+            {currentShift.cashMovements.length > 0 && (
+              <div className="border-t pt-4">
+                <h3 className="font-semibold mb-2">Cash Movements</h3>
+                <div className="space-y-1 text-sm">
+                  {currentShift.cashMovements.map((movement) => (
+                    <div key={movement._id} className="flex justify-between">
+                      <span>
+                        {new Date(movement.recordedAt).toLocaleTimeString()} · {getCashMovementLabel(movement.type)} · {movement.reason}
+                      </span>
+                      <span className={movement.type === 'cash_out' ? 'text-red-600' : 'text-green-600'}>
+                        {movement.type === 'cash_out' ? '-' : '+'}{formatCurrencyDisplay(movement.amount)}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </>
+        ) : (
+          <>
+            <h2 className="text-xl font-semibold mb-2">Open a Shift</h2>
+            <p className="text-gray-600 mb-4">
+              Count the change fund placed in the drawer. Sales can only be processed while your shift is open.
+            </p>
+            <div className="flex flex-col sm:flex-row gap-2 sm:items-end">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Opening Float</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  min={0}
+                  value={openingFloat}
+                  onChange={(e) => setOpeningFloat(e.target.value)}
+                  disabled={isSaving}
+                  className="w-48 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              <button
+                onClick={handleOpenShift}
+                disabled={isSaving}
+                className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isSaving ? 'Opening...' : 'Open Shift'}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+
+      {isAdmin && overShort.length > 0 && (
+        <div className="bg-white rounded-lg shadow p-6 mb-6">
+          <h2 className="text-xl font-semibold mb-4">Over/Short by Cashier</h2>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Cashier</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Shifts</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Over</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Short</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Net</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {overShort.map((row) => (
+                  <tr key={row.cashierId}>
+                    <td className="px-6 py-4 whitespace-nowrap">{getCashierName(row)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">{row.shifts}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-green-600">{formatCurrencyDisplay(row.over)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-red-600">{formatCurrencyDisplay(Math.abs(row.short))}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">{renderOverShort(row.net)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Shift</th>
+                {isAdmin && <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Cashier</th>}
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Opened</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Closed</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Expected</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Counted</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Over/Short</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {shifts.length === 0 ? (
+                <tr>
+                  <td colSpan={isAdmin ? 8 : 7} className="px-6 py-4 text-center text-gray-500">
+                    No shifts found
+                  </td>
+                </tr>
+              ) : (
+                shifts.map((shift) => (
+                  <tr key={shift._id}>
+                    <td className="px-6 py-4 whitespace-nowrap font-semibold">
+                      {shift.shiftNumber}
+                      {shift.status === 'open' && (
+                        <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-800">Open</span>
+                      )}
+                    </td>
+                    {isAdmin && <td className="px-6 py-4 whitespace-nowrap">{getCashierName(shift.cashier)}</td>}
+                    <td className="px-6 py-4 whitespace-nowrap">{new Date(shift.openedAt).toLocaleString()}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">{shift.closedAt ? new Date(shift.closedAt).toLocaleString() : '-'}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">{shift.expectedCash !== null ? formatCurrencyDisplay(shift.expectedCash) : '-'}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">{shift.countedCash !== null ? formatCurrencyDisplay(shift.countedCash) : '-'}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">{renderOverShort(shift.overShort)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <button
+                        onClick={() => handleViewReading(shift)}
+                        className="text-blue-600 hover:text-blue-800"
+                      >
+                        {shift.status === 'closed' ? 'Z-Reading' : 'X-Reading'}
+                      </button>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <CashMovementModal
+        isOpen={!!cashMovementType}
+        onClose={() => {
+          if (!isSaving) {
+            setCashMovementType(null);
+          }
+        }}
+        onConfirm={handleCashMovement}
+        type={cashMovementType || 'cash_in'}
+        isLoading={isSaving}
+      />
+
+      <CloseShiftModal
+        isOpen={showCloseModal}
+        onClose={() => {
+          if (!isSaving) {
+            setShowCloseModal(false);
+          }
+        }}
+        onConfirm={handleCloseShift}
+        shiftNumber={currentShift?.shiftNumber}
+        isLoading={isSaving}
+      />
+
+      <ShiftReadingModal
+        isOpen={!!reading}
+        onClose={() => setReading(null)}
+        reading={reading}
+      />
+    </div>
+  );
+};
+
+export default Shifts;
@@ -0,0 +1,77 @@
+/**
+ * Barcode encoders for printed labels
+ * Each encoder turns a code into a string of modules, '1' for a bar and '0' for a space
+ */
+
+const EAN_L = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const EAN_G = ['0100111', '0110011', '0011011', '0100001', '0011101', '0111001', '0000101', '0010001', '0001001', '0010111'];
+const EAN_R = EAN_L.map(pattern => pattern.split('').map(bit => (bit === '1' ? '0' : '1')).join(''));
+
+// The first digit of an EAN-13 is not drawn; it picks the L/G mix of the left half
+const EAN_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+// Bar and space widths of Code 128 values 0-106 (103-105 are the start codes, 106 is stop)
+const CODE128_WIDTHS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
+const CODE128_START_B = 104;
+const CODE128_START_C = 105;
+const CODE128_STOP = 106;
+
+const widthsToModules = (widths) => widths.split('').map((width, index) => (index % 2 === 0 ? '1' : '0').repeat(Number(width))).join('');
+
+/**
+ * Encode a 13-digit EAN-13 code
+ * @param {string} code - EAN-13 digits including the check digit
+ * @returns {string} 95 modules
+ */
+export const encodeEan13 = (code) => {
+  const digits = code.split('').map(Number);
+  const parity = EAN_PARITY[digits[0]];
+  const left = digits.slice(1, 7).map((digit, index) => (parity[index] === 'L' ? EAN_L : EAN_G)[digit]).join('');
+  const right = digits.slice(7).map(digit => EAN_R[digit]).join('');
+  return `101${left}01010${right}101`;
+};
+
+/**
+ * Encode a Code 128 code, using set C for even-length digit strings and set B otherwise
+ * @param {string} code - Printable ASCII text
+ * @returns {string} Modules
+ */
+export const encodeCode128 = (code) => {
+  const useSetC = /^\d+$/.test(code) && code.length % 2 === 0;
+  const values = useSetC
+    ? code.match(/\d{2}/g).map(Number)
+    : code.split('').map(char => char.charCodeAt(0) - 32);
+  const start = useSetC ? CODE128_START_C : CODE128_START_B;
+
+  const checksum = values.reduce((sum, value, index) => sum + value * (index + 1), start) % 103;
+  return [start, ...values, checksum, CODE128_STOP].map(value => widthsToModules(CODE128_WIDTHS[value])).join('');
+};
+
+/**
+ * Pick the symbology for a product barcode and encode it
+ * UPC-A is printed as the equivalent EAN-13; internal codes print as EAN-13 when they are one
+ * @param {Object} barcode - { code, type }
+ * @returns {{ modules: string, text: string }} Modules and the human readable text
+ */
+export const encodeBarcode = ({ code, type }) => {
+  if (type === 'ean13' || (type === 'internal' && /^\d{13}$/.test(code))) {
+    return { modules: encodeEan13(code), text: code };
+  }
+  if (type === 'upc') {
+    return { modules: encodeEan13(`0${code}`), text: code };
+  }
+  return { modules: encodeCode128(code), text: code };
+};
@@ -0,0 +1,200 @@
+/**
+ * Offline checkout: data the POS needs cached in this browser and a durable queue of sales
+ * rung up while the server could not be reached. Both are kept in localStorage so they
+ * survive a reload of the page.
+ */
+import axios from 'axios';
+
+const CACHE_PREFIX = 'pos.cache.';
+const QUEUE_KEY = 'pos.offlineSales';
+
+// Tenders and sales the server has to check live cannot be taken offline
+const ONLINE_ONLY_METHODS = ['charge', 'points'];
+
+/**
+ * Check whether a request failed because the server could not be reached
+ * @param {Error} error - Axios error
+ * @returns {boolean}
+ */
+export const isNetworkError = (error) => !error.response;
+
+/**
+ * Create the reference the server uses to post a checkout only once
+ * @returns {string} - Random UUID
+ */
+export const createClientReference = () => {
+  if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+  // crypto.randomUUID needs a secure context; fall back on plain HTTP
+  return `${Date.now().toString(16)}-${Math.random().toString(16).slice(2, 14)}`;
+};
+
+const readJson = (key, fallback) => {
+  try {
+    const value = localStorage.getItem(key);
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+const writeJson = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    // Storage full or disabled; the page keeps working from memory
+    console.error(`Failed to save ${key} for offline use`);
+  }
+};
+
+/**
+ * GET a resource and keep a copy for offline use; when the server cannot be reached the
+ * last copy is returned instead
+ * @param {string} name - Cache entry name
+ * @param {string} url - API path
+ * @param {Object} [options]
+ * @param {Object} [options.params] - Query parameters
+ * @param {Function} [options.prepare] - Trims the data before it is cached
+ * @returns {Promise<*>} - Response data, or the cached copy
+ */
+export const getWithOfflineCache = async (name, url, { params, prepare = data => data } = {}) => {
+  try {
+    const response = await axios.get(url, { params, offlineFallback: true });
+    writeJson(CACHE_PREFIX + name, prepare(response.data.data));
+    return response.data.data;
+  } catch (error) {
+    const cached = readJson(CACHE_PREFIX + name, undefined);
+    if (isNetworkError(error) && cached !== undefined) return cached;
+    throw error;
+  }
+};
+
+/**
+ * Replace a cached resource, e.g. after stock was sold offline
+ * @param {string} name - Cache entry name
+ * @param {*} data - New data
+ */
+export const updateOfflineCache = (name, data) => writeJson(CACHE_PREFIX + name, data);
+
+/**
+ * Check whether a sale can be rung up without the server
+ * @param {Object} saleData - Sale request body
+ * @returns {string|null} - Reason it cannot, or null
+ */
+export const getOfflineSaleError = (saleData) => {
+  if (saleData.quotation) {
+    return 'Quotations can only be converted while connected to the server';
+  }
+  if (saleData.payments.some(payment => ONLINE_ONLY_METHODS.includes(payment.method))) {
+    return 'Charge and loyalty points payments need a connection to the server';
+  }
+  return null;
+};
+
+/**
+ * Get the sales waiting to be posted, oldest first
+ * @returns {Array} - Queue entries
+ */
+export const getQueuedSales = () => readJson(QUEUE_KEY, []);
+
+const saveQueue = (queue) => {
+  writeJson(QUEUE_KEY, queue);
+  return queue;
+};
+
+/**
+ * Add a sale rung up offline to the queue
+ * Approval codes are not stored; a supervisor approves again when the sale is posted
+ * @param {Object} saleData - Sale request body with its clientReference
+ * @param {Array} lines - [{ name, quantity }] shown while the sale waits
+ * @returns {Array} - Updated queue
+ */
+export const queueSale = (saleData, lines) => {
+  const { discountApprovalCode, priceApprovalCode, approver, ...rest } = saleData;
+  return saveQueue([...getQueuedSales(), {
+    clientReference: saleData.clientReference,
+    saleData: { ...rest, offlineSoldAt: new Date().toISOString() },
+    lines,
+    status: 'pending',
+    message: null,
+    conflicts: null
+  }]);
+};
+
+/**
+ * Update a queued sale
+ * @param {string} clientReference - Sale reference
+ * @param {Object} changes - Fields to change
+ * @returns {Array} - Updated queue
+ */
+export const updateQueuedSale = (clientReference, changes) => saveQueue(
+  getQueuedSales().map(entry => (entry.clientReference === clientReference ? { ...entry, ...changes } : entry))
+);
+
+/**
+ * Remove a sale from the queue once it is posted or discarded
+ * @param {string} clientReference - Sale reference
+ * @returns {Array} - Updated queue
+ */
+export const removeQueuedSale = (clientReference) => saveQueue(
+  getQueuedSales().filter(entry => entry.clientReference !== clientReference)
+);
+
+/**
+ * Post one queued sale
+ * Conflicts and rejections stay in the queue for a supervisor; the server returns the sale
+ * already posted when the same reference is sent twice
+ * @param {Object} entry - Queue entry
+ * @param {Object} [extra] - Fields added to the request, e.g. supervisor approval
+ * @returns {Promise<{ status: string, sale?: Object }>} - 'posted', 'conflict', 'failed', 'rejected' or 'offline'
+ */
+export const postQueuedSale = async (entry, extra = {}) => {
+  try {
+    const response = await axios.post('/sales', { ...entry.saleData, ...extra }, { offlineFallback: true });
+    removeQueuedSale(entry.clientReference);
+    return { status: 'posted', sale: response.data.data };
+  } catch (error) {
+    if (isNetworkError(error)) {
+      return { status: 'offline' };
+    }
+
+    // A wrong supervisor code leaves the sale as it was so it can be approved again
+    if (Object.keys(extra).length > 0 && [401, 403].includes(error.response.status)) {
+      return { status: 'rejected' };
+    }
+
+    const { message, conflicts, errors } = error.response.data || {};
+    const status = conflicts ? 'conflict' : 'failed';
+    updateQueuedSale(entry.clientReference, {
+      status,
+      message: message || errors?.[0]?.msg || 'The server rejected this sale',
+      conflicts: conflicts || null
+    });
+    return { status };
+  }
+};
+
+// One sync at a time; the online event and the retry timer can fire together
+let isSyncing = false;
+
+/**
+ * Post the pending sales in the order they were rung up
+ * Stops at the first network failure so the rest wait for the connection
+ * @returns {Promise<{ posted: number, held: number, offline: boolean }>} - held counts sales left for a supervisor
+ */
+export const syncQueuedSales = async () => {
+  if (isSyncing) return { posted: 0, held: 0, offline: false };
+  isSyncing = true;
+  let posted = 0;
+  let held = 0;
+  try {
+    for (const entry of getQueuedSales().filter(queued => queued.status === 'pending')) {
+      const result = await postQueuedSale(entry);
+      if (result.status === 'offline') return { posted, held, offline: true };
+      if (result.status === 'posted') posted += 1;
+      else held += 1;
+    }
+    return { posted, held, offline: false };
+  } finally {
+    isSyncing = false;
+  }
+};
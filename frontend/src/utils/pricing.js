@@ -0,0 +1,255 @@
+import { STATUTORY_DISCOUNT_RATE } from '../constants/discounts';
+
+/**
+ * Sale pricing helpers
+ * Mirrors applyDiscounts (backend/utils/discounts.js) and calculateTaxes (backend/utils/taxes.js)
+ * so the totals shown at the counter match what the server charges
+ */
+
+/**
+ * Round a peso amount to centavos
+ * @param {number} value - Amount to round
+ * @returns {number} - Amount rounded to 2 decimal places
+ */
+export const roundCurrency = (value) => Math.round(((parseFloat(value) || 0) + Number.EPSILON) * 100) / 100;
+
+/**
+ * Regular selling price of a product
+ * Selling price = base price + (base price * markup percentage / 100)
+ * @param {Object} product - Product
+ * @returns {number} - Selling price
+ */
+export const getSellingPrice = (product) => {
+  const basePrice = product.price || 0;
+  const markupPercentage = product.markupPercentage || 0;
+  return basePrice + (basePrice * (markupPercentage / 100));
+};
+
+/**
+ * Whether a price list can be used now: active and within its validity dates
+ * @param {Object} priceList - Price list
+ * @param {Date} [date] - When the prices are needed
+ * @returns {boolean}
+ */
+export const isPriceListInEffect = (priceList, date = new Date()) => !!priceList
+  && priceList.isActive
+  && (!priceList.validFrom || new Date(priceList.validFrom) <= date)
+  && (!priceList.validUntil || new Date(priceList.validUntil) >= date);
+
+/**
+ * Price list of a customer, when it is in effect
+ * @param {Object} [customer] - Customer with its priceList populated
+ * @returns {Object|null} - Price list
+ */
+export const getCustomerPriceList = (customer) =>
+  (isPriceListInEffect(customer?.priceList) ? customer.priceList : null);
+
+// Most specific rule for a product: product, then brand, then category; names match regardless of case
+const findPriceListRule = (priceList, product) => {
+  const rules = priceList?.rules || [];
+  const brand = product.brand?.trim().toLowerCase();
+  const category = product.category?.trim().toLowerCase();
+
+  return rules.find(rule => rule.scope === 'product' && (rule.product?._id || rule.product) === product._id)
+    || (brand && rules.find(rule => rule.scope === 'brand' && rule.brand?.toLowerCase() === brand))
+    || (category && rules.find(rule => rule.scope === 'category' && rule.category?.toLowerCase() === category))
+    || null;
+};
+
+/**
+ * Unit price for a line, mirroring resolveLinePrice (backend/utils/pricing.js)
+ * The lowest of the selling price, the best tier price and the customer's price list price;
+ * retail tiers are open to every buyer and price lists never go below cost
+ * @param {Object} product - Product with its priceTiers
+ * @param {number} quantity - Quantity on the line
+ * @param {string} [customerType] - Type of the customer linked to the sale
+ * @param {Object} [priceList] - Customer price list in effect
+ * @returns {Object} - { price, priceTier, priceList } where priceTier is { customerType, minQuantity, listPrice }
+ *   when a tier applies and priceList is { priceList, name, listPrice } when the price list does
+ */
+export const resolveLinePrice = (product, quantity, customerType = 'retail', priceList = null) => {
+  const listPrice = getSellingPrice(product);
+  const cost = product.price || 0;
+
+  const tier = (product.priceTiers || [])
+    .filter(tier => (tier.customerType === 'retail' || tier.customerType === customerType)
+      && quantity >= tier.minQuantity
+      && tier.price >= cost)
+    .reduce((best, tier) => (!best || tier.price < best.price ? tier : best), null);
+  const tierPrice = tier && tier.price < listPrice ? tier.price : null;
+
+  const rule = priceList ? findPriceListRule(priceList, product) : null;
+  let contractPrice = null;
+  if (rule) {
+    const rulePrice = rule.adjustment === 'fixed'
+      ? rule.value
+      : listPrice * (1 - Math.min(rule.value, 100) / 100);
+    contractPrice = roundCurrency(Math.max(rulePrice, cost));
+    if (contractPrice >= listPrice) contractPrice = null;
+  }
+
+  if (contractPrice !== null && (tierPrice === null || contractPrice < tierPrice)) {
+    return {
+      price: contractPrice,
+      priceList: {
+        priceList: priceList._id,
+        name: priceList.name,
+        listPrice: roundCurrency(listPrice)
+      }
+    };
+  }
+
+  if (tierPrice === null) {
+    return { price: listPrice };
+  }
+
+  return {
+    price: tier.price,
+    priceTier: {
+      customerType: tier.customerType,
+      minQuantity: tier.minQuantity,
+      listPrice: roundCurrency(listPrice)
+    }
+  };
+};
+
+/**
+ * Build the tax configuration from tax settings or from the snapshot kept on a sale
+ * Sales recorded before tax settings existed used 12% VAT added on top of the price
+ * @param {Object} source - Tax settings or sale
+ * @returns {Object} - { vatRate (fraction), pricesIncludeVat, vatRegistered }
+ */
+export const getTaxConfig = (source) => ({
+  vatRate: (source?.vatRate ?? 12) / 100,
+  pricesIncludeVat: !!source?.pricesIncludeVat,
+  vatRegistered: source?.vatRegistered ?? true
+});
+
+/**
+ * Strip VAT from a shelf price when prices are VAT-inclusive
+ * @param {number} price - Shelf price
+ * @param {string} taxClass - Product tax class
+ * @param {Object} config - Tax configuration
+ * @returns {number} - VAT-exclusive price
+ */
+export const removeVat = (price, taxClass, config) => {
+  if (config.vatRegistered && config.pricesIncludeVat && (taxClass || 'vatable') === 'vatable') {
+    return price / (1 + config.vatRate);
+  }
+  return price;
+};
+
+/**
+ * Split line amounts into VATable, VAT-exempt and zero-rated sales and compute output VAT
+ * @param {Array} lines - [{ amount, taxClass }] with amounts net of discounts
+ * @param {Object} config - Tax configuration
+ * @param {boolean} vatExempt - Senior Citizen/PWD sale
+ * @returns {Object} - { vatableSales, vatExemptSales, zeroRatedSales, tax, total }
+ */
+export const calculateTaxes = (lines, config, vatExempt = false) => {
+  let vatableAmount = 0;
+  let vatExemptSales = 0;
+  let zeroRatedSales = 0;
+
+  lines.forEach((line) => {
+    const taxClass = line.taxClass || 'vatable';
+    if (!config.vatRegistered || taxClass === 'vat_exempt' || (taxClass === 'vatable' && vatExempt)) {
+      vatExemptSales += line.amount;
+    } else if (taxClass === 'zero_rated') {
+      zeroRatedSales += line.amount;
+    } else {
+      vatableAmount += line.amount;
+    }
+  });
+
+  const vatableSales = roundCurrency(config.pricesIncludeVat ? vatableAmount / (1 + config.vatRate) : vatableAmount);
+  const tax = roundCurrency(config.pricesIncludeVat ? vatableAmount - vatableSales : vatableAmount * config.vatRate);
+  vatExemptSales = roundCurrency(vatExemptSales);
+  zeroRatedSales = roundCurrency(zeroRatedSales);
+
+  return {
+    vatableSales,
+    vatExemptSales,
+    zeroRatedSales,
+    tax,
+    total: roundCurrency(vatableSales + vatExemptSales + zeroRatedSales + tax)
+  };
+};
+
+// Peso value of a percent/fixed discount, capped at the amount it applies to
+const resolveDiscount = (discount, base) => {
+  const value = parseFloat(discount?.value) || 0;
+  if (value <= 0) return 0;
+  const amount = discount.type === 'percent' ? base * (Math.min(value, 100) / 100) : value;
+  return roundCurrency(Math.min(amount, base));
+};
+
+/**
+ * Price a cart with its discounts and taxes
+ * @param {Object} params
+ * @param {Array} params.items - [{ price, quantity, taxClass, discount: { type, value } }]
+ * @param {Object} params.saleDiscount - Whole-sale discount: { type, value }
+ * @param {string} params.statutoryDiscountType - 'senior_citizen', 'pwd' or empty
+ * @param {Object} params.taxConfig - Tax configuration
+ * @param {number} [params.deliveryFee] - Delivery fee, VATable and added after discounts
+ * @returns {Object} - Discount and tax totals
+ */
+export const calculateSaleTotals = ({ items, saleDiscount, statutoryDiscountType, taxConfig, deliveryFee = 0 }) => {
+  const isStatutory = !!statutoryDiscountType;
+
+  // Senior Citizen/PWD discounts apply to the VAT-exclusive price and cannot be combined with other discounts
+  const lines = items.map((item) => {
+    const price = isStatutory ? removeVat(item.price, item.taxClass, taxConfig) : item.price;
+    const subtotal = roundCurrency(price * item.quantity);
+    return {
+      subtotal,
+      taxClass: item.taxClass,
+      lineDiscount: isStatutory ? 0 : resolveDiscount(item.discount, subtotal)
+    };
+  });
+
+  const subtotal = roundCurrency(lines.reduce((sum, line) => sum + line.subtotal, 0));
+  const lineDiscount = roundCurrency(lines.reduce((sum, line) => sum + line.lineDiscount, 0));
+  const afterLineDiscounts = roundCurrency(subtotal - lineDiscount);
+  const saleDiscountAmount = isStatutory ? 0 : resolveDiscount(saleDiscount, afterLineDiscounts);
+  const statutoryAmount = isStatutory ? roundCurrency(subtotal * STATUTORY_DISCOUNT_RATE) : 0;
+
+  // Spread order-level discounts across lines the same way the server does
+  const orderLevelDiscount = roundCurrency(saleDiscountAmount + statutoryAmount);
+  let allocated = 0;
+  const taxLines = lines.map((line, index) => {
+    const lineNet = line.subtotal - line.lineDiscount;
+    let share = 0;
+    if (orderLevelDiscount > 0 && afterLineDiscounts > 0) {
+      share = index === lines.length - 1
+        ? roundCurrency(orderLevelDiscount - allocated)
+        : roundCurrency(orderLevelDiscount * (lineNet / afterLineDiscounts));
+      allocated = roundCurrency(allocated + share);
+    }
+    return { amount: line.subtotal - roundCurrency(line.lineDiscount + share), taxClass: line.taxClass };
+  });
+
+  const discretionaryDiscount = roundCurrency(lineDiscount + saleDiscountAmount);
+  const fee = roundCurrency(parseFloat(deliveryFee) || 0);
+  const taxes = calculateTaxes(
+    fee > 0 ? [...taxLines, { amount: fee, taxClass: 'vatable' }] : taxLines,
+    taxConfig,
+    isStatutory
+  );
+
+  return {
+    subtotal,
+    lineDiscount,
+    saleDiscount: saleDiscountAmount,
+    statutoryDiscount: statutoryAmount,
+    discount: roundCurrency(discretionaryDiscount + statutoryAmount),
+    deliveryFee: fee,
+    discretionaryPercent: subtotal > 0 ? (discretionaryDiscount / subtotal) * 100 : 0,
+    vatExempt: isStatutory,
+    vatableSales: taxes.vatableSales,
+    vatExemptSales: taxes.vatExemptSales,
+    zeroRatedSales: taxes.zeroRatedSales,
+    vat: taxes.tax,
+    total: taxes.total
+  };
+};
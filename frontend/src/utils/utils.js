@@ -44,7 +44,15 @@ export const formatCurrencyDisplay = (value) => {
 export const formatPaymentMethod = (method) => {
   const methods = {
     cash: 'Cash',
+    gcash: 'GCash',
+    maya: 'Maya',
     card: 'Card',
+    bank_transfer: 'Bank Transfer',
+    check: 'Check',
+    charge: 'Charge',
+    points: 'Loyalty Points',
+    layaway: 'Layaway Payments',
+    split: 'Split Payment',
     mobile_payment: 'Mobile Payment',
     other: 'Other'
   };
@@ -62,3 +70,15 @@ export const formatDate = (date) => {
   return dateObj.toLocaleDateString();
 };
 
+/**
+ * Find the product a scanned code belongs to, by barcode first and then by SKU
+ * @param {Array} products - Loaded products
+ * @param {string} code - Scanned or typed code
+ * @returns {Object|undefined} - Matching product
+ */
+export const findProductByCode = (products, code) => {
+  const trimmed = code.trim();
+  if (!trimmed) return undefined;
+  return products.find(product => product.barcodes?.some(barcode => barcode.code === trimmed))
+    || products.find(product => product.sku && product.sku.toLowerCase() === trimmed.toLowerCase());
+};